@@ -0,0 +1,192 @@
+/* Outbox replay for the service worker.
+ *
+ * Loaded by sw.js with importScripts. This is the worker's copy of
+ * src/utils/outboxStore.js: the page queues requests in the same IndexedDB
+ * database and this replays them from a background sync, with each item's ID
+ * sent as the Idempotency-Key header. Keep the schema and rules in step.
+ *
+ * The worker never refreshes tokens (refresh tokens are single use and a
+ * reused one ends the session), so a 401 leaves the queue for the page.
+ */
+const OUTBOX_DB_NAME = "neibrly-outbox";
+const OUTBOX_DB_VERSION = 1;
+const OUTBOX_CHANNEL = "neibrly-outbox";
+const OUTBOX_LOCK_NAME = "neibrly-outbox-replay";
+const OUTBOX_MAX_ATTEMPTS = 5;
+const OUTBOX_RETRYABLE_STATUS = [408, 409, 425, 429];
+
+function openOutboxDatabase() {
+  return new Promise((resolve, reject) => {
+    const openRequest = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+
+    openRequest.onupgradeneeded = () => {
+      const db = openRequest.result;
+      if (!db.objectStoreNames.contains("items")) {
+        const items = db.createObjectStore("items", { keyPath: "id" });
+        items.createIndex("status", "status");
+        items.createIndex("createdAt", "createdAt");
+      }
+      if (!db.objectStoreNames.contains("meta")) {
+        db.createObjectStore("meta", { keyPath: "key" });
+      }
+    };
+    openRequest.onerror = () => reject(openRequest.error);
+    openRequest.onsuccess = () => resolve(openRequest.result);
+  });
+}
+
+async function withOutboxStore(storeName, mode, callback) {
+  const db = await openOutboxDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = callback(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request && request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+function getOutboxTokenUserId(token) {
+  try {
+    const payload = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+    return JSON.parse(atob(payload)).userId || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function buildOutboxBody(item) {
+  if (item.form) {
+    const formData = new FormData();
+    item.form.fields.forEach(([name, value]) => formData.append(name, value));
+    (item.form.files || []).forEach(({ name, blob, filename }) =>
+      formData.append(name, blob, filename)
+    );
+    return formData;
+  }
+  return item.body === undefined || item.body === null
+    ? undefined
+    : JSON.stringify(item.body);
+}
+
+async function replayOutboxItems(notify) {
+  const auth = await withOutboxStore("meta", "readonly", (store) =>
+    store.get("auth")
+  );
+  const token = auth && auth.accessToken;
+  const result = { sent: 0, failed: 0, stoppedBy: null };
+
+  if (!token) {
+    result.stoppedBy = "unauthorized";
+    return result;
+  }
+
+  const userId = getOutboxTokenUserId(token);
+  const allItems = await withOutboxStore("items", "readonly", (store) =>
+    store.getAll()
+  );
+  const items = (allItems || [])
+    .filter(
+      (item) =>
+        item.status !== "failed" && (!item.ownerId || item.ownerId === userId)
+    )
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  const save = async (item) => {
+    await withOutboxStore("items", "readwrite", (store) => store.put(item));
+    notify(item);
+  };
+
+  for (const queued of items) {
+    const item = { ...queued, status: "sending", updatedAt: new Date().toISOString() };
+    await save(item);
+
+    const headers = { Authorization: `Bearer ${token}`, "Idempotency-Key": item.id };
+    if (!item.form && item.body !== undefined && item.body !== null) {
+      headers["Content-Type"] = "application/json";
+    }
+
+    let response;
+    try {
+      response = await fetch(item.url, {
+        method: item.method,
+        headers,
+        body: buildOutboxBody(item),
+      });
+    } catch (error) {
+      await save({ ...item, status: "queued", attempts: item.attempts + 1, lastError: "Network error" });
+      result.stoppedBy = "offline";
+      return result;
+    }
+
+    let data = null;
+    try {
+      data = await response.json();
+    } catch (error) {
+      // Not every route answers with JSON
+    }
+
+    if (response.ok) {
+      await withOutboxStore("items", "readwrite", (store) => store.delete(item.id));
+      notify({ ...item, status: "sent", response: data });
+      result.sent++;
+      continue;
+    }
+
+    if (response.status === 401) {
+      await save({ ...item, status: "queued" });
+      result.stoppedBy = "unauthorized";
+      return result;
+    }
+
+    const attempts = item.attempts + 1;
+    const lastError = (data && data.message) || `HTTP ${response.status}`;
+
+    if (
+      (response.status >= 500 || OUTBOX_RETRYABLE_STATUS.includes(response.status)) &&
+      attempts < OUTBOX_MAX_ATTEMPTS
+    ) {
+      await save({ ...item, status: "queued", attempts, lastError });
+      result.stoppedBy = "retry";
+      return result;
+    }
+
+    await save({ ...item, status: "failed", attempts, lastError });
+    result.failed++;
+  }
+
+  return result;
+}
+
+// Replay the outbox, telling open pages about every status change.
+// Throws when the sync should be retried so the browser schedules another go.
+async function replayOutbox() {
+  const channel = "BroadcastChannel" in self ? new BroadcastChannel(OUTBOX_CHANNEL) : null;
+  const notify = (item) => {
+    if (channel) channel.postMessage({ type: "outbox:update", item });
+  };
+
+  const run = () => replayOutboxItems(notify);
+
+  try {
+    const result = self.navigator && self.navigator.locks
+      ? await self.navigator.locks.request(OUTBOX_LOCK_NAME, run)
+      : await run();
+
+    if (result.stoppedBy === "unauthorized" && channel) {
+      channel.postMessage({ type: "outbox:auth-required" });
+    }
+    if (result.stoppedBy === "offline" || result.stoppedBy === "retry") {
+      throw new Error(`Outbox replay stopped: ${result.stoppedBy}`);
+    }
+    return result;
+  } finally {
+    if (channel) channel.close();
+  }
+}
@@ -3,6 +3,9 @@ const CACHE_NAME = "neibrly-app-v4-clean";
 const STATIC_CACHE = "neibrly-static-v4-clean";
 const DYNAMIC_CACHE = "neibrly-dynamic-v4-clean";
 
+// Outbox replay shared with the page's offline queue (replayOutbox)
+importScripts("/outbox.js");
+
 // Essential files to cache for offline functionality
 const STATIC_ASSETS = [
   "/",
@@ -270,6 +273,10 @@ self.addEventListener("notificationclick", (event) => {
           ? `/reports/${notificationData.referenceId}`
           : "/reports";
         break;
+      case "alert":
+        // The alert banner (and its Acknowledge button) shows on every page
+        targetUrl = "/dashboard";
+        break;
       case "like":
       case "comment":
         targetUrl = notificationData.referenceId
@@ -392,14 +399,16 @@ async function syncPendingNotifications() {
   }
 }
 
-// Sync offline messages when back online
+// Replay the outbox (queued messages, reactions and drafts) when back online.
+// Rethrows when something is still waiting so the browser retries the sync.
 async function syncOfflineMessages() {
   try {
     console.log("Service Worker: Syncing offline messages");
-    // This would integrate with your offline message queue
-    // Implementation depends on your offline storage strategy
+    const result = await replayOutbox();
+    console.log("Service Worker: Outbox replay complete", result);
   } catch (error) {
     console.error("Service Worker: Error syncing offline messages:", error);
+    throw error;
   }
 }
 
@@ -457,6 +466,11 @@ self.addEventListener("message", (event) => {
       });
       break;
 
+    case "REPLAY_OUTBOX":
+      // Pages without Background Sync ask for a replay directly
+      event.waitUntil(syncOfflineMessages().catch(() => {}));
+      break;
+
     case "CLEAR_CACHE":
       // Clear specific cache if requested
       const cacheName = event.data.cacheName;
@@ -0,0 +1,368 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Chip,
+  Typography,
+  TextField,
+  MenuItem,
+  Alert,
+  TablePagination,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Divider,
+  List,
+  ListItem,
+  ListItemText,
+} from '@mui/material';
+import { Schedule as ScheduleIcon, Warning as WarningIcon } from '@mui/icons-material';
+import useApi from '../../hooks/useApi';
+import { StatsSkeleton } from '../Common/LoadingSkeleton';
+
+const STATUS_OPTIONS = ['open', 'in-progress', 'resolved', 'closed'];
+
+const PRIORITY_COLORS = {
+  urgent: 'error',
+  high: 'warning',
+  medium: 'info',
+  low: 'default'
+};
+
+const formatName = (user) => (user && user.firstName ? `${user.firstName} ${user.lastName}` : 'System');
+
+const formatDueBy = (dueBy) => {
+  if (!dueBy) return 'No SLA';
+
+  const hours = Math.round((new Date(dueBy) - Date.now()) / (60 * 60 * 1000));
+  if (hours < 0) return `${Math.abs(hours)}h overdue`;
+  if (hours < 48) return `Due in ${hours}h`;
+  return `Due in ${Math.round(hours / 24)}d`;
+};
+
+const describeHistoryEntry = (entry) => {
+  switch (entry.event) {
+    case 'created':
+      return 'Report created';
+    case 'status_change':
+      return `Status changed from ${entry.fromStatus} to ${entry.toStatus}`;
+    case 'assignment':
+      return entry.assignedTo ? `Assigned to ${formatName(entry.assignedTo)}` : 'Unassigned';
+    case 'escalation':
+      return 'Escalated: past its due date';
+    default:
+      return entry.event;
+  }
+};
+
+/**
+ * Case view for a single assigned report: change its status with a note,
+ * read its history and leave internal comments for other moderators.
+ */
+const ReportCaseDialog = ({ reportId, onClose, onUpdated }) => {
+  const { error, clearError, get, post, makeRequest } = useApi();
+  const [reportCase, setReportCase] = useState(null);
+  const [status, setStatus] = useState('');
+  const [note, setNote] = useState('');
+  const [comment, setComment] = useState('');
+
+  const fetchCase = useCallback(async () => {
+    try {
+      const data = await get(`/api/reports/${reportId}/case`);
+      setReportCase(data);
+      setStatus(data.status);
+    } catch (err) {
+      console.error('Error fetching report case:', err);
+    }
+  }, [get, reportId]);
+
+  useEffect(() => {
+    fetchCase();
+  }, [fetchCase]);
+
+  const handleStatusChange = async () => {
+    try {
+      clearError();
+      await makeRequest(`/api/reports/${reportId}/status`, {
+        method: 'PATCH',
+        body: JSON.stringify({ status, note: note.trim() || undefined })
+      });
+      setNote('');
+      await fetchCase();
+      onUpdated();
+    } catch (err) {
+      console.error('Error updating report status:', err);
+    }
+  };
+
+  const handleAddComment = async () => {
+    try {
+      clearError();
+      await post(`/api/reports/${reportId}/internal-comments`, { content: comment });
+      setComment('');
+      await fetchCase();
+    } catch (err) {
+      console.error('Error adding internal comment:', err);
+    }
+  };
+
+  return (
+    <Dialog open onClose={onClose} maxWidth="md" fullWidth>
+      <DialogTitle>{reportCase ? reportCase.title : 'Loading...'}</DialogTitle>
+      <DialogContent dividers>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error.message || 'Something went wrong'}
+          </Alert>
+        )}
+
+        {reportCase && (
+          <>
+            <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+              <Chip label={reportCase.priority} color={PRIORITY_COLORS[reportCase.priority]} size="small" />
+              <Chip label={reportCase.status} size="small" variant="outlined" />
+              <Chip
+                icon={reportCase.sla.overdue ? <WarningIcon /> : <ScheduleIcon />}
+                label={formatDueBy(reportCase.sla.dueBy)}
+                color={reportCase.sla.overdue ? 'error' : 'default'}
+                size="small"
+              />
+            </Box>
+
+            <Box sx={{ display: 'flex', gap: 2, alignItems: 'flex-start', mb: 3 }}>
+              <TextField
+                select
+                size="small"
+                label="Status"
+                value={status}
+                onChange={(e) => setStatus(e.target.value)}
+                sx={{ minWidth: 160 }}
+              >
+                {STATUS_OPTIONS.map(option => (
+                  <MenuItem key={option} value={option}>{option}</MenuItem>
+                ))}
+              </TextField>
+              <TextField
+                size="small"
+                label="Note (optional)"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                fullWidth
+              />
+              <Button
+                variant="contained"
+                onClick={handleStatusChange}
+                disabled={status === reportCase.status}
+              >
+                Update
+              </Button>
+            </Box>
+
+            <Typography variant="subtitle1" gutterBottom>History</Typography>
+            <List dense>
+              {reportCase.statusHistory.map(entry => (
+                <ListItem key={entry.id} disableGutters>
+                  <ListItemText
+                    primary={describeHistoryEntry(entry)}
+                    secondary={[
+                      formatName(entry.changedBy),
+                      new Date(entry.changedAt).toLocaleString(),
+                      entry.note
+                    ].filter(Boolean).join(' · ')}
+                  />
+                </ListItem>
+              ))}
+            </List>
+
+            <Divider sx={{ my: 2 }} />
+
+            <Typography variant="subtitle1" gutterBottom>Internal comments</Typography>
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+              Only moderators can see these.
+            </Typography>
+            <List dense>
+              {reportCase.internalComments.map(internalComment => (
+                <ListItem key={internalComment.id} disableGutters>
+                  <ListItemText
+                    primary={internalComment.content}
+                    secondary={`${formatName(internalComment.user)} · ${new Date(internalComment.createdAt).toLocaleString()}`}
+                  />
+                </ListItem>
+              ))}
+            </List>
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                size="small"
+                placeholder="Add an internal comment"
+                value={comment}
+                onChange={(e) => setComment(e.target.value)}
+                fullWidth
+                multiline
+              />
+              <Button variant="outlined" onClick={handleAddComment} disabled={!comment.trim()}>
+                Add
+              </Button>
+            </Box>
+          </>
+        )}
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={onClose}>Close</Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+const AssignedReports = () => {
+  const { loading, error, clearError, getWithRetry } = useApi();
+  const [reports, setReports] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(10);
+  const [filter, setFilter] = useState('active');
+  const [selectedReportId, setSelectedReportId] = useState(null);
+
+  const fetchReports = useCallback(async () => {
+    try {
+      clearError();
+      const params = new URLSearchParams({
+        page: page + 1,
+        limit: rowsPerPage
+      });
+
+      if (filter === 'overdue') {
+        params.append('overdue', 'true');
+      } else {
+        params.append('status', filter);
+      }
+
+      const data = await getWithRetry(`/api/reports/assigned/me?${params}`);
+      setReports(data?.reports || []);
+      setTotal(data?.total || 0);
+    } catch (err) {
+      console.error('Error fetching assigned reports:', err);
+    }
+  }, [clearError, getWithRetry, page, rowsPerPage, filter]);
+
+  useEffect(() => {
+    fetchReports();
+  }, [fetchReports]);
+
+  if (loading && reports.length === 0) {
+    return <StatsSkeleton />;
+  }
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h6">My Assigned Reports</Typography>
+        <TextField
+          select
+          size="small"
+          label="Show"
+          value={filter}
+          onChange={(e) => {
+            setFilter(e.target.value);
+            setPage(0);
+          }}
+          sx={{ minWidth: 160 }}
+        >
+          <MenuItem value="active">Open cases</MenuItem>
+          <MenuItem value="overdue">Overdue</MenuItem>
+          <MenuItem value="resolved">Resolved</MenuItem>
+          <MenuItem value="all">All</MenuItem>
+        </TextField>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error.message || 'Failed to load assigned reports'}
+        </Alert>
+      )}
+
+      <TableContainer component={Paper} variant="outlined">
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Report</TableCell>
+              <TableCell>Priority</TableCell>
+              <TableCell>Status</TableCell>
+              <TableCell>Due</TableCell>
+              <TableCell>Assigned</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {reports.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={5} align="center">
+                  <Typography variant="body2" color="text.secondary">
+                    No reports assigned to you
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            ) : reports.map(report => (
+              <TableRow
+                key={report.id}
+                hover
+                onClick={() => setSelectedReportId(report.id)}
+                sx={{ cursor: 'pointer' }}
+              >
+                <TableCell>
+                  <Typography variant="body2">{report.title}</Typography>
+                  <Typography variant="caption" color="text.secondary">{report.category}</Typography>
+                </TableCell>
+                <TableCell>
+                  <Chip label={report.priority} color={PRIORITY_COLORS[report.priority]} size="small" />
+                </TableCell>
+                <TableCell>{report.status}</TableCell>
+                <TableCell>
+                  <Chip
+                    icon={report.overdue ? <WarningIcon /> : <ScheduleIcon />}
+                    label={report.resolvedAt ? 'Resolved' : formatDueBy(report.dueBy)}
+                    color={report.overdue ? 'error' : 'default'}
+                    size="small"
+                    variant="outlined"
+                  />
+                </TableCell>
+                <TableCell>
+                  {report.assignedAt ? new Date(report.assignedAt).toLocaleDateString() : '-'}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <TablePagination
+        component="div"
+        count={total}
+        page={page}
+        onPageChange={(_, newPage) => setPage(newPage)}
+        rowsPerPage={rowsPerPage}
+        onRowsPerPageChange={(e) => {
+          setRowsPerPage(parseInt(e.target.value, 10));
+          setPage(0);
+        }}
+        rowsPerPageOptions={[10, 25, 50]}
+      />
+
+      {selectedReportId && (
+        <ReportCaseDialog
+          reportId={selectedReportId}
+          onClose={() => setSelectedReportId(null)}
+          onUpdated={fetchReports}
+        />
+      )}
+    </Box>
+  );
+};
+
+export default AssignedReports;
@@ -0,0 +1,366 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Grid,
+  Paper,
+  Typography,
+  TextField,
+  MenuItem,
+  Button,
+  Alert,
+  Chip,
+  FormControlLabel,
+  Switch,
+  LinearProgress,
+  List,
+  ListItem,
+  ListItemButton,
+  ListItemText,
+  Divider,
+} from '@mui/material';
+import { Campaign as CampaignIcon, MyLocation as MyLocationIcon } from '@mui/icons-material';
+import useApi from '../../hooks/useApi';
+import { useSocket } from '../../contexts/SocketContext';
+
+const SEVERITY_COLORS = {
+  advisory: 'info',
+  warning: 'warning',
+  emergency: 'error'
+};
+
+const STATUS_COLORS = {
+  active: 'success',
+  cancelled: 'default',
+  expired: 'default'
+};
+
+const EXPIRY_OPTIONS = [
+  { value: 60, label: '1 hour' },
+  { value: 6 * 60, label: '6 hours' },
+  { value: 24 * 60, label: '24 hours' },
+  { value: 3 * 24 * 60, label: '3 days' },
+  { value: 7 * 24 * 60, label: '7 days' }
+];
+
+const EMPTY_FORM = {
+  title: '',
+  message: '',
+  severity: 'warning',
+  areaType: 'neighbourhood',
+  latitude: '',
+  longitude: '',
+  radiusMeters: 1000,
+  expiresInMinutes: 24 * 60,
+  requiresAcknowledgement: false
+};
+
+const formatName = (user) => `${user.firstName} ${user.lastName}`;
+
+/**
+ * Live acknowledgement view for one alert. Acknowledgements arrive over the
+ * socket as recipients respond.
+ */
+const AcknowledgementDashboard = ({ alertId, onCancelled }) => {
+  const { error, clearError, get, post } = useApi();
+  const { socket } = useSocket();
+  const [status, setStatus] = useState(null);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const data = await get(`/api/alerts/${alertId}/acknowledgements`);
+      setStatus(data);
+    } catch (err) {
+      console.error('Error fetching alert acknowledgements:', err);
+    }
+  }, [get, alertId]);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  useEffect(() => {
+    if (!socket) return undefined;
+
+    const handleAcknowledged = (update) => {
+      if (update.alertId !== alertId) return;
+
+      setStatus(prev => {
+        if (!prev) return prev;
+        const pending = prev.pending.filter(user => user.id !== update.user.id);
+        const acknowledgedUser = prev.pending.find(user => user.id === update.user.id) || update.user;
+
+        return {
+          ...prev,
+          alert: { ...prev.alert, acknowledgedCount: update.acknowledgedCount },
+          acknowledged: [...prev.acknowledged, { ...acknowledgedUser, acknowledgedAt: update.acknowledgedAt }],
+          pending
+        };
+      });
+    };
+
+    socket.on('alert_acknowledged', handleAcknowledged);
+    return () => socket.off('alert_acknowledged', handleAcknowledged);
+  }, [socket, alertId]);
+
+  const handleCancel = async () => {
+    try {
+      clearError();
+      await post(`/api/alerts/${alertId}/cancel`, {});
+      await fetchStatus();
+      onCancelled();
+    } catch (err) {
+      console.error('Error cancelling alert:', err);
+    }
+  };
+
+  if (!status) {
+    return <LinearProgress />;
+  }
+
+  const { alert, acknowledged, pending } = status;
+  const progress = alert.recipientCount > 0 ? (alert.acknowledgedCount / alert.recipientCount) * 100 : 0;
+
+  return (
+    <Box>
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error.message || 'Something went wrong'}
+        </Alert>
+      )}
+
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', mb: 2 }}>
+        <Box>
+          <Typography variant="h6">{alert.title}</Typography>
+          <Typography variant="body2" color="text.secondary">{alert.message}</Typography>
+        </Box>
+        {alert.status === 'active' && (
+          <Button color="error" variant="outlined" size="small" onClick={handleCancel}>
+            Cancel alert
+          </Button>
+        )}
+      </Box>
+
+      <Box sx={{ display: 'flex', gap: 1, mb: 2 }}>
+        <Chip label={alert.severity} color={SEVERITY_COLORS[alert.severity]} size="small" />
+        <Chip label={alert.status} color={STATUS_COLORS[alert.status]} size="small" variant="outlined" />
+        <Chip label={`Expires ${new Date(alert.expiresAt).toLocaleString()}`} size="small" variant="outlined" />
+      </Box>
+
+      <Typography variant="body2" gutterBottom>
+        {alert.acknowledgedCount} of {alert.recipientCount} recipients acknowledged
+        {!alert.requiresAcknowledgement && ' (acknowledgement optional)'}
+      </Typography>
+      <LinearProgress variant="determinate" value={progress} sx={{ mb: 2, height: 8, borderRadius: 4 }} />
+
+      <Grid container spacing={2}>
+        <Grid item xs={12} md={6}>
+          <Typography variant="subtitle2">Acknowledged ({acknowledged.length})</Typography>
+          <List dense>
+            {acknowledged.map(user => (
+              <ListItem key={user.id} disableGutters>
+                <ListItemText
+                  primary={formatName(user)}
+                  secondary={new Date(user.acknowledgedAt).toLocaleTimeString()}
+                />
+              </ListItem>
+            ))}
+          </List>
+        </Grid>
+        <Grid item xs={12} md={6}>
+          <Typography variant="subtitle2">Waiting for ({pending.length})</Typography>
+          <List dense>
+            {pending.map(user => (
+              <ListItem key={user.id} disableGutters>
+                <ListItemText primary={formatName(user)} secondary={user.email} />
+              </ListItem>
+            ))}
+          </List>
+        </Grid>
+      </Grid>
+    </Box>
+  );
+};
+
+/**
+ * Issue emergency alerts and follow who has acknowledged them
+ */
+const EmergencyAlerts = () => {
+  const { error, clearError, getWithRetry, post } = useApi();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [alerts, setAlerts] = useState([]);
+  const [selectedAlertId, setSelectedAlertId] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchAlerts = useCallback(async () => {
+    try {
+      const data = await getWithRetry('/api/alerts/issued?limit=20');
+      setAlerts(data?.alerts || []);
+    } catch (err) {
+      console.error('Error fetching issued alerts:', err);
+    }
+  }, [getWithRetry]);
+
+  useEffect(() => {
+    fetchAlerts();
+  }, [fetchAlerts]);
+
+  const handleChange = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setForm(prev => ({
+      ...prev,
+      [field]: value,
+      // Emergencies need an acknowledgement by default
+      ...(field === 'severity' && { requiresAcknowledgement: value === 'emergency' })
+    }));
+  };
+
+  const handleUseLocation = () => {
+    if (!navigator.geolocation) return;
+
+    navigator.geolocation.getCurrentPosition((position) => {
+      setForm(prev => ({
+        ...prev,
+        latitude: position.coords.latitude.toFixed(6),
+        longitude: position.coords.longitude.toFixed(6)
+      }));
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+
+    try {
+      clearError();
+      const area = form.areaType === 'radius'
+        ? {
+          type: 'radius',
+          latitude: parseFloat(form.latitude),
+          longitude: parseFloat(form.longitude),
+          radiusMeters: parseInt(form.radiusMeters, 10)
+        }
+        : { type: 'neighbourhood' };
+
+      const data = await post('/api/alerts', {
+        title: form.title,
+        message: form.message,
+        severity: form.severity,
+        area,
+        expiresInMinutes: form.expiresInMinutes,
+        requiresAcknowledgement: form.requiresAcknowledgement
+      });
+
+      setForm(EMPTY_FORM);
+      await fetchAlerts();
+      setSelectedAlertId(data.alert.id);
+    } catch (err) {
+      console.error('Error issuing alert:', err);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const canSubmit = form.title.trim() && form.message.trim() &&
+    (form.areaType === 'neighbourhood' || (form.latitude && form.longitude));
+
+  return (
+    <Grid container spacing={3}>
+      <Grid item xs={12} md={5}>
+        <Paper variant="outlined" sx={{ p: 2 }} component="form" onSubmit={handleSubmit}>
+          <Typography variant="h6" gutterBottom>Issue an alert</Typography>
+
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error.message || 'Failed to issue alert'}
+            </Alert>
+          )}
+
+          <TextField label="Title" value={form.title} onChange={handleChange('title')} fullWidth margin="dense" inputProps={{ maxLength: 100 }} />
+          <TextField label="Message" value={form.message} onChange={handleChange('message')} fullWidth margin="dense" multiline rows={3} inputProps={{ maxLength: 1000 }} />
+
+          <TextField select label="Severity" value={form.severity} onChange={handleChange('severity')} fullWidth margin="dense">
+            <MenuItem value="advisory">Advisory</MenuItem>
+            <MenuItem value="warning">Warning</MenuItem>
+            <MenuItem value="emergency">Emergency</MenuItem>
+          </TextField>
+
+          <TextField select label="Area" value={form.areaType} onChange={handleChange('areaType')} fullWidth margin="dense">
+            <MenuItem value="neighbourhood">My neighbourhood</MenuItem>
+            <MenuItem value="radius">Radius around a point</MenuItem>
+          </TextField>
+
+          {form.areaType === 'radius' && (
+            <Box sx={{ display: 'flex', gap: 1, alignItems: 'center', flexWrap: 'wrap' }}>
+              <TextField label="Latitude" value={form.latitude} onChange={handleChange('latitude')} margin="dense" size="small" sx={{ flex: 1 }} />
+              <TextField label="Longitude" value={form.longitude} onChange={handleChange('longitude')} margin="dense" size="small" sx={{ flex: 1 }} />
+              <TextField label="Radius (m)" type="number" value={form.radiusMeters} onChange={handleChange('radiusMeters')} margin="dense" size="small" sx={{ width: 120 }} inputProps={{ min: 100, max: 50000 }} />
+              <Button size="small" startIcon={<MyLocationIcon />} onClick={handleUseLocation}>
+                Use my location
+              </Button>
+            </Box>
+          )}
+
+          <TextField select label="Expires after" value={form.expiresInMinutes} onChange={handleChange('expiresInMinutes')} fullWidth margin="dense">
+            {EXPIRY_OPTIONS.map(option => (
+              <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+            ))}
+          </TextField>
+
+          <FormControlLabel
+            control={<Switch checked={form.requiresAcknowledgement} onChange={handleChange('requiresAcknowledgement')} />}
+            label="Require acknowledgement"
+          />
+
+          <Button
+            type="submit"
+            variant="contained"
+            color={form.severity === 'emergency' ? 'error' : 'primary'}
+            startIcon={<CampaignIcon />}
+            disabled={!canSubmit || submitting}
+            fullWidth
+            sx={{ mt: 1 }}
+          >
+            Send alert
+          </Button>
+        </Paper>
+
+        <Paper variant="outlined" sx={{ mt: 2 }}>
+          <Typography variant="subtitle1" sx={{ p: 2, pb: 0 }}>Issued alerts</Typography>
+          <List>
+            {alerts.length === 0 && (
+              <ListItem>
+                <ListItemText secondary="No alerts issued yet" />
+              </ListItem>
+            )}
+            {alerts.map((alert, index) => (
+              <React.Fragment key={alert.id}>
+                {index > 0 && <Divider component="li" />}
+                <ListItemButton selected={alert.id === selectedAlertId} onClick={() => setSelectedAlertId(alert.id)}>
+                  <ListItemText
+                    primary={alert.title}
+                    secondary={`${new Date(alert.createdAt).toLocaleString()} · ${alert.acknowledgedCount}/${alert.recipientCount} acknowledged`}
+                  />
+                  <Chip label={alert.status} color={STATUS_COLORS[alert.status]} size="small" variant="outlined" />
+                </ListItemButton>
+              </React.Fragment>
+            ))}
+          </List>
+        </Paper>
+      </Grid>
+
+      <Grid item xs={12} md={7}>
+        <Paper variant="outlined" sx={{ p: 2, minHeight: 200 }}>
+          {selectedAlertId ? (
+            <AcknowledgementDashboard key={selectedAlertId} alertId={selectedAlertId} onCancelled={fetchAlerts} />
+          ) : (
+            <Typography color="text.secondary">
+              Select an alert to follow its acknowledgements live.
+            </Typography>
+          )}
+        </Paper>
+      </Grid>
+    </Grid>
+  );
+};
+
+export default EmergencyAlerts;
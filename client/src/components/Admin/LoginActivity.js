@@ -0,0 +1,265 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Grid,
+  Card,
+  CardContent,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Chip,
+  Typography,
+  TextField,
+  MenuItem,
+  Alert,
+  TablePagination,
+  FormControlLabel,
+  Switch,
+  List,
+  ListItem,
+  ListItemText,
+} from '@mui/material';
+import {
+  Lock as LockIcon,
+  Public as PublicIcon,
+} from '@mui/icons-material';
+import useApi from '../../hooks/useApi';
+import { StatsSkeleton } from '../Common/LoadingSkeleton';
+
+const REASON_LABELS = {
+  new_device: 'New device',
+  after_failed_attempts: 'After failed attempts',
+  many_accounts_from_ip: 'Many accounts from IP',
+  lockout: 'Caused lockout'
+};
+
+const FAILURE_LABELS = {
+  invalid_credentials: 'Wrong password',
+  account_locked: 'Account locked',
+  ip_locked: 'IP locked',
+  deactivated: 'Deactivated account'
+};
+
+const LoginActivity = () => {
+  const { loading, error, clearError, getWithRetry } = useApi();
+  const [activity, setActivity] = useState(null);
+  const [page, setPage] = useState(0);
+  const [rowsPerPage, setRowsPerPage] = useState(10);
+  const [dateRange, setDateRange] = useState('7'); // days
+  const [showAll, setShowAll] = useState(false);
+
+  const fetchActivity = useCallback(async () => {
+    try {
+      clearError();
+      const params = new URLSearchParams({
+        page: page + 1,
+        limit: rowsPerPage,
+        days: dateRange,
+        all: showAll
+      });
+
+      const data = await getWithRetry(`/api/admin/security/logins?${params}`);
+      setActivity(data);
+    } catch (error) {
+      console.error('Error fetching login activity:', error);
+    }
+  }, [clearError, getWithRetry, page, rowsPerPage, dateRange, showAll]);
+
+  useEffect(() => {
+    fetchActivity();
+  }, [fetchActivity]);
+
+  if (loading && !activity) {
+    return <StatsSkeleton />;
+  }
+
+  const items = activity?.items || [];
+  const topFailingIps = activity?.summary?.topFailingIps || [];
+  const activeLocks = activity?.summary?.activeLocks || [];
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Typography variant="h6">Login Activity</Typography>
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'center' }}>
+          <FormControlLabel
+            control={
+              <Switch
+                checked={showAll}
+                onChange={(e) => {
+                  setShowAll(e.target.checked);
+                  setPage(0);
+                }}
+              />
+            }
+            label="Show all attempts"
+          />
+          <TextField
+            select
+            size="small"
+            label="Time Range"
+            value={dateRange}
+            onChange={(e) => {
+              setDateRange(e.target.value);
+              setPage(0);
+            }}
+            sx={{ minWidth: 120 }}
+          >
+            <MenuItem value="1">Last 24 hours</MenuItem>
+            <MenuItem value="7">Last 7 days</MenuItem>
+            <MenuItem value="30">Last 30 days</MenuItem>
+            <MenuItem value="90">Last 90 days</MenuItem>
+          </TextField>
+        </Box>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={clearError}>
+          {error}
+        </Alert>
+      )}
+
+      <Grid container spacing={3} sx={{ mb: 3 }}>
+        <Grid item xs={12} md={6}>
+          <Card variant="outlined">
+            <CardContent>
+              <Box display="flex" alignItems="center" gap={1} mb={1}>
+                <PublicIcon color="action" />
+                <Typography variant="subtitle1" fontWeight="bold">Top Failing IPs</Typography>
+              </Box>
+              {topFailingIps.length > 0 ? (
+                <List dense disablePadding>
+                  {topFailingIps.map((ip) => (
+                    <ListItem key={ip.ipAddress} disableGutters>
+                      <ListItemText
+                        primary={ip.ipAddress}
+                        secondary={`${ip.failures} failures across ${ip.accountCount} account${ip.accountCount === 1 ? '' : 's'} · last ${new Date(ip.lastAttemptAt).toLocaleString()}`}
+                      />
+                    </ListItem>
+                  ))}
+                </List>
+              ) : (
+                <Typography variant="body2" color="text.secondary">No failed sign-ins in this period</Typography>
+              )}
+            </CardContent>
+          </Card>
+        </Grid>
+        <Grid item xs={12} md={6}>
+          <Card variant="outlined">
+            <CardContent>
+              <Box display="flex" alignItems="center" gap={1} mb={1}>
+                <LockIcon color="action" />
+                <Typography variant="subtitle1" fontWeight="bold">Active Lockouts</Typography>
+              </Box>
+              {activeLocks.length > 0 ? (
+                <List dense disablePadding>
+                  {activeLocks.map((lock) => (
+                    <ListItem key={`${lock.type}:${lock.value}`} disableGutters>
+                      <ListItemText
+                        primary={`${lock.type === 'ip' ? 'IP' : 'Account'}: ${lock.value}`}
+                        secondary={`Until ${new Date(lock.lockedUntil).toLocaleString()} · lockout #${lock.lockCount}`}
+                      />
+                    </ListItem>
+                  ))}
+                </List>
+              ) : (
+                <Typography variant="body2" color="text.secondary">Nothing is locked out right now</Typography>
+              )}
+            </CardContent>
+          </Card>
+        </Grid>
+      </Grid>
+
+      <TableContainer component={Paper}>
+        <Table>
+          <TableHead>
+            <TableRow>
+              <TableCell>Time</TableCell>
+              <TableCell>Account</TableCell>
+              <TableCell>IP Address</TableCell>
+              <TableCell>Device</TableCell>
+              <TableCell>Outcome</TableCell>
+              <TableCell>Flags</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {items.length > 0 ? items.map((attempt) => (
+              <TableRow key={attempt._id}>
+                <TableCell>
+                  <Typography variant="body2">
+                    {new Date(attempt.createdAt).toLocaleString()}
+                  </Typography>
+                </TableCell>
+                <TableCell>
+                  <Box>
+                    <Typography variant="subtitle2">
+                      {attempt.userId
+                        ? `${attempt.userId.firstName} ${attempt.userId.lastName}`
+                        : 'Unknown account'}
+                    </Typography>
+                    <Typography variant="caption" color="text.secondary">
+                      {attempt.email}
+                    </Typography>
+                  </Box>
+                </TableCell>
+                <TableCell>
+                  <Typography variant="body2">{attempt.ipAddress || '—'}</Typography>
+                </TableCell>
+                <TableCell>
+                  <Typography variant="body2">{attempt.deviceName || '—'}</Typography>
+                </TableCell>
+                <TableCell>
+                  <Chip
+                    label={attempt.success ? 'Signed in' : FAILURE_LABELS[attempt.failureReason] || 'Failed'}
+                    color={attempt.success ? 'success' : 'error'}
+                    size="small"
+                    variant="outlined"
+                  />
+                </TableCell>
+                <TableCell>
+                  <Box sx={{ display: 'flex', gap: 0.5, flexWrap: 'wrap' }}>
+                    {(attempt.suspiciousReasons || []).map((reason) => (
+                      <Chip
+                        key={reason}
+                        label={REASON_LABELS[reason] || reason}
+                        color="warning"
+                        size="small"
+                      />
+                    ))}
+                  </Box>
+                </TableCell>
+              </TableRow>
+            )) : (
+              <TableRow>
+                <TableCell colSpan={6} align="center">
+                  <Typography>
+                    {showAll ? 'No sign-in attempts found' : 'No suspicious sign-ins found'}
+                  </Typography>
+                </TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <TablePagination
+        rowsPerPageOptions={[5, 10, 25]}
+        component="div"
+        count={activity?.total || 0}
+        rowsPerPage={rowsPerPage}
+        page={page}
+        onPageChange={(_, newPage) => setPage(newPage)}
+        onRowsPerPageChange={(event) => {
+          setRowsPerPage(parseInt(event.target.value, 10));
+          setPage(0);
+        }}
+      />
+    </Box>
+  );
+};
+
+export default LoginActivity;
@@ -0,0 +1,276 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Box,
+  Table,
+  TableBody,
+  TableCell,
+  TableContainer,
+  TableHead,
+  TableRow,
+  Paper,
+  Chip,
+  Typography,
+  TextField,
+  MenuItem,
+  Alert,
+  Switch,
+  Button,
+  Tooltip,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+} from '@mui/material';
+import {
+  Refresh as RefreshIcon,
+  RestartAlt as RestartAltIcon,
+} from '@mui/icons-material';
+import useApi from '../../hooks/useApi';
+import { StatsSkeleton } from '../Common/LoadingSkeleton';
+
+const KEY_LABELS = {
+  ip: 'IP address',
+  user: 'User',
+  user_or_ip: 'User, else IP'
+};
+
+// Windows are edited in seconds and stored in milliseconds
+const toDraft = (policy) => ({
+  max: String(policy.max),
+  windowSeconds: String(Math.round(policy.windowMs / 1000)),
+  keyBy: policy.keyBy,
+  enabled: policy.enabled
+});
+
+const RateLimits = () => {
+  const { loading, error, clearError, getWithRetry, put, delete: del } = useApi();
+  const [stats, setStats] = useState(null);
+  const [drafts, setDrafts] = useState({});
+  const [saving, setSaving] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const fetchStats = useCallback(async () => {
+    try {
+      clearError();
+      const data = await getWithRetry('/api/rate-limit/stats');
+      setStats(data);
+      setDrafts(Object.fromEntries((data?.policies || []).map(policy => [policy.name, toDraft(policy)])));
+    } catch (error) {
+      console.error('Error fetching rate limits:', error);
+    }
+  }, [clearError, getWithRetry]);
+
+  useEffect(() => {
+    fetchStats();
+  }, [fetchStats]);
+
+  const updateDraft = (name, changes) => {
+    setDrafts(prev => ({ ...prev, [name]: { ...prev[name], ...changes } }));
+  };
+
+  const isDirty = (policy) => {
+    const draft = drafts[policy.name];
+    if (!draft) return false;
+    const original = toDraft(policy);
+    return Object.keys(original).some(key => original[key] !== draft[key]);
+  };
+
+  const handleSave = async (policy) => {
+    const draft = drafts[policy.name];
+    setSaving(policy.name);
+    try {
+      await put(`/api/rate-limit/policies/${policy.name}`, {
+        max: parseInt(draft.max, 10),
+        windowMs: parseInt(draft.windowSeconds, 10) * 1000,
+        keyBy: draft.keyBy,
+        enabled: draft.enabled
+      });
+      setMessage(`Updated the ${policy.name} policy`);
+      await fetchStats();
+    } catch (error) {
+      console.error('Error updating rate limit policy:', error);
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  const handleReset = async (policy) => {
+    setSaving(policy.name);
+    try {
+      await del(`/api/rate-limit/policies/${policy.name}`);
+      setMessage(`Reset the ${policy.name} policy to its defaults`);
+      await fetchStats();
+    } catch (error) {
+      console.error('Error resetting rate limit policy:', error);
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  if (loading && !stats) {
+    return <StatsSkeleton />;
+  }
+
+  const policies = stats?.policies || [];
+  const topKeys = stats?.topKeys || [];
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', mb: 3 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+          <Typography variant="h6">Rate Limits</Typography>
+          {stats && (
+            <>
+              <Chip
+                label={stats.enabled ? 'Enforced' : 'Disabled'}
+                color={stats.enabled ? 'success' : 'default'}
+                size="small"
+              />
+              <Chip label={`Store: ${stats.store}`} size="small" variant="outlined" />
+            </>
+          )}
+        </Box>
+        <Tooltip title="Refresh">
+          <IconButton onClick={fetchStats}>
+            <RefreshIcon />
+          </IconButton>
+        </Tooltip>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 3 }} onClose={clearError}>
+          {error}
+        </Alert>
+      )}
+
+      {message && (
+        <Alert severity="success" sx={{ mb: 3 }} onClose={() => setMessage(null)}>
+          {message}
+        </Alert>
+      )}
+
+      <TableContainer component={Paper} sx={{ mb: 3 }}>
+        <Table size="small">
+          <TableHead>
+            <TableRow>
+              <TableCell>Policy</TableCell>
+              <TableCell>Max Requests</TableCell>
+              <TableCell>Window (seconds)</TableCell>
+              <TableCell>Counted By</TableCell>
+              <TableCell>Enabled</TableCell>
+              <TableCell align="right">Actions</TableCell>
+            </TableRow>
+          </TableHead>
+          <TableBody>
+            {policies.map((policy) => {
+              const draft = drafts[policy.name] || toDraft(policy);
+              return (
+                <TableRow key={policy.name}>
+                  <TableCell>
+                    <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                      <Typography variant="subtitle2">{policy.name}</Typography>
+                      {policy.overridden && <Chip label="Custom" size="small" color="info" />}
+                    </Box>
+                    <Typography variant="caption" color="text.secondary">
+                      {policy.description}
+                    </Typography>
+                  </TableCell>
+                  <TableCell>
+                    <TextField
+                      type="number"
+                      size="small"
+                      value={draft.max}
+                      onChange={(e) => updateDraft(policy.name, { max: e.target.value })}
+                      inputProps={{ min: 1 }}
+                      sx={{ width: 110 }}
+                    />
+                  </TableCell>
+                  <TableCell>
+                    <TextField
+                      type="number"
+                      size="small"
+                      value={draft.windowSeconds}
+                      onChange={(e) => updateDraft(policy.name, { windowSeconds: e.target.value })}
+                      inputProps={{ min: 1 }}
+                      sx={{ width: 110 }}
+                    />
+                  </TableCell>
+                  <TableCell>
+                    <TextField
+                      select
+                      size="small"
+                      value={draft.keyBy}
+                      onChange={(e) => updateDraft(policy.name, { keyBy: e.target.value })}
+                      sx={{ minWidth: 140 }}
+                    >
+                      {Object.entries(KEY_LABELS).map(([value, label]) => (
+                        <MenuItem key={value} value={value}>{label}</MenuItem>
+                      ))}
+                    </TextField>
+                  </TableCell>
+                  <TableCell>
+                    <Switch
+                      checked={draft.enabled}
+                      onChange={(e) => updateDraft(policy.name, { enabled: e.target.checked })}
+                    />
+                  </TableCell>
+                  <TableCell align="right">
+                    <Box sx={{ display: 'flex', justifyContent: 'flex-end', gap: 1 }}>
+                      <Button
+                        size="small"
+                        variant="contained"
+                        disabled={!isDirty(policy) || saving === policy.name}
+                        onClick={() => handleSave(policy)}
+                      >
+                        Save
+                      </Button>
+                      {policy.overridden && (
+                        <Tooltip title="Back to defaults">
+                          <span>
+                            <IconButton
+                              size="small"
+                              disabled={saving === policy.name}
+                              onClick={() => handleReset(policy)}
+                            >
+                              <RestartAltIcon fontSize="small" />
+                            </IconButton>
+                          </span>
+                        </Tooltip>
+                      )}
+                    </Box>
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+          </TableBody>
+        </Table>
+      </TableContainer>
+
+      <Paper variant="outlined" sx={{ p: 2 }}>
+        <Typography variant="subtitle1" fontWeight="bold" gutterBottom>
+          Busiest Callers
+        </Typography>
+        {topKeys.length > 0 ? (
+          <List dense disablePadding>
+            {topKeys.map((counter) => (
+              <ListItem key={counter.key} disableGutters>
+                <ListItemText
+                  primary={counter.key}
+                  secondary={`${counter.count} requests · resets ${new Date(counter.resetAt).toLocaleTimeString()}`}
+                />
+              </ListItem>
+            ))}
+          </List>
+        ) : (
+          <Typography variant="body2" color="text.secondary">
+            {stats?.store === 'redis'
+              ? 'The Redis store does not list its counters'
+              : 'No requests counted in the current windows'}
+          </Typography>
+        )}
+      </Paper>
+    </Box>
+  );
+};
+
+export default RateLimits;
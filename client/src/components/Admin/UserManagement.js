@@ -29,12 +29,13 @@ import {
   Block as BlockIcon,
   CheckCircle as CheckCircleIcon,
   Person as PersonIcon,
+  PhonelinkErase as ResetTwoFactorIcon,
 } from '@mui/icons-material';
 import useApi from '../../hooks/useApi';
 import { StatsSkeleton } from '../Common/LoadingSkeleton';
 
 const UserManagement = () => {
-  const { loading, error, clearError, getWithRetry, patchWithRetry } = useApi();
+  const { loading, error, clearError, getWithRetry, patchWithRetry, post } = useApi();
   const [users, setUsers] = useState([]);
   const [selectedUser, setSelectedUser] = useState(null);
   const [editDialogOpen, setEditDialogOpen] = useState(false);
@@ -121,6 +122,24 @@ const UserManagement = () => {
   const handleConfirmAction = async () => {
     try {
       clearError();
+
+      if (actionType === 'reset2fa') {
+        await post(`/api/admin/users/${selectedUser._id}/2fa/reset`, {
+          reason: 'Two-factor reset via admin dashboard'
+        });
+
+        setUsers(users.map(user =>
+          user._id === selectedUser._id
+            ? { ...user, twoFactor: { enabled: false } }
+            : user
+        ));
+
+        setActionDialogOpen(false);
+        setSelectedUser(null);
+        setActionType('');
+        return;
+      }
+
       let newStatus;
       
       switch (actionType) {
@@ -279,6 +298,17 @@ const UserManagement = () => {
                       </Tooltip>
                     )}
                     
+                    {user.twoFactor?.enabled && (
+                      <Tooltip title="Reset Two-Factor Authentication">
+                        <IconButton 
+                          size="small" 
+                          onClick={() => handleUserAction(user, 'reset2fa')}
+                        >
+                          <ResetTwoFactorIcon />
+                        </IconButton>
+                      </Tooltip>
+                    )}
+
                     {user.status === 'suspended' && (
                       <Tooltip title="Activate User">
                         <IconButton 
@@ -347,7 +377,9 @@ const UserManagement = () => {
         <DialogTitle>Confirm Action</DialogTitle>
         <DialogContent>
           <Typography>
-            Are you sure you want to {actionType} user {selectedUser?.firstName} {selectedUser?.lastName}?
+            {actionType === 'reset2fa'
+              ? `Reset two-factor authentication for ${selectedUser?.firstName} ${selectedUser?.lastName}? They will be signed out everywhere and have to set it up again.`
+              : `Are you sure you want to ${actionType} user ${selectedUser?.firstName} ${selectedUser?.lastName}?`}
           </Typography>
         </DialogContent>
         <DialogActions>
@@ -0,0 +1,120 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import { Alert, AlertTitle, Box, Button, CircularProgress } from '@mui/material';
+import { useAuth } from '../../contexts/AuthContext';
+import { useSocket } from '../../contexts/SocketContext';
+
+const SEVERITY_TO_MUI = {
+  advisory: 'info',
+  warning: 'warning',
+  emergency: 'error'
+};
+
+/**
+ * Shows the emergency alerts currently in effect for the user's area.
+ * Alerts that need an acknowledgement stay until the user acknowledges
+ * them; the rest can be dismissed for this session.
+ */
+const EmergencyAlertBanner = () => {
+  const { user } = useAuth();
+  const { socket } = useSocket();
+  const [alerts, setAlerts] = useState([]);
+  const [dismissed, setDismissed] = useState(() => new Set());
+  const [acknowledging, setAcknowledging] = useState(null);
+
+  const fetchAlerts = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/alerts');
+      setAlerts(response.data.alerts || []);
+    } catch (error) {
+      console.error('Error fetching alerts:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user) {
+      fetchAlerts();
+    }
+  }, [user, fetchAlerts]);
+
+  useEffect(() => {
+    if (!socket) return undefined;
+
+    const handleAlert = (alert) => {
+      // The issuer follows their own alert from the dashboard instead
+      if (alert.issuedBy?.id === (user?.id || user?._id)) return;
+      setAlerts(prev => [alert, ...prev.filter(existing => existing.id !== alert.id)]);
+    };
+
+    const handleCancelled = ({ alertId }) => {
+      setAlerts(prev => prev.filter(alert => alert.id !== alertId));
+    };
+
+    socket.on('emergency_alert', handleAlert);
+    socket.on('emergency_alert_cancelled', handleCancelled);
+    // Catch up on anything issued while the connection was down
+    socket.on('connect', fetchAlerts);
+
+    return () => {
+      socket.off('emergency_alert', handleAlert);
+      socket.off('emergency_alert_cancelled', handleCancelled);
+      socket.off('connect', fetchAlerts);
+    };
+  }, [socket, user, fetchAlerts]);
+
+  const handleAcknowledge = async (alertId) => {
+    setAcknowledging(alertId);
+    try {
+      await axios.post(`/api/alerts/${alertId}/acknowledge`);
+      setAlerts(prev => prev.map(alert => (
+        alert.id === alertId ? { ...alert, acknowledged: true } : alert
+      )));
+    } catch (error) {
+      console.error('Error acknowledging alert:', error);
+    } finally {
+      setAcknowledging(null);
+    }
+  };
+
+  const handleDismiss = (alertId) => {
+    setDismissed(prev => new Set(prev).add(alertId));
+  };
+
+  const now = Date.now();
+  const visibleAlerts = alerts.filter(alert => (
+    new Date(alert.expiresAt).getTime() > now &&
+    (alert.requiresAcknowledgement ? !alert.acknowledged : !dismissed.has(alert.id))
+  ));
+
+  if (!user || visibleAlerts.length === 0) {
+    return null;
+  }
+
+  return (
+    <Box sx={{ mb: 2, display: 'flex', flexDirection: 'column', gap: 1 }}>
+      {visibleAlerts.map(alert => (
+        <Alert
+          key={alert.id}
+          severity={SEVERITY_TO_MUI[alert.severity] || 'warning'}
+          variant={alert.severity === 'emergency' ? 'filled' : 'standard'}
+          onClose={alert.requiresAcknowledgement ? undefined : () => handleDismiss(alert.id)}
+          action={alert.requiresAcknowledgement ? (
+            <Button
+              color="inherit"
+              size="small"
+              onClick={() => handleAcknowledge(alert.id)}
+              disabled={acknowledging === alert.id}
+            >
+              {acknowledging === alert.id ? <CircularProgress size={16} color="inherit" /> : 'Acknowledge'}
+            </Button>
+          ) : undefined}
+        >
+          <AlertTitle>{alert.title}</AlertTitle>
+          {alert.message}
+        </Alert>
+      ))}
+    </Box>
+  );
+};
+
+export default EmergencyAlertBanner;
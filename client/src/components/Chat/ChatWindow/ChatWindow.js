@@ -9,6 +9,7 @@ import ChatSidebar from '../Common/ChatSidebar';
 import InChatSearchBar from '../Common/InChatSearchBar';
 import OfflineIndicator from '../Common/OfflineIndicator';
 import MessageForwardDialog from '../MessageInteractions/MessageForwardDialog';
+import EditMessageDialog from '../MessageInteractions/EditMessageDialog';
 import { useChat } from '../../../hooks/useChat';
 import { useSocket } from '../../../contexts/SocketContext';
 import { useAuth } from '../../../contexts/AuthContext';
@@ -18,6 +19,9 @@ import useInChatSearch from '../../../hooks/useInChatSearch';
 import useOfflineManager from '../../../hooks/useOfflineManager';
 import useMessageForwarding from '../../../hooks/useMessageForwarding';
 import { useToast } from '../../../contexts/ToastContext';
+import { MESSAGE_ACTIONS } from '../../../constants/chat';
+
+const MODERATOR_ROLES = ['admin', 'moderator'];
 
 /**
  * Unified ChatWindow component that works for both group and private chats
@@ -41,12 +45,14 @@ const ChatWindow = ({
   const { features } = useDesktopFeatures();
   const { showToast } = useToast();
   const { forwardMessage, isForwarding } = useMessageForwarding();
+  const { editMessage, deleteMessage } = useChat();
   const [typingUsers, setTypingUsers] = useState({});
   const [replyingTo, setReplyingTo] = useState(null);
   const [sidebarOpen, setSidebarOpen] = useState(showSidebar && features.sidebar);
   const [displayMessages, setDisplayMessages] = useState(messages);
   const [forwardDialogOpen, setForwardDialogOpen] = useState(false);
   const [messageToForward, setMessageToForward] = useState(null);
+  const [messageToEdit, setMessageToEdit] = useState(null);
   const messagesEndRef = useRef(null);
   const messagesContainerRef = useRef(null);
   const inputRef = useRef(null);
@@ -251,6 +257,7 @@ const ChatWindow = ({
     try {
       const messageData = {
         chatId: chat.id,
+        chatType: chat.type,
         content,
         type: attachments.length > 0 ? 'attachment' : 'text',
         attachments,
@@ -329,6 +336,42 @@ const ChatWindow = ({
     }
   };
 
+  // Group admins and moderators, and site moderators, can delete any message
+  const canModerate = chat?.type === 'group' &&
+    (MODERATOR_ROLES.includes(chat.memberRole) || MODERATOR_ROLES.includes(user?.role));
+
+  // Handle edit message
+  const handleEditMessage = (messageId) => {
+    const message = displayMessages.find(msg => msg.id === messageId);
+    if (message) {
+      setMessageToEdit(message);
+    }
+  };
+
+  // Handle edit confirmation; errors are shown in the dialog
+  const handleEditConfirm = async (message, content) => {
+    await editMessage(message.id, content);
+    setDisplayMessages(prev => prev.map(msg => 
+      msg.id === message.id ? { ...msg, content, isEdited: true, editedAt: new Date() } : msg
+    ));
+  };
+
+  // Handle delete for me / delete for everyone
+  const handleDeleteMessage = async (messageId, deleteType) => {
+    const forEveryone = deleteType === MESSAGE_ACTIONS.DELETE_FOR_EVERYONE;
+    try {
+      await deleteMessage(messageId, forEveryone);
+      setDisplayMessages(prev => (forEveryone
+        ? prev.map(msg => (msg.id === messageId
+          ? { ...msg, isDeleted: true, content: '', attachments: [], reactions: [] }
+          : msg))
+        : prev.filter(msg => msg.id !== messageId)));
+    } catch (error) {
+      console.error('Failed to delete message:', error);
+      showToast(error.response?.data?.message || 'Failed to delete message', 'error');
+    }
+  };
+
   // Handle sidebar toggle
   const handleSidebarToggle = () => {
     const newState = !sidebarOpen;
@@ -486,6 +529,10 @@ const ChatWindow = ({
                 handleRemoveFailedMessage(messageId);
               } else if (action === 'forward') {
                 handleForwardMessage(messageId);
+              } else if (action === MESSAGE_ACTIONS.EDIT) {
+                handleEditMessage(messageId);
+              } else if (action === MESSAGE_ACTIONS.DELETE_FOR_ME || action === MESSAGE_ACTIONS.DELETE_FOR_EVERYONE) {
+                handleDeleteMessage(messageId, action);
               } else if (action === 'scroll_to_message') {
                 // Handle scrolling to replied message
                 const messageElement = document.querySelector(`[data-message-id="${messageId}"]`);
@@ -496,6 +543,7 @@ const ChatWindow = ({
                 onMessageAction(messageId, action, data);
               }
             }}
+            canModerate={canModerate}
             searchQuery={searchQuery}
             highlightedMessageId={highlightedMessageId}
             onRegisterMessageRef={registerMessageRef}
@@ -551,6 +599,14 @@ const ChatWindow = ({
         message={messageToForward}
         onForward={handleForwardConfirm}
       />
+
+      {/* Edit Message Dialog */}
+      <EditMessageDialog
+        open={Boolean(messageToEdit)}
+        onClose={() => setMessageToEdit(null)}
+        message={messageToEdit}
+        onSave={handleEditConfirm}
+      />
     </Box>
   );
 };
@@ -9,7 +9,7 @@ import useMessageMenu from '../../../hooks/useMessageMenu';
 import MessageHighlighter from '../Common/MessageHighlighter';
 import ForwardedMessageIndicator from '../MessageInteractions/ForwardedMessageIndicator';
 import useMessageForwarding from '../../../hooks/useMessageForwarding';
-import { CHAT_TYPES } from '../../../constants/chat';
+import { CHAT_TYPES, MESSAGE_ACTIONS, UI_CONSTANTS } from '../../../constants/chat';
 
 /**
  * WhatsApp-style unified message bubble component
@@ -29,9 +29,11 @@ const MessageBubble = ({
   onReply,
   onMessageAction,
   onForward,
+  onEdit,
   onDelete,
   onInfo,
   onReport,
+  canModerate = false,
   className = '',
   searchQuery = '',
   isHighlighted = false,
@@ -53,12 +55,18 @@ const MessageBubble = ({
       navigator.clipboard.writeText(content);
     },
     onForward,
-    onDelete,
+    // Edits and deletes go through onMessageAction unless handled directly
+    onEdit: onEdit || ((messageId) => onMessageAction?.(messageId, MESSAGE_ACTIONS.EDIT)),
+    onDelete: onDelete || ((messageId, deleteType) => onMessageAction?.(messageId, deleteType)),
     onInfo,
     onReport,
     onMessageAction
   });
 
+  // The server enforces the edit window; this only decides whether to offer it
+  const sentAt = new Date(message.createdAt || message.timestamp).getTime();
+  const canEdit = !message.isDeleted && Date.now() - sentAt < UI_CONSTANTS.MESSAGE_EDIT_WINDOW;
+
   // Get message event handlers from the hook
   const messageEventHandlers = messageMenu.getMessageEventHandlers(message.id || message._id);
 
@@ -297,7 +305,19 @@ const MessageBubble = ({
         )}
 
         {/* Message Content */}
-        {searchQuery && (message.type === 'text' || !message.type) ? (
+        {message.isDeleted ? (
+          <Typography
+            variant="body2"
+            sx={{
+              lineHeight: 1.4,
+              fontSize: '0.95rem',
+              fontStyle: 'italic',
+              opacity: 0.6
+            }}
+          >
+            This message was deleted
+          </Typography>
+        ) : searchQuery && (message.type === 'text' || !message.type) ? (
           <MessageHighlighter
             text={getMessageContent()}
             searchQuery={searchQuery}
@@ -338,6 +358,20 @@ const MessageBubble = ({
             mt: 0.5
           }}
         >
+          {/* Edited label */}
+          {message.isEdited && !message.isDeleted && (
+            <Typography
+              variant="caption"
+              sx={{
+                opacity: 0.6,
+                fontSize: '0.75rem',
+                fontStyle: 'italic'
+              }}
+            >
+              edited
+            </Typography>
+          )}
+
           {/* Timestamp */}
           {showTime && (
             <Typography
@@ -436,11 +470,14 @@ const MessageBubble = ({
         messageId={message.id || message._id}
         chatType={chatType === 'group' ? CHAT_TYPES.GROUP : CHAT_TYPES.PRIVATE}
         isOwnMessage={isOwn}
+        canModerate={canModerate}
+        canEdit={canEdit}
         messageType={message.type || 'text'}
         onReact={messageMenu.handleReact}
         onReply={messageMenu.handleReply}
         onCopy={messageMenu.handleCopy}
         onForward={messageMenu.handleForward}
+        onEdit={messageMenu.handleEdit}
         onDelete={messageMenu.handleDelete}
         onInfo={messageMenu.handleInfo}
         onReport={messageMenu.handleReport}
@@ -456,8 +493,11 @@ export default memo(MessageBubble, (prevProps, nextProps) => {
     prevProps.message?.id === nextProps.message?.id &&
     prevProps.message?.content === nextProps.message?.content &&
     prevProps.message?.status === nextProps.message?.status &&
+    prevProps.message?.isEdited === nextProps.message?.isEdited &&
+    prevProps.message?.isDeleted === nextProps.message?.isDeleted &&
     prevProps.message?.reactions?.length === nextProps.message?.reactions?.length &&
     prevProps.isOwn === nextProps.isOwn &&
+    prevProps.canModerate === nextProps.canModerate &&
     prevProps.showAvatar === nextProps.showAvatar &&
     prevProps.showTimestamp === nextProps.showTimestamp &&
     prevProps.searchQuery === nextProps.searchQuery
@@ -19,6 +19,7 @@ const MessageList = ({
   onReply,
   onForward,
   onMessageAction,
+  canModerate = false,
   className = '',
   enableVirtualization = true,
   searchQuery = '',
@@ -303,6 +304,7 @@ const MessageList = ({
                         onReply={onReply}
                         onForward={onForward}
                         onMessageAction={onMessageAction}
+                        canModerate={canModerate}
                         searchQuery={searchQuery}
                         isHighlighted={highlightedMessageId === (message.id || `msg-${actualIndex}-${messageIndex}`)}
                         onRegisterRef={onRegisterMessageRef}
@@ -364,6 +366,7 @@ const MessageList = ({
                   onReply={onReply}
                   onForward={onForward}
                   onMessageAction={onMessageAction}
+                  canModerate={canModerate}
                   searchQuery={searchQuery}
                   isHighlighted={highlightedMessageId === (message.id || `msg-${groupIndex}-${messageIndex}`)}
                   onRegisterRef={onRegisterMessageRef}
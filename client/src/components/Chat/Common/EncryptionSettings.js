@@ -8,6 +8,8 @@ import './EncryptionSettings.css';
 const EncryptionSettings = ({ 
   encryptionInfo, 
   onToggleEncryption, 
+  onVerify,
+  onAcknowledgeKeyChange,
   onClose,
   chatType = 'private' // 'private' or 'group'
 }) => {
@@ -74,6 +76,12 @@ const EncryptionSettings = ({
             status={encryptionInfo.status}
             statusText={encryptionInfo.statusText}
             size="large"
+            safetyNumber={encryptionInfo.safetyNumber}
+            isVerified={encryptionInfo.isVerified}
+            keyChanged={encryptionInfo.keyChanged}
+            hasRejectedKeys={encryptionInfo.rejectedKeys?.length > 0}
+            onVerify={onVerify}
+            onAcknowledgeKeyChange={onAcknowledgeKeyChange}
           />
         </div>
 
@@ -115,7 +123,8 @@ const EncryptionSettings = ({
               <li>Messages are encrypted on your device before sending</li>
               <li>Only you and the recipient(s) have the keys to decrypt messages</li>
               <li>The server cannot read your encrypted messages</li>
-              <li>Keys are generated fresh for each chat session</li>
+              <li>Each of your devices has its own key, which never leaves it</li>
+              <li>Compare safety numbers to make sure no one is in the middle</li>
             </ul>
           </div>
         )}
@@ -134,7 +143,7 @@ const EncryptionSettings = ({
               </button>
             </div>
             <p className="encryption-settings__key-note">
-              This key is shared with other participants to enable encryption.
+              This device's key is published so other participants can encrypt messages for it.
             </p>
           </div>
         )}
@@ -3,6 +3,10 @@ import './EncryptionStatus.css';
 
 /**
  * Component to display encryption status in chat windows
+ *
+ * When given a safety number it also shows it for comparison with the other
+ * participant, and warns when their keys have changed since it was last seen
+ * or when keys were rejected because they didn't match their fingerprints.
  */
 const EncryptionStatus = ({ 
   isEnabled, 
@@ -11,7 +15,13 @@ const EncryptionStatus = ({
   showIcon = true, 
   showText = true,
   size = 'medium',
-  onClick 
+  onClick,
+  safetyNumber,
+  isVerified = false,
+  keyChanged = false,
+  hasRejectedKeys = false,
+  onVerify,
+  onAcknowledgeKeyChange
 }) => {
   const getStatusIcon = () => {
     switch (status) {
@@ -37,7 +47,7 @@ const EncryptionStatus = ({
     }
   };
 
-  return (
+  const badge = (
     <div 
       className={getStatusClass()}
       onClick={handleClick}
@@ -58,6 +68,65 @@ const EncryptionStatus = ({
       )}
     </div>
   );
+
+  if (!safetyNumber && !keyChanged && !hasRejectedKeys) {
+    return badge;
+  }
+
+  return (
+    <div className="encryption-status-panel">
+      {badge}
+
+      {hasRejectedKeys && (
+        <div className="encryption-status-panel__warning" role="alert">
+          <p>
+            Some of the other participant's encryption keys didn't match their fingerprints
+            and were not used. Messages won't reach those devices. Compare safety numbers
+            before sharing anything sensitive.
+          </p>
+        </div>
+      )}
+
+      {keyChanged && (
+        <div className="encryption-status-panel__warning" role="alert">
+          <p>
+            The other participant's encryption keys have changed. This happens when they
+            use a new device or reinstall, but could also mean someone is intercepting
+            messages. Compare safety numbers again before sharing anything sensitive.
+          </p>
+          {onAcknowledgeKeyChange && (
+            <button
+              className="encryption-status-panel__button"
+              onClick={onAcknowledgeKeyChange}
+            >
+              Dismiss
+            </button>
+          )}
+        </div>
+      )}
+
+      {safetyNumber && (
+        <div className="encryption-status-panel__safety">
+          <span className="encryption-status-panel__label">
+            Safety number {isVerified && <span className="encryption-status-panel__verified">✓ Verified</span>}
+          </span>
+          <code className="encryption-status-panel__number">{safetyNumber}</code>
+          <p className="encryption-status-panel__hint">
+            Compare this number with the other participant in person or on a call.
+            If it matches on both devices, your messages can't be read by anyone else.
+          </p>
+          {!isVerified && onVerify && (
+            <button
+              className="encryption-status-panel__button"
+              onClick={onVerify}
+            >
+              Mark as verified
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
 };
 
 export default EncryptionStatus;
\ No newline at end of file
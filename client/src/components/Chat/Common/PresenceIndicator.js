@@ -2,12 +2,22 @@ import React from 'react';
 import { Box, Tooltip, Typography } from '@mui/material';
 import { Circle, AccessTime } from '@mui/icons-material';
 
+// Dot colour and label for each status the server reports, other than offline
+const STATUS_STYLES = {
+  online: { color: '#4caf50', label: 'Online' },
+  away: { color: '#ff9800', label: 'Away' },
+  dnd: { color: '#f44336', label: 'Do not disturb' }
+};
+
 /**
  * PresenceIndicator component for showing user online/offline status
- * Displays online status with green dot and last seen information
+ * Displays online status with green dot and last seen information.
+ * Pass status ('online', 'away', 'dnd' or 'offline') to show away and
+ * do not disturb too; isOnline alone shows online or offline.
  */
 const PresenceIndicator = ({ 
   isOnline, 
+  status,
   lastSeenText, 
   size = 'small',
   showText = false,
@@ -49,18 +59,21 @@ const PresenceIndicator = ({
     }
   };
 
+  const activeStatus = status ? STATUS_STYLES[status] : (isOnline ? STATUS_STYLES.online : null);
+  const statusText = activeStatus ? activeStatus.label : lastSeenText;
+
   const getStatusColor = () => {
-    return isOnline ? '#4caf50' : '#9e9e9e';
+    return activeStatus ? activeStatus.color : '#9e9e9e';
   };
 
   const getStatusIcon = () => {
-    if (isOnline) {
+    if (activeStatus) {
       return (
         <Circle
           sx={{
             ...getSizeStyles(),
             color: getStatusColor(),
-            filter: 'drop-shadow(0 0 2px rgba(76, 175, 80, 0.5))'
+            filter: `drop-shadow(0 0 2px ${getStatusColor()}80)`
           }}
         />
       );
@@ -98,7 +111,7 @@ const PresenceIndicator = ({
             whiteSpace: 'nowrap'
           }}
         >
-          {isOnline ? 'Online' : lastSeenText}
+          {statusText}
         </Typography>
       )}
     </Box>
@@ -107,7 +120,7 @@ const PresenceIndicator = ({
   if (showTooltip && !showText) {
     return (
       <Tooltip 
-        title={isOnline ? 'Online' : lastSeenText} 
+        title={statusText} 
         placement="top"
         arrow
         enterDelay={500}
@@ -204,4 +204,72 @@ describe('EncryptionStatus', () => {
     expect(textElement).toBeInTheDocument();
     expect(textElement).toHaveTextContent('');
   });
-});
\ No newline at end of file
+
+  it('should show the safety number and let the user verify it', () => {
+    const handleVerify = jest.fn();
+
+    render(
+      <EncryptionStatus
+        isEnabled={true}
+        status="enabled"
+        statusText="Messages are end-to-end encrypted"
+        safetyNumber="12345 67890"
+        onVerify={handleVerify}
+      />
+    );
+
+    expect(screen.getByText('12345 67890')).toBeInTheDocument();
+    fireEvent.click(screen.getByText('Mark as verified'));
+    expect(handleVerify).toHaveBeenCalledTimes(1);
+  });
+
+  it('should warn when keys have changed', () => {
+    const handleAcknowledge = jest.fn();
+
+    render(
+      <EncryptionStatus
+        isEnabled={true}
+        status="enabled"
+        statusText="Messages are end-to-end encrypted"
+        safetyNumber="12345 67890"
+        isVerified={false}
+        keyChanged={true}
+        onAcknowledgeKeyChange={handleAcknowledge}
+      />
+    );
+
+    expect(screen.getByRole('alert')).toHaveTextContent('encryption keys have changed');
+    fireEvent.click(screen.getByText('Dismiss'));
+    expect(handleAcknowledge).toHaveBeenCalledTimes(1);
+  });
+
+  it('should warn when keys were rejected', () => {
+    render(
+      <EncryptionStatus
+        isEnabled={true}
+        status="enabled"
+        statusText="Messages are end-to-end encrypted"
+        safetyNumber="12345 67890"
+        hasRejectedKeys={true}
+      />
+    );
+
+    expect(screen.getByRole('alert')).toHaveTextContent("didn't match their fingerprints");
+  });
+
+  it('should show verified safety numbers as verified', () => {
+    render(
+      <EncryptionStatus
+        isEnabled={true}
+        status="enabled"
+        statusText="Messages are end-to-end encrypted"
+        safetyNumber="12345 67890"
+        isVerified={true}
+        onVerify={jest.fn()}
+      />
+    );
+
+    expect(screen.getByText('✓ Verified')).toBeInTheDocument();
+    expect(screen.queryByText('Mark as verified')).not.toBeInTheDocument();
+  });
+});
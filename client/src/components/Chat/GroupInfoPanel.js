@@ -19,6 +19,7 @@ import {
 } from '@mui/icons-material';
 import GroupMembersList from './GroupMembersList';
 import { useGroupMembers } from '../../hooks/useGroupMembers';
+import useUserPresence from '../../hooks/useUserPresence';
 
 const GroupInfoPanel = ({
   group,
@@ -38,6 +39,7 @@ const GroupInfoPanel = ({
     getMemberById,
     memberCount
   } = useGroupMembers();
+  const memberPresence = useUserPresence(groupMembers.map(member => member._id));
 
   // Fetch members when group changes
   useEffect(() => {
@@ -182,6 +184,7 @@ const GroupInfoPanel = ({
       <Box sx={{ flex: 1, overflow: 'hidden', display: 'flex', flexDirection: 'column' }}>
         <GroupMembersList
           members={groupMembers}
+          presence={memberPresence}
           loading={loadingMembers}
           error={memberError}
           onRefresh={handleRefreshMembers}
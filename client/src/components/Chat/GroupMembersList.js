@@ -20,6 +20,8 @@ import {
   Gavel as ModeratorIcon,
   Person as MemberIcon
 } from '@mui/icons-material';
+import PresenceIndicator from './Common/PresenceIndicator';
+import { formatLastSeen } from '../../hooks/useUserPresence';
 
 const GroupMembersList = ({
   members = [],
@@ -29,7 +31,8 @@ const GroupMembersList = ({
   showRoles = true,
   showJoinDate = false,
   compact = false,
-  maxHeight = null
+  maxHeight = null,
+  presence = {} // keyed by user ID, from useUserPresence
 }) => {
   // Role configuration
   const getRoleConfig = (role) => {
@@ -212,6 +215,10 @@ const GroupMembersList = ({
                              member.fullName || 
                              `${member.firstName || ''} ${member.lastName || ''}`.trim() ||
                              'Unknown User';
+          // Null status means the member's privacy settings hide their presence
+          const memberPresence = presence[member._id || member.id];
+          const showPresence = memberPresence && memberPresence.status !== null;
+          const lastSeenText = formatLastSeen(memberPresence);
           
           return (
             <ListItem
@@ -225,17 +232,26 @@ const GroupMembersList = ({
               }}
             >
               <ListItemAvatar>
-                <Avatar
-                  src={member.profileImageUrl}
-                  alt={displayName}
-                  sx={{ 
-                    width: compact ? 32 : 40, 
-                    height: compact ? 32 : 40,
-                    fontSize: compact ? '0.875rem' : '1rem'
-                  }}
-                >
-                  {member.initials || displayName.charAt(0).toUpperCase()}
-                </Avatar>
+                <Box sx={{ position: 'relative', display: 'inline-flex' }}>
+                  <Avatar
+                    src={member.profileImageUrl}
+                    alt={displayName}
+                    sx={{ 
+                      width: compact ? 32 : 40, 
+                      height: compact ? 32 : 40,
+                      fontSize: compact ? '0.875rem' : '1rem'
+                    }}
+                  >
+                    {member.initials || displayName.charAt(0).toUpperCase()}
+                  </Avatar>
+                  {showPresence && (
+                    <PresenceIndicator
+                      status={memberPresence.status}
+                      lastSeenText={lastSeenText}
+                      size={compact ? 'small' : 'medium'}
+                    />
+                  )}
+                </Box>
               </ListItemAvatar>
               
               <ListItemText
@@ -263,9 +279,11 @@ const GroupMembersList = ({
                   </Box>
                 }
                 secondary={
-                  showJoinDate && member.joinedAt && (
+                  ((showJoinDate && member.joinedAt) || lastSeenText) && (
                     <Typography variant="caption" color="text.secondary">
-                      {formatJoinDate(member.joinedAt)}
+                      {[lastSeenText, showJoinDate && member.joinedAt && formatJoinDate(member.joinedAt)]
+                        .filter(Boolean)
+                        .join(' · ')}
                     </Typography>
                   )
                 }
@@ -0,0 +1,128 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  Button,
+  TextField,
+  Alert
+} from '@mui/material';
+import { UI_CONSTANTS } from '../../../constants/chat';
+
+/**
+ * EditMessageDialog Component
+ *
+ * Lets the sender change the text of a message they sent recently. The
+ * server keeps the replaced text in the message's edit history and tells
+ * the rest of the chat about the change.
+ */
+const EditMessageDialog = ({
+  open = false,
+  onClose,
+  message = null,
+  onSave
+}) => {
+  const [content, setContent] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Start from the current text each time the dialog opens
+  useEffect(() => {
+    if (open) {
+      setContent(message?.content || '');
+      setError(null);
+    }
+  }, [open, message]);
+
+  const trimmed = content.trim();
+  const canSave = trimmed.length > 0 && trimmed !== (message?.content || '').trim() && !isSaving;
+
+  const handleSave = useCallback(async () => {
+    if (!message || !canSave) return;
+
+    setIsSaving(true);
+    setError(null);
+
+    try {
+      await onSave?.(message, trimmed);
+      onClose?.();
+    } catch (err) {
+      console.error('Error editing message:', err);
+      setError(err.response?.data?.message || err.message || 'Failed to edit message');
+    } finally {
+      setIsSaving(false);
+    }
+  }, [message, canSave, trimmed, onSave, onClose]);
+
+  const handleClose = useCallback(() => {
+    if (isSaving) return;
+    onClose?.();
+  }, [isSaving, onClose]);
+
+  const handleKeyDown = useCallback((event) => {
+    if (event.key === 'Enter' && !event.shiftKey) {
+      event.preventDefault();
+      handleSave();
+    }
+  }, [handleSave]);
+
+  return (
+    <Dialog
+      open={open}
+      onClose={handleClose}
+      maxWidth="sm"
+      fullWidth
+      PaperProps={{
+        sx: {
+          borderRadius: 2
+        }
+      }}
+    >
+      <DialogTitle sx={{ pb: 1 }}>Edit Message</DialogTitle>
+
+      <DialogContent>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        <TextField
+          value={content}
+          onChange={(event) => setContent(event.target.value)}
+          onKeyDown={handleKeyDown}
+          multiline
+          minRows={2}
+          maxRows={8}
+          fullWidth
+          autoFocus
+          disabled={isSaving}
+          inputProps={{
+            maxLength: UI_CONSTANTS.MAX_MESSAGE_LENGTH,
+            'aria-label': 'Message text'
+          }}
+        />
+      </DialogContent>
+
+      <DialogActions sx={{ px: 3, py: 2 }}>
+        <Button
+          onClick={handleClose}
+          disabled={isSaving}
+          color="inherit"
+        >
+          Cancel
+        </Button>
+        <Button
+          onClick={handleSave}
+          disabled={!canSave}
+          variant="contained"
+        >
+          {isSaving ? 'Saving...' : 'Save'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
+
+export default EditMessageDialog;
@@ -13,6 +13,7 @@ import {
   Reply as ReplyIcon,
   ContentCopy as CopyIcon,
   Forward as ForwardIcon,
+  Edit as EditIcon,
   Delete as DeleteIcon,
   Info as InfoIcon,
   Report as ReportIcon,
@@ -43,6 +44,8 @@ const MessageMenu = ({
   messageId,
   chatType = CHAT_TYPES.GROUP,
   isOwnMessage = false,
+  canModerate = false,
+  canEdit = false,
   messageType = 'text',
   
   // Action handlers
@@ -50,6 +53,7 @@ const MessageMenu = ({
   onReply,
   onCopy,
   onForward,
+  onEdit,
   onDelete,
   onInfo,
   onReport,
@@ -84,6 +88,9 @@ const MessageMenu = ({
       case MESSAGE_ACTIONS.FORWARD:
         onForward?.(messageId);
         break;
+      case MESSAGE_ACTIONS.EDIT:
+        onEdit?.(messageId);
+        break;
       case MESSAGE_ACTIONS.DELETE_FOR_ME:
         onDelete?.(messageId, MESSAGE_ACTIONS.DELETE_FOR_ME);
         break;
@@ -100,7 +107,7 @@ const MessageMenu = ({
         // Handle custom actions
         onMessageAction?.(messageId, action);
     }
-  }, [messageId, onReact, onReply, onCopy, onForward, onDelete, onInfo, onReport, onMessageAction, onClose]);
+  }, [messageId, onReact, onReply, onCopy, onForward, onEdit, onDelete, onInfo, onReport, onMessageAction, onClose]);
 
   // Get available menu options based on context
   const getMenuOptions = useCallback(() => {
@@ -146,6 +153,16 @@ const MessageMenu = ({
       });
     }
 
+    // Edit option - own text messages still inside the edit window
+    if (isOwnMessage && canEdit && messageType === 'text' && !disabledActions.includes(MESSAGE_ACTIONS.EDIT)) {
+      options.push({
+        action: MESSAGE_ACTIONS.EDIT,
+        label: 'Edit',
+        icon: <EditIcon fontSize="small" />,
+        color: 'default'
+      });
+    }
+
     // Add divider before destructive/info actions
     if (options.length > 0) {
       options.push({ divider: true });
@@ -161,38 +178,25 @@ const MessageMenu = ({
       });
     }
 
-    // Delete options - context-sensitive based on chat type and ownership
-    if (isOwnMessage) {
-      if (chatType === CHAT_TYPES.PRIVATE) {
-        // Private chat: Delete for me and Delete for everyone
-        if (!disabledActions.includes(MESSAGE_ACTIONS.DELETE_FOR_ME)) {
-          options.push({
-            action: MESSAGE_ACTIONS.DELETE_FOR_ME,
-            label: 'Delete for Me',
-            icon: <DeleteIcon fontSize="small" />,
-            color: 'default'
-          });
-        }
-        
-        if (!disabledActions.includes(MESSAGE_ACTIONS.DELETE_FOR_EVERYONE)) {
-          options.push({
-            action: MESSAGE_ACTIONS.DELETE_FOR_EVERYONE,
-            label: 'Delete for Everyone',
-            icon: <DeleteIcon fontSize="small" />,
-            color: 'error'
-          });
-        }
-      } else {
-        // Group chat: Simple delete
-        if (!disabledActions.includes(MESSAGE_ACTIONS.DELETE_FOR_ME)) {
-          options.push({
-            action: MESSAGE_ACTIONS.DELETE_FOR_ME,
-            label: 'Delete',
-            icon: <DeleteIcon fontSize="small" />,
-            color: 'error'
-          });
-        }
-      }
+    // Delete options - anyone can remove a message from their own view; the
+    // sender, and group moderators in group chats, can delete it for everyone
+    if (!disabledActions.includes(MESSAGE_ACTIONS.DELETE_FOR_ME)) {
+      options.push({
+        action: MESSAGE_ACTIONS.DELETE_FOR_ME,
+        label: 'Delete for Me',
+        icon: <DeleteIcon fontSize="small" />,
+        color: 'default'
+      });
+    }
+
+    const canDeleteForEveryone = isOwnMessage || (chatType === CHAT_TYPES.GROUP && canModerate);
+    if (canDeleteForEveryone && !disabledActions.includes(MESSAGE_ACTIONS.DELETE_FOR_EVERYONE)) {
+      options.push({
+        action: MESSAGE_ACTIONS.DELETE_FOR_EVERYONE,
+        label: 'Delete for Everyone',
+        icon: <DeleteIcon fontSize="small" />,
+        color: 'error'
+      });
     }
 
     // Report option - available for non-own messages in group chats
@@ -213,7 +217,7 @@ const MessageMenu = ({
     });
 
     return options;
-  }, [chatType, isOwnMessage, messageType, disabledActions, customActions]);
+  }, [chatType, isOwnMessage, canModerate, canEdit, messageType, disabledActions, customActions]);
 
   // Handle keyboard navigation
   const handleKeyDown = useCallback((event) => {
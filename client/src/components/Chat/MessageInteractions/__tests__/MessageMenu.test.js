@@ -90,7 +90,7 @@ describe('MessageMenu Component', () => {
       expect(screen.getByText('Report Message')).toBeInTheDocument();
     });
 
-    it('shows delete option for own messages in group chat', () => {
+    it('shows delete options for own messages in group chat', () => {
       render(
         <TestWrapper>
           <MessageMenu 
@@ -101,10 +101,41 @@ describe('MessageMenu Component', () => {
         </TestWrapper>
       );
 
-      expect(screen.getByText('Delete')).toBeInTheDocument();
+      expect(screen.getByText('Delete for Me')).toBeInTheDocument();
+      expect(screen.getByText('Delete for Everyone')).toBeInTheDocument();
       expect(screen.queryByText('Report Message')).not.toBeInTheDocument();
     });
 
+    it('only offers delete for me on other members\' messages', () => {
+      render(
+        <TestWrapper>
+          <MessageMenu 
+            {...defaultProps} 
+            chatType={CHAT_TYPES.GROUP}
+            isOwnMessage={false}
+          />
+        </TestWrapper>
+      );
+
+      expect(screen.getByText('Delete for Me')).toBeInTheDocument();
+      expect(screen.queryByText('Delete for Everyone')).not.toBeInTheDocument();
+    });
+
+    it('lets moderators delete other members\' messages for everyone', () => {
+      render(
+        <TestWrapper>
+          <MessageMenu 
+            {...defaultProps} 
+            chatType={CHAT_TYPES.GROUP}
+            isOwnMessage={false}
+            canModerate={true}
+          />
+        </TestWrapper>
+      );
+
+      expect(screen.getByText('Delete for Everyone')).toBeInTheDocument();
+    });
+
     it('does not show report option for own messages', () => {
       render(
         <TestWrapper>
@@ -154,6 +185,21 @@ describe('MessageMenu Component', () => {
       expect(screen.getByText('Delete for Me')).toBeInTheDocument();
       expect(screen.getByText('Delete for Everyone')).toBeInTheDocument();
     });
+
+    it('does not let the other participant delete for everyone', () => {
+      render(
+        <TestWrapper>
+          <MessageMenu 
+            {...defaultProps} 
+            chatType={CHAT_TYPES.PRIVATE}
+            isOwnMessage={false}
+            canModerate={true}
+          />
+        </TestWrapper>
+      );
+
+      expect(screen.queryByText('Delete for Everyone')).not.toBeInTheDocument();
+    });
   });
 
   describe('Message Type Specific Options', () => {
@@ -309,6 +355,42 @@ describe('MessageMenu Component', () => {
       });
     });
 
+    it('offers Edit on own messages that can still be edited', async () => {
+      const onEdit = jest.fn();
+
+      render(
+        <TestWrapper>
+          <MessageMenu 
+            {...defaultProps} 
+            isOwnMessage={true}
+            canEdit={true}
+            onEdit={onEdit}
+          />
+        </TestWrapper>
+      );
+
+      fireEvent.click(screen.getByText('Edit'));
+
+      await waitFor(() => {
+        expect(onEdit).toHaveBeenCalledWith('message-1');
+        expect(defaultProps.onClose).toHaveBeenCalled();
+      });
+    });
+
+    it('does not offer Edit once the edit window has passed', () => {
+      render(
+        <TestWrapper>
+          <MessageMenu 
+            {...defaultProps} 
+            isOwnMessage={true}
+            canEdit={false}
+          />
+        </TestWrapper>
+      );
+
+      expect(screen.queryByText('Edit')).not.toBeInTheDocument();
+    });
+
     it('calls onInfo when Info is clicked', async () => {
       const onInfo = jest.fn();
       
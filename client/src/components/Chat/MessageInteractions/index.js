@@ -8,4 +8,5 @@ export { default as ReactionAnimation, ReactionNotification } from './ReactionAn
 export { default as StarredMessages } from './StarredMessages';
 export { default as MessageForwardDialog } from './MessageForwardDialog';
 export { default as ForwardedMessageIndicator } from './ForwardedMessageIndicator';
-export { default as MessageForwardingWrapper } from './MessageForwardingWrapper';
\ No newline at end of file
+export { default as MessageForwardingWrapper } from './MessageForwardingWrapper';
+export { default as EditMessageDialog } from './EditMessageDialog';
\ No newline at end of file
@@ -0,0 +1,51 @@
+import React, { useState } from 'react';
+import { Alert, Button, CircularProgress } from '@mui/material';
+import { useAuth } from '../../contexts/AuthContext';
+
+/**
+ * Reminds users who haven't verified their email that posting is disabled
+ * until they do, and lets them resend the verification email.
+ */
+const EmailVerificationBanner = () => {
+  const { user, resendVerificationEmail } = useAuth();
+  const [sending, setSending] = useState(false);
+  const [feedback, setFeedback] = useState(null);
+
+  if (!user || user.emailVerified !== false) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    setSending(true);
+    setFeedback(null);
+
+    const result = await resendVerificationEmail();
+
+    if (result.success) {
+      setFeedback({ severity: 'success', message: 'Verification email sent. Please check your inbox.' });
+    } else if (result.retryAfter) {
+      setFeedback({ severity: 'warning', message: `Please wait ${result.retryAfter} seconds before trying again.` });
+    } else {
+      setFeedback({ severity: 'error', message: result.error });
+    }
+
+    setSending(false);
+  };
+
+  return (
+    <Alert
+      severity={feedback?.severity || 'info'}
+      sx={{ mb: 2 }}
+      action={
+        <Button color="inherit" size="small" onClick={handleResend} disabled={sending}>
+          {sending ? <CircularProgress size={16} color="inherit" /> : 'Resend email'}
+        </Button>
+      }
+    >
+      {feedback?.message ||
+        'Please verify your email address. You can post notices, reports and messages once your email is verified.'}
+    </Alert>
+  );
+};
+
+export default EmailVerificationBanner;
@@ -186,6 +186,8 @@ const NotificationBell = () => {
         return <CommentIcon color="success" />;
       case 'report':
         return <ReportIcon color="warning" />;
+      case 'alert':
+        return <ReportIcon color="error" />;
       case 'notice':
         return <NoticeIcon color="info" />;
       case 'system':
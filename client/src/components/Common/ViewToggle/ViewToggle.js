@@ -2,7 +2,7 @@ import React from 'react';
 import FluentIcon from '../Icons/FluentIcon';
 import './ViewToggle.css';
 
-const ViewToggle = ({ currentView, onViewChange, storageKey }) => {
+const ViewToggle = ({ currentView, onViewChange, storageKey, showMap = false }) => {
   const handleViewChange = (view) => {
     onViewChange(view);
     // Persist preference to localStorage
@@ -29,6 +29,16 @@ const ViewToggle = ({ currentView, onViewChange, storageKey }) => {
       >
         <FluentIcon name="List" size={16} />
       </button>
+      {showMap && (
+        <button
+          className={`view-toggle__button ${currentView === 'map' ? 'view-toggle__button--active' : ''}`}
+          onClick={() => handleViewChange('map')}
+          aria-label="Map view"
+          title="Map view"
+        >
+          <FluentIcon name="Map" size={16} />
+        </button>
+      )}
     </div>
   );
 };
@@ -6,23 +6,236 @@ import {
   Avatar,
   Divider,
   CircularProgress,
-  Alert
+  Alert,
+  Button,
+  Checkbox,
+  Drawer,
+  FormControlLabel,
+  IconButton,
+  TextField,
+  Tooltip
 } from '@mui/material';
+import {
+  Close as CloseIcon,
+  Forum as ThreadIcon,
+  NotificationsActive as FollowingIcon,
+  NotificationsNone as NotFollowingIcon,
+  Send as SendIcon
+} from '@mui/icons-material';
 import { useAuth } from '../../contexts/AuthContext';
+import useMessageThread from '../../hooks/useMessageThread';
 import EmojiRenderer from '../Common/EmojiRenderer';
 import MessageInteractions from './MessageInteractions';
+import MessageStatus from '../PrivateChat/MessageStatus';
+
+// Messages the server doesn't have yet can't start a thread
+const UNSENT_STATUSES = ['sending', 'queued', 'failed'];
+
+const formatShortTime = (dateString) => dateString
+  ? new Date(dateString).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true })
+  : '';
+
+/**
+ * ThreadPanel Component
+ *
+ * Side panel showing one thread: the message that started it and its
+ * replies. Replies stay in the thread unless the sender also sends them to
+ * the group, so a discussion about one incident doesn't flood the main
+ * conversation.
+ */
+const ThreadPanel = ({ groupId, rootId, onClose }) => {
+  const { user } = useAuth();
+  const {
+    root,
+    replies,
+    loading,
+    error,
+    hasMore,
+    loadMore,
+    sendReply,
+    setFollowing
+  } = useMessageThread(groupId, rootId);
+  const [content, setContent] = useState('');
+  const [alsoSendToGroup, setAlsoSendToGroup] = useState(false);
+  const [sending, setSending] = useState(false);
+  const [sendError, setSendError] = useState(null);
+
+  // Start each thread with an empty reply box
+  useEffect(() => {
+    setContent('');
+    setAlsoSendToGroup(false);
+    setSendError(null);
+  }, [rootId]);
+
+  const currentUserId = user?._id || user?.id;
+  const isFollowing = Boolean(root?.thread?.isFollowing);
+
+  const handleSend = async () => {
+    const trimmed = content.trim();
+    if (!trimmed || sending) return;
+
+    setSending(true);
+    setSendError(null);
+    try {
+      await sendReply(trimmed, { alsoSendToGroup });
+      setContent('');
+    } catch (err) {
+      console.error('Error sending thread reply:', err);
+      setSendError(err.message || 'Failed to send reply');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'Enter' && !event.shiftKey) {
+      event.preventDefault();
+      handleSend();
+    }
+  };
+
+  const renderMessage = (msg, isRoot = false) => {
+    const isOwn = msg.senderId === currentUserId ||
+      (typeof msg.senderId === 'object' && msg.senderId?._id === currentUserId);
+
+    return (
+      <Box key={msg.id || msg._id} sx={{ mb: 1.5 }}>
+        <Typography variant="caption" fontWeight="bold" color="primary.main">
+          {isOwn ? 'You' : (msg.senderName || 'Unknown User')}
+        </Typography>
+        <Typography variant="caption" color="text.secondary" sx={{ ml: 1 }}>
+          {formatShortTime(msg.createdAt)}
+        </Typography>
+        <Typography
+          variant={isRoot ? 'body1' : 'body2'}
+          component="div"
+          color={msg.isDeleted ? 'text.secondary' : 'text.primary'}
+          sx={{ fontStyle: msg.isDeleted ? 'italic' : 'normal' }}
+        >
+          {msg.isDeleted
+            ? 'This message was deleted'
+            : <EmojiRenderer content={msg.content || '(No content)'} size={18} />}
+        </Typography>
+      </Box>
+    );
+  };
+
+  return (
+    <Drawer
+      anchor="right"
+      open={Boolean(rootId)}
+      onClose={onClose}
+      PaperProps={{ sx: { width: { xs: '100%', sm: 400 }, display: 'flex', flexDirection: 'column' } }}
+    >
+      <Box sx={{ display: 'flex', alignItems: 'center', p: 2, borderBottom: 1, borderColor: 'divider' }}>
+        <ThreadIcon sx={{ mr: 1 }} color="action" />
+        <Typography variant="h6" sx={{ flex: 1 }}>
+          Thread
+        </Typography>
+        {root && (
+          <Tooltip title={isFollowing ? 'Stop notifying me of replies' : 'Notify me of replies'}>
+            <IconButton
+              onClick={() => setFollowing(!isFollowing).catch(err => setSendError(err.message))}
+              aria-label={isFollowing ? 'Unfollow thread' : 'Follow thread'}
+            >
+              {isFollowing ? <FollowingIcon color="primary" /> : <NotFollowingIcon />}
+            </IconButton>
+          </Tooltip>
+        )}
+        <IconButton onClick={onClose} aria-label="Close thread">
+          <CloseIcon />
+        </IconButton>
+      </Box>
+
+      <Box sx={{ flex: 1, overflow: 'auto', p: 2 }}>
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }}>
+            {error}
+          </Alert>
+        )}
+
+        {root && renderMessage(root, true)}
+
+        {root && (
+          <Divider sx={{ my: 1.5 }}>
+            <Typography variant="caption" color="text.secondary">
+              {root.thread?.replyCount === 1 ? '1 reply' : `${root.thread?.replyCount || 0} replies`}
+            </Typography>
+          </Divider>
+        )}
+
+        {replies.map(reply => renderMessage(reply))}
+
+        {loading && (
+          <Box sx={{ display: 'flex', justifyContent: 'center', py: 2 }}>
+            <CircularProgress size={24} />
+          </Box>
+        )}
+
+        {hasMore && !loading && (
+          <Button size="small" onClick={loadMore} fullWidth>
+            Load more replies
+          </Button>
+        )}
+      </Box>
+
+      <Box sx={{ p: 2, borderTop: 1, borderColor: 'divider' }}>
+        {sendError && (
+          <Alert severity="error" sx={{ mb: 1 }}>
+            {sendError}
+          </Alert>
+        )}
+        <Box sx={{ display: 'flex', alignItems: 'flex-end', gap: 1 }}>
+          <TextField
+            value={content}
+            onChange={(event) => setContent(event.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="Reply in thread..."
+            multiline
+            maxRows={4}
+            size="small"
+            fullWidth
+            disabled={!root || sending}
+            inputProps={{ 'aria-label': 'Thread reply' }}
+          />
+          <IconButton
+            color="primary"
+            onClick={handleSend}
+            disabled={!content.trim() || !root || sending}
+            aria-label="Send reply"
+          >
+            <SendIcon />
+          </IconButton>
+        </Box>
+        <FormControlLabel
+          control={
+            <Checkbox
+              size="small"
+              checked={alsoSendToGroup}
+              onChange={(event) => setAlsoSendToGroup(event.target.checked)}
+            />
+          }
+          label={<Typography variant="caption">Also send to the group</Typography>}
+        />
+      </Box>
+    </Drawer>
+  );
+};
 
 const GroupMessageThread = ({ 
   messages, 
   loading, 
   error, 
+  groupId,
   groupMembers = [],
   onReplyToMessage,
-  onReactToMessage 
+  onReactToMessage,
+  onRetryMessage
 }) => {
   const { user } = useAuth();
   const messagesEndRef = useRef(null);
   const [hoveredMessage, setHoveredMessage] = useState(null);
+  const [openThreadId, setOpenThreadId] = useState(null);
 
   // Scroll to bottom when messages change
   useEffect(() => {
@@ -318,24 +531,56 @@ const GroupMessageThread = ({
                       />
                     </Typography>
                     
-                    {/* Message timestamp */}
-                    <Typography 
-                      variant="caption" 
-                      sx={{ 
-                        opacity: 0.7, 
-                        display: 'block', 
-                        textAlign: isOwn ? 'right' : 'left',
-                        mt: 0.5
-                      }}
-                    >
-                      {msg.time || (msg.createdAt && new Date(msg.createdAt).toLocaleTimeString('en-US', { 
-                        hour: 'numeric', 
-                        minute: '2-digit',
-                        hour12: true 
-                      }))}
-                    </Typography>
+                    {/* Delivery status for own messages, including ones waiting in the outbox */}
+                    {isOwn && msg.status ? (
+                      <Box sx={{ mt: 0.5 }}>
+                        <MessageStatus
+                          status={msg.status}
+                          timestamp={msg.createdAt}
+                          error={msg.error}
+                          onRetry={onRetryMessage ? () => onRetryMessage(messageId) : undefined}
+                        />
+                      </Box>
+                    ) : (
+                      <Typography 
+                        variant="caption" 
+                        sx={{ 
+                          opacity: 0.7, 
+                          display: 'block', 
+                          textAlign: isOwn ? 'right' : 'left',
+                          mt: 0.5
+                        }}
+                      >
+                        {msg.time || (msg.createdAt && new Date(msg.createdAt).toLocaleTimeString('en-US', { 
+                          hour: 'numeric', 
+                          minute: '2-digit',
+                          hour12: true 
+                        }))}
+                      </Typography>
+                    )}
                   </Paper>
 
+                  {/* Thread summary, or a way to start one */}
+                  {groupId && msg.thread?.replyCount > 0 ? (
+                    <Button
+                      size="small"
+                      startIcon={<ThreadIcon fontSize="small" />}
+                      onClick={() => setOpenThreadId(messageId)}
+                      sx={{ textTransform: 'none', mt: 0.5, float: isOwn ? 'right' : 'left' }}
+                    >
+                      {msg.thread.replyCount === 1 ? '1 reply' : `${msg.thread.replyCount} replies`}
+                      {msg.thread.lastReplyAt && ` · last reply ${formatShortTime(msg.thread.lastReplyAt)}`}
+                    </Button>
+                  ) : groupId && hoveredMessage === messageId && !UNSENT_STATUSES.includes(msg.status) && (
+                    <Button
+                      size="small"
+                      onClick={() => setOpenThreadId(messageId)}
+                      sx={{ textTransform: 'none', mt: 0.5, float: isOwn ? 'right' : 'left' }}
+                    >
+                      Reply in thread
+                    </Button>
+                  )}
+
                   {/* Message Interactions */}
                   <MessageInteractions
                     messageId={messageId}
@@ -353,6 +598,14 @@ const GroupMessageThread = ({
         </Box>
       ))}
       <div ref={messagesEndRef} />
+
+      {groupId && (
+        <ThreadPanel
+          groupId={groupId}
+          rootId={openThreadId}
+          onClose={() => setOpenThreadId(null)}
+        />
+      )}
     </Box>
   );
 };
@@ -11,6 +11,8 @@ import Sidebar from './Sidebar';
 import BottomNavigation from './BottomNavigation';
 import FloatingActionButton from '../Common/FloatingActionButton';
 import OfflineOperationManager from '../Common/OfflineOperationManager';
+import EmailVerificationBanner from '../Common/EmailVerificationBanner';
+import EmergencyAlertBanner from '../Alerts/EmergencyAlertBanner';
 import { useAuth } from '../../contexts/AuthContext';
 
 const Layout = () => {
@@ -81,6 +83,8 @@ const Layout = () => {
             pb: isMobile ? 8 : 3, // Extra padding for bottom nav on mobile
           }}
         >
+          <EmergencyAlertBanner />
+          <EmailVerificationBanner />
           <Outlet />
         </Box>
       </Box>
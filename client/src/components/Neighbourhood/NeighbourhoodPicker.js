@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import {
+  Box,
+  Button,
+  Typography,
+  Alert,
+  CircularProgress,
+  RadioGroup,
+  FormControlLabel,
+  Radio
+} from '@mui/material';
+import { MyLocation as MyLocationIcon, Search as SearchIcon } from '@mui/icons-material';
+
+const formatDistance = (meters) => (
+  meters < 1000 ? `${meters} m away` : `${(meters / 1000).toFixed(1)} km away`
+);
+
+/**
+ * Suggests neighbourhoods that cover the user's location or address
+ * and lets them pick one to ask to join.
+ */
+const NeighbourhoodPicker = ({ address, value, onChange }) => {
+  const [suggestions, setSuggestions] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchSuggestions = async (params) => {
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await axios.get('/api/neighbourhoods/suggestions', { params });
+      const { neighbourhoods } = response.data;
+
+      setSuggestions(neighbourhoods);
+      // Pre-select the nearest match
+      onChange(neighbourhoods.length > 0 ? neighbourhoods[0].id : '');
+    } catch (err) {
+      setSuggestions(null);
+      onChange('');
+      setError(err.response?.data?.message || 'Could not look up neighbourhoods');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleUseLocation = () => {
+    if (!navigator.geolocation) {
+      setError('Location is not supported by this browser. Search by address instead.');
+      return;
+    }
+
+    setLoading(true);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        fetchSuggestions({
+          lat: position.coords.latitude,
+          lng: position.coords.longitude
+        });
+      },
+      () => {
+        setLoading(false);
+        setError('Location access was denied. Search by address instead.');
+      },
+      { timeout: 10000 }
+    );
+  };
+
+  const handleSearchAddress = () => {
+    fetchSuggestions({ address });
+  };
+
+  return (
+    <Box>
+      <Typography variant="subtitle1" gutterBottom>
+        Your neighbourhood
+      </Typography>
+      <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+        Find the neighbourhood watch that covers your home. A moderator will approve your request to join.
+      </Typography>
+
+      <Box sx={{ display: 'flex', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+        <Button
+          variant="outlined"
+          startIcon={<MyLocationIcon />}
+          onClick={handleUseLocation}
+          disabled={loading}
+        >
+          Use my location
+        </Button>
+        <Button
+          variant="outlined"
+          startIcon={<SearchIcon />}
+          onClick={handleSearchAddress}
+          disabled={loading || !address || !address.trim()}
+        >
+          Search by address
+        </Button>
+        {loading && <CircularProgress size={24} sx={{ alignSelf: 'center' }} />}
+      </Box>
+
+      {error && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {suggestions && suggestions.length === 0 && (
+        <Alert severity="info">
+          No neighbourhood covers this location yet. You can still sign up and join one later.
+        </Alert>
+      )}
+
+      {suggestions && suggestions.length > 0 && (
+        <RadioGroup value={value} onChange={(e) => onChange(e.target.value)}>
+          {suggestions.map((neighbourhood) => (
+            <FormControlLabel
+              key={neighbourhood.id}
+              value={neighbourhood.id}
+              control={<Radio />}
+              label={
+                <Box>
+                  <Typography variant="body1">{neighbourhood.name}</Typography>
+                  <Typography variant="body2" color="text.secondary">
+                    {[neighbourhood.city, formatDistance(neighbourhood.distanceMeters)].filter(Boolean).join(' · ')}
+                  </Typography>
+                </Box>
+              }
+            />
+          ))}
+          <FormControlLabel
+            value=""
+            control={<Radio />}
+            label={<Typography variant="body2">I'll choose later</Typography>}
+          />
+        </RadioGroup>
+      )}
+    </Box>
+  );
+};
+
+export default NeighbourhoodPicker;
@@ -1,6 +1,6 @@
 import icons from '../Common/Icons'
 import React from 'react';
-import { Box, Tooltip, Typography } from '@mui/material';
+import { Box, IconButton, Tooltip, Typography } from '@mui/material';
 import {
   Done as DoneIcon,
   DoneAll as DoneAllIcon,
@@ -8,7 +8,12 @@ import {
   Error as ErrorIcon
 } from '@mui/icons-material';
 
-const MessageStatus = ({ status, timestamp }) => {
+/**
+ * Delivery status and time for a sent message
+ * 'queued' and 'retry_pending' messages are waiting in the offline outbox;
+ * failed ones can be retried when onRetry is given.
+ */
+const MessageStatus = ({ status, timestamp, error, onRetry }) => {
   const formatTime = (dateString) => {
     if (!dateString) return '';
     
@@ -34,6 +39,18 @@ const MessageStatus = ({ status, timestamp }) => {
 
   const getStatusIcon = () => {
     switch (status) {
+      case 'queued':
+        return (
+          <Tooltip title="Waiting for connection">
+            <icons.CloudOff fontSize="small" sx={{ color: 'text.secondary', opacity: 0.7 }} />
+          </Tooltip>
+        );
+      case 'retry_pending':
+        return (
+          <Tooltip title={error ? `Will retry: ${error}` : 'Will retry'}>
+            <icons.Refresh fontSize="small" sx={{ color: 'warning.main', opacity: 0.8 }} />
+          </Tooltip>
+        );
       case 'sending':
         return (
           <Tooltip title="Sending">
@@ -59,11 +76,23 @@ const MessageStatus = ({ status, timestamp }) => {
           </Tooltip>
         );
       case 'error':
+      case 'failed': {
+        const title = error ? `Failed to send: ${error}` : 'Failed to send';
+        if (onRetry) {
+          return (
+            <Tooltip title={`${title}. Tap to retry`}>
+              <IconButton size="small" onClick={onRetry} aria-label="Retry sending" sx={{ p: 0 }}>
+                <icons.Error fontSize="small" sx={{ color: 'error.main', opacity: 0.9 }} />
+              </IconButton>
+            </Tooltip>
+          );
+        }
         return (
-          <Tooltip title="Failed to send">
+          <Tooltip title={title}>
             <icons.Error fontSize="small" sx={{ color: 'error.main', opacity: 0.9 }} />
           </Tooltip>
         );
+      }
       default:
         // Default to sent status if unknown
         return (
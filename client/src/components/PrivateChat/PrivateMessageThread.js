@@ -19,7 +19,8 @@ const PrivateMessageThread = ({
   error, 
   otherUser,
   onReplyToMessage,
-  onReactToMessage 
+  onReactToMessage,
+  onRetryMessage
 }) => {
   const { user } = useAuth();
   const messagesEndRef = useRef(null);
@@ -237,7 +238,12 @@ const PrivateMessageThread = ({
                     </Typography>
                     
                     {isOwn && (
-                      <MessageStatus status={msg.status} timestamp={msg.createdAt} />
+                      <MessageStatus
+                        status={msg.status}
+                        timestamp={msg.createdAt}
+                        error={msg.error}
+                        onRetry={onRetryMessage ? () => onRetryMessage(msg._id || msg.id) : undefined}
+                      />
                     )}
                     
                     {!isOwn && msg.createdAt && (
@@ -0,0 +1,265 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import axios from 'axios';
+import { MapContainer, TileLayer, CircleMarker, Popup, Tooltip, useMap, useMapEvents } from 'react-leaflet';
+import 'leaflet/dist/leaflet.css';
+import {
+  Box,
+  Paper,
+  Typography,
+  Chip,
+  Slider,
+  Button,
+  Alert,
+  CircularProgress
+} from '@mui/material';
+import { MAP_TILE_URL, MAP_TILE_ATTRIBUTION, MAP_MAX_ZOOM } from '../../config/map';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far back the time slider goes, in days
+const TIME_RANGE_DAYS = 90;
+
+const PRIORITY_RADIUS = { low: 6, medium: 8, high: 10, urgent: 12 };
+
+const formatDaysAgo = (value) => (value === 0 ? 'Today' : `${-value}d ago`);
+
+/**
+ * Reports the map's bounding box and zoom whenever the user pans or zooms
+ */
+const MapViewWatcher = ({ onViewChange }) => {
+  const map = useMapEvents({
+    moveend: () => onViewChange(map)
+  });
+  return null;
+};
+
+/**
+ * Fits the map to the incidents the first time they load
+ */
+const FitToData = ({ bbox }) => {
+  const map = useMap();
+  const fitted = useRef(false);
+
+  useEffect(() => {
+    if (bbox && !fitted.current) {
+      fitted.current = true;
+      const [minLng, minLat, maxLng, maxLat] = bbox;
+      map.fitBounds([[minLat, minLng], [maxLat, maxLng]], { padding: [40, 40], maxZoom: 16 });
+    }
+  }, [bbox, map]);
+
+  return null;
+};
+
+/**
+ * Map of the neighbourhood's reports, clustered by the server,
+ * coloured by category and sized by priority, with a time slider.
+ */
+const IncidentMap = ({ categories, priorities, onSelectReport }) => {
+  const [features, setFeatures] = useState([]);
+  const [dataBbox, setDataBbox] = useState(null);
+  const [view, setView] = useState(null);
+  const [category, setCategory] = useState('');
+  const [timeRange, setTimeRange] = useState([-30, 0]);
+  const [committedTimeRange, setCommittedTimeRange] = useState([-30, 0]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [truncated, setTruncated] = useState(false);
+
+  const getCategoryColor = (value) => categories.find(c => c.value === value)?.color || '#607d8b';
+  const getPriorityColor = (value) => priorities.find(p => p.value === value)?.color || '#607d8b';
+
+  const fetchFeatures = useCallback(async () => {
+    setLoading(true);
+    setError('');
+
+    const [fromDays, toDays] = committedTimeRange;
+    const params = {
+      zoom: view ? view.zoom : 13,
+      since: new Date(Date.now() + fromDays * DAY_MS).toISOString()
+    };
+    if (toDays < 0) {
+      params.until = new Date(Date.now() + toDays * DAY_MS).toISOString();
+    }
+    if (view) {
+      params.bbox = view.bbox;
+    }
+    if (category) {
+      params.category = category;
+    }
+
+    try {
+      const response = await axios.get('/api/reports/map', { params });
+      setFeatures(response.data.features);
+      setTruncated(response.data.truncated);
+      if (!view) {
+        setDataBbox(response.data.bbox);
+      }
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load the incident map');
+    } finally {
+      setLoading(false);
+    }
+  }, [view, category, committedTimeRange]);
+
+  useEffect(() => {
+    fetchFeatures();
+  }, [fetchFeatures]);
+
+  const handleViewChange = useCallback((map) => {
+    const bounds = map.getBounds();
+    setView({
+      zoom: map.getZoom(),
+      bbox: [
+        Math.max(bounds.getWest(), -180),
+        Math.max(bounds.getSouth(), -90),
+        Math.min(bounds.getEast(), 180),
+        Math.min(bounds.getNorth(), 90)
+      ].map(value => value.toFixed(6)).join(',')
+    });
+  }, []);
+
+  return (
+    <Box>
+      <Box display="flex" flexWrap="wrap" gap={1} mb={2}>
+        <Chip
+          label="All categories"
+          color={category === '' ? 'primary' : 'default'}
+          onClick={() => setCategory('')}
+        />
+        {categories.map((c) => (
+          <Chip
+            key={c.value}
+            icon={<c.icon />}
+            label={c.label}
+            variant={category === c.value ? 'filled' : 'outlined'}
+            onClick={() => setCategory(category === c.value ? '' : c.value)}
+            sx={{
+              borderColor: c.color,
+              color: category === c.value ? 'white' : c.color,
+              backgroundColor: category === c.value ? c.color : undefined,
+              '& .MuiChip-icon': { color: 'inherit' }
+            }}
+          />
+        ))}
+      </Box>
+
+      <Paper variant="outlined" sx={{ px: 3, pt: 1, pb: 0, mb: 2 }}>
+        <Typography variant="body2" color="text.secondary">
+          Reported between {formatDaysAgo(timeRange[0])} and {formatDaysAgo(timeRange[1]).toLowerCase()}
+        </Typography>
+        <Slider
+          value={timeRange}
+          onChange={(e, value) => setTimeRange(value)}
+          onChangeCommitted={(e, value) => setCommittedTimeRange(value)}
+          min={-TIME_RANGE_DAYS}
+          max={0}
+          valueLabelDisplay="auto"
+          valueLabelFormat={formatDaysAgo}
+          marks={[
+            { value: -TIME_RANGE_DAYS, label: `${TIME_RANGE_DAYS}d` },
+            { value: -30, label: '30d' },
+            { value: -7, label: '7d' },
+            { value: 0, label: 'Today' }
+          ]}
+          disableSwap
+        />
+      </Paper>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          {error}
+        </Alert>
+      )}
+      {truncated && (
+        <Alert severity="info" sx={{ mb: 2 }}>
+          Showing the most recent incidents only. Zoom in or narrow the time range to see more.
+        </Alert>
+      )}
+
+      <Box sx={{ position: 'relative', height: { xs: 420, md: 560 }, borderRadius: 2, overflow: 'hidden' }}>
+        {loading && (
+          <CircularProgress size={28} sx={{ position: 'absolute', top: 12, right: 12, zIndex: 1000 }} />
+        )}
+        <MapContainer
+          center={[0, 0]}
+          zoom={2}
+          maxZoom={MAP_MAX_ZOOM}
+          style={{ height: '100%', width: '100%' }}
+        >
+          <TileLayer url={MAP_TILE_URL} attribution={MAP_TILE_ATTRIBUTION} maxZoom={MAP_MAX_ZOOM} />
+          <MapViewWatcher onViewChange={handleViewChange} />
+          <FitToData bbox={dataBbox} />
+
+          {features.map((feature) => {
+            const [lng, lat] = feature.geometry.coordinates;
+            const { properties } = feature;
+
+            if (properties.cluster) {
+              return (
+                <ClusterMarker
+                  key={`cluster-${lng}-${lat}`}
+                  position={[lat, lng]}
+                  properties={properties}
+                  color={getPriorityColor(properties.highestPriority)}
+                />
+              );
+            }
+
+            return (
+              <CircleMarker
+                key={properties.id}
+                center={[lat, lng]}
+                radius={PRIORITY_RADIUS[properties.priority] || 8}
+                pathOptions={{
+                  color: getPriorityColor(properties.priority),
+                  fillColor: getCategoryColor(properties.category),
+                  fillOpacity: 0.85,
+                  weight: 3
+                }}
+              >
+                <Popup>
+                  <Typography variant="subtitle2">{properties.title}</Typography>
+                  <Typography variant="body2" color="text.secondary">
+                    {properties.priority} priority · {properties.status}
+                  </Typography>
+                  <Typography variant="caption" color="text.secondary" display="block">
+                    {new Date(properties.createdAt).toLocaleString()}
+                  </Typography>
+                  <Button size="small" onClick={() => onSelectReport(properties.id)} sx={{ mt: 1, p: 0 }}>
+                    View details
+                  </Button>
+                </Popup>
+              </CircleMarker>
+            );
+          })}
+        </MapContainer>
+      </Box>
+    </Box>
+  );
+};
+
+/**
+ * A group of nearby incidents; clicking it zooms in to split it up
+ */
+const ClusterMarker = ({ position, properties, color }) => {
+  const map = useMap();
+  const radius = Math.min(14 + Math.log2(properties.pointCount) * 4, 32);
+
+  return (
+    <CircleMarker
+      center={position}
+      radius={radius}
+      pathOptions={{ color, fillColor: color, fillOpacity: 0.6, weight: 2 }}
+      eventHandlers={{
+        click: () => map.setView(position, Math.min(map.getZoom() + 2, MAP_MAX_ZOOM))
+      }}
+    >
+      <Tooltip direction="center" permanent>
+        {properties.pointCount}
+      </Tooltip>
+    </CircleMarker>
+  );
+};
+
+export default IncidentMap;
@@ -0,0 +1,138 @@
+import React, { useState } from 'react';
+import axios from 'axios';
+import {
+  Box,
+  Typography,
+  Button,
+  Alert,
+  CircularProgress,
+  FormControl,
+  InputLabel,
+  Select,
+  MenuItem,
+  Paper,
+  Avatar,
+  Chip
+} from '@mui/material';
+import { Visibility as VisibilityIcon } from '@mui/icons-material';
+
+const VIEWERS = [
+  { value: 'public', label: 'Someone outside my neighbourhood' },
+  { value: 'neighbour', label: 'A neighbour' },
+  { value: 'friend', label: 'A friend' }
+];
+
+/**
+ * Shows the user their own profile the way another member would see it
+ * under their saved privacy settings, and whether that member could start
+ * a private chat with them.
+ */
+const ProfilePreview = () => {
+  const [viewer, setViewer] = useState('neighbour');
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handlePreview = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await axios.get('/api/users/me/profile-preview', { params: { as: viewer } });
+      setPreview(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load the preview');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const profile = preview?.profile;
+
+  return (
+    <Box mt={2}>
+      <Typography variant="subtitle1" fontWeight="bold" gutterBottom>
+        Preview my profile
+      </Typography>
+      <Typography variant="body2" color="text.secondary" mb={1}>
+        Uses your saved settings.
+      </Typography>
+
+      <Box display="flex" gap={1} alignItems="center" flexWrap="wrap">
+        <FormControl size="small" sx={{ minWidth: 260 }}>
+          <InputLabel>View as</InputLabel>
+          <Select
+            value={viewer}
+            label="View as"
+            onChange={(e) => {
+              setViewer(e.target.value);
+              setPreview(null);
+            }}
+          >
+            {VIEWERS.map(option => (
+              <MenuItem key={option.value} value={option.value}>
+                {option.label}
+              </MenuItem>
+            ))}
+          </Select>
+        </FormControl>
+        <Button
+          variant="outlined"
+          startIcon={loading ? <CircularProgress size={16} /> : <VisibilityIcon />}
+          onClick={handlePreview}
+          disabled={loading}
+        >
+          Preview
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mt: 2 }}>
+          {error}
+        </Alert>
+      )}
+
+      {preview && (
+        <Paper variant="outlined" sx={{ mt: 2, p: 2 }}>
+          {profile ? (
+            <Box display="flex" gap={2} alignItems="center">
+              <Avatar src={profile.profileImageUrl || undefined}>
+                {profile.firstName?.charAt(0)}
+              </Avatar>
+              <Box>
+                <Typography fontWeight="bold">
+                  {profile.firstName} {profile.lastName}
+                </Typography>
+                {profile.bio && (
+                  <Typography variant="body2">{profile.bio}</Typography>
+                )}
+                <Typography variant="body2" color="text.secondary">
+                  {profile.email
+                    ? [profile.email, profile.phone].filter(Boolean).join(' · ')
+                    : 'Contact details hidden'}
+                </Typography>
+              </Box>
+            </Box>
+          ) : (
+            <Typography color="text.secondary">
+              Your profile is hidden from them, and you won't appear in their search results.
+            </Typography>
+          )}
+          <Chip
+            size="small"
+            sx={{ mt: 1.5 }}
+            color={preview.canMessage ? 'success' : 'default'}
+            label={preview.canMessage ? 'Can start a private chat with you' : 'Cannot start a private chat with you'}
+          />
+          <Chip
+            size="small"
+            sx={{ mt: 1.5, ml: 1 }}
+            color={preview.canSeeLastSeen ? 'success' : 'default'}
+            label={preview.canSeeLastSeen ? 'Can see when you were last online' : 'Cannot see when you were last online'}
+          />
+        </Paper>
+      )}
+    </Box>
+  );
+};
+
+export default ProfilePreview;
@@ -0,0 +1,180 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+  ListItemSecondaryAction,
+  Button,
+  Chip,
+  Alert,
+  CircularProgress,
+  Divider,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions
+} from '@mui/material';
+import {
+  Devices as DevicesIcon,
+  PhoneAndroid as PhoneIcon,
+  Computer as ComputerIcon,
+  Logout as LogoutIcon
+} from '@mui/icons-material';
+import { useAuth } from '../../contexts/AuthContext';
+
+const MOBILE_PATTERN = /iOS|Android/;
+
+const formatLastSeen = (date) => {
+  const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+  if (minutes < 1) return 'Active now';
+  if (minutes < 60) return `${minutes} min ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} hr ago`;
+  return new Date(date).toLocaleDateString();
+};
+
+/**
+ * Lists the devices signed in to the account with their IP address and
+ * when they were last used, and lets the user sign any of them out.
+ */
+const SessionsSettings = () => {
+  const { logoutEverywhere } = useAuth();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [revoking, setRevoking] = useState(null);
+  const [confirmOpen, setConfirmOpen] = useState(false);
+
+  const fetchSessions = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/auth/sessions');
+      setSessions(response.data.sessions || []);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching sessions:', err);
+      setError('Failed to load signed-in devices');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchSessions();
+  }, [fetchSessions]);
+
+  const handleRevoke = async (sessionId) => {
+    setRevoking(sessionId);
+    try {
+      await axios.delete(`/api/auth/sessions/${sessionId}`);
+      setSessions(prev => prev.filter(session => session.id !== sessionId));
+    } catch (err) {
+      console.error('Error revoking session:', err);
+      setError(err.response?.data?.message || 'Failed to sign out device');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  const handleLogoutEverywhere = async () => {
+    setConfirmOpen(false);
+    const result = await logoutEverywhere();
+    if (!result.success) {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Box display="flex" alignItems="center" gap={1} mb={2}>
+          <DevicesIcon color="primary" />
+          <Typography variant="h6" fontWeight="bold">
+            Signed-in Devices
+          </Typography>
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        {loading ? (
+          <Box display="flex" justifyContent="center" py={2}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : (
+          <List>
+            {sessions.map(session => (
+              <ListItem key={session.id}>
+                <ListItemIcon>
+                  {MOBILE_PATTERN.test(session.deviceName) ? <PhoneIcon /> : <ComputerIcon />}
+                </ListItemIcon>
+                <ListItemText
+                  primary={
+                    <Box display="flex" alignItems="center" gap={1}>
+                      {session.deviceName || 'Unknown device'}
+                      {session.current && <Chip label="This device" size="small" color="primary" />}
+                    </Box>
+                  }
+                  secondary={[
+                    session.ipAddress || 'Unknown IP',
+                    session.current ? 'Active now' : formatLastSeen(session.lastUsedAt)
+                  ].join(' · ')}
+                />
+                {!session.current && (
+                  <ListItemSecondaryAction>
+                    <Button
+                      size="small"
+                      color="error"
+                      onClick={() => handleRevoke(session.id)}
+                      disabled={revoking === session.id}
+                    >
+                      {revoking === session.id ? <CircularProgress size={16} /> : 'Sign out'}
+                    </Button>
+                  </ListItemSecondaryAction>
+                )}
+              </ListItem>
+            ))}
+          </List>
+        )}
+
+        <Divider sx={{ my: 2 }} />
+
+        <Button
+          variant="outlined"
+          color="error"
+          startIcon={<LogoutIcon />}
+          onClick={() => setConfirmOpen(true)}
+          fullWidth
+        >
+          Log Out Everywhere
+        </Button>
+      </CardContent>
+
+      <Dialog open={confirmOpen} onClose={() => setConfirmOpen(false)}>
+        <DialogTitle>Log out everywhere?</DialogTitle>
+        <DialogContent>
+          <DialogContentText>
+            Every device signed in to your account, including this one, will be signed out.
+          </DialogContentText>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setConfirmOpen(false)}>Cancel</Button>
+          <Button onClick={handleLogoutEverywhere} color="error" variant="contained">
+            Log Out Everywhere
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default SessionsSettings;
@@ -0,0 +1,242 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import {
+  Box,
+  Typography,
+  Card,
+  CardContent,
+  Button,
+  TextField,
+  Alert,
+  Chip,
+  CircularProgress,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogContentText,
+  DialogActions
+} from '@mui/material';
+import { VerifiedUser as VerifiedUserIcon } from '@mui/icons-material';
+import { useAuth } from '../../contexts/AuthContext';
+
+/**
+ * Two-factor authentication settings: enrolment with a QR code, backup
+ * codes, and turning it off for roles that don't require it.
+ */
+const TwoFactorSettings = () => {
+  const { updateToken } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [enrolment, setEnrolment] = useState(null);
+  const [backupCodes, setBackupCodes] = useState(null);
+  // 'disable' or 'backup-codes' while asking for a code to confirm
+  const [confirmAction, setConfirmAction] = useState(null);
+  const [code, setCode] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const response = await axios.get('/api/auth/2fa');
+      setStatus(response.data);
+    } catch (err) {
+      console.error('Error fetching two-factor status:', err);
+      setError('Failed to load two-factor authentication settings');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  const closeCodeEntry = () => {
+    setEnrolment(null);
+    setConfirmAction(null);
+    setCode('');
+  };
+
+  const handleStartSetup = async () => {
+    setError(null);
+    try {
+      const response = await axios.post('/api/auth/2fa/setup');
+      setEnrolment(response.data);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to start two-factor setup');
+    }
+  };
+
+  const handleConfirmSetup = async () => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await axios.post('/api/auth/2fa/verify', { code });
+      if (response.data.token) {
+        updateToken(response.data.token);
+      }
+      closeCodeEntry();
+      setBackupCodes(response.data.backupCodes);
+      await fetchStatus();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Invalid verification code');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleConfirmAction = async () => {
+    setSubmitting(true);
+    setError(null);
+    try {
+      const response = await axios.post(`/api/auth/2fa/${confirmAction}`, { code });
+      if (response.data.backupCodes) {
+        setBackupCodes(response.data.backupCodes);
+      }
+      closeCodeEntry();
+      await fetchStatus();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Invalid verification code');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const codeDialogOpen = Boolean(enrolment || confirmAction);
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Box display="flex" alignItems="center" gap={1} mb={2}>
+          <VerifiedUserIcon color="primary" />
+          <Typography variant="h6" fontWeight="bold">
+            Two-Factor Authentication
+          </Typography>
+          {status?.enabled && <Chip label="On" size="small" color="success" />}
+        </Box>
+
+        {error && !codeDialogOpen && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        {loading ? (
+          <Box display="flex" justifyContent="center" py={2}>
+            <CircularProgress size={24} />
+          </Box>
+        ) : status && (
+          <>
+            {status.required && !status.enabled && (
+              <Alert severity="warning" sx={{ mb: 2 }}>
+                Your role requires two-factor authentication. Set it up to keep using admin and moderation tools.
+              </Alert>
+            )}
+
+            <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+              {status.enabled
+                ? `Signing in needs a code from your authenticator app. ${status.backupCodesRemaining} backup codes left.`
+                : 'Protect your account with a code from an authenticator app when you sign in.'}
+            </Typography>
+
+            {status.enabled ? (
+              <Box display="flex" gap={1} flexWrap="wrap">
+                <Button variant="outlined" onClick={() => setConfirmAction('backup-codes')}>
+                  New Backup Codes
+                </Button>
+                {!status.required && (
+                  <Button variant="outlined" color="error" onClick={() => setConfirmAction('disable')}>
+                    Turn Off
+                  </Button>
+                )}
+              </Box>
+            ) : (
+              <Button variant="contained" onClick={handleStartSetup}>
+                Set Up Two-Factor Authentication
+              </Button>
+            )}
+          </>
+        )}
+      </CardContent>
+
+      {/* Enrolment, or confirming a change with a current code */}
+      <Dialog open={codeDialogOpen} onClose={closeCodeEntry} maxWidth="xs" fullWidth>
+        <DialogTitle>
+          {enrolment ? 'Set Up Two-Factor Authentication' : 'Enter Authentication Code'}
+        </DialogTitle>
+        <DialogContent>
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+          {enrolment ? (
+            <>
+              <DialogContentText>
+                Scan this QR code with your authenticator app, then enter the 6-digit code it shows.
+              </DialogContentText>
+              <Box display="flex" justifyContent="center" my={2}>
+                <img src={enrolment.qrCode} alt="Two-factor QR code" width={200} height={200} />
+              </Box>
+              <Typography variant="caption" color="text.secondary" component="div" sx={{ wordBreak: 'break-all' }}>
+                Can't scan it? Enter this key instead: <strong>{enrolment.secret}</strong>
+              </Typography>
+            </>
+          ) : (
+            <DialogContentText>
+              {confirmAction === 'disable'
+                ? 'Enter a code from your authenticator app or a backup code to turn two-factor authentication off.'
+                : 'Enter a code from your authenticator app. Your old backup codes will stop working.'}
+            </DialogContentText>
+          )}
+          <TextField
+            autoFocus
+            fullWidth
+            margin="normal"
+            label="Authentication Code"
+            autoComplete="one-time-code"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={closeCodeEntry}>Cancel</Button>
+          <Button
+            variant="contained"
+            color={confirmAction === 'disable' ? 'error' : 'primary'}
+            onClick={enrolment ? handleConfirmSetup : handleConfirmAction}
+            disabled={submitting || !code.trim()}
+          >
+            {submitting ? <CircularProgress size={20} /> : 'Confirm'}
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      {/* Backup codes are only ever shown once */}
+      <Dialog open={Boolean(backupCodes)} onClose={() => setBackupCodes(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>Save Your Backup Codes</DialogTitle>
+        <DialogContent>
+          <DialogContentText sx={{ mb: 2 }}>
+            Each code signs you in once if you lose your phone. Store them somewhere safe; they won't be shown again.
+          </DialogContentText>
+          <Box
+            component="pre"
+            sx={{ fontFamily: 'monospace', bgcolor: 'action.hover', p: 2, borderRadius: 1, columnCount: 2, m: 0 }}
+          >
+            {backupCodes?.join('\n')}
+          </Box>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => navigator.clipboard?.writeText(backupCodes.join('\n'))}>
+            Copy
+          </Button>
+          <Button variant="contained" onClick={() => setBackupCodes(null)}>
+            I've Saved Them
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Card>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,10 @@
+// Map tile configuration
+// Point REACT_APP_MAP_TILE_URL at a local tile server (e.g. http://localhost:8080/tile/{z}/{x}/{y}.png)
+// to run the incident map without reaching the public OpenStreetMap tiles.
+export const MAP_TILE_URL = process.env.REACT_APP_MAP_TILE_URL ||
+  'https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png';
+
+export const MAP_TILE_ATTRIBUTION = process.env.REACT_APP_MAP_TILE_ATTRIBUTION ||
+  '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+
+export const MAP_MAX_ZOOM = parseInt(process.env.REACT_APP_MAP_MAX_ZOOM || '19', 10);
@@ -44,6 +44,7 @@ export const MESSAGE_ACTIONS = {
   REPLY: 'reply',
   COPY: 'copy',
   FORWARD: 'forward',
+  EDIT: 'edit',
   DELETE_FOR_ME: 'delete_for_me',
   DELETE_FOR_EVERYONE: 'delete_for_everyone',
   INFO: 'info',
@@ -91,6 +92,7 @@ export const SOCKET_EVENTS = {
   SEND_MESSAGE: 'send_message',
   MESSAGE_RECEIVED: 'message_received',
   MESSAGE_UPDATED: 'message_updated',
+  MESSAGE_EDITED: 'message_edited',
   MESSAGE_DELETED: 'message_deleted',
   MESSAGE_READ: 'message_read',
   
@@ -144,6 +146,7 @@ export const UI_CONSTANTS = {
   TYPING_TIMEOUT: 2000, // 2 seconds
   TYPING_INDICATOR_TIMEOUT: 3000, // 3 seconds
   MESSAGE_RETRY_TIMEOUT: 5000, // 5 seconds
+  MESSAGE_EDIT_WINDOW: 15 * 60 * 1000, // 15 minutes, matches the server default
   
   // File size limits (in bytes)
   MAX_FILE_SIZE: 50 * 1024 * 1024, // 50MB
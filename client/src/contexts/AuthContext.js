@@ -1,6 +1,15 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
 import { API_BASE_URL } from '../config/api';
+import {
+  getAccessToken,
+  getRefreshToken,
+  storeTokens,
+  clearTokens,
+  getTokenExpiry,
+  refreshAccessToken,
+  REFRESH_MARGIN_MS
+} from '../utils/authTokens';
 
 // FORCE CLEAR any existing axios configuration
 delete axios.defaults.baseURL;
@@ -42,7 +51,99 @@ export const useAuth = () => {
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [token, setToken] = useState(localStorage.getItem('token'));
+  const [token, setToken] = useState(getAccessToken());
+
+  const clearSession = useCallback(() => {
+    clearTokens();
+    setToken(null);
+    setUser(null);
+    delete axios.defaults.headers.common['Authorization'];
+  }, []);
+
+  const logout = () => {
+    const refreshToken = getRefreshToken();
+    if (refreshToken) {
+      // Revoke the session server-side; signing out locally doesn't wait on it
+      axios.post('/api/auth/logout', { refreshToken }).catch(error => {
+        console.error('Logout request failed:', error);
+      });
+    }
+    clearSession();
+  };
+
+  const logoutEverywhere = async () => {
+    try {
+      await axios.post('/api/auth/logout-all');
+      clearSession();
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to sign out of all devices'
+      };
+    }
+  };
+
+  // Refresh the access token shortly before it expires, so code that reads
+  // the token straight from localStorage always finds a valid one
+  useEffect(() => {
+    const expiry = token && getTokenExpiry(token);
+    if (!expiry) return undefined;
+
+    const timer = setTimeout(async () => {
+      const newToken = await refreshAccessToken();
+      if (newToken) {
+        setToken(newToken);
+      } else if (!getAccessToken()) {
+        clearSession();
+      }
+    }, Math.max(expiry - Date.now() - REFRESH_MARGIN_MS, 0));
+
+    return () => clearTimeout(timer);
+  }, [token, clearSession]);
+
+  // Retry requests that failed because the access token expired or was revoked
+  useEffect(() => {
+    const interceptor = axios.interceptors.response.use(
+      response => response,
+      async error => {
+        const { config, response } = error;
+        const isAuthRequest = config?.url?.includes('/api/auth/');
+
+        if (response?.status !== 401 || !config || config._retried || isAuthRequest) {
+          return Promise.reject(error);
+        }
+
+        const newToken = await refreshAccessToken();
+        if (!newToken) {
+          clearSession();
+          return Promise.reject(error);
+        }
+
+        setToken(newToken);
+        config._retried = true;
+        config.headers.Authorization = `Bearer ${newToken}`;
+        return axios(config);
+      }
+    );
+
+    return () => axios.interceptors.response.eject(interceptor);
+  }, [clearSession]);
+
+  // Follow sign-ins, refreshes and sign-outs made in other tabs
+  useEffect(() => {
+    const handleStorage = (event) => {
+      if (event.key === 'token') {
+        setToken(event.newValue);
+        if (!event.newValue) {
+          setUser(null);
+        }
+      }
+    };
+
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  }, []);
 
   // Configure axios defaults
   useEffect(() => {
@@ -74,9 +175,15 @@ export const AuthProvider = ({ children }) => {
   const login = async (email, password) => {
     try {
       const response = await axios.post('/api/auth/login', { email, password });
-      const { token: newToken, user: userData } = response.data;
+
+      // Accounts with two-factor authentication finish in completeTwoFactorLogin
+      if (response.data.requiresTwoFactor) {
+        return { success: false, requiresTwoFactor: true, challengeToken: response.data.challengeToken };
+      }
+
+      const { token: newToken, user: userData, refreshToken } = response.data;
       
-      localStorage.setItem('token', newToken);
+      storeTokens(newToken, refreshToken);
       setToken(newToken);
       setUser(userData);
       
@@ -89,12 +196,36 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const completeTwoFactorLogin = async (challengeToken, code) => {
+    try {
+      const response = await axios.post('/api/auth/login/2fa', { challengeToken, code });
+      const { token: newToken, user: userData, refreshToken } = response.data;
+
+      storeTokens(newToken, refreshToken);
+      setToken(newToken);
+      setUser(userData);
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Verification failed'
+      };
+    }
+  };
+
+  // Swap in a new access token for the current session, e.g. after enrolling in 2FA
+  const updateToken = (newToken) => {
+    storeTokens(newToken);
+    setToken(newToken);
+  };
+
   const register = async (userData) => {
     try {
       const response = await axios.post('/api/auth/register', userData);
-      const { token: newToken, user: newUser } = response.data;
+      const { token: newToken, user: newUser, refreshToken } = response.data;
       
-      localStorage.setItem('token', newToken);
+      storeTokens(newToken, refreshToken);
       setToken(newToken);
       setUser(newUser);
       
@@ -107,13 +238,57 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = () => {
-    localStorage.removeItem('token');
-    setToken(null);
-    setUser(null);
-    delete axios.defaults.headers.common['Authorization'];
+  const requestPasswordReset = async (email) => {
+    try {
+      const response = await axios.post('/api/auth/forgot-password', { email });
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to request password reset'
+      };
+    }
   };
 
+  const resetPassword = async (resetToken, password) => {
+    try {
+      const response = await axios.post('/api/auth/reset-password', { token: resetToken, password });
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to reset password'
+      };
+    }
+  };
+
+  const verifyEmail = async (verificationToken) => {
+    try {
+      const response = await axios.post('/api/auth/verify-email', { token: verificationToken });
+      setUser(currentUser => currentUser ? { ...currentUser, emailVerified: true } : currentUser);
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to verify email'
+      };
+    }
+  };
+
+  const resendVerificationEmail = async () => {
+    try {
+      const response = await axios.post('/api/auth/resend-verification');
+      return { success: true, message: response.data.message };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to resend verification email',
+        retryAfter: error.response?.data?.retryAfter
+      };
+    }
+  };
+
+
   const updateUser = (updatedUser) => {
     setUser(updatedUser);
   };
@@ -123,8 +298,15 @@ export const AuthProvider = ({ children }) => {
     token,
     loading,
     login,
+    completeTwoFactorLogin,
+    updateToken,
     register,
     logout,
+    logoutEverywhere,
+    requestPasswordReset,
+    resetPassword,
+    verifyEmail,
+    resendVerificationEmail,
     updateUser,
     isAuthenticated: !!user,
   };
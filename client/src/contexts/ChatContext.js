@@ -79,6 +79,7 @@ export const ChatProvider = ({ children }) => {
         updatedAt: new Date(group.updatedAt || group.createdAt),
         memberCount: group.memberCount || group.members?.length || 0,
         members: group.members || [],
+        memberRole: group.memberRole || 'member',
         isPublic: group.isPublic !== false,
         lastMessage: group.lastMessage ? {
           id: group.lastMessage.id || group.lastMessage._id,
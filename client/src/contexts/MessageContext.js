@@ -5,6 +5,8 @@ import { useToast } from './ToastContext';
 // Removed circular dependency - selectedChatId and selectedChat will be passed via props or managed differently
 import useApi from '../hooks/useApi';
 import useChatErrorHandler from '../hooks/useChatErrorHandler';
+import outboxService from '../services/OutboxService';
+import { mergeServerItem, reconcileClientId } from '../utils/optimisticUpdates';
 
 const MessageContext = createContext();
 
@@ -180,10 +182,13 @@ export const MessageProvider = ({ children }) => {
     
     const messageContent = content.trim();
     const tempId = `temp-${Date.now()}`;
+    // Sent with every attempt so retries can't store the message twice
+    const clientMessageId = outboxService.generateId();
     
     // Optimistic UI update
     const optimisticMessage = {
       id: tempId,
+      clientMessageId,
       chatId: selectedChatId,
       chatType: selectedChat?.type || 'group',
       senderId: user?.id || user?._id,
@@ -233,7 +238,8 @@ export const MessageProvider = ({ children }) => {
       
       const requestBody = {
         content: messageContent,
-        type: type
+        type: type,
+        clientMessageId
       };
       
       if (replyToId) {
@@ -257,6 +263,7 @@ export const MessageProvider = ({ children }) => {
       // Handle corrected API response format
       const formattedMessage = {
         id: newMessage._id || newMessage.id,
+        clientMessageId,
         chatId: selectedChatId,
         chatType: selectedChat?.type || 'group',
         senderId: newMessage.senderId,
@@ -286,20 +293,19 @@ export const MessageProvider = ({ children }) => {
       };
       
       // Replace optimistic message with real message
-      setMessages(prev => 
-        prev.map(msg => 
-          msg.id === tempId ? formattedMessage : msg
-        )
-      );
+      reconcileClientId('message', clientMessageId, newMessage);
+      setMessages(prev => mergeServerItem(prev, formattedMessage));
       
-      // Emit message via socket for real-time updates
+      // Emit message via socket for real-time updates; the server matches
+      // the clientMessageId to the message just posted
       if (socket) {
         socket.emit('send_message', {
           chatId: selectedChatId,
           groupId: selectedChat?.type === 'group' ? selectedChatId : null,
           content: messageContent,
           messageType: type,
-          replyToId: replyToId
+          replyToId: replyToId,
+          clientMessageId
         });
       }
       
@@ -316,6 +322,7 @@ export const MessageProvider = ({ children }) => {
       // Add to failed messages for retry
       setFailedMessages(prev => [...prev, {
         id: tempId,
+        clientMessageId,
         content: messageContent,
         chatId: selectedChatId,
         type: type,
@@ -344,15 +351,20 @@ export const MessageProvider = ({ children }) => {
     }
   }, [selectedChatId, isSendingMessage, clearChatError, selectedChat?.type, user?.id, user?._id, user?.avatar, replyingTo, attachments, socket, postWithRetry, retryChatOperation, showToast]);
 
-  // Edit a message
+  // Edit a message; the server keeps the replaced text in its edit history
   const editMessage = useCallback(async (messageId, content) => {
     try {
-      await patch(`/api/messages/${messageId}`, { content });
+      const updated = await patch(`/api/messages/${messageId}`, { content });
       
       // Update local state
       setMessages(prev => prev.map(msg => 
         msg.id === messageId 
-          ? { ...msg, content, editedAt: new Date() }
+          ? {
+            ...msg,
+            content: updated?.content ?? content,
+            isEdited: true,
+            editedAt: updated?.editedAt ? new Date(updated.editedAt) : new Date()
+          }
           : msg
       ));
       
@@ -363,24 +375,22 @@ export const MessageProvider = ({ children }) => {
     }
   }, [patch]);
 
-  // Delete a message
+  // Delete a message for the current user only or for everyone in the chat
   const deleteMessage = useCallback(async (messageId, deleteForEveryone = false) => {
     try {
-      await patch(`/api/messages/${messageId}`, {
-        isDeleted: true,
-        deletedFor: deleteForEveryone ? [] : [user?.id || user?._id]
-      });
+      const scope = deleteForEveryone ? 'everyone' : 'me';
+      await deleteRequest(`/api/messages/${messageId}?scope=${scope}`);
       
       if (deleteForEveryone) {
-        // Remove message completely
-        setMessages(prev => prev.filter(msg => msg.id !== messageId));
-      } else {
-        // Mark as deleted for current user
+        // Keep a placeholder where the message was
         setMessages(prev => prev.map(msg => 
           msg.id === messageId 
-            ? { ...msg, isDeleted: true, deletedFor: [...msg.deletedFor, user?.id || user?._id] }
+            ? { ...msg, isDeleted: true, content: '', attachments: [], reactions: [] }
             : msg
         ));
+      } else {
+        // Hidden from this user's view only
+        setMessages(prev => prev.filter(msg => msg.id !== messageId));
       }
       
     } catch (err) {
@@ -388,7 +398,7 @@ export const MessageProvider = ({ children }) => {
       setError(err.message || 'Failed to delete message');
       throw err;
     }
-  }, [patch, user]);
+  }, [deleteRequest]);
 
   // React to a message
   const reactToMessage = useCallback(async (messageId, reactionType) => {
@@ -604,9 +614,11 @@ export const MessageProvider = ({ children }) => {
         ? `/api/chat/groups/${failedMessage.chatId}/messages`
         : `/api/chat/private/${failedMessage.chatId}/messages`;
       
+      // Same clientMessageId as the first attempt, in case that one did get through
       const requestBody = {
         content: failedMessage.content,
-        type: failedMessage.type
+        type: failedMessage.type,
+        clientMessageId: failedMessage.clientMessageId
       };
       
       if (failedMessage.replyToId) {
@@ -630,6 +642,7 @@ export const MessageProvider = ({ children }) => {
       // Handle corrected API response format
       const formattedMessage = {
         id: newMessage._id || newMessage.id,
+        clientMessageId: failedMessage.clientMessageId,
         chatId: failedMessage.chatId,
         chatType: selectedChat?.type || 'group',
         senderId: newMessage.senderId,
@@ -659,11 +672,8 @@ export const MessageProvider = ({ children }) => {
       };
       
       // Replace failed message with successful message
-      setMessages(prev => 
-        prev.map(msg => 
-          msg.id === messageId ? formattedMessage : msg
-        )
-      );
+      reconcileClientId('message', failedMessage.clientMessageId, newMessage);
+      setMessages(prev => mergeServerItem(prev, formattedMessage));
       
       // Remove from failed messages
       setFailedMessages(prev => 
@@ -680,7 +690,8 @@ export const MessageProvider = ({ children }) => {
           groupId: selectedChat?.type === 'group' ? failedMessage.chatId : null,
           content: failedMessage.content,
           messageType: failedMessage.type,
-          replyToId: failedMessage.replyToId
+          replyToId: failedMessage.replyToId,
+          clientMessageId: failedMessage.clientMessageId
         });
       }
       
@@ -787,6 +798,7 @@ export const MessageProvider = ({ children }) => {
         const msg = data.message;
         const formattedMessage = {
           id: msg.id || msg._id,
+          clientMessageId: msg.clientMessageId,
           chatId: data.chatId,
           chatType: selectedChat?.type || 'group',
           senderId: msg.senderId,
@@ -816,7 +828,8 @@ export const MessageProvider = ({ children }) => {
           moderationStatus: msg.moderationStatus
         };
         
-        setMessages(prev => [...prev, formattedMessage]);
+        // Our own messages can come back here too; don't add them twice
+        setMessages(prev => mergeServerItem(prev, formattedMessage));
       }
     };
 
@@ -830,19 +843,29 @@ export const MessageProvider = ({ children }) => {
       );
     };
 
+    const handleMessageEdited = (data) => {
+      setMessages(prev => 
+        prev.map(msg => 
+          msg.id === data.messageId 
+            ? { ...msg, content: data.content, isEdited: true, editedAt: new Date(data.editedAt) }
+            : msg
+        )
+      );
+    };
+
     const handleMessageDeleted = (data) => {
       const userId = user?.id || user?._id;
       
       if (data.deletedFor.length === 0) {
-        // Deleted for everyone
-        setMessages(prev => prev.filter(msg => msg.id !== data.messageId));
-      } else if (data.deletedFor.includes(userId)) {
-        // Deleted for current user
+        // Deleted for everyone; keep a placeholder where the message was
         setMessages(prev => prev.map(msg => 
           msg.id === data.messageId 
-            ? { ...msg, isDeleted: true, deletedFor: data.deletedFor }
+            ? { ...msg, isDeleted: true, content: '', attachments: [], reactions: [] }
             : msg
         ));
+      } else if (data.deletedFor.includes(userId)) {
+        // Deleted for current user, e.g. from another of their devices
+        setMessages(prev => prev.filter(msg => msg.id !== data.messageId));
       }
     };
 
@@ -870,6 +893,7 @@ export const MessageProvider = ({ children }) => {
     // Register event listeners
     socket.on('message_received', handleMessageReceived);
     socket.on('message_updated', handleMessageUpdated);
+    socket.on('message_edited', handleMessageEdited);
     socket.on('message_deleted', handleMessageDeleted);
     socket.on('message_read', handleMessageRead);
     socket.on('reaction_updated', handleReactionUpdated);
@@ -877,6 +901,7 @@ export const MessageProvider = ({ children }) => {
     return () => {
       socket.off('message_received', handleMessageReceived);
       socket.off('message_updated', handleMessageUpdated);
+      socket.off('message_edited', handleMessageEdited);
       socket.off('message_deleted', handleMessageDeleted);
       socket.off('message_read', handleMessageRead);
       socket.off('reaction_updated', handleReactionUpdated);
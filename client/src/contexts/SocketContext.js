@@ -5,6 +5,9 @@ import { API_BASE_URL } from '../config/api';
 
 const SocketContext = createContext();
 
+// How often an open tab tells the server it is still there (see PresenceService)
+const PRESENCE_HEARTBEAT_INTERVAL = 30000;
+
 export const useSocket = () => {
   const context = useContext(SocketContext);
   if (!context) {
@@ -75,9 +78,21 @@ export const SocketProvider = ({ children }) => {
       // Set up real-time sync event listeners
       setupSyncEventListeners(newSocket);
 
+      // Presence heartbeats; a hidden tab counts as idle, so the user shows
+      // as away once none of their tabs or devices are in use
+      const sendPresenceHeartbeat = () => {
+        if (newSocket.connected) {
+          newSocket.emit('presence_heartbeat', { idle: document.hidden });
+        }
+      };
+      const presenceHeartbeat = setInterval(sendPresenceHeartbeat, PRESENCE_HEARTBEAT_INTERVAL);
+      document.addEventListener('visibilitychange', sendPresenceHeartbeat);
+
       setSocket(newSocket);
 
       return () => {
+        clearInterval(presenceHeartbeat);
+        document.removeEventListener('visibilitychange', sendPresenceHeartbeat);
         newSocket.close();
       };
     }
@@ -1,5 +1,6 @@
 import { renderHook, act } from '@testing-library/react';
 import { useEncryption } from '../useEncryption';
+import { useChat } from '../useChat';
 import encryptionManager from '../../utils/encryption';
 
 // Mock the encryption manager
@@ -7,17 +8,61 @@ jest.mock('../../utils/encryption', () => ({
   isEncryptionSupported: jest.fn(),
   initializeChatEncryption: jest.fn(),
   getPublicKeyForSharing: jest.fn(),
+  getDeviceId: jest.fn(),
   encryptMessageForSending: jest.fn(),
   decryptReceivedMessage: jest.fn(),
   clearChatEncryption: jest.fn(),
+  computeSafetyNumber: jest.fn(),
+  getFingerprints: jest.fn(),
+  getRejectedKeys: jest.fn(),
+  toEnvelope: jest.fn(),
+  fromEnvelope: jest.fn(),
 }));
 
+// Mock the useChat hook
+jest.mock('../useChat', () => ({
+  useChat: jest.fn(),
+}));
+
+// Mock fetch
+global.fetch = jest.fn();
+
 describe('useEncryption', () => {
   const mockChatId = 'chat-123';
   const mockUserId = 'user-123';
+  const mockSocket = {
+    on: jest.fn(),
+    off: jest.fn(),
+  };
+
+  // The server's fingerprints only mean anything if they match the keys
+  const chatKeys = (otherPublicKey, otherFingerprint = `fp(${otherPublicKey})`) => ({
+    participants: [
+      { userId: mockUserId, keys: [{ deviceId: 'device-1', publicKey: 'key-1', fingerprint: 'fp(key-1)' }] },
+      { userId: 'user-456', keys: [{ deviceId: 'device-2', publicKey: otherPublicKey, fingerprint: otherFingerprint }] },
+    ],
+  });
+
+  // Key registration, then the chat's keys
+  const mockServerKeys = (otherPublicKey = 'key-2', otherFingerprint) => {
+    fetch
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve({}) })
+      .mockResolvedValueOnce({ ok: true, json: () => Promise.resolve(chatKeys(otherPublicKey, otherFingerprint)) });
+  };
 
   beforeEach(() => {
     jest.clearAllMocks();
+    localStorage.clear();
+    useChat.mockReturnValue({ socket: mockSocket });
+    encryptionManager.getDeviceId.mockResolvedValue('device-1');
+    encryptionManager.computeSafetyNumber.mockImplementation(async (a, b) => `${a.fingerprints}-${b.fingerprints}`);
+    // Stands in for fingerprinting the keys the manager last imported
+    encryptionManager.getFingerprints.mockImplementation((chatId, userId) => {
+      const [, participants] = encryptionManager.initializeChatEncryption.mock.calls.at(-1);
+      return participants.find(p => p.userId === userId).keys.map(key => `fp(${key.publicKey})`);
+    });
+    encryptionManager.getRejectedKeys.mockReturnValue([]);
+    fetch.mockResolvedValue({ ok: true, json: () => Promise.resolve({ participants: [] }) });
   });
 
   it('should initialize with correct default values', () => {
@@ -239,10 +284,111 @@ describe('useEncryption', () => {
       isEnabled: false,
       status: 'checking',
       publicKey: null,
+      safetyNumber: null,
+      isVerified: false,
+      keyChanged: false,
+      rejectedKeys: [],
       statusText: 'Setting up encryption...',
     });
   });
 
+  it('should register this device and load keys from the server', async () => {
+    encryptionManager.isEncryptionSupported.mockReturnValue(true);
+    encryptionManager.initializeChatEncryption.mockResolvedValue(true);
+    encryptionManager.getPublicKeyForSharing.mockResolvedValue('mock-public-key');
+    mockServerKeys();
+
+    const { result } = renderHook(() => useEncryption(mockChatId, mockUserId));
+
+    await act(async () => {
+      await result.current.toggleEncryption(true);
+    });
+
+    expect(fetch).toHaveBeenCalledWith('/api/users/me/keys/device-1', expect.objectContaining({
+      method: 'PUT',
+      body: expect.stringContaining('mock-public-key'),
+    }));
+    expect(encryptionManager.initializeChatEncryption).toHaveBeenCalledWith(
+      mockChatId,
+      chatKeys('key-2').participants
+    );
+    expect(result.current.safetyNumber).toBe('fp(key-1)-fp(key-2)');
+    expect(result.current.keyChanged).toBe(false);
+  });
+
+  it('should warn when a participant key changes', async () => {
+    encryptionManager.isEncryptionSupported.mockReturnValue(true);
+    encryptionManager.initializeChatEncryption.mockResolvedValue(true);
+    encryptionManager.getPublicKeyForSharing.mockResolvedValue('mock-public-key');
+
+    const { result } = renderHook(() => useEncryption(mockChatId, mockUserId));
+
+    mockServerKeys('key-2');
+    await act(async () => {
+      await result.current.toggleEncryption(true);
+    });
+    act(() => {
+      result.current.markVerified();
+    });
+    expect(result.current.isVerified).toBe(true);
+
+    // The other participant's device gets a new key
+    mockServerKeys('key-3');
+    const handleKeysChanged = mockSocket.on.mock.calls
+      .filter(([event]) => event === 'encryption_keys_changed')
+      .pop()[1];
+    await act(async () => {
+      await handleKeysChanged({ userId: 'user-456', deviceId: 'device-2' });
+    });
+
+    expect(result.current.safetyNumber).toBe('fp(key-1)-fp(key-3)');
+    expect(result.current.keyChanged).toBe(true);
+    expect(result.current.isVerified).toBe(false);
+
+    act(() => {
+      result.current.acknowledgeKeyChange();
+    });
+    expect(result.current.keyChanged).toBe(false);
+  });
+
+  it('should change the safety number when the server swaps a key but keeps its fingerprint', async () => {
+    encryptionManager.isEncryptionSupported.mockReturnValue(true);
+    encryptionManager.initializeChatEncryption.mockResolvedValue(true);
+    encryptionManager.getPublicKeyForSharing.mockResolvedValue('mock-public-key');
+
+    const { result } = renderHook(() => useEncryption(mockChatId, mockUserId));
+
+    mockServerKeys('key-2');
+    await act(async () => {
+      await result.current.toggleEncryption(true);
+    });
+
+    mockServerKeys('server-key', 'fp(key-2)');
+    await act(async () => {
+      await result.current.initializeEncryption();
+    });
+
+    expect(result.current.safetyNumber).toBe('fp(key-1)-fp(server-key)');
+    expect(result.current.keyChanged).toBe(true);
+  });
+
+  it('should list keys the encryption manager rejected', async () => {
+    encryptionManager.isEncryptionSupported.mockReturnValue(true);
+    encryptionManager.initializeChatEncryption.mockResolvedValue(true);
+    encryptionManager.getPublicKeyForSharing.mockResolvedValue('mock-public-key');
+    encryptionManager.getRejectedKeys.mockReturnValue([{ userId: 'user-456', deviceId: 'device-2' }]);
+    mockServerKeys();
+
+    const { result } = renderHook(() => useEncryption(mockChatId, mockUserId));
+
+    await act(async () => {
+      await result.current.toggleEncryption(true);
+    });
+
+    expect(encryptionManager.getRejectedKeys).toHaveBeenCalledWith(mockChatId);
+    expect(result.current.rejectedKeys).toEqual([{ userId: 'user-456', deviceId: 'device-2' }]);
+  });
+
   it('should clean up on unmount', async () => {
     encryptionManager.isEncryptionSupported.mockReturnValue(true);
     encryptionManager.initializeChatEncryption.mockResolvedValue(true);
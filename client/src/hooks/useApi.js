@@ -2,6 +2,17 @@ import { useState, useCallback, useRef } from 'react';
 import useErrorHandler from './useErrorHandler';
 import useOfflineDetection from './useOfflineDetection';
 import { API_BASE_URL } from '../config/api';
+import { refreshAccessToken } from '../utils/authTokens';
+
+// Message endpoints that answer with an envelope object rather than a list:
+// cursor history pages, change deltas since a sync cursor, and threads
+const ENVELOPE_ENDPOINTS = [
+  /\/messages\?(.*&)?(cursor|direction)=/,
+  /\/messages\/changes(\?|$)/,
+  /\/messages\/[^/?]+\/thread(\?|$)/
+];
+
+const isEnvelopeEndpoint = (url) => ENVELOPE_ENDPOINTS.some(pattern => pattern.test(url));
 
 const useApi = () => {
   const [loading, setLoading] = useState(false);
@@ -48,7 +59,16 @@ const useApi = () => {
       };
 
       console.log('Making API request to:', fullUrl);
-      const response = await fetch(fullUrl, config);
+      let response = await fetch(fullUrl, config);
+
+      // An expired or revoked access token gets one retry with a refreshed one
+      if (response.status === 401 && token && !url.includes('/api/auth/')) {
+        const newToken = await refreshAccessToken();
+        if (newToken) {
+          config.headers = { ...config.headers, 'Authorization': `Bearer ${newToken}` };
+          response = await fetch(fullUrl, config);
+        }
+      }
       
       console.log(`Response for ${fullUrl}:`, {
         status: response.status,
@@ -79,9 +99,12 @@ const useApi = () => {
           }
         }
         
-        // Additional safety check for endpoints that should return arrays
-        if ((url.includes('/messages') || url.includes('/privateChat')) && 
-            !Array.isArray(data)) {
+        // Additional safety check for endpoints that should return arrays.
+        // Writes answer with the item they created or changed, and cursor
+        // pages, change deltas and threads answer with an envelope object.
+        const isListRead = !options.method || options.method === 'GET';
+        if (isListRead && (url.includes('/messages') || url.includes('/privateChat')) &&
+            !isEnvelopeEndpoint(url) && !Array.isArray(data)) {
           console.error(`Expected array but got ${typeof data} for ${url}:`, data);
           return [];
         }
@@ -144,6 +167,14 @@ const useApi = () => {
     });
   }, [makeRequest]);
 
+  const patch = useCallback((url, data, options = {}) => {
+    return makeRequest(url, {
+      ...options,
+      method: 'PATCH',
+      body: JSON.stringify(data)
+    });
+  }, [makeRequest]);
+
   const del = useCallback((url, options = {}) => {
     return makeRequest(url, { ...options, method: 'DELETE' });
   }, [makeRequest]);
@@ -184,6 +215,7 @@ const useApi = () => {
     get,
     post,
     put,
+    patch,
     delete: del,
     upload,
     getWithRetry,
@@ -30,6 +30,23 @@ export const useAutoDelete = (chatId, currentUserId) => {
     }
   }, [chatId]);
 
+  // Keep settings in sync when another participant changes the timer
+  useEffect(() => {
+    if (!socket || !chatId) return;
+
+    const handleSettingsUpdated = (data) => {
+      if (data.chatId?.toString() === chatId.toString()) {
+        setAutoDeleteSettings(data.settings);
+      }
+    };
+
+    socket.on('auto_delete_settings_updated', handleSettingsUpdated);
+
+    return () => {
+      socket.off('auto_delete_settings_updated', handleSettingsUpdated);
+    };
+  }, [socket, chatId]);
+
   // Load auto-delete settings from server
   const loadAutoDeleteSettings = useCallback(async () => {
     if (!chatId || !currentUserId) return;
@@ -91,15 +108,7 @@ export const useAutoDelete = (chatId, currentUserId) => {
       const data = await response.json();
       setAutoDeleteSettings(data.settings);
 
-      // Emit socket event to notify other participants
-      if (socket) {
-        socket.emit('auto_delete_settings_updated', {
-          chatId,
-          settings: data.settings,
-          updatedBy: currentUserId,
-        });
-      }
-
+      // The server notifies the other participants
       return true;
     } catch (err) {
       console.error('Failed to update auto-delete settings:', err);
@@ -108,7 +117,7 @@ export const useAutoDelete = (chatId, currentUserId) => {
     } finally {
       setIsLoading(false);
     }
-  }, [chatId, currentUserId, socket]);
+  }, [chatId, currentUserId]);
 
   // Enable auto-delete
   const enableAutoDelete = useCallback(async (period, applyToExisting = false) => {
@@ -212,21 +221,14 @@ export const useAutoDelete = (chatId, currentUserId) => {
       }
 
       const data = await response.json();
-      
-      // Emit socket event if messages were deleted
-      if (data.deletedCount > 0 && socket) {
-        socket.emit('messages_auto_deleted', {
-          chatId,
-          deletedCount: data.deletedCount,
-        });
-      }
 
+      // The server emits messages_auto_deleted to the chat
       return data.deletedCount > 0;
     } catch (err) {
       console.error('Failed to cleanup expired messages:', err);
       return false;
     }
-  }, [chatId, autoDeleteSettings, socket]);
+  }, [chatId, autoDeleteSettings]);
 
   // Get auto-delete status text
   const getStatusText = useCallback(() => {
@@ -5,7 +5,8 @@ import { useToast } from '../components/Common/Toast';
 
 /**
  * Custom hook for managing chat data caching
- * Handles preloading, caching, and retrieving chat data from localStorage
+ * Handles preloading, caching, syncing and retrieving chat data. Message
+ * functions are async; messages live in IndexedDB.
  */
 const useChatCache = () => {
   const [isPreloading, setIsPreloading] = useState(false);
@@ -129,22 +130,42 @@ const useChatCache = () => {
   /**
    * Get cached messages for a specific chat
    */
-  const getCachedMessages = useCallback((chatId) => {
+  const getCachedMessages = useCallback(async (chatId) => {
     try {
       if (!chatId) return null;
-      return ChatCacheService.getChatMessages(chatId);
+      return await ChatCacheService.getChatMessages(chatId);
     } catch (error) {
       console.error('Error getting cached messages:', error);
       return null;
     }
   }, []);
 
+  /**
+   * Bring a chat's cached messages up to date with the server
+   * Resolves to { messages, hasOlder, gapDetected }; rejects if the server can't be reached
+   */
+  const syncMessages = useCallback(async (chatId, options = {}) => {
+    const result = await ChatCacheService.syncChatMessages({ get }, chatId, options);
+    setCacheStats(ChatCacheService.getCacheStats());
+    return result;
+  }, [get]);
+
+  /**
+   * Load the page of history before the oldest cached message
+   * Resolves to { messages, hasOlder }
+   */
+  const loadOlderMessages = useCallback(async (chatId, options = {}) => {
+    const result = await ChatCacheService.loadOlderMessages({ get }, chatId, options);
+    setCacheStats(ChatCacheService.getCacheStats());
+    return result;
+  }, [get]);
+
   /**
    * Add a new message to cache (for real-time updates)
    */
-  const addMessageToCache = useCallback((chatId, message) => {
+  const addMessageToCache = useCallback(async (chatId, message) => {
     try {
-      const success = ChatCacheService.addMessageToCache(chatId, message);
+      const success = await ChatCacheService.addMessageToCache(chatId, message);
       if (success) {
         // Update cache stats
         const stats = ChatCacheService.getCacheStats();
@@ -177,9 +198,9 @@ const useChatCache = () => {
   /**
    * Update cached messages for a chat
    */
-  const updateCachedMessages = useCallback((chatId, messages) => {
+  const updateCachedMessages = useCallback(async (chatId, messages) => {
     try {
-      const success = ChatCacheService.storeChatMessages(chatId, messages);
+      const success = await ChatCacheService.storeChatMessages(chatId, messages);
       if (success) {
         const stats = ChatCacheService.getCacheStats();
         setCacheStats(stats);
@@ -215,8 +236,7 @@ const useChatCache = () => {
    */
   const hasCachedMessages = useCallback((chatId) => {
     try {
-      const messages = ChatCacheService.getChatMessages(chatId);
-      return messages && messages.length > 0;
+      return ChatCacheService.hasChatMessages(chatId);
     } catch (error) {
       console.error('Error checking cached messages:', error);
       return false;
@@ -246,6 +266,8 @@ const useChatCache = () => {
     preloadChatData,
     getCachedChatGroups,
     getCachedMessages,
+    syncMessages,
+    loadOlderMessages,
     addMessageToCache,
     updateCachedChatGroups,
     updateCachedMessages,
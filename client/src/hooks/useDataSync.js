@@ -487,58 +487,49 @@ const useDataSync = ({
     return operationId;
   }, [resourceType, endpoint]);
   
-  // Process the offline operation queue
+  // Process the offline operation queue. The outbox sends each operation;
+  // here we only confirm the optimistic updates they belong to.
   const processQueue = useCallback(async () => {
     if (!isOnline) return;
     
-    const processOperation = async (operation) => {
-      const { type, endpoint, method, data, metadata } = operation;
+    const confirmOperation = (operation, result) => {
+      const { method, data, metadata } = operation;
       
       switch (method) {
         case 'POST':
-          const createdItem = await post(endpoint, data);
-          
           // If this was an optimistic update, confirm it
           if (metadata.updateId) {
-            optimisticUpdates.confirmOptimisticUpdate(metadata.updateId, createdItem);
+            optimisticUpdates.confirmOptimisticUpdate(metadata.updateId, result);
             
             // If we had a temporary ID, update it with the real one
             if (metadata.optimisticId) {
               removeLocalData(metadata.optimisticId);
-              updateLocalData(createdItem);
+              updateLocalData(result);
             }
           }
-          return createdItem;
+          break;
           
         case 'PUT':
-          const updatedItem = await put(endpoint, data);
-          
           // If this was an optimistic update, confirm it
           if (metadata.updateId) {
-            optimisticUpdates.confirmOptimisticUpdate(metadata.updateId, updatedItem);
-            updateLocalData(updatedItem);
+            optimisticUpdates.confirmOptimisticUpdate(metadata.updateId, result);
+            updateLocalData(result);
           }
-          return updatedItem;
+          break;
           
         case 'DELETE':
-          await del(endpoint);
-          
           // If this was an optimistic update, confirm it
           if (metadata.updateId) {
             optimisticUpdates.confirmOptimisticUpdate(metadata.updateId, { id: data.id, _deleted: true });
           }
-          return true;
+          break;
           
         default:
-          throw new Error(`Unknown method: ${method}`);
+          console.warn(`Unknown method: ${method}`);
       }
     };
     
-    const results = await offlineQueue.processQueue(processOperation, {
-      removeOnSuccess: true,
-      stopOnError: false,
-      maxAttempts: 3
-    });
+    const results = await offlineQueue.processQueue(confirmOperation);
     
     // Update pending operations state
     if (results.successful > 0) {
@@ -546,7 +537,7 @@ const useDataSync = ({
     }
     
     return results;
-  }, [isOnline, post, put, del, updateLocalData, removeLocalData]);
+  }, [isOnline, updateLocalData, removeLocalData]);
   
   // Initial data fetch
   useEffect(() => {
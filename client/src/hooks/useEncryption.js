@@ -1,14 +1,47 @@
 import { useState, useEffect, useCallback } from 'react';
 import encryptionManager from '../utils/encryption';
+import { useChat } from './useChat';
+
+const authHeaders = () => ({
+  'Content-Type': 'application/json',
+  'Authorization': `Bearer ${localStorage.getItem('token')}`,
+});
+
+// Safety numbers already seen (and possibly verified) for a chat
+const safetyStorageKey = (chatId) => `encryption_safety_${chatId}`;
+
+const readSafetyRecord = (chatId) => {
+  try {
+    return JSON.parse(localStorage.getItem(safetyStorageKey(chatId))) || {};
+  } catch (error) {
+    return {};
+  }
+};
+
+const writeSafetyRecord = (chatId, record) => {
+  localStorage.setItem(safetyStorageKey(chatId), JSON.stringify(record));
+};
 
 /**
  * Hook for managing end-to-end encryption in chat components
+ *
+ * Registers this device's public key, fetches the chat participants' device
+ * keys from the server and keeps a safety number the users can compare.
+ * A warning is raised when a participant's keys change after the safety
+ * number was first seen, and keys whose fingerprint from the server doesn't
+ * match the key itself are rejected and listed in rejectedKeys.
  */
 export const useEncryption = (chatId, currentUserId) => {
   const [isEncryptionEnabled, setIsEncryptionEnabled] = useState(false);
   const [isEncryptionSupported, setIsEncryptionSupported] = useState(false);
   const [encryptionStatus, setEncryptionStatus] = useState('checking'); // checking, enabled, disabled, error
   const [publicKey, setPublicKey] = useState(null);
+  const [participantIds, setParticipantIds] = useState([]);
+  const [safetyNumber, setSafetyNumber] = useState(null);
+  const [isVerified, setIsVerified] = useState(false);
+  const [keyChanged, setKeyChanged] = useState(false);
+  const [rejectedKeys, setRejectedKeys] = useState([]);
+  const { socket } = useChat();
 
   // Check encryption support on mount
   useEffect(() => {
@@ -21,23 +54,90 @@ export const useEncryption = (chatId, currentUserId) => {
     }
   }, []);
 
+  // Register this device's public key so chat partners can encrypt for it
+  const registerDeviceKey = useCallback(async (userPublicKey) => {
+    const deviceId = await encryptionManager.getDeviceId();
+    const response = await fetch(`/api/users/me/keys/${deviceId}`, {
+      method: 'PUT',
+      headers: authHeaders(),
+      body: JSON.stringify({
+        publicKey: userPublicKey,
+        deviceName: navigator.userAgent.slice(0, 100),
+      }),
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to register encryption key');
+    }
+  }, []);
+
+  // Fetch every participant's device keys from the server
+  const fetchChatKeys = useCallback(async () => {
+    const response = await fetch(`/api/private-chat/${chatId}/keys`, {
+      method: 'GET',
+      headers: authHeaders(),
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to load encryption keys');
+    }
+
+    const data = await response.json();
+    return data.participants || [];
+  }, [chatId]);
+
+  // Work out the safety number and compare it with the last one seen
+  // Built from the fingerprints of the keys actually imported, so a key
+  // swapped in by the server changes it.
+  const updateSafetyNumber = useCallback(async (participants) => {
+    const own = participants.find(p => String(p.userId) === String(currentUserId));
+    const other = participants.find(p => String(p.userId) !== String(currentUserId));
+    if (!own || !other) return;
+
+    const number = await encryptionManager.computeSafetyNumber(
+      { userId: own.userId, fingerprints: encryptionManager.getFingerprints(chatId, own.userId) },
+      { userId: other.userId, fingerprints: encryptionManager.getFingerprints(chatId, other.userId) }
+    );
+
+    const record = readSafetyRecord(chatId);
+    if (!record.seen) {
+      writeSafetyRecord(chatId, { ...record, seen: number });
+    }
+
+    setSafetyNumber(number);
+    setIsVerified(record.verified === number);
+    setKeyChanged(Boolean(record.seen) && record.seen !== number);
+  }, [chatId, currentUserId]);
+
   // Initialize encryption for chat
-  const initializeEncryption = useCallback(async (participantPublicKeys = []) => {
+  // Keys come from the server unless the caller passes them in.
+  const initializeEncryption = useCallback(async (participantPublicKeys) => {
     if (!isEncryptionSupported || !chatId) return false;
 
     try {
       setEncryptionStatus('checking');
-      
+
+      const userPublicKey = await encryptionManager.getPublicKeyForSharing(chatId);
+      let participants = participantPublicKeys;
+      if (!participants) {
+        await registerDeviceKey(userPublicKey);
+        participants = await fetchChatKeys();
+      }
+
       const success = await encryptionManager.initializeChatEncryption(
         chatId, 
-        participantPublicKeys
+        participants
       );
       
       if (success) {
-        const userPublicKey = await encryptionManager.getPublicKeyForSharing(chatId);
         setPublicKey(userPublicKey);
+        setParticipantIds(participants.map(p => String(p.userId)));
         setIsEncryptionEnabled(true);
         setEncryptionStatus('enabled');
+        setRejectedKeys(encryptionManager.getRejectedKeys(chatId));
+        if (participants.some(p => p.keys)) {
+          await updateSafetyNumber(participants);
+        }
       } else {
         setEncryptionStatus('error');
       }
@@ -48,10 +148,45 @@ export const useEncryption = (chatId, currentUserId) => {
       setEncryptionStatus('error');
       return false;
     }
-  }, [chatId, isEncryptionSupported]);
+  }, [chatId, isEncryptionSupported, registerDeviceKey, fetchChatKeys, updateSafetyNumber]);
+
+  // Pick up key changes from chat partners (or this user's other devices)
+  useEffect(() => {
+    if (!socket || !isEncryptionEnabled) return;
+
+    const handleKeysChanged = async (data) => {
+      if (participantIds.includes(String(data.userId))) {
+        await initializeEncryption();
+      }
+    };
+
+    socket.on('encryption_keys_changed', handleKeysChanged);
+
+    return () => {
+      socket.off('encryption_keys_changed', handleKeysChanged);
+    };
+  }, [socket, isEncryptionEnabled, participantIds, initializeEncryption]);
+
+  // Record that the users compared safety numbers and they matched
+  const markVerified = useCallback(() => {
+    if (!safetyNumber) return;
+
+    writeSafetyRecord(chatId, { seen: safetyNumber, verified: safetyNumber });
+    setIsVerified(true);
+    setKeyChanged(false);
+  }, [chatId, safetyNumber]);
+
+  // Accept new keys without verifying them
+  const acknowledgeKeyChange = useCallback(() => {
+    if (!safetyNumber) return;
+
+    writeSafetyRecord(chatId, { ...readSafetyRecord(chatId), seen: safetyNumber });
+    setKeyChanged(false);
+  }, [chatId, safetyNumber]);
 
   // Encrypt message before sending
-  const encryptMessage = useCallback(async (message, recipientUserIds) => {
+  // `encryption` is the envelope to send to the server in place of the text.
+  const encryptMessage = useCallback(async (message, recipientUserIds = participantIds) => {
     if (!isEncryptionEnabled || !chatId) {
       return { content: message, isEncrypted: false };
     }
@@ -70,6 +205,7 @@ export const useEncryption = (chatId, currentUserId) => {
           encryptedKeys: encryptedData.encryptedKeys,
           isEncrypted: true,
         },
+        encryption: await encryptionManager.toEnvelope(encryptedData),
         isEncrypted: true,
       };
     } catch (error) {
@@ -77,18 +213,21 @@ export const useEncryption = (chatId, currentUserId) => {
       // Fall back to unencrypted if encryption fails
       return { content: message, isEncrypted: false };
     }
-  }, [chatId, isEncryptionEnabled]);
+  }, [chatId, isEncryptionEnabled, participantIds]);
 
   // Decrypt received message
+  // Accepts a server message with an `encryption` envelope, or the
+  // { content, encryptionData, isEncrypted } shape from encryptMessage.
   const decryptMessage = useCallback(async (encryptedData) => {
-    if (!isEncryptionEnabled || !chatId || !encryptedData.isEncrypted) {
+    const envelope = encryptedData.encryption?.isEncrypted ? encryptedData.encryption : null;
+    if (!isEncryptionEnabled || !chatId || !(envelope || encryptedData.isEncrypted)) {
       return encryptedData.content;
     }
 
     try {
       const decryptedContent = await encryptionManager.decryptReceivedMessage(
         chatId,
-        {
+        envelope ? encryptionManager.fromEnvelope(envelope) : {
           encryptedContent: encryptedData.content,
           iv: encryptedData.encryptionData?.iv,
           encryptedKeys: encryptedData.encryptionData?.encryptedKeys,
@@ -116,6 +255,9 @@ export const useEncryption = (chatId, currentUserId) => {
         setIsEncryptionEnabled(false);
         setEncryptionStatus('disabled');
         setPublicKey(null);
+        setSafetyNumber(null);
+        setKeyChanged(false);
+        setRejectedKeys([]);
         return true;
       }
       
@@ -133,9 +275,13 @@ export const useEncryption = (chatId, currentUserId) => {
       isEnabled: isEncryptionEnabled,
       status: encryptionStatus,
       publicKey,
+      safetyNumber,
+      isVerified,
+      keyChanged,
+      rejectedKeys,
       statusText: getStatusText(encryptionStatus, isEncryptionSupported),
     };
-  }, [isEncryptionSupported, isEncryptionEnabled, encryptionStatus, publicKey]);
+  }, [isEncryptionSupported, isEncryptionEnabled, encryptionStatus, publicKey, safetyNumber, isVerified, keyChanged, rejectedKeys]);
 
   // Clean up on unmount
   useEffect(() => {
@@ -151,10 +297,16 @@ export const useEncryption = (chatId, currentUserId) => {
     isEncryptionEnabled,
     encryptionStatus,
     publicKey,
+    safetyNumber,
+    isVerified,
+    keyChanged,
+    rejectedKeys,
     initializeEncryption,
     encryptMessage,
     decryptMessage,
     toggleEncryption,
+    markVerified,
+    acknowledgeKeyChange,
     getEncryptionInfo,
   };
 };
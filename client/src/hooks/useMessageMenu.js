@@ -15,6 +15,7 @@ const useMessageMenu = ({
   onReply,
   onCopy,
   onForward,
+  onEdit,
   onDelete,
   onInfo,
   onReport,
@@ -186,6 +187,11 @@ const useMessageMenu = ({
     closeMenu();
   }, [onForward, closeMenu]);
 
+  const handleEdit = useCallback((messageId) => {
+    onEdit?.(messageId);
+    closeMenu();
+  }, [onEdit, closeMenu]);
+
   const handleDelete = useCallback((messageId, deleteType = MESSAGE_ACTIONS.DELETE_FOR_ME) => {
     onDelete?.(messageId, deleteType);
     closeMenu();
@@ -257,6 +263,7 @@ const useMessageMenu = ({
     handleReply,
     handleCopy,
     handleForward,
+    handleEdit,
     handleDelete,
     handleInfo,
     handleReport,
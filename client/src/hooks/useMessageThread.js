@@ -0,0 +1,164 @@
+import { useState, useCallback, useEffect } from 'react';
+import useApi from './useApi';
+import { useSocket } from '../contexts/SocketContext';
+import outboxService from '../services/OutboxService';
+import { mergeServerItem } from '../utils/optimisticUpdates';
+
+/**
+ * useMessageThread Hook
+ *
+ * Loads one group message thread (its root message and replies) and keeps it
+ * current from the group's thread_updated events.
+ *
+ * Features:
+ * - Replies load oldest first, a page at a time
+ * - Replies can stay in the thread or also go to the main conversation
+ * - Follow/unfollow the thread's reply notifications
+ *
+ * @param {string} groupId - ID of the group chat
+ * @param {string} rootId - ID of the thread's root message; null when no thread is open
+ * @returns {Object} Thread state and actions
+ */
+const useMessageThread = (groupId, rootId) => {
+  const { get, post, put, delete: deleteRequest } = useApi();
+  const { socket } = useSocket();
+  const [root, setRoot] = useState(null);
+  const [replies, setReplies] = useState([]);
+  const [pageInfo, setPageInfo] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const threadUrl = `/api/chat/groups/${groupId}/messages/${rootId}/thread`;
+
+  // Load the thread whenever a different one is opened
+  useEffect(() => {
+    if (!groupId || !rootId) {
+      setRoot(null);
+      setReplies([]);
+      setPageInfo(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    setError(null);
+
+    get(threadUrl)
+      .then((data) => {
+        if (cancelled) return;
+        setRoot(data.root);
+        setReplies(data.replies || []);
+        setPageInfo(data.pageInfo || null);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error('Error loading thread:', err);
+        setError(err.message || 'Failed to load thread');
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [groupId, rootId, threadUrl, get]);
+
+  // Load the next page of newer replies
+  const loadMore = useCallback(async () => {
+    if (!pageInfo?.hasNewer || !pageInfo.newerCursor || loading) return;
+
+    setLoading(true);
+    try {
+      const data = await get(`${threadUrl}?cursor=${encodeURIComponent(pageInfo.newerCursor)}`);
+      setReplies((prev) => (data.replies || []).reduce(
+        (merged, reply) => mergeServerItem(merged, reply),
+        prev
+      ));
+      setPageInfo(data.pageInfo || null);
+    } catch (err) {
+      console.error('Error loading more replies:', err);
+      setError(err.message || 'Failed to load replies');
+    } finally {
+      setLoading(false);
+    }
+  }, [pageInfo, loading, get, threadUrl]);
+
+  // New replies and summaries from other members, and from our own other tabs
+  useEffect(() => {
+    if (!socket || !rootId) return undefined;
+
+    const handleThreadUpdated = (data) => {
+      if (String(data.rootId) !== String(rootId)) return;
+
+      setRoot((prev) => prev && {
+        ...prev,
+        thread: { ...prev.thread, ...data.thread }
+      });
+      if (data.reply) {
+        setReplies((prev) => mergeServerItem(prev, data.reply));
+      }
+    };
+
+    socket.on('thread_updated', handleThreadUpdated);
+    return () => {
+      socket.off('thread_updated', handleThreadUpdated);
+    };
+  }, [socket, rootId]);
+
+  /**
+   * Reply in the thread
+   * @param {string} content - Reply text
+   * @param {Object} [options]
+   * @param {boolean} [options.alsoSendToGroup=false] - Show the reply in the main conversation too
+   */
+  const sendReply = useCallback(async (content, { alsoSendToGroup = false } = {}) => {
+    const clientMessageId = outboxService.generateId();
+
+    const reply = await post(
+      `/api/chat/groups/${groupId}/messages`,
+      {
+        content,
+        replyToId: rootId,
+        threadOnly: !alsoSendToGroup,
+        clientMessageId
+      },
+      { headers: { 'Idempotency-Key': clientMessageId } }
+    );
+
+    setReplies((prev) => mergeServerItem(prev, reply));
+    // Replying follows the thread
+    setRoot((prev) => prev && {
+      ...prev,
+      thread: { ...prev.thread, isFollowing: true }
+    });
+    return reply;
+  }, [groupId, rootId, post]);
+
+  /**
+   * Follow or stop following the thread's replies
+   * @param {boolean} follow - Whether to follow
+   */
+  const setFollowing = useCallback(async (follow) => {
+    const followUrl = `${threadUrl}/follow`;
+    const result = follow ? await put(followUrl) : await deleteRequest(followUrl);
+
+    setRoot((prev) => prev && {
+      ...prev,
+      thread: { ...prev.thread, isFollowing: result?.isFollowing ?? follow }
+    });
+  }, [threadUrl, put, deleteRequest]);
+
+  return {
+    root,
+    replies,
+    loading,
+    error,
+    hasMore: Boolean(pageInfo?.hasNewer),
+    loadMore,
+    sendReply,
+    setFollowing
+  };
+};
+
+export default useMessageThread;
@@ -0,0 +1,110 @@
+import { useState, useEffect, useMemo } from 'react';
+import useApi from './useApi';
+import { useSocket } from '../contexts/SocketContext';
+
+// Matches PresenceService.MAX_BATCH_SIZE on the server
+const MAX_USERS = 200;
+
+/**
+ * Hook for following the presence of a set of users, e.g. a group's members
+ * Loads their presence in one request, then keeps it up to date from the
+ * server's presence events. Users whose privacy settings hide their presence
+ * come back with a null status.
+ */
+const useUserPresence = (userIds = []) => {
+  const [presence, setPresence] = useState({});
+  const { get } = useApi();
+  const { socket } = useSocket();
+
+  // Stable key, so a new array with the same users doesn't refetch. The
+  // server answers for at most MAX_USERS at a time.
+  const idsKey = useMemo(
+    () => [...new Set(userIds.filter(Boolean).map(String))].sort().slice(0, MAX_USERS).join(','),
+    [userIds]
+  );
+
+  useEffect(() => {
+    if (!idsKey) {
+      setPresence({});
+      return;
+    }
+
+    let cancelled = false;
+    get(`/api/users/presence?ids=${idsKey}`)
+      .then(data => {
+        if (!cancelled && data?.presence) {
+          setPresence(data.presence);
+        }
+      })
+      .catch(error => {
+        console.error('Failed to load presence:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [idsKey, get]);
+
+  useEffect(() => {
+    if (!socket || !idsKey) return;
+
+    const ids = idsKey.split(',');
+
+    // Snapshots answer every subscription on this socket, so keep only ours
+    const handleSnapshot = (data) => {
+      const ours = Object.fromEntries(
+        Object.entries(data.presence || {}).filter(([userId]) => ids.includes(userId))
+      );
+      setPresence(prev => ({ ...prev, ...ours }));
+    };
+
+    const handlePresenceUpdate = (data) => {
+      if (!ids.includes(data.userId)) return;
+      setPresence(prev => ({ ...prev, [data.userId]: data }));
+    };
+
+    socket.on('presence_snapshot', handleSnapshot);
+    socket.on('presence_updated', handlePresenceUpdate);
+    socket.emit('presence_subscribe', { userIds: ids });
+
+    return () => {
+      socket.off('presence_snapshot', handleSnapshot);
+      socket.off('presence_updated', handlePresenceUpdate);
+      socket.emit('presence_unsubscribe', { userIds: ids });
+    };
+  }, [socket, idsKey]);
+
+  return presence;
+};
+
+/**
+ * "Last seen" text for an offline user, e.g. for a tooltip or subtitle
+ * @param {Object} entry - Presence from useUserPresence
+ * @returns {string|null} Text, or null if the user is online or their presence is hidden
+ */
+export const formatLastSeen = (entry) => {
+  if (!entry || entry.status !== 'offline') {
+    return null;
+  }
+  if (!entry.lastSeen) {
+    return 'Last seen a long time ago';
+  }
+
+  const lastSeen = new Date(entry.lastSeen);
+  const diffMinutes = Math.floor((Date.now() - lastSeen.getTime()) / (1000 * 60));
+  const diffHours = Math.floor(diffMinutes / 60);
+  const diffDays = Math.floor(diffHours / 24);
+
+  if (diffMinutes < 1) {
+    return 'Last seen just now';
+  } else if (diffMinutes < 60) {
+    return `Last seen ${diffMinutes} minute${diffMinutes > 1 ? 's' : ''} ago`;
+  } else if (diffHours < 24) {
+    return `Last seen ${diffHours} hour${diffHours > 1 ? 's' : ''} ago`;
+  } else if (diffDays < 7) {
+    return `Last seen ${diffDays} day${diffDays > 1 ? 's' : ''} ago`;
+  }
+  return `Last seen ${lastSeen.toLocaleDateString()}`;
+};
+
+export default useUserPresence;
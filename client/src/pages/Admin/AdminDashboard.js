@@ -17,11 +17,19 @@ import {
   History as HistoryIcon,
   Storage as StorageIcon,
   Notifications as NotificationsIcon,
+  AssignmentInd as AssignmentIndIcon,
+  Campaign as CampaignIcon,
+  Login as LoginIcon,
+  Speed as SpeedIcon,
 } from '@mui/icons-material';
 import { useAuth } from '../../contexts/AuthContext';
 import UserManagement from '../../components/Admin/UserManagement';
 import ContentModeration from '../../components/Admin/ContentModeration';
 import AuditLog from '../../components/Admin/AuditLog';
+import LoginActivity from '../../components/Admin/LoginActivity';
+import RateLimits from '../../components/Admin/RateLimits';
+import AssignedReports from '../../components/Admin/AssignedReports';
+import EmergencyAlerts from '../../components/Admin/EmergencyAlerts';
 import AdminStats from '../../components/Admin/AdminStats';
 import DatabaseHealth from '../../components/Admin/DatabaseHealth';
 import DatabaseAlerts from '../../components/Admin/DatabaseAlerts';
@@ -201,6 +209,16 @@ const AdminDashboard = () => {
               icon={<icons.Security />} 
               iconPosition="start"
             />
+            <Tab 
+              label="My Assigned Reports" 
+              icon={<AssignmentIndIcon />} 
+              iconPosition="start"
+            />
+            <Tab 
+              label="Emergency Alerts" 
+              icon={<CampaignIcon />} 
+              iconPosition="start"
+            />
             <Tab 
               label="System Stats" 
               icon={<AssessmentIcon />} 
@@ -216,6 +234,16 @@ const AdminDashboard = () => {
               icon={<HistoryIcon />} 
               iconPosition="start"
             />
+            <Tab 
+              label="Login Activity" 
+              icon={<LoginIcon />} 
+              iconPosition="start"
+            />
+            <Tab 
+              label="Rate Limits" 
+              icon={<SpeedIcon />} 
+              iconPosition="start"
+            />
             <Tab 
               label="Toast Test" 
               icon={<NotificationsIcon />} 
@@ -227,8 +255,10 @@ const AdminDashboard = () => {
         <Box sx={{ p: 3 }}>
           {activeTab === 0 && <UserManagement />}
           {activeTab === 1 && <ContentModeration />}
-          {activeTab === 2 && <AdminStats />}
-          {activeTab === 3 && (
+          {activeTab === 2 && <AssignedReports />}
+          {activeTab === 3 && <EmergencyAlerts />}
+          {activeTab === 4 && <AdminStats />}
+          {activeTab === 5 && (
             <Grid container spacing={3}>
               <Grid item xs={12}>
                 <DatabaseHealth />
@@ -238,8 +268,10 @@ const AdminDashboard = () => {
               </Grid>
             </Grid>
           )}
-          {activeTab === 4 && <AuditLog />}
-          {activeTab === 5 && <ToastTest />}
+          {activeTab === 6 && <AuditLog />}
+          {activeTab === 7 && <LoginActivity />}
+          {activeTab === 8 && <RateLimits />}
+          {activeTab === 9 && <ToastTest />}
         </Box>
       </Card>
     </Box>
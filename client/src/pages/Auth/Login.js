@@ -19,7 +19,10 @@ const Login = () => {
   });
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
-  const { login, isAuthenticated } = useAuth();
+  // Set once the password is accepted for an account that uses 2FA
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [code, setCode] = useState('');
+  const { login, completeTwoFactorLogin, isAuthenticated } = useAuth();
 
   if (isAuthenticated) {
     return <Navigate to="/dashboard" replace />;
@@ -39,13 +42,35 @@ const Login = () => {
 
     const result = await login(formData.email, formData.password);
     
-    if (!result.success) {
+    if (result.requiresTwoFactor) {
+      setChallengeToken(result.challengeToken);
+    } else if (!result.success) {
       setError(result.error);
     }
     
     setLoading(false);
   };
 
+  const handleCodeSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    const result = await completeTwoFactorLogin(challengeToken, code);
+
+    if (!result.success) {
+      setError(result.error);
+    }
+
+    setLoading(false);
+  };
+
+  const handleStartOver = () => {
+    setChallengeToken(null);
+    setCode('');
+    setError('');
+  };
+
   return (
     <Container component="main" maxWidth="sm">
       <Box
@@ -72,48 +97,87 @@ const Login = () => {
             </Alert>
           )}
 
-          <Box component="form" onSubmit={handleSubmit}>
-            <TextField
-              margin="normal"
-              required
-              fullWidth
-              id="email"
-              label="Email Address"
-              name="email"
-              autoComplete="email"
-              autoFocus
-              value={formData.email}
-              onChange={handleChange}
-            />
-            <TextField
-              margin="normal"
-              required
-              fullWidth
-              name="password"
-              label="Password"
-              type="password"
-              id="password"
-              autoComplete="current-password"
-              value={formData.password}
-              onChange={handleChange}
-            />
-            <Button
-              type="submit"
-              fullWidth
-              variant="contained"
-              sx={{ mt: 3, mb: 2, py: 1.5 }}
-              disabled={loading}
-            >
-              {loading ? <CircularProgress size={24} /> : 'Sign In'}
-            </Button>
-            <Box sx={{ textAlign: 'center' }}>
-              <Link to="/register" style={{ textDecoration: 'none' }}>
-                <Typography variant="body2" color="primary">
-                  Don't have an account? Sign Up
-                </Typography>
-              </Link>
+          {challengeToken ? (
+            <Box component="form" onSubmit={handleCodeSubmit}>
+              <Typography variant="body2" color="text.secondary">
+                Enter the 6-digit code from your authenticator app, or one of your backup codes.
+              </Typography>
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                id="code"
+                label="Authentication Code"
+                name="code"
+                autoComplete="one-time-code"
+                autoFocus
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+              />
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                sx={{ mt: 3, mb: 2, py: 1.5 }}
+                disabled={loading || !code.trim()}
+              >
+                {loading ? <CircularProgress size={24} /> : 'Verify'}
+              </Button>
+              <Button fullWidth onClick={handleStartOver}>
+                Back to sign in
+              </Button>
             </Box>
-          </Box>
+          ) : (
+            <Box component="form" onSubmit={handleSubmit}>
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                id="email"
+                label="Email Address"
+                name="email"
+                autoComplete="email"
+                autoFocus
+                value={formData.email}
+                onChange={handleChange}
+              />
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                name="password"
+                label="Password"
+                type="password"
+                id="password"
+                autoComplete="current-password"
+                value={formData.password}
+                onChange={handleChange}
+              />
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                sx={{ mt: 3, mb: 2, py: 1.5 }}
+                disabled={loading}
+              >
+                {loading ? <CircularProgress size={24} /> : 'Sign In'}
+              </Button>
+              <Box sx={{ textAlign: 'center', mb: 1 }}>
+                <Link to="/forgot-password" style={{ textDecoration: 'none' }}>
+                  <Typography variant="body2" color="primary">
+                    Forgot password?
+                  </Typography>
+                </Link>
+              </Box>
+              <Box sx={{ textAlign: 'center' }}>
+                <Link to="/register" style={{ textDecoration: 'none' }}>
+                  <Typography variant="body2" color="primary">
+                    Don't have an account? Sign Up
+                  </Typography>
+                </Link>
+              </Box>
+            </Box>
+          )}
         </Paper>
       </Box>
     </Container>
@@ -16,6 +16,7 @@ import {
 } from '@mui/material';
 import { useAuth } from '../../contexts/AuthContext';
 import LegalDocumentViewer from '../../components/Legal/LegalDocumentViewer';
+import NeighbourhoodPicker from '../../components/Neighbourhood/NeighbourhoodPicker';
 
 const Register = () => {
   const [formData, setFormData] = useState({
@@ -27,6 +28,7 @@ const Register = () => {
     phone: '',
     address: '',
   });
+  const [neighbourhoodId, setNeighbourhoodId] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
   
@@ -95,6 +97,7 @@ const Register = () => {
       password: formData.password,
       phone: formData.phone,
       address: formData.address,
+      neighbourhoodId: neighbourhoodId || undefined,
       acceptedTerms: {
         termsOfService: termsAccepted,
         privacyPolicy: privacyAccepted
@@ -223,6 +226,13 @@ const Register = () => {
                   onChange={handleChange}
                 />
               </Grid>
+              <Grid item xs={12}>
+                <NeighbourhoodPicker
+                  address={formData.address}
+                  value={neighbourhoodId}
+                  onChange={setNeighbourhoodId}
+                />
+              </Grid>
             </Grid>
 
             <Divider sx={{ my: 3 }} />
@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  TextField,
+  Button,
+  Typography,
+  Box,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { useAuth } from '../../contexts/AuthContext';
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: '',
+  });
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+  const { resetPassword } = useAuth();
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value,
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (formData.password.length < 6) {
+      setError('Password must be at least 6 characters');
+      return;
+    }
+
+    if (formData.password !== formData.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+
+    const result = await resetPassword(token, formData.password);
+
+    if (result.success) {
+      setMessage(result.message);
+    } else {
+      setError(result.error);
+    }
+
+    setLoading(false);
+  };
+
+  return (
+    <Container component="main" maxWidth="sm">
+      <Box
+        sx={{
+          marginTop: 8,
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center',
+        }}
+      >
+        <Paper elevation={3} sx={{ padding: 4, width: '100%' }}>
+          <Box sx={{ textAlign: 'center', mb: 3 }}>
+            <Typography component="h1" variant="h4" color="primary" fontWeight="bold">
+              neibrly
+            </Typography>
+            <Typography variant="h6" color="text.secondary" sx={{ mt: 1 }}>
+              Set a new password
+            </Typography>
+          </Box>
+
+          {!token && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              This reset link is invalid. Please request a new one.
+            </Alert>
+          )}
+
+          {error && (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {error}
+            </Alert>
+          )}
+
+          {message ? (
+            <>
+              <Alert severity="success" sx={{ mb: 2 }}>
+                {message}
+              </Alert>
+              <Button
+                component={Link}
+                to="/login"
+                fullWidth
+                variant="contained"
+                sx={{ py: 1.5 }}
+              >
+                Sign In
+              </Button>
+            </>
+          ) : (
+            <Box component="form" onSubmit={handleSubmit}>
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                name="password"
+                label="New Password"
+                type="password"
+                id="password"
+                autoComplete="new-password"
+                autoFocus
+                value={formData.password}
+                onChange={handleChange}
+                disabled={!token}
+              />
+              <TextField
+                margin="normal"
+                required
+                fullWidth
+                name="confirmPassword"
+                label="Confirm New Password"
+                type="password"
+                id="confirmPassword"
+                autoComplete="new-password"
+                value={formData.confirmPassword}
+                onChange={handleChange}
+                disabled={!token}
+              />
+              <Button
+                type="submit"
+                fullWidth
+                variant="contained"
+                sx={{ mt: 3, mb: 2, py: 1.5 }}
+                disabled={loading || !token}
+              >
+                {loading ? <CircularProgress size={24} /> : 'Reset Password'}
+              </Button>
+              <Box sx={{ textAlign: 'center' }}>
+                <Link to="/forgot-password" style={{ textDecoration: 'none' }}>
+                  <Typography variant="body2" color="primary">
+                    Request a new reset link
+                  </Typography>
+                </Link>
+              </Box>
+            </Box>
+          )}
+        </Paper>
+      </Box>
+    </Container>
+  );
+};
+
+export default ResetPassword;
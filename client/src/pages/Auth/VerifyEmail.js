@@ -0,0 +1,82 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import {
+  Container,
+  Paper,
+  Button,
+  Typography,
+  Box,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { useAuth } from '../../contexts/AuthContext';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? '' : 'This verification link is invalid.');
+  const { verifyEmail, isAuthenticated } = useAuth();
+  const requested = useRef(false);
+
+  useEffect(() => {
+    // Tokens are single-use, so only submit once even if the effect re-runs
+    if (!token || requested.current) return;
+    requested.current = true;
+
+    verifyEmail(token).then((result) => {
+      setStatus(result.success ? 'success' : 'error');
+      setMessage(result.success ? result.message : result.error);
+    });
+  }, [token, verifyEmail]);
+
+  return (
+    <Container component="main" maxWidth="sm">
+      <Box
+        sx={{
+          marginTop: 8,
+          display: 'flex',
+          flexDirection: 'column',
+          alignItems: 'center',
+        }}
+      >
+        <Paper elevation={3} sx={{ padding: 4, width: '100%' }}>
+          <Box sx={{ textAlign: 'center', mb: 3 }}>
+            <Typography component="h1" variant="h4" color="primary" fontWeight="bold">
+              neibrly
+            </Typography>
+            <Typography variant="h6" color="text.secondary" sx={{ mt: 1 }}>
+              Email verification
+            </Typography>
+          </Box>
+
+          {status === 'verifying' && (
+            <Box sx={{ display: 'flex', justifyContent: 'center', my: 3 }}>
+              <CircularProgress />
+            </Box>
+          )}
+
+          {status !== 'verifying' && (
+            <Alert severity={status === 'success' ? 'success' : 'error'} sx={{ mb: 2 }}>
+              {message}
+            </Alert>
+          )}
+
+          {status !== 'verifying' && (
+            <Button
+              component={Link}
+              to={isAuthenticated ? '/dashboard' : '/login'}
+              fullWidth
+              variant="contained"
+              sx={{ py: 1.5 }}
+            >
+              {isAuthenticated ? 'Go to Dashboard' : 'Sign In'}
+            </Button>
+          )}
+        </Paper>
+      </Box>
+    </Container>
+  );
+};
+
+export default VerifyEmail;
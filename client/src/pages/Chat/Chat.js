@@ -33,6 +33,11 @@ import {
   AttachFile as AttachIcon,
 } from "@mui/icons-material";
 import useApi from "../../hooks/useApi";
+import outboxService from "../../services/OutboxService";
+import {
+  mergeServerItem,
+  reconcileClientId,
+} from "../../utils/optimisticUpdates";
 import useChatErrorHandler from "../../hooks/useChatErrorHandler";
 import useChatCache from "../../hooks/useChatCache";
 import { useSocket } from "../../contexts/SocketContext";
@@ -55,8 +60,8 @@ const Chat = () => {
     preloadChatData, 
     getCachedChatGroups, 
     getCachedMessages, 
+    syncMessages,
     addMessageToCache,
-    updateCachedMessages,
     hasCachedMessages,
     cacheStats,
     getDebugInfo,
@@ -386,7 +391,8 @@ const Chat = () => {
     const handleNewMessage = (messageData) => {
       if (messageData.chatId === selectedChat) {
         const formattedMessage = {
-          id: messageData._id,
+          id: messageData._id || messageData.id,
+          clientMessageId: messageData.clientMessageId,
           sender: messageData.senderName,
           message: messageData.content,
           time: formatTime(messageData.createdAt),
@@ -394,7 +400,12 @@ const Chat = () => {
           status: messageData.status,
         };
 
-        setMessages((prev) => [...prev, formattedMessage]);
+        // Our own messages come back here too; keep the copy we already show
+        setMessages((prev) =>
+          mergeServerItem(prev, formattedMessage, {
+            merge: (existing) => existing,
+          })
+        );
       }
     };
 
@@ -452,23 +463,23 @@ const Chat = () => {
 
     // Listen for message sent confirmation
     const handleMessageSent = (messageData) => {
-      if (messageData.chatId === selectedChat) {
-        setMessages((prev) =>
-          prev.map((msg) =>
-            msg.id === `temp-${messageData._id}` ||
-            msg.id === `temp-${Date.now()}`
-              ? {
-                  id: messageData._id,
-                  sender: "You",
-                  message: messageData.content,
-                  time: formatTime(messageData.createdAt),
-                  isOwn: true,
-                  status: messageData.status || "sent",
-                }
-              : msg
-          )
-        );
+      if (messageData.chatId !== selectedChat || !messageData.clientMessageId) {
+        return;
       }
+
+      // Swap the temporary ID for the server's, whichever confirmation arrives first
+      reconcileClientId("message", messageData.clientMessageId, messageData);
+      setMessages((prev) =>
+        prev.map((msg) =>
+          msg.clientMessageId === messageData.clientMessageId
+            ? {
+                ...msg,
+                id: messageData._id || messageData.id,
+                status: msg.status === "sending" ? "sent" : msg.status,
+              }
+            : msg
+        )
+      );
     };
 
     // Listen for reaction updates
@@ -482,7 +493,31 @@ const Chat = () => {
       );
     };
 
+    // Listen for thread replies; the root message shows the new reply count
+    const handleThreadUpdated = (data) => {
+      if (data.chatId !== selectedChat) return;
+
+      const ownReply =
+        data.reply?.senderId === user?._id || data.reply?.senderId === user?.id;
+      setMessages((prev) =>
+        prev.map((msg) =>
+          String(msg.id) === String(data.rootId)
+            ? {
+                ...msg,
+                thread: {
+                  ...msg.thread,
+                  ...data.thread,
+                  // Replying follows the thread
+                  isFollowing: ownReply || Boolean(msg.thread?.isFollowing),
+                },
+              }
+            : msg
+        )
+      );
+    };
+
     socket.on("new_message", handleNewMessage);
+    socket.on("thread_updated", handleThreadUpdated);
     socket.on("message_status_updated", handleMessageStatusUpdate);
     socket.on("user_typing", handleUserTyping);
     socket.on("user_stopped_typing", handleUserStoppedTyping);
@@ -491,6 +526,7 @@ const Chat = () => {
 
     return () => {
       socket.off("new_message", handleNewMessage);
+      socket.off("thread_updated", handleThreadUpdated);
       socket.off("message_status_updated", handleMessageStatusUpdate);
       socket.off("user_typing", handleUserTyping);
       socket.off("user_stopped_typing", handleUserStoppedTyping);
@@ -509,41 +545,70 @@ const Chat = () => {
         clearTimeout(currentTypingTimeout);
       }
     };
-  }, [socket, selectedChat, formatTime]);
+  }, [socket, selectedChat, formatTime, user]);
 
   const fetchMessages = useCallback(
     async (chatId, useCache = true) => {
       if (!chatId) return;
-      
+
+      const formatMessage = (msg) => {
+        const isOwn =
+          msg.senderId &&
+          user &&
+          (msg.senderId === user._id || msg.senderId === user.id);
+
+        let senderName = "Unknown User";
+        if (isOwn) {
+          senderName = "You";
+        } else if (msg.senderName) {
+          senderName = msg.senderName;
+        } else if (msg.senderId && typeof msg.senderId === "object") {
+          senderName = `${msg.senderId.firstName || ""} ${
+            msg.senderId.lastName || ""
+          }`.trim();
+        }
+
+        return {
+          id: msg.id || msg._id,
+          sender: senderName,
+          message: msg.content,
+          content: msg.content,
+          time: formatTime(msg.createdAt),
+          createdAt: msg.createdAt,
+          isOwn: isOwn,
+          senderId: msg.senderId,
+          senderName: senderName,
+          thread: msg.thread,
+        };
+      };
+
       try {
         console.log("Fetching messages for chatId:", chatId);
         setMessagesLoading(true);
         
         let messages = [];
         
-        // Try cache first if enabled
+        // Show cached messages straight away; the sync below updates them
         if (useCache && hasCachedMessages(chatId)) {
           console.log("📖 Using cached messages for chat:", chatId);
-          const cachedMessages = getCachedMessages(chatId);
+          const cachedMessages = await getCachedMessages(chatId);
           if (cachedMessages && cachedMessages.length > 0) {
             messages = cachedMessages;
+            setMessages(cachedMessages.map(formatMessage));
+            setMessagesLoading(false);
           }
         }
         
-        // If no cached messages or cache disabled, fetch from API
-        if (messages.length === 0) {
-          console.log("📥 Fetching messages from API for chat:", chatId);
-          const data = await handleChatLoad(
-            () => get(`/api/chat/groups/${chatId}/messages`),
-            `loading messages for chat ${chatId}`
-          );
+        // Fetch only what changed since the last sync, or the latest page
+        console.log("📥 Syncing messages from API for chat:", chatId);
+        const synced = await handleChatLoad(
+          () => syncMessages(chatId),
+          `loading messages for chat ${chatId}`
+        );
 
-          messages = Array.isArray(data) ? data : [];
-          
-          // Store in cache for future use
-          if (messages.length > 0) {
-            updateCachedMessages(chatId, messages);
-          }
+        // Failed syncs resolve to [] and leave the cached messages showing
+        if (synced && Array.isArray(synced.messages)) {
+          messages = synced.messages;
         }
 
         console.log("Processing messages:", messages.length);
@@ -556,38 +621,18 @@ const Chat = () => {
           return;
         }
 
-        const formattedMessages = messages.map((msg) => {
-          const isOwn =
-            msg.senderId &&
-            user &&
-            (msg.senderId === user._id || msg.senderId === user.id);
-
-          let senderName = "Unknown User";
-          if (isOwn) {
-            senderName = "You";
-          } else if (msg.senderName) {
-            senderName = msg.senderName;
-          } else if (msg.senderId && typeof msg.senderId === "object") {
-            senderName = `${msg.senderId.firstName || ""} ${
-              msg.senderId.lastName || ""
-            }`.trim();
-          }
-
-          return {
-            id: msg.id || msg._id,
-            sender: senderName,
-            message: msg.content,
-            content: msg.content,
-            time: formatTime(msg.createdAt),
-            createdAt: msg.createdAt,
-            isOwn: isOwn,
-            senderId: msg.senderId,
-            senderName: senderName,
-          };
-        });
+        const formattedMessages = messages.map(formatMessage);
 
         console.log("Formatted messages:", formattedMessages);
-        setMessages(formattedMessages);
+        // Keep messages still waiting for the server
+        setMessages((prev) => [
+          ...formattedMessages,
+          ...prev.filter(
+            (msg) =>
+              msg.status === "sending" &&
+              !formattedMessages.some((synced) => synced.id === msg.id)
+          ),
+        ]);
         setMessagesLoading(false);
       } catch (error) {
         // Error already handled by handleChatLoad
@@ -596,9 +641,32 @@ const Chat = () => {
         setMessagesLoading(false);
       }
     },
-    [formatTime, get, user, handleChatLoad, hasCachedMessages, getCachedMessages, updateCachedMessages]
+    [formatTime, user, handleChatLoad, hasCachedMessages, getCachedMessages, syncMessages]
   );
 
+  // Catch up on anything missed while disconnected
+  useEffect(() => {
+    if (!selectedChat) return;
+
+    const handleReconnect = () => {
+      console.log("Reconnected; syncing messages for chat:", selectedChat);
+      fetchMessages(selectedChat);
+    };
+
+    window.addEventListener("online", handleReconnect);
+    // Manager-level event; the socket itself only re-emits "connect"
+    if (socket?.io) {
+      socket.io.on("reconnect", handleReconnect);
+    }
+
+    return () => {
+      window.removeEventListener("online", handleReconnect);
+      if (socket?.io) {
+        socket.io.off("reconnect", handleReconnect);
+      }
+    };
+  }, [socket, selectedChat, fetchMessages]);
+
   // Fetch messages for selected chat
   useEffect(() => {
     if (selectedChat) {
@@ -684,10 +752,14 @@ const Chat = () => {
       setSendingMessage(true);
       const messageContent = message.trim();
       const tempId = `temp-${Date.now()}`;
+      // Sent as the Idempotency-Key and clientMessageId, and reused if the
+      // message ends up in the outbox, so no retry can post it twice
+      const outboxId = outboxService.generateId();
 
       // Optimistic UI update
       const optimisticMessage = {
         id: tempId,
+        clientMessageId: outboxId,
         sender: "You",
         message: messageContent,
         content: messageContent,
@@ -716,22 +788,25 @@ const Chat = () => {
         socket.emit("typing_stop", selectedChat);
       }
 
-      try {
-        const requestBody = {
-          content: messageContent,
-        };
+      const requestBody = {
+        content: messageContent,
+        clientMessageId: outboxId,
+      };
 
-        if (replyToId) {
-          requestBody.replyToId = replyToId;
-        }
+      if (replyToId) {
+        requestBody.replyToId = replyToId;
+      }
 
+      try {
         const newMessage = await post(
           `/api/chat/groups/${selectedChat}/messages`,
-          requestBody
+          requestBody,
+          { headers: { "Idempotency-Key": outboxId } }
         );
 
         const formattedMessage = {
-          id: newMessage._id,
+          id: newMessage.id || newMessage._id,
+          clientMessageId: outboxId,
           sender: "You",
           message: newMessage.content,
           content: newMessage.content,
@@ -743,22 +818,40 @@ const Chat = () => {
         };
 
         // Replace optimistic message with real message
-        setMessages((prev) =>
-          prev.map((msg) => (msg.id === tempId ? formattedMessage : msg))
-        );
+        reconcileClientId("message", outboxId, newMessage);
+        setMessages((prev) => mergeServerItem(prev, formattedMessage));
 
-        // Emit message via socket for real-time updates
+        // Emit message via socket for real-time updates; the server matches
+        // the clientMessageId to the message just posted
         if (socket) {
           socket.emit("send_message", {
             groupId: selectedChat,
             content: messageContent,
             messageType: "text",
             replyToId: replyToId,
+            clientMessageId: outboxId,
           });
         }
       } catch (error) {
         console.error("Error sending message:", error);
 
+        // No answer from the server: the outbox sends it once we're back online
+        if (!error.response) {
+          await outboxService.enqueue({
+            id: outboxId,
+            kind: "message",
+            path: `/api/chat/groups/${selectedChat}/messages`,
+            body: requestBody,
+            meta: { chatId: selectedChat, chatType: "group", tempId },
+          });
+          setMessages((prev) =>
+            prev.map((msg) =>
+              msg.id === tempId ? { ...msg, status: "queued", outboxId } : msg
+            )
+          );
+          return;
+        }
+
         // Update optimistic message to show error state
         setMessages((prev) =>
           prev.map((msg) =>
@@ -771,6 +864,7 @@ const Chat = () => {
           ...prev,
           {
             id: tempId,
+            clientMessageId: outboxId,
             content: messageContent,
             chatId: selectedChat,
             replyToId: replyToId,
@@ -782,9 +876,41 @@ const Chat = () => {
     }
   };
 
+  // Follow messages waiting in the outbox until the server has them
+  useEffect(
+    () =>
+      outboxService.subscribe((item) => {
+        if (item?.kind !== "message" || !item.meta.tempId) return;
+
+        setMessages((prev) =>
+          prev.map((msg) => {
+            if (msg.outboxId !== item.id) return msg;
+            if (item.status === "sent") {
+              reconcileClientId("message", item.id, item.response);
+              return {
+                ...msg,
+                id: item.response?.id || item.response?._id || msg.id,
+                status: "sent",
+                outboxId: undefined,
+              };
+            }
+            return { ...msg, status: item.status, error: item.lastError };
+          })
+        );
+      }),
+    []
+  );
+
   // Handle retry for failed messages
-  // eslint-disable-next-line no-unused-vars
   const handleRetryMessage = async (failedMessageId) => {
+    const queuedMessage = messages.find(
+      (msg) => msg.id === failedMessageId && msg.outboxId
+    );
+    if (queuedMessage) {
+      outboxService.retry(queuedMessage.outboxId);
+      return;
+    }
+
     const failedMessage = failedMessages.find(
       (msg) => msg.id === failedMessageId
     );
@@ -799,15 +925,19 @@ const Chat = () => {
     );
 
     try {
+      // Same clientMessageId as the first attempt, in case that one did get through
       const newMessage = await post(
         `/api/chat/groups/${failedMessage.chatId}/messages`,
         {
           content: failedMessage.content,
+          clientMessageId: failedMessage.clientMessageId,
         }
       );
 
+      reconcileClientId("message", failedMessage.clientMessageId, newMessage);
       const formattedMessage = {
-        id: newMessage._id,
+        id: newMessage.id || newMessage._id,
+        clientMessageId: failedMessage.clientMessageId,
         sender: "You",
         message: newMessage.content,
         time: formatTime(newMessage.createdAt),
@@ -831,6 +961,7 @@ const Chat = () => {
           groupId: failedMessage.chatId,
           content: failedMessage.content,
           messageType: "text",
+          clientMessageId: failedMessage.clientMessageId,
         });
       }
     } catch (error) {
@@ -981,9 +1112,26 @@ const Chat = () => {
       );
 
       // Make API call
-      await post(`/api/chat/messages/${messageId}/react`, {
-        reactionType,
-      });
+      const reactionId = outboxService.generateId();
+      try {
+        await post(
+          `/api/chat/messages/${messageId}/react`,
+          { reactionType },
+          { headers: { "Idempotency-Key": reactionId } }
+        );
+      } catch (error) {
+        if (error.response) throw error;
+
+        // Offline: keep the optimistic reaction and let the outbox send it
+        await outboxService.enqueue({
+          id: reactionId,
+          kind: "reaction",
+          path: `/api/chat/messages/${messageId}/react`,
+          body: { reactionType },
+          meta: { chatId: selectedChat, messageId, reactionType },
+        });
+        return;
+      }
 
       // Emit socket event for real-time updates
       if (socket) {
@@ -1292,9 +1440,11 @@ const Chat = () => {
                     messages={messages}
                     loading={loading}
                     error={error}
+                    groupId={selectedChat}
                     groupMembers={groupMembers}
                     onReplyToMessage={handleReplyToMessage}
                     onReactToMessage={handleReactToMessage}
+                    onRetryMessage={handleRetryMessage}
                   />
 
                   {/* Typing indicators */}
@@ -13,6 +13,7 @@ import useViewPreference from '../../hooks/useViewPreference';
 import PinIcon from '../../components/Common/PinIcon';
 import PinAction from '../../components/Common/PinAction';
 import { API_BASE_URL } from '../../config/api';
+import outboxService from '../../services/OutboxService';
 import {
   Box,
   Typography,
@@ -42,6 +43,23 @@ import {
   Event as EventIcon,
 } from '@mui/icons-material';
 
+// Shape a notice the current user just created for the list
+const formatCreatedNotice = (createdNotice) => ({
+  id: createdNotice._id,
+  title: createdNotice.title,
+  content: createdNotice.content,
+  category: createdNotice.category,
+  priority: createdNotice.priority,
+  author: 'You',
+  authorAvatar: null,
+  createdAt: 'Just now',
+  isPinned: createdNotice.isPinned,
+  viewCount: 0,
+  likes: 0,
+  comments: 0,
+  media: createdNotice.media || []
+});
+
 const NoticeBoard = () => {
   const { id: noticeId } = useParams();
   const navigate = useNavigate();
@@ -231,6 +249,18 @@ const NoticeBoard = () => {
     }
   }, [navigate, handleBackNavigation]);
 
+  // Notices drafted offline show up once the outbox has posted them
+  useEffect(() => outboxService.subscribe((item) => {
+    if (item?.kind !== 'notice') return;
+
+    if (item.status === 'sent' && item.response?._id) {
+      setNotices(prev => [formatCreatedNotice(item.response), ...prev]);
+      showToast(`Your notice "${item.meta.title}" has been posted.`, 'success');
+    } else if (item.status === 'failed') {
+      showToast(`Your notice "${item.meta.title}" couldn't be posted: ${item.lastError}`, 'error');
+    }
+  }), [showToast]);
+
   // Fetch notices from API
   useEffect(() => {
     if (noticeId) {
@@ -314,14 +344,40 @@ const NoticeBoard = () => {
     setSelectedFiles([]);
   };
 
+  // Keep the draft in the outbox; it's posted with the same Idempotency-Key,
+  // so a notice that did reach the server isn't created twice
+  const queueNoticeDraft = async (draftId, fields) => {
+    await outboxService.enqueue({
+      id: draftId,
+      kind: 'notice',
+      path: '/api/notices',
+      form: {
+        fields,
+        files: selectedFiles.map(file => ({ name: 'media', blob: file, filename: file.name }))
+      },
+      meta: { title: newNotice.title }
+    });
+    handleDialogClose();
+    showToast("You're offline. Your notice has been saved and will be posted when you're back online.", 'info');
+  };
+
   const handleSubmitNotice = async () => {
+    const draftId = outboxService.generateId();
+    const fields = [
+      ['title', newNotice.title],
+      ['content', newNotice.content],
+      ['category', newNotice.category],
+      ['priority', newNotice.priority]
+    ];
 
     try {
+      if (!navigator.onLine) {
+        await queueNoticeDraft(draftId, fields);
+        return;
+      }
+
       const formData = new FormData();
-      formData.append('title', newNotice.title);
-      formData.append('content', newNotice.content);
-      formData.append('category', newNotice.category);
-      formData.append('priority', newNotice.priority);
+      fields.forEach(([name, value]) => formData.append(name, value));
       
       // Add media files
       selectedFiles.forEach(file => {
@@ -329,33 +385,24 @@ const NoticeBoard = () => {
       });
 
       const baseURL = API_BASE_URL;
-      const response = await fetch(`${baseURL}/api/notices`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
-        },
-        body: formData,
-      });
+      let response;
+      try {
+        response = await fetch(`${baseURL}/api/notices`, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${localStorage.getItem('token')}`,
+            'Idempotency-Key': draftId
+          },
+          body: formData,
+        });
+      } catch (networkError) {
+        await queueNoticeDraft(draftId, fields);
+        return;
+      }
 
       if (response.ok) {
         const createdNotice = await response.json();
-        const formattedNotice = {
-          id: createdNotice._id,
-          title: createdNotice.title,
-          content: createdNotice.content,
-          category: createdNotice.category,
-          priority: createdNotice.priority,
-          author: 'You',
-          authorAvatar: null,
-          createdAt: 'Just now',
-          isPinned: createdNotice.isPinned,
-          viewCount: 0,
-          likes: 0,
-          comments: 0,
-          media: createdNotice.media || []
-        };
-        
-        setNotices([formattedNotice, ...notices]);
+        setNotices([formatCreatedNotice(createdNotice), ...notices]);
         handleDialogClose();
         showToast('Notice posted successfully!', 'success');
       } else {
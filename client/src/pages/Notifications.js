@@ -203,6 +203,8 @@ const Notifications = () => {
         return <CommentIcon color="success" />;
       case 'report':
         return <ReportIcon color="warning" />;
+      case 'alert':
+        return <ReportIcon color="error" />;
       case 'notice':
         return <NoticeIcon color="info" />;
       case 'system':
@@ -1,6 +1,7 @@
 import icons from '../../components/Common/Icons'
 import React, { useState, useEffect } from "react";
 import { API_BASE_URL } from '../../config/api';
+import outboxService from '../../services/OutboxService';
 import { ImageUpload, MediaPreview } from '../../components/Upload';
 import { ImageThumbnailGrid } from '../../components/Common/ImageThumbnail';
 import ReportsWelcomeMessage from '../../components/Welcome/ReportsWelcomeMessage';
@@ -13,6 +14,7 @@ import { useToast } from '../../components/Common/Toast';
 import ViewToggle from '../../components/Common/ViewToggle/ViewToggle';
 import PinIcon from '../../components/Common/PinIcon';
 import PinAction from '../../components/Common/PinAction';
+import IncidentMap from '../../components/Reports/IncidentMap';
 import {
   Box,
   Typography,
@@ -54,6 +56,25 @@ import {
   Close as CloseIcon,
 } from "@mui/icons-material";
 
+// Shape a report the current user just created for the list
+const formatCreatedReport = (createdReport) => ({
+  id: createdReport._id,
+  title: createdReport.title,
+  description: createdReport.description,
+  category: createdReport.category,
+  location: createdReport.location?.address || 'Location not specified',
+  priority: createdReport.priority,
+  status: createdReport.status,
+  reportedBy: createdReport.isAnonymous ? 'Anonymous' : 'You',
+  reportedAt: createdReport.createdAt,
+  anonymous: createdReport.isAnonymous,
+  comments: 0,
+  views: 0,
+  likes: 0,
+  media: createdReport.media || [],
+  isPinned: createdReport.isPinned || false
+});
+
 const Reports = () => {
   const { showToast } = useToast();
   const [reports, setReports] = useState([]);
@@ -115,6 +136,8 @@ const Reports = () => {
     isAnonymous: false,
   });
   const [selectedFiles, setSelectedFiles] = useState([]);
+  const [reportCoordinates, setReportCoordinates] = useState(null);
+  const [locating, setLocating] = useState(false);
 
   const categories = [
     {
@@ -157,30 +180,48 @@ const Reports = () => {
     { value: "urgent", label: "Urgent", color: "#e91e63" },
   ];
 
+  const formatReport = (report) => ({
+    id: report._id,
+    title: report.title,
+    description: report.description,
+    category: report.category,
+    location: report.location?.address || 'Location not specified',
+    priority: report.priority,
+    status: report.status,
+    reportedBy: report.isAnonymous ? 'Anonymous' : 
+      `${report.reporterId?.firstName || 'Unknown'} ${report.reporterId?.lastName || 'User'}`,
+    reportedAt: report.createdAt,
+    anonymous: report.isAnonymous,
+    comments: report.comments?.length || 0,
+    views: report.viewCount || 0,
+    likes: report.likes?.length || 0,
+    media: report.media || [],
+    isPinned: report.isPinned || false
+  });
+
+  // Reports drafted offline show up once the outbox has posted them
+  useEffect(() => outboxService.subscribe((item) => {
+    if (item?.kind !== 'report') return;
+
+    if (item.status === 'sent' && item.response?._id) {
+      setReports(prev => [formatCreatedReport(item.response), ...prev]);
+      setSnackbar({ open: true, message: `Your report "${item.meta.title}" has been posted.`, severity: 'success' });
+    } else if (item.status === 'failed') {
+      setSnackbar({
+        open: true,
+        message: `Your report "${item.meta.title}" couldn't be posted: ${item.lastError}`,
+        severity: 'error'
+      });
+    }
+  }), []);
+
   // Fetch real data from API with proper error handling and timeout
   useEffect(() => {
     const fetchReports = async () => {
       try {
         const data = await fetchData('/api/reports?limit=50');
         
-        const formattedReports = data.map(report => ({
-          id: report._id,
-          title: report.title,
-          description: report.description,
-          category: report.category,
-          location: report.location?.address || 'Location not specified',
-          priority: report.priority,
-          status: report.status,
-          reportedBy: report.isAnonymous ? 'Anonymous' : 
-            `${report.reporterId?.firstName || 'Unknown'} ${report.reporterId?.lastName || 'User'}`,
-          reportedAt: report.createdAt,
-          anonymous: report.isAnonymous,
-          comments: report.comments?.length || 0,
-          views: report.viewCount || 0,
-          likes: report.likes?.length || 0,
-          media: report.media || [],
-          isPinned: report.isPinned || false
-        }));
+        const formattedReports = data.map(formatReport);
         
         setReports(formattedReports);
       } catch (error) {
@@ -193,22 +234,114 @@ const Reports = () => {
     fetchReports();
   }, [fetchData]);
 
+  // Open a report picked on the map, loading it if it isn't in the list
+  const handleSelectMapReport = async (reportId) => {
+    const report = reports.find((r) => r.id === reportId);
+    if (report) {
+      setSelectedReport(report);
+      return;
+    }
+
+    try {
+      // Plain fetch so the page-level loading state doesn't unmount the map
+      const response = await fetch(`${API_BASE_URL}/api/reports/${reportId}`, {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`
+        }
+      });
+      if (!response.ok) {
+        throw new Error(`Request failed with status ${response.status}`);
+      }
+      setSelectedReport(formatReport(await response.json()));
+    } catch (error) {
+      showSnackbar('Failed to load report', 'error');
+    }
+  };
+
+  // Attach the device's current position to a new report so it shows on the map
+  const handleUseCurrentLocation = () => {
+    if (!navigator.geolocation) {
+      showSnackbar('Location is not supported by this browser.', 'warning');
+      return;
+    }
+
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setReportCoordinates({
+          latitude: position.coords.latitude,
+          longitude: position.coords.longitude
+        });
+        setLocating(false);
+      },
+      () => {
+        showSnackbar('Location access was denied.', 'warning');
+        setLocating(false);
+      },
+      { enableHighAccuracy: true, timeout: 10000 }
+    );
+  };
+
   // Handle opening report dialog with terms check
   const handleOpenReportDialog = () => {
     // Directly open the report dialog
     setOpenDialog(true);
   };
 
+  const resetReportForm = () => {
+    setNewReport({
+      title: "",
+      description: "",
+      category: "",
+      location: "",
+      priority: "medium",
+      isAnonymous: false,
+    });
+    setSelectedFiles([]);
+    setReportCoordinates(null);
+    setOpenDialog(false);
+  };
+
+  // Keep the draft in the outbox; it's posted with the same Idempotency-Key,
+  // so a report that did reach the server isn't created twice
+  const queueReportDraft = async (draftId, fields) => {
+    await outboxService.enqueue({
+      id: draftId,
+      kind: 'report',
+      path: '/api/reports',
+      form: {
+        fields,
+        files: selectedFiles.map(file => ({ name: 'media', blob: file, filename: file.name }))
+      },
+      meta: { title: newReport.title }
+    });
+    resetReportForm();
+    showSnackbar("You're offline. Your report has been saved and will be posted when you're back online.", 'info');
+  };
+
   const handleCreateReport = async () => {
+    const draftId = outboxService.generateId();
+    const fields = [
+      ['title', newReport.title],
+      ['description', newReport.description],
+      ['category', newReport.category],
+      ['location', newReport.location],
+      ['priority', newReport.priority],
+      ['isAnonymous', String(newReport.isAnonymous)]
+    ];
+    if (reportCoordinates) {
+      fields.push(['latitude', String(reportCoordinates.latitude)]);
+      fields.push(['longitude', String(reportCoordinates.longitude)]);
+    }
 
     try {
+      if (!navigator.onLine) {
+        await queueReportDraft(draftId, fields);
+        return;
+      }
+
       const formData = new FormData();
-      formData.append('title', newReport.title);
-      formData.append('description', newReport.description);
-      formData.append('category', newReport.category);
-      formData.append('location', newReport.location);
-      formData.append('priority', newReport.priority);
-      formData.append('isAnonymous', newReport.isAnonymous);
+      fields.forEach(([name, value]) => formData.append(name, value));
       
       // Add media files
       selectedFiles.forEach(file => {
@@ -216,45 +349,25 @@ const Reports = () => {
       });
 
       const baseURL = API_BASE_URL;
-      const response = await fetch(`${baseURL}/api/reports`, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
-        },
-        body: formData,
-      });
+      let response;
+      try {
+        response = await fetch(`${baseURL}/api/reports`, {
+          method: 'POST',
+          headers: {
+            'Authorization': `Bearer ${localStorage.getItem('token')}`,
+            'Idempotency-Key': draftId
+          },
+          body: formData,
+        });
+      } catch (networkError) {
+        await queueReportDraft(draftId, fields);
+        return;
+      }
 
       if (response.ok) {
         const createdReport = await response.json();
-        const formattedReport = {
-          id: createdReport._id,
-          title: createdReport.title,
-          description: createdReport.description,
-          category: createdReport.category,
-          location: createdReport.location?.address || 'Location not specified',
-          priority: createdReport.priority,
-          status: createdReport.status,
-          reportedBy: createdReport.isAnonymous ? 'Anonymous' : 'You',
-          reportedAt: createdReport.createdAt,
-          anonymous: createdReport.isAnonymous,
-          comments: 0,
-          views: 0,
-          likes: 0,
-          media: createdReport.media || [],
-          isPinned: createdReport.isPinned || false
-        };
-        
-        setReports([formattedReport, ...reports]);
-        setNewReport({
-          title: "",
-          description: "",
-          category: "",
-          location: "",
-          priority: "medium",
-          isAnonymous: false,
-        });
-        setSelectedFiles([]);
-        setOpenDialog(false);
+        setReports([formatCreatedReport(createdReport), ...reports]);
+        resetReportForm();
       } else {
         const errorText = await response.text();
         console.error('Failed to create report:', response.status, errorText);
@@ -470,6 +583,7 @@ const Reports = () => {
             currentView={currentView}
             onViewChange={setCurrentView}
             storageKey="reports-view-preference"
+            showMap
           />
           <Button
             variant="contained"
@@ -516,182 +630,193 @@ const Reports = () => {
         onCreateReport={handleOpenReportDialog}
       />
 
-      {/* Reports List */}
-      <Grid container spacing={3}>
-        {reports.length === 0 ? (
-          <Grid item xs={12}>
-            <EmptyState
-              type="reports"
-              onAction={handleOpenReportDialog}
-            />
-          </Grid>
-        ) : (
-          reports.map((report) => (
-          <Grid item xs={12} md={currentView === 'grid' ? 6 : 12} key={report.id}>
-            <Card
-              sx={{
-                height: currentView === 'grid' ? '100%' : 'auto',
-                display: 'flex',
-                flexDirection: currentView === 'grid' ? 'column' : 'row',
-                cursor: "pointer",
-                transition: "all 0.2s",
-                "&:hover": {
-                  transform: "translateY(-2px)",
-                  boxShadow: 3,
-                },
-              }}
-              onClick={() => setSelectedReport(report)}
-            >
-              <CardContent sx={{ 
-                flex: 1,
-                display: 'flex',
-                flexDirection: currentView === 'grid' ? 'column' : 'row',
-                gap: currentView === 'list' ? 2 : 0
-              }}>
-                {currentView === 'list' && (
-                  <Box sx={{ 
-                    display: 'flex', 
-                    alignItems: 'center', 
-                    minWidth: 60,
-                    justifyContent: 'center'
-                  }}>
-                    {getCategoryIcon(report.category)}
-                  </Box>
-                )}
-                
-                <Box sx={{ flex: 1 }}>
-                  <Box
-                    display="flex"
-                    justifyContent="space-between"
-                    alignItems="flex-start"
-                    mb={currentView === 'grid' ? 2 : 1}
-                  >
-                    <Box display="flex" alignItems="center" gap={1}>
-                      {currentView === 'grid' && getCategoryIcon(report.category)}
-                      <Typography variant="h6" fontWeight="bold">
-                        {report.title}
-                      </Typography>
-                    </Box>
-                    <Box display="flex" gap={1}>
-                      {report.isPinned && (
-                        <PinIcon size={20} tooltip="This report is pinned" sx={{ top: '-10px', left: '-10px' }}/>
-                      )}
-                      <Chip
-                        label={report.priority}
-                        size="small"
-                        sx={{
-                          backgroundColor: getPriorityColor(report.priority),
-                          color: "white",
-                          fontWeight: "bold",
-                        }}
-                        />
-                      <Chip
-                        label={report.status}
-                        size="small"
-                        sx={{
-                          backgroundColor: getStatusColor(report.status),
-                          color: "white",
-                        }}
-                        />
-                    </Box>
-                  </Box>
+      {/* Incident Map */}
+      {currentView === 'map' && (
+        <IncidentMap
+          categories={categories}
+          priorities={priorities}
+          onSelectReport={handleSelectMapReport}
+        />
+      )}
 
-                  <Typography 
-                    variant="body2" 
-                    color="text.secondary" 
-                    mb={currentView === 'grid' ? 2 : 1}
-                    sx={{
-                      display: '-webkit-box',
-                      WebkitLineClamp: currentView === 'list' ? 2 : 3,
-                      WebkitBoxOrient: 'vertical',
-                      overflow: 'hidden',
-                    }}
-                  >
-                    {report.description}
-                  </Typography>
-
-                  {/* Image Thumbnails */}
-                  {report.media && report.media.length > 0 && (
-                    <Box sx={{ mb: 2 }}>
-                      <ImageThumbnailGrid 
-                        images={report.media.filter(item => item && item.type === 'image')} 
-                        variant={currentView === 'grid' ? 'grid' : 'list'}
-                        maxImages={currentView === 'grid' ? 3 : 1}
-                      />
+      {/* Reports List */}
+      {currentView !== 'map' && (
+        <Grid container spacing={3}>
+          {reports.length === 0 ? (
+            <Grid item xs={12}>
+              <EmptyState
+                type="reports"
+                onAction={handleOpenReportDialog}
+              />
+            </Grid>
+          ) : (
+            reports.map((report) => (
+            <Grid item xs={12} md={currentView === 'grid' ? 6 : 12} key={report.id}>
+              <Card
+                sx={{
+                  height: currentView === 'grid' ? '100%' : 'auto',
+                  display: 'flex',
+                  flexDirection: currentView === 'grid' ? 'column' : 'row',
+                  cursor: "pointer",
+                  transition: "all 0.2s",
+                  "&:hover": {
+                    transform: "translateY(-2px)",
+                    boxShadow: 3,
+                  },
+                }}
+                onClick={() => setSelectedReport(report)}
+              >
+                <CardContent sx={{ 
+                  flex: 1,
+                  display: 'flex',
+                  flexDirection: currentView === 'grid' ? 'column' : 'row',
+                  gap: currentView === 'list' ? 2 : 0
+                }}>
+                  {currentView === 'list' && (
+                    <Box sx={{ 
+                      display: 'flex', 
+                      alignItems: 'center', 
+                      minWidth: 60,
+                      justifyContent: 'center'
+                    }}>
+                      {getCategoryIcon(report.category)}
                     </Box>
                   )}
-
-                  <Box display="flex" alignItems="center" gap={2} mb={currentView === 'grid' ? 2 : 1}>
-                    <Box display="flex" alignItems="center" gap={0.5}>
-                      <icons.LocationOn fontSize="small" color="action" />
-                      <Typography variant="body2" color="text.secondary">
-                        {report.location}
-                      </Typography>
-                    </Box>
-                    <Box display="flex" alignItems="center" gap={0.5}>
-                      <icons.AccessTime fontSize="small" color="action" />
-                      <Typography variant="body2" color="text.secondary">
-                        {formatDate(report.reportedAt)}
-                      </Typography>
+                
+                  <Box sx={{ flex: 1 }}>
+                    <Box
+                      display="flex"
+                      justifyContent="space-between"
+                      alignItems="flex-start"
+                      mb={currentView === 'grid' ? 2 : 1}
+                    >
+                      <Box display="flex" alignItems="center" gap={1}>
+                        {currentView === 'grid' && getCategoryIcon(report.category)}
+                        <Typography variant="h6" fontWeight="bold">
+                          {report.title}
+                        </Typography>
+                      </Box>
+                      <Box display="flex" gap={1}>
+                        {report.isPinned && (
+                          <PinIcon size={20} tooltip="This report is pinned" sx={{ top: '-10px', left: '-10px' }}/>
+                        )}
+                        <Chip
+                          label={report.priority}
+                          size="small"
+                          sx={{
+                            backgroundColor: getPriorityColor(report.priority),
+                            color: "white",
+                            fontWeight: "bold",
+                          }}
+                          />
+                        <Chip
+                          label={report.status}
+                          size="small"
+                          sx={{
+                            backgroundColor: getStatusColor(report.status),
+                            color: "white",
+                          }}
+                          />
+                      </Box>
                     </Box>
-                  </Box>
 
-                  {currentView === 'grid' && <Divider sx={{ my: 1 }} />}
+                    <Typography 
+                      variant="body2" 
+                      color="text.secondary" 
+                      mb={currentView === 'grid' ? 2 : 1}
+                      sx={{
+                        display: '-webkit-box',
+                        WebkitLineClamp: currentView === 'list' ? 2 : 3,
+                        WebkitBoxOrient: 'vertical',
+                        overflow: 'hidden',
+                      }}
+                    >
+                      {report.description}
+                    </Typography>
+
+                    {/* Image Thumbnails */}
+                    {report.media && report.media.length > 0 && (
+                      <Box sx={{ mb: 2 }}>
+                        <ImageThumbnailGrid 
+                          images={report.media.filter(item => item && item.type === 'image')} 
+                          variant={currentView === 'grid' ? 'grid' : 'list'}
+                          maxImages={currentView === 'grid' ? 3 : 1}
+                        />
+                      </Box>
+                    )}
 
-                  <Box
-                    display="flex"
-                    justifyContent="space-between"
-                    alignItems="center"
-                  >
-                    <Box display="flex" alignItems="center" gap={1}>
-                      <Avatar sx={{ width: 24, height: 24, fontSize: "0.75rem" }}>
-                        {report.reportedBy.charAt(0)}
-                      </Avatar>
-                      <Typography variant="body2" color="text.secondary">
-                        {report.reportedBy}
-                      </Typography>
-                    </Box>
-                    <Box display="flex" gap={2}>
+                    <Box display="flex" alignItems="center" gap={2} mb={currentView === 'grid' ? 2 : 1}>
                       <Box display="flex" alignItems="center" gap={0.5}>
-                        <icons.Visibility fontSize="small" color="action" />
+                        <icons.LocationOn fontSize="small" color="action" />
                         <Typography variant="body2" color="text.secondary">
-                          {report.views}
+                          {report.location}
                         </Typography>
                       </Box>
                       <Box display="flex" alignItems="center" gap={0.5}>
-                        <icons.Comment fontSize="small" color="action" />
+                        <icons.AccessTime fontSize="small" color="action" />
+                        <Typography variant="body2" color="text.secondary">
+                          {formatDate(report.reportedAt)}
+                        </Typography>
+                      </Box>
+                    </Box>
+
+                    {currentView === 'grid' && <Divider sx={{ my: 1 }} />}
+
+                    <Box
+                      display="flex"
+                      justifyContent="space-between"
+                      alignItems="center"
+                    >
+                      <Box display="flex" alignItems="center" gap={1}>
+                        <Avatar sx={{ width: 24, height: 24, fontSize: "0.75rem" }}>
+                          {report.reportedBy.charAt(0)}
+                        </Avatar>
                         <Typography variant="body2" color="text.secondary">
-                          {report.comments}
+                          {report.reportedBy}
                         </Typography>
                       </Box>
+                      <Box display="flex" gap={2}>
+                        <Box display="flex" alignItems="center" gap={0.5}>
+                          <icons.Visibility fontSize="small" color="action" />
+                          <Typography variant="body2" color="text.secondary">
+                            {report.views}
+                          </Typography>
+                        </Box>
+                        <Box display="flex" alignItems="center" gap={0.5}>
+                          <icons.Comment fontSize="small" color="action" />
+                          <Typography variant="body2" color="text.secondary">
+                            {report.comments}
+                          </Typography>
+                        </Box>
+                      </Box>
                     </Box>
                   </Box>
-                </Box>
-              </CardContent>
-              <CardActions>
-                <PinAction
-                  contentType="report"
-                  contentId={report.id}
-                  isPinned={report.isPinned}
-                  onPinChange={handlePinChange}
-                />
-                <Button 
-                  size="small" 
-                  startIcon={<icons.Warning />}
-                  onClick={(e) => {
-                    e.stopPropagation();
-                    handleReportReport(report);
-                  }}
-                  color="error"
-                >
-                  Report
-                </Button>
-              </CardActions>
-            </Card>
-          </Grid>
-          ))
-        )}
-      </Grid>
+                </CardContent>
+                <CardActions>
+                  <PinAction
+                    contentType="report"
+                    contentId={report.id}
+                    isPinned={report.isPinned}
+                    onPinChange={handlePinChange}
+                  />
+                  <Button 
+                    size="small" 
+                    startIcon={<icons.Warning />}
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleReportReport(report);
+                    }}
+                    color="error"
+                  >
+                    Report
+                  </Button>
+                </CardActions>
+              </Card>
+            </Grid>
+            ))
+          )}
+        </Grid>
+      )}
 
 
 
@@ -770,6 +895,21 @@ const Reports = () => {
               margin="normal"
               required
             />
+            <Box display="flex" alignItems="center" gap={1}>
+              <Button
+                size="small"
+                startIcon={locating ? <CircularProgress size={16} /> : <icons.LocationOn />}
+                onClick={handleUseCurrentLocation}
+                disabled={locating}
+              >
+                {reportCoordinates ? 'Update pin from my location' : 'Pin my current location'}
+              </Button>
+              {reportCoordinates && (
+                <Typography variant="caption" color="text.secondary">
+                  {reportCoordinates.latitude.toFixed(5)}, {reportCoordinates.longitude.toFixed(5)}
+                </Typography>
+              )}
+            </Box>
 
             <FormControl fullWidth margin="normal">
               <InputLabel>Priority</InputLabel>
@@ -3,6 +3,9 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { API_BASE_URL } from '../../config/api';
 
 import LoadingState from '../../components/Common/LoadingState';
+import SessionsSettings from '../../components/Settings/SessionsSettings';
+import ProfilePreview from '../../components/Settings/ProfilePreview';
+import TwoFactorSettings from '../../components/Settings/TwoFactorSettings';
 import useDataFetching from '../../hooks/useDataFetching';
 import { TermsModal, CookiesModal } from '../../components/Legal';
 import useCookieConsent from '../../hooks/useCookieConsent';
@@ -57,7 +60,8 @@ const Settings = () => {
     },
     privacy: {
       profileVisibility: 'neighbours',
-      messagePermissions: 'friends'
+      messagePermissions: 'friends',
+      lastSeenVisibility: 'neighbours'
     },
     locationSharing: false
   });
@@ -114,7 +118,8 @@ const Settings = () => {
           },
           privacy: settingsData.privacy || {
             profileVisibility: 'neighbours',
-            messagePermissions: 'friends'
+            messagePermissions: 'friends',
+            lastSeenVisibility: 'neighbours'
           },
           locationSharing: settingsData.locationSharing || false
         });
@@ -131,7 +136,8 @@ const Settings = () => {
           },
           privacy: {
             profileVisibility: 'neighbours',
-            messagePermissions: 'friends'
+            messagePermissions: 'friends',
+            lastSeenVisibility: 'neighbours'
           },
           locationSharing: false
         });
@@ -482,6 +488,22 @@ const Settings = () => {
                 <MenuItem value="none">No One</MenuItem>
               </Select>
             </FormControl>
+
+            <FormControl fullWidth margin="normal">
+              <InputLabel>Online Status & Last Seen</InputLabel>
+              <Select
+                value={settings.privacy.lastSeenVisibility || 'neighbours'}
+                onChange={(e) => handleSettingChange('privacy', 'lastSeenVisibility', e.target.value)}
+                label="Online Status & Last Seen"
+              >
+                <MenuItem value="everyone">Everyone</MenuItem>
+                <MenuItem value="neighbours">Neighbours</MenuItem>
+                <MenuItem value="friends">Friends Only</MenuItem>
+                <MenuItem value="none">No One</MenuItem>
+              </Select>
+            </FormControl>
+
+            <ProfilePreview />
           </Box>
 
           <List>
@@ -513,6 +535,10 @@ const Settings = () => {
         </CardContent>
       </Card>
 
+      <TwoFactorSettings />
+
+      <SessionsSettings />
+
       {/* Legal Documents */}
       <Card sx={{ mb: 3 }}>
         <CardContent>
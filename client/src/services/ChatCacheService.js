@@ -1,6 +1,18 @@
+import {
+  getCachedChatMessages,
+  replaceCachedChatMessages,
+  getSyncState,
+  putSyncState,
+  clearMessageCache
+} from '../utils/messageCacheStore';
+import { applyChanges, mergeMessages, hasGap, getMessageId } from '../utils/messageSync';
+
 /**
- * Chat Cache Service - Manages localStorage caching for chat data
- * Provides persistent storage and retrieval of chat groups and messages
+ * Chat Cache Service - Manages caching for chat data
+ * Chat groups are kept in localStorage. Messages are kept in IndexedDB (see
+ * utils/messageCacheStore.js) and brought up to date with the server's
+ * change feed instead of being refetched; localStorage only holds a per-chat
+ * count for the cache stats.
  */
 
 class ChatCacheService {
@@ -13,6 +25,8 @@ class ChatCacheService {
 
   static CACHE_VERSION = '1.0.0';
   static CACHE_EXPIRY_HOURS = 24; // Cache expires after 24 hours
+  static HISTORY_PAGE_SIZE = 50;
+  static MAX_CHANGE_PAGES = 20; // Beyond this a reload is cheaper than catching up
 
   /**
    * Initialize cache metadata
@@ -88,21 +102,14 @@ class ChatCacheService {
   }
 
   /**
-   * Store messages for a specific chat
+   * Store messages for a specific chat, replacing what was cached
    */
-  static storeChatMessages(chatId, messages) {
+  static async storeChatMessages(chatId, messages) {
     try {
-      const allMessages = this.getAllChatMessages() || {};
-      
-      allMessages[chatId] = {
-        data: messages,
-        timestamp: new Date().toISOString(),
-        count: messages.length,
-        chatId: chatId
-      };
-
-      localStorage.setItem(this.CACHE_KEYS.CHAT_MESSAGES, JSON.stringify(allMessages));
-      console.log(`💾 Stored ${messages.length} messages for chat ${chatId}`);
+      const sorted = mergeMessages([], messages);
+      await replaceCachedChatMessages(chatId, sorted);
+      this.updateMessageIndex(chatId, sorted.length);
+      console.log(`💾 Stored ${sorted.length} messages for chat ${chatId}`);
       
       this.updateCacheMetadata();
       return true;
@@ -113,17 +120,18 @@ class ChatCacheService {
   }
 
   /**
-   * Retrieve messages for a specific chat
+   * Retrieve messages for a specific chat, oldest first
    */
-  static getChatMessages(chatId) {
+  static async getChatMessages(chatId) {
     try {
-      const allMessages = this.getAllChatMessages();
-      if (!allMessages || !allMessages[chatId]) return null;
+      const cached = await getCachedChatMessages(chatId);
+      if (cached.length === 0) return null;
 
-      const chatMessages = allMessages[chatId];
-      console.log(`📖 Retrieved ${chatMessages.count} messages for chat ${chatId}`);
+      // Sorts them and drops disappearing messages that have expired
+      const messages = applyChanges(cached);
+      console.log(`📖 Retrieved ${messages.length} messages for chat ${chatId}`);
       
-      return chatMessages.data;
+      return messages;
     } catch (error) {
       console.error('Error retrieving chat messages:', error);
       return null;
@@ -131,29 +139,52 @@ class ChatCacheService {
   }
 
   /**
-   * Get all cached messages (internal helper)
+   * Get the per-chat message counts (internal helper)
    */
-  static getAllChatMessages() {
+  static getMessageIndex() {
     try {
       const cached = localStorage.getItem(this.CACHE_KEYS.CHAT_MESSAGES);
-      return cached ? JSON.parse(cached) : {};
+      const index = cached ? JSON.parse(cached) : {};
+
+      // Caches from before messages moved to IndexedDB held the messages here
+      return Object.values(index).some(entry => Array.isArray(entry?.data)) ? {} : index;
     } catch (error) {
-      console.error('Error retrieving all chat messages:', error);
+      console.error('Error retrieving message index:', error);
       return {};
     }
   }
 
+  /**
+   * Record how many messages are cached for a chat (internal helper)
+   */
+  static updateMessageIndex(chatId, count) {
+    const index = this.getMessageIndex();
+    index[chatId] = {
+      timestamp: new Date().toISOString(),
+      count,
+      chatId
+    };
+    localStorage.setItem(this.CACHE_KEYS.CHAT_MESSAGES, JSON.stringify(index));
+  }
+
+  /**
+   * Check whether any messages are cached for a chat
+   */
+  static hasChatMessages(chatId) {
+    return (this.getMessageIndex()[chatId]?.count || 0) > 0;
+  }
+
   /**
    * Add a new message to existing cache
    */
-  static addMessageToCache(chatId, newMessage) {
+  static async addMessageToCache(chatId, newMessage) {
     try {
-      const existingMessages = this.getChatMessages(chatId) || [];
+      const existingMessages = await this.getChatMessages(chatId) || [];
       
       // Check if message already exists (prevent duplicates)
-      const messageExists = existingMessages.some(msg => msg.id === newMessage.id);
+      const messageExists = existingMessages.some(msg => getMessageId(msg) === getMessageId(newMessage));
       if (messageExists) {
-        console.log(`Message ${newMessage.id} already exists in cache`);
+        console.log(`Message ${getMessageId(newMessage)} already exists in cache`);
         return false;
       }
 
@@ -167,6 +198,132 @@ class ChatCacheService {
     }
   }
 
+  /**
+   * API path for a chat's messages
+   */
+  static getMessagesPath(chatId, chatType = 'group') {
+    return chatType === 'private'
+      ? `/api/private-chat/${chatId}/messages`
+      : `/api/chat/groups/${chatId}/messages`;
+  }
+
+  /**
+   * Servers without cursor pagination answer with a plain list (internal helper)
+   */
+  static toHistoryPage(response) {
+    if (!Array.isArray(response)) return response;
+    return {
+      messages: response,
+      pageInfo: { olderCursor: null, newerCursor: null, hasOlder: false, hasNewer: false },
+      syncCursor: null
+    };
+  }
+
+  /**
+   * Bring a chat's cached messages up to date with the server
+   *
+   * With a sync cursor from an earlier sync only the changes since then are
+   * fetched: new and edited messages, reaction changes and deletions. Without
+   * one (first load, or the cursor expired while offline) the newest page is
+   * fetched; if it doesn't reach back to the cache there is a gap, and the
+   * cache is replaced by the page so no missing stretch is shown as complete.
+   *
+   * @param {Object} apiService - Object with a get(url) method
+   * @param {string} chatId - Chat ID
+   * @param {Object} [options]
+   * @param {string} [options.chatType='group'] - 'group' or 'private'
+   * @returns {Promise<Object>} { messages, hasOlder, gapDetected }
+   */
+  static async syncChatMessages(apiService, chatId, { chatType = 'group' } = {}) {
+    const basePath = this.getMessagesPath(chatId, chatType);
+    const state = await getSyncState(chatId);
+    let cached = await this.getChatMessages(chatId) || [];
+
+    if (state?.syncCursor) {
+      try {
+        let since = state.syncCursor;
+        let hasMore = true;
+
+        for (let pages = 0; hasMore && pages < this.MAX_CHANGE_PAGES; pages++) {
+          const changes = await apiService.get(`${basePath}/changes?since=${encodeURIComponent(since)}`);
+          cached = applyChanges(cached, changes);
+          since = changes.syncCursor;
+          hasMore = changes.hasMore;
+        }
+
+        if (!hasMore) {
+          await this.storeChatMessages(chatId, cached);
+          await putSyncState({ ...state, syncCursor: since, syncedAt: new Date().toISOString() });
+          return { messages: cached, hasOlder: Boolean(state.hasOlder), gapDetected: false };
+        }
+      } catch (error) {
+        // 410: the cursor outlived the server's change history
+        if (error.response?.status !== 410) {
+          throw error;
+        }
+      }
+      cached = await this.getChatMessages(chatId) || [];
+    }
+
+    const page = this.toHistoryPage(await apiService.get(
+      `${basePath}?direction=older&limit=${this.HISTORY_PAGE_SIZE}`
+    ));
+    const gapDetected = hasGap(cached, page);
+    const messages = gapDetected ? applyChanges([], page) : applyChanges(cached, page);
+
+    // Older history continues from the oldest message kept
+    const keepsOlderCache = Boolean(!gapDetected && state?.olderCursor && cached.length > page.messages.length);
+    const olderCursor = keepsOlderCache ? state.olderCursor : page.pageInfo.olderCursor;
+    const hasOlder = keepsOlderCache ? Boolean(state.hasOlder) : page.pageInfo.hasOlder;
+
+    await this.storeChatMessages(chatId, messages);
+    await putSyncState({
+      chatId,
+      syncCursor: page.syncCursor,
+      olderCursor,
+      hasOlder,
+      syncedAt: new Date().toISOString()
+    });
+
+    if (gapDetected) {
+      console.log(`🕳️ Gap detected in cached messages for chat ${chatId}; reloaded latest page`);
+    }
+
+    return { messages, hasOlder, gapDetected };
+  }
+
+  /**
+   * Load the page of history before the oldest cached message
+   * @param {Object} apiService - Object with a get(url) method
+   * @param {string} chatId - Chat ID
+   * @param {Object} [options]
+   * @param {string} [options.chatType='group'] - 'group' or 'private'
+   * @returns {Promise<Object>} { messages, hasOlder }
+   */
+  static async loadOlderMessages(apiService, chatId, { chatType = 'group' } = {}) {
+    const state = await getSyncState(chatId);
+    const cached = await this.getChatMessages(chatId) || [];
+
+    if (!state?.olderCursor || !state.hasOlder) {
+      return { messages: cached, hasOlder: false };
+    }
+
+    const page = this.toHistoryPage(await apiService.get(
+      `${this.getMessagesPath(chatId, chatType)}?cursor=${encodeURIComponent(state.olderCursor)}` +
+      `&direction=older&limit=${this.HISTORY_PAGE_SIZE}`
+    ));
+    const messages = applyChanges(cached, page);
+
+    await this.storeChatMessages(chatId, messages);
+    await putSyncState({
+      ...state,
+      olderCursor: page.pageInfo.olderCursor,
+      hasOlder: page.pageInfo.hasOlder
+    });
+
+    return { messages, hasOlder: page.pageInfo.hasOlder };
+  }
+
   /**
    * Update cache metadata
    */
@@ -191,7 +348,7 @@ class ChatCacheService {
 
       const meta = metadata ? JSON.parse(metadata) : null;
       const groups = chatGroups ? JSON.parse(chatGroups) : null;
-      const messages = chatMessages ? JSON.parse(chatMessages) : null;
+      const messages = chatMessages ? this.getMessageIndex() : null;
 
       const totalMessages = messages ? 
         Object.values(messages).reduce((total, chat) => total + chat.count, 0) : 0;
@@ -240,6 +397,7 @@ class ChatCacheService {
       Object.values(this.CACHE_KEYS).forEach(key => {
         localStorage.removeItem(key);
       });
+      clearMessageCache().catch(error => console.error('Error clearing message cache:', error));
       
       console.log('🗑️ Chat cache cleared');
       return true;
@@ -266,15 +424,12 @@ class ChatCacheService {
 
       this.storeChatGroups(chatGroups);
 
-      // Step 2: Load messages for each chat group
-      console.log(`📥 Loading messages for ${chatGroups.length} chat groups...`);
+      // Step 2: Sync messages for each chat group; cached chats only fetch their changes
+      console.log(`📥 Syncing messages for ${chatGroups.length} chat groups...`);
       const messagePromises = chatGroups.map(async (group) => {
         try {
-          const messages = await apiService.get(`/api/chat/groups/${group.id}/messages`);
-          const messagesArray = Array.isArray(messages) ? messages : [];
-          
-          this.storeChatMessages(group.id, messagesArray);
-          return { chatId: group.id, count: messagesArray.length, success: true };
+          const { messages } = await this.syncChatMessages(apiService, group.id);
+          return { chatId: group.id, count: messages.length, success: true };
         } catch (error) {
           console.error(`Failed to load messages for chat ${group.id}:`, error);
           return { chatId: group.id, count: 0, success: false, error: error.message };
@@ -312,7 +467,7 @@ class ChatCacheService {
   static getDebugInfo() {
     const stats = this.getCacheStats();
     const chatGroups = this.getChatGroups();
-    const allMessages = this.getAllChatMessages();
+    const allMessages = this.getMessageIndex();
 
     return {
       cacheStats: stats,
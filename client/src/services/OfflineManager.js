@@ -1,22 +1,36 @@
+import outboxService from './OutboxService';
+
+const LEGACY_QUEUE_KEY = 'offlineMessageQueues';
+
+// Outbox item status -> queue status used by the chat UI
+const toQueueStatus = (item) => {
+  if (item.status === 'queued' && item.attempts > 0) return 'retry_pending';
+  return item.status;
+};
+
 /**
  * Comprehensive offline management service
  * Coordinates message queuing, caching, and synchronization
+ *
+ * Queued messages live in the shared outbox (see OutboxService) so the
+ * service worker can send them after the page is closed. messageQueue is a
+ * per-chat view of the outbox kept up to date from its updates.
  */
 class OfflineManager {
   constructor() {
     this.isOnline = navigator.onLine;
-    this.messageQueue = new Map(); // chatId -> queue
+    this.messageQueue = new Map(); // chatId -> queue (view of the outbox)
     this.messageCache = new Map(); // chatId -> cached messages
     this.syncCallbacks = new Map(); // chatId -> callback functions
-    this.retryTimeouts = new Map(); // messageId -> timeout
     
-    this.maxRetries = 3;
-    this.retryDelay = 1000;
     this.maxQueueSize = 100;
     this.maxCacheSize = 1000;
     
     this.setupEventListeners();
     this.loadFromStorage();
+
+    this.unsubscribeOutbox = outboxService.subscribe(item => this.handleOutboxUpdate(item));
+    this.refreshQueueFromOutbox();
   }
 
   /**
@@ -25,7 +39,6 @@ class OfflineManager {
   setupEventListeners() {
     window.addEventListener('online', () => {
       this.isOnline = true;
-      this.processAllQueues();
       this.notifyStatusChange();
     });
 
@@ -43,19 +56,11 @@ class OfflineManager {
   }
 
   /**
-   * Load queued messages and cached data from localStorage
+   * Load cached data from localStorage, moving any queue saved by an older
+   * version into the outbox
    */
   loadFromStorage() {
     try {
-      // Load message queues
-      const savedQueues = localStorage.getItem('offlineMessageQueues');
-      if (savedQueues) {
-        const queues = JSON.parse(savedQueues);
-        Object.entries(queues).forEach(([chatId, queue]) => {
-          this.messageQueue.set(chatId, queue);
-        });
-      }
-
       // Load message caches
       const savedCaches = localStorage.getItem('offlineMessageCaches');
       if (savedCaches) {
@@ -64,6 +69,17 @@ class OfflineManager {
           this.messageCache.set(chatId, cache);
         });
       }
+
+      // Older queues didn't record the chat type, so those go out as group messages
+      const legacyQueues = localStorage.getItem(LEGACY_QUEUE_KEY);
+      if (legacyQueues) {
+        localStorage.removeItem(LEGACY_QUEUE_KEY);
+        Object.entries(JSON.parse(legacyQueues)).forEach(([chatId, queue]) => {
+          queue
+            .filter(message => message.status !== 'failed')
+            .forEach(message => this.enqueueMessage(chatId, message, message.id));
+        });
+      }
     } catch (error) {
       console.error('Failed to load offline data from storage:', error);
       this.clearStorage();
@@ -71,14 +87,10 @@ class OfflineManager {
   }
 
   /**
-   * Save queued messages and cached data to localStorage
+   * Save cached data to localStorage
    */
   saveToStorage() {
     try {
-      // Save message queues
-      const queues = Object.fromEntries(this.messageQueue);
-      localStorage.setItem('offlineMessageQueues', JSON.stringify(queues));
-
       // Save message caches
       const caches = Object.fromEntries(this.messageCache);
       localStorage.setItem('offlineMessageCaches', JSON.stringify(caches));
@@ -109,28 +121,14 @@ class OfflineManager {
         this.messageCache.set(chatId, reduced);
       }
     });
-
-    // Remove failed messages older than 24 hours
-    this.messageQueue.forEach((queue, chatId) => {
-      const filtered = queue.filter(msg => {
-        if (msg.status === 'failed') {
-          const failedAt = new Date(msg.failedAt || msg.queuedAt);
-          const hoursSinceFailed = (Date.now() - failedAt.getTime()) / (1000 * 60 * 60);
-          return hoursSinceFailed < 24;
-        }
-        return true;
-      });
-      this.messageQueue.set(chatId, filtered);
-    });
   }
 
   /**
    * Clear all storage
    */
   clearStorage() {
-    localStorage.removeItem('offlineMessageQueues');
+    localStorage.removeItem(LEGACY_QUEUE_KEY);
     localStorage.removeItem('offlineMessageCaches');
-    this.messageQueue.clear();
     this.messageCache.clear();
   }
 
@@ -162,43 +160,118 @@ class OfflineManager {
   }
 
   /**
-   * Queue a message for sending when online
+   * Rebuild the per-chat queues from the outbox's message items
    */
-  queueMessage(chatId, messageData) {
-    if (!this.messageQueue.has(chatId)) {
-      this.messageQueue.set(chatId, []);
+  refreshQueueFromOutbox() {
+    const queues = new Map();
+
+    outboxService.getItems(item => item.kind === 'message').forEach(item => {
+      const chatId = item.meta.chatId;
+      if (!queues.has(chatId)) {
+        queues.set(chatId, []);
+      }
+      queues.get(chatId).push({
+        ...item.meta.message,
+        id: item.id,
+        queuedAt: item.createdAt,
+        retryCount: item.attempts,
+        error: item.lastError,
+        status: toQueueStatus(item)
+      });
+    });
+
+    this.messageQueue = queues;
+    this.notifyStatusChange();
+  }
+
+  handleOutboxUpdate(item) {
+    // A sent message comes back from the server with its real ID, so drop the
+    // temporary copy that was cached while it was queued
+    if (item?.kind === 'message' && item.status === 'sent') {
+      this.removeFromCache(item.meta.chatId, item.id);
     }
+    if (!item || item.kind === 'message') {
+      this.refreshQueueFromOutbox();
+    }
+  }
 
-    const queue = this.messageQueue.get(chatId);
+  /**
+   * Build the API request for a chat message
+   */
+  buildMessageRequest(chatId, messageData, clientMessageId) {
+    const path = messageData.chatType === 'private'
+      ? `/api/private-chat/${chatId}/messages`
+      : `/api/chat/groups/${chatId}/messages`;
+
+    const body = { content: messageData.content, clientMessageId };
+    if (messageData.replyTo?.id) {
+      body.replyToId = messageData.replyTo.id;
+    }
+    return { path, body };
+  }
+
+  enqueueMessage(chatId, messageData, id) {
+    // Older queues stored no clientMessageId; their temporary ID does the job
+    const { path, body } = this.buildMessageRequest(chatId, messageData, messageData.clientMessageId || id);
+    return outboxService.enqueue({
+      id,
+      kind: 'message',
+      path,
+      body,
+      meta: { chatId, message: messageData }
+    });
+  }
+
+  /**
+   * Queue a message for sending when online
+   */
+  queueMessage(chatId, messageData) {
+    const queue = this.messageQueue.get(chatId) || [];
     
     if (queue.length >= this.maxQueueSize) {
       throw new Error('Message queue is full');
     }
 
+    if ((messageData.attachments || []).some(attachment => attachment instanceof Blob)) {
+      throw new Error('Attachments can only be sent while online');
+    }
+
     const queuedMessage = {
-      id: this.generateTempId(),
+      id: messageData.clientMessageId || outboxService.generateId(),
       ...messageData,
       queuedAt: new Date().toISOString(),
       retryCount: 0,
       status: 'queued'
     };
 
-    queue.push(queuedMessage);
-    this.saveToStorage();
+    // Show it straight away; the outbox update replaces this entry
+    this.messageQueue.set(chatId, [...queue, queuedMessage]);
+    this.notifyStatusChange();
+
+    this.enqueueMessage(chatId, messageData, queuedMessage.id).catch(error => {
+      console.error('Failed to queue message:', error);
+    });
     
     return queuedMessage;
   }
 
   /**
    * Send a message (queue if offline, send immediately if online)
+   * The message keeps one clientMessageId whether it is sent now or queued, so
+   * the server never stores it twice. sendFunction should pass it along.
    */
   async sendMessage(chatId, messageData, sendFunction) {
+    messageData = {
+      ...messageData,
+      clientMessageId: messageData.clientMessageId || this.generateTempId()
+    };
+
     if (this.isOnline) {
       try {
         return await sendFunction(messageData);
       } catch (error) {
         // If sending fails while online, queue the message
-        const queuedMessage = this.queueMessage(chatId, messageData);
+        this.queueMessage(chatId, messageData);
         throw new Error(`Message queued due to send failure: ${error.message}`);
       }
     } else {
@@ -212,168 +285,43 @@ class OfflineManager {
   }
 
   /**
-   * Process message queue for a specific chat
+   * Send everything queued. Messages for every chat go out in the order
+   * they were written, so this flushes the whole outbox.
    */
-  async processQueue(chatId, sendFunction) {
-    if (!this.isOnline || !this.messageQueue.has(chatId)) {
-      return;
-    }
-
-    const queue = this.messageQueue.get(chatId);
-    const messagesToProcess = queue.filter(msg => 
-      msg.status === 'queued' || msg.status === 'retry_pending'
-    );
-
-    for (const message of messagesToProcess) {
-      try {
-        await this.processMessage(chatId, message, sendFunction);
-        
-        // Small delay between messages
-        await new Promise(resolve => setTimeout(resolve, 100));
-      } catch (error) {
-        console.error('Failed to process queued message:', error);
-      }
-    }
+  async processQueue() {
+    if (!this.isOnline) return;
+    await outboxService.flush();
   }
 
   /**
    * Process all message queues
    */
   async processAllQueues() {
-    if (!this.isOnline) return;
-
-    for (const [chatId, queue] of this.messageQueue) {
-      const callback = this.syncCallbacks.get(chatId);
-      if (callback && callback.sendFunction) {
-        await this.processQueue(chatId, callback.sendFunction);
-      }
-    }
-  }
-
-  /**
-   * Process a single message from queue
-   */
-  async processMessage(chatId, message, sendFunction) {
-    try {
-      this.updateMessageStatus(chatId, message.id, { status: 'sending' });
-      
-      const result = await sendFunction({
-        chatId: message.chatId,
-        content: message.content,
-        type: message.type,
-        attachments: message.attachments,
-        replyTo: message.replyTo,
-        tempId: message.id
-      });
-
-      // Message sent successfully
-      this.removeFromQueue(chatId, message.id);
-      return result;
-
-    } catch (error) {
-      console.error('Failed to send queued message:', error);
-      
-      const newRetryCount = message.retryCount + 1;
-      
-      if (newRetryCount >= this.maxRetries) {
-        // Max retries reached, mark as failed
-        this.updateMessageStatus(chatId, message.id, {
-          status: 'failed',
-          error: error.message,
-          failedAt: new Date().toISOString()
-        });
-        return false;
-      }
-
-      // Schedule retry with exponential backoff
-      const retryDelay = this.retryDelay * Math.pow(2, newRetryCount);
-      this.updateMessageStatus(chatId, message.id, {
-        status: 'retry_pending',
-        retryCount: newRetryCount,
-        nextRetryAt: new Date(Date.now() + retryDelay).toISOString()
-      });
-
-      const timeoutId = setTimeout(() => {
-        this.retryTimeouts.delete(message.id);
-        this.processMessage(chatId, message, sendFunction);
-      }, retryDelay);
-
-      this.retryTimeouts.set(message.id, timeoutId);
-      return false;
-    }
-  }
-
-  /**
-   * Update message status in queue
-   */
-  updateMessageStatus(chatId, messageId, updates) {
-    if (!this.messageQueue.has(chatId)) return;
-
-    const queue = this.messageQueue.get(chatId);
-    const messageIndex = queue.findIndex(msg => msg.id === messageId);
-    
-    if (messageIndex !== -1) {
-      queue[messageIndex] = { ...queue[messageIndex], ...updates };
-      this.saveToStorage();
-      this.notifyStatusChange();
-    }
+    await this.processQueue();
   }
 
   /**
    * Remove message from queue
    */
   removeFromQueue(chatId, messageId) {
-    if (!this.messageQueue.has(chatId)) return;
-
-    const queue = this.messageQueue.get(chatId);
-    const filteredQueue = queue.filter(msg => msg.id !== messageId);
-    this.messageQueue.set(chatId, filteredQueue);
-    
-    // Clear any pending retry timeout
-    if (this.retryTimeouts.has(messageId)) {
-      clearTimeout(this.retryTimeouts.get(messageId));
-      this.retryTimeouts.delete(messageId);
-    }
-    
-    this.saveToStorage();
-    this.notifyStatusChange();
+    outboxService.remove(messageId);
   }
 
   /**
    * Retry a failed message
    */
-  retryMessage(chatId, messageId, sendFunction) {
-    if (!this.messageQueue.has(chatId)) return;
-
-    const queue = this.messageQueue.get(chatId);
-    const message = queue.find(msg => msg.id === messageId);
-    
-    if (message && message.status === 'failed') {
-      this.updateMessageStatus(chatId, messageId, {
-        status: 'queued',
-        retryCount: 0,
-        error: null,
-        failedAt: null
-      });
-      
-      if (this.isOnline && sendFunction) {
-        this.processMessage(chatId, message, sendFunction);
-      }
-    }
+  retryMessage(chatId, messageId) {
+    outboxService.retry(messageId);
   }
 
   /**
    * Clear failed messages for a chat
    */
   clearFailedMessages(chatId) {
-    if (!this.messageQueue.has(chatId)) return;
-
-    const queue = this.messageQueue.get(chatId);
-    const filteredQueue = queue.filter(msg => msg.status !== 'failed');
-    this.messageQueue.set(chatId, filteredQueue);
-    
-    this.saveToStorage();
-    this.notifyStatusChange();
+    const queue = this.messageQueue.get(chatId) || [];
+    queue
+      .filter(msg => msg.status === 'failed')
+      .forEach(msg => outboxService.remove(msg.id));
   }
 
   /**
@@ -531,7 +479,7 @@ class OfflineManager {
   }
 
   /**
-   * Generate temporary ID for queued messages
+   * Generate temporary ID for messages; also sent as their clientMessageId
    */
   generateTempId() {
     return `temp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -568,9 +516,7 @@ class OfflineManager {
    * Cleanup resources
    */
   cleanup() {
-    // Clear all retry timeouts
-    this.retryTimeouts.forEach(timeout => clearTimeout(timeout));
-    this.retryTimeouts.clear();
+    this.unsubscribeOutbox();
     
     // Clear callbacks
     this.syncCallbacks.clear();
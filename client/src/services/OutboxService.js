@@ -0,0 +1,263 @@
+import { API_BASE_URL } from '../config/api';
+import { getAccessToken as getStoredAccessToken, refreshAccessToken } from '../utils/authTokens';
+import {
+  OUTBOX_CHANNEL,
+  OUTBOX_LOCK_NAME,
+  OUTBOX_SYNC_TAG,
+  putItem,
+  getAllItems,
+  deleteItem,
+  setAccessToken,
+  getTokenUserId,
+  replayOutbox
+} from '../utils/outboxStore';
+
+/**
+ * Page side of the offline outbox
+ * Queues requests that couldn't be sent, replays them when the connection
+ * comes back and reports each item's status to subscribers. Replays run in
+ * the page and, through Background Sync, in the service worker; a Web Lock
+ * stops the two from sending at the same time.
+ */
+class OutboxService {
+  constructor() {
+    this.items = new Map(); // id -> item
+    this.listeners = new Set();
+    this.flushPromise = null;
+    this.ready = this.load();
+
+    this.channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(OUTBOX_CHANNEL) : null;
+    if (this.channel) {
+      this.channel.onmessage = (event) => this.handleChannelMessage(event.data);
+    }
+
+    window.addEventListener('online', () => {
+      this.flush();
+    });
+  }
+
+  /**
+   * Load queued items, and give the worker the current access token
+   */
+  async load() {
+    try {
+      const items = await getAllItems();
+      items.forEach(item => this.items.set(item.id, item));
+      this.notify(null);
+
+      const token = getStoredAccessToken();
+      if (token) {
+        await setAccessToken(token);
+      }
+    } catch (error) {
+      console.error('Failed to load the outbox:', error);
+    }
+  }
+
+  handleChannelMessage(message) {
+    if (!message) return;
+
+    if (message.type === 'outbox:update') {
+      this.applyUpdate(message.item, false);
+    } else if (message.type === 'outbox:auth-required') {
+      // The worker can't refresh tokens, so the page does it and takes over
+      refreshAccessToken().then(token => {
+        if (token) this.flush();
+      });
+    }
+  }
+
+  applyUpdate(item, broadcast = true) {
+    if (item.status === 'sent' || item.status === 'removed') {
+      this.items.delete(item.id);
+    } else {
+      this.items.set(item.id, item);
+    }
+
+    if (broadcast && this.channel) {
+      this.channel.postMessage({ type: 'outbox:update', item });
+    }
+    this.notify(item);
+  }
+
+  notify(item) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(item, this.getItems());
+      } catch (error) {
+        console.error('Outbox listener error:', error);
+      }
+    });
+  }
+
+  /**
+   * Listen for outbox changes
+   * @param {Function} listener - Called with (changedItem, allItems). Sent items
+   *   arrive with status 'sent' and the server's response before they are dropped.
+   * @returns {Function} Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Get queued items
+   * @param {Function} [filter] - Optional item filter
+   * @returns {Array} Items, oldest first
+   */
+  getItems(filter) {
+    const items = [...this.items.values()].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    return filter ? items.filter(filter) : items;
+  }
+
+  getItem(id) {
+    return this.items.get(id) || null;
+  }
+
+  generateId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+      return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).substr(2, 12)}`;
+  }
+
+  /**
+   * Queue a request to be sent when the connection is back
+   * @param {Object} request
+   * @param {string} request.kind - 'message', 'reaction', 'report', 'notice' or 'operation'
+   * @param {string} request.path - API path, e.g. /api/chat/groups/:groupId/messages
+   * @param {string} [request.method='POST'] - HTTP method
+   * @param {Object} [request.body] - JSON body
+   * @param {Object} [request.form] - Multipart body: { fields: [[name, value]], files: [{ name, blob, filename }] }
+   * @param {Object} [request.meta] - Anything the UI needs to show the item (chat ID, content...)
+   * @param {string} [request.id] - Item ID to use; also sent as the Idempotency-Key
+   * @returns {Promise<Object>} The queued item
+   */
+  async enqueue({ kind, path, method = 'POST', body = null, form = null, meta = {}, id }) {
+    await this.ready;
+
+    const now = new Date().toISOString();
+    const item = {
+      id: id || this.generateId(),
+      kind,
+      url: path.startsWith('http') ? path : `${API_BASE_URL}${path}`,
+      method,
+      body,
+      form,
+      meta,
+      ownerId: getTokenUserId(getStoredAccessToken() || ''),
+      status: 'queued',
+      attempts: 0,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    await putItem(item);
+    this.applyUpdate(item);
+    this.requestSync();
+
+    if (navigator.onLine) {
+      this.flush();
+    }
+
+    return item;
+  }
+
+  /**
+   * Ask the service worker to replay the outbox once the browser is online,
+   * even if every tab has been closed by then
+   */
+  async requestSync() {
+    try {
+      if (!('serviceWorker' in navigator)) return;
+
+      const registration = await navigator.serviceWorker.ready;
+      if (registration.sync) {
+        await registration.sync.register(OUTBOX_SYNC_TAG);
+      }
+    } catch (error) {
+      // Background Sync isn't available everywhere; the page replays on 'online' instead
+      console.warn('Background sync registration failed:', error);
+    }
+  }
+
+  /**
+   * Send everything that is queued
+   * @returns {Promise<Object|null>} Replay result, or null if another replay was running
+   */
+  flush() {
+    if (!this.flushPromise) {
+      this.flushPromise = this.runFlush().finally(() => {
+        this.flushPromise = null;
+      });
+    }
+    return this.flushPromise;
+  }
+
+  async runFlush() {
+    await this.ready;
+
+    const replay = async () => {
+      let token = getStoredAccessToken();
+      if (!token) return null;
+
+      let result = await replayOutbox({ accessToken: token, onUpdate: item => this.applyUpdate(item) });
+
+      // Unlike the worker, the page may refresh the token and carry on
+      if (result.stoppedBy === 'unauthorized') {
+        token = await refreshAccessToken();
+        if (token) {
+          result = await replayOutbox({ accessToken: token, onUpdate: item => this.applyUpdate(item) });
+        }
+      }
+      return result;
+    };
+
+    try {
+      if (navigator.locks) {
+        // Skip if the service worker or another tab is already replaying
+        return await navigator.locks.request(OUTBOX_LOCK_NAME, { ifAvailable: true }, lock => (
+          lock ? replay() : null
+        ));
+      }
+      return await replay();
+    } catch (error) {
+      console.error('Outbox replay failed:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Queue a failed item again
+   * @param {string} id - Item ID
+   */
+  async retry(id) {
+    const item = this.items.get(id);
+    if (!item || item.status !== 'failed') return;
+
+    const requeued = { ...item, status: 'queued', attempts: 0, lastError: null, updatedAt: new Date().toISOString() };
+    await putItem(requeued);
+    this.applyUpdate(requeued);
+    this.requestSync();
+    this.flush();
+  }
+
+  /**
+   * Drop an item without sending it
+   * @param {string} id - Item ID
+   */
+  async remove(id) {
+    const item = this.items.get(id);
+    if (!item) return;
+
+    await deleteItem(id);
+    this.applyUpdate({ ...item, status: 'removed' });
+  }
+}
+
+// Create singleton instance
+const outboxService = new OutboxService();
+
+export default outboxService;
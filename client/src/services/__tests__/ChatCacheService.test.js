@@ -0,0 +1,89 @@
+import ChatCacheService from '../ChatCacheService';
+import { clearMessageCache, getSyncState } from '../../utils/messageCacheStore';
+
+const message = (id, minute, extra = {}) => ({
+  id,
+  content: `Message ${id}`,
+  createdAt: new Date(Date.UTC(2024, 0, 1, 12, minute)).toISOString(),
+  ...extra
+});
+
+const page = (messages, { hasOlder = false, olderCursor = 'older-1' } = {}) => ({
+  messages,
+  pageInfo: { olderCursor, newerCursor: 'newer-1', hasOlder, hasNewer: false },
+  syncCursor: 'sync-1'
+});
+
+const httpError = (status) => {
+  const error = new Error(`HTTP ${status}`);
+  error.response = { status, data: {} };
+  return error;
+};
+
+describe('ChatCacheService message sync', () => {
+  beforeEach(async () => {
+    localStorage.clear();
+    await clearMessageCache();
+  });
+
+  it('loads the newest page on the first sync and stores its cursors', async () => {
+    const apiService = { get: jest.fn().mockResolvedValue(page([message('a', 1)], { hasOlder: true })) };
+
+    const result = await ChatCacheService.syncChatMessages(apiService, 'group-1');
+
+    expect(apiService.get).toHaveBeenCalledWith('/api/chat/groups/group-1/messages?direction=older&limit=50');
+    expect(result.messages.map(m => m.id)).toEqual(['a']);
+    expect(result.hasOlder).toBe(true);
+    expect(await getSyncState('group-1')).toMatchObject({ syncCursor: 'sync-1', olderCursor: 'older-1' });
+    expect(ChatCacheService.hasChatMessages('group-1')).toBe(true);
+  });
+
+  it('fetches only the changes once it has a sync cursor', async () => {
+    const apiService = { get: jest.fn().mockResolvedValue(page([message('a', 1), message('b', 2)])) };
+    await ChatCacheService.syncChatMessages(apiService, 'group-1');
+
+    apiService.get = jest.fn()
+      .mockResolvedValueOnce({ messages: [message('c', 3)], deletedIds: ['a'], syncCursor: 'sync-2', hasMore: true })
+      .mockResolvedValueOnce({ messages: [{ ...message('b', 2), content: 'Edited' }], deletedIds: [], syncCursor: 'sync-3', hasMore: false });
+
+    const result = await ChatCacheService.syncChatMessages(apiService, 'group-1');
+
+    expect(apiService.get).toHaveBeenNthCalledWith(1, '/api/chat/groups/group-1/messages/changes?since=sync-1');
+    expect(apiService.get).toHaveBeenNthCalledWith(2, '/api/chat/groups/group-1/messages/changes?since=sync-2');
+    expect(result.messages.map(m => [m.id, m.content])).toEqual([['b', 'Edited'], ['c', 'Message c']]);
+    expect((await getSyncState('group-1')).syncCursor).toBe('sync-3');
+  });
+
+  it('replaces the cache with the newest page when the sync cursor expired and there is a gap', async () => {
+    const apiService = { get: jest.fn().mockResolvedValue(page([message('a', 1)])) };
+    await ChatCacheService.syncChatMessages(apiService, 'group-1');
+
+    apiService.get = jest.fn()
+      .mockRejectedValueOnce(httpError(410))
+      .mockResolvedValueOnce(page([message('y', 30), message('z', 31)], { hasOlder: true, olderCursor: 'older-2' }));
+
+    const result = await ChatCacheService.syncChatMessages(apiService, 'group-1');
+
+    expect(result.gapDetected).toBe(true);
+    expect(result.messages.map(m => m.id)).toEqual(['y', 'z']);
+    expect(await getSyncState('group-1')).toMatchObject({ olderCursor: 'older-2', hasOlder: true });
+  });
+
+  it('loads older history from the stored cursor', async () => {
+    const apiService = { get: jest.fn().mockResolvedValue(page([message('b', 2)], { hasOlder: true })) };
+    await ChatCacheService.syncChatMessages(apiService, 'private-1', { chatType: 'private' });
+
+    apiService.get = jest.fn().mockResolvedValue(page([message('a', 1)], { olderCursor: null }));
+    const result = await ChatCacheService.loadOlderMessages(apiService, 'private-1', { chatType: 'private' });
+
+    expect(apiService.get).toHaveBeenCalledWith('/api/private-chat/private-1/messages?cursor=older-1&direction=older&limit=50');
+    expect(result.messages.map(m => m.id)).toEqual(['a', 'b']);
+    expect(result.hasOlder).toBe(false);
+  });
+
+  it('passes other errors on', async () => {
+    const apiService = { get: jest.fn().mockRejectedValue(httpError(500)) };
+
+    await expect(ChatCacheService.syncChatMessages(apiService, 'group-1')).rejects.toThrow('HTTP 500');
+  });
+});
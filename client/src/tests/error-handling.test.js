@@ -375,6 +375,31 @@ describe('useApi', () => {
     }));
   });
 
+  test('keeps envelope responses from message history and sync endpoints', async () => {
+    const jsonResponse = (body) => ({
+      ok: true,
+      status: 200,
+      json: async () => body,
+      headers: { get: () => 'application/json', entries: () => [] }
+    });
+    const changes = { messages: [], deletedIds: ['m1'], syncCursor: 'c2', hasMore: false };
+    fetch
+      .mockResolvedValueOnce(jsonResponse(changes))
+      .mockResolvedValueOnce(jsonResponse({ unexpected: true }));
+
+    render(<TestComponent />);
+
+    let changesResult;
+    let listResult;
+    await act(async () => {
+      changesResult = await hookResult.get('/api/chat/groups/g1/messages/changes?since=c1');
+      listResult = await hookResult.get('/api/chat/groups/g1/messages');
+    });
+
+    expect(changesResult).toEqual(changes);
+    expect(listResult).toEqual([]);
+  });
+
   test('handles API errors correctly', async () => {
     fetch.mockResolvedValueOnce({
       ok: false,
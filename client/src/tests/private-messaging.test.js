@@ -170,6 +170,27 @@ describe('MessageStatus Component', () => {
     rerender(<MessageStatus status="read" timestamp={new Date().toISOString()} />);
     expect(screen.getByTitle('Read')).toBeInTheDocument();
   });
+
+  test('shows messages waiting in the outbox and retries failed ones', () => {
+    const onRetry = jest.fn();
+    const { rerender } = render(
+      <MessageStatus status="queued" timestamp={new Date().toISOString()} />
+    );
+    expect(screen.getByTitle('Waiting for connection')).toBeInTheDocument();
+
+    rerender(
+      <MessageStatus
+        status="failed"
+        error="Not a member of this group"
+        timestamp={new Date().toISOString()}
+        onRetry={onRetry}
+      />
+    );
+    expect(screen.getByTitle('Failed to send: Not a member of this group. Tap to retry')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByLabelText('Retry sending'));
+    expect(onRetry).toHaveBeenCalled();
+  });
 });
 
 describe('MessageComposer Component', () => {
@@ -8,6 +8,7 @@ const mockCrypto = {
     importKey: jest.fn(),
     encrypt: jest.fn(),
     decrypt: jest.fn(),
+    digest: jest.fn(),
   },
   getRandomValues: jest.fn(),
 };
@@ -76,7 +77,7 @@ describe('EncryptionManager', () => {
           publicExponent: new Uint8Array([1, 0, 1]),
           hash: 'SHA-256',
         },
-        true,
+        false,
         ['encrypt', 'decrypt']
       );
 
@@ -237,6 +238,31 @@ describe('EncryptionManager', () => {
       expect(encryptionManager.publicKeys.has(`${chatId}-user-2`)).toBe(true);
     });
 
+    it('should fingerprint the keys itself and reject ones that do not match', async () => {
+      const chatId = 'chat-123';
+      mockCrypto.subtle.generateKey.mockResolvedValue({ publicKey: 'pub', privateKey: 'priv' });
+      mockCrypto.subtle.importKey.mockResolvedValue('imported-key');
+      // Fingerprint each key as its own bytes
+      mockCrypto.subtle.digest.mockImplementation(async (algorithm, data) => data);
+
+      const result = await encryptionManager.initializeChatEncryption(chatId, [
+        { userId: 'user-1', keys: [{ deviceId: 'device-1', publicKey: btoa('\x01'), fingerprint: '01' }] },
+        {
+          userId: 'user-2',
+          keys: [
+            { deviceId: 'device-2', publicKey: btoa('\x02') },
+            { deviceId: 'device-3', publicKey: btoa('\x03'), fingerprint: '01' },
+          ],
+        },
+      ]);
+
+      expect(result).toBe(true);
+      expect(encryptionManager.getFingerprints(chatId, 'user-1')).toEqual(['01']);
+      expect(encryptionManager.getFingerprints(chatId, 'user-2')).toEqual(['02']);
+      expect(encryptionManager.getRejectedKeys(chatId)).toEqual([{ userId: 'user-2', deviceId: 'device-3' }]);
+      mockCrypto.subtle.digest.mockReset();
+    });
+
     it('should return false when initialization fails', async () => {
       const chatId = 'chat-123';
       
@@ -273,9 +299,12 @@ describe('EncryptionManager', () => {
       const message = 'Hello, World!';
       const recipientUserIds = ['user-1', 'user-2'];
 
-      // Set up mock keys
-      encryptionManager.publicKeys.set(`${chatId}-user-1`, 'public-key-1');
-      encryptionManager.publicKeys.set(`${chatId}-user-2`, 'public-key-2');
+      // Set up mock keys; user-2 has two devices
+      encryptionManager.publicKeys.set(`${chatId}-user-1`, [{ deviceId: 'device-1', key: 'public-key-1' }]);
+      encryptionManager.publicKeys.set(`${chatId}-user-2`, [
+        { deviceId: 'device-2', key: 'public-key-2' },
+        { deviceId: 'device-3', key: 'public-key-3' },
+      ]);
 
       const mockAESKey = 'mock-aes-key';
       const mockEncrypted = new ArrayBuffer(16);
@@ -292,8 +321,60 @@ describe('EncryptionManager', () => {
       expect(result).toHaveProperty('iv');
       expect(result).toHaveProperty('encryptedKeys');
       expect(result).toHaveProperty('isEncrypted', true);
-      expect(result.encryptedKeys).toHaveProperty('user-1');
-      expect(result.encryptedKeys).toHaveProperty('user-2');
+      expect(Object.keys(result.encryptedKeys['user-1'])).toEqual(['device-1']);
+      expect(Object.keys(result.encryptedKeys['user-2'])).toEqual(['device-2', 'device-3']);
+    });
+
+    it('should refuse to send when a recipient has no keys', async () => {
+      mockCrypto.subtle.generateKey.mockResolvedValue('mock-aes-key');
+      mockCrypto.getRandomValues.mockReturnValue(new Uint8Array(12));
+      mockCrypto.subtle.encrypt.mockResolvedValue(new ArrayBuffer(16));
+      mockCrypto.subtle.exportKey.mockResolvedValue(new ArrayBuffer(32));
+
+      await expect(
+        encryptionManager.encryptMessageForSending('chat-123', 'Hello', ['user-1'])
+      ).rejects.toThrow('No encryption keys for user user-1');
+    });
+  });
+
+  describe('envelopes', () => {
+    it('should round-trip the envelope the server stores', async () => {
+      encryptionManager.identity = { deviceId: 'device-0', keyPair: {} };
+
+      const envelope = await encryptionManager.toEnvelope({
+        encryptedContent: 'ciphertext',
+        iv: 'iv',
+        encryptedKeys: { 'user-1': { 'device-1': 'key-1', 'device-2': 'key-2' } },
+      });
+
+      expect(envelope).toEqual({
+        ciphertext: 'ciphertext',
+        iv: 'iv',
+        senderDeviceId: 'device-0',
+        keys: [
+          { userId: 'user-1', deviceId: 'device-1', encryptedKey: 'key-1' },
+          { userId: 'user-1', deviceId: 'device-2', encryptedKey: 'key-2' },
+        ],
+      });
+      expect(encryptionManager.fromEnvelope(envelope).encryptedKeys).toEqual({
+        'user-1': { 'device-1': 'key-1', 'device-2': 'key-2' },
+      });
+    });
+  });
+
+  describe('computeSafetyNumber', () => {
+    it('should give both sides the same number', async () => {
+      mockCrypto.subtle.digest.mockResolvedValue(new Uint8Array(64).fill(7).buffer);
+
+      const alice = { userId: 'user-a', fingerprints: ['bb', 'aa'] };
+      const bob = { userId: 'user-b', fingerprints: ['cc'] };
+
+      const fromAlice = await encryptionManager.computeSafetyNumber(alice, bob);
+      const fromBob = await encryptionManager.computeSafetyNumber(bob, alice);
+
+      expect(fromAlice).toBe(fromBob);
+      expect(fromAlice).toMatch(/^(\d{5} ){11}\d{5}$/);
+      expect(mockCrypto.subtle.digest.mock.calls[0][1]).toEqual(mockCrypto.subtle.digest.mock.calls[1][1]);
     });
   });
 });
\ No newline at end of file
@@ -0,0 +1,79 @@
+import { mergeMessages, applyChanges, hasGap, isExpired } from '../messageSync';
+
+const message = (id, minute, extra = {}) => ({
+  id,
+  content: `Message ${id}`,
+  createdAt: new Date(Date.UTC(2024, 0, 1, 12, minute)).toISOString(),
+  ...extra
+});
+
+describe('messageSync', () => {
+  describe('mergeMessages', () => {
+    it('replaces copies with the same ID and keeps creation order', () => {
+      const merged = mergeMessages(
+        [message('a', 1), message('b', 2)],
+        [message('c', 0), { ...message('b', 2), content: 'Edited' }]
+      );
+
+      expect(merged.map(m => m.id)).toEqual(['c', 'a', 'b']);
+      expect(merged[2].content).toBe('Edited');
+    });
+
+    it('matches messages that use _id', () => {
+      const merged = mergeMessages([{ ...message(undefined, 1), _id: 'a' }], [message('a', 1)]);
+
+      expect(merged).toHaveLength(1);
+    });
+  });
+
+  describe('applyChanges', () => {
+    it('applies edits, additions and deletions', () => {
+      const cached = [message('a', 1), message('b', 2), message('c', 3)];
+
+      const updated = applyChanges(cached, {
+        messages: [{ ...message('a', 1), reactions: [{ type: 'like', count: 1 }] }, message('d', 4)],
+        deletedIds: ['b']
+      });
+
+      expect(updated.map(m => m.id)).toEqual(['a', 'c', 'd']);
+      expect(updated[0].reactions).toHaveLength(1);
+    });
+
+    it('drops disappearing messages past their expiry', () => {
+      const now = Date.UTC(2024, 0, 2);
+      const cached = [
+        message('a', 1, { autoDelete: { enabled: true, expiresAt: new Date(now - 1000).toISOString() } }),
+        message('b', 2, { autoDelete: { enabled: true, expiresAt: new Date(now + 1000).toISOString() } })
+      ];
+
+      expect(applyChanges(cached, {}, now).map(m => m.id)).toEqual(['b']);
+      expect(isExpired(cached[0], now)).toBe(true);
+    });
+  });
+
+  describe('hasGap', () => {
+    const cached = [message('a', 1), message('b', 2)];
+
+    it('reports a gap when the newest page starts after the cache ends', () => {
+      const page = { messages: [message('y', 30), message('z', 31)], pageInfo: { hasOlder: true } };
+
+      expect(hasGap(cached, page)).toBe(true);
+    });
+
+    it('does not report a gap when the page overlaps the cache', () => {
+      const page = { messages: [message('b', 2), message('c', 3)], pageInfo: { hasOlder: true } };
+
+      expect(hasGap(cached, page)).toBe(false);
+    });
+
+    it('does not report a gap when the page reaches the start of the chat', () => {
+      const page = { messages: [message('y', 30)], pageInfo: { hasOlder: false } };
+
+      expect(hasGap(cached, page)).toBe(false);
+    });
+
+    it('does not report a gap for an empty cache', () => {
+      expect(hasGap([], { messages: [message('y', 30)], pageInfo: { hasOlder: true } })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+import {
+  registerOptimisticUpdate,
+  getPendingUpdatesForType,
+  reconcileClientId,
+  getServerIdForClientId,
+  mergeServerItem
+} from '../optimisticUpdates';
+
+describe('optimisticUpdates', () => {
+  describe('reconcileClientId', () => {
+    it('records the server ID and confirms the optimistic update', () => {
+      const listener = jest.fn();
+      window.addEventListener('optimistic:id-reconciled', listener);
+
+      registerOptimisticUpdate('message', 'client-1', null, { id: 'client-1', content: 'Hi' });
+      const serverId = reconcileClientId('message', 'client-1', { id: 'server-1', content: 'Hi' });
+
+      expect(serverId).toBe('server-1');
+      expect(getServerIdForClientId('client-1')).toBe('server-1');
+      expect(getPendingUpdatesForType('message')).toEqual([]);
+      expect(listener.mock.calls[0][0].detail).toMatchObject({
+        resourceType: 'message',
+        clientId: 'client-1',
+        serverId: 'server-1'
+      });
+
+      window.removeEventListener('optimistic:id-reconciled', listener);
+    });
+
+    it('accepts socket payloads that use _id', () => {
+      expect(reconcileClientId('message', 'client-2', { _id: 'server-2' })).toBe('server-2');
+    });
+
+    it('ignores confirmations without both IDs', () => {
+      expect(reconcileClientId('message', undefined, { id: 'server-3' })).toBeNull();
+      expect(reconcileClientId('message', 'client-4', null)).toBeNull();
+      expect(getServerIdForClientId('client-4')).toBeNull();
+    });
+  });
+
+  describe('mergeServerItem', () => {
+    const optimistic = { id: 'temp-1', clientMessageId: 'client-1', status: 'sending' };
+    const confirmed = { id: 'server-1', clientMessageId: 'client-1', status: 'sent' };
+
+    it('replaces the optimistic copy sent under the same client ID', () => {
+      const items = [{ id: 'server-0' }, optimistic];
+
+      expect(mergeServerItem(items, confirmed)).toEqual([{ id: 'server-0' }, confirmed]);
+    });
+
+    it('does not add a message twice when the socket echo arrives after the response', () => {
+      const items = mergeServerItem([optimistic], confirmed);
+
+      expect(mergeServerItem(items, { ...confirmed, status: 'delivered' })).toHaveLength(1);
+    });
+
+    it('drops a duplicate copy of the same server item', () => {
+      const items = [optimistic, { id: 'server-1', status: 'sent' }];
+
+      expect(mergeServerItem(items, confirmed)).toEqual([confirmed]);
+    });
+
+    it('appends items it has not seen', () => {
+      expect(mergeServerItem([optimistic], { id: 'server-9' })).toEqual([optimistic, { id: 'server-9' }]);
+    });
+
+    it('lets the caller keep the existing copy', () => {
+      const items = [optimistic];
+
+      expect(mergeServerItem(items, confirmed, { merge: existing => existing })).toEqual([optimistic]);
+    });
+  });
+});
@@ -0,0 +1,156 @@
+import {
+  putItem,
+  getAllItems,
+  deleteItem,
+  setAccessToken,
+  getAccessToken,
+  replayOutbox,
+  MAX_ATTEMPTS
+} from '../outboxStore';
+
+const makeToken = (userId) => `header.${btoa(JSON.stringify({ userId }))}.signature`;
+
+const makeItem = (id, overrides = {}) => ({
+  id,
+  kind: 'message',
+  url: `http://localhost:5001/api/chat/groups/group-1/messages`,
+  method: 'POST',
+  body: { content: `Message ${id}` },
+  form: null,
+  meta: { chatId: 'group-1' },
+  ownerId: 'user-1',
+  status: 'queued',
+  attempts: 0,
+  lastError: null,
+  createdAt: new Date(Date.now() + Number(id.replace(/\D/g, ''))).toISOString(),
+  ...overrides
+});
+
+const jsonResponse = (status, body) => Promise.resolve({
+  ok: status >= 200 && status < 300,
+  status,
+  json: () => Promise.resolve(body)
+});
+
+describe('outboxStore', () => {
+  beforeEach(async () => {
+    const items = await getAllItems();
+    await Promise.all(items.map(item => deleteItem(item.id)));
+    await setAccessToken(makeToken('user-1'));
+    global.fetch = jest.fn();
+  });
+
+  it('stores the access token for the service worker', async () => {
+    await setAccessToken('token-value');
+    expect(await getAccessToken()).toBe('token-value');
+
+    await setAccessToken(null);
+    expect(await getAccessToken()).toBeNull();
+  });
+
+  it('sends items in order with their ID as the Idempotency-Key', async () => {
+    await putItem(makeItem('item-2'));
+    await putItem(makeItem('item-1'));
+    fetch.mockImplementation(() => jsonResponse(201, { _id: 'server-id' }));
+    const onUpdate = jest.fn();
+
+    const result = await replayOutbox({ onUpdate });
+
+    expect(result).toEqual({ sent: 2, failed: 0, stoppedBy: null });
+    expect(fetch.mock.calls.map(([, options]) => options.headers['Idempotency-Key'])).toEqual(['item-1', 'item-2']);
+    expect(fetch.mock.calls[0][1].headers.Authorization).toBe(`Bearer ${makeToken('user-1')}`);
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({ content: 'Message item-1' });
+    expect(onUpdate).toHaveBeenCalledWith(expect.objectContaining({
+      id: 'item-1',
+      status: 'sent',
+      response: { _id: 'server-id' }
+    }));
+    expect(await getAllItems()).toEqual([]);
+  });
+
+  it('stops at a network error so later items keep their order', async () => {
+    await putItem(makeItem('item-1'));
+    await putItem(makeItem('item-2'));
+    fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+    const result = await replayOutbox();
+
+    expect(result.stoppedBy).toBe('offline');
+    expect(fetch).toHaveBeenCalledTimes(1);
+    const items = await getAllItems();
+    expect(items.map(item => [item.id, item.status, item.attempts])).toEqual([
+      ['item-1', 'queued', 1],
+      ['item-2', 'queued', 0]
+    ]);
+  });
+
+  it('leaves the queue alone when the token is rejected', async () => {
+    await putItem(makeItem('item-1'));
+    fetch.mockImplementation(() => jsonResponse(401, { message: 'Token expired' }));
+
+    const result = await replayOutbox();
+
+    expect(result.stoppedBy).toBe('unauthorized');
+    const [item] = await getAllItems();
+    expect(item).toMatchObject({ status: 'queued', attempts: 0 });
+  });
+
+  it('marks items the server refuses as failed and carries on', async () => {
+    await putItem(makeItem('item-1'));
+    await putItem(makeItem('item-2'));
+    fetch
+      .mockImplementationOnce(() => jsonResponse(403, { message: 'Not a member of this group' }))
+      .mockImplementationOnce(() => jsonResponse(201, { _id: 'server-id' }));
+
+    const result = await replayOutbox();
+
+    expect(result).toEqual({ sent: 1, failed: 1, stoppedBy: null });
+    const [item] = await getAllItems();
+    expect(item).toMatchObject({ id: 'item-1', status: 'failed', lastError: 'Not a member of this group' });
+  });
+
+  it('retries server errors until the attempts run out', async () => {
+    await putItem(makeItem('item-1', { attempts: MAX_ATTEMPTS - 2 }));
+    fetch.mockImplementation(() => jsonResponse(503, { message: 'Service unavailable' }));
+
+    expect((await replayOutbox()).stoppedBy).toBe('retry');
+    expect((await getAllItems())[0]).toMatchObject({ status: 'queued', attempts: MAX_ATTEMPTS - 1 });
+
+    expect((await replayOutbox()).failed).toBe(1);
+    expect((await getAllItems())[0]).toMatchObject({ status: 'failed', attempts: MAX_ATTEMPTS });
+  });
+
+  it('only sends items queued by the signed-in user', async () => {
+    await putItem(makeItem('item-1', { ownerId: 'someone-else' }));
+    await putItem(makeItem('item-2'));
+    fetch.mockImplementation(() => jsonResponse(201, {}));
+
+    const result = await replayOutbox();
+
+    expect(result.sent).toBe(1);
+    expect(fetch.mock.calls[0][1].headers['Idempotency-Key']).toBe('item-2');
+    expect((await getAllItems()).map(item => item.id)).toEqual(['item-1']);
+  });
+
+  it('rebuilds multipart drafts from the stored fields and files', async () => {
+    const photo = new Blob(['image-bytes'], { type: 'image/png' });
+    await putItem(makeItem('item-1', {
+      kind: 'report',
+      url: 'http://localhost:5001/api/reports',
+      body: null,
+      form: {
+        fields: [['title', 'Broken street light'], ['priority', 'high']],
+        files: [{ name: 'media', blob: photo, filename: 'light.png' }]
+      }
+    }));
+    fetch.mockImplementation(() => jsonResponse(201, { _id: 'report-id' }));
+
+    await replayOutbox();
+
+    const [, options] = fetch.mock.calls[0];
+    expect(options.body).toBeInstanceOf(FormData);
+    expect(options.body.get('title')).toBe('Broken street light');
+    expect(options.body.get('media').name).toBe('light.png');
+    expect(options.headers['Content-Type']).toBeUndefined();
+  });
+});
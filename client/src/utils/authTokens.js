@@ -0,0 +1,124 @@
+/**
+ * Access and refresh token storage shared by AuthContext, axios and useApi
+ *
+ * Access tokens are short-lived JWTs; the refresh token is opaque and is
+ * replaced on every refresh. The server revokes the whole session if an old
+ * refresh token is presented again, so refreshes must never race: within a
+ * tab they share one request, and across tabs they take a Web Lock where the
+ * browser supports it.
+ */
+import { API_BASE_URL } from '../config/api';
+import { setAccessToken as setOutboxAccessToken } from './outboxStore';
+
+const ACCESS_TOKEN_KEY = 'token';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+const REFRESH_LOCK_NAME = 'auth-token-refresh';
+
+// Refresh this long before the access token actually expires
+export const REFRESH_MARGIN_MS = 60 * 1000;
+
+let refreshPromise = null;
+
+export const getAccessToken = () => localStorage.getItem(ACCESS_TOKEN_KEY);
+
+export const getRefreshToken = () => localStorage.getItem(REFRESH_TOKEN_KEY);
+
+// The service worker replays the offline outbox with the access token only;
+// it never sees the refresh token
+const shareWithOutbox = (accessToken) => {
+  setOutboxAccessToken(accessToken).catch((error) => {
+    console.warn('Could not share the access token with the outbox:', error);
+  });
+};
+
+/**
+ * Store a token pair; a missing refresh token leaves the stored one alone
+ * @param {string} accessToken - Access token
+ * @param {string} refreshToken - Refresh token
+ */
+export const storeTokens = (accessToken, refreshToken) => {
+  localStorage.setItem(ACCESS_TOKEN_KEY, accessToken);
+  if (refreshToken) {
+    localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  }
+  shareWithOutbox(accessToken);
+};
+
+export const clearTokens = () => {
+  localStorage.removeItem(ACCESS_TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+  shareWithOutbox(null);
+};
+
+/**
+ * Read the expiry time from a JWT without verifying it
+ * @param {string} token - JWT
+ * @returns {number|null} Expiry in milliseconds since the epoch
+ */
+export const getTokenExpiry = (token) => {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const { exp } = JSON.parse(atob(payload));
+    return exp ? exp * 1000 : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const isFresh = (token) => {
+  const expiry = token && getTokenExpiry(token);
+  return Boolean(expiry && expiry - Date.now() > REFRESH_MARGIN_MS);
+};
+
+const requestNewTokens = async (staleAccessToken) => {
+  // Another tab may have refreshed while we waited for the lock
+  const currentAccessToken = getAccessToken();
+  if (currentAccessToken && currentAccessToken !== staleAccessToken && isFresh(currentAccessToken)) {
+    return currentAccessToken;
+  }
+
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) {
+    return null;
+  }
+
+  const response = await fetch(`${API_BASE_URL}/api/auth/refresh`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ refreshToken })
+  });
+
+  if (!response.ok) {
+    // Only give up on the session if the server rejected the token
+    if (response.status === 401) {
+      clearTokens();
+    }
+    return null;
+  }
+
+  const data = await response.json();
+  storeTokens(data.token, data.refreshToken);
+  return data.token;
+};
+
+/**
+ * Get a new access token using the stored refresh token
+ * @returns {Promise<string|null>} The new access token, or null if the session has ended
+ */
+export const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    const staleAccessToken = getAccessToken();
+    const run = () => requestNewTokens(staleAccessToken);
+
+    refreshPromise = (navigator.locks ? navigator.locks.request(REFRESH_LOCK_NAME, run) : run())
+      .catch((error) => {
+        console.error('Token refresh failed:', error);
+        return null;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
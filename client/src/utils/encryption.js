@@ -1,8 +1,80 @@
 /**
  * Encryption Utilities
- * Basic encryption functionality for chat system
+ * End-to-end encryption for private chats
+ *
+ * Each browser holds one RSA-OAEP key pair (its "device identity") in
+ * IndexedDB and registers the public half with the server. Messages are
+ * encrypted with a fresh AES-GCM key, which is wrapped once for every
+ * participant device. The server only ever sees ciphertext.
  */
 
+const IDENTITY_DB_NAME = 'e2eKeys';
+const IDENTITY_STORE_NAME = 'identity';
+const IDENTITY_RECORD_KEY = 'device';
+
+const getCrypto = () => globalThis.crypto;
+
+const toBase64 = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) {
+    binary += String.fromCharCode(bytes[i]);
+  }
+  return btoa(binary);
+};
+
+const fromBase64 = (value) => {
+  const binary = atob(value);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+};
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer))
+  .map(b => b.toString(16).padStart(2, '0'))
+  .join('');
+
+const createDeviceId = () => {
+  const bytes = new Uint8Array(16);
+  getCrypto().getRandomValues(bytes);
+  return toHex(bytes);
+};
+
+/**
+ * Run a request against the identity store
+ * Resolves to undefined when IndexedDB isn't available, so the identity
+ * lives in memory for the page's lifetime instead.
+ */
+const withIdentityStore = (mode, callback) => new Promise((resolve, reject) => {
+  if (typeof indexedDB === 'undefined') {
+    resolve(undefined);
+    return;
+  }
+
+  const openRequest = indexedDB.open(IDENTITY_DB_NAME, 1);
+
+  openRequest.onupgradeneeded = () => {
+    openRequest.result.createObjectStore(IDENTITY_STORE_NAME);
+  };
+  openRequest.onerror = () => reject(openRequest.error);
+  openRequest.onsuccess = () => {
+    const db = openRequest.result;
+    const transaction = db.transaction(IDENTITY_STORE_NAME, mode);
+    const request = callback(transaction.objectStore(IDENTITY_STORE_NAME));
+
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  };
+});
+
 /**
  * Check if encryption is enabled
  * @returns {boolean} Whether encryption is enabled
@@ -92,8 +164,421 @@ export const generateEncryptionKey = async () => {
     .join('');
 };
 
-export default {
-  isEncryptionEnabled,
-  validateEncryptionKey,
-  generateEncryptionKey
-};
\ No newline at end of file
+/**
+ * Manages this device's identity and the chat keys it encrypts for
+ */
+export class EncryptionManager {
+  constructor() {
+    this.keyPairs = new Map(); // chatId -> this device's key pair
+    this.publicKeys = new Map(); // `${chatId}-${userId}` -> [{ deviceId, fingerprint, key }]
+    this.rejectedKeys = new Map(); // chatId -> [{ userId, deviceId }]
+    this.identity = null; // { deviceId, keyPair }
+    this.identityPromise = null;
+  }
+
+  /**
+   * Check if the browser can do end-to-end encryption
+   * @returns {boolean} Whether the Web Crypto API is available
+   */
+  isEncryptionSupported() {
+    return Boolean(getCrypto()?.subtle);
+  }
+
+  /**
+   * Generate an RSA-OAEP key pair for wrapping message keys
+   * The private key can't be exported; the public key always can.
+   * @returns {Promise<CryptoKeyPair>} Key pair
+   */
+  async generateKeyPair() {
+    try {
+      return await getCrypto().subtle.generateKey(
+        {
+          name: 'RSA-OAEP',
+          modulusLength: 2048,
+          publicExponent: new Uint8Array([1, 0, 1]),
+          hash: 'SHA-256',
+        },
+        false,
+        ['encrypt', 'decrypt']
+      );
+    } catch (error) {
+      throw new Error('Key generation failed');
+    }
+  }
+
+  /**
+   * Export a public key as base64 SPKI, the format the server stores
+   * @param {CryptoKey} publicKey - Public key
+   * @returns {Promise<string>} Base64 SPKI
+   */
+  async exportPublicKey(publicKey) {
+    try {
+      const exported = await getCrypto().subtle.exportKey('spki', publicKey);
+      return toBase64(exported);
+    } catch (error) {
+      throw new Error('Public key export failed');
+    }
+  }
+
+  /**
+   * Import a base64 SPKI public key for wrapping message keys
+   * @param {string} publicKeyString - Base64 SPKI
+   * @returns {Promise<CryptoKey>} Public key
+   */
+  async importPublicKey(publicKeyString) {
+    try {
+      return await getCrypto().subtle.importKey(
+        'spki',
+        fromBase64(publicKeyString),
+        {
+          name: 'RSA-OAEP',
+          hash: 'SHA-256',
+        },
+        false,
+        ['encrypt']
+      );
+    } catch (error) {
+      throw new Error('Public key import failed');
+    }
+  }
+
+  /**
+   * Generate a one-off AES-GCM message key
+   * @returns {Promise<CryptoKey>} AES key
+   */
+  async generateAESKey() {
+    return getCrypto().subtle.generateKey(
+      {
+        name: 'AES-GCM',
+        length: 256,
+      },
+      true,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  /**
+   * Encrypt text with an AES-GCM key
+   * @param {string} message - Plain text
+   * @param {CryptoKey} aesKey - AES key
+   * @returns {Promise<Object>} { encrypted, iv } as base64
+   */
+  async encryptMessage(message, aesKey) {
+    const iv = getCrypto().getRandomValues(new Uint8Array(12));
+    const encrypted = await getCrypto().subtle.encrypt(
+      {
+        name: 'AES-GCM',
+        iv,
+      },
+      aesKey,
+      new TextEncoder().encode(message)
+    );
+
+    return {
+      encrypted: toBase64(encrypted),
+      iv: toBase64(iv),
+    };
+  }
+
+  /**
+   * Decrypt text encrypted with encryptMessage
+   * @param {string} encrypted - Base64 ciphertext
+   * @param {CryptoKey} aesKey - AES key
+   * @param {string} iv - Base64 IV
+   * @returns {Promise<string>} Plain text
+   */
+  async decryptMessage(encrypted, aesKey, iv) {
+    const decrypted = await getCrypto().subtle.decrypt(
+      {
+        name: 'AES-GCM',
+        iv: fromBase64(iv),
+      },
+      aesKey,
+      fromBase64(encrypted)
+    );
+
+    return new TextDecoder().decode(decrypted);
+  }
+
+  /**
+   * Load this device's identity, creating and storing one on first use
+   * @returns {Promise<Object>} { deviceId, keyPair }
+   */
+  async getIdentity() {
+    if (this.identity) {
+      return this.identity;
+    }
+
+    if (!this.identityPromise) {
+      this.identityPromise = (async () => {
+        let identity;
+        try {
+          identity = await withIdentityStore('readonly', store => store.get(IDENTITY_RECORD_KEY));
+        } catch (error) {
+          console.warn('Could not read the stored encryption identity:', error);
+        }
+
+        if (!identity) {
+          identity = { deviceId: createDeviceId(), keyPair: await this.generateKeyPair() };
+          try {
+            await withIdentityStore('readwrite', store => store.put(identity, IDENTITY_RECORD_KEY));
+          } catch (error) {
+            console.warn('Could not store the encryption identity:', error);
+          }
+        }
+
+        this.identity = identity;
+        return identity;
+      })().finally(() => {
+        this.identityPromise = null;
+      });
+    }
+
+    return this.identityPromise;
+  }
+
+  /**
+   * Get the ID this device registers its key under
+   * @returns {Promise<string>} Device ID
+   */
+  async getDeviceId() {
+    const identity = await this.getIdentity();
+    return identity.deviceId;
+  }
+
+  /**
+   * Get this device's public key for registering with the server
+   * @returns {Promise<string>} Base64 SPKI
+   */
+  async getPublicKeyForSharing() {
+    const identity = await this.getIdentity();
+    return this.exportPublicKey(identity.keyPair.publicKey);
+  }
+
+  /**
+   * Fingerprint a public key the same way the server does
+   * @param {string} publicKeyString - Base64 SPKI
+   * @returns {Promise<string>} SHA-256 hex
+   */
+  async getFingerprint(publicKeyString) {
+    const digest = await getCrypto().subtle.digest('SHA-256', fromBase64(publicKeyString));
+    return toHex(digest);
+  }
+
+  /**
+   * Work out the safety number two people compare to check their keys
+   * The result is the same whichever side computes it.
+   * @param {Object} a - { userId, fingerprints }
+   * @param {Object} b - { userId, fingerprints }
+   * @returns {Promise<string>} 60 digits in groups of five
+   */
+  async computeSafetyNumber(a, b) {
+    const [first, second] = [a, b].sort((x, y) => String(x.userId).localeCompare(String(y.userId)));
+    const input = [first, second]
+      .map(side => `${side.userId}:${[...side.fingerprints].sort().join(',')}`)
+      .join('|');
+
+    const digest = new Uint8Array(
+      await getCrypto().subtle.digest('SHA-512', new TextEncoder().encode(input))
+    );
+
+    // Five bytes per group, as in Signal's safety numbers
+    const groups = [];
+    for (let i = 0; i < 12; i++) {
+      let value = 0;
+      for (let j = 0; j < 5; j++) {
+        value = (value * 256) + digest[(i * 5) + j];
+      }
+      groups.push(String(value % 100000).padStart(5, '0'));
+    }
+
+    return groups.join(' ');
+  }
+
+  /**
+   * Set up encryption for a chat with its participants' device keys
+   *
+   * Fingerprints are worked out here from the keys being imported. A key
+   * whose fingerprint from the server doesn't match is rejected, and
+   * listed by getRejectedKeys.
+   * @param {string} chatId - Chat ID
+   * @param {Array} participants - [{ userId, keys: [{ deviceId, publicKey, fingerprint }] }];
+   *   a single { userId, publicKey } per participant is also accepted
+   * @returns {Promise<boolean>} Whether encryption is ready
+   */
+  async initializeChatEncryption(chatId, participants = []) {
+    try {
+      const identity = await this.getIdentity();
+      this.keyPairs.set(chatId, identity.keyPair);
+
+      const rejected = [];
+      for (const participant of participants) {
+        const deviceKeys = participant.keys
+          || [{ deviceId: participant.deviceId || 'default', publicKey: participant.publicKey }];
+
+        const imported = [];
+        for (const deviceKey of deviceKeys) {
+          const fingerprint = await this.getFingerprint(deviceKey.publicKey);
+          if (deviceKey.fingerprint && deviceKey.fingerprint !== fingerprint) {
+            console.warn(`Rejected encryption key for device ${deviceKey.deviceId}: fingerprint mismatch`);
+            rejected.push({ userId: participant.userId, deviceId: deviceKey.deviceId });
+            continue;
+          }
+
+          imported.push({
+            deviceId: deviceKey.deviceId,
+            fingerprint,
+            key: await this.importPublicKey(deviceKey.publicKey),
+          });
+        }
+
+        this.publicKeys.set(`${chatId}-${participant.userId}`, imported);
+      }
+      this.rejectedKeys.set(chatId, rejected);
+
+      return true;
+    } catch (error) {
+      console.error('Failed to initialize chat encryption:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the fingerprints of a participant's imported device keys, for
+   * computeSafetyNumber
+   * @param {string} chatId - Chat ID
+   * @param {string} userId - Participant's user ID
+   * @returns {Array<string>} SHA-256 hex fingerprints
+   */
+  getFingerprints(chatId, userId) {
+    return (this.publicKeys.get(`${chatId}-${userId}`) || []).map(deviceKey => deviceKey.fingerprint);
+  }
+
+  /**
+   * Get the device keys rejected when a chat was set up
+   * @param {string} chatId - Chat ID
+   * @returns {Array} [{ userId, deviceId }]
+   */
+  getRejectedKeys(chatId) {
+    return this.rejectedKeys.get(chatId) || [];
+  }
+
+  /**
+   * Forget the keys held for a chat
+   * @param {string} chatId - Chat ID
+   */
+  clearChatEncryption(chatId) {
+    this.keyPairs.delete(chatId);
+    this.rejectedKeys.delete(chatId);
+
+    const prefix = `${chatId}-`;
+    for (const key of this.publicKeys.keys()) {
+      if (key.startsWith(prefix)) {
+        this.publicKeys.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Encrypt a message for every device of the given users
+   * Include the sender's own user ID so their other devices can read it too.
+   * @param {string} chatId - Chat ID
+   * @param {string} message - Plain text
+   * @param {Array<string>} recipientUserIds - User IDs to encrypt for
+   * @returns {Promise<Object>} { encryptedContent, iv, encryptedKeys: { userId: { deviceId: key } }, isEncrypted }
+   */
+  async encryptMessageForSending(chatId, message, recipientUserIds) {
+    const aesKey = await this.generateAESKey();
+    const { encrypted, iv } = await this.encryptMessage(message, aesKey);
+    const rawKey = await getCrypto().subtle.exportKey('raw', aesKey);
+
+    const encryptedKeys = {};
+    for (const userId of recipientUserIds) {
+      const deviceKeys = this.publicKeys.get(`${chatId}-${userId}`) || [];
+      if (deviceKeys.length === 0) {
+        throw new Error(`No encryption keys for user ${userId}`);
+      }
+
+      encryptedKeys[userId] = {};
+      for (const { deviceId, key } of deviceKeys) {
+        const wrapped = await getCrypto().subtle.encrypt({ name: 'RSA-OAEP' }, key, rawKey);
+        encryptedKeys[userId][deviceId] = toBase64(wrapped);
+      }
+    }
+
+    return {
+      encryptedContent: encrypted,
+      iv,
+      encryptedKeys,
+      isEncrypted: true,
+    };
+  }
+
+  /**
+   * Decrypt a message using the key wrapped for this device
+   * @param {string} chatId - Chat ID
+   * @param {Object} data - { encryptedContent, iv, encryptedKeys }
+   * @param {string} userId - Current user's ID
+   * @returns {Promise<string>} Plain text
+   */
+  async decryptReceivedMessage(chatId, { encryptedContent, iv, encryptedKeys }, userId) {
+    const identity = await this.getIdentity();
+    const wrappedKey = encryptedKeys?.[userId]?.[identity.deviceId];
+
+    if (!wrappedKey) {
+      throw new Error('Message was not encrypted for this device');
+    }
+
+    const rawKey = await getCrypto().subtle.decrypt(
+      { name: 'RSA-OAEP' },
+      identity.keyPair.privateKey,
+      fromBase64(wrappedKey)
+    );
+    const aesKey = await getCrypto().subtle.importKey('raw', rawKey, { name: 'AES-GCM' }, false, ['decrypt']);
+
+    return this.decryptMessage(encryptedContent, aesKey, iv);
+  }
+
+  /**
+   * Turn encryptMessageForSending output into the envelope the server stores
+   * @param {Object} encryptedData - encryptMessageForSending result
+   * @returns {Promise<Object>} { ciphertext, iv, senderDeviceId, keys }
+   */
+  async toEnvelope({ encryptedContent, iv, encryptedKeys }) {
+    const keys = [];
+    Object.entries(encryptedKeys).forEach(([userId, devices]) => {
+      Object.entries(devices).forEach(([deviceId, encryptedKey]) => {
+        keys.push({ userId, deviceId, encryptedKey });
+      });
+    });
+
+    return {
+      ciphertext: encryptedContent,
+      iv,
+      senderDeviceId: await this.getDeviceId(),
+      keys,
+    };
+  }
+
+  /**
+   * Turn a stored envelope back into decryptReceivedMessage input
+   * @param {Object} envelope - Message encryption envelope from the server
+   * @returns {Object} { encryptedContent, iv, encryptedKeys }
+   */
+  fromEnvelope(envelope) {
+    const encryptedKeys = {};
+    (envelope.keys || []).forEach(({ userId, deviceId, encryptedKey }) => {
+      encryptedKeys[userId] = { ...encryptedKeys[userId], [deviceId]: encryptedKey };
+    });
+
+    return {
+      encryptedContent: envelope.ciphertext,
+      iv: envelope.iv,
+      encryptedKeys,
+    };
+  }
+}
+
+const encryptionManager = new EncryptionManager();
+
+export default encryptionManager;
\ No newline at end of file
@@ -0,0 +1,119 @@
+/**
+ * Message cache storage
+ *
+ * Chat history is kept in IndexedDB, one record per message, alongside each
+ * chat's sync state: the cursor for asking the server what changed since the
+ * last sync and the cursor for loading older history. Where IndexedDB is
+ * unavailable (private browsing, tests) the cache lives in memory for the
+ * session.
+ */
+
+export const MESSAGE_CACHE_DB_NAME = 'neibrly-messages';
+export const MESSAGE_CACHE_DB_VERSION = 1;
+
+const MESSAGES_STORE = 'messages';
+const SYNC_STATE_STORE = 'syncState';
+
+const memoryStore = {
+  [MESSAGES_STORE]: new Map(),
+  [SYNC_STATE_STORE]: new Map()
+};
+
+export const isMessageCachePersistent = () => typeof indexedDB !== 'undefined';
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const openRequest = indexedDB.open(MESSAGE_CACHE_DB_NAME, MESSAGE_CACHE_DB_VERSION);
+
+  openRequest.onupgradeneeded = () => {
+    const db = openRequest.result;
+    if (!db.objectStoreNames.contains(MESSAGES_STORE)) {
+      const messages = db.createObjectStore(MESSAGES_STORE, { keyPath: ['chatId', 'id'] });
+      messages.createIndex('chatId', 'chatId');
+    }
+    if (!db.objectStoreNames.contains(SYNC_STATE_STORE)) {
+      db.createObjectStore(SYNC_STATE_STORE, { keyPath: 'chatId' });
+    }
+  };
+  openRequest.onerror = () => reject(openRequest.error);
+  openRequest.onsuccess = () => resolve(openRequest.result);
+});
+
+const withStore = async (storeName, mode, callback) => {
+  if (!isMessageCachePersistent()) {
+    return callback(null, memoryStore[storeName]);
+  }
+
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = callback(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request?.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+};
+
+// Every [chatId, id] key for one chat; arrays sort after strings
+const chatKeyRange = (chatId) => IDBKeyRange.bound([chatId], [chatId, []]);
+
+/**
+ * Get a chat's cached messages, in no particular order
+ * @param {string} chatId - Chat ID
+ * @returns {Promise<Array>} Cached messages
+ */
+export const getCachedChatMessages = async (chatId) => {
+  const records = await withStore(MESSAGES_STORE, 'readonly', (store, memory) => (
+    store ? store.index('chatId').getAll(chatId) : [...(memory.get(chatId)?.values() || [])]
+  ));
+  return (records || []).map(({ message }) => message);
+};
+
+/**
+ * Replace a chat's cached messages
+ * @param {string} chatId - Chat ID
+ * @param {Array} messages - Messages with an id
+ * @returns {Promise<void>}
+ */
+export const replaceCachedChatMessages = (chatId, messages) => withStore(MESSAGES_STORE, 'readwrite', (store, memory) => {
+  const records = messages.map(message => ({ chatId, id: String(message.id || message._id), message }));
+
+  if (!store) {
+    memory.set(chatId, new Map(records.map(record => [record.id, record])));
+    return null;
+  }
+
+  store.delete(chatKeyRange(chatId));
+  records.forEach(record => store.put(record));
+  return null;
+});
+
+/**
+ * Get a chat's sync state
+ * @param {string} chatId - Chat ID
+ * @returns {Promise<Object|null>} { chatId, syncCursor, olderCursor, hasOlder, syncedAt }
+ */
+export const getSyncState = async (chatId) => {
+  const state = await withStore(SYNC_STATE_STORE, 'readonly', (store, memory) => (
+    store ? store.get(chatId) : memory.get(chatId)
+  ));
+  return state || null;
+};
+
+export const putSyncState = (state) => withStore(SYNC_STATE_STORE, 'readwrite', (store, memory) => (
+  store ? store.put(state) : memory.set(state.chatId, state)
+));
+
+/**
+ * Remove every cached message and sync state
+ * @returns {Promise<void>}
+ */
+export const clearMessageCache = async () => {
+  await withStore(MESSAGES_STORE, 'readwrite', (store, memory) => (store ? store.clear() : memory.clear()));
+  await withStore(SYNC_STATE_STORE, 'readwrite', (store, memory) => (store ? store.clear() : memory.clear()));
+};
@@ -0,0 +1,78 @@
+/**
+ * Message sync helpers
+ *
+ * Pure functions for folding server history pages and change deltas into a
+ * chat's cached messages. The server returns pages from
+ * GET .../messages?cursor=&direction= and deltas from
+ * GET .../messages/changes?since=; see server/services/MessageSyncService.js.
+ */
+
+export const getMessageId = (message) => String(message.id || message._id);
+
+const timeOf = (message) => new Date(message.createdAt || message.timestamp).getTime();
+
+const byCreation = (a, b) => {
+  const diff = timeOf(a) - timeOf(b);
+  if (diff !== 0) return diff;
+  return getMessageId(a) < getMessageId(b) ? -1 : 1;
+};
+
+/**
+ * Whether a disappearing message has passed its expiry time. The server sweeps
+ * these up shortly after, so the cache drops them without waiting for the
+ * tombstone.
+ * @param {Object} message - Cached message
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {boolean}
+ */
+export const isExpired = (message, now = Date.now()) => {
+  const expiresAt = message.autoDelete?.expiresAt;
+  return Boolean(expiresAt) && new Date(expiresAt).getTime() <= now;
+};
+
+/**
+ * Merge messages into a list, replacing copies with the same ID
+ * @param {Array} existing - Messages already held
+ * @param {Array} incoming - Newer copies and new messages
+ * @returns {Array} Merged messages, oldest first
+ */
+export const mergeMessages = (existing = [], incoming = []) => {
+  const merged = new Map(existing.map(message => [getMessageId(message), message]));
+  incoming.forEach(message => merged.set(getMessageId(message), message));
+  return [...merged.values()].sort(byCreation);
+};
+
+/**
+ * Apply a change delta to cached messages
+ * @param {Array} cached - Cached messages
+ * @param {Object} changes - { messages, deletedIds } from a changes response
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Array} Updated messages, oldest first
+ */
+export const applyChanges = (cached = [], { messages = [], deletedIds = [] } = {}, now = Date.now()) => {
+  const deleted = new Set(deletedIds.map(String));
+  return mergeMessages(cached, messages)
+    .filter(message => !deleted.has(getMessageId(message)) && !isExpired(message, now));
+};
+
+/**
+ * Check whether the newest history page leaves a hole between itself and the
+ * cache, i.e. more messages arrived while offline than fit in one page. The
+ * cache can't be stitched to the page then and should be replaced by it.
+ * @param {Array} cached - Cached messages, oldest first
+ * @param {Object} page - { messages, pageInfo } from a history page
+ * @returns {boolean} True if messages between the two are missing
+ */
+export const hasGap = (cached = [], page = {}) => {
+  const pageMessages = page.messages || [];
+  if (cached.length === 0 || pageMessages.length === 0 || !page.pageInfo?.hasOlder) {
+    return false;
+  }
+
+  const pageIds = new Set(pageMessages.map(getMessageId));
+  if (cached.some(message => pageIds.has(getMessageId(message)))) {
+    return false;
+  }
+
+  return timeOf(cached[cached.length - 1]) < timeOf(pageMessages[0]);
+};
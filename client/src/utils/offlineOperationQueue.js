@@ -1,37 +1,80 @@
 /**
  * Offline Operation Queue
- * 
+ *
  * This utility manages a queue of operations that need to be performed when the application
  * is offline. When the connection is restored, these operations are executed in order.
+ *
+ * Operations are stored in the shared outbox (see services/OutboxService) as 'operation'
+ * items, so the service worker can send them too. Each one is sent once, with its ID as the
+ * Idempotency-Key; callers are told about the result rather than making the request themselves.
  */
+import outboxService from '../services/OutboxService';
 
-// Queue storage key in localStorage
-const QUEUE_STORAGE_KEY = 'offline_operation_queue';
+// Where older versions kept the queue
+const LEGACY_QUEUE_KEY = 'offline_operation_queue';
+
+const dispatch = (name, detail) => {
+  window.dispatchEvent(new CustomEvent(name, { detail }));
+};
+
+const toOperation = (item) => ({
+  ...item.meta.operation,
+  id: item.id,
+  status: item.status,
+  metadata: {
+    ...item.meta.operation.metadata,
+    attempts: item.attempts,
+    ...(item.lastError && { lastError: item.lastError, lastErrorTime: item.updatedAt })
+  }
+});
+
+const enqueueOperation = (operationId, queuedOperation) => outboxService.enqueue({
+  id: operationId,
+  kind: 'operation',
+  path: queuedOperation.endpoint,
+  method: queuedOperation.method,
+  body: queuedOperation.method === 'DELETE' ? null : queuedOperation.data,
+  meta: { operation: queuedOperation }
+});
+
+// Keep listeners in step with replays, including ones run by the service worker
+outboxService.subscribe((item) => {
+  if (item?.kind !== 'operation') return;
+
+  if (item.status === 'sent' || item.status === 'removed') {
+    dispatch('offline:operation-removed', { operationId: item.id });
+  } else {
+    dispatch('offline:operation-updated', { operationId: item.id, updates: toOperation(item) });
+  }
+});
 
 /**
- * Get the current operation queue from localStorage
- * @returns {Array} Array of queued operations
+ * Move a queue saved in localStorage by an older version into the outbox
  */
-export const getQueue = () => {
+const migrateLegacyQueue = () => {
   try {
-    const queueData = localStorage.getItem(QUEUE_STORAGE_KEY);
-    return queueData ? JSON.parse(queueData) : [];
+    const queueData = localStorage.getItem(LEGACY_QUEUE_KEY);
+    if (!queueData) return;
+
+    localStorage.removeItem(LEGACY_QUEUE_KEY);
+    JSON.parse(queueData).forEach(operation => {
+      enqueueOperation(operation.id, operation).catch(error => {
+        console.error('Error moving queued operation to the outbox:', error);
+      });
+    });
   } catch (error) {
     console.error('Error retrieving offline operation queue:', error);
-    return [];
   }
 };
 
+migrateLegacyQueue();
+
 /**
- * Save the operation queue to localStorage
- * @param {Array} queue - The queue to save
+ * Get the current operation queue
+ * @returns {Array} Array of queued operations
  */
-export const saveQueue = (queue) => {
-  try {
-    localStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(queue));
-  } catch (error) {
-    console.error('Error saving offline operation queue:', error);
-  }
+export const getQueue = () => {
+  return outboxService.getItems(item => item.kind === 'operation').map(toOperation);
 };
 
 /**
@@ -46,12 +89,9 @@ export const saveQueue = (queue) => {
  * @returns {string} Operation ID
  */
 export const addToQueue = (operation) => {
-  const queue = getQueue();
-  
-  // Generate unique ID for the operation
-  const operationId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-  
-  // Add operation to queue with metadata
+  // The ID is also the Idempotency-Key the operation is sent with
+  const operationId = outboxService.generateId();
+
   const queuedOperation = {
     id: operationId,
     ...operation,
@@ -61,81 +101,55 @@ export const addToQueue = (operation) => {
       attempts: 0
     }
   };
-  
-  queue.push(queuedOperation);
-  saveQueue(queue);
-  
+
+  enqueueOperation(operationId, queuedOperation).catch(error => {
+    console.error('Error saving offline operation:', error);
+  });
+
   // Dispatch event for listeners
-  window.dispatchEvent(new CustomEvent('offline:operation-queued', { 
-    detail: queuedOperation 
-  }));
-  
+  dispatch('offline:operation-queued', queuedOperation);
+
   return operationId;
 };
 
 /**
- * Remove an operation from the queue
+ * Remove an operation from the queue without sending it
  * @param {string} operationId - ID of the operation to remove
  * @returns {boolean} True if operation was found and removed
  */
 export const removeFromQueue = (operationId) => {
-  const queue = getQueue();
-  const initialLength = queue.length;
-  
-  const filteredQueue = queue.filter(op => op.id !== operationId);
-  
-  if (filteredQueue.length !== initialLength) {
-    saveQueue(filteredQueue);
-    
-    // Dispatch event for listeners
-    window.dispatchEvent(new CustomEvent('offline:operation-removed', { 
-      detail: { operationId } 
-    }));
-    
-    return true;
+  if (!outboxService.getItem(operationId)) {
+    return false;
   }
-  
-  return false;
+
+  outboxService.remove(operationId);
+  return true;
 };
 
 /**
- * Update an operation in the queue
- * @param {string} operationId - ID of the operation to update
- * @param {Object} updates - Updates to apply to the operation
- * @returns {boolean} True if operation was found and updated
+ * Queue a failed operation again
+ * @param {string} operationId - ID of the operation to retry
+ * @returns {boolean} True if operation was found
  */
-export const updateOperation = (operationId, updates) => {
-  const queue = getQueue();
-  let updated = false;
-  
-  const updatedQueue = queue.map(op => {
-    if (op.id === operationId) {
-      updated = true;
-      return { ...op, ...updates };
-    }
-    return op;
-  });
-  
-  if (updated) {
-    saveQueue(updatedQueue);
-    
-    // Dispatch event for listeners
-    window.dispatchEvent(new CustomEvent('offline:operation-updated', { 
-      detail: { operationId, updates } 
-    }));
+export const retryOperation = (operationId) => {
+  if (!outboxService.getItem(operationId)) {
+    return false;
   }
-  
-  return updated;
+
+  outboxService.retry(operationId);
+  return true;
 };
 
 /**
  * Clear the entire operation queue
  */
 export const clearQueue = () => {
-  saveQueue([]);
-  
+  outboxService
+    .getItems(item => item.kind === 'operation')
+    .forEach(item => outboxService.remove(item.id));
+
   // Dispatch event for listeners
-  window.dispatchEvent(new CustomEvent('offline:queue-cleared'));
+  dispatch('offline:queue-cleared');
 };
 
 /**
@@ -147,101 +161,57 @@ export const getQueueLength = () => {
 };
 
 /**
- * Process the operation queue by executing each operation
- * @param {Function} processOperation - Function to process a single operation
- * @param {Object} options - Processing options
- * @param {boolean} options.removeOnSuccess - Remove operations from queue on success
- * @param {boolean} options.stopOnError - Stop processing on first error
- * @param {number} options.maxAttempts - Maximum number of attempts per operation
+ * Send the queued operations and report each outcome
+ * @param {Function} onProcessed - Called with (operation, responseData) for each operation the
+ *   server accepted, e.g. to confirm an optimistic update
  * @returns {Promise<Object>} Processing results
  */
-export const processQueue = async (processOperation, options = {}) => {
-  const {
-    removeOnSuccess = true,
-    stopOnError = false,
-    maxAttempts = 3
-  } = options;
-  
+export const processQueue = async (onProcessed = () => {}) => {
   const queue = getQueue();
   const results = {
     total: queue.length,
     successful: 0,
     failed: 0,
-    skipped: 0,
+    skipped: queue.filter(operation => operation.status === 'failed').length,
     errors: []
   };
-  
+
   if (queue.length === 0) {
     return results;
   }
-  
+
   // Dispatch event for listeners
-  window.dispatchEvent(new CustomEvent('offline:processing-started', { 
-    detail: { queueLength: queue.length } 
-  }));
-  
-  const updatedQueue = [...queue];
-  
-  for (let i = 0; i < updatedQueue.length; i++) {
-    const operation = updatedQueue[i];
-    
-    // Skip operations that have exceeded max attempts
-    if (operation.metadata.attempts >= maxAttempts) {
-      results.skipped++;
-      continue;
-    }
-    
-    try {
-      // Update attempt count
-      operation.metadata.attempts++;
-      operation.metadata.lastAttempt = new Date().toISOString();
-      
-      // Process the operation
-      await processOperation(operation);
-      
-      // Remove from queue if successful
-      if (removeOnSuccess) {
-        removeFromQueue(operation.id);
-      }
-      
+  dispatch('offline:processing-started', { queueLength: queue.length });
+
+  const unsubscribe = outboxService.subscribe((item) => {
+    if (item?.kind !== 'operation') return;
+
+    const operation = toOperation(item);
+
+    if (item.status === 'sent') {
       results.successful++;
-      
-      // Dispatch event for listeners
-      window.dispatchEvent(new CustomEvent('offline:operation-processed', { 
-        detail: { operation, success: true } 
-      }));
-    } catch (error) {
-      results.failed++;
-      results.errors.push({
-        operationId: operation.id,
-        error: error.message,
-        operation
-      });
-      
-      // Update operation with error info
-      updateOperation(operation.id, {
-        metadata: {
-          ...operation.metadata,
-          lastError: error.message,
-          lastErrorTime: new Date().toISOString()
-        }
-      });
-      
-      // Dispatch event for listeners
-      window.dispatchEvent(new CustomEvent('offline:operation-processed', { 
-        detail: { operation, success: false, error } 
-      }));
-      
-      if (stopOnError) {
-        break;
+      try {
+        onProcessed(operation, item.response);
+      } catch (error) {
+        console.error('Error handling processed operation:', error);
       }
+      dispatch('offline:operation-processed', { operation, success: true });
+    } else if (item.status === 'failed') {
+      const error = new Error(item.lastError || 'Operation failed');
+      results.failed++;
+      results.errors.push({ operationId: item.id, error: error.message, operation });
+      dispatch('offline:operation-processed', { operation, success: false, error });
     }
+  });
+
+  try {
+    await outboxService.flush();
+  } finally {
+    unsubscribe();
   }
-  
+
   // Dispatch event for listeners
-  window.dispatchEvent(new CustomEvent('offline:processing-completed', { 
-    detail: results 
-  }));
-  
+  dispatch('offline:processing-completed', results);
+
   return results;
-};
\ No newline at end of file
+};
@@ -9,6 +9,11 @@
 // Map to store optimistic updates by resource type and ID
 const optimisticUpdatesMap = new Map();
 
+// Server IDs of items created under a client-generated ID, e.g. a message's
+// clientMessageId. Oldest entries are dropped once the limit is reached.
+const serverIdsByClientId = new Map();
+const MAX_RECONCILED_IDS = 500;
+
 /**
  * Register an optimistic update
  * @param {string} resourceType - Type of resource (e.g., 'message', 'report')
@@ -177,4 +182,85 @@ export const applyOptimisticUpdatesToCollection = (resourceType, resources) => {
     const optimisticData = getOptimisticData(resourceType, resource.id);
     return optimisticData || resource;
   });
-};
\ No newline at end of file
+};
+
+/**
+ * Record the server ID of an item that was created under a client-generated ID.
+ * Confirms any optimistic update registered under the client ID and tells
+ * listeners, so views still holding the temporary item can swap it.
+ * @param {string} resourceType - Type of resource
+ * @param {string} clientId - ID the client sent with the item (e.g. clientMessageId)
+ * @param {Object} serverData - Item as returned or echoed by the server
+ * @returns {string|null} Server ID, or null if either ID is missing
+ */
+export const reconcileClientId = (resourceType, clientId, serverData) => {
+  const serverId = serverData?.id || serverData?._id;
+  if (!clientId || !serverId) {
+    return null;
+  }
+
+  serverIdsByClientId.delete(clientId);
+  serverIdsByClientId.set(clientId, String(serverId));
+  if (serverIdsByClientId.size > MAX_RECONCILED_IDS) {
+    serverIdsByClientId.delete(serverIdsByClientId.keys().next().value);
+  }
+
+  optimisticUpdatesMap.forEach((update, updateId) => {
+    if (update.resourceType === resourceType &&
+        update.resourceId === clientId &&
+        update.status === 'pending') {
+      confirmOptimisticUpdate(updateId, serverData);
+    }
+  });
+
+  // Dispatch event for listeners
+  window.dispatchEvent(new CustomEvent('optimistic:id-reconciled', {
+    detail: {
+      resourceType,
+      clientId,
+      serverId: String(serverId),
+      serverData
+    }
+  }));
+
+  return String(serverId);
+};
+
+/**
+ * Get the server ID recorded for a client-generated ID
+ * @param {string} clientId - Client-generated ID
+ * @returns {string|null} Server ID or null if not reconciled yet
+ */
+export const getServerIdForClientId = (clientId) => {
+  return serverIdsByClientId.get(clientId) || null;
+};
+
+/**
+ * Put a server-confirmed item into a collection. The optimistic copy sent
+ * under the same client ID, or an earlier copy of the same server item, is
+ * replaced rather than duplicated; the HTTP response and socket echo of one
+ * send can arrive in either order, and a retried send confirms it again.
+ * @param {Array} items - Current collection
+ * @param {Object} serverItem - Confirmed item; carries its server ID as `id`
+ * @param {Object} [options]
+ * @param {string} [options.clientIdField='clientMessageId'] - Field holding the client-generated ID
+ * @param {Function} [options.merge] - Combine (existingItem, serverItem); replaces by default
+ * @returns {Array} New collection
+ */
+export const mergeServerItem = (items, serverItem, options = {}) => {
+  const { clientIdField = 'clientMessageId', merge = (existing, incoming) => incoming } = options;
+  const clientId = serverItem[clientIdField];
+  const isSameItem = (item) =>
+    (clientId && item[clientIdField] === clientId) ||
+    (serverItem.id && item.id && String(item.id) === String(serverItem.id));
+
+  const index = items.findIndex(isSameItem);
+  if (index === -1) {
+    return [...items, serverItem];
+  }
+
+  const merged = merge(items[index], serverItem);
+  return items
+    .filter((item, i) => i === index || !isSameItem(item))
+    .map(item => (item === items[index] ? merged : item));
+};
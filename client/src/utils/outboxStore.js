@@ -0,0 +1,237 @@
+/**
+ * Outbox storage shared by the page and the service worker
+ *
+ * Requests made while offline (messages, reactions, report and notice
+ * drafts) are kept in IndexedDB so the service worker can replay them from a
+ * background sync even after every tab is closed. Each item's ID doubles as
+ * the Idempotency-Key header, so a request the server already handled is
+ * answered from its stored response instead of being applied twice.
+ *
+ * public/outbox.js is the worker's copy of this module. The database schema
+ * and replay rules must stay in step with it.
+ */
+
+export const OUTBOX_DB_NAME = 'neibrly-outbox';
+export const OUTBOX_DB_VERSION = 1;
+export const OUTBOX_SYNC_TAG = 'offline-messages';
+export const OUTBOX_CHANNEL = 'neibrly-outbox';
+export const OUTBOX_LOCK_NAME = 'neibrly-outbox-replay';
+export const MAX_ATTEMPTS = 5;
+
+const ITEMS_STORE = 'items';
+const META_STORE = 'meta';
+const AUTH_RECORD_KEY = 'auth';
+
+// Worth another go later; anything else in the 4xx range won't succeed on replay
+const RETRYABLE_STATUS = [408, 409, 425, 429];
+
+// Used where IndexedDB is unavailable (private browsing, tests). The worker
+// can't see these, so only the page replays them.
+const memoryStore = {
+  [ITEMS_STORE]: new Map(),
+  [META_STORE]: new Map()
+};
+
+export const isOutboxPersistent = () => typeof indexedDB !== 'undefined';
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  const openRequest = indexedDB.open(OUTBOX_DB_NAME, OUTBOX_DB_VERSION);
+
+  openRequest.onupgradeneeded = () => {
+    const db = openRequest.result;
+    if (!db.objectStoreNames.contains(ITEMS_STORE)) {
+      const items = db.createObjectStore(ITEMS_STORE, { keyPath: 'id' });
+      items.createIndex('status', 'status');
+      items.createIndex('createdAt', 'createdAt');
+    }
+    if (!db.objectStoreNames.contains(META_STORE)) {
+      db.createObjectStore(META_STORE, { keyPath: 'key' });
+    }
+  };
+  openRequest.onerror = () => reject(openRequest.error);
+  openRequest.onsuccess = () => resolve(openRequest.result);
+});
+
+const withStore = async (storeName, mode, callback) => {
+  if (!isOutboxPersistent()) {
+    return callback(null, memoryStore[storeName]);
+  }
+
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = callback(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request?.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+};
+
+/**
+ * Save an outbox item, replacing any item with the same ID
+ * @param {Object} item - Outbox item
+ * @returns {Promise<Object>} The saved item
+ */
+export const putItem = async (item) => {
+  await withStore(ITEMS_STORE, 'readwrite', (store, memory) => (
+    store ? store.put(item) : memory.set(item.id, item)
+  ));
+  return item;
+};
+
+export const getItem = (id) => withStore(ITEMS_STORE, 'readonly', (store, memory) => (
+  store ? store.get(id) : memory.get(id)
+));
+
+/**
+ * Get every outbox item, oldest first
+ * @returns {Promise<Array>} Outbox items
+ */
+export const getAllItems = async () => {
+  const items = await withStore(ITEMS_STORE, 'readonly', (store, memory) => (
+    store ? store.getAll() : [...memory.values()]
+  ));
+  return (items || []).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+};
+
+export const deleteItem = (id) => withStore(ITEMS_STORE, 'readwrite', (store, memory) => (
+  store ? store.delete(id) : memory.delete(id)
+));
+
+/**
+ * Store the access token the service worker replays with. Pass null on
+ * sign-out so the worker stops sending.
+ * @param {string|null} accessToken - Current access token
+ */
+export const setAccessToken = (accessToken) => withStore(META_STORE, 'readwrite', (store, memory) => {
+  const record = { key: AUTH_RECORD_KEY, accessToken, updatedAt: new Date().toISOString() };
+  return store ? store.put(record) : memory.set(AUTH_RECORD_KEY, record);
+});
+
+export const getAccessToken = async () => {
+  const record = await withStore(META_STORE, 'readonly', (store, memory) => (
+    store ? store.get(AUTH_RECORD_KEY) : memory.get(AUTH_RECORD_KEY)
+  ));
+  return record?.accessToken || null;
+};
+
+/**
+ * Read the user ID from an access token without verifying it
+ * @param {string} token - JWT
+ * @returns {string|null} User ID
+ */
+export const getTokenUserId = (token) => {
+  try {
+    const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(payload)).userId || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const buildBody = (item) => {
+  if (item.form) {
+    const formData = new FormData();
+    item.form.fields.forEach(([name, value]) => formData.append(name, value));
+    (item.form.files || []).forEach(({ name, blob, filename }) => formData.append(name, blob, filename));
+    return formData;
+  }
+  return item.body === undefined || item.body === null ? undefined : JSON.stringify(item.body);
+};
+
+const readResponse = async (response) => {
+  try {
+    return await response.json();
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Send queued items in order. Stops at the first item that can't be sent
+ * yet so a chat's messages never arrive out of order.
+ * @param {Object} options
+ * @param {Function} options.onUpdate - Called with each item as its status changes.
+ *   Sent items are reported with status 'sent' and the server's response.
+ * @param {string} [options.accessToken] - Token to send with; defaults to the stored one
+ * @returns {Promise<Object>} { sent, failed, stoppedBy } where stoppedBy is
+ *   'offline', 'unauthorized', 'retry' or null
+ */
+export const replayOutbox = async ({ onUpdate = () => {}, accessToken } = {}) => {
+  const token = accessToken || await getAccessToken();
+  const result = { sent: 0, failed: 0, stoppedBy: null };
+
+  if (!token) {
+    result.stoppedBy = 'unauthorized';
+    return result;
+  }
+
+  const userId = getTokenUserId(token);
+  const items = (await getAllItems()).filter(item => (
+    item.status !== 'failed' && (!item.ownerId || item.ownerId === userId)
+  ));
+
+  for (const queued of items) {
+    const item = { ...queued, status: 'sending', updatedAt: new Date().toISOString() };
+    await putItem(item);
+    onUpdate(item);
+
+    const headers = { 'Authorization': `Bearer ${token}`, 'Idempotency-Key': item.id };
+    if (!item.form && item.body !== undefined && item.body !== null) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    let response;
+    try {
+      response = await fetch(item.url, { method: item.method, headers, body: buildBody(item) });
+    } catch (error) {
+      const requeued = { ...item, status: 'queued', attempts: item.attempts + 1, lastError: 'Network error' };
+      await putItem(requeued);
+      onUpdate(requeued);
+      result.stoppedBy = 'offline';
+      return result;
+    }
+
+    const data = await readResponse(response);
+
+    if (response.ok) {
+      await deleteItem(item.id);
+      onUpdate({ ...item, status: 'sent', response: data });
+      result.sent++;
+      continue;
+    }
+
+    if (response.status === 401) {
+      // Tokens are only ever refreshed by the page; see utils/authTokens.js
+      const requeued = { ...item, status: 'queued' };
+      await putItem(requeued);
+      onUpdate(requeued);
+      result.stoppedBy = 'unauthorized';
+      return result;
+    }
+
+    const attempts = item.attempts + 1;
+    const lastError = data?.message || `HTTP ${response.status}`;
+
+    if ((response.status >= 500 || RETRYABLE_STATUS.includes(response.status)) && attempts < MAX_ATTEMPTS) {
+      const requeued = { ...item, status: 'queued', attempts, lastError };
+      await putItem(requeued);
+      onUpdate(requeued);
+      result.stoppedBy = 'retry';
+      return result;
+    }
+
+    const failed = { ...item, status: 'failed', attempts, lastError };
+    await putItem(failed);
+    onUpdate(failed);
+    result.failed++;
+  }
+
+  return result;
+};
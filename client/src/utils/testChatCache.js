@@ -6,7 +6,7 @@
 import ChatCacheService from '../services/ChatCacheService';
 
 // Make it available globally for browser console testing
-window.testChatCache = function() {
+window.testChatCache = async function() {
   console.log('=== TESTING CHAT CACHE ===');
   
   // Test 1: Check if cache is initialized
@@ -64,7 +64,7 @@ window.testChatCache = function() {
   
   // Store test data
   const groupsStored = ChatCacheService.storeChatGroups(testGroups);
-  const messagesStored = ChatCacheService.storeChatMessages('test-1', testMessages);
+  const messagesStored = await ChatCacheService.storeChatMessages('test-1', testMessages);
   
   console.log('   Groups stored:', groupsStored);
   console.log('   Messages stored:', messagesStored);
@@ -72,7 +72,7 @@ window.testChatCache = function() {
   // Test 5: Try to retrieve the test data
   console.log('5. Testing data retrieval...');
   const retrievedGroups = ChatCacheService.getChatGroups();
-  const retrievedMessages = ChatCacheService.getChatMessages('test-1');
+  const retrievedMessages = await ChatCacheService.getChatMessages('test-1');
   
   console.log('   Retrieved groups:', retrievedGroups);
   console.log('   Retrieved messages:', retrievedMessages);
@@ -20,6 +20,7 @@ const initializeModels = async () => {
       role: { type: String, default: 'user' },
       isActive: { type: Boolean, default: true },
       neighbourhood: { type: mongoose.Schema.Types.ObjectId, ref: 'Neighbourhood' },
+      twoFactor: { enabled: { type: Boolean, default: false } },
       createdAt: { type: Date, default: Date.now },
       updatedAt: { type: Date, default: Date.now },
     });
@@ -83,8 +84,15 @@ exports.handler = async (event, context) => {
       });
     }
 
+    // The second login step only exists on the main server
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return createResponse(403, {
+        error: 'This account uses two-factor authentication and must sign in through the main server.'
+      });
+    }
+
     // Generate tokens
-    const { accessToken, refreshToken } = generateTokens(user);
+    const { accessToken, refreshToken } = await generateTokens(user, event);
 
     // Return success response
     return createResponse(200, {
@@ -1,19 +1,23 @@
-const jwt = require('jsonwebtoken');
-const { corsHeaders, handleCors } = require('./utils/cors');
+// Netlify Function: Refresh Token Rotation
+const mongoose = require('mongoose');
+const { connectToDatabase } = require('./utils/database');
+const { handleCors, createResponse } = require('./utils/cors');
+const { refreshTokens } = require('./utils/auth');
+
+const User = mongoose.models.User || mongoose.model('User', new mongoose.Schema({
+  email: { type: String, required: true, unique: true },
+  role: { type: String, default: 'user' },
+  isActive: { type: Boolean, default: true }
+}, { strict: false }));
 
 exports.handler = async (event, context) => {
   // Handle CORS preflight
-  if (event.httpMethod === 'OPTIONS') {
-    return handleCors();
-  }
+  const corsResponse = handleCors(event);
+  if (corsResponse) return corsResponse;
 
   // Only allow POST method
   if (event.httpMethod !== 'POST') {
-    return {
-      statusCode: 405,
-      headers: corsHeaders,
-      body: JSON.stringify({ message: 'Method not allowed' })
-    };
+    return createResponse(405, { message: 'Method not allowed' });
   }
 
   try {
@@ -22,54 +26,29 @@ exports.handler = async (event, context) => {
     try {
       body = JSON.parse(event.body);
     } catch (error) {
-      return {
-        statusCode: 400,
-        headers: corsHeaders,
-        body: JSON.stringify({ message: 'Invalid JSON in request body' })
-      };
+      return createResponse(400, { message: 'Invalid JSON in request body' });
     }
 
-    const { token } = body;
-    
-    if (!token) {
-      return {
-        statusCode: 401,
-        headers: corsHeaders,
-        body: JSON.stringify({ message: 'Token required' })
-      };
+    const { refreshToken } = body;
+
+    if (!refreshToken) {
+      return createResponse(401, { message: 'Refresh token required' });
     }
 
-    // Verify the existing token
-    let decoded;
-    try {
-      decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
-    } catch (error) {
-      console.error('Token verification error:', error);
-      return {
-        statusCode: 401,
-        headers: corsHeaders,
-        body: JSON.stringify({ message: 'Invalid token' })
-      };
+    await connectToDatabase();
+
+    // Each refresh token works once; the response carries its replacement
+    const tokens = await refreshTokens(refreshToken, event, User);
+    if (!tokens) {
+      return createResponse(401, { message: 'Invalid refresh token' });
     }
-    
-    // Generate new token with same payload
-    const newToken = jwt.sign(
-      { userId: decoded.userId, email: decoded.email },
-      process.env.JWT_SECRET || 'fallback_secret',
-      { expiresIn: '7d' }
-    );
 
-    return {
-      statusCode: 200,
-      headers: corsHeaders,
-      body: JSON.stringify({ token: newToken })
-    };
+    return createResponse(200, {
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken
+    });
   } catch (error) {
     console.error('Token refresh error:', error);
-    return {
-      statusCode: 500,
-      headers: corsHeaders,
-      body: JSON.stringify({ message: 'Server error during token refresh' })
-    };
+    return createResponse(500, { message: 'Server error during token refresh' });
   }
-};
\ No newline at end of file
+};
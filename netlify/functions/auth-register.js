@@ -1,8 +1,9 @@
-const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const { connectToDatabase } = require('./utils/database');
 const { corsHeaders, handleCors } = require('./utils/cors');
+const { generateTokens } = require('./utils/auth');
+const { createVerificationToken, sendVerificationEmail } = require('./utils/emailVerification');
 
 // User Schema (inline for serverless)
 const userSchema = new mongoose.Schema({
@@ -48,6 +49,19 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  emailVerified: {
+    type: Boolean
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  emailVerification: {
+    tokenHash: { type: String },
+    expiresAt: { type: Date },
+    lastSentAt: { type: Date },
+    sendCount: { type: Number, default: 0 },
+    windowStartedAt: { type: Date }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -56,6 +70,10 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Neighbourhood'
   },
+  membershipStatus: {
+    type: String,
+    enum: ['pending', 'approved']
+  },
   bio: {
     type: String,
     trim: true,
@@ -188,6 +206,23 @@ userSchema.index({ neighbourhoodId: 1, isActive: 1 });
 // Get or create User model
 const User = mongoose.models.User || mongoose.model('User', userSchema);
 
+// Membership request schema (inline for serverless)
+const membershipRequestSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  neighbourhoodId: { type: mongoose.Schema.Types.ObjectId, ref: 'Neighbourhood', required: true },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  address: { type: String, trim: true, maxlength: 255 }
+}, {
+  timestamps: true
+});
+
+const MembershipRequest = mongoose.models.MembershipRequest ||
+  mongoose.model('MembershipRequest', membershipRequestSchema);
+
 // Validation helper functions
 const isEmail = (email) => {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -324,7 +359,10 @@ exports.handler = async (event, context) => {
       lastName: lastName.trim(),
       phone: phone ? phone.trim() : undefined,
       address: address ? address.trim() : undefined,
+      // A neighbourhood picked at sign-up is read-only until a moderator approves the join request
       neighbourhoodId: neighbourhoodId || undefined,
+      membershipStatus: neighbourhoodId ? 'pending' : undefined,
+      emailVerified: false,
       legalAcceptance: {
         termsOfService: {
           accepted: true,
@@ -339,21 +377,43 @@ exports.handler = async (event, context) => {
       }
     });
 
+    // Accounts stay unverified until the emailed link is used
+    const verification = createVerificationToken(user._id);
+    const now = new Date();
+    user.emailVerification = {
+      tokenHash: verification.tokenHash,
+      expiresAt: verification.expiresAt,
+      lastSentAt: now,
+      sendCount: 1,
+      windowStartedAt: now
+    };
+
     await user.save();
 
-    // Generate JWT
-    const token = jwt.sign(
-      { userId: user._id, email: user.email },
-      process.env.JWT_SECRET || 'fallback_secret',
-      { expiresIn: '7d' }
-    );
+    if (neighbourhoodId) {
+      await MembershipRequest.create({
+        userId: user._id,
+        neighbourhoodId,
+        address: user.address
+      });
+    }
+
+    try {
+      await sendVerificationEmail(user, verification.token);
+    } catch (error) {
+      // Registration still succeeds; the user can request a new email
+      console.error('Verification email error:', error);
+    }
+
+    const { accessToken, refreshToken } = await generateTokens(user, event);
 
     return {
       statusCode: 201,
       headers: corsHeaders,
       body: JSON.stringify({
         message: 'User registered successfully',
-        token,
+        token: accessToken,
+        refreshToken,
         user: {
           id: user._id,
           email: user.email,
@@ -363,7 +423,9 @@ exports.handler = async (event, context) => {
           address: user.address,
           role: user.role,
           isVerified: user.isVerified,
+          emailVerified: false,
           neighbourhoodId: user.neighbourhoodId,
+          membershipStatus: user.membershipStatus,
           createdAt: user.createdAt
         }
       })
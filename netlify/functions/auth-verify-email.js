@@ -0,0 +1,102 @@
+// Netlify Function for email verification
+// Handles POST requests for /api/auth/verify-email
+
+const mongoose = require('mongoose');
+const { connectToDatabase } = require('./utils/database');
+const { corsHeaders, handleCors } = require('./utils/cors');
+const { verifyVerificationToken } = require('./utils/emailVerification');
+
+// Minimal User schema (inline for serverless) - only the verification fields are used
+const userSchema = new mongoose.Schema({
+  email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+  emailVerified: { type: Boolean },
+  emailVerifiedAt: { type: Date },
+  emailVerification: {
+    tokenHash: { type: String },
+    expiresAt: { type: Date },
+    lastSentAt: { type: Date },
+    sendCount: { type: Number, default: 0 },
+    windowStartedAt: { type: Date }
+  }
+}, {
+  timestamps: true,
+  strict: false
+});
+
+const User = mongoose.models.User || mongoose.model('User', userSchema);
+
+exports.handler = async (event, context) => {
+  // Handle CORS preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return handleCors(event);
+  }
+
+  // Only allow POST method
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers: corsHeaders,
+      body: JSON.stringify({ message: 'Method not allowed' })
+    };
+  }
+
+  try {
+    await connectToDatabase();
+
+    let body;
+    try {
+      body = JSON.parse(event.body);
+    } catch (error) {
+      return {
+        statusCode: 400,
+        headers: corsHeaders,
+        body: JSON.stringify({ message: 'Invalid JSON in request body' })
+      };
+    }
+
+    const verified = body.token && verifyVerificationToken(body.token);
+    if (!verified) {
+      return {
+        statusCode: 400,
+        headers: corsHeaders,
+        body: JSON.stringify({ message: 'Invalid or expired verification token' })
+      };
+    }
+
+    // Clear the token atomically so it can only be redeemed once
+    const user = await User.findOneAndUpdate(
+      {
+        _id: verified.userId,
+        'emailVerification.tokenHash': verified.tokenHash,
+        'emailVerification.expiresAt': { $gt: new Date() }
+      },
+      {
+        $set: { emailVerified: true, emailVerifiedAt: new Date() },
+        $unset: { emailVerification: '' }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      return {
+        statusCode: 400,
+        headers: corsHeaders,
+        body: JSON.stringify({ message: 'Invalid or expired verification token' })
+      };
+    }
+
+    return {
+      statusCode: 200,
+      headers: corsHeaders,
+      body: JSON.stringify({ message: 'Email verified successfully', emailVerified: true })
+    };
+  } catch (error) {
+    console.error('Verify email error:', error);
+
+    return {
+      statusCode: 500,
+      headers: corsHeaders,
+      body: JSON.stringify({ message: 'Server error during email verification' })
+    };
+  }
+};
@@ -322,7 +322,7 @@ exports.handler = async (event, context) => {
     await connectToDatabase();
 
     // Authenticate user
-    const authResult = authenticateToken(event);
+    const authResult = await authenticateToken(event);
     if (authResult.error) {
       return createResponse(authResult.status, { message: authResult.error });
     }
@@ -1,7 +1,12 @@
 // Authentication utility for Netlify Functions
 const jwt = require('jsonwebtoken');
+const { createSession, rotateRefreshToken, isSessionActive } = require('./sessions');
 
-const authenticateToken = (event) => {
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+
+// Callers must connect to the database first; tokens tied to a session are
+// rejected once that session has been revoked
+const authenticateToken = async (event) => {
   const authHeader = event.headers.authorization || event.headers.Authorization;
   const token = authHeader && authHeader.split(' ')[1];
 
@@ -11,6 +16,9 @@ const authenticateToken = (event) => {
 
   try {
     const user = jwt.verify(token, process.env.JWT_SECRET);
+    if (user.sid && !(await isSessionActive(user.sid))) {
+      return { error: 'Token revoked', status: 401 };
+    }
     return { user };
   } catch (error) {
     console.error('Token verification error:', error);
@@ -18,40 +26,43 @@ const authenticateToken = (event) => {
   }
 };
 
-const generateTokens = (user) => {
-  const accessToken = jwt.sign(
-    { 
-      id: user._id || user.id,
-      email: user.email,
-      role: user.role || 'user'
-    },
-    process.env.JWT_SECRET,
-    { expiresIn: '15m' }
-  );
-
-  const refreshToken = jwt.sign(
-    { 
-      id: user._id || user.id,
-      email: user.email 
-    },
-    process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
-    { expiresIn: '7d' }
-  );
-
-  return { accessToken, refreshToken };
+const signAccessToken = (user, sessionId) => jwt.sign(
+  {
+    id: user._id || user.id,
+    email: user.email,
+    role: user.role || 'user',
+    sid: sessionId.toString()
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Start a session for the device and issue its first pair of tokens
+const generateTokens = async (user, event) => {
+  const { session, refreshToken } = await createSession(user, event);
+  return { accessToken: signAccessToken(user, session._id), refreshToken };
 };
 
-const verifyRefreshToken = (token) => {
-  try {
-    return jwt.verify(token, process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET);
-  } catch (error) {
-    console.error('Refresh token verification error:', error);
+// Rotate a refresh token; returns null if it is unknown, expired or reused
+const refreshTokens = async (refreshToken, event, User) => {
+  const rotated = await rotateRefreshToken(refreshToken, event);
+  if (!rotated) {
     return null;
   }
+
+  const user = await User.findById(rotated.session.userId).select('email role isActive');
+  if (!user || !user.isActive) {
+    return null;
+  }
+
+  return {
+    accessToken: signAccessToken(user, rotated.session._id),
+    refreshToken: rotated.refreshToken
+  };
 };
 
 module.exports = {
   authenticateToken,
   generateTokens,
-  verifyRefreshToken,
+  refreshTokens,
 };
\ No newline at end of file
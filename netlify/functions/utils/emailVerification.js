@@ -0,0 +1,88 @@
+// Email verification utility for Netlify Functions
+// Tokens use the same format as the main server (server/utils/actionTokens.js)
+// so a link sent from either backend can be verified by the other.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const nodemailer = require('nodemailer');
+
+const TOKEN_PURPOSE = 'email_verification';
+const VERIFICATION_TOKEN_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '24');
+
+const getSigningKey = () => `${process.env.JWT_SECRET || 'fallback_secret'}:${TOKEN_PURPOSE}`;
+
+const hashTokenId = (tokenId) => crypto.createHash('sha256').update(tokenId).digest('hex');
+
+const createVerificationToken = (userId) => {
+  const tokenId = crypto.randomBytes(32).toString('hex');
+  const token = jwt.sign(
+    { userId, purpose: TOKEN_PURPOSE, jti: tokenId },
+    getSigningKey(),
+    { expiresIn: `${VERIFICATION_TOKEN_TTL_HOURS * 60}m` }
+  );
+
+  return {
+    token,
+    tokenHash: hashTokenId(tokenId),
+    expiresAt: new Date(Date.now() + VERIFICATION_TOKEN_TTL_HOURS * 60 * 60 * 1000)
+  };
+};
+
+const verifyVerificationToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, getSigningKey());
+    if (decoded.purpose !== TOKEN_PURPOSE || !decoded.jti) {
+      return null;
+    }
+    return { userId: decoded.userId, tokenHash: hashTokenId(decoded.jti) };
+  } catch (error) {
+    return null;
+  }
+};
+
+const sendVerificationEmail = async (user, token) => {
+  const clientUrl = process.env.CLIENT_URL || process.env.URL || 'http://localhost:3000';
+  const verifyUrl = `${clientUrl}/verify-email?token=${encodeURIComponent(token)}`;
+  const message = {
+    from: process.env.MAIL_FROM || 'Neighbourhood Watch <no-reply@neighbourhood-watch.app>',
+    to: user.email,
+    subject: 'Verify your email address',
+    text: [
+      `Hi ${user.firstName},`,
+      '',
+      'Welcome to the neighbourhood! Please confirm your email address using the link below:',
+      '',
+      verifyUrl,
+      '',
+      `This link expires in ${VERIFICATION_TOKEN_TTL_HOURS} hours.`,
+      'If you did not create an account, you can ignore this email.'
+    ].join('\n')
+  };
+
+  // Without SMTP settings the link is logged so it can be used in local
+  // testing. Anywhere else that would put a live token in the function logs.
+  if (!process.env.SMTP_HOST) {
+    if (process.env.NODE_ENV === 'development') {
+      console.log('Verification email (SMTP not configured):', message.to, verifyUrl);
+    } else {
+      console.error('Verification email not sent (SMTP not configured):', message.to);
+    }
+    return;
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587'),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  await transporter.sendMail(message);
+};
+
+module.exports = {
+  createVerificationToken,
+  verifyVerificationToken,
+  sendVerificationEmail
+};
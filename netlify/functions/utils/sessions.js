@@ -0,0 +1,145 @@
+// Session utility for Netlify Functions
+// Sessions share the main server's collection and token format
+// (server/services/SessionService.js), so a refresh token issued by either
+// backend can be rotated or revoked by the other.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+const MAX_PREVIOUS_TOKEN_HASHES = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let Session;
+
+const getSessionModel = () => {
+  if (!Session) {
+    const sessionSchema = new mongoose.Schema({
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+      tokenHash: { type: String, required: true, select: false },
+      previousTokenHashes: { type: [String], select: false },
+      userAgent: String,
+      deviceName: String,
+      ipAddress: String,
+      lastUsedAt: { type: Date, default: Date.now },
+      expiresAt: { type: Date, required: true },
+      revokedAt: Date,
+      revokedReason: String
+    }, { timestamps: true });
+
+    Session = mongoose.models.Session || mongoose.model('Session', sessionSchema);
+  }
+  return Session;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const createRefreshToken = () => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  return { token, tokenHash: hashToken(token) };
+};
+
+const getHeader = (event, name) => {
+  const headers = event.headers || {};
+  return headers[name] || headers[name.toLowerCase()];
+};
+
+const getClientInfo = (event) => {
+  const forwardedFor = getHeader(event, 'X-Forwarded-For');
+  return {
+    userAgent: getHeader(event, 'User-Agent'),
+    ipAddress: getHeader(event, 'X-Nf-Client-Connection-Ip') ||
+      (forwardedFor ? forwardedFor.split(',')[0].trim() : undefined)
+  };
+};
+
+const describeDevice = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Samsung Internet', /SamsungBrowser\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+  ];
+  const systems = [
+    ['iOS', /iPhone|iPad|iPod/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/]
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+  if (!browser && !system) return 'Unknown device';
+  if (!browser) return system[0];
+  if (!system) return browser[0];
+  return `${browser[0]} on ${system[0]}`;
+};
+
+const createSession = async (user, event = {}) => {
+  const { userAgent, ipAddress } = getClientInfo(event);
+  const { token, tokenHash } = createRefreshToken();
+
+  const session = await getSessionModel().create({
+    userId: user._id || user.id,
+    tokenHash,
+    userAgent: userAgent ? userAgent.slice(0, 500) : undefined,
+    deviceName: describeDevice(userAgent),
+    ipAddress,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS)
+  });
+
+  return { session, refreshToken: token };
+};
+
+// Swap a refresh token for a new one. Presenting a token that was already
+// swapped means it has leaked, so the whole session is revoked.
+const rotateRefreshToken = async (refreshToken, event = {}) => {
+  const SessionModel = getSessionModel();
+  const { userAgent, ipAddress } = getClientInfo(event);
+  const tokenHash = hashToken(refreshToken);
+  const now = new Date();
+  const next = createRefreshToken();
+
+  const session = await SessionModel.findOneAndUpdate(
+    { tokenHash, revokedAt: { $exists: false }, expiresAt: { $gt: now } },
+    {
+      $set: {
+        tokenHash: next.tokenHash,
+        lastUsedAt: now,
+        ...(ipAddress && { ipAddress }),
+        ...(userAgent && { userAgent: userAgent.slice(0, 500) }),
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * DAY_MS)
+      },
+      $push: { previousTokenHashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_TOKEN_HASHES } }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await SessionModel.findOneAndUpdate(
+      { previousTokenHashes: tokenHash, revokedAt: { $exists: false } },
+      { $set: { revokedAt: now, revokedReason: 'reuse_detected' } }
+    );
+    if (reused) {
+      console.warn(`Refresh token reuse detected for session ${reused._id}; session revoked`);
+    }
+    return null;
+  }
+
+  return { session, refreshToken: next.token };
+};
+
+const isSessionActive = async (sessionId) => {
+  const session = await getSessionModel().findById(sessionId).select('revokedAt expiresAt');
+  return Boolean(session && !session.revokedAt && session.expiresAt > new Date());
+};
+
+module.exports = {
+  getClientInfo,
+  createSession,
+  rotateRefreshToken,
+  isSessionActive,
+};
@@ -0,0 +1,105 @@
+/**
+ * Rate limit policy defaults
+ * Each policy allows `max` requests per `windowMs`, counted per IP address,
+ * per signed-in user, or per user falling back to IP. Values can be
+ * overridden with RATE_LIMIT_<NAME>_MAX and RATE_LIMIT_<NAME>_WINDOW_MS,
+ * and admins can change them at runtime (see RateLimitService).
+ */
+
+const MINUTE_MS = 60 * 1000;
+const isDevelopment = process.env.NODE_ENV === 'development';
+
+const KEY_TYPES = ['ip', 'user', 'user_or_ip'];
+
+const DEFAULT_POLICIES = {
+  general: {
+    description: 'All API requests from one IP address',
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || String(15 * MINUTE_MS)),
+    max: parseInt(process.env.RATE_LIMIT_MAX || (isDevelopment ? '1000' : '300')),
+    keyBy: 'ip'
+  },
+  admin: {
+    description: 'Admin API requests from one IP address',
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS || String(15 * MINUTE_MS)),
+    max: parseInt(process.env.ADMIN_RATE_LIMIT_MAX || (isDevelopment ? '5000' : '1000')),
+    keyBy: 'ip'
+  },
+  login: {
+    description: 'Sign-in attempts from one IP address',
+    windowMs: 15 * MINUTE_MS,
+    max: 30,
+    keyBy: 'ip'
+  },
+  login_2fa: {
+    description: 'Two-factor sign-in codes from one IP address',
+    windowMs: 15 * MINUTE_MS,
+    max: 20,
+    keyBy: 'ip'
+  },
+  register: {
+    description: 'Account registrations from one IP address',
+    windowMs: 60 * MINUTE_MS,
+    max: 10,
+    keyBy: 'ip'
+  },
+  message_send: {
+    description: 'Chat messages sent by one user, over HTTP or sockets',
+    windowMs: MINUTE_MS,
+    max: 30,
+    keyBy: 'user_or_ip'
+  },
+  report_create: {
+    description: 'Reports created by one user',
+    windowMs: 60 * MINUTE_MS,
+    max: 10,
+    keyBy: 'user_or_ip'
+  },
+  neighbourhood_suggestions: {
+    description: 'Neighbourhood suggestion lookups from one IP address, which may geocode an address',
+    windowMs: 15 * MINUTE_MS,
+    max: 20,
+    keyBy: 'ip'
+  },
+  search: {
+    description: 'Searches by one user',
+    windowMs: MINUTE_MS,
+    max: 60,
+    keyBy: 'user_or_ip'
+  },
+  typing: {
+    description: 'Typing indicators sent by one user',
+    windowMs: 10 * 1000,
+    max: 10,
+    keyBy: 'user_or_ip'
+  }
+};
+
+/**
+ * Get the default settings for a policy, with environment overrides applied
+ * @param {string} name - Policy name
+ * @returns {Object|null} { name, description, windowMs, max, keyBy, enabled } or null if unknown
+ */
+function getDefaultPolicy(name) {
+  const defaults = DEFAULT_POLICIES[name];
+  if (!defaults) {
+    return null;
+  }
+
+  const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+  const max = parseInt(process.env[`${prefix}_MAX`]);
+  const windowMs = parseInt(process.env[`${prefix}_WINDOW_MS`]);
+
+  return {
+    name,
+    ...defaults,
+    max: Number.isFinite(max) && max > 0 ? max : defaults.max,
+    windowMs: Number.isFinite(windowMs) && windowMs > 0 ? windowMs : defaults.windowMs,
+    enabled: true
+  };
+}
+
+module.exports = {
+  DEFAULT_POLICIES,
+  KEY_TYPES,
+  getDefaultPolicy
+};
@@ -0,0 +1,42 @@
+/**
+ * Report SLA configuration
+ * Hours a report may stay open before it is overdue, per priority.
+ * Each value can be overridden with REPORT_SLA_<PRIORITY>_HOURS.
+ */
+
+const DEFAULT_SLA_HOURS = {
+  urgent: 4,
+  high: 24,
+  medium: 72,
+  low: 168
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Get the SLA in hours for a priority
+ * @param {string} priority - Report priority
+ * @returns {number} SLA hours
+ */
+function getSlaHours(priority) {
+  const key = DEFAULT_SLA_HOURS[priority] ? priority : 'medium';
+  const envValue = parseFloat(process.env[`REPORT_SLA_${key.toUpperCase()}_HOURS`]);
+
+  return Number.isFinite(envValue) && envValue > 0 ? envValue : DEFAULT_SLA_HOURS[key];
+}
+
+/**
+ * Work out when a report with the given priority is due
+ * @param {string} priority - Report priority
+ * @param {Date} from - When the SLA clock started
+ * @returns {Date} Due-by date
+ */
+function getDueBy(priority, from = new Date()) {
+  return new Date(new Date(from).getTime() + getSlaHours(priority) * HOUR_MS);
+}
+
+module.exports = {
+  DEFAULT_SLA_HOURS,
+  getSlaHours,
+  getDueBy
+};
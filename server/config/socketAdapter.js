@@ -0,0 +1,121 @@
+/**
+ * Socket.IO adapter configuration
+ *
+ * The adapter decides how io.to(room).emit() reaches sockets connected to
+ * other server instances. Pick one with SOCKET_ADAPTER:
+ *
+ * - memory (default): rooms only span this process; fine for a single instance
+ * - mongo: broadcasts go through a collection in the app's own database.
+ *   Uses change streams, so MongoDB must be a replica set (as it already is
+ *   for RealTimeService)
+ * - redis: broadcasts go through Redis pub/sub at REDIS_URL. Needs the
+ *   optional packages: npm install @socket.io/redis-adapter redis
+ */
+
+const mongoose = require('mongoose');
+
+const ADAPTERS = ['memory', 'mongo', 'redis'];
+
+const DEFAULT_COLLECTION = 'socket.io-adapter-events';
+
+// Adapter events are only needed while they are being delivered
+const DEFAULT_EVENT_TTL_SECONDS = 3600;
+
+/**
+ * Read the adapter settings from the environment
+ * @returns {Object} { type, collection, eventTtlSeconds, redisUrl }
+ */
+function getAdapterConfig() {
+  const type = (process.env.SOCKET_ADAPTER || 'memory').toLowerCase();
+
+  if (!ADAPTERS.includes(type)) {
+    throw new Error(`Unknown SOCKET_ADAPTER "${type}". Use one of: ${ADAPTERS.join(', ')}`);
+  }
+
+  return {
+    type,
+    collection: process.env.SOCKET_ADAPTER_COLLECTION || DEFAULT_COLLECTION,
+    eventTtlSeconds: parseInt(process.env.SOCKET_ADAPTER_EVENT_TTL_SECONDS || DEFAULT_EVENT_TTL_SECONDS),
+    redisUrl: process.env.REDIS_URL
+  };
+}
+
+/**
+ * Attach the MongoDB adapter, using the mongoose connection
+ * @param {Object} io - Socket.IO server instance
+ * @param {Object} config - Adapter settings
+ * @returns {Promise<Function>} Closes the adapter's resources
+ */
+async function attachMongoAdapter(io, config) {
+  const { createAdapter } = require('@socket.io/mongo-adapter');
+
+  const collection = mongoose.connection.db.collection(config.collection);
+  await collection.createIndex(
+    { createdAt: 1 },
+    { expireAfterSeconds: config.eventTtlSeconds, background: true }
+  );
+
+  io.adapter(createAdapter(collection, { addCreatedAtField: true }));
+
+  // The collection belongs to the shared mongoose connection, which is closed separately
+  return async () => {};
+}
+
+/**
+ * Attach the Redis adapter
+ * @param {Object} io - Socket.IO server instance
+ * @param {Object} config - Adapter settings
+ * @returns {Promise<Function>} Closes the Redis clients
+ */
+async function attachRedisAdapter(io, config) {
+  if (!config.redisUrl) {
+    throw new Error('REDIS_URL is required when SOCKET_ADAPTER is redis');
+  }
+
+  let createAdapter;
+  let createClient;
+  try {
+    ({ createAdapter } = require('@socket.io/redis-adapter'));
+    ({ createClient } = require('redis'));
+  } catch (error) {
+    throw new Error('The redis adapter needs @socket.io/redis-adapter and redis installed');
+  }
+
+  const pubClient = createClient({ url: config.redisUrl });
+  const subClient = pubClient.duplicate();
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+
+  io.adapter(createAdapter(pubClient, subClient));
+
+  return async () => {
+    await Promise.all([pubClient.quit(), subClient.quit()]);
+  };
+}
+
+/**
+ * Attach the configured adapter to a Socket.IO server
+ *
+ * Call this once the database is connected and before relying on
+ * cross-instance broadcasts. Rooms joined before the adapter is swapped in
+ * are not carried over, so sockets connecting earlier should reconnect.
+ * @param {Object} io - Socket.IO server instance
+ * @param {Object} [config] - Adapter settings; read from the environment by default
+ * @returns {Promise<Object>} { type, close }
+ */
+async function attachSocketAdapter(io, config = getAdapterConfig()) {
+  let close = async () => {};
+
+  if (config.type === 'mongo') {
+    close = await attachMongoAdapter(io, config);
+  } else if (config.type === 'redis') {
+    close = await attachRedisAdapter(io, config);
+  }
+
+  return { type: config.type, close };
+}
+
+module.exports = {
+  ADAPTERS,
+  getAdapterConfig,
+  attachSocketAdapter
+};
@@ -2,7 +2,6 @@ const express = require("express");
 const cors = require("cors");
 const helmet = require("helmet");
 const compression = require("compression");
-const rateLimit = require("express-rate-limit");
 const { createServer } = require("http");
 const { Server } = require("socket.io");
 // Load environment variables
@@ -12,12 +11,18 @@ require("dotenv").config();
 const connectDB = require("./config/database");
 const { dbService } = require("./config/database");
 const RealTimeService = require("./services/RealTimeService");
+const AutoDeleteService = require("./services/AutoDeleteService");
+const ReportCaseService = require("./services/ReportCaseService");
 const HealthCheckService = require("./services/HealthCheckService");
 const DatabaseRecoveryManager = require("./services/DatabaseRecoveryManager");
+const SocketStateService = require("./services/SocketStateService");
+const PresenceService = require("./services/PresenceService");
+const { attachSocketAdapter } = require("./config/socketAdapter");
 
 const authRoutes = require("./routes/auth");
 const userRoutes = require("./routes/users");
 const neighbourhoodRoutes = require("./routes/neighbourhoods");
+const neighbourhoodSuggestionRoutes = require("./routes/neighbourhoodSuggestions");
 const chatRoutes = require("./routes/chat");
 const noticeRoutes = require("./routes/notices");
 const reportRoutes = require("./routes/reports");
@@ -35,8 +40,12 @@ const searchRoutes = require("./routes/search");
 const notificationRoutes = require("./routes/notifications");
 const termsRoutes = require("./routes/terms");
 const legalRoutes = require("./routes/legal");
+const messageRoutes = require("./routes/messages");
+const chatsRoutes = require("./routes/chats");
+const alertRoutes = require("./routes/alerts");
 const { authenticateToken } = require("./middleware/auth");
 const { requireActiveUser } = require("./middleware/adminAuth");
+const { rateLimit } = require("./middleware/rateLimit");
 const { setupSocketHandlers } = require("./socket/handlers");
 const {
   globalErrorHandler,
@@ -51,6 +60,11 @@ const path = require("path");
 let dbConnection = null;
 let healthCheckService = null;
 let recoveryManager = null;
+let autoDeleteService = null;
+let reportCaseService = null;
+let socketStateService = null;
+let presenceService = null;
+let socketAdapter = null;
 
 // Create Express app and HTTP server
 const app = express();
@@ -75,6 +89,13 @@ const io = new Server(server, {
   },
 });
 
+// Behind Railway's proxy req.ip is the proxy's address unless we trust
+// X-Forwarded-For. Login lockouts are per IP, so this has to be right.
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Serve static files (uploads)
 app.use("/uploads", express.static("uploads"));
 
@@ -119,52 +140,33 @@ app.use(
       "Access-Control-Allow-Origin",
       "Accept",
       "Origin",
+      "Idempotency-Key",
     ],
     exposedHeaders: [
       "Authorization",
       "Content-Type",
       "X-Requested-With",
       "Access-Control-Allow-Origin",
+      "Idempotent-Replayed",
+      "Retry-After",
     ],
     optionsSuccessStatus: 200,
     preflightContinue: false,
   })
 );
 
-// Rate limiting configuration - DISABLED FOR DEVELOPMENT
-// const RATE_LIMIT_WINDOW = parseInt(process.env.RATE_LIMIT_WINDOW_MS || (15 * 60 * 1000)); // 15 minutes
-// const RATE_LIMIT_MAX = parseInt(process.env.RATE_LIMIT_MAX || (process.env.NODE_ENV === 'development' ? 1000 : 100));
-// const ADMIN_RATE_LIMIT_MAX = parseInt(process.env.ADMIN_RATE_LIMIT_MAX || (process.env.NODE_ENV === 'development' ? 5000 : 1000));
-
-// General rate limiting - DISABLED
-// const limiter = rateLimit({
-//   windowMs: RATE_LIMIT_WINDOW,
-//   max: RATE_LIMIT_MAX,
-//   message: {
-//     error: 'Too many requests from this IP, please try again later.',
-//     retryAfter: Math.ceil(RATE_LIMIT_WINDOW / 1000)
-//   },
-//   standardHeaders: true,
-//   legacyHeaders: false,
-// });
-
-// Higher rate limit for admin endpoints - DISABLED
-// const adminLimiter = rateLimit({
-//   windowMs: RATE_LIMIT_WINDOW,
-//   max: ADMIN_RATE_LIMIT_MAX,
-//   message: {
-//     error: 'Too many admin requests from this IP, please try again later.',
-//     retryAfter: Math.ceil(RATE_LIMIT_WINDOW / 1000)
-//   },
-//   standardHeaders: true,
-//   legacyHeaders: false,
-//   keyGenerator: (req) => {
-//     // Use user ID if available for more granular limiting
-//     return req.user?.id || req.ip;
-//   }
-// });
-
-// app.use(limiter); // DISABLED
+// Rate limiting - policies are in config/rateLimits.js and admins can change them at runtime
+const generalLimiter = rateLimit("general");
+const adminLimiter = rateLimit("admin");
+
+// Admin and monitoring routes are counted under the higher admin limit instead
+const ADMIN_API_PREFIXES = ["/api/admin", "/api/database-metrics", "/api/rate-limit"];
+app.use("/api", (req, res, next) => {
+  if (ADMIN_API_PREFIXES.some((prefix) => req.originalUrl.startsWith(prefix))) {
+    return next();
+  }
+  generalLimiter(req, res, next);
+});
 
 // const allowedOrigins = [
 //   "http://localhost:3000",
@@ -197,6 +199,8 @@ app.use(databaseErrorHandler);
 // Routes
 app.use("/api/auth", authRoutes);
 app.use("/api/users", authenticateToken, requireActiveUser, userRoutes);
+// Public so new users can find their neighbourhood while registering
+app.use("/api/neighbourhoods/suggestions", neighbourhoodSuggestionRoutes);
 app.use(
   "/api/neighbourhoods",
   authenticateToken,
@@ -204,8 +208,11 @@ app.use(
   neighbourhoodRoutes
 );
 app.use("/api/chat", authenticateToken, requireActiveUser, chatRoutes);
+app.use("/api/chats", authenticateToken, requireActiveUser, chatsRoutes);
+app.use("/api/messages", authenticateToken, requireActiveUser, messageRoutes);
 app.use("/api/notices", authenticateToken, requireActiveUser, noticeRoutes);
 app.use("/api/reports", authenticateToken, requireActiveUser, reportRoutes);
+app.use("/api/alerts", authenticateToken, requireActiveUser, alertRoutes);
 app.use(
   "/api/statistics",
   authenticateToken,
@@ -221,7 +228,7 @@ app.use(
   privateChatRoutes
 );
 app.use("/api/settings", authenticateToken, requireActiveUser, settingsRoutes);
-app.use("/api/search", authenticateToken, requireActiveUser, searchRoutes);
+app.use("/api/search", authenticateToken, requireActiveUser, rateLimit("search"), searchRoutes);
 app.use(
   "/api/notifications",
   authenticateToken,
@@ -231,7 +238,7 @@ app.use(
 app.use("/api/terms", termsRoutes);
 app.use("/api/legal", legalRoutes);
 app.use("/api/legal", legalRoutes);
-app.use("/api/admin", adminRoutes); // adminLimiter disabled for development
+app.use("/api/admin", adminLimiter, adminRoutes);
 app.use("/api/moderation", moderationRoutes);
 
 // Simple health check for Railway (before full health routes)
@@ -249,11 +256,11 @@ app.get("/api/health", (req, res) => {
 // Detailed health check routes
 app.use("/api/health", healthRoutes);
 
-// Database metrics routes (adminLimiter disabled for development)
-app.use("/api/database-metrics", databaseMetricsRoutes);
+// Database metrics routes
+app.use("/api/database-metrics", adminLimiter, databaseMetricsRoutes);
 
-// Rate limit status routes (adminLimiter disabled for development)
-app.use("/api/rate-limit", rateLimitStatusRoutes);
+// Rate limit status and policy routes
+app.use("/api/rate-limit", adminLimiter, rateLimitStatusRoutes);
 
 // Change streams status endpoint
 app.get("/api/health/change-streams", authenticateToken, (req, res) => {
@@ -270,6 +277,7 @@ app.get("/api/health/change-streams", authenticateToken, (req, res) => {
   res.json({
     status: "available",
     initialized: status.initialized,
+    mode: status.mode,
     activeStreams: status.changeStreams.activeStreams,
     collections: status.changeStreams.collections,
   });
@@ -278,6 +286,16 @@ app.get("/api/health/change-streams", authenticateToken, (req, res) => {
 // Make io instance available to routes
 app.set("io", io);
 
+// Sockets wait until the adapter is attached (see initializeServices), so
+// the rooms they join are on the adapter that shares them between instances
+let markSocketAdapterReady;
+const socketAdapterReady = new Promise((resolve) => {
+  markSocketAdapterReady = resolve;
+});
+io.use((socket, next) => {
+  socketAdapterReady.then(() => next());
+});
+
 // Socket.io setup
 setupSocketHandlers(io);
 
@@ -306,6 +324,31 @@ async function initializeServices() {
     // Make database service available to routes
     app.set("dbService", dbService);
 
+    // Share socket broadcasts with the other server instances (SOCKET_ADAPTER)
+    try {
+      socketAdapter = await attachSocketAdapter(io);
+      console.log(`Socket.IO ${socketAdapter.type} adapter attached`);
+    } catch (error) {
+      console.error("Socket.IO adapter failed, broadcasts stay on this instance:", error);
+    }
+
+    // Keep this instance's sockets counted towards presence
+    socketStateService = new SocketStateService({
+      io,
+      heartbeatIntervalMs: parseInt(
+        process.env.SOCKET_HEARTBEAT_INTERVAL_MS || "30000"
+      ),
+    });
+    socketStateService.start();
+
+    // Mark users whose connections expired, e.g. with a crashed instance, as offline
+    presenceService = new PresenceService(io, {
+      sweepIntervalMs: parseInt(
+        process.env.PRESENCE_SWEEP_INTERVAL_MS || "30000"
+      ),
+    });
+    presenceService.start();
+
     // Initialize other services in background after server starts
     setImmediate(async () => {
       try {
@@ -377,12 +420,37 @@ async function initializeServices() {
           maxDelayMs: parseInt(
             process.env.CHANGE_STREAM_MAX_DELAY_MS || "60000"
           ),
+          mode: process.env.REALTIME_MODE || "auto",
+          pollIntervalMs: parseInt(
+            process.env.REALTIME_POLL_INTERVAL_MS || "2000"
+          ),
+          checkpointId: process.env.REALTIME_CHECKPOINT_ID,
         });
 
         await realTimeService.initialize();
         app.set("realTimeService", realTimeService);
         console.log("Real-time service initialized");
 
+        // Step 5: Start the disappearing message sweeper
+        autoDeleteService = new AutoDeleteService(io, {
+          sweepIntervalMs: parseInt(
+            process.env.AUTO_DELETE_SWEEP_INTERVAL_MS || "30000"
+          ),
+        });
+        autoDeleteService.start();
+        app.set("autoDeleteService", autoDeleteService);
+        console.log("Auto-delete service initialized");
+
+        // Step 6: Start the overdue report escalation sweeper
+        reportCaseService = new ReportCaseService({
+          sweepIntervalMs: parseInt(
+            process.env.REPORT_SLA_SWEEP_INTERVAL_MS || "300000"
+          ),
+        });
+        reportCaseService.start();
+        app.set("reportCaseService", reportCaseService);
+        console.log("Report SLA sweeper initialized");
+
         console.log("All background services initialized successfully");
       } catch (error) {
         console.error("Background service initialization failed:", error);
@@ -413,6 +481,49 @@ async function cleanupServices() {
     }
   }
 
+  // Stop the disappearing message sweeper
+  if (autoDeleteService) {
+    try {
+      autoDeleteService.stop();
+    } catch (error) {
+      console.error("Error stopping auto-delete service:", error);
+    }
+  }
+
+  // Stop the overdue report escalation sweeper
+  if (reportCaseService) {
+    try {
+      reportCaseService.stop();
+    } catch (error) {
+      console.error("Error stopping report SLA sweeper:", error);
+    }
+  }
+
+  if (presenceService) {
+    try {
+      presenceService.stop();
+    } catch (error) {
+      console.error("Error stopping presence sweeper:", error);
+    }
+  }
+
+  // Drop this instance's sockets from the shared presence state
+  if (socketStateService) {
+    try {
+      await socketStateService.stop();
+    } catch (error) {
+      console.error("Error stopping socket state heartbeat:", error);
+    }
+  }
+
+  if (socketAdapter) {
+    try {
+      await socketAdapter.close();
+    } catch (error) {
+      console.error("Error closing Socket.IO adapter:", error);
+    }
+  }
+
   // Clean up database connection
   if (dbService && dbService.isConnected) {
     try {
@@ -498,6 +609,9 @@ const PORT = process.env.PORT || 5001;
       } catch (error) {
         console.error("⚠️ Service initialization error:", error.message);
         console.log("Server continues in basic mode");
+      } finally {
+        // Let sockets in, on the shared adapter if it could be attached
+        markSocketAdapterReady();
       }
     });
   } catch (error) {
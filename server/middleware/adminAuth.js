@@ -1,5 +1,6 @@
 const User = require('../models/User');
 const AuditLog = require('../models/AuditLog');
+const { enforceTwoFactor } = require('./auth');
 
 /**
  * Middleware to verify admin permissions
@@ -15,6 +16,10 @@ const requireAdmin = async (req, res, next) => {
       return res.status(403).json({ message: 'Admin privileges required' });
     }
 
+    if (!(await enforceTwoFactor(req, res))) {
+      return;
+    }
+
     // Log admin access (optional, can be enabled in production)
     if (process.env.LOG_ADMIN_ACCESS === 'true') {
       await logAdminAccess(req);
@@ -50,6 +55,11 @@ const requireModerator = async (req, res, next) => {
       return res.status(403).json({ message: 'Moderator privileges required' });
     }
 
+    if (!(await enforceTwoFactor(req, res))) {
+      console.log('❌ Moderator has not passed two-factor authentication');
+      return;
+    }
+
     console.log('✅ User authorized for moderation');
     next();
   } catch (error) {
@@ -93,6 +103,66 @@ const requireActiveUser = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to require a verified email address before creating content
+ * This middleware should be used after the authenticateToken middleware
+ */
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Authentication required' });
+    }
+
+    const user = await User.findById(req.user.userId).select('emailVerified');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.isEmailVerified()) {
+      return res.status(403).json({
+        message: 'Please verify your email address before posting.',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Verified email middleware error:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
+/**
+ * Middleware to keep users with a pending neighbourhood join request read-only
+ * This middleware should be used after the authenticateToken middleware
+ */
+const requireApprovedMember = async (req, res, next) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({ message: 'Authentication required' });
+    }
+
+    const user = await User.findById(req.user.userId).select('membershipStatus');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.isApprovedMember()) {
+      return res.status(403).json({
+        message: 'Your request to join this neighbourhood is awaiting approval. You have read-only access until then.',
+        code: 'MEMBERSHIP_PENDING'
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Approved member middleware error:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
+
 /**
  * Helper function to log admin access to the audit log
  */
@@ -122,5 +192,7 @@ module.exports = {
   requireAdmin,
   requireModerator,
   requireActiveUser,
+  requireVerifiedEmail,
+  requireApprovedMember,
   logAdminAccess
 };
\ No newline at end of file
@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const SessionService = require('../services/SessionService');
 
 const authenticateToken = async (req, res, next) => {
   try {
@@ -19,7 +20,7 @@ const authenticateToken = async (req, res, next) => {
     console.log('Token decoded successfully, userId:', decoded.userId);
     
     // Verify user still exists and is active
-    const user = await User.findById(decoded.userId).select('email role isActive neighbourhoodId');
+    const user = await User.findById(decoded.userId).select('email role isActive neighbourhoodId passwordChangedAt');
     console.log('User found in database:', user ? { id: user._id, email: user.email, role: user.role, isActive: user.isActive } : 'Not found');
 
     if (!user) {
@@ -32,11 +33,24 @@ const authenticateToken = async (req, res, next) => {
       return res.status(401).json({ message: 'Account is deactivated' });
     }
 
+    if (user.changedPasswordAfter(decoded.iat)) {
+      console.log('❌ Token issued before last password change');
+      return res.status(401).json({ message: 'Token revoked' });
+    }
+
+    // Access tokens stop working as soon as their session is signed out
+    if (decoded.sid && !(await SessionService.isSessionActive(decoded.sid))) {
+      console.log('❌ Session revoked');
+      return res.status(401).json({ message: 'Token revoked' });
+    }
+
     req.user = {
       userId: user._id,
       email: user.email,
       role: user.role,
-      neighbourhoodId: user.neighbourhoodId
+      neighbourhoodId: user.neighbourhoodId,
+      sessionId: decoded.sid,
+      twoFactorVerified: Boolean(decoded.mfa)
     };
 
     console.log('✅ User authenticated successfully:', { userId: req.user.userId, role: req.user.role });
@@ -56,17 +70,69 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-const requireRole = (roles) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({ message: 'Authentication required' });
-    }
+/**
+ * Check that an admin or moderator signed in with a second factor,
+ * answering 403 if they didn't
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<boolean>} Whether the request may continue
+ */
+const enforceTwoFactor = async (req, res) => {
+  if (req.user.twoFactorVerified) {
+    return true;
+  }
+
+  const user = await User.findById(req.user.userId).select('twoFactor.enabled');
+  if (user?.twoFactor?.enabled) {
+    res.status(403).json({
+      message: 'Please sign in again with your authentication code to use these tools.',
+      code: 'TWO_FACTOR_REQUIRED'
+    });
+  } else {
+    res.status(403).json({
+      message: 'Set up two-factor authentication in Settings to use these tools.',
+      code: 'TWO_FACTOR_SETUP_REQUIRED'
+    });
+  }
+  return false;
+};
+
+// Roles whose tools need a session that passed two-factor authentication
+const TWO_FACTOR_ROLES = ['admin', 'moderator'];
 
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ message: 'Insufficient permissions' });
+// Moderation actions open to users outside those roles, such as reviewing a
+// neighbourhood's join requests, need a two-factor session too
+const requireTwoFactor = async (req, res, next) => {
+  try {
+    if (await enforceTwoFactor(req, res)) {
+      next();
     }
+  } catch (error) {
+    console.error('Two-factor middleware error:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+};
 
-    next();
+const requireRole = (roles) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ message: 'Authentication required' });
+      }
+
+      if (!roles.includes(req.user.role)) {
+        return res.status(403).json({ message: 'Insufficient permissions' });
+      }
+
+      if (TWO_FACTOR_ROLES.includes(req.user.role) && !(await enforceTwoFactor(req, res))) {
+        return;
+      }
+
+      next();
+    } catch (error) {
+      console.error('Role middleware error:', error);
+      return res.status(500).json({ message: 'Server error' });
+    }
   };
 };
 
@@ -94,5 +160,7 @@ const requireNeighbourhood = async (req, res, next) => {
 module.exports = {
   authenticateToken,
   requireRole,
-  requireNeighbourhood
+  requireNeighbourhood,
+  requireTwoFactor,
+  enforceTwoFactor
 };
\ No newline at end of file
@@ -0,0 +1,153 @@
+/**
+ * Idempotency Middleware
+ * Lets clients safely retry a POST by sending an Idempotency-Key header.
+ * The first request with a key runs normally and its response is stored;
+ * later requests with the same key get that stored response back.
+ */
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const KEY_PATTERN = /^[A-Za-z0-9_.:-]{8,255}$/;
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+// A request still "processing" after this long is assumed to have died
+const STALE_LOCK_MS = 60 * 1000;
+// Responses worth trying again rather than replaying
+const RETRYABLE_STATUS = new Set([408, 429]);
+
+const isDuplicateKeyError = (error) => error?.code === 11000;
+
+/**
+ * Store the outcome of the request, or forget the key if it is worth retrying
+ * @param {Object} record - IdempotencyKey document for this request
+ * @param {number} statusCode - Response status
+ * @param {*} body - Response body
+ */
+const saveOutcome = async (record, statusCode, body) => {
+  if (statusCode >= 500 || RETRYABLE_STATUS.has(statusCode)) {
+    await IdempotencyKey.deleteOne({ _id: record._id });
+    return;
+  }
+
+  await IdempotencyKey.updateOne({ _id: record._id }, {
+    status: 'completed',
+    statusCode,
+    // Stored as plain JSON so mongoose documents in the body serialize the same way on replay
+    responseBody: body === undefined ? null : JSON.parse(JSON.stringify(body))
+  });
+};
+
+/**
+ * Claim a key for this request
+ * @returns {Promise<Object>} { record } for a new request, or { existing } for a repeated key
+ */
+const claimKey = async (userId, key, method, path) => {
+  try {
+    const record = await IdempotencyKey.create({
+      userId,
+      key,
+      method,
+      path,
+      expiresAt: new Date(Date.now() + KEY_TTL_MS)
+    });
+    return { record };
+  } catch (error) {
+    if (!isDuplicateKeyError(error)) {
+      throw error;
+    }
+  }
+
+  // Take over a key whose first request never finished
+  const record = await IdempotencyKey.findOneAndUpdate({
+    userId,
+    key,
+    method,
+    path,
+    status: 'processing',
+    lockedAt: { $lt: new Date(Date.now() - STALE_LOCK_MS) }
+  }, { lockedAt: new Date() }, { new: true });
+
+  if (record) {
+    return { record };
+  }
+
+  return { existing: await IdempotencyKey.findOne({ userId, key }) };
+};
+
+/**
+ * Make a route idempotent for requests that carry an Idempotency-Key header.
+ * Requests without the header are passed straight through. Must come after
+ * authenticateToken, since keys are scoped to the signed-in user.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key || !req.user?.userId) {
+    return next();
+  }
+
+  if (!KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      message: 'Idempotency-Key must be 8 to 255 letters, digits or -_.:',
+      code: 'INVALID_IDEMPOTENCY_KEY'
+    });
+  }
+
+  const method = req.method;
+  const path = `${req.baseUrl}${req.path}`;
+
+  let claim;
+  try {
+    claim = await claimKey(req.user.userId, key, method, path);
+  } catch (error) {
+    console.error('Idempotency key error:', error);
+    return res.status(500).json({ message: 'Server error' });
+  }
+
+  const { record, existing } = claim;
+
+  if (existing) {
+    if (existing.method !== method || existing.path !== path) {
+      return res.status(422).json({
+        message: 'This Idempotency-Key was already used for a different request',
+        code: 'IDEMPOTENCY_KEY_REUSED'
+      });
+    }
+
+    if (existing.status === 'processing') {
+      res.set('Retry-After', '1');
+      return res.status(409).json({
+        message: 'A request with this Idempotency-Key is still being processed',
+        code: 'IDEMPOTENCY_IN_PROGRESS'
+      });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.statusCode).json(existing.responseBody);
+  }
+
+  let settled = false;
+  const settle = (statusCode, body) => {
+    if (settled) return;
+    settled = true;
+    saveOutcome(record, statusCode, body).catch((error) => {
+      console.error('Idempotency key save error:', error);
+    });
+  };
+
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    settle(res.statusCode, body);
+    return originalJson(body);
+  };
+
+  // A non-JSON response is stored without its body. If the client drops the
+  // connection first the handler is still running, so the key stays
+  // processing until its response is saved; a handler that never responds is
+  // taken over once the lock goes stale.
+  res.on('finish', () => settle(res.statusCode));
+
+  next();
+};
+
+module.exports = { idempotency };
@@ -0,0 +1,42 @@
+/**
+ * Rate Limiting Middleware
+ * Applies a named policy from RateLimitService to a route
+ */
+const RateLimitService = require('../services/RateLimitService');
+
+/**
+ * Create middleware that limits requests under a policy
+ * Signed-in requests are counted by user when the policy allows it, so the
+ * middleware should come after authenticateToken for per-user policies.
+ * @param {string} policyName - Policy name from config/rateLimits.js
+ * @returns {Function} Express middleware
+ */
+const rateLimit = (policyName) => async (req, res, next) => {
+  const result = await RateLimitService.consume(policyName, {
+    userId: req.user?.userId,
+    ip: req.ip
+  });
+
+  if (!result) {
+    return next();
+  }
+
+  res.set({
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(result.retryAfter)
+  });
+
+  if (!result.allowed) {
+    res.set('Retry-After', String(result.retryAfter));
+    return res.status(429).json({
+      message: 'Too many requests, please try again later.',
+      code: 'RATE_LIMITED',
+      retryAfter: result.retryAfter
+    });
+  }
+
+  next();
+};
+
+module.exports = { rateLimit };
@@ -2,8 +2,12 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 
+// Files under uploads/ are served publicly by express.static. Private documents
+// (proof of address) live outside it and are only served through authenticated routes.
+const PRIVATE_UPLOAD_ROOT = 'private_uploads';
+
 // Ensure upload directories exist and are writable
-const uploadDirs = ['uploads/profiles', 'uploads/notices', 'uploads/reports', 'uploads/messages', 'uploads/general'];
+const uploadDirs = ['uploads/profiles', 'uploads/notices', 'uploads/reports', 'uploads/messages', 'uploads/general', `${PRIVATE_UPLOAD_ROOT}/verification`];
 uploadDirs.forEach(dir => {
   try {
     if (!fs.existsSync(dir)) {
@@ -34,6 +38,8 @@ const storage = multer.diskStorage({
       uploadPath += 'reports/';
     } else if (req.route.path.includes('/messages')) {
       uploadPath += 'messages/';
+    } else if (req.route.path.includes('/join-requests')) {
+      uploadPath = `${PRIVATE_UPLOAD_ROOT}/verification/`;
     } else {
       uploadPath += 'general/';
     }
@@ -98,6 +104,9 @@ const uploadConfigs = {
   
   // Single file for messages
   messageFile: upload.single('file'),
+
+  // Proof-of-address document for neighbourhood join requests
+  proofOfAddress: upload.single('proofOfAddress'),
   
   // Any file type for general uploads
   any: upload.any()
@@ -184,10 +193,31 @@ const formatFileInfo = (file) => {
   };
 };
 
+// Utility function to format info for a file stored outside the public uploads root.
+// There is no URL; `path` is relative to the private root and resolved with resolvePrivateFile.
+const formatPrivateFileInfo = (file) => ({
+  path: path.relative(PRIVATE_UPLOAD_ROOT, file.path).replace(/\\/g, '/'),
+  filename: file.originalname,
+  size: file.size,
+  mimetype: file.mimetype
+});
+
+// Utility function to get the absolute path of a privately stored file
+const resolvePrivateFile = (relativePath) => {
+  const root = path.resolve(PRIVATE_UPLOAD_ROOT);
+  const resolved = path.resolve(root, relativePath);
+  if (!resolved.startsWith(root + path.sep)) {
+    throw new Error('Invalid private file path');
+  }
+  return resolved;
+};
+
 module.exports = {
   uploadConfigs,
   handleUploadError,
   cleanupFiles,
   getFileType,
-  formatFileInfo
+  formatFileInfo,
+  formatPrivateFileInfo,
+  resolvePrivateFile
 };
\ No newline at end of file
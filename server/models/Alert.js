@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+
+const alertSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  message: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 1000
+  },
+  severity: {
+    type: String,
+    enum: ['advisory', 'warning', 'emergency'],
+    default: 'warning'
+  },
+  area: {
+    type: {
+      type: String,
+      enum: ['neighbourhood', 'radius'],
+      required: true
+    },
+    // Centre and radius for radius alerts
+    center: {
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        default: undefined
+      }
+    },
+    radiusMeters: {
+      type: Number,
+      min: 100,
+      max: 50000
+    }
+  },
+  // Neighbourhoods the alert was sent to (the one picked, or every one the radius overlaps)
+  neighbourhoodIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Neighbourhood'
+  }],
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  requiresAcknowledgement: {
+    type: Boolean,
+    default: false
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancelReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Everyone the alert was sent to, fixed when it is issued
+  recipientIds: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    select: false
+  },
+  acknowledgements: {
+    type: [{
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      acknowledgedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
+  recipientCount: {
+    type: Number,
+    default: 0
+  },
+  acknowledgedCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+alertSchema.index({ neighbourhoodIds: 1, status: 1, expiresAt: -1 });
+alertSchema.index({ issuedBy: 1, createdAt: -1 });
+alertSchema.index({ recipientIds: 1 });
+
+// Check whether the alert is still in effect
+alertSchema.methods.isInEffect = function(now = new Date()) {
+  return this.status === 'active' && this.expiresAt > now;
+};
+
+module.exports = mongoose.model('Alert', alertSchema);
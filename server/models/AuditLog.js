@@ -18,13 +18,22 @@ const auditLogSchema = new mongoose.Schema({
       'content_moderate',
       'admin_login',
       'settings_change',
-      'system_config'
+      'system_config',
+      'membership_approve',
+      'membership_reject',
+      'report_status_change',
+      'report_assign',
+      'alert_issue',
+      'alert_cancel',
+      'user_2fa_reset',
+      'user_permission_change',
+      'report_reporter_unmask'
     ],
     required: true
   },
   targetType: {
     type: String,
-    enum: ['user', 'notice', 'report', 'chat', 'system', 'settings'],
+    enum: ['user', 'notice', 'report', 'chat', 'message', 'system', 'settings', 'membership_request', 'alert'],
     required: true
   },
   targetId: {
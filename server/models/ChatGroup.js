@@ -42,6 +42,21 @@ const chatGroupSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  autoDeleteSettings: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    period: {
+      type: Number, // in hours
+      default: 24
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    updatedAt: Date
+  },
   isActive: {
     type: Boolean,
     default: true
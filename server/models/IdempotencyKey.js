@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+/**
+ * Outcome of a request sent with an Idempotency-Key header. Offline clients
+ * replay queued requests with the same key, so a request that already went
+ * through is answered from here instead of running twice. Records are
+ * dropped a day after they were created.
+ */
+const idempotencyKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  // 'processing' while the first request is still running
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  lockedAt: {
+    type: Date,
+    default: Date.now
+  },
+  statusCode: {
+    type: Number
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = parseInt(process.env.LOGIN_HISTORY_RETENTION_DAYS || '90');
+
+/**
+ * One sign-in attempt, successful or not. Failed attempts against unknown
+ * email addresses are kept too (without a userId) so credential stuffing
+ * shows up in the admin view.
+ */
+const loginAttemptSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  failureReason: {
+    type: String,
+    enum: ['invalid_credentials', 'invalid_two_factor_code', 'account_locked', 'ip_locked', 'deactivated']
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  deviceName: {
+    type: String,
+    trim: true
+  },
+  // First successful sign-in from this browser for the account
+  newDevice: {
+    type: Boolean,
+    default: false
+  },
+  suspicious: {
+    type: Boolean,
+    default: false
+  },
+  suspiciousReasons: [{
+    type: String,
+    enum: ['new_device', 'after_failed_attempts', 'many_accounts_from_ip', 'lockout']
+  }]
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+loginAttemptSchema.index({ userId: 1, success: 1, createdAt: -1 });
+loginAttemptSchema.index({ email: 1, createdAt: -1 });
+loginAttemptSchema.index({ ipAddress: 1, success: 1, createdAt: -1 });
+loginAttemptSchema.index({ suspicious: 1, createdAt: -1 });
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
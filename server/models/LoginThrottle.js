@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+/**
+ * Failed sign-in counter for one account or one IP address. Keys look like
+ * `account:<email>` or `ip:<address>`. Each lockout doubles the next one,
+ * and the record is dropped once it has been quiet for a while.
+ */
+const loginThrottleSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  // Failures since the last lockout (or successful sign-in)
+  failedAttempts: {
+    type: Number,
+    default: 0
+  },
+  // Lockouts so far; sets the length of the next one
+  lockCount: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date
+  },
+  lastFailedAt: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+loginThrottleSchema.index({ key: 1 }, { unique: true });
+loginThrottleSchema.index({ lockedUntil: 1 });
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
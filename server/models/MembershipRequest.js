@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const membershipRequestSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  neighbourhoodId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Neighbourhood',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  address: {
+    type: String,
+    trim: true,
+    maxlength: 255
+  },
+  // Optional proof-of-address document, only visible to the requester and reviewers. It is
+  // stored outside the public uploads directory; `path` is relative to the private upload root
+  proofOfAddress: {
+    path: String,
+    filename: String,
+    size: Number,
+    mimetype: String
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewReason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+// A user can only have one open request at a time
+membershipRequestSchema.index(
+  { userId: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+
+// Index for the moderator review queue
+membershipRequestSchema.index({ neighbourhoodId: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('MembershipRequest', membershipRequestSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const ChatGroup = require('./ChatGroup');
+const PrivateChat = require('./PrivateChat');
 
 const messageSchema = new mongoose.Schema({
   chatId: {
@@ -24,6 +26,11 @@ const messageSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Set by the sender's client so a retried send finds the message it already created
+  clientMessageId: {
+    type: String,
+    trim: true
+  },
   messageType: {
     type: String,
     enum: ['text', 'image', 'audio', 'video', 'document', 'location', 'contact', 'system'],
@@ -85,10 +92,50 @@ const messageSchema = new mongoose.Schema({
       enum: ['text', 'image', 'audio', 'video', 'document', 'location', 'contact']
     }
   },
+  // Threads: replies point at the first message of their reply chain, which
+  // keeps the thread's summary; see ThreadService
+  threadRootId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  // Posted to the thread only, so it stays out of the main group conversation
+  threadOnly: {
+    type: Boolean,
+    default: false
+  },
+  thread: {
+    replyCount: {
+      type: Number,
+      default: 0
+    },
+    lastReplyAt: Date,
+    lastReplyBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    lastReplySenderName: {
+      type: String,
+      trim: true
+    },
+    // Notified of new replies
+    followers: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  },
   isEdited: {
     type: Boolean,
     default: false
   },
+  editedAt: Date,
+  // Earlier versions of the content, oldest first; see MessageEditService
+  editHistory: [{
+    content: String,
+    editedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   isDeleted: {
     type: Boolean,
     default: false
@@ -98,6 +145,10 @@ const messageSchema = new mongoose.Schema({
     ref: 'User'
   }],
   deletedAt: Date,
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   // Forwarding support
   isForwarded: {
     type: Boolean,
@@ -201,7 +252,17 @@ const messageSchema = new mongoose.Schema({
     },
     keyId: String, // Reference to encryption key
     iv: String, // Initialization vector for encryption
-    authTag: String // Authentication tag for verification
+    authTag: String, // Authentication tag for verification
+    // End-to-end envelope, stored as-is: the server can't read any of it
+    ciphertext: String,
+    senderDeviceId: String,
+    // The message key wrapped once for every participant device
+    keys: [{
+      _id: false,
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      deviceId: String,
+      encryptedKey: String
+    }]
   },
   
   // Message starring/pinning
@@ -219,6 +280,15 @@ const messageSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  isPinned: {
+    type: Boolean,
+    default: false
+  },
+  pinnedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  pinnedAt: Date,
   
   // Auto-delete functionality
   autoDelete: {
@@ -271,7 +341,8 @@ const messageSchema = new mongoose.Schema({
 });
 
 // Indexes for performance
-messageSchema.index({ chatId: 1, createdAt: -1 });
+messageSchema.index({ chatId: 1, createdAt: -1, _id: -1 });
+messageSchema.index({ chatId: 1, updatedAt: 1, _id: 1 }); // For change sync
 messageSchema.index({ senderId: 1, createdAt: -1 });
 messageSchema.index({ chatType: 1, chatId: 1 });
 messageSchema.index({ isForwarded: 1 });
@@ -281,11 +352,23 @@ messageSchema.index({ 'forwardedFrom.originalSenderId': 1 });
 messageSchema.index({ 'readBy.userId': 1, chatId: 1 }); // For unread message queries
 messageSchema.index({ 'deliveredTo.userId': 1, chatId: 1 }); // For delivery status
 messageSchema.index({ 'replyTo.messageId': 1 }); // For message threads
+messageSchema.index({ threadRootId: 1, createdAt: 1, _id: 1 }); // For thread views
 messageSchema.index({ isStarred: 1, 'starredBy.userId': 1 }); // For starred messages
-messageSchema.index({ 'autoDelete.expiresAt': 1 }, { expireAfterSeconds: 0 }); // TTL index for auto-delete
+messageSchema.index({ chatId: 1, 'starredBy.userId': 1 }); // For per-chat starred listings
+messageSchema.index({ chatId: 1, isPinned: 1, pinnedAt: -1 }); // For pinned messages
+// TTL index for auto-delete. AutoDeleteService sweeps expired messages on time, notifies
+// clients and records tombstones; TTL deletions do neither. The seven day grace period
+// (AutoDeleteService.TTL_GRACE_SECONDS) keeps this index as a backstop for when no
+// sweeper has been running.
+messageSchema.index({ 'autoDelete.expiresAt': 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
 messageSchema.index({ moderationStatus: 1, isReported: 1 }); // For moderation queue
 messageSchema.index({ 'encryption.isEncrypted': 1 }); // For encryption queries
 messageSchema.index({ status: 1, senderId: 1 }); // For message status tracking
+// One message per client message ID, per sender and chat
+messageSchema.index(
+  { senderId: 1, chatId: 1, clientMessageId: 1 },
+  { unique: true, partialFilterExpression: { clientMessageId: { $type: 'string' } } }
+);
 
 // Create text index for search functionality
 messageSchema.index({ 
@@ -300,11 +383,21 @@ messageSchema.index({
 });
 
 // Add pre-save middleware for auto-delete
-messageSchema.pre('save', function(next) {
+messageSchema.pre('save', async function() {
+  // New messages inherit the chat's disappearing message timer
+  if (this.isNew && !this.autoDelete.enabled && this.messageType !== 'system') {
+    const ChatModel = this.chatType === 'group' ? ChatGroup : PrivateChat;
+    const chat = await ChatModel.findById(this.chatId).select('autoDeleteSettings').lean();
+
+    if (chat?.autoDeleteSettings?.enabled && chat.autoDeleteSettings.period) {
+      this.autoDelete.enabled = true;
+      this.autoDelete.period = chat.autoDeleteSettings.period * 60 * 60 * 1000;
+    }
+  }
+
   if (this.autoDelete.enabled && this.autoDelete.period && !this.autoDelete.expiresAt) {
     this.autoDelete.expiresAt = new Date(Date.now() + this.autoDelete.period);
   }
-  next();
 });
 
 // Add methods for common operations
@@ -343,6 +436,27 @@ messageSchema.methods.removeReaction = function(userId, reactionType) {
   return this.save();
 };
 
+messageSchema.methods.isStarredBy = function(userId) {
+  return this.starredBy.some(s => s.userId && s.userId.equals(userId));
+};
+
+messageSchema.methods.star = function(userId) {
+  if (!this.isStarredBy(userId)) {
+    this.starredBy.push({
+      userId,
+      starredAt: new Date()
+    });
+  }
+  this.isStarred = this.starredBy.length > 0;
+  return this.save();
+};
+
+messageSchema.methods.unstar = function(userId) {
+  this.starredBy = this.starredBy.filter(s => !s.userId || !s.userId.equals(userId));
+  this.isStarred = this.starredBy.length > 0;
+  return this.save();
+};
+
 messageSchema.methods.markAsRead = function(userId) {
   if (!this.readBy.some(r => r.userId.equals(userId))) {
     this.readBy.push({
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+/**
+ * Record of a message that was removed from the database, so clients syncing
+ * changes since a cursor learn about it (see MessageSyncService). Tombstones
+ * are kept for as long as sync cursors stay valid.
+ */
+const messageTombstoneSchema = new mongoose.Schema({
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  chatId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  chatType: {
+    type: String,
+    enum: ['group', 'private'],
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['expired', 'deleted'],
+    default: 'deleted'
+  },
+  deletedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+messageTombstoneSchema.index({ chatId: 1, deletedAt: 1 });
+// Matches MessageSyncService.SYNC_RETENTION_MS
+messageTombstoneSchema.index({ deletedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('MessageTombstone', messageTombstoneSchema);
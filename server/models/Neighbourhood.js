@@ -52,6 +52,11 @@ const neighbourhoodSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Members who can review join requests for this neighbourhood
+  moderators: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -64,4 +69,46 @@ const neighbourhoodSchema = new mongoose.Schema({
 // Create geospatial index
 neighbourhoodSchema.index({ location: '2dsphere' });
 
+// Largest radius a neighbourhood can have, used to bound the geo search
+const MAX_RADIUS_METERS = 10000;
+
+/**
+ * Static method to find active neighbourhoods whose radius contains a point,
+ * nearest first
+ */
+neighbourhoodSchema.statics.findContaining = function(latitude, longitude, limit = 5) {
+  return this.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: [longitude, latitude] },
+        distanceField: 'distanceMeters',
+        maxDistance: MAX_RADIUS_METERS,
+        query: { isActive: true },
+        spherical: true
+      }
+    },
+    { $match: { $expr: { $lte: ['$distanceMeters', '$radiusMeters'] } } },
+    { $limit: limit }
+  ]);
+};
+
+/**
+ * Static method to find active neighbourhoods whose area overlaps a circle,
+ * nearest first
+ */
+neighbourhoodSchema.statics.findIntersecting = function(latitude, longitude, radiusMeters) {
+  return this.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: [longitude, latitude] },
+        distanceField: 'distanceMeters',
+        maxDistance: radiusMeters + MAX_RADIUS_METERS,
+        query: { isActive: true },
+        spherical: true
+      }
+    },
+    { $match: { $expr: { $lte: ['$distanceMeters', { $add: ['$radiusMeters', radiusMeters] }] } } }
+  ]);
+};
+
 module.exports = mongoose.model('Neighbourhood', neighbourhoodSchema);
\ No newline at end of file
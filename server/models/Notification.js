@@ -8,7 +8,7 @@ const notificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['friendRequest', 'message', 'like', 'comment', 'system', 'report', 'notice', 'privateMessage'],
+    enum: ['friendRequest', 'message', 'like', 'comment', 'system', 'report', 'notice', 'privateMessage', 'alert', 'threadReply'],
     required: true
   },
   title: {
@@ -30,7 +30,7 @@ const notificationSchema = new mongoose.Schema({
   reference: {
     type: {
       type: String,
-      enum: ['user', 'message', 'notice', 'report', 'chat', 'system', 'friendRequest'],
+      enum: ['user', 'message', 'notice', 'report', 'chat', 'system', 'friendRequest', 'alert'],
       required: true
     },
     id: {
@@ -6,6 +6,12 @@ const privateChatSchema = new mongoose.Schema({
     ref: 'User',
     required: true
   }],
+  // Whoever started the chat; until the other participant joins in, sends are
+  // checked against their message permissions (see PrivacyService)
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   lastMessage: {
     content: String,
     sender: {
@@ -19,6 +25,21 @@ const privateChatSchema = new mongoose.Schema({
       default: 'text'
     }
   },
+  autoDeleteSettings: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    period: {
+      type: Number, // in hours
+      default: 24
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    updatedAt: Date
+  },
   isActive: {
     type: Boolean,
     default: true
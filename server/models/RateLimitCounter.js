@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+/**
+ * Request counter for one rate limit key and window, shared by every
+ * server process. The document is dropped once its window has ended.
+ */
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true
+  }
+});
+
+rateLimitCounterSchema.index({ key: 1 }, { unique: true });
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const { KEY_TYPES } = require('../config/rateLimits');
+
+/**
+ * Admin override for one rate limit policy. Policies without an override
+ * use the defaults in config/rateLimits.js.
+ */
+const rateLimitPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  windowMs: {
+    type: Number,
+    required: true,
+    min: 1000
+  },
+  max: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  keyBy: {
+    type: String,
+    enum: KEY_TYPES,
+    required: true
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+rateLimitPolicySchema.index({ name: 1 }, { unique: true });
+
+module.exports = mongoose.model('RateLimitPolicy', rateLimitPolicySchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+/**
+ * How far a server has polled a collection for changes, used when MongoDB
+ * can't provide change streams (see PollingChangeManager). Each server
+ * keeps its own checkpoint, since each one emits to its own sockets.
+ */
+const realTimeCheckpointSchema = new mongoose.Schema({
+  // Server the checkpoint belongs to
+  consumer: {
+    type: String,
+    required: true
+  },
+  collectionName: {
+    type: String,
+    required: true
+  },
+  // updatedAt and _id of the last change processed; changes are read in that order
+  lastUpdatedAt: {
+    type: Date,
+    required: true
+  },
+  lastId: {
+    type: mongoose.Schema.Types.ObjectId
+  }
+}, {
+  timestamps: true
+});
+
+realTimeCheckpointSchema.index({ consumer: 1, collectionName: 1 }, { unique: true });
+
+module.exports = mongoose.model('RealTimeCheckpoint', realTimeCheckpointSchema);
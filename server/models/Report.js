@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { getDueBy } = require('../config/reportSla');
 
 const reportSchema = new mongoose.Schema({
   title: {
@@ -71,6 +72,75 @@ const reportSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  assignedAt: {
+    type: Date
+  },
+  resolvedAt: {
+    type: Date
+  },
+  sla: {
+    dueBy: Date,
+    escalatedAt: Date,
+    escalationCount: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Append-only case history, only ever written with $push. Moderator-only,
+  // so it is left out of queries unless explicitly selected.
+  statusHistory: {
+    type: [{
+      event: {
+        type: String,
+        enum: ['created', 'status_change', 'assignment', 'escalation'],
+        required: true
+      },
+      fromStatus: String,
+      toStatus: String,
+      assignedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      note: {
+        type: String,
+        trim: true,
+        maxlength: 1000
+      },
+      changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      changedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
+  // Moderator-only notes, kept apart from the public comments
+  internalComments: {
+    type: [{
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      content: {
+        type: String,
+        required: true,
+        trim: true
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
   isAnonymous: {
     type: Boolean,
     default: false
@@ -146,6 +216,8 @@ const reportSchema = new mongoose.Schema({
 reportSchema.index({ 'location.coordinates': '2dsphere' });
 reportSchema.index({ neighbourhoodId: 1, status: 1 });
 reportSchema.index({ createdAt: -1 });
+reportSchema.index({ assignedTo: 1, status: 1, 'sla.dueBy': 1 });
+reportSchema.index({ status: 1, 'sla.dueBy': 1, 'sla.escalatedAt': 1 });
 
 // Create text index for search functionality
 reportSchema.index({ 
@@ -163,4 +235,26 @@ reportSchema.index({
   name: 'report_search_index'
 });
 
+// Start the SLA clock and case history for new reports
+reportSchema.pre('save', function(next) {
+  if (this.isNew) {
+    const createdAt = this.createdAt || new Date();
+
+    if (!this.sla || !this.sla.dueBy) {
+      this.set('sla.dueBy', getDueBy(this.priority, createdAt));
+    }
+
+    if (!this.statusHistory || this.statusHistory.length === 0) {
+      this.statusHistory = [{
+        event: 'created',
+        toStatus: this.status,
+        changedBy: this.reporterId,
+        changedAt: createdAt
+      }];
+    }
+  }
+
+  next();
+});
+
 module.exports = mongoose.model('Report', reportSchema);
\ No newline at end of file
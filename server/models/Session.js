@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+/**
+ * A signed-in device. Each session holds one refresh token family: the
+ * current token's hash plus the hashes of the tokens it replaced, so reuse
+ * of a rotated-out token can be spotted and the whole session revoked.
+ */
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // SHA-256 of the current refresh token; the token itself is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hashes of refresh tokens this session has already rotated through
+  previousTokenHashes: {
+    type: [String],
+    select: false
+  },
+  userAgent: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  deviceName: {
+    type: String,
+    trim: true
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  // Whether the sign-in passed a second factor
+  twoFactorVerified: {
+    type: Boolean,
+    default: false
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked', 'reuse_detected', 'password_change', 'two_factor_reset']
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ tokenHash: 1 }, { unique: true });
+sessionSchema.index({ previousTokenHashes: 1 });
+sessionSchema.index({ userId: 1, revokedAt: 1, lastUsedAt: -1 });
+// Drop sessions a week after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Check whether the session can still be used
+sessionSchema.methods.isActive = function(now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
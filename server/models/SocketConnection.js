@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+/**
+ * One open socket, shared by every server process so a user counts as
+ * online while any instance still has a socket of theirs. The instance
+ * that holds the socket keeps pushing expiresAt forward while the socket is
+ * still connected; sockets of an instance that died without cleaning up are
+ * dropped once it passes.
+ */
+const socketConnectionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  socketId: {
+    type: String,
+    required: true
+  },
+  // Server process holding the socket
+  instanceId: {
+    type: String,
+    required: true
+  },
+  connectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Whether the device is in use, from the client's presence heartbeats
+  status: {
+    type: String,
+    enum: ['online', 'away'],
+    default: 'online'
+  },
+  lastHeartbeatAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+socketConnectionSchema.index({ socketId: 1 }, { unique: true });
+socketConnectionSchema.index({ userId: 1, expiresAt: 1 });
+socketConnectionSchema.index({ instanceId: 1 });
+socketConnectionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SocketConnection', socketConnectionSchema);
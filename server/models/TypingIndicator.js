@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+/**
+ * A user typing in a chat, shared by every server process. Typing stops
+ * on its own at expiresAt unless the user keeps typing; MongoDB's TTL
+ * sweep is slow, so reads also skip expired documents.
+ */
+const typingIndicatorSchema = new mongoose.Schema({
+  chatId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  chatType: {
+    type: String,
+    enum: ['group', 'private'],
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  userName: {
+    type: String
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+typingIndicatorSchema.index({ chatId: 1, userId: 1 }, { unique: true });
+typingIndicatorSchema.index({ userId: 1 });
+typingIndicatorSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('TypingIndicator', typingIndicatorSchema);
@@ -40,10 +40,30 @@ const userSchema = new mongoose.Schema({
     enum: ['admin', 'moderator', 'user'],
     default: 'user'
   },
+  // Extra powers granted to individual staff on top of their role
+  permissions: [{
+    type: String,
+    enum: ['unmask_reporters']
+  }],
   isVerified: {
     type: Boolean,
     default: false
   },
+  // No default: accounts created before email verification existed have no
+  // value and are treated as verified (see isEmailVerified)
+  emailVerified: {
+    type: Boolean
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
+  emailVerification: {
+    tokenHash: { type: String },
+    expiresAt: { type: Date },
+    lastSentAt: { type: Date },
+    sendCount: { type: Number, default: 0 },
+    windowStartedAt: { type: Date }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -52,6 +72,12 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Neighbourhood'
   },
+  // No default: members assigned before join requests existed have no value
+  // and are treated as approved (see isApprovedMember)
+  membershipStatus: {
+    type: String,
+    enum: ['pending', 'approved']
+  },
   bio: {
     type: String,
     trim: true,
@@ -61,11 +87,84 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  blockedUsers: [{
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    blockedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  passwordChangedAt: {
+    type: Date
+  },
+  passwordReset: {
+    tokenHash: { type: String },
+    expiresAt: { type: Date },
+    requestedAt: { type: Date }
+  },
+  // TOTP second factor. Secrets and backup code hashes never leave the server.
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    enabledAt: { type: Date },
+    // Last time step accepted, so a code can't be used twice
+    lastUsedStep: { type: Number, select: false },
+    backupCodes: {
+      type: [{
+        codeHash: { type: String, required: true },
+        usedAt: { type: Date }
+      }],
+      select: false
+    },
+    // Challenge issued after the password step of a login
+    challenge: {
+      tokenHash: { type: String },
+      expiresAt: { type: Date },
+      attempts: { type: Number, default: 0 }
+    }
+  },
+  // End-to-end encryption public keys, one per browser/device. Private keys
+  // never leave the device; the server only hands these out to chat partners.
+  encryptionKeys: [{
+    deviceId: { type: String, required: true },
+    publicKey: { type: String, required: true }, // Base64 SPKI
+    fingerprint: { type: String, required: true }, // SHA-256 of the SPKI bytes
+    deviceName: { type: String, trim: true, maxlength: 100 },
+    createdAt: { type: Date, default: Date.now },
+    lastSeenAt: { type: Date, default: Date.now }
+  }],
   status: {
     type: String,
     enum: ['active', 'suspended', 'banned'],
     default: 'active'
   },
+  // Presence, kept up to date by PresenceService from the user's open connections
+  isOnline: { type: Boolean, default: false },
+  lastSeen: { type: Date },
+  presence: {
+    // What the user picked; 'auto' follows whether their devices are active
+    preference: {
+      type: String,
+      enum: ['auto', 'away', 'dnd'],
+      default: 'auto'
+    },
+    // What others see, combining the preference with every open connection
+    status: {
+      type: String,
+      enum: ['online', 'away', 'dnd', 'offline'],
+      default: 'offline'
+    }
+  },
   settings: {
     notifications: {
       email: { type: Boolean, default: true },
@@ -85,6 +184,12 @@ const userSchema = new mongoose.Schema({
         type: String,
         enum: ['everyone', 'neighbours', 'friends', 'none'],
         default: 'friends'
+      },
+      // Who sees whether the user is online and when they were last seen
+      lastSeenVisibility: {
+        type: String,
+        enum: ['everyone', 'neighbours', 'friends', 'none'],
+        default: 'neighbours'
       }
     },
     locationSharing: { type: Boolean, default: false },
@@ -155,10 +260,39 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return bcrypt.compare(candidatePassword, this.password);
 };
 
+// Check whether a token was issued before the password last changed.
+// Changing the password revokes every token issued before it.
+userSchema.methods.changedPasswordAfter = function(tokenIssuedAt) {
+  if (!this.passwordChangedAt || !tokenIssuedAt) return false;
+  return Math.floor(this.passwordChangedAt.getTime() / 1000) > tokenIssuedAt;
+};
+
+// Admins and moderators must sign in with a second factor
+userSchema.methods.requiresTwoFactor = function() {
+  return ['admin', 'moderator'].includes(this.role);
+};
+
+// Check whether the user has proven ownership of their email address
+userSchema.methods.isEmailVerified = function() {
+  return this.emailVerified !== false;
+};
+
+// Check whether the user may post in their neighbourhood.
+// Users waiting on a join request only get read-only access.
+userSchema.methods.isApprovedMember = function() {
+  return this.membershipStatus !== 'pending';
+};
+
 // Transform output
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.passwordReset;
+  delete user.emailVerification;
+  delete user.encryptionKeys;
+  if (user.twoFactor) {
+    user.twoFactor = { enabled: user.twoFactor.enabled, enabledAt: user.twoFactor.enabledAt };
+  }
   return user;
 };
 
@@ -181,4 +315,7 @@ userSchema.index({
 // Create index for neighbourhood lookup
 userSchema.index({ neighbourhoodId: 1, isActive: 1 });
 
+// Index for reverse block lookups (who has blocked a given user)
+userSchema.index({ 'blockedUsers.userId': 1 });
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -143,12 +143,15 @@ app.use(
       "Access-Control-Allow-Origin",
       "Accept",
       "Origin",
+      "Idempotency-Key",
     ],
     exposedHeaders: [
       "Authorization",
       "Content-Type",
       "X-Requested-With",
       "Access-Control-Allow-Origin",
+      "Idempotent-Replayed",
+      "Retry-After",
     ],
     optionsSuccessStatus: 200,
     preflightContinue: false,
@@ -60,8 +60,10 @@ app.use(
       "X-Requested-With",
       "Access-Control-Allow-Origin",
       "Accept",
-      "Origin"
+      "Origin",
+      "Idempotency-Key"
     ],
+    exposedHeaders: ["Idempotent-Replayed", "Retry-After"],
     optionsSuccessStatus: 200,
     preflightContinue: false
   })
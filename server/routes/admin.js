@@ -1,5 +1,5 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Notice = require('../models/Notice');
 const Report = require('../models/Report');
@@ -8,6 +8,8 @@ const Message = require('../models/Message');
 const AuditLog = require('../models/AuditLog');
 const AuditService = require('../services/AuditService');
 const FlaggedContentService = require('../services/FlaggedContentService');
+const TwoFactorService = require('../services/TwoFactorService');
+const LoginSecurityService = require('../services/LoginSecurityService');
 const { authenticateToken, requireRole } = require('../middleware/auth');
 const { requireAdmin } = require('../middleware/adminAuth');
 
@@ -174,6 +176,36 @@ router.get('/audit-logs', async (req, res) => {
   }
 });
 
+// Get suspicious sign-in activity, failing IPs and current lockouts
+router.get('/security/logins', [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt(),
+  query('days').optional().isInt({ min: 1, max: 90 }).toInt(),
+  query('all').optional().isBoolean().toBoolean(),
+  query('email').optional().isEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20, days = 7, all = false, email } = req.query;
+    const activity = await LoginSecurityService.getSuspiciousActivity({
+      page,
+      limit,
+      days,
+      suspiciousOnly: !all,
+      email
+    });
+
+    res.json(activity);
+  } catch (error) {
+    console.error('Error fetching login activity:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Update user status (suspend/activate/ban)
 router.patch('/users/:id/status', [
   body('status').isIn(['active', 'suspended', 'banned']),
@@ -341,6 +373,83 @@ router.patch('/users/:id/role', [
   }
 });
 
+// Grant or revoke a staff member's extra permissions, e.g. unmask_reporters
+router.put('/users/:id/permissions', [
+  body('permissions').isArray(),
+  body('permissions.*').isIn(['unmask_reporters']),
+  body('reason').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { id } = req.params;
+    const { reason } = req.body;
+    const permissions = [...new Set(req.body.permissions)];
+
+    const user = await User.findById(id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (permissions.length > 0 && !['admin', 'moderator'].includes(user.role)) {
+      return res.status(400).json({ message: 'Only admins and moderators can be given permissions' });
+    }
+
+    const oldPermissions = [...(user.permissions || [])];
+    user.permissions = permissions;
+    await user.save();
+
+    await AuditService.logAction({
+      adminId: req.user.userId,
+      action: 'user_permission_change',
+      targetType: 'user',
+      targetId: id,
+      details: {
+        oldPermissions,
+        newPermissions: permissions,
+        reason: reason || 'No reason provided'
+      },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({ message: 'User permissions updated successfully', permissions });
+  } catch (error) {
+    console.error('Error updating user permissions:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reset a user's two-factor authentication (e.g. they lost their phone)
+router.post('/users/:id/2fa/reset', [
+  body('reason').optional().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await TwoFactorService.resetForUser(req.params.id, req.user, {
+      reason: req.body.reason,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({ message: 'Two-factor authentication reset. The user has been signed out everywhere.' });
+  } catch (error) {
+    if (error.isCustomError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+
+    console.error('Error resetting two-factor authentication:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get all users with detailed information
 router.get('/users', async (req, res) => {
   try {
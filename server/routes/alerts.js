@@ -0,0 +1,197 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { requireRole } = require('../middleware/auth');
+const { requireModerator } = require('../middleware/adminAuth');
+const AlertService = require('../services/AlertService');
+const router = express.Router();
+
+/**
+ * Turn an alert service error into a response
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by AlertService
+ * @param {string} label - Label for the server log
+ */
+const handleAlertError = (res, error, label) => {
+  if (error.isCustomError) {
+    return res.status(error.statusCode).json({
+      message: error.message,
+      ...(error.errors && { errors: error.errors })
+    });
+  }
+
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ message: 'Server error' });
+};
+
+const paginationValidators = [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+];
+
+/**
+ * @route   GET /api/alerts
+ * @desc    Get the alerts sent to the current user. Only alerts still in effect
+ *          unless ?all=true is passed.
+ * @access  Private
+ */
+router.get('/', [
+  query('all').optional().isBoolean().toBoolean(),
+  ...paginationValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { all = false, page = 1, limit = 20 } = req.query;
+    const alerts = await AlertService.getUserAlerts(req.user.userId, { activeOnly: !all, page, limit });
+
+    res.json(alerts);
+  } catch (error) {
+    handleAlertError(res, error, 'Get alerts');
+  }
+});
+
+/**
+ * @route   GET /api/alerts/issued
+ * @desc    Get the alerts the current moderator has issued (every alert for admins)
+ * @access  Private (moderators/admins)
+ */
+router.get('/issued', requireRole(['admin', 'moderator']), paginationValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const alerts = await AlertService.getIssuedAlerts(req.user.userId, { page, limit });
+
+    res.json(alerts);
+  } catch (error) {
+    handleAlertError(res, error, 'Get issued alerts');
+  }
+});
+
+/**
+ * @route   POST /api/alerts
+ * @desc    Issue an alert to a neighbourhood, or to every neighbourhood the
+ *          moderator looks after within a radius of a point
+ * @access  Private (moderators/admins)
+ */
+router.post('/', requireModerator, async (req, res) => {
+  try {
+    // AlertService validates the alert, so the socket path gets the same checks
+    const alert = await AlertService.issueAlert(req.user.userId, req.body, {
+      io: req.app.get('io'),
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(201).json({
+      message: 'Alert issued successfully',
+      alert: AlertService.formatAlert(alert)
+    });
+  } catch (error) {
+    handleAlertError(res, error, 'Issue alert');
+  }
+});
+
+/**
+ * @route   GET /api/alerts/:id
+ * @desc    Get an alert sent to or issued by the current user
+ * @access  Private
+ */
+router.get('/:id', [
+  param('id').isMongoId().withMessage('Invalid alert ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const alert = await AlertService.getAlert(req.params.id, req.user.userId);
+    res.json(alert);
+  } catch (error) {
+    handleAlertError(res, error, 'Get alert');
+  }
+});
+
+/**
+ * @route   POST /api/alerts/:id/acknowledge
+ * @desc    Acknowledge an alert
+ * @access  Private (recipients)
+ */
+router.post('/:id/acknowledge', [
+  param('id').isMongoId().withMessage('Invalid alert ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { acknowledgedAt } = await AlertService.acknowledge(req.params.id, req.user.userId, {
+      io: req.app.get('io')
+    });
+
+    res.json({ message: 'Alert acknowledged', acknowledgedAt });
+  } catch (error) {
+    handleAlertError(res, error, 'Acknowledge alert');
+  }
+});
+
+/**
+ * @route   POST /api/alerts/:id/cancel
+ * @desc    Cancel an alert before it expires
+ * @access  Private (issuer/admins)
+ */
+router.post('/:id/cancel', requireModerator, [
+  param('id').isMongoId().withMessage('Invalid alert ID'),
+  body('reason').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const alert = await AlertService.cancelAlert(req.params.id, req.user.userId, req.body.reason, {
+      io: req.app.get('io'),
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      message: 'Alert cancelled',
+      alert: AlertService.formatAlert(alert)
+    });
+  } catch (error) {
+    handleAlertError(res, error, 'Cancel alert');
+  }
+});
+
+/**
+ * @route   GET /api/alerts/:id/acknowledgements
+ * @desc    See who has and hasn't acknowledged an alert
+ * @access  Private (issuer/admins)
+ */
+router.get('/:id/acknowledgements', requireRole(['admin', 'moderator']), [
+  param('id').isMongoId().withMessage('Invalid alert ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const status = await AlertService.getAcknowledgements(req.params.id, req.user.userId);
+    res.json(status);
+  } catch (error) {
+    handleAlertError(res, error, 'Get alert acknowledgements');
+  }
+});
+
+module.exports = router;
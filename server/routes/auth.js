@@ -1,15 +1,98 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
+const PasswordResetService = require('../services/PasswordResetService');
+const EmailVerificationService = require('../services/EmailVerificationService');
+const MembershipService = require('../services/MembershipService');
+const SessionService = require('../services/SessionService');
+const TwoFactorService = require('../services/TwoFactorService');
+const LoginSecurityService = require('../services/LoginSecurityService');
 const { authenticateToken } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
 const router = express.Router();
 
+/**
+ * Get the client details recorded on a session
+ * @param {Object} req - Express request
+ * @returns {Object} { userAgent, ipAddress }
+ */
+const getClientInfo = (req) => ({
+  userAgent: req.get('User-Agent'),
+  ipAddress: req.ip
+});
+
+/**
+ * Disconnect every socket in a room
+ * @param {Object} req - Express request
+ * @param {string} room - Socket.IO room holding the sockets
+ */
+const disconnectSockets = (req, room) => {
+  const io = req.app.get('io');
+  if (io) {
+    io.in(room).disconnectSockets(true);
+  }
+};
+
+/**
+ * Start a session for a user who has signed in and send it back
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - User document
+ * @param {Object} options - { twoFactorVerified }
+ */
+const sendLoginResponse = async (req, res, user, options = {}) => {
+  const clientInfo = getClientInfo(req);
+  const { accessToken, refreshToken } = await SessionService.createSession(user, clientInfo, options);
+  await LoginSecurityService.recordSuccess({ user, ...clientInfo });
+
+  // Update last login (optional)
+  user.updatedAt = new Date();
+  await user.save();
+
+  res.json({
+    message: 'Login successful',
+    token: accessToken,
+    refreshToken,
+    user: {
+      id: user._id,
+      email: user.email,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      phone: user.phone,
+      address: user.address,
+      role: user.role,
+      isVerified: user.isVerified,
+      emailVerified: user.isEmailVerified(),
+      neighbourhoodId: user.neighbourhoodId,
+      createdAt: user.createdAt
+    }
+  });
+};
+
+/**
+ * Send a TwoFactorService error, or a generic server error
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the service
+ * @param {string} label - Label for the server log
+ */
+const handleTwoFactorError = (res, error, label) => {
+  if (error.isCustomError) {
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(error.statusCode).json({ message: error.message, retryAfter: error.retryAfter });
+    }
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ message: 'Server error' });
+};
+
 // Load environment variables
 require('dotenv').config({ path: '.env.local' });
 
 // Register
-router.post('/register', [
+router.post('/register', rateLimit('register'), [
   body('email').isEmail().normalizeEmail(),
   body('password').isLength({ min: 6 }),
   body('firstName').trim().isLength({ min: 1 }),
@@ -50,7 +133,7 @@ router.post('/register', [
       lastName,
       phone,
       address,
-      neighbourhoodId,
+      emailVerified: false,
       legalAcceptance: {
         termsOfService: {
           accepted: true,
@@ -67,16 +150,29 @@ router.post('/register', [
 
     await user.save();
 
-    // Generate JWT
-    const token = jwt.sign(
-      { userId: user._id, email: user.email },
-      process.env.JWT_SECRET || 'fallback_secret',
-      { expiresIn: '7d' }
-    );
+    // A neighbourhood picked at sign-up goes through the usual join request,
+    // so the new user is read-only until a moderator approves them
+    let membershipRequest = null;
+    if (neighbourhoodId) {
+      try {
+        membershipRequest = await MembershipService.requestToJoin(user._id, neighbourhoodId, { address });
+      } catch (error) {
+        console.error('Registration join request error:', error);
+      }
+    }
+
+    // Registration succeeds even if the email can't be sent; the user can resend it
+    EmailVerificationService.sendVerification(user).catch(error => {
+      console.error('Verification email error:', error);
+    });
+
+    // Sign the new user in on this device
+    const { accessToken, refreshToken } = await SessionService.createSession(user, getClientInfo(req));
 
     res.status(201).json({
       message: 'User registered successfully',
-      token,
+      token: accessToken,
+      refreshToken,
       user: {
         id: user._id,
         email: user.email,
@@ -86,7 +182,9 @@ router.post('/register', [
         address: user.address,
         role: user.role,
         isVerified: user.isVerified,
-        neighbourhoodId: user.neighbourhoodId,
+        emailVerified: user.isEmailVerified(),
+        neighbourhoodId: membershipRequest ? membershipRequest.neighbourhoodId : undefined,
+        membershipStatus: membershipRequest ? 'pending' : undefined,
         createdAt: user.createdAt
       }
     });
@@ -97,12 +195,12 @@ router.post('/register', [
 });
 
 // Login
-router.post('/login', [
+router.post('/login', rateLimit('login'), [
   body('email').isEmail().normalizeEmail(),
   body('password').exists()
 ], async (req, res) => {
   try {
-    console.log('Login attempt:', req.body);
+    console.log('Login attempt:', req.body.email);
     
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -111,77 +209,293 @@ router.post('/login', [
     }
 
     const { email, password } = req.body;
+    const attempt = { email, ...getClientInfo(req) };
 
     // Find user
     const user = await User.findOne({ email });
+
+    // Locked-out accounts and IPs are refused before the password is checked
+    await LoginSecurityService.assertNotLocked({ ...attempt, user });
+
     if (!user) {
+      await LoginSecurityService.recordFailure(attempt);
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
     if (!user.isActive) {
+      await LoginSecurityService.recordFailure({ ...attempt, user, reason: 'deactivated' });
       return res.status(401).json({ message: 'Account is deactivated' });
     }
 
     // Check password
     const isValidPassword = await user.comparePassword(password);
     if (!isValidPassword) {
+      await LoginSecurityService.recordFailure({ ...attempt, user });
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    // Generate JWT
-    const token = jwt.sign(
-      { userId: user._id, email: user.email },
-      process.env.JWT_SECRET || 'fallback_secret',
-      { expiresIn: '7d' }
+    // Accounts with two-factor authentication finish signing in at /login/2fa
+    if (user.twoFactor?.enabled) {
+      const challengeToken = await TwoFactorService.createLoginChallenge(user);
+      return res.json({
+        message: 'Enter the code from your authenticator app',
+        requiresTwoFactor: true,
+        challengeToken
+      });
+    }
+
+    await sendLoginResponse(req, res, user);
+  } catch (error) {
+    if (error.isCustomError) {
+      if (error.retryAfter) {
+        res.set('Retry-After', String(error.retryAfter));
+      }
+      return res.status(error.statusCode).json({ message: error.message, retryAfter: error.retryAfter });
+    }
+
+    console.error('Login error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+});
+
+/**
+ * @route   POST /api/auth/login/2fa
+ * @desc    Second login step: swap the challenge token and an authenticator
+ *          or backup code for a session
+ * @access  Public
+ */
+router.post('/login/2fa', rateLimit('login_2fa'), [
+  body('challengeToken').isString().notEmpty(),
+  body('code').isString().trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { user } = await TwoFactorService.completeLoginChallenge(
+      req.body.challengeToken,
+      req.body.code,
+      getClientInfo(req)
     );
+    await sendLoginResponse(req, res, user, { twoFactorVerified: true });
+  } catch (error) {
+    handleTwoFactorError(res, error, 'Two-factor login');
+  }
+});
 
-    // Update last login (optional)
-    user.updatedAt = new Date();
-    await user.save();
+/**
+ * @route   GET /api/auth/2fa
+ * @desc    Get the user's two-factor status
+ * @access  Private
+ */
+router.get('/2fa', authenticateToken, async (req, res) => {
+  try {
+    const status = await TwoFactorService.getStatus(req.user.userId);
+    res.json(status);
+  } catch (error) {
+    handleTwoFactorError(res, error, 'Get two-factor status');
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/setup
+ * @desc    Start enrolment; returns the secret and a QR code for the authenticator app
+ * @access  Private
+ */
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const enrolment = await TwoFactorService.beginEnrolment(req.user.userId);
+    res.json(enrolment);
+  } catch (error) {
+    handleTwoFactorError(res, error, 'Two-factor setup');
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/verify
+ * @desc    Finish enrolment with a code from the authenticator app. Returns the
+ *          backup codes (only ever shown here) and an access token for this
+ *          device that counts as two-factor verified.
+ * @access  Private
+ */
+router.post('/2fa/verify', authenticateToken, [
+  body('code').isString().trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { backupCodes } = await TwoFactorService.confirmEnrolment(req.user.userId, req.body.code);
+
+    const user = await User.findById(req.user.userId).select('email');
+    const token = req.user.sessionId
+      ? await SessionService.markTwoFactorVerified(req.user.sessionId, user)
+      : null;
 
     res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user._id,
-        email: user.email,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        phone: user.phone,
-        address: user.address,
-        role: user.role,
-        isVerified: user.isVerified,
-        neighbourhoodId: user.neighbourhoodId,
-        createdAt: user.createdAt
-      }
+      message: 'Two-factor authentication enabled',
+      backupCodes,
+      ...(token && { token })
     });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ message: 'Server error during login' });
+    handleTwoFactorError(res, error, 'Two-factor verify');
   }
 });
 
-// Refresh token
-router.post('/refresh', async (req, res) => {
+/**
+ * @route   POST /api/auth/2fa/backup-codes
+ * @desc    Replace the backup codes with a new set
+ * @access  Private
+ */
+router.post('/2fa/backup-codes', authenticateToken, [
+  body('code').isString().trim().notEmpty()
+], async (req, res) => {
   try {
-    const { token } = req.body;
-    
-    if (!token) {
-      return res.status(401).json({ message: 'Token required' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret');
-    
-    // Generate new token
-    const newToken = jwt.sign(
-      { userId: decoded.userId, email: decoded.email },
-      process.env.JWT_SECRET || 'fallback_secret',
-      { expiresIn: '7d' }
-    );
+    const { backupCodes } = await TwoFactorService.regenerateBackupCodes(req.user.userId, req.body.code);
+    res.json({ backupCodes });
+  } catch (error) {
+    handleTwoFactorError(res, error, 'Regenerate backup codes');
+  }
+});
+
+/**
+ * @route   POST /api/auth/2fa/disable
+ * @desc    Turn two-factor authentication off (not allowed for admins and moderators)
+ * @access  Private
+ */
+router.post('/2fa/disable', authenticateToken, [
+  body('code').isString().trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await TwoFactorService.disable(req.user.userId, req.body.code);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    handleTwoFactorError(res, error, 'Two-factor disable');
+  }
+});
+
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Swap a refresh token for a new access token and refresh token.
+ *          Each refresh token works once; reusing one signs its session out.
+ * @access  Public
+ */
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(401).json({ message: 'Refresh token required' });
+    }
+
+    const { accessToken, refreshToken } = await SessionService.refresh(req.body.refreshToken, getClientInfo(req));
+
+    res.json({ token: accessToken, refreshToken });
+  } catch (error) {
+    if (error.isCustomError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    res.json({ token: newToken });
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Sign this device out by revoking its refresh token's session
+ * @access  Public (works with an expired access token)
+ */
+router.post('/logout', [
+  body('refreshToken').optional().isString()
+], async (req, res) => {
+  try {
+    if (req.body.refreshToken) {
+      const session = await SessionService.revokeByRefreshToken(req.body.refreshToken);
+      if (session) {
+        disconnectSockets(req, `session_${session._id}`);
+      }
+    }
+
+    res.json({ message: 'Logged out successfully' });
   } catch (error) {
-    res.status(401).json({ message: 'Invalid token' });
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Sign out of every device, including this one
+ * @access  Private
+ */
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const count = await SessionService.revokeAllSessions(req.user.userId, 'logout_all');
+    disconnectSockets(req, `user_${req.user.userId}`);
+
+    res.json({ message: 'Logged out of all devices', sessionsRevoked: count });
+  } catch (error) {
+    console.error('Logout everywhere error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/auth/sessions
+ * @desc    List the devices the user is signed in on
+ * @access  Private
+ */
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await SessionService.listSessions(req.user.userId, req.user.sessionId);
+    res.json({ sessions });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @desc    Sign one device out
+ * @access  Private
+ */
+router.delete('/sessions/:sessionId', authenticateToken, [
+  param('sessionId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await SessionService.revokeSession(req.params.sessionId, req.user.userId, 'revoked');
+    disconnectSockets(req, `session_${req.params.sessionId}`);
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    if (error.isCustomError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error' });
   }
 });
 
@@ -213,6 +527,7 @@ router.get('/me', authenticateToken, async (req, res) => {
       address: user.address,
       role: user.role,
       isVerified: user.isVerified,
+      emailVerified: user.isEmailVerified(),
       isActive: user.isActive,
       neighbourhoodId: user.neighbourhoodId,
       createdAt: user.createdAt,
@@ -236,22 +551,108 @@ router.post('/forgot-password', [
 
     const { email } = req.body;
 
-    // Check if user exists
-    const user = await User.findOne({ email });
-
-    // Always return success to prevent email enumeration
+    // Always return success to prevent email enumeration. The email is sent
+    // after responding so response times don't reveal whether the account exists.
     res.json({ message: 'If an account with that email exists, a password reset link has been sent.' });
 
-    if (user) {
-      // TODO: Implement email sending logic
-      console.log(`Password reset requested for: ${email}`);
-    }
+    PasswordResetService.requestReset(email).catch(error => {
+      console.error('Password reset email error:', error);
+    });
   } catch (error) {
     console.error('Forgot password error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Reset password
+router.post('/reset-password', [
+  body('token').isString().notEmpty(),
+  body('password').isLength({ min: 6 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, password } = req.body;
+
+    let user;
+    try {
+      user = await PasswordResetService.resetPassword(token, password);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    // Sign the user out of every device
+    await SessionService.revokeAllSessions(user._id, 'password_change');
+    disconnectSockets(req, `user_${user._id}`);
+
+    res.json({ message: 'Password has been reset. Please sign in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Verify email address
+router.post('/verify-email', [
+  body('token').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    let user;
+    try {
+      user = await EmailVerificationService.verifyEmail(req.body.token);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    // Let the user's open sessions pick up the change
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`user_${user._id}`).emit('email_verified', { userId: user._id });
+    }
+
+    res.json({ message: 'Email verified successfully', emailVerified: true });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Resend verification email
+router.post('/resend-verification', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (user.isEmailVerified()) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    const result = await EmailVerificationService.sendVerification(user);
+    if (!result.sent) {
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json({
+        message: 'Please wait before requesting another verification email',
+        retryAfter: result.retryAfter
+      });
+    }
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // TEMPORARY: Self-promote to admin (DEVELOPMENT ONLY)
 // This endpoint allows any authenticated user to promote themselves to admin
 // Remove this in production!
@@ -1,10 +1,13 @@
 const express = require('express');
 const mongoose = require('mongoose');
-const { body, validationResult, query } = require('express-validator');
+const { body, param, validationResult, query } = require('express-validator');
 const ChatGroup = require('../models/ChatGroup');
 const Message = require('../models/Message');
 const User = require('../models/User');
 const { requireRole } = require('../middleware/auth');
+const { requireVerifiedEmail, requireApprovedMember } = require('../middleware/adminAuth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { idempotency } = require('../middleware/idempotency');
 const { 
   enhanceError, 
   logClassifiedError, 
@@ -13,6 +16,14 @@ const {
   ErrorSeverity 
 } = require('../utils/errorClassification');
 const { executeQuery } = require('../utils/dbOperationWrapper');
+const { formatMessageResponse } = require('../utils/messageFormatter');
+const {
+  CLIENT_MESSAGE_ID_PATTERN,
+  findByClientMessageId,
+  saveMessageOnce
+} = require('../utils/clientMessageId');
+const MessageSyncService = require('../services/MessageSyncService');
+const ThreadService = require('../services/ThreadService');
 const router = express.Router();
 
 // Get user's chat groups
@@ -317,129 +328,59 @@ const createChatErrorResponse = (error, context = {}, operationName = 'Chat oper
   return errorResponse;
 };
 
-// Utility function to format message response with consistent field mapping
-const formatMessageResponse = (msg) => {
-  // Ensure proper attachment field mapping - use attachments from schema, not media
-  const attachments = msg.attachments || [];
-  
-  // Standardize attachment format for consistent frontend consumption
-  const formattedAttachments = attachments.map(attachment => ({
-    id: attachment.id || attachment._id,
-    type: attachment.type,
-    url: attachment.url || null,
-    filename: attachment.filename || null,
-    size: attachment.size || null,
-    thumbnail: attachment.thumbnail || null,
-    metadata: attachment.metadata || {}
-  }));
-  
-  // Handle sender information with proper null safety
-  const senderId = msg.senderId?._id || msg.senderId;
-  const senderFirstName = msg.senderId?.firstName || '';
-  const senderLastName = msg.senderId?.lastName || '';
-  const senderName = (senderFirstName || senderLastName) 
-    ? `${senderFirstName} ${senderLastName}`.trim() 
-    : (msg.senderName || 'Unknown');
-  const senderAvatar = msg.senderId?.profileImageUrl || null;
-  
-  // Handle replyTo with proper null handling and field mapping
-  let replyToFormatted = null;
-  if (msg.replyTo && (msg.replyTo.messageId || msg.replyTo.content)) {
-    replyToFormatted = {
-      id: msg.replyTo.messageId?._id || msg.replyTo.messageId || null,
-      content: msg.replyTo.messageId?.content || msg.replyTo.content || '',
-      senderId: msg.replyTo.messageId?.senderId || null,
-      senderName: msg.replyTo.senderName || 'Unknown',
-      type: msg.replyTo.type || 'text'
-    };
-  }
-  
-  // Handle reactions with proper null handling and consistent format
-  const formattedReactions = (msg.reactions || []).map(reaction => ({
-    type: reaction.type,
-    count: Math.max(0, reaction.count || 0), // Ensure non-negative count
-    users: reaction.users || [],
-    createdAt: reaction.createdAt || null
-  }));
-  
-  // Handle forwardedFrom with comprehensive null handling
-  let forwardedFromFormatted = null;
-  if (msg.isForwarded && msg.forwardedFrom) {
-    forwardedFromFormatted = {
-      messageId: msg.forwardedFrom.messageId || null,
-      originalSenderId: msg.forwardedFrom.originalSenderId || null,
-      originalSenderName: msg.forwardedFrom.originalSenderName || 'Unknown',
-      originalChatId: msg.forwardedFrom.originalChatId || null,
-      originalChatName: msg.forwardedFrom.originalChatName || 'Unknown Chat',
-      forwardedBy: msg.forwardedFrom.forwardedBy || null,
-      forwardedByName: msg.forwardedFrom.forwardedByName || 'Unknown',
-      forwardedAt: msg.forwardedFrom.forwardedAt || null
-    };
+/**
+ * Answer a retried send with the message its first attempt created. Nothing is
+ * broadcast or notified again; the client reconciles it by clientMessageId.
+ * @param {Object} res - Express response
+ * @param {Object} message - Existing message document
+ * @param {string} userId - ID of the sender
+ */
+const respondWithExistingMessage = async (res, message, userId) => {
+  await message.populate('senderId', 'firstName lastName profileImageUrl');
+  if (message.replyTo && message.replyTo.messageId) {
+    await message.populate('replyTo.messageId', 'content senderId');
   }
-  
-  // Create standardized response with consistent field mapping
-  return {
-    // Core message fields
-    id: msg._id,
-    content: msg.content || '', // Ensure string for content
-    type: msg.messageType || 'text', // Primary field - use messageType from schema
-    messageType: msg.messageType || 'text', // Legacy support - maintain backward compatibility
-    
-    // Attachment fields - both legacy and standard for backward compatibility
-    media: formattedAttachments, // Legacy support - map attachments to media
-    attachments: formattedAttachments, // Standard field - consistent with schema
-    
-    // Sender information with proper null handling
-    senderId: senderId,
-    senderName: senderName,
-    senderAvatar: senderAvatar, // Proper null handling with optional chaining
-    
-    // Reply information with comprehensive null handling
-    replyTo: replyToFormatted,
-    
-    // Reactions with proper formatting
-    reactions: formattedReactions,
-    
-    // Boolean fields with explicit conversion
-    isEdited: Boolean(msg.isEdited),
-    isForwarded: Boolean(msg.isForwarded),
-    isDeleted: Boolean(msg.isDeleted),
-    isStarred: Boolean(msg.isStarred),
-    
-    // Forwarding information with null handling
-    forwardedFrom: forwardedFromFormatted,
-    
-    // Status and moderation
-    status: msg.status || 'sent', // Default to 'sent' if no status
-    moderationStatus: msg.moderationStatus || 'active',
-    
-    // Timestamps - both standard and legacy for frontend compatibility
-    createdAt: msg.createdAt,
-    updatedAt: msg.updatedAt,
-    timestamp: msg.createdAt, // Frontend compatibility field
-    
-    // Additional metadata fields
-    deliveredTo: msg.deliveredTo || [],
-    readBy: msg.readBy || [],
-    
-    // Enhanced fields for future functionality
-    encryption: msg.encryption ? {
-      isEncrypted: Boolean(msg.encryption.isEncrypted),
-      encryptionVersion: msg.encryption.encryptionVersion || null
-    } : null,
-    
-    autoDelete: msg.autoDelete ? {
-      enabled: Boolean(msg.autoDelete.enabled),
-      expiresAt: msg.autoDelete.expiresAt || null
-    } : null
-  };
+
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(200).json(formatMessageResponse(message, userId));
 };
 
+// Populated on messages returned by history pages and change syncs
+const GROUP_MESSAGE_POPULATE = [
+  ['senderId', 'firstName lastName profileImageUrl'],
+  ['replyTo.messageId', 'content senderId']
+];
+
+/**
+ * Verify the user is a member of an active group
+ * @param {string} groupId - Group ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} The group, or null if the user is not a member
+ */
+const findMemberGroup = (groupId, userId) => executeQuery(
+  () => ChatGroup.findOne({
+    _id: groupId,
+    'members.userId': userId,
+    isActive: true
+  }),
+  {
+    operationName: 'Verify group membership',
+    timeout: 10000,
+    metadata: { groupId, userId },
+    retryOptions: {
+      maxRetries: 2,
+      initialDelayMs: 500
+    }
+  }
+);
+
 // Get messages for a group
 router.get('/groups/:groupId/messages', [
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('offset').optional().isInt({ min: 0 }).withMessage('Offset must be non-negative'),
-  query('before').optional().isISO8601().withMessage('Before parameter must be a valid ISO8601 date')
+  query('before').optional().isISO8601().withMessage('Before parameter must be a valid ISO8601 date'),
+  query('cursor').optional().isString().isLength({ max: 200 }).withMessage('Cursor is invalid'),
+  query('direction').optional().isIn(['older', 'newer']).withMessage('Direction must be older or newer')
 ], async (req, res) => {
   const startTime = Date.now();
   const requestContext = {
@@ -462,7 +403,7 @@ router.get('/groups/:groupId/messages', [
     }
 
     const groupId = req.params.groupId;
-    const { limit = 50, offset = 0, before } = req.query;
+    const { limit = 50, offset = 0, before, cursor, direction } = req.query;
     const userId = req.user.userId;
 
     // Validate ObjectId format for groupId
@@ -484,22 +425,7 @@ router.get('/groups/:groupId/messages', [
     }
 
     // Verify user is member of the group with enhanced error handling
-    const group = await executeQuery(
-      () => ChatGroup.findOne({
-        _id: groupId,
-        'members.userId': userId,
-        isActive: true
-      }),
-      {
-        operationName: 'Verify group membership',
-        timeout: 10000,
-        metadata: { groupId, userId },
-        retryOptions: {
-          maxRetries: 2,
-          initialDelayMs: 500
-        }
-      }
-    );
+    const group = await findMemberGroup(groupId, userId);
 
     if (!group) {
       const accessError = createError('Not a member of this group or group not found', {
@@ -522,9 +448,39 @@ router.get('/groups/:groupId/messages', [
     const messageQuery = {
       chatId: groupId,
       chatType: 'group',
-      moderationStatus: 'active'
+      moderationStatus: 'active',
+      deletedFor: { $ne: userId },
+      threadOnly: { $ne: true } // Thread-only replies are loaded with their thread
     };
 
+    // Cursor pagination: stable pages plus a sync cursor for /messages/changes
+    if (cursor || direction) {
+      const page = await executeQuery(
+        () => MessageSyncService.getHistoryPage(messageQuery, {
+          cursor,
+          direction,
+          limit: parseInt(limit),
+          populate: GROUP_MESSAGE_POPULATE
+        }),
+        {
+          operationName: 'Fetch group message page',
+          timeout: 15000,
+          metadata: { groupId, userId, direction },
+          retryOptions: {
+            maxRetries: 3,
+            initialDelayMs: 1000,
+            shouldRetry: (error) => !error.isCustomError && error.classification?.retryable
+          }
+        }
+      );
+
+      return res.json({
+        messages: page.messages.map(msg => formatMessageResponse(msg, userId)),
+        pageInfo: page.pageInfo,
+        syncCursor: page.syncCursor
+      });
+    }
+
     if (before) {
       try {
         messageQuery.createdAt = { $lt: new Date(before) };
@@ -587,7 +543,7 @@ router.get('/groups/:groupId/messages', [
     // Format messages using standardized utility function with error handling
     let formattedMessages;
     try {
-      formattedMessages = messages.map(formatMessageResponse).reverse(); // Reverse to show oldest first
+      formattedMessages = messages.map(msg => formatMessageResponse(msg, userId)).reverse(); // Reverse to show oldest first
     } catch (formatError) {
       const formattingError = createError('Failed to format message response', {
         code: 'MESSAGE_FORMAT_ERROR',
@@ -619,6 +575,10 @@ router.get('/groups/:groupId/messages', [
 
     res.json(formattedMessages);
   } catch (error) {
+    if (error.isCustomError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code });
+    }
+
     // Use enhanced error handling and response creation
     const errorResponse = createChatErrorResponse(error, requestContext, 'Fetch group messages');
     
@@ -649,15 +609,158 @@ router.get('/groups/:groupId/messages', [
   }
 });
 
+// Get messages created, edited or removed in a group since a sync cursor
+router.get('/groups/:groupId/messages/changes', [
+  query('since').isString().isLength({ min: 1, max: 200 }).withMessage('Since must be a sync cursor'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limit must be between 1 and 500')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { groupId } = req.params;
+    const { since, limit = 200 } = req.query;
+    const userId = req.user.userId;
+
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      return res.status(400).json({ message: 'Invalid group ID format', code: 'INVALID_GROUP_ID' });
+    }
+
+    const group = await findMemberGroup(groupId, userId);
+    if (!group) {
+      return res.status(403).json({ message: 'Not a member of this group or group not found' });
+    }
+
+    const changes = await MessageSyncService.getChanges(
+      { chatId: groupId, chatType: 'group', threadOnly: { $ne: true } },
+      {
+        since,
+        limit: parseInt(limit),
+        populate: GROUP_MESSAGE_POPULATE,
+        // Messages hidden by moderation or deleted for this user since the last sync are removed client-side
+        isVisible: msg => msg.moderationStatus === 'active' &&
+          !msg.deletedFor.some(id => id.toString() === userId)
+      }
+    );
+
+    res.json({
+      messages: changes.messages.map(msg => formatMessageResponse(msg, userId)),
+      deletedIds: changes.deletedIds,
+      syncCursor: changes.syncCursor,
+      hasMore: changes.hasMore
+    });
+  } catch (error) {
+    if (error.isCustomError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code });
+    }
+    console.error('Get group message changes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Get a thread: its root message and a page of replies, oldest first
+router.get('/groups/:groupId/messages/:messageId/thread', [
+  param('groupId').isMongoId().withMessage('Invalid group ID format'),
+  param('messageId').isMongoId().withMessage('Invalid message ID format'),
+  query('cursor').optional().isString().isLength({ max: 200 }).withMessage('Cursor is invalid'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { groupId, messageId } = req.params;
+    const { cursor, limit = 50 } = req.query;
+    const userId = req.user.userId;
+
+    const group = await findMemberGroup(groupId, userId);
+    if (!group) {
+      return res.status(403).json({ message: 'Not a member of this group or group not found' });
+    }
+
+    // Any message in the thread opens the whole thread
+    const root = await ThreadService.findThreadRoot(groupId, messageId);
+    await root.populate(GROUP_MESSAGE_POPULATE.map(([path, select]) => ({ path, select })));
+
+    const { replies, pageInfo } = await ThreadService.getReplies(root, userId, {
+      cursor,
+      limit: parseInt(limit),
+      populate: GROUP_MESSAGE_POPULATE
+    });
+
+    res.json({
+      root: formatMessageResponse(root, userId),
+      replies: replies.map(msg => formatMessageResponse(msg, userId)),
+      pageInfo
+    });
+  } catch (error) {
+    if (error.isCustomError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code });
+    }
+    console.error('Get message thread error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * Follow or stop following a thread
+ * @param {boolean} follow - Whether the route follows or unfollows
+ * @returns {Function} Express handler
+ */
+const setThreadFollowing = (follow) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { groupId, messageId } = req.params;
+    const userId = req.user.userId;
+
+    const group = await findMemberGroup(groupId, userId);
+    if (!group) {
+      return res.status(403).json({ message: 'Not a member of this group or group not found' });
+    }
+
+    const root = await ThreadService.findThreadRoot(groupId, messageId);
+    await ThreadService.setFollowing(root, userId, follow);
+
+    res.json({ rootId: root._id, isFollowing: follow });
+  } catch (error) {
+    if (error.isCustomError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code });
+    }
+    console.error('Update thread follow error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+const threadFollowValidation = [
+  param('groupId').isMongoId().withMessage('Invalid group ID format'),
+  param('messageId').isMongoId().withMessage('Invalid message ID format')
+];
+
+// Follow a thread to be notified of its replies
+router.put('/groups/:groupId/messages/:messageId/thread/follow', threadFollowValidation, setThreadFollowing(true));
+
+// Stop following a thread
+router.delete('/groups/:groupId/messages/:messageId/thread/follow', threadFollowValidation, setThreadFollowing(false));
+
 // Send message
-router.post('/groups/:groupId/messages', [
+router.post('/groups/:groupId/messages', requireVerifiedEmail, requireApprovedMember, idempotency, rateLimit('message_send'), [
   body('content').trim().isLength({ min: 1, max: 10000 }).withMessage('Message content must be between 1 and 10000 characters'),
   body('type').optional().isIn(['text', 'image', 'audio', 'video', 'document', 'location', 'contact']).withMessage('Invalid message type'),
   body('messageType').optional().isIn(['text', 'image', 'video', 'file']).withMessage('Invalid legacy message type'), // Legacy support
   body('replyToId').optional().isMongoId().withMessage('Reply ID must be a valid MongoDB ObjectId'),
+  body('threadOnly').optional().isBoolean().withMessage('threadOnly must be a boolean'),
   body('isForwarded').optional().isBoolean().withMessage('isForwarded must be a boolean'),
   body('forwardedFrom').optional().isObject().withMessage('forwardedFrom must be an object'),
-  body('attachments').optional().isArray().withMessage('Attachments must be an array')
+  body('attachments').optional().isArray().withMessage('Attachments must be an array'),
+  body('clientMessageId').optional().matches(CLIENT_MESSAGE_ID_PATTERN).withMessage('Client message ID must be 8-128 letters, digits or _.:- characters')
 ], async (req, res) => {
   const startTime = Date.now();
   const requestContext = {
@@ -686,9 +789,11 @@ router.post('/groups/:groupId/messages', [
       type, 
       messageType = 'text', 
       replyToId, 
+      threadOnly = false,
       isForwarded = false, 
       forwardedFrom,
-      attachments = []
+      attachments = [],
+      clientMessageId
     } = req.body;
     const userId = req.user.userId;
 
@@ -753,6 +858,26 @@ router.post('/groups/:groupId/messages', [
       return res.status(403).json(errorResponse);
     }
 
+    // A retried send gets the message its first attempt created
+    if (clientMessageId) {
+      const existingMessage = await executeQuery(
+        () => findByClientMessageId(userId, groupId, clientMessageId),
+        {
+          operationName: 'Find message by client message ID',
+          timeout: 5000,
+          metadata: { groupId, userId, clientMessageId },
+          retryOptions: {
+            maxRetries: 1,
+            initialDelayMs: 200
+          }
+        }
+      );
+
+      if (existingMessage) {
+        return respondWithExistingMessage(res, existingMessage, userId);
+      }
+    }
+
     // Get user info for senderName with enhanced error handling
     const user = await executeQuery(
       () => User.findById(userId).select('firstName lastName'),
@@ -770,6 +895,7 @@ router.post('/groups/:groupId/messages', [
     const senderName = user ? `${user.firstName} ${user.lastName}`.trim() : 'Unknown';
 
     // Validate reply message exists if replyToId is provided
+    let threadRoot = null;
     if (replyToId) {
       const replyMessage = await executeQuery(
         () => Message.findOne({
@@ -800,6 +926,20 @@ router.post('/groups/:groupId/messages', [
         const errorResponse = createChatErrorResponse(invalidReplyError, requestContext, 'Reply message validation');
         return res.status(400).json(errorResponse);
       }
+
+      // Replies join the thread of the message they reply to
+      threadRoot = await executeQuery(
+        () => ThreadService.getRoot(replyMessage),
+        {
+          operationName: 'Find thread root',
+          timeout: 5000,
+          metadata: { replyToId, groupId, userId },
+          retryOptions: {
+            maxRetries: 1,
+            initialDelayMs: 200
+          }
+        }
+      );
     }
 
     // Create message data with proper validation
@@ -814,6 +954,10 @@ router.post('/groups/:groupId/messages', [
       moderationStatus: 'active'
     };
 
+    if (clientMessageId) {
+      messageData.clientMessageId = clientMessageId;
+    }
+
     // Validate required fields
     if (!content || content.trim().length === 0) {
       const emptyContentError = createError('Message content cannot be empty', {
@@ -833,6 +977,8 @@ router.post('/groups/:groupId/messages', [
         messageId: replyToId
         // Additional reply fields will be populated when the message is fetched
       };
+      messageData.threadRootId = threadRoot._id;
+      messageData.threadOnly = Boolean(threadOnly);
     }
 
     // Add forwarding data if message is forwarded with validation
@@ -893,17 +1039,19 @@ router.post('/groups/:groupId/messages', [
       messageData.attachments = validatedAttachments;
     }
 
-    // Create and save message with enhanced error handling
-    const message = await executeQuery(
+    // Create and save message with enhanced error handling. A concurrent retry
+    // with the same client message ID may have saved it first.
+    const { message, replayed } = await executeQuery(
       async () => {
-        const newMessage = new Message(messageData);
-        const savedMessage = await newMessage.save();
+        const saved = await saveMessageOnce(new Message(messageData));
         
         // Set status to 'sent' after successful save
-        savedMessage.status = 'sent';
-        await savedMessage.save();
+        if (!saved.replayed) {
+          saved.message.status = 'sent';
+          await saved.message.save();
+        }
         
-        return savedMessage;
+        return saved;
       },
       {
         operationName: 'Save new message',
@@ -928,6 +1076,25 @@ router.post('/groups/:groupId/messages', [
       }
     );
 
+    if (replayed) {
+      return respondWithExistingMessage(res, message, userId);
+    }
+
+    if (threadRoot) {
+      threadRoot = await executeQuery(
+        () => ThreadService.recordReply(threadRoot, message),
+        {
+          operationName: 'Update thread summary',
+          timeout: 5000,
+          metadata: { groupId, userId, messageId: message._id, threadRootId: threadRoot._id },
+          // The reply count is incremented, so a retry could count the reply twice
+          retryOptions: {
+            maxRetries: 0
+          }
+        }
+      );
+    }
+
     // Update group's last activity with error handling
     await executeQuery(
       async () => {
@@ -977,7 +1144,7 @@ router.post('/groups/:groupId/messages', [
     // Format response using standardized utility function with error handling
     let formattedMessage;
     try {
-      formattedMessage = formatMessageResponse(message);
+      formattedMessage = formatMessageResponse(message, userId);
     } catch (formatError) {
       const formattingError = createError('Failed to format message response', {
         code: 'MESSAGE_FORMAT_ERROR',
@@ -1000,43 +1167,70 @@ router.post('/groups/:groupId/messages', [
     try {
       const io = req.app.get('io'); // Get socket.io instance from app
       if (io) {
-        // Broadcast to all group members except sender
-        io.to(`group_${groupId}`).emit('new_message', formattedMessage);
+        // Broadcast to all group members except sender; thread-only replies
+        // stay out of the main conversation
+        if (!message.threadOnly) {
+          io.to(`group_${groupId}`).emit('new_message', formattedMessage);
+        }
+
+        // Open thread views add the reply, and everyone's reply counts move on
+        if (threadRoot) {
+          io.to(`group_${groupId}`).emit('thread_updated', {
+            chatId: groupId,
+            rootId: threadRoot._id,
+            thread: ThreadService.formatSummary(threadRoot),
+            reply: formattedMessage
+          });
+        }
         
         // Send confirmation to sender
         io.to(`user_${userId}`).emit('message_sent', formattedMessage);
         
-        // Create notifications for group members (excluding sender)
+        // Create notifications for group members (excluding sender). Thread
+        // replies only notify the thread's followers.
         try {
           const NotificationService = require('../services/NotificationService');
-          const groupMembers = group.members.filter(member => 
-            member.userId.toString() !== userId.toString()
-          );
+          const recipientIds = threadRoot
+            ? ThreadService.getFollowerIdsToNotify(threadRoot, userId, group.members.map(member => member.userId))
+            : group.members
+              .map(member => member.userId.toString())
+              .filter(memberId => memberId !== userId.toString());
           
-          // Create notifications for each group member
-          for (const member of groupMembers) {
+          // Create notifications for each recipient
+          for (const recipientId of recipientIds) {
             try {
-              await NotificationService.createMessageNotification(
-                userId,
-                member.userId,
-                message._id,
-                'group',
-                group.name
-              );
+              if (threadRoot) {
+                await NotificationService.createThreadReplyNotification(
+                  userId,
+                  recipientId,
+                  message._id,
+                  threadRoot._id,
+                  group.name
+                );
+              } else {
+                await NotificationService.createMessageNotification(
+                  userId,
+                  recipientId,
+                  message._id,
+                  'group',
+                  group.name
+                );
+              }
               
               // Emit notification update to member
-              io.to(`user_${member.userId}`).emit('notification_update', {
-                type: 'new_message',
+              io.to(`user_${recipientId}`).emit('notification_update', {
+                type: threadRoot ? 'thread_reply' : 'new_message',
                 chatId: groupId,
                 chatType: 'group',
                 chatName: group.name,
                 senderId: userId,
                 senderName: senderName,
                 messageId: message._id,
+                ...(threadRoot && { threadRootId: threadRoot._id }),
                 timestamp: message.createdAt
               });
             } catch (notificationError) {
-              console.error(`Error creating notification for user ${member.userId}:`, notificationError);
+              console.error(`Error creating notification for user ${recipientId}:`, notificationError);
             }
           }
         } catch (notificationServiceError) {
@@ -1111,7 +1305,7 @@ router.post('/groups/:groupId/messages', [
 });
 
 // Create new chat group
-router.post('/groups', [
+router.post('/groups', requireVerifiedEmail, requireApprovedMember, [
   body('name').trim().isLength({ min: 1, max: 255 }).withMessage('Group name must be between 1 and 255 characters'),
   body('description').optional().trim().isLength({ max: 1000 }).withMessage('Description must not exceed 1000 characters'),
   body('type').optional().isIn(['public', 'private', 'announcement']).withMessage('Invalid group type')
@@ -1394,7 +1588,7 @@ router.post('/groups/:groupId/leave', async (req, res) => {
 });
 
 // Add or remove reaction to a message
-router.post('/messages/:messageId/react', [
+router.post('/messages/:messageId/react', requireVerifiedEmail, requireApprovedMember, idempotency, [
   body('reactionType').isIn(['thumbs_up', 'heart', 'smile', 'laugh', 'sad', 'angry'])
 ], async (req, res) => {
   try {
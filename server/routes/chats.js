@@ -0,0 +1,276 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const AutoDeleteService = require('../services/AutoDeleteService');
+const { findChatForUser, canManageChat } = require('../utils/chatAccess');
+const { formatMessageResponse } = require('../utils/messageFormatter');
+
+const router = express.Router();
+
+const paginationValidators = [
+  param('chatId').isMongoId(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+];
+
+/**
+ * Run a paginated message query for a chat
+ * @returns {Promise<Object>} { messages, total, page, limit, totalPages }
+ */
+const paginateMessages = async (filter, sort, { page, limit }, userId) => {
+  const skip = (page - 1) * limit;
+
+  const [messages, total] = await Promise.all([
+    Message.find(filter)
+      .sort(sort)
+      .skip(skip)
+      .limit(limit)
+      .populate('senderId', 'firstName lastName profileImageUrl')
+      .populate('replyTo.messageId', 'content senderId')
+      .lean(),
+    Message.countDocuments(filter)
+  ]);
+
+  return {
+    messages: messages.map(msg => formatMessageResponse(msg, userId)),
+    total,
+    page,
+    limit,
+    totalPages: Math.ceil(total / limit)
+  };
+};
+
+/**
+ * @route   GET /api/chats/:chatId/starred
+ * @desc    Get messages the current user has starred in a chat
+ * @access  Chat members
+ */
+router.get('/:chatId/starred', paginationValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.userId;
+    const { chatId } = req.params;
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+
+    const access = await findChatForUser(chatId, userId);
+    if (!access) {
+      return res.status(403).json({ message: 'Not authorized to access this chat' });
+    }
+
+    const result = await paginateMessages({
+      chatId,
+      'starredBy.userId': userId,
+      moderationStatus: 'active',
+      isDeleted: { $ne: true },
+      deletedFor: { $ne: userId }
+    }, { createdAt: -1 }, { page, limit }, userId);
+
+    res.json(result);
+  } catch (error) {
+    console.error('Get starred messages error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   DELETE /api/chats/:chatId/starred
+ * @desc    Remove all of the current user's stars in a chat
+ * @access  Chat members
+ */
+router.delete('/:chatId/starred', [
+  param('chatId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.userId;
+    const { chatId } = req.params;
+
+    const access = await findChatForUser(chatId, userId);
+    if (!access) {
+      return res.status(403).json({ message: 'Not authorized to access this chat' });
+    }
+
+    const result = await Message.updateMany(
+      { chatId, 'starredBy.userId': userId },
+      { $pull: { starredBy: { userId } } }
+    );
+
+    // Keep the legacy flag in sync for messages nobody has starred any more
+    await Message.updateMany(
+      { chatId, isStarred: true, starredBy: { $size: 0 } },
+      { $set: { isStarred: false } }
+    );
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`user_${userId}`).emit('starred_messages_cleared', { chatId });
+    }
+
+    res.json({
+      message: 'Starred messages cleared',
+      clearedCount: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Clear starred messages error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/chats/:chatId/pinned
+ * @desc    Get pinned messages in a chat, most recently pinned first
+ * @access  Chat members
+ */
+router.get('/:chatId/pinned', paginationValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.userId;
+    const { chatId } = req.params;
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+
+    const access = await findChatForUser(chatId, userId);
+    if (!access) {
+      return res.status(403).json({ message: 'Not authorized to access this chat' });
+    }
+
+    const result = await paginateMessages({
+      chatId,
+      isPinned: true,
+      moderationStatus: 'active',
+      isDeleted: { $ne: true },
+      deletedFor: { $ne: userId }
+    }, { pinnedAt: -1 }, { page, limit }, userId);
+
+    res.json(result);
+  } catch (error) {
+    console.error('Get pinned messages error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/chats/:chatId/auto-delete
+ * @desc    Get the chat's disappearing message settings
+ * @access  Chat members
+ */
+router.get('/:chatId/auto-delete', [
+  param('chatId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const access = await findChatForUser(req.params.chatId, req.user.userId);
+    if (!access) {
+      return res.status(403).json({ message: 'Not authorized to access this chat' });
+    }
+
+    res.json({
+      settings: AutoDeleteService.formatSettings(access.chat),
+      periods: AutoDeleteService.AUTO_DELETE_PERIODS
+    });
+  } catch (error) {
+    console.error('Get auto-delete settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   PUT /api/chats/:chatId/auto-delete
+ * @desc    Turn disappearing messages on or off for a chat
+ * @access  Group admins/moderators, private chat participants
+ */
+router.put('/:chatId/auto-delete', [
+  param('chatId').isMongoId(),
+  body('settings.enabled').isBoolean().toBoolean(),
+  body('settings.period')
+    .if((value, { req }) => req.body.settings?.enabled === true)
+    .toInt()
+    .isIn(AutoDeleteService.AUTO_DELETE_PERIODS)
+    .withMessage('Invalid auto-delete period'),
+  body('settings.applyToExisting').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.userId;
+    const access = await findChatForUser(req.params.chatId, userId);
+    if (!access) {
+      return res.status(403).json({ message: 'Not authorized to access this chat' });
+    }
+
+    if (!canManageChat(access, req.user.role)) {
+      return res.status(403).json({ message: 'Only group admins and moderators can change disappearing messages' });
+    }
+
+    const user = await User.findById(userId).select('firstName lastName');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const settings = await AutoDeleteService.updateSettings(
+      access,
+      req.body.settings,
+      user,
+      req.app.get('io')
+    );
+
+    res.json({ settings });
+  } catch (error) {
+    console.error('Update auto-delete settings error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/chats/:chatId/cleanup-expired
+ * @desc    Delete the chat's expired messages now instead of waiting for the sweeper
+ * @access  Chat members
+ */
+router.post('/:chatId/cleanup-expired', [
+  param('chatId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const access = await findChatForUser(req.params.chatId, req.user.userId);
+    if (!access) {
+      return res.status(403).json({ message: 'Not authorized to access this chat' });
+    }
+
+    const deletedCount = await AutoDeleteService.deleteExpiredMessages(
+      req.app.get('io'),
+      access.chat._id
+    );
+
+    res.json({ deletedCount });
+  } catch (error) {
+    console.error('Cleanup expired messages error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
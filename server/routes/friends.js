@@ -3,6 +3,9 @@ const { body, validationResult, query } = require('express-validator');
 const User = require('../models/User');
 const FriendRequest = require('../models/FriendRequest');
 const NotificationService = require('../services/NotificationService');
+const BlockingService = require('../services/BlockingService');
+const PrivacyService = require('../services/PrivacyService');
+const PresenceService = require('../services/PresenceService');
 const router = express.Router();
 
 // Get user's friends
@@ -85,6 +88,11 @@ router.post('/request', [
       return res.status(404).json({ message: 'User not found' });
     }
 
+    // Blocked users cannot send each other friend requests
+    if (await BlockingService.isBlockedEitherWay(fromUserId, toUserId)) {
+      return res.status(403).json({ message: 'Cannot send friend request to this user' });
+    }
+
     // Check if users are already friends
     const currentUser = await User.findById(fromUserId);
     if (currentUser.friends.includes(toUserId)) {
@@ -256,6 +264,9 @@ router.delete('/:friendId', async (req, res) => {
       $pull: { friends: userId }
     });
 
+    // Presence shown only to friends must stop reaching the other user
+    PresenceService.unsubscribeEachOther(req.app.get('io'), userId, friendId);
+
     res.json({ message: 'Friend removed successfully' });
   } catch (error) {
     console.error('Remove friend error:', error);
@@ -322,10 +333,13 @@ router.get('/search', [
       return res.status(404).json({ message: 'User not found' });
     }
 
+    // Hide users on either side of a block
+    const excludedUserIds = await BlockingService.getExcludedUserIds(userId);
+
     // Search for users in the same neighbourhood
     const searchRegex = new RegExp(searchQuery, 'i');
     const users = await User.find({
-      _id: { $ne: userId }, // Exclude current user
+      _id: { $ne: userId, $nin: excludedUserIds }, // Exclude current user and blocked users
       neighbourhoodId: currentUser.neighbourhoodId, // Same neighbourhood
       status: 'active',
       $or: [
@@ -334,6 +348,7 @@ router.get('/search', [
         { email: searchRegex }
       ]
     })
+    .and([PrivacyService.visibleToFilter(currentUser)]) // Respect profile visibility
     .select('firstName lastName email profileImageUrl')
     .limit(parseInt(limit));
 
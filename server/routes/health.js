@@ -288,6 +288,7 @@ router.get('/change-streams', async (req, res) => {
     res.json({
       status: 'available',
       initialized: status.initialized,
+      mode: status.mode,
       activeStreams: status.changeStreams.activeStreams,
       collections: status.changeStreams.collections,
       timestamp: new Date().toISOString()
@@ -321,6 +322,7 @@ router.post('/change-streams/restart', async (req, res) => {
     res.json({
       status: 'restarted',
       initialized: status.initialized,
+      mode: status.mode,
       activeStreams: status.changeStreams.activeStreams,
       collections: status.changeStreams.collections,
       timestamp: new Date().toISOString()
@@ -0,0 +1,371 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Message = require('../models/Message');
+const MessageEditService = require('../services/MessageEditService');
+const { findChatForUser, canManageChat, emitToChat } = require('../utils/chatAccess');
+const { formatMessageResponse } = require('../utils/messageFormatter');
+
+const router = express.Router();
+
+// Maximum number of pinned messages per chat
+const MAX_PINNED_MESSAGES = parseInt(process.env.MAX_PINNED_MESSAGES || '5');
+
+/**
+ * Load a message and verify the user belongs to its chat
+ * @returns {Promise<Object>} { message, access } or { status, error }
+ */
+const loadMessageForUser = async (messageId, userId) => {
+  const message = await Message.findOne({
+    _id: messageId,
+    moderationStatus: 'active',
+    deletedFor: { $ne: userId }
+  });
+
+  if (!message || message.isDeleted) {
+    return { status: 404, error: 'Message not found' };
+  }
+
+  const access = await findChatForUser(message.chatId, userId, message.chatType);
+  if (!access) {
+    return { status: 403, error: 'Not authorized to access this message' };
+  }
+
+  return { message, access };
+};
+
+/**
+ * @route   POST /api/messages/:messageId/star
+ * @desc    Star a message for the current user
+ * @access  Chat members
+ */
+router.post('/:messageId/star', [
+  param('messageId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.userId;
+    const { message, status, error } = await loadMessageForUser(req.params.messageId, userId);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    await message.star(userId);
+
+    // Stars are personal, so only sync the user's other devices
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`user_${userId}`).emit('message_starred', {
+        messageId: message._id,
+        chatId: message.chatId
+      });
+    }
+
+    res.json({
+      messageId: message._id,
+      isStarred: true
+    });
+  } catch (error) {
+    console.error('Star message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   DELETE /api/messages/:messageId/star
+ * @desc    Remove the current user's star from a message
+ * @access  Chat members
+ */
+router.delete('/:messageId/star', [
+  param('messageId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.userId;
+    const { message, status, error } = await loadMessageForUser(req.params.messageId, userId);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    await message.unstar(userId);
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`user_${userId}`).emit('message_unstarred', {
+        messageId: message._id,
+        chatId: message.chatId
+      });
+    }
+
+    res.json({
+      messageId: message._id,
+      isStarred: false
+    });
+  } catch (error) {
+    console.error('Unstar message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   POST /api/messages/:messageId/pin
+ * @desc    Pin a message in its chat
+ * @access  Group admins/moderators, private chat participants
+ */
+router.post('/:messageId/pin', [
+  param('messageId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.userId;
+    const { message, access, status, error } = await loadMessageForUser(req.params.messageId, userId);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    if (!canManageChat(access, req.user.role)) {
+      return res.status(403).json({ message: 'Only group admins and moderators can pin messages' });
+    }
+
+    if (message.isPinned) {
+      return res.status(400).json({ message: 'Message is already pinned' });
+    }
+
+    const pinnedCount = await Message.countDocuments({
+      chatId: message.chatId,
+      isPinned: true,
+      isDeleted: { $ne: true }
+    });
+
+    if (pinnedCount >= MAX_PINNED_MESSAGES) {
+      return res.status(400).json({
+        message: `A chat can have at most ${MAX_PINNED_MESSAGES} pinned messages`,
+        code: 'PIN_LIMIT_REACHED',
+        limit: MAX_PINNED_MESSAGES
+      });
+    }
+
+    message.isPinned = true;
+    message.pinnedBy = userId;
+    message.pinnedAt = new Date();
+    await message.save();
+
+    emitToChat(req.app.get('io'), access, 'message_pinned', {
+      messageId: message._id,
+      chatId: message.chatId,
+      chatType: message.chatType,
+      pinnedBy: userId,
+      pinnedAt: message.pinnedAt
+    });
+
+    res.json({
+      messageId: message._id,
+      isPinned: true,
+      pinnedBy: userId,
+      pinnedAt: message.pinnedAt
+    });
+  } catch (error) {
+    console.error('Pin message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   DELETE /api/messages/:messageId/pin
+ * @desc    Unpin a message
+ * @access  Group admins/moderators, private chat participants
+ */
+router.delete('/:messageId/pin', [
+  param('messageId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.userId;
+    const { message, access, status, error } = await loadMessageForUser(req.params.messageId, userId);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    if (!canManageChat(access, req.user.role)) {
+      return res.status(403).json({ message: 'Only group admins and moderators can unpin messages' });
+    }
+
+    if (!message.isPinned) {
+      return res.status(400).json({ message: 'Message is not pinned' });
+    }
+
+    message.isPinned = false;
+    message.pinnedBy = undefined;
+    message.pinnedAt = undefined;
+    await message.save();
+
+    emitToChat(req.app.get('io'), access, 'message_unpinned', {
+      messageId: message._id,
+      chatId: message.chatId,
+      chatType: message.chatType,
+      unpinnedBy: userId
+    });
+
+    res.json({
+      messageId: message._id,
+      isPinned: false
+    });
+  } catch (error) {
+    console.error('Unpin message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   PATCH /api/messages/:messageId
+ * @desc    Edit a message; the replaced content is kept in its edit history
+ * @access  The sender, within the edit window
+ */
+router.patch('/:messageId', [
+  param('messageId').isMongoId(),
+  body('content').isString().trim().isLength({ min: 1, max: 10000 })
+    .withMessage('Message content must be between 1 and 10000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.userId;
+    const { message, access, status, error } = await loadMessageForUser(req.params.messageId, userId);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    const edited = await MessageEditService.editMessage(message, access, userId, req.body.content);
+
+    emitToChat(req.app.get('io'), access, 'message_edited', {
+      messageId: edited._id,
+      chatId: edited.chatId,
+      chatType: edited.chatType,
+      content: edited.content,
+      isEdited: edited.isEdited,
+      editedAt: edited.editedAt
+    });
+
+    res.json(formatMessageResponse(edited, userId));
+  } catch (error) {
+    if (error.isCustomError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code });
+    }
+    console.error('Edit message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/messages/:messageId/history
+ * @desc    Get the earlier versions of an edited message
+ * @access  Chat members
+ */
+router.get('/:messageId/history', [
+  param('messageId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { message, status, error } = await loadMessageForUser(req.params.messageId, req.user.userId);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    res.json(MessageEditService.getEditHistory(message));
+  } catch (error) {
+    console.error('Get message history error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   DELETE /api/messages/:messageId?scope=me|everyone
+ * @desc    Hide a message from the current user, or delete it for everyone
+ * @access  Chat members (me); the sender or group moderators (everyone)
+ */
+router.delete('/:messageId', [
+  param('messageId').isMongoId(),
+  query('scope').optional().isIn(Object.values(MessageEditService.DELETE_SCOPES))
+    .withMessage('Scope must be me or everyone')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.userId;
+    const scope = req.query.scope || MessageEditService.DELETE_SCOPES.ME;
+    const { message, access, status, error } = await loadMessageForUser(req.params.messageId, userId);
+    if (error) {
+      return res.status(status).json({ message: error });
+    }
+
+    const result = await MessageEditService.deleteMessage(message, access, req.user, scope, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    const io = req.app.get('io');
+    if (scope === MessageEditService.DELETE_SCOPES.ME) {
+      // Only hidden for this user, so only sync their other devices
+      if (io) {
+        io.to(`user_${userId}`).emit('message_deleted', {
+          messageId: message._id,
+          chatId: message.chatId,
+          chatType: message.chatType,
+          scope,
+          deletedFor: [userId]
+        });
+      }
+    } else {
+      emitToChat(io, access, 'message_deleted', {
+        messageId: message._id,
+        chatId: message.chatId,
+        chatType: message.chatType,
+        scope,
+        deletedFor: [],
+        deletedBy: userId,
+        byModerator: result.byModerator
+      });
+    }
+
+    res.json({
+      messageId: message._id,
+      scope,
+      isDeleted: scope === MessageEditService.DELETE_SCOPES.EVERYONE,
+      byModerator: result.byModerator
+    });
+  } catch (error) {
+    if (error.isCustomError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Delete message error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
+module.exports.MAX_PINNED_MESSAGES = MAX_PINNED_MESSAGES;
@@ -0,0 +1,77 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const Neighbourhood = require('../models/Neighbourhood');
+const GeocodingService = require('../services/GeocodingService');
+const { rateLimit } = require('../middleware/rateLimit');
+const router = express.Router();
+
+/**
+ * @route   GET /api/neighbourhoods/suggestions
+ * @desc    Suggest neighbourhoods whose radius contains a point, nearest first.
+ *          Takes either lat/lng or an address to geocode.
+ * @access  Public (used during registration); rate limited per IP, since
+ *          address lookups use up the geocoder's quota
+ */
+router.get('/', rateLimit('neighbourhood_suggestions'), [
+  query('lat').optional().isFloat({ min: -90, max: 90 }).toFloat(),
+  query('lng').optional().isFloat({ min: -180, max: 180 }).toFloat(),
+  query('address').optional().trim().isLength({ min: 1, max: 255 }),
+  query('limit').optional().isInt({ min: 1, max: 20 }).toInt(),
+  query().custom((value, { req }) => {
+    const hasCoordinates = req.query.lat !== undefined && req.query.lng !== undefined;
+    if (!hasCoordinates && !req.query.address) {
+      throw new Error('Provide lat and lng, or an address');
+    }
+    return true;
+  })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { lat, lng, address, limit = 5 } = req.query;
+    let location;
+    let source;
+
+    if (lat !== undefined && lng !== undefined) {
+      location = { latitude: lat, longitude: lng };
+      source = 'coordinates';
+    } else {
+      try {
+        location = await GeocodingService.geocode(address);
+      } catch (error) {
+        console.error('Geocoding error:', error);
+        return res.status(502).json({ message: 'Address lookup is unavailable. Try sharing your location instead.' });
+      }
+
+      if (!location) {
+        return res.status(404).json({ message: 'We could not find that address' });
+      }
+      source = 'address';
+    }
+
+    const neighbourhoods = await Neighbourhood.findContaining(location.latitude, location.longitude, limit);
+
+    res.json({
+      location,
+      source,
+      neighbourhoods: neighbourhoods.map(n => ({
+        id: n._id,
+        name: n.name,
+        description: n.description,
+        city: n.city,
+        state: n.state,
+        zipCode: n.zipCode,
+        radiusMeters: n.radiusMeters,
+        distanceMeters: Math.round(n.distanceMeters)
+      }))
+    });
+  } catch (error) {
+    console.error('Suggest neighbourhoods error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
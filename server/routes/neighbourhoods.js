@@ -1,7 +1,10 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const pool = require('../config/database');
-const { requireRole } = require('../middleware/auth');
+const { requireRole, requireTwoFactor, enforceTwoFactor } = require('../middleware/auth');
+const { uploadConfigs, handleUploadError, cleanupFiles, formatPrivateFileInfo, resolvePrivateFile } = require('../middleware/upload');
+const MembershipService = require('../services/MembershipService');
+const PresenceService = require('../services/PresenceService');
 const router = express.Router();
 
 // Get current user's neighbourhood
@@ -319,4 +322,220 @@ router.get('/:id/stats', async (req, res) => {
   }
 });
 
+/**
+ * Turn a MembershipService error into a response
+ */
+const handleMembershipError = (res, error, label) => {
+  if (error.isCustomError) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ message: 'Server error' });
+};
+
+/**
+ * @route   GET /api/neighbourhoods/join-requests/me
+ * @desc    Get the current user's join requests
+ * @access  Private
+ */
+router.get('/join-requests/me', async (req, res) => {
+  try {
+    const requests = await MembershipService.getUserRequests(req.user.userId);
+    res.json({ requests });
+  } catch (error) {
+    handleMembershipError(res, error, 'Get my join requests');
+  }
+});
+
+/**
+ * @route   POST /api/neighbourhoods/:id/join-requests
+ * @desc    Ask to join a neighbourhood, optionally attaching proof of address
+ * @access  Private
+ */
+router.post('/:id/join-requests', uploadConfigs.proofOfAddress, [
+  param('id').isMongoId(),
+  body('message').optional().trim().isLength({ max: 500 }),
+  body('address').optional().trim().isLength({ max: 255 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      cleanupFiles(req.file);
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const proofOfAddress = req.file ? formatPrivateFileInfo(req.file) : undefined;
+
+    const request = await MembershipService.requestToJoin(req.user.userId, req.params.id, {
+      message: req.body.message,
+      address: req.body.address,
+      proofOfAddress
+    });
+    PresenceService.resetRelationships(req.app.get('io'), req.user.userId);
+
+    res.status(201).json({
+      message: 'Join request submitted. You have read-only access until a moderator approves it.',
+      request: MembershipService.formatRequest(request)
+    });
+  } catch (error) {
+    cleanupFiles(req.file);
+    handleMembershipError(res, error, 'Create join request');
+  }
+});
+
+/**
+ * @route   GET /api/neighbourhoods/:id/join-requests
+ * @desc    List a neighbourhood's join requests
+ * @access  Neighbourhood moderators
+ */
+router.get('/:id/join-requests', requireTwoFactor, [
+  param('id').isMongoId(),
+  query('status').optional().isIn(['pending', 'approved', 'rejected', 'cancelled', 'all']),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await MembershipService.listRequests(req.params.id, req.user.userId, {
+      status: req.query.status,
+      page: req.query.page,
+      limit: req.query.limit
+    });
+
+    res.json(result);
+  } catch (error) {
+    handleMembershipError(res, error, 'Get join requests');
+  }
+});
+
+/**
+ * @route   POST /api/neighbourhoods/join-requests/:requestId/approve
+ * @desc    Approve a pending join request
+ * @access  Neighbourhood moderators
+ */
+router.post('/join-requests/:requestId/approve', requireTwoFactor, [
+  param('requestId').isMongoId(),
+  body('reason').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const request = await MembershipService.reviewRequest(
+      req.params.requestId,
+      req.user.userId,
+      'approved',
+      req.body.reason,
+      { ipAddress: req.ip, userAgent: req.get('User-Agent') }
+    );
+    PresenceService.resetRelationships(req.app.get('io'), request.userId);
+
+    res.json({
+      message: 'Join request approved',
+      request: MembershipService.formatRequest(request)
+    });
+  } catch (error) {
+    handleMembershipError(res, error, 'Approve join request');
+  }
+});
+
+/**
+ * @route   POST /api/neighbourhoods/join-requests/:requestId/reject
+ * @desc    Reject a pending join request with a reason
+ * @access  Neighbourhood moderators
+ */
+router.post('/join-requests/:requestId/reject', requireTwoFactor, [
+  param('requestId').isMongoId(),
+  body('reason').trim().isLength({ min: 1, max: 500 }).withMessage('A reason is required when rejecting a request')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const request = await MembershipService.reviewRequest(
+      req.params.requestId,
+      req.user.userId,
+      'rejected',
+      req.body.reason,
+      { ipAddress: req.ip, userAgent: req.get('User-Agent') }
+    );
+    PresenceService.resetRelationships(req.app.get('io'), request.userId);
+
+    res.json({
+      message: 'Join request rejected',
+      request: MembershipService.formatRequest(request)
+    });
+  } catch (error) {
+    handleMembershipError(res, error, 'Reject join request');
+  }
+});
+
+/**
+ * @route   DELETE /api/neighbourhoods/join-requests/:requestId
+ * @desc    Cancel the current user's pending join request
+ * @access  Private
+ */
+router.delete('/join-requests/:requestId', [
+  param('requestId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const request = await MembershipService.cancelRequest(req.params.requestId, req.user.userId);
+    PresenceService.resetRelationships(req.app.get('io'), req.user.userId);
+
+    res.json({
+      message: 'Join request cancelled',
+      request: MembershipService.formatRequest(request)
+    });
+  } catch (error) {
+    handleMembershipError(res, error, 'Cancel join request');
+  }
+});
+
+/**
+ * @route   GET /api/neighbourhoods/join-requests/:requestId/proof
+ * @desc    Download a join request's proof-of-address document
+ * @access  Requester and neighbourhood moderators
+ */
+router.get('/join-requests/:requestId/proof', [
+  param('requestId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { proofOfAddress: proof, isRequester } = await MembershipService.getProofOfAddress(
+      req.params.requestId,
+      req.user.userId
+    );
+
+    // Reviewers are moderating, so they need a two-factor session
+    if (!isRequester && !(await enforceTwoFactor(req, res))) {
+      return;
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    res.download(resolvePrivateFile(proof.path), proof.filename);
+  } catch (error) {
+    handleMembershipError(res, error, 'Get proof of address');
+  }
+});
+
+router.use(handleUploadError);
+
 module.exports = router;
\ No newline at end of file
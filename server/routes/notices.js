@@ -2,9 +2,11 @@ const express = require('express');
 const { body, validationResult, query } = require('express-validator');
 const Notice = require('../models/Notice');
 const User = require('../models/User');
-const { requireRole } = require('../middleware/auth');
+const { requireRole, enforceTwoFactor } = require('../middleware/auth');
 const { uploadConfigs, handleUploadError, cleanupFiles, formatFileInfo } = require('../middleware/upload');
 const { requireTermsWithBypass } = require('../middleware/termsMiddleware');
+const { requireVerifiedEmail, requireApprovedMember } = require('../middleware/adminAuth');
+const { idempotency } = require('../middleware/idempotency');
 const router = express.Router();
 
 // Get all notices for user's neighbourhood
@@ -104,7 +106,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create new notice with media upload
-router.post('/', uploadConfigs.media, [
+router.post('/', requireVerifiedEmail, requireApprovedMember, idempotency, uploadConfigs.media, [
   body('title').trim().isLength({ min: 1, max: 255 }),
   body('content').trim().isLength({ min: 1 }),
   body('category').isIn(['safety', 'event', 'lost_found', 'general', 'emergency', 'maintenance']),
@@ -240,6 +242,13 @@ router.put('/:id', uploadConfigs.media, [
       return res.status(403).json({ message: 'Only moderators can create emergency notices' });
     }
 
+    // Editing someone else's notice or pinning one is moderation, which needs a two-factor session
+    const isModeration = !isAuthor || updateData.isPinned !== undefined;
+    if (isModeration && !(await enforceTwoFactor(req, res))) {
+      cleanupFiles(req.files);
+      return;
+    }
+
     // Process new uploaded files
     if (req.files && req.files.length > 0) {
       const newMedia = req.files.map(file => formatFileInfo(file));
@@ -285,10 +294,16 @@ router.delete('/:id', async (req, res) => {
     }
 
     // Check permissions
-    if (notice.authorId.toString() !== userId && user.role !== 'admin') {
+    const isAuthor = notice.authorId.toString() === userId;
+    if (!isAuthor && user.role !== 'admin') {
       return res.status(403).json({ message: 'Insufficient permissions' });
     }
 
+    // Removing someone else's notice is moderation, which needs a two-factor session
+    if (!isAuthor && !(await enforceTwoFactor(req, res))) {
+      return;
+    }
+
     // Soft delete notice
     notice.status = 'removed';
     await notice.save();
@@ -370,7 +385,7 @@ router.patch('/:id/unpin', requireRole(['admin']), async (req, res) => {
 });
 
 // Like/Unlike notice
-router.post('/:id/like', async (req, res) => {
+router.post('/:id/like', requireVerifiedEmail, requireApprovedMember, async (req, res) => {
   try {
     const noticeId = req.params.id;
     const userId = req.user.userId;
@@ -404,7 +419,7 @@ router.post('/:id/like', async (req, res) => {
 });
 
 // Add comment to notice
-router.post('/:id/comments', [
+router.post('/:id/comments', requireVerifiedEmail, requireApprovedMember, [
   body('content').trim().isLength({ min: 1, max: 500 })
 ], async (req, res) => {
   try {
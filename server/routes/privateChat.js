@@ -4,8 +4,125 @@ const { body, validationResult, query, param } = require('express-validator');
 const User = require('../models/User');
 const PrivateChat = require('../models/PrivateChat');
 const Message = require('../models/Message');
+const BlockingService = require('../services/BlockingService');
+const PrivacyService = require('../services/PrivacyService');
+const PresenceService = require('../services/PresenceService');
+const EncryptionKeyService = require('../services/EncryptionKeyService');
+const { requireVerifiedEmail, requireApprovedMember } = require('../middleware/adminAuth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { idempotency } = require('../middleware/idempotency');
+const {
+  ENCRYPTED_PLACEHOLDER,
+  buildEncryptionEnvelope,
+  formatEncryptionEnvelope
+} = require('../utils/encryptionEnvelope');
+const {
+  CLIENT_MESSAGE_ID_PATTERN,
+  findByClientMessageId,
+  saveMessageOnce
+} = require('../utils/clientMessageId');
+const MessageSyncService = require('../services/MessageSyncService');
 const router = express.Router();
 
+/**
+ * Format a message sent through POST /:chatId/messages
+ * @param {Object} message - Message document with senderId populated
+ * @param {string} viewerId - ID of the user the response is for
+ * @returns {Object} Formatted message
+ */
+const formatSentMessage = (message, viewerId) => ({
+  id: message._id,
+  clientMessageId: message.clientMessageId || null,
+  content: message.content,
+  type: message.messageType,
+  messageType: message.messageType, // Legacy support
+  media: message.media,
+  attachments: message.media, // Map media to attachments for frontend compatibility
+  senderId: message.senderId._id,
+  senderName: `${message.senderId.firstName} ${message.senderId.lastName}`,
+  senderAvatar: message.senderId.profileImageUrl,
+  isForwarded: message.isForwarded,
+  forwardedFrom: message.forwardedFrom,
+  emojis: message.emojis,
+  replyToId: message.replyToId,
+  encryption: formatEncryptionEnvelope(message.encryption, viewerId),
+  createdAt: message.createdAt,
+  updatedAt: message.updatedAt,
+  timestamp: message.createdAt // Add timestamp for frontend compatibility
+});
+
+/**
+ * Format a message sent through POST /:chatId/messages/enhanced
+ * @param {Object} message - Message document
+ * @param {string} viewerId - ID of the user the message is for
+ * @returns {Object} Formatted message
+ */
+const formatEnhancedMessage = (message, viewerId) => ({
+  id: message._id,
+  clientMessageId: message.clientMessageId || null,
+  chatId: message.chatId,
+  chatType: message.chatType,
+  senderId: message.senderId,
+  senderName: message.senderName,
+  content: message.content,
+  type: message.messageType,
+  attachments: message.attachments,
+  replyTo: message.replyTo,
+  reactions: message.reactions,
+  status: message.status,
+  timestamp: message.createdAt,
+  encryption: formatEncryptionEnvelope(message.encryption, viewerId)
+});
+
+/**
+ * Format a message returned by GET /:chatId/messages and /:chatId/messages/changes
+ * @param {Object} msg - Message document with senderId populated
+ * @param {string} viewerId - ID of the user the response is for
+ * @returns {Object} Formatted message
+ */
+const formatHistoryMessage = (msg, viewerId) => ({
+  id: msg._id,
+  clientMessageId: msg.clientMessageId || null,
+  content: msg.content,
+  type: msg.messageType,
+  messageType: msg.messageType, // Legacy support
+  media: msg.media,
+  attachments: msg.media, // Map media to attachments for frontend compatibility
+  senderId: msg.senderId._id,
+  senderName: `${msg.senderId.firstName} ${msg.senderId.lastName}`,
+  senderAvatar: msg.senderId.profileImageUrl,
+  isForwarded: msg.isForwarded,
+  forwardedFrom: msg.forwardedFrom,
+  emojis: msg.emojis,
+  replyToId: msg.replyToId,
+  isEdited: Boolean(msg.isEdited),
+  editedAt: msg.editedAt || null,
+  isDeleted: Boolean(msg.isDeleted),
+  reactions: msg.reactions ? msg.reactions.map(r => ({
+    type: r.type,
+    count: r.count,
+    users: r.users
+  })) : [],
+  status: msg.status,
+  encryption: formatEncryptionEnvelope(msg.encryption, viewerId),
+  autoDelete: msg.autoDelete ? {
+    enabled: Boolean(msg.autoDelete.enabled),
+    expiresAt: msg.autoDelete.expiresAt || null
+  } : null,
+  createdAt: msg.createdAt,
+  updatedAt: msg.updatedAt,
+  timestamp: msg.createdAt // Add timestamp for frontend compatibility
+});
+
+// Populated on messages returned by history pages and change syncs
+const HISTORY_POPULATE = [['senderId', 'firstName lastName profileImageUrl']];
+
+// Answer a retried send with the message its first attempt created, without notifying anyone again
+const respondWithExistingMessage = (res, formattedMessage) => {
+  res.set('Idempotent-Replayed', 'true');
+  return res.status(200).json(formattedMessage);
+};
+
 // Get user's private chats
 router.get('/', [
   query('limit').optional().isInt({ min: 1, max: 100 }),
@@ -81,28 +198,37 @@ router.post('/create', [
       return res.status(404).json({ message: 'User not found' });
     }
 
-    // Check if users are friends (optional - you might want to allow chats between neighbors)
-    const currentUser = await User.findById(userId);
-    if (!currentUser.friends.includes(participantId)) {
-      // Check if they're in the same neighbourhood as alternative
-      if (currentUser.neighbourhoodId.toString() !== participant.neighbourhoodId.toString()) {
-        return res.status(403).json({ message: 'Can only chat with friends or neighbors' });
-      }
+    // Blocked users cannot start chats with each other
+    if (await BlockingService.isBlockedEitherWay(userId, participantId)) {
+      return res.status(403).json({ message: 'Cannot start a chat with this user' });
     }
 
     // Check if private chat already exists
     let privateChat = await PrivateChat.findOne({
       participants: { $all: [userId, participantId] }
-    }).populate('participants', 'firstName lastName profileImageUrl status');
+    });
+
+    // The participant's message permissions decide who can start a chat with them
+    const currentUser = await User.findById(userId);
+    const allowed = privateChat
+      ? await PrivacyService.canMessageInChat(userId, participantId, privateChat)
+      : PrivacyService.canMessage(currentUser, participant);
+    if (!allowed) {
+      return res.status(403).json({
+        message: 'This user is not accepting messages from you',
+        code: 'MESSAGES_NOT_ALLOWED'
+      });
+    }
 
     if (!privateChat) {
       // Create new private chat
       privateChat = new PrivateChat({
-        participants: [userId, participantId]
+        participants: [userId, participantId],
+        startedBy: userId
       });
       await privateChat.save();
-      await privateChat.populate('participants', 'firstName lastName profileImageUrl status');
     }
+    await privateChat.populate('participants', 'firstName lastName profileImageUrl status');
 
     // Format response
     const otherParticipant = privateChat.participants.find(p => p._id.toString() !== userId);
@@ -128,10 +254,37 @@ router.post('/create', [
   }
 });
 
+/**
+ * @route   GET /api/private-chat/:chatId/keys
+ * @desc    Get the end-to-end encryption device keys of both participants
+ * @access  Private (participants)
+ */
+router.get('/:chatId/keys', [
+  param('chatId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const participants = await EncryptionKeyService.getChatKeys(req.params.chatId, req.user.userId);
+    res.json({ participants });
+  } catch (error) {
+    if (error.isCustomError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Get private chat keys error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get messages from a private chat
 router.get('/:chatId/messages', [
   query('limit').optional().isInt({ min: 1, max: 100 }),
-  query('offset').optional().isInt({ min: 0 })
+  query('offset').optional().isInt({ min: 0 }),
+  query('cursor').optional().isString().isLength({ max: 200 }),
+  query('direction').optional().isIn(['older', 'newer'])
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -141,7 +294,7 @@ router.get('/:chatId/messages', [
 
     const chatId = req.params.chatId;
     const userId = req.user.userId;
-    const { limit = 50, offset = 0 } = req.query;
+    const { limit = 50, offset = 0, cursor, direction } = req.query;
 
     // Verify user is participant in this chat
     const privateChat = await PrivateChat.findOne({
@@ -154,15 +307,27 @@ router.get('/:chatId/messages', [
       return res.status(404).json({ message: 'Private chat not found' });
     }
 
-    // Get messages
-    const messages = await Message.find({
-      chatId: chatId,
-      chatType: 'private'
-    })
-    .populate('senderId', 'firstName lastName profileImageUrl')
-    .sort({ createdAt: -1 })
-    .limit(parseInt(limit))
-    .skip(parseInt(offset));
+    // Cursor pagination returns a page envelope; offset pagination the bare list
+    let page = null;
+    let messages;
+    if (cursor || direction) {
+      page = await MessageSyncService.getHistoryPage(
+        { chatId: chatId, chatType: 'private', deletedFor: { $ne: userId } },
+        { cursor, direction, limit: parseInt(limit), populate: HISTORY_POPULATE }
+      );
+      messages = page.messages;
+    } else {
+      messages = await Message.find({
+        chatId: chatId,
+        chatType: 'private',
+        deletedFor: { $ne: userId }
+      })
+      .populate('senderId', 'firstName lastName profileImageUrl')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .skip(parseInt(offset));
+      messages.reverse(); // Return in chronological order
+    }
 
     // Mark messages as read
     await Message.updateMany(
@@ -175,48 +340,90 @@ router.get('/:chatId/messages', [
       { status: 'read' }
     );
 
-    // Format messages
-    const formattedMessages = messages.map(msg => ({
-      id: msg._id,
-      content: msg.content,
-      type: msg.messageType,
-      messageType: msg.messageType, // Legacy support
-      media: msg.media,
-      attachments: msg.media, // Map media to attachments for frontend compatibility
-      senderId: msg.senderId._id,
-      senderName: `${msg.senderId.firstName} ${msg.senderId.lastName}`,
-      senderAvatar: msg.senderId.profileImageUrl,
-      isForwarded: msg.isForwarded,
-      forwardedFrom: msg.forwardedFrom,
-      emojis: msg.emojis,
-      replyToId: msg.replyToId,
-      reactions: msg.reactions ? msg.reactions.map(r => ({
-        type: r.type,
-        count: r.count,
-        users: r.users
-      })) : [],
-      status: msg.status,
-      createdAt: msg.createdAt,
-      updatedAt: msg.updatedAt,
-      timestamp: msg.createdAt // Add timestamp for frontend compatibility
-    })).reverse(); // Return in chronological order
+    const formattedMessages = messages.map(msg => formatHistoryMessage(msg, userId));
+
+    if (page) {
+      return res.json({
+        messages: formattedMessages,
+        pageInfo: page.pageInfo,
+        syncCursor: page.syncCursor
+      });
+    }
 
     res.json(formattedMessages);
   } catch (error) {
+    if (error.isCustomError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code });
+    }
     console.error('Get private chat messages error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// Get messages created, edited or removed in a private chat since a sync cursor
+router.get('/:chatId/messages/changes', [
+  query('since').isString().isLength({ min: 1, max: 200 }),
+  query('limit').optional().isInt({ min: 1, max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const chatId = req.params.chatId;
+    const userId = req.user.userId;
+    const { since, limit = 200 } = req.query;
+
+    const privateChat = await PrivateChat.findOne({
+      _id: chatId,
+      participants: userId,
+      isActive: true
+    });
+
+    if (!privateChat) {
+      return res.status(404).json({ message: 'Private chat not found' });
+    }
+
+    const changes = await MessageSyncService.getChanges(
+      { chatId: privateChat._id, chatType: 'private' },
+      {
+        since,
+        limit: parseInt(limit),
+        populate: HISTORY_POPULATE,
+        isVisible: msg => !msg.deletedFor.some(id => id.toString() === userId)
+      }
+    );
+
+    res.json({
+      messages: changes.messages.map(msg => formatHistoryMessage(msg, userId)),
+      deletedIds: changes.deletedIds,
+      syncCursor: changes.syncCursor,
+      hasMore: changes.hasMore
+    });
+  } catch (error) {
+    if (error.isCustomError) {
+      return res.status(error.statusCode).json({ message: error.message, code: error.code });
+    }
+    console.error('Get private chat message changes error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Send message in private chat
-router.post('/:chatId/messages', [
-  body('content').trim().isLength({ min: 1, max: 1000 }).withMessage('Message content is required'),
+router.post('/:chatId/messages', requireVerifiedEmail, requireApprovedMember, idempotency, rateLimit('message_send'), [
+  // Encrypted messages carry their text in the envelope instead
+  body('content')
+    .if(body('encryption').not().exists())
+    .trim().isLength({ min: 1, max: 1000 }).withMessage('Message content is required'),
+  body('encryption').optional().isObject(),
   body('type').optional().isIn(['text', 'image', 'audio', 'video', 'document', 'location', 'contact']),
   body('emojis').optional().isArray(),
   body('replyToId').optional().isMongoId(),
   body('isForwarded').optional().isBoolean(),
   body('forwardedFrom').optional().isObject(),
-  body('attachments').optional().isArray()
+  body('attachments').optional().isArray(),
+  body('clientMessageId').optional().matches(CLIENT_MESSAGE_ID_PATTERN)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -233,7 +440,9 @@ router.post('/:chatId/messages', [
       replyToId,
       isForwarded = false,
       forwardedFrom,
-      attachments = []
+      attachments = [],
+      encryption,
+      clientMessageId
     } = req.body;
 
     // Verify user is participant in this chat
@@ -247,17 +456,51 @@ router.post('/:chatId/messages', [
       return res.status(404).json({ message: 'Private chat not found' });
     }
 
+    // Blocked users cannot message each other
+    const recipientId = privateChat.participants.find(
+      p => p.toString() !== userId.toString()
+    );
+    if (await BlockingService.isBlockedEitherWay(userId, recipientId)) {
+      return res.status(403).json({ message: 'Cannot send messages to this user' });
+    }
+
+    if (!(await PrivacyService.canMessageInChat(userId, recipientId, privateChat))) {
+      return res.status(403).json({
+        message: 'This user is not accepting messages from you',
+        code: 'MESSAGES_NOT_ALLOWED'
+      });
+    }
+
+    // A retried send gets the message its first attempt created
+    const existingMessage = await findByClientMessageId(userId, chatId, clientMessageId);
+    if (existingMessage) {
+      await existingMessage.populate('senderId', 'firstName lastName profileImageUrl');
+      return respondWithExistingMessage(res, formatSentMessage(existingMessage, userId));
+    }
+
+    const sender = await User.findById(userId).select('firstName lastName');
+
     // Create message
     const messageData = {
       chatId: chatId,
       chatType: 'private',
       senderId: userId,
-      content: content,
+      senderName: `${sender.firstName} ${sender.lastName}`,
+      content: encryption ? '' : content,
       messageType: type,
       emojis: emojis,
-      replyToId: replyToId || null
+      replyToId: replyToId || null,
+      ...(clientMessageId && { clientMessageId })
     };
 
+    // The server stores encrypted messages without being able to read them
+    if (encryption) {
+      messageData.encryption = buildEncryptionEnvelope(encryption, {
+        senderId: userId,
+        participantIds: privateChat.participants
+      });
+    }
+
     // Add forwarding data if message is forwarded
     if (isForwarded && forwardedFrom) {
       messageData.isForwarded = true;
@@ -283,14 +526,16 @@ router.post('/:chatId/messages', [
       }));
     }
 
-    const message = new Message(messageData);
-
-    await message.save();
+    const { message, replayed } = await saveMessageOnce(new Message(messageData));
     await message.populate('senderId', 'firstName lastName profileImageUrl');
 
+    if (replayed) {
+      return respondWithExistingMessage(res, formatSentMessage(message, userId));
+    }
+
     // Update private chat's last message
     privateChat.lastMessage = {
-      content: content,
+      content: encryption ? ENCRYPTED_PLACEHOLDER : content,
       sender: userId,
       timestamp: message.createdAt,
       messageType: type
@@ -313,28 +558,11 @@ router.post('/:chatId/messages', [
       });
     }
 
-    // Format response
-    const formattedMessage = {
-      id: message._id,
-      content: message.content,
-      type: message.messageType,
-      messageType: message.messageType, // Legacy support
-      media: message.media,
-      attachments: message.media, // Map media to attachments for frontend compatibility
-      senderId: message.senderId._id,
-      senderName: `${message.senderId.firstName} ${message.senderId.lastName}`,
-      senderAvatar: message.senderId.profileImageUrl,
-      isForwarded: message.isForwarded,
-      forwardedFrom: message.forwardedFrom,
-      emojis: message.emojis,
-      replyToId: message.replyToId,
-      createdAt: message.createdAt,
-      updatedAt: message.updatedAt,
-      timestamp: message.createdAt // Add timestamp for frontend compatibility
-    };
-
-    res.status(201).json(formattedMessage);
+    res.status(201).json(formatSentMessage(message, userId));
   } catch (error) {
+    if (error.isCustomError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Send private message error:', error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -526,8 +754,6 @@ router.get('/unified', [
           },
           avatar: '$otherParticipant.profileImageUrl',
           participantId: '$otherParticipant._id',
-          isOnline: '$otherParticipant.isOnline',
-          lastSeen: '$otherParticipant.lastSeen',
           lastMessage: 1,
           unreadCount: 1,
           createdAt: 1,
@@ -539,7 +765,17 @@ router.get('/unified', [
       { $limit: parseInt(limit) }
     ];
 
-    const chats = await PrivateChat.aggregate(pipeline);
+    const results = await PrivateChat.aggregate(pipeline);
+
+    // Presence as the other participants' last seen settings allow
+    const presence = await PresenceService.getPresence(
+      userId,
+      results.filter(chat => chat.participantId).map(chat => chat.participantId)
+    );
+    const chats = results.map(chat => {
+      const { status = null, isOnline = null, lastSeen = null } = presence[String(chat.participantId)] || {};
+      return { ...chat, status, isOnline, lastSeen };
+    });
 
     res.json({
       chats,
@@ -553,7 +789,7 @@ router.get('/unified', [
 });
 
 // Enhanced message reactions endpoint
-router.post('/:chatId/messages/:messageId/reactions', [
+router.post('/:chatId/messages/:messageId/reactions', requireVerifiedEmail, requireApprovedMember, idempotency, [
   param('chatId').isMongoId(),
   param('messageId').isMongoId(),
   body('type').isString().isLength({ min: 1, max: 50 }),
@@ -693,13 +929,14 @@ router.post('/:chatId/messages/read', [
 });
 
 // Enhanced message sending with new features
-router.post('/:chatId/messages/enhanced', [
+router.post('/:chatId/messages/enhanced', requireVerifiedEmail, requireApprovedMember, idempotency, [
   param('chatId').isMongoId(),
   body('content').optional().trim().isLength({ max: 1000 }),
   body('type').optional().isIn(['text', 'image', 'audio', 'video', 'document', 'location', 'contact']),
   body('attachments').optional().isArray(),
   body('replyTo').optional().isObject(),
-  body('encryption').optional().isObject()
+  body('encryption').optional().isObject(),
+  body('clientMessageId').optional().matches(CLIENT_MESSAGE_ID_PATTERN)
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -713,7 +950,8 @@ router.post('/:chatId/messages/enhanced', [
       type = 'text',
       attachments = [],
       replyTo,
-      encryption
+      encryption,
+      clientMessageId
     } = req.body;
     const userId = req.user.userId;
 
@@ -728,6 +966,27 @@ router.post('/:chatId/messages/enhanced', [
       return res.status(404).json({ message: 'Private chat not found' });
     }
 
+    // Blocked users cannot message each other
+    const recipientId = privateChat.participants.find(
+      p => p.toString() !== userId.toString()
+    );
+    if (await BlockingService.isBlockedEitherWay(userId, recipientId)) {
+      return res.status(403).json({ message: 'Cannot send messages to this user' });
+    }
+
+    if (!(await PrivacyService.canMessageInChat(userId, recipientId, privateChat))) {
+      return res.status(403).json({
+        message: 'This user is not accepting messages from you',
+        code: 'MESSAGES_NOT_ALLOWED'
+      });
+    }
+
+    // A retried send gets the message its first attempt created
+    const existingMessage = await findByClientMessageId(userId, chatId, clientMessageId);
+    if (existingMessage) {
+      return respondWithExistingMessage(res, formatEnhancedMessage(existingMessage, userId));
+    }
+
     // Get sender info
     const sender = await User.findById(userId).select('firstName lastName');
     const senderName = `${sender.firstName} ${sender.lastName}`;
@@ -740,7 +999,8 @@ router.post('/:chatId/messages/enhanced', [
       senderName: senderName,
       content: content || '',
       messageType: type,
-      status: 'sent'
+      status: 'sent',
+      ...(clientMessageId && { clientMessageId })
     };
 
     // Add attachments if provided
@@ -766,23 +1026,23 @@ router.post('/:chatId/messages/enhanced', [
       };
     }
 
-    // Add encryption if provided
+    // The server stores encrypted messages without being able to read them
     if (encryption) {
-      messageData.encryption = {
-        isEncrypted: true,
-        encryptionVersion: encryption.version || 'v1',
-        keyId: encryption.keyId,
-        iv: encryption.iv,
-        authTag: encryption.authTag
-      };
+      messageData.content = '';
+      messageData.encryption = buildEncryptionEnvelope(encryption, {
+        senderId: userId,
+        participantIds: privateChat.participants
+      });
     }
 
-    const message = new Message(messageData);
-    await message.save();
+    const { message, replayed } = await saveMessageOnce(new Message(messageData));
+    if (replayed) {
+      return respondWithExistingMessage(res, formatEnhancedMessage(message, userId));
+    }
 
     // Update private chat's last message
     privateChat.lastMessage = {
-      content: content || `[${type}]`,
+      content: encryption ? ENCRYPTED_PLACEHOLDER : (content || `[${type}]`),
       sender: userId,
       timestamp: message.createdAt,
       messageType: type
@@ -799,44 +1059,16 @@ router.post('/:chatId/messages/enhanced', [
     const io = req.app.get('io');
     if (io) {
       io.to(`user_${otherParticipantId}`).emit('new_message', {
-        message: {
-          id: message._id,
-          chatId: message.chatId,
-          chatType: message.chatType,
-          senderId: message.senderId,
-          senderName: message.senderName,
-          content: message.content,
-          type: message.messageType,
-          attachments: message.attachments,
-          replyTo: message.replyTo,
-          reactions: message.reactions,
-          status: message.status,
-          timestamp: message.createdAt,
-          encryption: message.encryption
-        },
+        message: formatEnhancedMessage(message, otherParticipantId),
         chatId
       });
     }
 
-    // Format response
-    const formattedMessage = {
-      id: message._id,
-      chatId: message.chatId,
-      chatType: message.chatType,
-      senderId: message.senderId,
-      senderName: message.senderName,
-      content: message.content,
-      type: message.messageType,
-      attachments: message.attachments,
-      replyTo: message.replyTo,
-      reactions: message.reactions,
-      status: message.status,
-      timestamp: message.createdAt,
-      encryption: message.encryption
-    };
-
-    res.status(201).json(formattedMessage);
+    res.status(201).json(formatEnhancedMessage(message, userId));
   } catch (error) {
+    if (error.isCustomError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Send enhanced private message error:', error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -855,7 +1087,7 @@ router.get('/:chatId/settings', [
       _id: chatId,
       participants: userId,
       isActive: true
-    }).populate('participants', 'firstName lastName profileImageUrl isOnline lastSeen');
+    }).populate('participants', 'firstName lastName profileImageUrl');
 
     if (!privateChat) {
       return res.status(404).json({ message: 'Private chat not found' });
@@ -864,6 +1096,8 @@ router.get('/:chatId/settings', [
     const otherParticipant = privateChat.participants.find(
       p => p._id.toString() !== userId.toString()
     );
+    const presence = await PresenceService.getPresence(userId, [otherParticipant._id]);
+    const { status, isOnline, lastSeen } = presence[otherParticipant._id.toString()];
 
     res.json({
       chatId: privateChat._id,
@@ -871,8 +1105,9 @@ router.get('/:chatId/settings', [
         id: otherParticipant._id,
         name: `${otherParticipant.firstName} ${otherParticipant.lastName}`,
         avatar: otherParticipant.profileImageUrl,
-        isOnline: otherParticipant.isOnline,
-        lastSeen: otherParticipant.lastSeen
+        status,
+        isOnline,
+        lastSeen
       },
       settings: {
         // Add user-specific settings here
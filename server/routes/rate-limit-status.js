@@ -1,114 +1,152 @@
 /**
  * Rate limit status endpoint
- * Provides information about current rate limit status
+ * Provides information about current rate limit status and lets admins
+ * change rate limit policies at runtime
  */
 const express = require('express');
+const { body, validationResult } = require('express-validator');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
 const { requireAdmin } = require('../middleware/adminAuth');
-
-// Store for tracking rate limit info (in production, use Redis or similar)
-const rateLimitStore = new Map();
-
-// Middleware to track rate limit usage
-const trackRateLimit = (req, res, next) => {
-  const key = req.user?.id || req.ip;
-  const now = Date.now();
-  
-  if (!rateLimitStore.has(key)) {
-    rateLimitStore.set(key, {
-      requests: 0,
-      windowStart: now,
-      lastRequest: now
-    });
-  }
-  
-  const userStats = rateLimitStore.get(key);
-  userStats.requests++;
-  userStats.lastRequest = now;
-  
-  // Reset window if needed (15 minutes)
-  if (now - userStats.windowStart > 15 * 60 * 1000) {
-    userStats.requests = 1;
-    userStats.windowStart = now;
-  }
-  
-  next();
-};
+const RateLimitService = require('../services/RateLimitService');
+const { KEY_TYPES } = require('../config/rateLimits');
 
 // Apply authentication to all routes
 router.use(authenticateToken);
 router.use(requireAdmin);
 
+const handleRateLimitError = (res, error, label) => {
+  if (error.isCustomError) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({ message: 'Server error' });
+};
+
 // Get rate limit status for current user
-router.get('/status', trackRateLimit, (req, res) => {
-  const key = req.user?.id || req.ip;
-  const userStats = rateLimitStore.get(key) || { requests: 0, windowStart: Date.now(), lastRequest: Date.now() };
-  
-  const windowMs = 15 * 60 * 1000; // 15 minutes
-  const generalLimit = parseInt(process.env.RATE_LIMIT_MAX || 100);
-  const adminLimit = parseInt(process.env.ADMIN_RATE_LIMIT_MAX || 1000);
-  
-  const timeRemaining = windowMs - (Date.now() - userStats.windowStart);
-  
-  res.json({
-    user: {
-      id: req.user?.id,
-      ip: req.ip,
-      requests: userStats.requests,
-      lastRequest: new Date(userStats.lastRequest).toISOString()
-    },
-    limits: {
-      general: {
-        max: generalLimit,
-        remaining: Math.max(0, generalLimit - userStats.requests),
-        resetTime: new Date(userStats.windowStart + windowMs).toISOString()
+router.get('/status', async (req, res) => {
+  try {
+    const usage = await RateLimitService.getUsage({ userId: req.user.userId, ip: req.ip });
+
+    res.json({
+      user: {
+        id: req.user.userId,
+        ip: req.ip
       },
-      admin: {
-        max: adminLimit,
-        remaining: Math.max(0, adminLimit - userStats.requests),
-        resetTime: new Date(userStats.windowStart + windowMs).toISOString()
-      }
-    },
-    window: {
-      durationMs: windowMs,
-      timeRemainingMs: Math.max(0, timeRemaining),
-      resetIn: Math.ceil(Math.max(0, timeRemaining) / 1000) + ' seconds'
-    },
-    recommendations: {
-      generalStatus: userStats.requests < generalLimit * 0.8 ? 'healthy' : 
-                    userStats.requests < generalLimit ? 'warning' : 'exceeded',
-      adminStatus: userStats.requests < adminLimit * 0.8 ? 'healthy' : 
-                   userStats.requests < adminLimit ? 'warning' : 'exceeded',
-      message: userStats.requests > adminLimit ? 
-               'Rate limit exceeded. Please wait before making more requests.' :
-               userStats.requests > adminLimit * 0.8 ?
-               'Approaching rate limit. Consider reducing request frequency.' :
-               'Rate limit usage is healthy.'
-    }
-  });
+      enabled: RateLimitService.isEnabled(),
+      store: RateLimitService.store.name,
+      limits: usage.map(policy => ({
+        ...policy,
+        status: policy.used < policy.limit * 0.8 ? 'healthy' :
+                policy.used < policy.limit ? 'warning' : 'exceeded'
+      }))
+    });
+  } catch (error) {
+    handleRateLimitError(res, error, 'Rate limit status');
+  }
 });
 
 // Get overall rate limit statistics (admin only)
-router.get('/stats', (req, res) => {
-  const stats = {
-    totalUsers: rateLimitStore.size,
-    configuration: {
-      windowMs: 15 * 60 * 1000,
-      generalLimit: parseInt(process.env.RATE_LIMIT_MAX || 100),
-      adminLimit: parseInt(process.env.ADMIN_RATE_LIMIT_MAX || 1000)
-    },
-    topUsers: Array.from(rateLimitStore.entries())
-      .map(([key, data]) => ({
-        identifier: key,
-        requests: data.requests,
-        lastRequest: new Date(data.lastRequest).toISOString()
-      }))
-      .sort((a, b) => b.requests - a.requests)
-      .slice(0, 10)
-  };
-  
-  res.json(stats);
+router.get('/stats', async (req, res) => {
+  try {
+    res.json(await RateLimitService.getStats());
+  } catch (error) {
+    handleRateLimitError(res, error, 'Rate limit stats');
+  }
+});
+
+/**
+ * @route   GET /api/rate-limit/policies
+ * @desc    List rate limit policies with any admin overrides applied
+ * @access  Private (Admin)
+ */
+router.get('/policies', async (req, res) => {
+  try {
+    res.json({ policies: await RateLimitService.getPolicies() });
+  } catch (error) {
+    handleRateLimitError(res, error, 'Rate limit policies');
+  }
+});
+
+/**
+ * @route   PUT /api/rate-limit/policies/:name
+ * @desc    Change a rate limit policy; takes effect without a restart
+ * @access  Private (Admin)
+ */
+router.put('/policies/:name', [
+  body('max').optional().isInt({ min: 1, max: 1000000 }).toInt(),
+  body('windowMs').optional().isInt({ min: 1000, max: 24 * 60 * 60 * 1000 }).toInt(),
+  body('keyBy').optional().isIn(KEY_TYPES),
+  body('enabled').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { max, windowMs, keyBy, enabled } = req.body;
+    const policy = await RateLimitService.updatePolicy(
+      req.params.name,
+      {
+        ...(max !== undefined && { max }),
+        ...(windowMs !== undefined && { windowMs }),
+        ...(keyBy !== undefined && { keyBy }),
+        ...(enabled !== undefined && { enabled })
+      },
+      req.user,
+      { ipAddress: req.ip, userAgent: req.get('User-Agent') }
+    );
+
+    res.json({ policy });
+  } catch (error) {
+    handleRateLimitError(res, error, 'Update rate limit policy');
+  }
+});
+
+/**
+ * @route   DELETE /api/rate-limit/policies/:name
+ * @desc    Put a rate limit policy back to its defaults
+ * @access  Private (Admin)
+ */
+router.delete('/policies/:name', async (req, res) => {
+  try {
+    const policy = await RateLimitService.resetPolicy(req.params.name, req.user, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({ policy });
+  } catch (error) {
+    handleRateLimitError(res, error, 'Reset rate limit policy');
+  }
+});
+
+/**
+ * @route   POST /api/rate-limit/policies/:name/clear
+ * @desc    Clear a user's or IP address's counter so they can continue straight away
+ * @access  Private (Admin)
+ */
+router.post('/policies/:name/clear', [
+  body('userId').optional().isMongoId(),
+  body('ip').optional().isIP()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await RateLimitService.clearCounter(req.params.name, {
+      userId: req.body.userId,
+      ip: req.body.ip
+    });
+
+    res.json({ message: 'Rate limit counter cleared' });
+  } catch (error) {
+    handleRateLimitError(res, error, 'Clear rate limit counter');
+  }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
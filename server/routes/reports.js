@@ -1,17 +1,76 @@
 const express = require('express');
-const { body, validationResult, query } = require('express-validator');
+const { body, param, validationResult, query } = require('express-validator');
 const Report = require('../models/Report');
 const User = require('../models/User');
-const { requireRole } = require('../middleware/auth');
+const { requireRole, enforceTwoFactor } = require('../middleware/auth');
 const { uploadConfigs, handleUploadError, cleanupFiles, formatFileInfo } = require('../middleware/upload');
 const { requireTermsWithBypass } = require('../middleware/termsMiddleware');
+const { requireModerator, requireVerifiedEmail, requireApprovedMember } = require('../middleware/adminAuth');
+const { rateLimit } = require('../middleware/rateLimit');
+const { idempotency } = require('../middleware/idempotency');
+const ReportCaseService = require('../services/ReportCaseService');
+const { redactReport } = require('../utils/reportRedaction');
+const {
+  MAX_NEAR_RADIUS_METERS,
+  parseBbox,
+  buildGeoFilter,
+  clusterReports,
+  getBounds
+} = require('../utils/geoQuery');
 const router = express.Router();
 
+// Most reports the map endpoint will cluster in one request
+const MAP_MAX_REPORTS = parseInt(process.env.REPORTS_MAP_MAX_REPORTS || '5000');
+
+// Bounding box (bbox=minLng,minLat,maxLng,maxLat) and near-point (lat, lng, radius in metres) filters
+const geoValidators = [
+  query('bbox').optional().custom(value => {
+    if (!parseBbox(value)) {
+      throw new Error('bbox must be minLng,minLat,maxLng,maxLat');
+    }
+    return true;
+  }),
+  query('lat').optional().isFloat({ min: -90, max: 90 }).toFloat(),
+  query('lng').optional().isFloat({ min: -180, max: 180 }).toFloat(),
+  query('radius').optional().isInt({ min: 1, max: MAX_NEAR_RADIUS_METERS }).toInt(),
+  query().custom((value, { req }) => {
+    if ((req.query.lat === undefined) !== (req.query.lng === undefined)) {
+      throw new Error('lat and lng must be provided together');
+    }
+    return true;
+  })
+];
+
+const getGeoFilter = ({ bbox, lat, lng, radius = 1000 }) => buildGeoFilter({
+  bbox: bbox ? parseBbox(bbox) : null,
+  lat,
+  lng,
+  radius
+});
+
+// Build a report's location from the form fields, storing coordinates as a GeoJSON point
+const buildReportLocation = (address, latitude, longitude) => {
+  const hasCoordinates = latitude !== undefined && latitude !== '' &&
+    longitude !== undefined && longitude !== '';
+
+  if (!address && !hasCoordinates) {
+    return undefined;
+  }
+
+  return {
+    address,
+    coordinates: hasCoordinates
+      ? { type: 'Point', coordinates: [parseFloat(longitude), parseFloat(latitude)] }
+      : undefined
+  };
+};
+
 // Get all reports for user's neighbourhood
 router.get('/', [
   query('category').optional().isIn(['security', 'traffic', 'maintenance', 'pets', 'noise', 'other']),
   query('status').optional().isIn(['open', 'in-progress', 'resolved', 'closed']),
   query('priority').optional().isIn(['low', 'medium', 'high', 'urgent']),
+  ...geoValidators,
   query('limit').optional().isInt({ min: 1, max: 100 }),
   query('offset').optional().isInt({ min: 0 })
 ], async (req, res) => {
@@ -53,6 +112,8 @@ router.get('/', [
       queryFilter.priority = priority;
     }
 
+    Object.assign(queryFilter, getGeoFilter(req.query));
+
     // Use lean() for better performance and add timeout
     const reports = await Report.find(queryFilter)
       .populate('reporterId', 'firstName lastName', null, { lean: true })
@@ -64,7 +125,7 @@ router.get('/', [
       .maxTimeMS(8000); // 8 second timeout
 
     // Transform the data to ensure consistent structure
-    const transformedReports = reports.map(report => ({
+    const transformedReports = reports.map(report => redactReport(report, userId)).map(report => ({
       _id: report._id,
       title: report.title,
       description: report.description,
@@ -104,6 +165,117 @@ router.get('/', [
   }
 });
 
+/**
+ * @route   GET /api/reports/map
+ * @desc    Get the neighbourhood's reports as clustered GeoJSON for the incident map.
+ *          Accepts the same geo filters as GET /api/reports plus zoom and a since/until time window.
+ * @access  Private
+ */
+router.get('/map', [
+  query('category').optional().isIn(['security', 'traffic', 'maintenance', 'pets', 'noise', 'other']),
+  query('status').optional().isIn(['open', 'in-progress', 'resolved', 'closed']),
+  query('priority').optional().isIn(['low', 'medium', 'high', 'urgent']),
+  ...geoValidators,
+  query('zoom').optional().isInt({ min: 0, max: 20 }).toInt(),
+  query('since').optional().isISO8601(),
+  query('until').optional().isISO8601()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { category, status, priority, zoom = 13, since, until } = req.query;
+
+    const user = await User.findById(req.user.userId).select('neighbourhoodId').lean();
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.neighbourhoodId) {
+      return res.status(400).json({ message: 'User not assigned to a neighbourhood' });
+    }
+
+    const queryFilter = {
+      neighbourhoodId: user.neighbourhoodId,
+      reportStatus: 'active',
+      // Reports without a position default to [0, 0]
+      'location.coordinates.coordinates': { $ne: [0, 0] },
+      ...getGeoFilter(req.query)
+    };
+
+    if (category) queryFilter.category = category;
+    if (status) queryFilter.status = status;
+    if (priority) queryFilter.priority = priority;
+
+    if (since || until) {
+      queryFilter.createdAt = {};
+      if (since) queryFilter.createdAt.$gte = new Date(since);
+      if (until) queryFilter.createdAt.$lte = new Date(until);
+    }
+
+    const reports = await Report.find(queryFilter)
+      .select('title category priority status createdAt location.coordinates')
+      .sort({ createdAt: -1 })
+      .limit(MAP_MAX_REPORTS)
+      .lean()
+      .maxTimeMS(8000);
+
+    res.json({
+      type: 'FeatureCollection',
+      bbox: getBounds(reports),
+      features: clusterReports(reports, zoom),
+      total: reports.length,
+      truncated: reports.length === MAP_MAX_REPORTS
+    });
+  } catch (error) {
+    console.error('Get reports map error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * Turn a case workflow error into a response
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by ReportCaseService
+ * @param {string} label - Label for the server log
+ */
+const handleCaseError = (res, error, label) => {
+  if (error.isCustomError) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+
+  console.error(`${label} error:`, error);
+  return res.status(500).json({ message: 'Server error' });
+};
+
+/**
+ * @route   GET /api/reports/assigned/me
+ * @desc    Get the reports assigned to the current moderator, soonest due first
+ * @access  Private (moderators/admins)
+ */
+router.get('/assigned/me', requireRole(['admin', 'moderator']), [
+  query('status').optional().isIn(['active', 'all', 'open', 'in-progress', 'resolved', 'closed']),
+  query('overdue').optional().isBoolean().toBoolean(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { status = 'active', overdue = false, page = 1, limit = 20 } = req.query;
+    const queue = await ReportCaseService.getAssignedQueue(req.user.userId, { status, overdue, page, limit });
+
+    res.json(queue);
+  } catch (error) {
+    handleCaseError(res, error, 'Get assigned reports');
+  }
+});
+
 // Get single report
 router.get('/:id', async (req, res) => {
   try {
@@ -133,7 +305,7 @@ router.get('/:id', async (req, res) => {
     await Report.findByIdAndUpdate(reportId, { $inc: { viewCount: 1 } });
 
     res.json({
-      ...report.toObject(),
+      ...redactReport(report, userId),
       viewCount: report.viewCount + 1
     });
   } catch (error) {
@@ -143,7 +315,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create new report with media upload
-router.post('/', uploadConfigs.media, [
+router.post('/', requireVerifiedEmail, requireApprovedMember, idempotency, rateLimit('report_create'), uploadConfigs.media, [
   body('title').trim().isLength({ min: 1, max: 255 }),
   body('description').trim().isLength({ min: 1 }),
   body('category').isIn(['security', 'traffic', 'maintenance', 'pets', 'noise', 'other']),
@@ -197,7 +369,7 @@ router.post('/', uploadConfigs.media, [
       description,
       category,
       priority,
-      location: location ? { address: location, coordinates: [longitude || 0, latitude || 0] } : undefined,
+      location: buildReportLocation(location, latitude, longitude),
       neighbourhoodId,
       reporterId: userId,
       isAnonymous,
@@ -216,9 +388,15 @@ router.post('/', uploadConfigs.media, [
   }
 });
 
-// Update report status (moderators/admins only)
+/**
+ * @route   PATCH /api/reports/:id/status
+ * @desc    Move a report to a new status, recording an optional note in its history
+ * @access  Private (moderators/admins)
+ */
 router.patch('/:id/status', requireRole(['admin', 'moderator']), [
+  param('id').isMongoId().withMessage('Invalid report ID'),
   body('status').isIn(['open', 'in-progress', 'resolved', 'closed']),
+  body('note').optional().trim().isLength({ max: 1000 }),
   body('assignedTo').optional().isMongoId()
 ], async (req, res) => {
   try {
@@ -227,29 +405,139 @@ router.patch('/:id/status', requireRole(['admin', 'moderator']), [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const reportId = req.params.id;
-    const { status, assignedTo } = req.body;
-    const userId = req.user.userId;
+    const { status, note, assignedTo } = req.body;
+    const meta = { ipAddress: req.ip, userAgent: req.get('User-Agent') };
+
+    // assignedTo is still accepted here for older clients
+    let assigned = null;
+    if (assignedTo) {
+      try {
+        assigned = await ReportCaseService.assign(req.params.id, req.user.userId, assignedTo, undefined, meta);
+      } catch (error) {
+        if (!error.isCustomError || error.statusCode !== 409) throw error;
+      }
+    }
 
-    // Get user's neighbourhood
-    const user = await User.findById(userId);
-    const neighbourhoodId = user.neighbourhoodId;
+    // Older clients resend the current status when they only reassign
+    const report = assigned && assigned.status === status
+      ? assigned
+      : await ReportCaseService.changeStatus(req.params.id, req.user.userId, status, note, meta);
 
-    // Update report
-    const report = await Report.findOneAndUpdate(
-      { _id: reportId, neighbourhoodId },
-      { status, assignedTo },
-      { new: true }
-    );
+    res.json({
+      message: 'Report status updated successfully',
+      status: report.status,
+      resolvedAt: report.resolvedAt
+    });
+  } catch (error) {
+    handleCaseError(res, error, 'Update report status');
+  }
+});
 
-    if (!report) {
-      return res.status(404).json({ message: 'Report not found' });
+/**
+ * @route   PUT /api/reports/:id/assignment
+ * @desc    Assign a report to a moderator, or unassign it with assigneeId null
+ * @access  Private (moderators/admins)
+ */
+router.put('/:id/assignment', requireRole(['admin', 'moderator']), [
+  param('id').isMongoId().withMessage('Invalid report ID'),
+  body('assigneeId').custom(value => value === null || /^[0-9a-fA-F]{24}$/.test(value))
+    .withMessage('assigneeId must be a user ID or null'),
+  body('note').optional().trim().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    res.json({ message: 'Report status updated successfully' });
+    const { assigneeId, note } = req.body;
+    const report = await ReportCaseService.assign(req.params.id, req.user.userId, assigneeId, note, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      message: assigneeId ? 'Report assigned successfully' : 'Report unassigned successfully',
+      assignedTo: report.assignedTo || null,
+      assignedAt: report.assignedAt || null
+    });
   } catch (error) {
-    console.error('Update report status error:', error);
-    res.status(500).json({ message: 'Server error' });
+    handleCaseError(res, error, 'Assign report');
+  }
+});
+
+/**
+ * @route   GET /api/reports/:id/case
+ * @desc    Get a report's case details: assignment, SLA, status history and internal comments
+ * @access  Private (moderators/admins)
+ */
+router.get('/:id/case', requireRole(['admin', 'moderator']), [
+  param('id').isMongoId().withMessage('Invalid report ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const reportCase = await ReportCaseService.getCase(req.params.id, req.user.userId);
+    res.json(reportCase);
+  } catch (error) {
+    handleCaseError(res, error, 'Get report case');
+  }
+});
+
+/**
+ * @route   POST /api/reports/:id/reporter/unmask
+ * @desc    Reveal who filed an anonymous report. Needs the unmask_reporters
+ *          permission; the reason is written to the audit log.
+ * @access  Private (moderators/admins with unmask_reporters, signed in with two-factor)
+ */
+router.post('/:id/reporter/unmask', requireModerator, [
+  param('id').isMongoId().withMessage('Invalid report ID'),
+  body('reason').trim().isLength({ min: 10, max: 1000 })
+    .withMessage('Give a reason of at least 10 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const reporter = await ReportCaseService.unmaskReporter(req.params.id, req.user.userId, req.body.reason, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({ reporter });
+  } catch (error) {
+    handleCaseError(res, error, 'Unmask reporter');
+  }
+});
+
+/**
+ * @route   POST /api/reports/:id/internal-comments
+ * @desc    Add a moderator-only comment to a report
+ * @access  Private (moderators/admins)
+ */
+router.post('/:id/internal-comments', requireRole(['admin', 'moderator']), [
+  param('id').isMongoId().withMessage('Invalid report ID'),
+  body('content').trim().isLength({ min: 1, max: 2000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const comment = await ReportCaseService.addInternalComment(req.params.id, req.user.userId, req.body.content);
+
+    res.status(201).json({
+      message: 'Internal comment added successfully',
+      comment
+    });
+  } catch (error) {
+    handleCaseError(res, error, 'Add internal comment');
   }
 });
 
@@ -344,10 +632,16 @@ router.delete('/:id', async (req, res) => {
     }
 
     // Check permissions
-    if (user.role !== 'admin' && report.reporterId.toString() !== userId) {
+    const isReporter = report.reporterId.toString() === userId;
+    if (user.role !== 'admin' && !isReporter) {
       return res.status(403).json({ message: 'Insufficient permissions' });
     }
 
+    // Removing someone else's report is moderation, which needs a two-factor session
+    if (!isReporter && !(await enforceTwoFactor(req, res))) {
+      return;
+    }
+
     // Soft delete report
     report.reportStatus = 'removed';
     await report.save();
@@ -360,7 +654,7 @@ router.delete('/:id', async (req, res) => {
 });
 
 // Like/Unlike report
-router.post('/:id/like', async (req, res) => {
+router.post('/:id/like', requireVerifiedEmail, requireApprovedMember, async (req, res) => {
   try {
     const reportId = req.params.id;
     const userId = req.user.userId;
@@ -394,7 +688,7 @@ router.post('/:id/like', async (req, res) => {
 });
 
 // Add comment to report
-router.post('/:id/comments', [
+router.post('/:id/comments', requireVerifiedEmail, requireApprovedMember, [
   body('content').trim().isLength({ min: 1, max: 500 })
 ], async (req, res) => {
   try {
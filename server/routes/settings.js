@@ -2,6 +2,8 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
+const SessionService = require('../services/SessionService');
+const PresenceService = require('../services/PresenceService');
 const router = express.Router();
 
 // Get user settings
@@ -25,6 +27,7 @@ router.get('/', async (req, res) => {
 router.put('/', [
   body('notifications').optional().isObject(),
   body('privacy').optional().isObject(),
+  body('privacy.lastSeenVisibility').optional().isIn(['everyone', 'neighbours', 'friends', 'none']),
   body('preferences').optional().isObject()
 ], async (req, res) => {
   try {
@@ -46,6 +49,7 @@ router.put('/', [
       user.settings.notifications = { ...user.settings.notifications, ...notifications };
     }
     
+    const previousLastSeenVisibility = user.settings.privacy.lastSeenVisibility;
     if (privacy) {
       user.settings.privacy = { ...user.settings.privacy, ...privacy };
     }
@@ -57,6 +61,11 @@ router.put('/', [
 
     await user.save();
 
+    // Subscribers who can no longer see the user's presence must not keep getting it
+    if (user.settings.privacy.lastSeenVisibility !== previousLastSeenVisibility) {
+      PresenceService.resetSubscribers(req.app.get('io'), userId);
+    }
+
     res.json({
       message: 'Settings updated successfully',
       settings: user.settings
@@ -104,6 +113,16 @@ router.put('/password', [
     
     await user.save();
 
+    // Sign out every other device; this one stays signed in
+    const otherSessions = (await SessionService.listSessions(user._id, req.user.sessionId))
+      .filter(session => !session.current);
+    await SessionService.revokeAllSessions(user._id, 'password_change', req.user.sessionId);
+
+    const io = req.app.get('io');
+    if (io) {
+      otherSessions.forEach(session => io.in(`session_${session.id}`).disconnectSockets(true));
+    }
+
     res.json({ message: 'Password changed successfully' });
   } catch (error) {
     console.error('Change password error:', error);
@@ -197,7 +216,8 @@ router.put('/notifications', [
 // Update privacy preferences
 router.put('/privacy', [
   body('profileVisibility').optional().isIn(['public', 'neighbours', 'friends', 'private']),
-  body('messagePermissions').optional().isIn(['everyone', 'neighbours', 'friends', 'none'])
+  body('messagePermissions').optional().isIn(['everyone', 'neighbours', 'friends', 'none']),
+  body('lastSeenVisibility').optional().isIn(['everyone', 'neighbours', 'friends', 'none'])
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -213,6 +233,8 @@ router.put('/privacy', [
       return res.status(404).json({ message: 'User not found' });
     }
 
+    const previousLastSeenVisibility = user.settings.privacy.lastSeenVisibility;
+
     // Update privacy settings
     Object.keys(privacySettings).forEach(key => {
       if (user.settings.privacy.hasOwnProperty(key)) {
@@ -222,6 +244,11 @@ router.put('/privacy', [
 
     await user.save();
 
+    // Subscribers who can no longer see the user's presence must not keep getting it
+    if (user.settings.privacy.lastSeenVisibility !== previousLastSeenVisibility) {
+      PresenceService.resetSubscribers(req.app.get('io'), userId);
+    }
+
     res.json({
       message: 'Privacy settings updated successfully',
       privacy: user.settings.privacy
@@ -1,7 +1,11 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Neighbourhood = require('../models/Neighbourhood');
+const BlockingService = require('../services/BlockingService');
+const PrivacyService = require('../services/PrivacyService');
+const PresenceService = require('../services/PresenceService');
+const EncryptionKeyService = require('../services/EncryptionKeyService');
 const { requireRole } = require('../middleware/auth');
 const { executeQuery, withTransaction } = require('../utils/dbOperationWrapper');
 const { enhanceError } = require('../utils/errorClassification');
@@ -45,6 +49,7 @@ router.get('/me', async (req, res) => {
       profileImageUrl: user.profileImageUrl,
       role: user.role,
       isVerified: user.isVerified,
+      emailVerified: user.isEmailVerified(),
       neighbourhoodId: user.neighbourhoodId?._id,
       neighbourhoodName: user.neighbourhoodId?.name,
       createdAt: user.createdAt,
@@ -226,13 +231,212 @@ router.put('/me', [
   }
 });
 
+const handleEncryptionKeyError = (res, error, label) => {
+  if (error.isCustomError) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+
+  console.error(`${label} error:`, error);
+  res.status(500).json({ message: 'Server error' });
+};
+
+// Tell a user's chat partners that one of their device keys changed, so
+// open chats can re-fetch keys and warn about an unverified safety number
+const notifyEncryptionKeyChange = async (req, payload) => {
+  const io = req.app.get('io');
+  if (!io) return;
+
+  try {
+    const partnerIds = await EncryptionKeyService.getChatPartnerIds(req.user.userId);
+    partnerIds.forEach(partnerId => {
+      io.to(`user_${partnerId}`).emit('encryption_keys_changed', payload);
+    });
+    // The user's other devices need the new key too
+    io.to(`user_${req.user.userId}`).emit('encryption_keys_changed', payload);
+  } catch (error) {
+    console.error('Encryption key change notification error:', error);
+  }
+};
+
+/**
+ * @route   GET /api/users/me/keys
+ * @desc    List the current user's end-to-end encryption device keys
+ * @access  Private
+ */
+router.get('/me/keys', async (req, res) => {
+  try {
+    const keys = await EncryptionKeyService.listKeys(req.user.userId);
+    res.json({ keys });
+  } catch (error) {
+    handleEncryptionKeyError(res, error, 'List encryption keys');
+  }
+});
+
+/**
+ * @route   PUT /api/users/me/keys/:deviceId
+ * @desc    Register or refresh this device's public key
+ * @access  Private
+ */
+router.put('/me/keys/:deviceId', [
+  param('deviceId').isLength({ min: 8, max: 100 }).matches(/^[A-Za-z0-9_-]+$/)
+    .withMessage('Invalid device ID'),
+  body('publicKey').isString().isBase64().withMessage('Public key must be base64 encoded'),
+  body('deviceName').optional().isString().trim().isLength({ max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { key, created, changed } = await EncryptionKeyService.registerKey(
+      req.user.userId,
+      req.params.deviceId,
+      { publicKey: req.body.publicKey, deviceName: req.body.deviceName }
+    );
+
+    if (changed) {
+      await notifyEncryptionKeyChange(req, {
+        userId: req.user.userId,
+        deviceId: key.deviceId,
+        fingerprint: key.fingerprint,
+        action: created ? 'added' : 'changed'
+      });
+    }
+
+    res.status(created ? 201 : 200).json({ key, changed });
+  } catch (error) {
+    handleEncryptionKeyError(res, error, 'Register encryption key');
+  }
+});
+
+/**
+ * @route   DELETE /api/users/me/keys/:deviceId
+ * @desc    Remove a device's public key, e.g. for a lost device
+ * @access  Private
+ */
+router.delete('/me/keys/:deviceId', async (req, res) => {
+  try {
+    const key = await EncryptionKeyService.removeKey(req.user.userId, req.params.deviceId);
+
+    await notifyEncryptionKeyChange(req, {
+      userId: req.user.userId,
+      deviceId: key.deviceId,
+      fingerprint: key.fingerprint,
+      action: 'removed'
+    });
+
+    res.json({ message: 'Encryption key removed' });
+  } catch (error) {
+    handleEncryptionKeyError(res, error, 'Remove encryption key');
+  }
+});
+
+/**
+ * @route   GET /api/users/me/profile-preview
+ * @desc    Show the current user what their profile looks like to others
+ * @access  Private
+ */
+router.get('/me/profile-preview', [
+  query('as').isIn(['public', 'neighbour', 'friend'])
+    .withMessage('as must be public, neighbour or friend')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user.userId).select('-password');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json(PrivacyService.previewProfile(user, req.query.as));
+  } catch (error) {
+    console.error('Preview profile error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/users/presence
+ * @desc    Look up the presence of several users, e.g. a group's members.
+ *          Users whose privacy settings or blocks hide them come back with null fields.
+ * @access  Private
+ */
+router.get('/presence', [
+  query('ids').isString().withMessage('ids is required').bail()
+    .customSanitizer(value => value.split(',').map(id => id.trim()).filter(Boolean))
+    .custom(ids => ids.length > 0 && ids.length <= PresenceService.MAX_BATCH_SIZE)
+    .withMessage(`ids must list between 1 and ${PresenceService.MAX_BATCH_SIZE} users`),
+  query('ids.*').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const presence = await PresenceService.getPresence(req.user.userId, req.query.ids);
+    res.json({ presence });
+  } catch (error) {
+    if (error.isCustomError) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Get presence error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+/**
+ * @route   GET /api/users/:id/profile
+ * @desc    View a user's profile, as their privacy settings allow
+ * @access  Private
+ */
+router.get('/:id/profile', [
+  param('id').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const userId = req.user.userId;
+    const [viewer, target] = await Promise.all([
+      PrivacyService.getPolicyUser(userId),
+      User.findOne({ _id: req.params.id, isActive: true, status: 'active' }).select('-password')
+    ]);
+
+    // Blocked users don't exist for each other
+    if (!viewer || !target || await BlockingService.isBlockedEitherWay(userId, target._id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!PrivacyService.canViewProfile(viewer, target)) {
+      return res.status(403).json({ message: 'This profile is private', code: 'PROFILE_PRIVATE' });
+    }
+
+    const relationship = PrivacyService.getRelationship(viewer, target);
+    res.json({
+      ...PrivacyService.formatProfile(target, relationship),
+      relationship,
+      canMessage: relationship !== PrivacyService.RELATIONSHIPS.SELF && PrivacyService.canMessage(viewer, target)
+    });
+  } catch (error) {
+    console.error('Get user profile error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get neighbourhood members
 router.get('/neighbours', async (req, res) => {
   try {
     const userId = req.user.userId;
 
     // Get current user to find their neighbourhood (simplified without transaction)
-    const currentUser = await User.findById(userId).select('neighbourhoodId');
+    const currentUser = await User.findById(userId).select(PrivacyService.POLICY_FIELDS);
     
     if (!currentUser) {
       return res.status(404).json({ message: 'User not found' });
@@ -242,12 +446,16 @@ router.get('/neighbours', async (req, res) => {
       return res.status(400).json({ message: 'User not assigned to a neighbourhood' });
     }
 
+    // Hide users on either side of a block
+    const excludedUserIds = await BlockingService.getExcludedUserIds(userId);
+
     // Get neighbours in the same neighbourhood
     const neighbours = await User.find({
       neighbourhoodId: currentUser.neighbourhoodId,
       isActive: true,
-      _id: { $ne: userId }
+      _id: { $ne: userId, $nin: excludedUserIds }
     })
+    .and([PrivacyService.visibleToFilter(currentUser)]) // Leave out profiles hidden from this user
     .select('firstName lastName email phone address role status createdAt')
     .sort({ firstName: 1, lastName: 1 });
 
@@ -262,7 +470,7 @@ router.get('/neighbours', async (req, res) => {
         joinedAt: user.createdAt
       };
 
-      // For now, show all info since they're neighbors (can add privacy settings later)
+      // Neighbours who can see each other's profiles see their contact details
       return {
         ...baseInfo,
         email: user.email,
@@ -278,6 +486,96 @@ router.get('/neighbours', async (req, res) => {
   }
 });
 
+// Only the account owner (or an admin) may manage a user's block list
+const requireSelfOrAdmin = (req, res, next) => {
+  if (req.params.id !== req.user.userId.toString() && req.user.role !== 'admin') {
+    return res.status(403).json({ message: 'Insufficient permissions' });
+  }
+  next();
+};
+
+// Get blocked users
+router.get('/:id/blocked', requireSelfOrAdmin, [
+  param('id').isMongoId().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const blockedUsers = await BlockingService.getBlockedUsers(req.params.id);
+
+    res.json({
+      blockedUserIds: blockedUsers.map(user => user.id),
+      blockedUsers
+    });
+  } catch (error) {
+    if (error.message === 'User not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    console.error('Get blocked users error:', error);
+    res.status(500).json({ message: 'Failed to retrieve blocked users' });
+  }
+});
+
+// Block a user
+router.post('/:id/block', requireSelfOrAdmin, [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('blockedUserId').isMongoId().withMessage('Valid user ID required'),
+  body('reason').optional().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { blockedUserId, reason = '' } = req.body;
+    const block = await BlockingService.blockUser(req.params.id, blockedUserId, reason);
+    PresenceService.unsubscribeEachOther(req.app.get('io'), req.params.id, blockedUserId);
+
+    res.status(201).json({
+      message: 'User blocked successfully',
+      blockedUserId: block.userId,
+      blockedAt: block.blockedAt
+    });
+  } catch (error) {
+    if (error.message === 'Cannot block yourself') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error.message === 'User not found') {
+      return res.status(404).json({ message: error.message });
+    }
+    console.error('Block user error:', error);
+    res.status(500).json({ message: 'Failed to block user' });
+  }
+});
+
+// Unblock a user
+router.post('/:id/unblock', requireSelfOrAdmin, [
+  param('id').isMongoId().withMessage('Invalid user ID'),
+  body('blockedUserId').isMongoId().withMessage('Valid user ID required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const removed = await BlockingService.unblockUser(req.params.id, req.body.blockedUserId);
+
+    if (!removed) {
+      return res.status(404).json({ message: 'User is not blocked' });
+    }
+
+    res.json({ message: 'User unblocked successfully' });
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({ message: 'Failed to unblock user' });
+  }
+});
+
 // Update user settings
 router.put('/settings', [
   body('notificationsEnabled').optional().isBoolean(),
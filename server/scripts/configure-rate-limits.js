@@ -92,6 +92,7 @@ function updateEnvFile(scenario) {
   console.log(`   Admin rate limit: ${config.ADMIN_RATE_LIMIT_MAX} requests per 15 minutes`);
   console.log(`   Configuration saved to: ${envPath}`);
   console.log('\n⚠️  Remember to restart your server for changes to take effect.');
+  console.log('   Individual policies can also be changed at runtime from the admin dashboard.');
 }
 
 // Main execution
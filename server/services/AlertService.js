@@ -0,0 +1,602 @@
+const mongoose = require('mongoose');
+const Alert = require('../models/Alert');
+const Neighbourhood = require('../models/Neighbourhood');
+const User = require('../models/User');
+const AuditService = require('./AuditService');
+const NotificationService = require('./NotificationService');
+const MembershipService = require('./MembershipService');
+
+// Default, shortest and longest time an alert stays in effect
+const DEFAULT_EXPIRY_MINUTES = 24 * 60;
+const MIN_EXPIRY_MINUTES = 5;
+const MAX_EXPIRY_MINUTES = 7 * 24 * 60;
+
+const SEVERITIES = ['advisory', 'warning', 'emergency'];
+const AREA_TYPES = ['neighbourhood', 'radius'];
+const MAX_TITLE_LENGTH = 100;
+const MAX_MESSAGE_LENGTH = 1000;
+const MIN_RADIUS_METERS = 100;
+const MAX_RADIUS_METERS = 50000;
+
+// Notifications are created in batches so a large neighbourhood doesn't
+// open hundreds of database operations at once
+const DELIVERY_BATCH_SIZE = 50;
+
+const USER_FIELDS = 'firstName lastName email profileImageUrl';
+
+/**
+ * Create an error the routes can turn straight into a response
+ * @param {number} statusCode - HTTP status to respond with
+ * @param {string} message - Error message
+ * @returns {Error} Error flagged with isCustomError
+ */
+const alertError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.isCustomError = true;
+  return error;
+};
+
+/**
+ * Read a number that may have arrived as a string, as form and socket input can
+ * @param {*} value - Input value
+ * @returns {number} The number, or NaN if the value isn't one
+ */
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+};
+
+const isNumberBetween = (value, min, max) => Number.isFinite(value) && value >= min && value <= max;
+
+/**
+ * Read a boolean that may have arrived as a string or 0/1
+ * @param {*} value - Input value
+ * @returns {boolean|undefined} The boolean, or undefined if the value isn't one
+ */
+const toBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  if (['true', '1', 1].includes(value)) return true;
+  if (['false', '0', 0].includes(value)) return false;
+  return undefined;
+};
+
+/**
+ * Service for emergency alerts
+ *
+ * Moderators issue alerts to their neighbourhood, or to every neighbourhood
+ * they moderate within a radius of a point. The recipients are fixed when
+ * the alert is issued and each of them gets an in-app notification and a
+ * push notification, so people who were offline still see the alert. Online
+ * users also get it straight away over Socket.IO. Alerts can require an
+ * acknowledgement, which the issuing moderator can follow live.
+ */
+class AlertService {
+  /**
+   * Format an alert for API responses
+   * @param {Object} alert - Alert document (optionally with issuedBy populated)
+   * @param {Object} options - { acknowledged } for the user asking
+   * @returns {Object} Formatted alert
+   */
+  static formatAlert(alert, { acknowledged } = {}) {
+    const issuer = alert.issuedBy && alert.issuedBy.firstName ? alert.issuedBy : null;
+    const center = alert.area.center && alert.area.center.coordinates;
+
+    return {
+      id: alert._id,
+      title: alert.title,
+      message: alert.message,
+      severity: alert.severity,
+      area: {
+        type: alert.area.type,
+        latitude: center ? center[1] : undefined,
+        longitude: center ? center[0] : undefined,
+        radiusMeters: alert.area.radiusMeters
+      },
+      neighbourhoodIds: alert.neighbourhoodIds,
+      issuedBy: issuer ? {
+        id: issuer._id,
+        firstName: issuer.firstName,
+        lastName: issuer.lastName
+      } : { id: alert.issuedBy },
+      requiresAcknowledgement: alert.requiresAcknowledgement,
+      acknowledged,
+      status: alert.isInEffect() ? 'active' : (alert.status === 'cancelled' ? 'cancelled' : 'expired'),
+      expiresAt: alert.expiresAt,
+      cancelledAt: alert.cancelledAt,
+      cancelReason: alert.cancelReason,
+      recipientCount: alert.recipientCount,
+      acknowledgedCount: alert.acknowledgedCount,
+      createdAt: alert.createdAt
+    };
+  }
+
+  /**
+   * Check whether a user can issue alerts to a neighbourhood
+   * Admins can alert any neighbourhood; otherwise the same people who
+   * moderate it (see MembershipService.canReview).
+   * @param {Object} user - User document
+   * @param {Object} neighbourhood - Neighbourhood document
+   * @returns {boolean} Whether the user can issue alerts
+   */
+  static canIssue(user, neighbourhood) {
+    if (!user || !neighbourhood) return false;
+    return user.role === 'admin' || MembershipService.canReview(user, neighbourhood);
+  }
+
+  /**
+   * Work out which neighbourhoods an alert goes to
+   * @param {Object} issuer - Issuing user
+   * @param {Object} area - { type, neighbourhoodId, latitude, longitude, radiusMeters }
+   * @returns {Promise<Object[]>} Neighbourhood documents
+   */
+  static async resolveArea(issuer, area) {
+    if (area.type === 'radius') {
+      const nearby = await Neighbourhood.findIntersecting(area.latitude, area.longitude, area.radiusMeters);
+      const neighbourhoods = nearby
+        .map(neighbourhood => Neighbourhood.hydrate(neighbourhood))
+        .filter(neighbourhood => AlertService.canIssue(issuer, neighbourhood));
+
+      if (neighbourhoods.length === 0) {
+        throw alertError(400, 'There are no neighbourhoods you moderate in this area');
+      }
+
+      return neighbourhoods;
+    }
+
+    const neighbourhood = await Neighbourhood.findById(area.neighbourhoodId || issuer.neighbourhoodId);
+    if (!neighbourhood || !neighbourhood.isActive) {
+      throw alertError(404, 'Neighbourhood not found');
+    }
+
+    if (!AlertService.canIssue(issuer, neighbourhood)) {
+      throw alertError(403, 'Only moderators of this neighbourhood can issue alerts');
+    }
+
+    return [neighbourhood];
+  }
+
+  /**
+   * Check and normalise the details of a new alert
+   * Alerts come in over both the REST API and Socket.IO, so the rules live here.
+   * @param {Object} data - { title, message, severity, area, expiresInMinutes, requiresAcknowledgement }
+   * @returns {Object} The same details, trimmed and converted
+   * @throws {Error} 400 error with an `errors` list of { path, msg } if anything is invalid
+   */
+  static validateAlert(data = {}) {
+    const errors = [];
+    const invalid = (path, msg) => errors.push({ path, msg });
+
+    const title = typeof data.title === 'string' ? data.title.trim() : '';
+    if (title.length < 1 || title.length > MAX_TITLE_LENGTH) {
+      invalid('title', `Title must be 1 to ${MAX_TITLE_LENGTH} characters`);
+    }
+
+    const message = typeof data.message === 'string' ? data.message.trim() : '';
+    if (message.length < 1 || message.length > MAX_MESSAGE_LENGTH) {
+      invalid('message', `Message must be 1 to ${MAX_MESSAGE_LENGTH} characters`);
+    }
+
+    if (data.severity !== undefined && !SEVERITIES.includes(data.severity)) {
+      invalid('severity', `Severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+
+    const area = data.area && typeof data.area === 'object' ? data.area : {};
+    const areaType = area.type === undefined ? 'neighbourhood' : area.type;
+    if (!AREA_TYPES.includes(areaType)) {
+      invalid('area.type', `Area type must be one of ${AREA_TYPES.join(', ')}`);
+    }
+
+    if (area.neighbourhoodId !== undefined && !mongoose.isValidObjectId(area.neighbourhoodId)) {
+      invalid('area.neighbourhoodId', 'Invalid neighbourhood ID');
+    }
+
+    const latitude = toNumber(area.latitude);
+    const longitude = toNumber(area.longitude);
+    const radiusMeters = toNumber(area.radiusMeters);
+    if (areaType === 'radius') {
+      if (!isNumberBetween(latitude, -90, 90)) {
+        invalid('area.latitude', 'Latitude must be between -90 and 90');
+      }
+      if (!isNumberBetween(longitude, -180, 180)) {
+        invalid('area.longitude', 'Longitude must be between -180 and 180');
+      }
+      if (!Number.isInteger(radiusMeters) || !isNumberBetween(radiusMeters, MIN_RADIUS_METERS, MAX_RADIUS_METERS)) {
+        invalid('area.radiusMeters', `Radius must be ${MIN_RADIUS_METERS} to ${MAX_RADIUS_METERS} metres`);
+      }
+    }
+
+    const expiresInMinutes = data.expiresInMinutes === undefined ? undefined : toNumber(data.expiresInMinutes);
+    if (expiresInMinutes !== undefined &&
+        (!Number.isInteger(expiresInMinutes) || !isNumberBetween(expiresInMinutes, MIN_EXPIRY_MINUTES, MAX_EXPIRY_MINUTES))) {
+      invalid('expiresInMinutes', `Expiry must be ${MIN_EXPIRY_MINUTES} to ${MAX_EXPIRY_MINUTES} minutes`);
+    }
+
+    const requiresAcknowledgement = toBoolean(data.requiresAcknowledgement);
+    if (data.requiresAcknowledgement !== undefined && requiresAcknowledgement === undefined) {
+      invalid('requiresAcknowledgement', 'requiresAcknowledgement must be true or false');
+    }
+
+    if (errors.length > 0) {
+      const error = alertError(400, errors[0].msg);
+      error.errors = errors;
+      throw error;
+    }
+
+    return {
+      title,
+      message,
+      severity: data.severity,
+      area: areaType === 'radius'
+        ? { type: 'radius', latitude, longitude, radiusMeters }
+        : { type: 'neighbourhood', neighbourhoodId: area.neighbourhoodId },
+      expiresInMinutes,
+      requiresAcknowledgement
+    };
+  }
+
+  /**
+   * Issue an alert and deliver it to everyone in its area
+   * @param {string} issuerId - ID of the issuing moderator
+   * @param {Object} input - { title, message, severity, area, expiresInMinutes, requiresAcknowledgement }
+   * @param {Object} meta - { io, ipAddress, userAgent }
+   * @returns {Promise<Object>} The new alert
+   */
+  static async issueAlert(issuerId, input, meta = {}) {
+    const issuer = await User.findById(issuerId);
+    if (!issuer || !['admin', 'moderator'].includes(issuer.role)) {
+      throw alertError(403, 'Only moderators can issue alerts');
+    }
+
+    const data = AlertService.validateAlert(input);
+    const area = data.area;
+    const neighbourhoods = await AlertService.resolveArea(issuer, area);
+    const neighbourhoodIds = neighbourhoods.map(neighbourhood => neighbourhood._id);
+
+    const recipients = await User.find({
+      neighbourhoodId: { $in: neighbourhoodIds },
+      isActive: true,
+      _id: { $ne: issuer._id }
+    }).select('_id');
+    const recipientIds = recipients.map(recipient => recipient._id);
+
+    const severity = data.severity || 'warning';
+    const expiresInMinutes = Math.min(data.expiresInMinutes || DEFAULT_EXPIRY_MINUTES, MAX_EXPIRY_MINUTES);
+
+    const alert = await Alert.create({
+      title: data.title,
+      message: data.message,
+      severity,
+      area: area.type === 'radius'
+        ? {
+          type: 'radius',
+          center: { type: 'Point', coordinates: [area.longitude, area.latitude] },
+          radiusMeters: area.radiusMeters
+        }
+        : { type: 'neighbourhood' },
+      neighbourhoodIds,
+      issuedBy: issuer._id,
+      requiresAcknowledgement: data.requiresAcknowledgement !== undefined
+        ? Boolean(data.requiresAcknowledgement)
+        : severity === 'emergency',
+      expiresAt: new Date(Date.now() + expiresInMinutes * 60 * 1000),
+      recipientIds,
+      recipientCount: recipientIds.length
+    });
+
+    await AuditService.logAction({
+      adminId: issuer._id,
+      action: 'alert_issue',
+      targetType: 'alert',
+      targetId: alert._id,
+      details: {
+        title: alert.title,
+        severity: alert.severity,
+        area: area.type,
+        neighbourhoodIds,
+        recipientCount: alert.recipientCount
+      },
+      ipAddress: meta.ipAddress,
+      userAgent: meta.userAgent
+    });
+
+    await alert.populate('issuedBy', 'firstName lastName');
+    const formatted = AlertService.formatAlert(alert, { acknowledged: false });
+
+    if (meta.io) {
+      neighbourhoodIds.forEach(neighbourhoodId => {
+        meta.io.to(`neighbourhood_${neighbourhoodId}`).emit('emergency_alert', formatted);
+      });
+    }
+
+    AlertService.deliver(alert, recipientIds).catch(error => {
+      console.error('Error delivering alert notifications:', error);
+    });
+
+    return alert;
+  }
+
+  /**
+   * Create the in-app and push notifications for an alert
+   * NotificationService sends the push notification for each one.
+   * @param {Object} alert - Alert document
+   * @param {ObjectId[]} recipientIds - Users to notify
+   * @returns {Promise<number>} Number of notifications created
+   */
+  static async deliver(alert, recipientIds) {
+    let delivered = 0;
+
+    for (let i = 0; i < recipientIds.length; i += DELIVERY_BATCH_SIZE) {
+      const batch = recipientIds.slice(i, i + DELIVERY_BATCH_SIZE);
+      const results = await Promise.allSettled(batch.map(recipient =>
+        NotificationService.createNotification({
+          recipient,
+          type: 'alert',
+          title: alert.title,
+          content: alert.message.length > 500 ? `${alert.message.slice(0, 497)}...` : alert.message,
+          reference: { type: 'alert', id: alert._id },
+          sender: alert.issuedBy._id || alert.issuedBy,
+          metadata: {
+            severity: alert.severity,
+            requiresAcknowledgement: alert.requiresAcknowledgement,
+            expiresAt: alert.expiresAt
+          }
+        })
+      ));
+
+      results.forEach(result => {
+        if (result.status === 'fulfilled' && result.value) {
+          delivered++;
+        } else if (result.status === 'rejected') {
+          console.error('Error creating alert notification:', result.reason);
+        }
+      });
+    }
+
+    return delivered;
+  }
+
+  /**
+   * Cancel an alert before it expires
+   * @param {string} alertId - ID of the alert
+   * @param {string} userId - ID of the issuer or an admin
+   * @param {string} reason - Optional reason shown to recipients
+   * @param {Object} meta - { io, ipAddress, userAgent }
+   * @returns {Promise<Object>} The cancelled alert
+   */
+  static async cancelAlert(alertId, userId, reason, meta = {}) {
+    const [alert, user] = await Promise.all([
+      Alert.findById(alertId),
+      User.findById(userId)
+    ]);
+
+    if (!alert) {
+      throw alertError(404, 'Alert not found');
+    }
+
+    if (!user || (!alert.issuedBy.equals(user._id) && user.role !== 'admin')) {
+      throw alertError(403, 'Only the moderator who issued this alert can cancel it');
+    }
+
+    const cancelled = await Alert.findOneAndUpdate(
+      { _id: alert._id, status: 'active', expiresAt: { $gt: new Date() } },
+      {
+        $set: {
+          status: 'cancelled',
+          cancelledBy: user._id,
+          cancelledAt: new Date(),
+          cancelReason: reason
+        }
+      },
+      { new: true }
+    );
+
+    if (!cancelled) {
+      throw alertError(409, 'This alert is no longer active');
+    }
+
+    await AuditService.logAction({
+      adminId: user._id,
+      action: 'alert_cancel',
+      targetType: 'alert',
+      targetId: cancelled._id,
+      details: { reason },
+      ipAddress: meta.ipAddress,
+      userAgent: meta.userAgent
+    });
+
+    if (meta.io) {
+      cancelled.neighbourhoodIds.forEach(neighbourhoodId => {
+        meta.io.to(`neighbourhood_${neighbourhoodId}`).emit('emergency_alert_cancelled', {
+          alertId: cancelled._id,
+          reason,
+          cancelledAt: cancelled.cancelledAt
+        });
+      });
+    }
+
+    return cancelled;
+  }
+
+  /**
+   * Acknowledge an alert. Acknowledging twice is a no-op.
+   * @param {string} alertId - ID of the alert
+   * @param {string} userId - ID of the recipient
+   * @param {Object} meta - { io } to update the issuer's dashboard
+   * @returns {Promise<Object>} { alert, acknowledgedAt }
+   */
+  static async acknowledge(alertId, userId, meta = {}) {
+    const alert = await Alert.findOne({ _id: alertId, recipientIds: userId });
+    if (!alert) {
+      throw alertError(404, 'Alert not found');
+    }
+
+    const acknowledgedAt = new Date();
+
+    // Only the first acknowledgement from each user is recorded
+    const updated = await Alert.findOneAndUpdate(
+      { _id: alert._id, 'acknowledgements.userId': { $ne: userId } },
+      {
+        $push: { acknowledgements: { userId, acknowledgedAt } },
+        $inc: { acknowledgedCount: 1 }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      const existing = await Alert.findById(alert._id)
+        .select({ acknowledgements: { $elemMatch: { userId } }, acknowledgedCount: 1 });
+      return { alert, acknowledgedAt: existing.acknowledgements[0].acknowledgedAt };
+    }
+
+    if (meta.io) {
+      const user = await User.findById(userId).select('firstName lastName');
+      meta.io.to(`user_${updated.issuedBy}`).emit('alert_acknowledged', {
+        alertId: updated._id,
+        user: user ? { id: user._id, firstName: user.firstName, lastName: user.lastName } : { id: userId },
+        acknowledgedAt,
+        acknowledgedCount: updated.acknowledgedCount,
+        recipientCount: updated.recipientCount
+      });
+    }
+
+    return { alert: updated, acknowledgedAt };
+  }
+
+  /**
+   * Get the alerts sent to a user, newest first
+   * @param {string} userId - ID of the user
+   * @param {Object} options - { activeOnly, page, limit }
+   * @returns {Promise<Object>} Paginated alerts with the user's acknowledgement state
+   */
+  static async getUserAlerts(userId, { activeOnly = true, page = 1, limit = 20 } = {}) {
+    const query = { recipientIds: userId };
+    if (activeOnly) {
+      query.status = 'active';
+      query.expiresAt = { $gt: new Date() };
+    }
+
+    const [alerts, total] = await Promise.all([
+      Alert.find(query)
+        .populate('issuedBy', 'firstName lastName')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Alert.countDocuments(query)
+    ]);
+
+    const acknowledged = await Alert.find({
+      _id: { $in: alerts.map(alert => alert._id) },
+      'acknowledgements.userId': userId
+    }).select('_id');
+    const acknowledgedIds = new Set(acknowledged.map(alert => alert._id.toString()));
+
+    return {
+      alerts: alerts.map(alert => AlertService.formatAlert(alert, {
+        acknowledged: acknowledgedIds.has(alert._id.toString())
+      })),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    };
+  }
+
+  /**
+   * Get the alerts a moderator has issued (all alerts for admins), newest first
+   * @param {string} userId - ID of the moderator
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} Paginated alerts
+   */
+  static async getIssuedAlerts(userId, { page = 1, limit = 20 } = {}) {
+    const user = await User.findById(userId);
+    const query = user && user.role === 'admin' ? {} : { issuedBy: userId };
+
+    const [alerts, total] = await Promise.all([
+      Alert.find(query)
+        .populate('issuedBy', 'firstName lastName')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Alert.countDocuments(query)
+    ]);
+
+    return {
+      alerts: alerts.map(alert => AlertService.formatAlert(alert)),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    };
+  }
+
+  /**
+   * Get a single alert for one of its recipients or its issuer
+   * @param {string} alertId - ID of the alert
+   * @param {string} userId - ID of the user asking
+   * @returns {Promise<Object>} Formatted alert
+   */
+  static async getAlert(alertId, userId) {
+    const alert = await Alert.findOne({
+      _id: alertId,
+      $or: [{ recipientIds: userId }, { issuedBy: userId }]
+    }).populate('issuedBy', 'firstName lastName');
+
+    if (!alert) {
+      throw alertError(404, 'Alert not found');
+    }
+
+    const acknowledged = await Alert.exists({ _id: alert._id, 'acknowledgements.userId': userId });
+    return AlertService.formatAlert(alert, { acknowledged: Boolean(acknowledged) });
+  }
+
+  /**
+   * Get who has and hasn't acknowledged an alert, for the issuer's dashboard
+   * @param {string} alertId - ID of the alert
+   * @param {string} userId - ID of the issuer or an admin
+   * @returns {Promise<Object>} { alert, acknowledged, pending }
+   */
+  static async getAcknowledgements(alertId, userId) {
+    const [alert, user] = await Promise.all([
+      Alert.findById(alertId)
+        .select('+recipientIds +acknowledgements')
+        .populate('issuedBy', 'firstName lastName'),
+      User.findById(userId)
+    ]);
+
+    if (!alert) {
+      throw alertError(404, 'Alert not found');
+    }
+
+    if (!user || (!alert.issuedBy._id.equals(user._id) && user.role !== 'admin')) {
+      throw alertError(403, 'Only the moderator who issued this alert can see its acknowledgements');
+    }
+
+    const recipients = await User.find({ _id: { $in: alert.recipientIds } })
+      .select(USER_FIELDS)
+      .sort({ lastName: 1, firstName: 1 });
+
+    const acknowledgedAt = new Map(alert.acknowledgements.map(ack => [ack.userId.toString(), ack.acknowledgedAt]));
+    const formatUser = recipient => ({
+      id: recipient._id,
+      firstName: recipient.firstName,
+      lastName: recipient.lastName,
+      email: recipient.email,
+      profileImageUrl: recipient.profileImageUrl
+    });
+
+    return {
+      alert: AlertService.formatAlert(alert),
+      acknowledged: recipients
+        .filter(recipient => acknowledgedAt.has(recipient._id.toString()))
+        .map(recipient => ({ ...formatUser(recipient), acknowledgedAt: acknowledgedAt.get(recipient._id.toString()) }))
+        .sort((a, b) => a.acknowledgedAt - b.acknowledgedAt),
+      pending: recipients
+        .filter(recipient => !acknowledgedAt.has(recipient._id.toString()))
+        .map(formatUser)
+    };
+  }
+}
+
+module.exports = AlertService;
@@ -0,0 +1,294 @@
+const Message = require('../models/Message');
+const ChatGroup = require('../models/ChatGroup');
+const PrivateChat = require('../models/PrivateChat');
+const MessageSyncService = require('./MessageSyncService');
+const MessageEditService = require('./MessageEditService');
+const { emitToChat } = require('../utils/chatAccess');
+const { formatMessageResponse } = require('../utils/messageFormatter');
+
+// Allowed disappearing message periods in hours (1 hour, 1 day, 7 days, 30 days, 1 year)
+const AUTO_DELETE_PERIODS = [1, 24, 168, 720, 8760];
+
+// Grace period before the TTL index removes expired messages. TTL deletions
+// bypass MessageSyncService, so `/messages/changes` clients never get a
+// tombstone for them. The grace period is kept far beyond the sweep interval
+// (AUTO_DELETE_SWEEP_INTERVAL_MS, 30 seconds by default) so the sweeper always
+// gets there first; the TTL index only catches messages left behind when no
+// sweeper has run for days.
+const TTL_GRACE_SECONDS = 7 * 24 * 60 * 60;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Service for disappearing messages
+ *
+ * Each chat stores its retention period in `autoDeleteSettings`. New messages
+ * get `autoDelete.expiresAt` stamped when they are saved (see the Message
+ * pre-save hook), and the sweeper periodically deletes expired messages and
+ * tells everyone in the chat which messages are gone.
+ */
+class AutoDeleteService {
+  /**
+   * Create a new AutoDeleteService instance
+   * @param {Object} io - Socket.io server instance
+   * @param {Object} config - Configuration options
+   */
+  constructor(io, config = {}) {
+    this.io = io;
+    this.config = {
+      sweepIntervalMs: config.sweepIntervalMs || 30000, // 30 seconds by default
+      batchSize: config.batchSize || 500
+    };
+    this.interval = null;
+    this.isSweeping = false;
+  }
+
+  /**
+   * Start the expired message sweeper
+   * @returns {AutoDeleteService} this instance for chaining
+   */
+  start() {
+    if (this.interval) {
+      return this;
+    }
+
+    this.interval = setInterval(() => this.sweep(), this.config.sweepIntervalMs);
+
+    AutoDeleteService.ensureTtlIndex().catch(error => {
+      console.error('Error updating auto-delete TTL index:', error);
+    });
+
+    console.log(`Auto-delete sweeper started (interval: ${this.config.sweepIntervalMs}ms)`);
+    return this;
+  }
+
+  /**
+   * Stop the expired message sweeper
+   * @returns {AutoDeleteService} this instance for chaining
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+
+    console.log('Auto-delete sweeper stopped');
+    return this;
+  }
+
+  /**
+   * Delete all expired messages, skipping the run if the previous one is still going
+   * @returns {Promise<number>} Number of deleted messages
+   */
+  async sweep() {
+    if (this.isSweeping) {
+      return 0;
+    }
+
+    this.isSweeping = true;
+    try {
+      return await AutoDeleteService.deleteExpiredMessages(this.io, null, this.config.batchSize);
+    } catch (error) {
+      console.error('Auto-delete sweep error:', error);
+      return 0;
+    } finally {
+      this.isSweeping = false;
+    }
+  }
+
+  /**
+   * Existing deployments have the TTL index without a grace period, which
+   * would race the sweeper. Update it in place if needed.
+   * @returns {Promise<void>}
+   */
+  static async ensureTtlIndex() {
+    const indexes = await Message.collection.indexes();
+    const ttlIndex = indexes.find(index => index.key && index.key['autoDelete.expiresAt'] === 1);
+
+    if (ttlIndex && ttlIndex.expireAfterSeconds !== TTL_GRACE_SECONDS) {
+      await Message.db.db.command({
+        collMod: Message.collection.collectionName,
+        index: { name: ttlIndex.name, expireAfterSeconds: TTL_GRACE_SECONDS }
+      });
+    }
+  }
+
+  /**
+   * Get the auto-delete settings of a chat in the shape the client expects
+   * @param {Object} chat - ChatGroup or PrivateChat document
+   * @returns {Object} Settings
+   */
+  static formatSettings(chat) {
+    const settings = chat.autoDeleteSettings || {};
+
+    return {
+      enabled: Boolean(settings.enabled),
+      period: settings.period || 24,
+      updatedBy: settings.updatedBy || null,
+      updatedAt: settings.updatedAt || null
+    };
+  }
+
+  /**
+   * Change a chat's disappearing message timer
+   * Posts a system message in the chat and notifies all members.
+   * @param {Object} access - Result of findChatForUser
+   * @param {Object} settings - { enabled, period, applyToExisting }
+   * @param {Object} user - User making the change (needs _id, firstName, lastName)
+   * @param {Object} io - Socket.io server instance
+   * @returns {Promise<Object>} Updated settings
+   */
+  static async updateSettings(access, settings, user, io) {
+    const { chat, chatType } = access;
+    const enabled = Boolean(settings.enabled);
+    const period = enabled ? settings.period : (chat.autoDeleteSettings?.period || 24);
+
+    if (enabled && !AUTO_DELETE_PERIODS.includes(period)) {
+      throw new Error('Invalid auto-delete period');
+    }
+
+    chat.autoDeleteSettings = {
+      enabled,
+      period,
+      updatedBy: user._id,
+      updatedAt: new Date()
+    };
+    await chat.save();
+
+    const periodMs = period * HOUR_MS;
+
+    if (enabled && settings.applyToExisting) {
+      // Existing messages expire relative to when they were sent
+      await Message.updateMany(
+        { chatId: chat._id, messageType: { $ne: 'system' } },
+        [{
+          $set: {
+            'autoDelete.enabled': true,
+            'autoDelete.period': periodMs,
+            'autoDelete.expiresAt': { $add: ['$createdAt', periodMs] }
+          }
+        }]
+      );
+    } else if (!enabled) {
+      // Turning the timer off keeps any messages that have not expired yet
+      await Message.updateMany(
+        { chatId: chat._id, 'autoDelete.enabled': true },
+        { $set: { 'autoDelete.enabled': false }, $unset: { 'autoDelete.expiresAt': '', 'autoDelete.period': '' } }
+      );
+    }
+
+    const userName = `${user.firstName} ${user.lastName}`.trim();
+    const systemMessage = await Message.create({
+      chatId: chat._id,
+      chatType,
+      senderId: user._id,
+      senderName: userName,
+      content: enabled
+        ? `${userName} turned on disappearing messages. New messages will disappear after ${AutoDeleteService.describePeriod(period)}.`
+        : `${userName} turned off disappearing messages.`,
+      messageType: 'system',
+      status: 'sent'
+    });
+
+    const result = {
+      ...AutoDeleteService.formatSettings(chat),
+      applyToExisting: Boolean(enabled && settings.applyToExisting)
+    };
+
+    const formattedMessage = formatMessageResponse(systemMessage);
+    emitToChat(io, access, 'new_message', chatType === 'group'
+      ? formattedMessage
+      : { message: formattedMessage, chatId: chat._id });
+    emitToChat(io, access, 'auto_delete_settings_updated', {
+      chatId: chat._id,
+      settings: result,
+      updatedBy: user._id
+    });
+
+    return result;
+  }
+
+  /**
+   * Delete expired messages and notify the affected chats
+   * @param {Object} io - Socket.io server instance
+   * @param {string} [chatId] - Only clean up this chat
+   * @param {number} [limit] - Maximum number of messages to delete in one pass
+   * @returns {Promise<number>} Number of deleted messages
+   */
+  static async deleteExpiredMessages(io, chatId = null, limit = 500) {
+    const filter = { 'autoDelete.expiresAt': { $lte: new Date() } };
+    if (chatId) {
+      filter.chatId = chatId;
+    }
+
+    const expired = await Message.find(filter)
+      .select('_id chatId chatType')
+      .limit(limit)
+      .lean();
+
+    if (expired.length === 0) {
+      return 0;
+    }
+
+    // Clients syncing changes learn about the removal from these
+    await MessageSyncService.recordDeletions(expired, 'expired');
+
+    const { deletedCount } = await Message.deleteMany({
+      _id: { $in: expired.map(m => m._id) }
+    });
+
+    // Group by chat so each chat gets a single event
+    const byChat = new Map();
+    expired.forEach(message => {
+      const key = message.chatId.toString();
+      if (!byChat.has(key)) {
+        byChat.set(key, { chatType: message.chatType, messageIds: [] });
+      }
+      byChat.get(key).messageIds.push(message._id.toString());
+    });
+
+    // Group previews are read from the messages; private chats keep a copy
+    for (const [id, { chatType }] of byChat) {
+      if (chatType === 'private') {
+        await MessageEditService.refreshLastMessage({ _id: id });
+      }
+    }
+
+    if (io) {
+      for (const [id, { chatType, messageIds }] of byChat) {
+        const chat = chatType === 'group'
+          ? await ChatGroup.findById(id).select('_id')
+          : await PrivateChat.findById(id).select('participants');
+
+        if (chat) {
+          emitToChat(io, { chatType, chat }, 'messages_auto_deleted', {
+            chatId: id,
+            messageIds,
+            deletedCount: messageIds.length
+          });
+        }
+      }
+    }
+
+    return deletedCount;
+  }
+
+  /**
+   * Describe a period in hours for system messages
+   * @param {number} hours - Period in hours
+   * @returns {string} Human readable period
+   */
+  static describePeriod(hours) {
+    if (hours === 8760) return '1 year';
+    if (hours >= 24 && hours % 24 === 0) {
+      const days = hours / 24;
+      return days === 1 ? '24 hours' : `${days} days`;
+    }
+    return hours === 1 ? '1 hour' : `${hours} hours`;
+  }
+}
+
+AutoDeleteService.AUTO_DELETE_PERIODS = AUTO_DELETE_PERIODS;
+AutoDeleteService.TTL_GRACE_SECONDS = TTL_GRACE_SECONDS;
+
+module.exports = AutoDeleteService;
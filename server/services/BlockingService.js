@@ -0,0 +1,136 @@
+const User = require('../models/User');
+const FriendRequest = require('../models/FriendRequest');
+
+/**
+ * Service for user blocking functionality
+ *
+ * A block is stored on the blocking user's document. Enforcement is
+ * symmetric: once either side has blocked the other, neither can start a
+ * private chat, message, send typing indicators or friend requests, and
+ * neither appears in the other's search results or neighbour list.
+ */
+class BlockingService {
+  /**
+   * Block a user
+   * @param {string} userId - ID of the user performing the block
+   * @param {string} blockedUserId - ID of the user being blocked
+   * @param {string} reason - Optional reason for the block
+   * @returns {Promise<Object>} The block entry
+   */
+  static async blockUser(userId, blockedUserId, reason = '') {
+    if (userId.toString() === blockedUserId.toString()) {
+      throw new Error('Cannot block yourself');
+    }
+
+    const target = await User.findById(blockedUserId).select('_id');
+    if (!target) {
+      throw new Error('User not found');
+    }
+
+    const entry = {
+      userId: blockedUserId,
+      reason,
+      blockedAt: new Date()
+    };
+
+    // Only add the entry if this user is not already blocked
+    await User.updateOne(
+      { _id: userId, 'blockedUsers.userId': { $ne: blockedUserId } },
+      { $push: { blockedUsers: entry } }
+    );
+
+    // Blocking ends any friendship and pending friend requests between the two users
+    await User.updateOne({ _id: userId }, { $pull: { friends: blockedUserId } });
+    await User.updateOne({ _id: blockedUserId }, { $pull: { friends: userId } });
+    await FriendRequest.deleteMany({
+      $or: [
+        { from: userId, to: blockedUserId },
+        { from: blockedUserId, to: userId }
+      ],
+      status: 'pending'
+    });
+
+    return entry;
+  }
+
+  /**
+   * Unblock a user
+   * @param {string} userId - ID of the user removing the block
+   * @param {string} blockedUserId - ID of the user being unblocked
+   * @returns {Promise<boolean>} Whether a block was removed
+   */
+  static async unblockUser(userId, blockedUserId) {
+    const result = await User.updateOne(
+      { _id: userId },
+      { $pull: { blockedUsers: { userId: blockedUserId } } }
+    );
+
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Get the users blocked by a user
+   * @param {string} userId - ID of the user
+   * @returns {Promise<Array>} Block entries with basic profile info
+   */
+  static async getBlockedUsers(userId) {
+    const user = await User.findById(userId)
+      .select('blockedUsers')
+      .populate('blockedUsers.userId', 'firstName lastName profileImageUrl');
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    return user.blockedUsers
+      .filter(entry => entry.userId)
+      .map(entry => ({
+        id: entry.userId._id,
+        firstName: entry.userId.firstName,
+        lastName: entry.userId.lastName,
+        profileImageUrl: entry.userId.profileImageUrl,
+        reason: entry.reason,
+        blockedAt: entry.blockedAt
+      }));
+  }
+
+  /**
+   * Get the IDs of every user that should be hidden from a user, i.e. users
+   * they have blocked plus users who have blocked them
+   * @param {string} userId - ID of the user
+   * @returns {Promise<Array>} User IDs
+   */
+  static async getExcludedUserIds(userId) {
+    const [user, blockedBy] = await Promise.all([
+      User.findById(userId).select('blockedUsers.userId').lean(),
+      User.find({ 'blockedUsers.userId': userId }).select('_id').lean()
+    ]);
+
+    const blocked = user?.blockedUsers?.map(entry => entry.userId) || [];
+
+    return [...blocked, ...blockedBy.map(u => u._id)];
+  }
+
+  /**
+   * Check whether either user has blocked the other
+   * @param {string} userId - ID of the first user
+   * @param {string} otherUserId - ID of the second user
+   * @returns {Promise<boolean>} True if a block exists in either direction
+   */
+  static async isBlockedEitherWay(userId, otherUserId) {
+    if (!userId || !otherUserId) {
+      return false;
+    }
+
+    const block = await User.exists({
+      $or: [
+        { _id: userId, 'blockedUsers.userId': otherUserId },
+        { _id: otherUserId, 'blockedUsers.userId': userId }
+      ]
+    });
+
+    return !!block;
+  }
+}
+
+module.exports = BlockingService;
@@ -0,0 +1,122 @@
+const User = require('../models/User');
+const MailService = require('./MailService');
+const { createActionToken, verifyActionToken } = require('../utils/actionTokens');
+
+const TOKEN_PURPOSE = 'email_verification';
+
+// How long a verification link stays valid
+const VERIFICATION_TOKEN_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '24');
+
+// Resend throttling: minimum gap between emails and a daily cap per user
+const RESEND_COOLDOWN_SECONDS = parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS || '60');
+const MAX_SENDS_PER_DAY = parseInt(process.env.EMAIL_VERIFICATION_MAX_SENDS_PER_DAY || '5');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Service for email address verification
+ *
+ * Verification tokens are single-use action tokens (see utils/actionTokens).
+ * Sending a new link invalidates the previous one.
+ */
+class EmailVerificationService {
+  /**
+   * Work out whether a user may be sent another verification email
+   * @param {Object} user - User document
+   * @returns {number} Seconds until the next email is allowed (0 if allowed now)
+   */
+  static getRetryAfter(user) {
+    const state = user.emailVerification || {};
+    const now = Date.now();
+
+    if (state.lastSentAt) {
+      const cooldownEndsAt = state.lastSentAt.getTime() + RESEND_COOLDOWN_SECONDS * 1000;
+      if (cooldownEndsAt > now) {
+        return Math.ceil((cooldownEndsAt - now) / 1000);
+      }
+    }
+
+    if (state.windowStartedAt && state.sendCount >= MAX_SENDS_PER_DAY) {
+      const windowEndsAt = state.windowStartedAt.getTime() + DAY_MS;
+      if (windowEndsAt > now) {
+        return Math.ceil((windowEndsAt - now) / 1000);
+      }
+    }
+
+    return 0;
+  }
+
+  /**
+   * Email a verification link to a user
+   * @param {Object} user - User document
+   * @returns {Promise<Object>} { sent: true } or { sent: false, retryAfter } when throttled
+   */
+  static async sendVerification(user) {
+    if (user.isEmailVerified()) {
+      throw new Error('Email is already verified');
+    }
+
+    const retryAfter = EmailVerificationService.getRetryAfter(user);
+    if (retryAfter > 0) {
+      return { sent: false, retryAfter };
+    }
+
+    const { token, tokenHash, expiresAt } = createActionToken(
+      user._id,
+      TOKEN_PURPOSE,
+      VERIFICATION_TOKEN_TTL_HOURS * 60
+    );
+
+    const now = new Date();
+    const state = user.emailVerification || {};
+    const windowExpired = !state.windowStartedAt || now - state.windowStartedAt >= DAY_MS;
+
+    user.emailVerification = {
+      tokenHash,
+      expiresAt,
+      lastSentAt: now,
+      sendCount: windowExpired ? 1 : (state.sendCount || 0) + 1,
+      windowStartedAt: windowExpired ? now : state.windowStartedAt
+    };
+    await user.save();
+
+    await MailService.sendEmailVerificationEmail(user, token, VERIFICATION_TOKEN_TTL_HOURS);
+    return { sent: true };
+  }
+
+  /**
+   * Mark a user's email as verified using a verification token
+   * @param {string} token - Verification token from the email link
+   * @returns {Promise<Object>} The verified user
+   */
+  static async verifyEmail(token) {
+    const verified = verifyActionToken(token, TOKEN_PURPOSE);
+    if (!verified) {
+      throw new Error('Invalid or expired verification token');
+    }
+
+    const user = await User.findOneAndUpdate(
+      {
+        _id: verified.userId,
+        'emailVerification.tokenHash': verified.tokenHash,
+        'emailVerification.expiresAt': { $gt: new Date() }
+      },
+      {
+        $set: { emailVerified: true, emailVerifiedAt: new Date() },
+        $unset: { emailVerification: '' }
+      },
+      { new: true }
+    );
+
+    if (!user) {
+      throw new Error('Invalid or expired verification token');
+    }
+
+    return user;
+  }
+}
+
+EmailVerificationService.RESEND_COOLDOWN_SECONDS = RESEND_COOLDOWN_SECONDS;
+EmailVerificationService.MAX_SENDS_PER_DAY = MAX_SENDS_PER_DAY;
+
+module.exports = EmailVerificationService;
@@ -0,0 +1,199 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const PrivateChat = require('../models/PrivateChat');
+
+const MAX_DEVICES = 10;
+const MIN_RSA_BITS = 2048;
+const MAX_PUBLIC_KEY_LENGTH = 2048;
+
+/**
+ * Create an error the routes can turn straight into a response
+ * @param {number} statusCode - HTTP status to respond with
+ * @param {string} message - Error message
+ * @returns {Error} Error flagged with isCustomError
+ */
+const encryptionKeyError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.isCustomError = true;
+  return error;
+};
+
+/**
+ * Check a base64 SPKI public key and work out its fingerprint
+ * @param {string} publicKey - Base64 SPKI RSA public key
+ * @returns {string} SHA-256 hex fingerprint of the key bytes
+ */
+const fingerprintPublicKey = (publicKey) => {
+  if (typeof publicKey !== 'string' || publicKey.length > MAX_PUBLIC_KEY_LENGTH) {
+    throw encryptionKeyError(400, 'Invalid public key');
+  }
+
+  const der = Buffer.from(publicKey, 'base64');
+  let key;
+  try {
+    key = crypto.createPublicKey({ key: der, format: 'der', type: 'spki' });
+  } catch (error) {
+    throw encryptionKeyError(400, 'Invalid public key');
+  }
+
+  if (key.asymmetricKeyType !== 'rsa' || key.asymmetricKeyDetails.modulusLength < MIN_RSA_BITS) {
+    throw encryptionKeyError(400, `Public keys must be RSA with at least ${MIN_RSA_BITS} bits`);
+  }
+
+  return crypto.createHash('sha256').update(der).digest('hex');
+};
+
+const formatKey = (key) => ({
+  deviceId: key.deviceId,
+  publicKey: key.publicKey,
+  fingerprint: key.fingerprint,
+  deviceName: key.deviceName || null,
+  createdAt: key.createdAt,
+  lastSeenAt: key.lastSeenAt
+});
+
+/**
+ * Service for the end-to-end encryption public key directory
+ *
+ * Each browser registers the public half of its own key pair. Chat partners
+ * fetch those keys to wrap message keys for every device, and are told when
+ * a device's key changes so they can check the safety number again.
+ */
+class EncryptionKeyService {
+  /**
+   * List a user's registered device keys
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Device keys, newest first
+   */
+  static async listKeys(userId) {
+    const user = await User.findById(userId).select('encryptionKeys');
+    if (!user) {
+      throw encryptionKeyError(404, 'User not found');
+    }
+
+    return [...user.encryptionKeys]
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .map(formatKey);
+  }
+
+  /**
+   * Register or refresh the public key for one of a user's devices
+   * @param {string} userId - User ID
+   * @param {string} deviceId - Device identifier chosen by the client
+   * @param {Object} data - { publicKey, deviceName }
+   * @returns {Promise<Object>} { key, created, changed }
+   */
+  static async registerKey(userId, deviceId, { publicKey, deviceName }) {
+    const fingerprint = fingerprintPublicKey(publicKey);
+
+    const user = await User.findById(userId).select('encryptionKeys');
+    if (!user) {
+      throw encryptionKeyError(404, 'User not found');
+    }
+
+    const existing = user.encryptionKeys.find(key => key.deviceId === deviceId);
+
+    if (existing && existing.fingerprint === fingerprint) {
+      existing.lastSeenAt = new Date();
+      if (deviceName) {
+        existing.deviceName = deviceName;
+      }
+      await user.save();
+      return { key: formatKey(existing), created: false, changed: false };
+    }
+
+    if (existing) {
+      // Same device, new key pair (e.g. site data was cleared)
+      existing.set({ publicKey, fingerprint, createdAt: new Date(), lastSeenAt: new Date() });
+      if (deviceName) {
+        existing.deviceName = deviceName;
+      }
+      await user.save();
+      return { key: formatKey(existing), created: false, changed: true };
+    }
+
+    if (user.encryptionKeys.length >= MAX_DEVICES) {
+      throw encryptionKeyError(400, `You can register encryption keys for up to ${MAX_DEVICES} devices. Remove one first.`);
+    }
+
+    user.encryptionKeys.push({ deviceId, publicKey, fingerprint, deviceName });
+    await user.save();
+
+    const key = user.encryptionKeys[user.encryptionKeys.length - 1];
+    return { key: formatKey(key), created: true, changed: true };
+  }
+
+  /**
+   * Remove a device's public key
+   * @param {string} userId - User ID
+   * @param {string} deviceId - Device identifier
+   * @returns {Promise<Object>} The removed key
+   */
+  static async removeKey(userId, deviceId) {
+    const user = await User.findById(userId).select('encryptionKeys');
+    if (!user) {
+      throw encryptionKeyError(404, 'User not found');
+    }
+
+    const key = user.encryptionKeys.find(entry => entry.deviceId === deviceId);
+    if (!key) {
+      throw encryptionKeyError(404, 'Encryption key not found');
+    }
+
+    const removed = formatKey(key);
+    user.encryptionKeys.pull(key._id);
+    await user.save();
+
+    return removed;
+  }
+
+  /**
+   * Get the device keys of everyone in a private chat
+   * @param {string} chatId - Private chat ID
+   * @param {string} userId - ID of the participant asking
+   * @returns {Promise<Array>} [{ userId, name, keys }]
+   */
+  static async getChatKeys(chatId, userId) {
+    const privateChat = await PrivateChat.findOne({
+      _id: chatId,
+      participants: userId,
+      isActive: true
+    }).select('participants');
+
+    if (!privateChat) {
+      throw encryptionKeyError(404, 'Private chat not found');
+    }
+
+    const participants = await User.find({ _id: { $in: privateChat.participants } })
+      .select('firstName lastName encryptionKeys');
+
+    return participants.map(participant => ({
+      userId: participant._id,
+      name: `${participant.firstName} ${participant.lastName}`,
+      keys: participant.encryptionKeys.map(formatKey)
+    }));
+  }
+
+  /**
+   * Get the IDs of everyone a user shares an active private chat with
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<string>>} Chat partner IDs
+   */
+  static async getChatPartnerIds(userId) {
+    const chats = await PrivateChat.find({ participants: userId, isActive: true }).select('participants');
+    const partnerIds = new Set();
+
+    chats.forEach(chat => {
+      chat.participants.forEach(participantId => {
+        if (participantId.toString() !== userId.toString()) {
+          partnerIds.add(participantId.toString());
+        }
+      });
+    });
+
+    return [...partnerIds];
+  }
+}
+
+module.exports = EncryptionKeyService;
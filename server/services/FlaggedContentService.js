@@ -123,7 +123,8 @@ class FlaggedContentService {
             contentType: type,
             title: item.title,
             content: item.content || item.description,
-            author: item.author,
+            // Whoever filed an anonymous report stays hidden; see ReportCaseService.unmaskReporter
+            author: type === 'report' && item.isAnonymous ? null : item.author,
             reports: type === 'message' ? 
               item.reportedBy.map(report => ({
                 id: report._id,
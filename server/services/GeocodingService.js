@@ -0,0 +1,58 @@
+const StubGeocoder = require('./geocoding/StubGeocoder');
+const NominatimGeocoder = require('./geocoding/NominatimGeocoder');
+
+/**
+ * Create the geocoder selected by GEOCODER (nominatim or stub)
+ * @returns {Object} Geocoder with a geocode(address) method
+ */
+const createGeocoder = () => {
+  const geocoder = process.env.GEOCODER || 'stub';
+
+  switch (geocoder) {
+    case 'nominatim':
+      return new NominatimGeocoder({
+        url: process.env.GEOCODER_URL,
+        userAgent: process.env.GEOCODER_USER_AGENT,
+        timeoutMs: parseInt(process.env.GEOCODER_TIMEOUT_MS || '5000')
+      });
+    case 'stub':
+      return new StubGeocoder();
+    default:
+      throw new Error(`Unknown geocoder: ${geocoder}`);
+  }
+};
+
+class GeocodingService {
+  constructor() {
+    try {
+      this.geocoder = createGeocoder();
+    } catch (error) {
+      console.warn(`Geocoder not configured (${error.message}). Falling back to the offline stub.`);
+      this.geocoder = new StubGeocoder();
+    }
+  }
+
+  /**
+   * Replace the geocoder, e.g. with a StubGeocoder of known places in tests
+   * @param {Object} geocoder - Geocoder with a geocode(address) method
+   */
+  setGeocoder(geocoder) {
+    this.geocoder = geocoder;
+  }
+
+  /**
+   * Look up the coordinates of an address
+   * @param {string} address - Address to geocode
+   * @returns {Promise<Object|null>} { latitude, longitude } or null if not found
+   */
+  async geocode(address) {
+    if (!address || !address.trim()) {
+      return null;
+    }
+
+    return this.geocoder.geocode(address.trim());
+  }
+}
+
+module.exports = new GeocodingService();
+module.exports.GeocodingService = GeocodingService;
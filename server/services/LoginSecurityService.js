@@ -0,0 +1,337 @@
+const LoginAttempt = require('../models/LoginAttempt');
+const LoginThrottle = require('../models/LoginThrottle');
+const NotificationService = require('./NotificationService');
+const SessionService = require('./SessionService');
+
+// Failures allowed before a lockout, per account and per IP address
+const ACCOUNT_MAX_FAILURES = parseInt(process.env.LOGIN_ACCOUNT_MAX_FAILURES || '5');
+const IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES || '20');
+
+// The first lockout lasts BASE minutes and each one after it twice as long
+const BASE_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_BASE_MINUTES || '1');
+const MAX_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MAX_MINUTES || '60');
+
+// Lockout history is forgotten after this long without failures
+const THROTTLE_MEMORY_MS = 24 * 60 * 60 * 1000;
+
+// Window for spotting suspicious patterns in the login history
+const SUSPICIOUS_WINDOW_MS = 60 * 60 * 1000;
+const FAILURES_BEFORE_SUSPICIOUS_SUCCESS = 3;
+const ACCOUNTS_PER_IP_THRESHOLD = 5;
+
+const MINUTE_MS = 60 * 1000;
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Create an error the routes can turn straight into a response
+ * @param {number} statusCode - HTTP status to respond with
+ * @param {string} message - Error message
+ * @param {number} retryAfter - Seconds until the client may try again
+ * @returns {Error} Error flagged with isCustomError
+ */
+const loginSecurityError = (statusCode, message, retryAfter) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.isCustomError = true;
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+const accountKey = email => `account:${String(email).toLowerCase().trim()}`;
+const ipKey = ipAddress => `ip:${ipAddress}`;
+
+/**
+ * Service for protecting the login endpoint
+ *
+ * Failed attempts are counted per account and per IP address. Reaching the
+ * limit for either locks sign-ins for that key, for twice as long each
+ * time. Every attempt goes into the login history, flagged as suspicious
+ * when it matches a known attack pattern, and sign-ins from a new browser
+ * trigger a notification to the account owner.
+ */
+class LoginSecurityService {
+  /**
+   * Get how long a lockout lasts
+   * @param {number} lockCount - Lockouts the key has already had
+   * @returns {number} Lockout length in minutes
+   */
+  static getLockoutMinutes(lockCount) {
+    return Math.min(BASE_LOCKOUT_MINUTES * 2 ** lockCount, MAX_LOCKOUT_MINUTES);
+  }
+
+  /**
+   * Refuse the attempt if the account or IP address is locked out
+   * Refused attempts are recorded but don't extend the lockout.
+   * @param {Object} attempt - { email, ipAddress, userAgent, user }
+   */
+  static async assertNotLocked({ email, ipAddress, userAgent, user }) {
+    const now = new Date();
+    const keys = [accountKey(email), ...(ipAddress ? [ipKey(ipAddress)] : [])];
+    const locks = await LoginThrottle.find({ key: { $in: keys }, lockedUntil: { $gt: now } });
+
+    if (locks.length === 0) {
+      return;
+    }
+
+    const latest = locks.reduce((a, b) => (a.lockedUntil > b.lockedUntil ? a : b));
+    const accountLocked = locks.some(lock => lock.key === accountKey(email));
+
+    await LoginAttempt.create({
+      userId: user?._id,
+      email,
+      success: false,
+      failureReason: accountLocked ? 'account_locked' : 'ip_locked',
+      ipAddress,
+      userAgent: userAgent ? userAgent.slice(0, 500) : undefined,
+      deviceName: SessionService.describeDevice(userAgent)
+    });
+
+    const retryAfter = Math.ceil((latest.lockedUntil - now) / 1000);
+    const minutes = Math.ceil(retryAfter / 60);
+    throw loginSecurityError(
+      429,
+      `Too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`,
+      retryAfter
+    );
+  }
+
+  /**
+   * Add a failure to a key's throttle, creating it if needed
+   * @param {string} key - Throttle key
+   * @param {Date} now - Current time
+   * @param {boolean} retried - Whether this is a retry after a creation race
+   * @returns {Promise<Object>} The updated throttle
+   * @private
+   */
+  static async incrementFailures(key, now, retried = false) {
+    try {
+      return await LoginThrottle.findOneAndUpdate(
+        { key },
+        {
+          $inc: { failedAttempts: 1 },
+          $set: { lastFailedAt: now, expiresAt: new Date(now.getTime() + THROTTLE_MEMORY_MS) }
+        },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // Two first failures raced to create the throttle; the loser just counts again
+      if (error.code === DUPLICATE_KEY_ERROR && !retried) {
+        return LoginSecurityService.incrementFailures(key, now, true);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Count a failure against a key, locking it once it reaches the limit
+   * @param {string} key - Throttle key
+   * @param {number} maxFailures - Failures allowed before a lockout
+   * @param {Date} now - Current time
+   * @returns {Promise<boolean>} Whether this failure caused a lockout
+   */
+  static async countFailure(key, maxFailures, now) {
+    const throttle = await LoginSecurityService.incrementFailures(key, now);
+
+    if (throttle.failedAttempts < maxFailures) {
+      return false;
+    }
+
+    const lockedUntil = new Date(now.getTime() + LoginSecurityService.getLockoutMinutes(throttle.lockCount) * MINUTE_MS);
+
+    // Only the request that crossed the limit applies the lockout
+    const locked = await LoginThrottle.findOneAndUpdate(
+      { key, failedAttempts: { $gte: maxFailures } },
+      {
+        $set: {
+          failedAttempts: 0,
+          lockedUntil,
+          expiresAt: new Date(lockedUntil.getTime() + THROTTLE_MEMORY_MS)
+        },
+        $inc: { lockCount: 1 }
+      }
+    );
+
+    return Boolean(locked);
+  }
+
+  /**
+   * Record a failed sign-in
+   * @param {Object} attempt - { email, user, ipAddress, userAgent, reason }
+   * @returns {Promise<Object>} The login history entry
+   */
+  static async recordFailure({ email, user, ipAddress, userAgent, reason = 'invalid_credentials' }) {
+    const now = new Date();
+    const suspiciousReasons = [];
+
+    const [accountLocked, ipLocked] = await Promise.all([
+      LoginSecurityService.countFailure(accountKey(email), ACCOUNT_MAX_FAILURES, now),
+      ipAddress ? LoginSecurityService.countFailure(ipKey(ipAddress), IP_MAX_FAILURES, now) : false
+    ]);
+
+    if (accountLocked || ipLocked) {
+      suspiciousReasons.push('lockout');
+    }
+
+    if (ipAddress) {
+      const targetedEmails = await LoginAttempt.distinct('email', {
+        ipAddress,
+        success: false,
+        createdAt: { $gte: new Date(now.getTime() - SUSPICIOUS_WINDOW_MS) }
+      });
+      const emails = new Set([...targetedEmails, String(email).toLowerCase().trim()]);
+      if (emails.size >= ACCOUNTS_PER_IP_THRESHOLD) {
+        suspiciousReasons.push('many_accounts_from_ip');
+      }
+    }
+
+    return LoginAttempt.create({
+      userId: user?._id,
+      email,
+      success: false,
+      failureReason: reason,
+      ipAddress,
+      userAgent: userAgent ? userAgent.slice(0, 500) : undefined,
+      deviceName: SessionService.describeDevice(userAgent),
+      suspicious: suspiciousReasons.length > 0,
+      suspiciousReasons
+    });
+  }
+
+  /**
+   * Record a successful sign-in, clear the account's failure count and
+   * tell the owner if it came from a browser we haven't seen before
+   * @param {Object} attempt - { user, ipAddress, userAgent }
+   * @returns {Promise<Object>} The login history entry
+   */
+  static async recordSuccess({ user, ipAddress, userAgent }) {
+    const now = new Date();
+    const suspiciousReasons = [];
+    const deviceName = SessionService.describeDevice(userAgent);
+    const trimmedUserAgent = userAgent ? userAgent.slice(0, 500) : undefined;
+
+    await LoginThrottle.updateOne(
+      { key: accountKey(user.email) },
+      { $set: { failedAttempts: 0, lockCount: 0 }, $unset: { lockedUntil: '' } }
+    );
+
+    const lastSuccess = await LoginAttempt.findOne({ userId: user._id, success: true }).sort({ createdAt: -1 });
+    const seenDevice = lastSuccess && await LoginAttempt.exists({
+      userId: user._id,
+      success: true,
+      userAgent: trimmedUserAgent
+    });
+
+    // The very first sign-in isn't a new device, there's nothing to compare it to
+    const newDevice = Boolean(lastSuccess && !seenDevice);
+    if (newDevice) {
+      suspiciousReasons.push('new_device');
+    }
+
+    const recentFailures = await LoginAttempt.countDocuments({
+      email: user.email,
+      success: false,
+      createdAt: {
+        $gte: new Date(Math.max(now.getTime() - SUSPICIOUS_WINDOW_MS, lastSuccess ? lastSuccess.createdAt.getTime() : 0))
+      }
+    });
+    if (recentFailures >= FAILURES_BEFORE_SUSPICIOUS_SUCCESS) {
+      suspiciousReasons.push('after_failed_attempts');
+    }
+
+    const entry = await LoginAttempt.create({
+      userId: user._id,
+      email: user.email,
+      success: true,
+      ipAddress,
+      userAgent: trimmedUserAgent,
+      deviceName,
+      newDevice,
+      suspicious: suspiciousReasons.length > 0,
+      suspiciousReasons
+    });
+
+    if (newDevice) {
+      NotificationService.createSystemNotification(
+        user._id,
+        'New sign-in to your account',
+        `Your account was signed in on ${deviceName}${ipAddress ? ` from ${ipAddress}` : ''}. ` +
+          'If this wasn\'t you, change your password and sign out of all devices in Settings.',
+        { kind: 'new_device_login', loginAttemptId: entry._id, deviceName, ipAddress }
+      ).catch(error => {
+        console.error('New device notification error:', error);
+      });
+    }
+
+    return entry;
+  }
+
+  /**
+   * Get suspicious login activity for the admin view
+   * @param {Object} options - { page, limit, days, suspiciousOnly, email }
+   * @returns {Promise<Object>} { items, total, page, limit, totalPages, summary }
+   */
+  static async getSuspiciousActivity({ page = 1, limit = 20, days = 7, suspiciousOnly = true, email } = {}) {
+    const now = new Date();
+    const since = new Date(now.getTime() - days * 24 * 60 * 60 * 1000);
+    const query = {
+      createdAt: { $gte: since },
+      ...(suspiciousOnly && { suspicious: true }),
+      ...(email && { email: email.toLowerCase().trim() })
+    };
+
+    const [items, total, topFailingIps, activeLocks] = await Promise.all([
+      LoginAttempt.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('userId', 'firstName lastName email role'),
+      LoginAttempt.countDocuments(query),
+      LoginAttempt.aggregate([
+        { $match: { success: false, createdAt: { $gte: since }, ipAddress: { $exists: true } } },
+        {
+          $group: {
+            _id: '$ipAddress',
+            failures: { $sum: 1 },
+            accounts: { $addToSet: '$email' },
+            lastAttemptAt: { $max: '$createdAt' }
+          }
+        },
+        { $sort: { failures: -1 } },
+        { $limit: 10 },
+        {
+          $project: {
+            _id: 0,
+            ipAddress: '$_id',
+            failures: 1,
+            accountCount: { $size: '$accounts' },
+            lastAttemptAt: 1
+          }
+        }
+      ]),
+      LoginThrottle.find({ lockedUntil: { $gt: now } }).sort({ lockedUntil: -1 }).limit(50)
+    ]);
+
+    return {
+      items,
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit),
+      summary: {
+        topFailingIps,
+        activeLocks: activeLocks.map(lock => {
+          const [type, ...rest] = lock.key.split(':');
+          return {
+            type,
+            value: rest.join(':'),
+            lockedUntil: lock.lockedUntil,
+            lockCount: lock.lockCount
+          };
+        })
+      }
+    };
+  }
+}
+
+module.exports = LoginSecurityService;
@@ -0,0 +1,168 @@
+const ConsoleTransport = require('./mail/ConsoleTransport');
+const FileTransport = require('./mail/FileTransport');
+const SmtpTransport = require('./mail/SmtpTransport');
+const UnavailableTransport = require('./mail/UnavailableTransport');
+
+/**
+ * Create the mail transport selected by MAIL_TRANSPORT (smtp, file or console)
+ * @returns {Object} Transport with a send(message) method
+ */
+const createTransport = () => {
+  const transport = process.env.MAIL_TRANSPORT ||
+    (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+
+  switch (transport) {
+    case 'smtp':
+      return new SmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT || '587'),
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      });
+    case 'file':
+      return new FileTransport({ directory: process.env.MAIL_FILE_DIR });
+    case 'console':
+      return new ConsoleTransport();
+    default:
+      throw new Error(`Unknown mail transport: ${transport}`);
+  }
+};
+
+class MailService {
+  constructor() {
+    this.from = process.env.MAIL_FROM || 'Neighbourhood Watch <no-reply@neighbourhood-watch.app>';
+    this.clientUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+
+    try {
+      this.transport = createTransport();
+    } catch (error) {
+      if (process.env.NODE_ENV === 'production') {
+        // Console output would put live reset links in the production logs
+        console.error(`Mail transport not configured (${error.message}). Emails will not be sent.`);
+        this.transport = new UnavailableTransport(error);
+      } else {
+        console.warn(`Mail transport not configured (${error.message}). Falling back to console output.`);
+        this.transport = new ConsoleTransport();
+      }
+    }
+  }
+
+  /**
+   * Replace the transport, e.g. with a FileTransport in tests
+   * @param {Object} transport - Transport with a send(message) method
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Send an email
+   * @param {Object} message - { to, subject, text, html }
+   * @returns {Promise<Object>} Transport send result
+   */
+  async send(message) {
+    return this.transport.send({ from: this.from, ...message });
+  }
+
+  /**
+   * Send a password reset link
+   * @param {Object} user - User document
+   * @param {string} token - Password reset token
+   * @param {number} expiresInMinutes - How long the link is valid
+   */
+  async sendPasswordResetEmail(user, token, expiresInMinutes) {
+    const resetUrl = `${this.clientUrl}/reset-password?token=${encodeURIComponent(token)}`;
+
+    return this.send({
+      to: user.email,
+      subject: 'Reset your password',
+      text: [
+        `Hi ${user.firstName},`,
+        '',
+        'We received a request to reset your password. Use the link below to choose a new one:',
+        '',
+        resetUrl,
+        '',
+        `This link expires in ${expiresInMinutes} minutes and can only be used once.`,
+        'If you did not request a password reset, you can ignore this email.'
+      ].join('\n'),
+      html: `
+        <p>Hi ${escapeHtml(user.firstName)},</p>
+        <p>We received a request to reset your password. Use the link below to choose a new one:</p>
+        <p><a href="${resetUrl}">Reset your password</a></p>
+        <p>This link expires in ${expiresInMinutes} minutes and can only be used once.
+        If you did not request a password reset, you can ignore this email.</p>
+      `
+    });
+  }
+
+  /**
+   * Send an email address verification link
+   * @param {Object} user - User document
+   * @param {string} token - Email verification token
+   * @param {number} expiresInHours - How long the link is valid
+   */
+  async sendEmailVerificationEmail(user, token, expiresInHours) {
+    const verifyUrl = `${this.clientUrl}/verify-email?token=${encodeURIComponent(token)}`;
+
+    return this.send({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: [
+        `Hi ${user.firstName},`,
+        '',
+        'Welcome to the neighbourhood! Please confirm your email address using the link below:',
+        '',
+        verifyUrl,
+        '',
+        `This link expires in ${expiresInHours} hours.`,
+        'If you did not create an account, you can ignore this email.'
+      ].join('\n'),
+      html: `
+        <p>Hi ${escapeHtml(user.firstName)},</p>
+        <p>Welcome to the neighbourhood! Please confirm your email address using the link below:</p>
+        <p><a href="${verifyUrl}">Verify your email address</a></p>
+        <p>This link expires in ${expiresInHours} hours.
+        If you did not create an account, you can ignore this email.</p>
+      `
+    });
+  }
+
+  /**
+   * Let a user know their password was changed
+   * @param {Object} user - User document
+   */
+  async sendPasswordChangedEmail(user) {
+    return this.send({
+      to: user.email,
+      subject: 'Your password was changed',
+      text: [
+        `Hi ${user.firstName},`,
+        '',
+        'Your password was just changed and you have been signed out of all devices.',
+        'If you did not make this change, reset your password immediately and contact support.'
+      ].join('\n'),
+      html: `
+        <p>Hi ${escapeHtml(user.firstName)},</p>
+        <p>Your password was just changed and you have been signed out of all devices.</p>
+        <p>If you did not make this change, reset your password immediately and contact support.</p>
+      `
+    });
+  }
+}
+
+/**
+ * Escape user-provided text for HTML emails
+ * @param {string} value - Text to escape
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+module.exports = new MailService();
+module.exports.MailService = MailService;
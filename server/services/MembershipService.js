@@ -0,0 +1,383 @@
+const MembershipRequest = require('../models/MembershipRequest');
+const Neighbourhood = require('../models/Neighbourhood');
+const User = require('../models/User');
+const AuditService = require('./AuditService');
+const NotificationService = require('./NotificationService');
+
+/**
+ * Create an error the routes can turn straight into a response
+ * @param {number} statusCode - HTTP status to respond with
+ * @param {string} message - Error message
+ * @returns {Error} Error flagged with isCustomError
+ */
+const membershipError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.isCustomError = true;
+  return error;
+};
+
+/**
+ * Service for the neighbourhood join request workflow
+ *
+ * Users ask to join a neighbourhood, optionally with a proof-of-address
+ * document, and the neighbourhood's moderators approve or reject the request.
+ * While a request is pending the user is assigned to the neighbourhood with
+ * read-only access (User.membershipStatus === 'pending'), unless they are
+ * already an approved member somewhere else, in which case they keep that
+ * membership until the move is approved.
+ */
+class MembershipService {
+  /**
+   * Format a join request for API responses
+   * @param {Object} request - MembershipRequest document (optionally populated)
+   * @returns {Object} Formatted request
+   */
+  static formatRequest(request) {
+    const user = request.userId && request.userId.firstName ? request.userId : null;
+    const neighbourhood = request.neighbourhoodId && request.neighbourhoodId.name ? request.neighbourhoodId : null;
+
+    return {
+      id: request._id,
+      userId: user ? user._id : request.userId,
+      user: user ? {
+        id: user._id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        profileImageUrl: user.profileImageUrl
+      } : undefined,
+      neighbourhoodId: neighbourhood ? neighbourhood._id : request.neighbourhoodId,
+      neighbourhoodName: neighbourhood ? neighbourhood.name : undefined,
+      status: request.status,
+      message: request.message,
+      address: request.address,
+      hasProofOfAddress: Boolean(request.proofOfAddress && request.proofOfAddress.path),
+      reviewedBy: request.reviewedBy,
+      reviewedAt: request.reviewedAt,
+      reviewReason: request.reviewReason,
+      createdAt: request.createdAt,
+      updatedAt: request.updatedAt
+    };
+  }
+
+  /**
+   * Check whether a user can review join requests for a neighbourhood
+   * Admins can review any neighbourhood; moderators can review their own
+   * neighbourhood and anyone listed in Neighbourhood.moderators can review it.
+   * @param {Object} user - User document
+   * @param {Object} neighbourhood - Neighbourhood document
+   * @returns {boolean} Whether the user can review
+   */
+  static canReview(user, neighbourhood) {
+    if (!user || !neighbourhood) return false;
+    if (user.role === 'admin') return true;
+
+    if ((neighbourhood.moderators || []).some(id => id.equals(user._id))) {
+      return true;
+    }
+
+    return user.role === 'moderator' &&
+      user.isApprovedMember() &&
+      Boolean(user.neighbourhoodId && user.neighbourhoodId.equals(neighbourhood._id));
+  }
+
+  /**
+   * Get the IDs of everyone who reviews join requests for a neighbourhood
+   * @param {Object} neighbourhood - Neighbourhood document
+   * @returns {Promise<string[]>} Reviewer user IDs
+   */
+  static async getReviewerIds(neighbourhood) {
+    const moderators = await User.find({
+      neighbourhoodId: neighbourhood._id,
+      role: { $in: ['admin', 'moderator'] },
+      membershipStatus: { $ne: 'pending' },
+      isActive: true
+    }).select('_id');
+
+    const ids = new Set((neighbourhood.moderators || []).map(id => id.toString()));
+    moderators.forEach(moderator => ids.add(moderator._id.toString()));
+    return [...ids];
+  }
+
+  /**
+   * Ask to join a neighbourhood
+   * @param {string} userId - ID of the requesting user
+   * @param {string} neighbourhoodId - ID of the neighbourhood to join
+   * @param {Object} details - { message, address, proofOfAddress }
+   * @returns {Promise<Object>} The created request
+   */
+  static async requestToJoin(userId, neighbourhoodId, { message, address, proofOfAddress } = {}) {
+    const neighbourhood = await Neighbourhood.findById(neighbourhoodId);
+    if (!neighbourhood || !neighbourhood.isActive) {
+      throw membershipError(404, 'Neighbourhood not found');
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw membershipError(404, 'User not found');
+    }
+
+    if (user.neighbourhoodId && user.neighbourhoodId.equals(neighbourhood._id) && user.isApprovedMember()) {
+      throw membershipError(409, 'You are already a member of this neighbourhood');
+    }
+
+    let request;
+    try {
+      request = await MembershipRequest.create({
+        userId,
+        neighbourhoodId: neighbourhood._id,
+        message,
+        address,
+        proofOfAddress
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw membershipError(409, 'You already have a pending join request');
+      }
+      throw error;
+    }
+
+    // Give read-only access while the request is reviewed, unless that would
+    // take the user out of a neighbourhood they are already approved in
+    if (!user.neighbourhoodId || !user.isApprovedMember()) {
+      user.neighbourhoodId = neighbourhood._id;
+      user.membershipStatus = 'pending';
+      await user.save();
+    }
+
+    MembershipService.notifyReviewers(neighbourhood, user, request).catch(error => {
+      console.error('Error notifying join request reviewers:', error);
+    });
+
+    return request;
+  }
+
+  /**
+   * Let a neighbourhood's reviewers know about a new join request
+   * @param {Object} neighbourhood - Neighbourhood document
+   * @param {Object} user - Requesting user
+   * @param {Object} request - The new request
+   */
+  static async notifyReviewers(neighbourhood, user, request) {
+    const reviewerIds = await MembershipService.getReviewerIds(neighbourhood);
+
+    await Promise.all(reviewerIds.map(reviewerId =>
+      NotificationService.createSystemNotification(
+        reviewerId,
+        'New join request',
+        `${user.firstName} ${user.lastName} asked to join ${neighbourhood.name}`,
+        { membershipRequestId: request._id, neighbourhoodId: neighbourhood._id }
+      )
+    ));
+  }
+
+  /**
+   * Cancel the user's own pending request
+   * @param {string} requestId - ID of the request
+   * @param {string} userId - ID of the requesting user
+   * @returns {Promise<Object>} The cancelled request
+   */
+  static async cancelRequest(requestId, userId) {
+    const request = await MembershipRequest.findOneAndUpdate(
+      { _id: requestId, userId, status: 'pending' },
+      { $set: { status: 'cancelled' } },
+      { new: true }
+    );
+
+    if (!request) {
+      throw membershipError(404, 'Pending join request not found');
+    }
+
+    await MembershipService.clearPendingMembership(userId, request.neighbourhoodId);
+    return request;
+  }
+
+  /**
+   * Remove a user's read-only assignment to a neighbourhood they were not let into
+   * @param {string} userId - ID of the user
+   * @param {string} neighbourhoodId - ID of the neighbourhood
+   */
+  static async clearPendingMembership(userId, neighbourhoodId) {
+    await User.updateOne(
+      { _id: userId, neighbourhoodId, membershipStatus: 'pending' },
+      { $unset: { neighbourhoodId: '', membershipStatus: '' } }
+    );
+  }
+
+  /**
+   * Approve or reject a pending join request
+   * @param {string} requestId - ID of the request
+   * @param {string} reviewerId - ID of the reviewing moderator
+   * @param {string} decision - 'approved' or 'rejected'
+   * @param {string} reason - Reason for the decision (required for rejections)
+   * @param {Object} meta - { ipAddress, userAgent } for the audit log
+   * @returns {Promise<Object>} The reviewed request
+   */
+  static async reviewRequest(requestId, reviewerId, decision, reason, meta = {}) {
+    if (!['approved', 'rejected'].includes(decision)) {
+      throw membershipError(400, 'Invalid decision');
+    }
+
+    const request = await MembershipRequest.findById(requestId);
+    if (!request) {
+      throw membershipError(404, 'Join request not found');
+    }
+
+    const [neighbourhood, reviewer] = await Promise.all([
+      Neighbourhood.findById(request.neighbourhoodId),
+      User.findById(reviewerId)
+    ]);
+
+    if (!MembershipService.canReview(reviewer, neighbourhood)) {
+      throw membershipError(403, 'Only moderators of this neighbourhood can review join requests');
+    }
+
+    if (request.userId.equals(reviewer._id)) {
+      throw membershipError(403, 'You cannot review your own join request');
+    }
+
+    // Only one reviewer can decide a request
+    const reviewed = await MembershipRequest.findOneAndUpdate(
+      { _id: request._id, status: 'pending' },
+      {
+        $set: {
+          status: decision,
+          reviewedBy: reviewer._id,
+          reviewedAt: new Date(),
+          reviewReason: reason
+        }
+      },
+      { new: true }
+    );
+
+    if (!reviewed) {
+      throw membershipError(409, 'This join request has already been reviewed');
+    }
+
+    if (decision === 'approved') {
+      await User.updateOne(
+        { _id: request.userId },
+        { $set: { neighbourhoodId: neighbourhood._id, membershipStatus: 'approved' } }
+      );
+    } else {
+      await MembershipService.clearPendingMembership(request.userId, neighbourhood._id);
+    }
+
+    await AuditService.logAction({
+      adminId: reviewer._id,
+      action: decision === 'approved' ? 'membership_approve' : 'membership_reject',
+      targetType: 'membership_request',
+      targetId: reviewed._id,
+      details: {
+        userId: request.userId,
+        neighbourhoodId: neighbourhood._id,
+        reason
+      },
+      ipAddress: meta.ipAddress,
+      userAgent: meta.userAgent
+    });
+
+    const title = decision === 'approved' ? 'Join request approved' : 'Join request rejected';
+    const content = decision === 'approved'
+      ? `Welcome to ${neighbourhood.name}! You can now post and message your neighbours.`
+      : `Your request to join ${neighbourhood.name} was rejected${reason ? `: ${reason}` : '.'}`;
+
+    NotificationService.createSystemNotification(request.userId, title, content, {
+      membershipRequestId: reviewed._id,
+      neighbourhoodId: neighbourhood._id,
+      status: decision
+    }).catch(error => {
+      console.error('Error sending join request notification:', error);
+    });
+
+    return reviewed;
+  }
+
+  /**
+   * List a neighbourhood's join requests for its reviewers
+   * @param {string} neighbourhoodId - ID of the neighbourhood
+   * @param {string} reviewerId - ID of the user asking
+   * @param {Object} options - { status, page, limit }
+   * @returns {Promise<Object>} Paginated requests
+   */
+  static async listRequests(neighbourhoodId, reviewerId, { status = 'pending', page = 1, limit = 20 } = {}) {
+    const [neighbourhood, reviewer] = await Promise.all([
+      Neighbourhood.findById(neighbourhoodId),
+      User.findById(reviewerId)
+    ]);
+
+    if (!neighbourhood) {
+      throw membershipError(404, 'Neighbourhood not found');
+    }
+
+    if (!MembershipService.canReview(reviewer, neighbourhood)) {
+      throw membershipError(403, 'Only moderators of this neighbourhood can review join requests');
+    }
+
+    const query = { neighbourhoodId: neighbourhood._id };
+    if (status !== 'all') {
+      query.status = status;
+    }
+
+    const [requests, total] = await Promise.all([
+      MembershipRequest.find(query)
+        .populate('userId', 'firstName lastName email profileImageUrl')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      MembershipRequest.countDocuments(query)
+    ]);
+
+    return {
+      requests: requests.map(MembershipService.formatRequest),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    };
+  }
+
+  /**
+   * Get a user's own join requests, newest first
+   * @param {string} userId - ID of the user
+   * @returns {Promise<Object[]>} Formatted requests
+   */
+  static async getUserRequests(userId) {
+    const requests = await MembershipRequest.find({ userId })
+      .populate('neighbourhoodId', 'name')
+      .sort({ createdAt: -1 });
+
+    return requests.map(MembershipService.formatRequest);
+  }
+
+  /**
+   * Find a request's proof-of-address document for someone allowed to see it
+   * @param {string} requestId - ID of the request
+   * @param {string} userId - ID of the user asking (requester or reviewer)
+   * @returns {Promise<Object>} { proofOfAddress, isRequester } - the stored file info and
+   *   whether the user asking made the request
+   */
+  static async getProofOfAddress(requestId, userId) {
+    const request = await MembershipRequest.findById(requestId);
+    if (!request || !request.proofOfAddress || !request.proofOfAddress.path) {
+      throw membershipError(404, 'Proof of address not found');
+    }
+
+    const isRequester = request.userId.equals(userId);
+    if (!isRequester) {
+      const [neighbourhood, user] = await Promise.all([
+        Neighbourhood.findById(request.neighbourhoodId),
+        User.findById(userId)
+      ]);
+
+      if (!MembershipService.canReview(user, neighbourhood)) {
+        throw membershipError(403, 'Access denied');
+      }
+    }
+
+    return { proofOfAddress: request.proofOfAddress, isRequester };
+  }
+}
+
+module.exports = MembershipService;
@@ -0,0 +1,241 @@
+const Message = require('../models/Message');
+const PrivateChat = require('../models/PrivateChat');
+const AuditService = require('./AuditService');
+const ThreadService = require('./ThreadService');
+const { canManageChat } = require('../utils/chatAccess');
+const { ENCRYPTED_PLACEHOLDER } = require('../utils/encryptionEnvelope');
+
+// How long after sending a message its sender can still edit it
+const DEFAULT_EDIT_WINDOW_MINUTES = 15;
+const envEditWindow = parseFloat(process.env.MESSAGE_EDIT_WINDOW_MINUTES);
+const EDIT_WINDOW_MINUTES = Number.isFinite(envEditWindow) && envEditWindow > 0
+  ? envEditWindow
+  : DEFAULT_EDIT_WINDOW_MINUTES;
+
+// Older revisions are dropped beyond this many
+const MAX_EDIT_HISTORY = 50;
+
+const DELETE_SCOPES = {
+  ME: 'me',
+  EVERYONE: 'everyone'
+};
+
+// PrivateChat.lastMessage only knows these types
+const LAST_MESSAGE_TYPES = ['text', 'image', 'video'];
+
+/**
+ * Create an error the routes can turn straight into a response
+ * @param {number} statusCode - HTTP status to respond with
+ * @param {string} message - Error message
+ * @param {string} [code] - Machine-readable error code
+ * @returns {Error} Error flagged with isCustomError
+ */
+const messageEditError = (statusCode, message, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.isCustomError = true;
+  if (code) {
+    error.code = code;
+  }
+  return error;
+};
+
+const isSender = (message, userId) => message.senderId.toString() === userId.toString();
+
+/**
+ * Service for editing and deleting chat messages
+ *
+ * Senders can edit their own text messages for a short while after sending;
+ * each edit keeps the content it replaced. Anyone can hide a message from
+ * their own view ("delete for me"). Deleting for everyone is open to the
+ * sender, and in group chats also to group and site moderators. It clears the
+ * content but keeps the message as a placeholder so replies and synced
+ * clients still line up.
+ */
+class MessageEditService {
+  /**
+   * Edit a message's text
+   * @param {Object} message - Message document
+   * @param {Object} access - Result of findChatForUser for the editing user
+   * @param {string} userId - ID of the editing user
+   * @param {string} content - New content
+   * @returns {Promise<Object>} The updated message
+   */
+  static async editMessage(message, access, userId, content) {
+    if (!isSender(message, userId)) {
+      throw messageEditError(403, 'You can only edit your own messages');
+    }
+
+    if (message.messageType !== 'text') {
+      throw messageEditError(400, 'Only text messages can be edited');
+    }
+
+    if (message.encryption?.isEncrypted) {
+      throw messageEditError(400, 'Encrypted messages cannot be edited');
+    }
+
+    const windowEndsAt = message.createdAt.getTime() + EDIT_WINDOW_MINUTES * 60 * 1000;
+    if (Date.now() > windowEndsAt) {
+      throw messageEditError(
+        403,
+        `Messages can only be edited within ${EDIT_WINDOW_MINUTES} minutes of sending`,
+        'EDIT_WINDOW_EXPIRED'
+      );
+    }
+
+    const trimmed = content.trim();
+    if (trimmed === message.content) {
+      return message;
+    }
+
+    const editedAt = new Date();
+    message.editHistory.push({ content: message.content, editedAt });
+    if (message.editHistory.length > MAX_EDIT_HISTORY) {
+      message.editHistory.splice(0, message.editHistory.length - MAX_EDIT_HISTORY);
+    }
+    message.content = trimmed;
+    message.isEdited = true;
+    message.editedAt = editedAt;
+    await message.save();
+
+    // Quoted copies in replies follow the edit
+    await Message.updateMany(
+      { 'replyTo.messageId': message._id },
+      { $set: { 'replyTo.content': trimmed } }
+    );
+
+    if (access.chatType === 'private') {
+      await MessageEditService.refreshLastMessage(access.chat);
+    }
+
+    return message;
+  }
+
+  /**
+   * Delete a message for the user or for everyone in the chat
+   * @param {Object} message - Message document
+   * @param {Object} access - Result of findChatForUser for the deleting user
+   * @param {Object} user - The deleting user ({ userId, role }, as on req.user)
+   * @param {string} scope - DELETE_SCOPES value
+   * @param {Object} [requestInfo] - { ipAddress, userAgent } for the audit log
+   * @returns {Promise<Object>} { message, scope, byModerator }
+   */
+  static async deleteMessage(message, access, user, scope, requestInfo = {}) {
+    const { userId } = user;
+
+    if (scope === DELETE_SCOPES.ME) {
+      if (!message.deletedFor.some(id => id.toString() === userId.toString())) {
+        message.deletedFor.push(userId);
+        await message.save();
+      }
+      return { message, scope, byModerator: false };
+    }
+
+    const ownMessage = isSender(message, userId);
+    const byModerator = !ownMessage && access.chatType === 'group' && canManageChat(access, user.role);
+
+    if (!ownMessage && !byModerator) {
+      throw messageEditError(403, access.chatType === 'group'
+        ? 'Only the sender or a group moderator can delete this message for everyone'
+        : 'You can only delete your own messages for everyone');
+    }
+
+    message.isDeleted = true;
+    message.deletedAt = new Date();
+    message.deletedBy = userId;
+    message.content = '';
+    message.attachments = [];
+    message.editHistory = [];
+    message.encryption = undefined;
+    message.isPinned = false;
+    message.pinnedBy = undefined;
+    message.pinnedAt = undefined;
+    await message.save();
+
+    // Don't leave the deleted text quoted in replies
+    await Message.updateMany(
+      { 'replyTo.messageId': message._id },
+      { $unset: { 'replyTo.content': '' } }
+    );
+
+    if (access.chatType === 'private') {
+      await MessageEditService.refreshLastMessage(access.chat);
+    }
+
+    if (message.threadRootId) {
+      await ThreadService.refreshSummary(message.threadRootId);
+    }
+
+    if (byModerator) {
+      await AuditService.logAction({
+        adminId: userId,
+        action: 'content_delete',
+        targetType: 'message',
+        targetId: message._id,
+        details: {
+          chatId: message.chatId,
+          chatType: message.chatType,
+          senderId: message.senderId
+        },
+        ipAddress: requestInfo.ipAddress,
+        userAgent: requestInfo.userAgent
+      });
+    }
+
+    return { message, scope, byModerator };
+  }
+
+  /**
+   * Get a message's earlier versions
+   * @param {Object} message - Message document
+   * @returns {Object} { messageId, content, editedAt, revisions } with revisions oldest first
+   */
+  static getEditHistory(message) {
+    return {
+      messageId: message._id,
+      content: message.content,
+      editedAt: message.editedAt || null,
+      revisions: message.editHistory.map(revision => ({
+        content: revision.content,
+        editedAt: revision.editedAt
+      }))
+    };
+  }
+
+  /**
+   * Point a private chat's lastMessage at its newest message that hasn't
+   * been deleted for everyone, or clear it if there is none
+   * @param {Object} privateChat - PrivateChat document
+   * @returns {Promise<void>}
+   */
+  static async refreshLastMessage(privateChat) {
+    const latest = await Message.findOne({
+      chatId: privateChat._id,
+      chatType: 'private',
+      isDeleted: { $ne: true }
+    }).sort({ createdAt: -1, _id: -1 });
+
+    // Not a new message, so the chat keeps its place in the chat list
+    const update = latest
+      ? {
+        $set: {
+          lastMessage: {
+            content: latest.encryption?.isEncrypted
+              ? ENCRYPTED_PLACEHOLDER
+              : (latest.content || `[${latest.messageType}]`),
+            sender: latest.senderId,
+            timestamp: latest.createdAt,
+            messageType: LAST_MESSAGE_TYPES.includes(latest.messageType) ? latest.messageType : 'file'
+          }
+        }
+      }
+      : { $unset: { lastMessage: '' } };
+
+    await PrivateChat.updateOne({ _id: privateChat._id }, update, { timestamps: false });
+  }
+}
+
+MessageEditService.EDIT_WINDOW_MINUTES = EDIT_WINDOW_MINUTES;
+MessageEditService.DELETE_SCOPES = DELETE_SCOPES;
+
+module.exports = MessageEditService;
@@ -0,0 +1,249 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const MessageTombstone = require('../models/MessageTombstone');
+
+// How long a sync cursor stays usable; tombstones are kept this long too
+const SYNC_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Sync cursors trail the clock by this much, so a write that commits a moment
+// after a sync reads is still picked up by the next one
+const SYNC_LAG_MS = 2000;
+
+const MAX_CURSOR_LENGTH = 200;
+
+const CURSOR_KINDS = {
+  PAGE: 'p',
+  SYNC: 's'
+};
+
+/**
+ * Create an error the routes can turn straight into a response
+ * @param {number} statusCode - HTTP status to respond with
+ * @param {string} message - Error message
+ * @param {string} code - Machine-readable error code
+ * @returns {Error} Error flagged with isCustomError
+ */
+const messageSyncError = (statusCode, message, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.isCustomError = true;
+  error.code = code;
+  return error;
+};
+
+const applyPopulate = (query, populate) => {
+  populate.forEach(([path, select]) => query.populate(path, select));
+  return query;
+};
+
+// Documents strictly after (time, id) in (field, _id) order; before when descending
+const positionFilter = (field, time, id, descending = false) => {
+  const compare = descending ? '$lt' : '$gt';
+  const at = new Date(time);
+
+  if (!id) {
+    return { [field]: { [descending ? '$lt' : '$gte']: at } };
+  }
+
+  return {
+    $or: [
+      { [field]: { [compare]: at } },
+      { [field]: at, _id: { [compare]: new mongoose.Types.ObjectId(id) } }
+    ]
+  };
+};
+
+/**
+ * Service for cursor-based message history and change sync
+ *
+ * History pages are addressed by opaque cursors over (createdAt, _id), so new
+ * messages arriving between requests don't shift later pages. Sync cursors
+ * point into (updatedAt, _id): asking for changes since one returns every
+ * message created, edited, reacted to or otherwise updated after it, plus the
+ * IDs of messages that were removed.
+ */
+class MessageSyncService {
+  /**
+   * Encode a cursor
+   * @param {string} kind - CURSOR_KINDS value
+   * @param {Date|number} time - Position in time
+   * @param {string} [id] - Message ID breaking ties at the same time
+   * @returns {string} Opaque cursor
+   */
+  static encodeCursor(kind, time, id) {
+    const payload = { k: kind, t: new Date(time).getTime() };
+    if (id) {
+      payload.i = id.toString();
+    }
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+  }
+
+  /**
+   * Decode a cursor made by encodeCursor
+   * @param {string} cursor - Opaque cursor
+   * @param {string} kind - Expected CURSOR_KINDS value
+   * @returns {Object} { time, id }
+   */
+  static decodeCursor(cursor, kind) {
+    try {
+      if (typeof cursor !== 'string' || cursor.length > MAX_CURSOR_LENGTH) {
+        throw new Error('Malformed cursor');
+      }
+
+      const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      const validId = payload.i === undefined || mongoose.Types.ObjectId.isValid(payload.i);
+      if (payload.k !== kind || !Number.isFinite(payload.t) || !validId) {
+        throw new Error('Malformed cursor');
+      }
+
+      return { time: payload.t, id: payload.i || null };
+    } catch (error) {
+      throw messageSyncError(400, 'Invalid cursor', 'INVALID_CURSOR');
+    }
+  }
+
+  /**
+   * Sync cursor for "now"; changes made from here on are returned by getChanges
+   * @returns {string} Sync cursor
+   */
+  static getSyncCursor() {
+    return MessageSyncService.encodeCursor(CURSOR_KINDS.SYNC, Date.now() - SYNC_LAG_MS);
+  }
+
+  /**
+   * Get one page of a chat's history
+   * @param {Object} filter - Messages the viewer may see, e.g. { chatId, chatType }
+   * @param {Object} options
+   * @param {string} [options.cursor] - Page cursor to continue from; the newest page without one
+   * @param {string} [options.direction='older'] - 'older' or 'newer' than the cursor
+   * @param {number} [options.limit=50] - Page size
+   * @param {Array} [options.populate] - [path, select] pairs to populate
+   * @returns {Promise<Object>} { messages (oldest first), pageInfo, syncCursor }
+   */
+  static async getHistoryPage(filter, { cursor, direction = 'older', limit = 50, populate = [] } = {}) {
+    const older = direction !== 'newer';
+    const position = cursor ? MessageSyncService.decodeCursor(cursor, CURSOR_KINDS.PAGE) : null;
+
+    // Taken before reading so nothing changed during the read is skipped
+    const syncCursor = MessageSyncService.getSyncCursor();
+
+    const query = position
+      ? { $and: [filter, positionFilter('createdAt', position.time, position.id, older)] }
+      : filter;
+    const sortOrder = older ? -1 : 1;
+
+    const found = await applyPopulate(
+      Message.find(query)
+        .sort({ createdAt: sortOrder, _id: sortOrder })
+        .limit(limit + 1),
+      populate
+    );
+
+    const hasMore = found.length > limit;
+    const page = found.slice(0, limit);
+    const messages = older ? page.reverse() : page;
+
+    const cursorFor = message => message
+      ? MessageSyncService.encodeCursor(CURSOR_KINDS.PAGE, message.createdAt, message._id)
+      : null;
+
+    return {
+      messages,
+      pageInfo: {
+        olderCursor: cursorFor(messages[0]) || (older ? null : cursor),
+        newerCursor: cursorFor(messages[messages.length - 1]) || (older ? cursor : null),
+        hasOlder: older ? hasMore : Boolean(position),
+        hasNewer: older ? Boolean(position) : hasMore
+      },
+      syncCursor
+    };
+  }
+
+  /**
+   * Get everything that changed in a chat since a sync cursor
+   * @param {Object} filter - The chat's messages, e.g. { chatId, chatType }
+   * @param {Object} options
+   * @param {string} options.since - Sync cursor from a history page or an earlier call
+   * @param {number} [options.limit=200] - Maximum number of changed messages
+   * @param {Array} [options.populate] - [path, select] pairs to populate
+   * @param {Function} [options.isVisible] - Whether the viewer may still see a message;
+   *   changed messages that fail it are reported as deleted
+   * @returns {Promise<Object>} { messages, deletedIds, syncCursor, hasMore }
+   */
+  static async getChanges(filter, { since, limit = 200, populate = [], isVisible = () => true }) {
+    const position = MessageSyncService.decodeCursor(since, CURSOR_KINDS.SYNC);
+
+    if (Date.now() - position.time > SYNC_RETENTION_MS) {
+      throw messageSyncError(410, 'Sync cursor has expired; reload the chat', 'SYNC_CURSOR_EXPIRED');
+    }
+
+    const horizon = Date.now() - SYNC_LAG_MS;
+
+    const found = await applyPopulate(
+      Message.find({ $and: [filter, positionFilter('updatedAt', position.time, position.id)] })
+        .sort({ updatedAt: 1, _id: 1 })
+        .limit(limit + 1),
+      populate
+    );
+
+    const hasMore = found.length > limit;
+    const changed = found.slice(0, limit);
+    const last = changed[changed.length - 1];
+
+    // A full page ends at its last message; otherwise everything up to the
+    // horizon has been seen. Later calls may repeat a few recent changes.
+    let syncCursor;
+    let tombstoneRange;
+    if (hasMore) {
+      syncCursor = MessageSyncService.encodeCursor(CURSOR_KINDS.SYNC, last.updatedAt, last._id);
+      tombstoneRange = { $gte: new Date(position.time), $lte: last.updatedAt };
+    } else {
+      syncCursor = horizon > position.time
+        ? MessageSyncService.encodeCursor(CURSOR_KINDS.SYNC, horizon)
+        : since;
+      tombstoneRange = { $gte: new Date(position.time) };
+    }
+
+    const tombstones = await MessageTombstone.find({
+      chatId: filter.chatId,
+      deletedAt: tombstoneRange
+    }).select('messageId').lean();
+
+    const messages = changed.filter(message => isVisible(message));
+    const deletedIds = [
+      ...changed.filter(message => !isVisible(message)).map(message => message._id.toString()),
+      ...tombstones.map(tombstone => tombstone.messageId.toString())
+    ];
+
+    return {
+      messages,
+      deletedIds: [...new Set(deletedIds)],
+      syncCursor,
+      hasMore
+    };
+  }
+
+  /**
+   * Leave tombstones for messages about to be removed from the database
+   * @param {Array} messages - Messages with _id, chatId and chatType
+   * @param {string} [reason='deleted'] - 'expired' or 'deleted'
+   * @returns {Promise<void>}
+   */
+  static async recordDeletions(messages, reason = 'deleted') {
+    if (messages.length === 0) {
+      return;
+    }
+
+    await MessageTombstone.insertMany(messages.map(message => ({
+      messageId: message._id,
+      chatId: message.chatId,
+      chatType: message.chatType,
+      reason
+    })));
+  }
+}
+
+MessageSyncService.CURSOR_KINDS = CURSOR_KINDS;
+MessageSyncService.SYNC_RETENTION_MS = SYNC_RETENTION_MS;
+
+module.exports = MessageSyncService;
@@ -4,6 +4,8 @@ const Message = require('../models/Message');
 const PrivateChat = require('../models/PrivateChat');
 const AuditService = require('./AuditService');
 const RealTimeService = require('./RealTimeService');
+const ThreadService = require('./ThreadService');
+const { redactReport } = require('../utils/reportRedaction');
 
 /**
  * Service for content moderation functionality
@@ -74,6 +76,11 @@ class ModerationService {
     
     const updatedContent = await content.save();
     
+    // Removed or restored thread replies change their thread's reply count
+    if (contentType === 'message' && content.threadRootId && oldStatus !== status) {
+      await ThreadService.refreshSummary(content.threadRootId);
+    }
+    
     // Log the action to audit log
     await AuditService.logAction({
       adminId,
@@ -376,13 +383,19 @@ class ModerationService {
           
           return {
             total,
-            content: content.map(item => ({
-              ...item.toObject(),
-              contentType: type,
-              // Add author/creator info for easier display
-              author: item.authorId || item.reporterId || item.senderId,
-              createdBy: item.authorId || item.reporterId || item.senderId
-            }))
+            content: content.map(item => {
+              // Moderation lists never show who filed an anonymous report
+              const plain = type === 'report' ? redactReport(item) : item.toObject();
+              const author = plain.authorId || plain.reporterId || plain.senderId;
+
+              return {
+                ...plain,
+                contentType: type,
+                // Add author/creator info for easier display
+                author,
+                createdBy: author
+              };
+            })
           };
         } catch (error) {
           console.error(`Error getting ${type} content:`, error);
@@ -239,6 +239,31 @@ class NotificationService {
     }
   }
 
+  /**
+   * Create thread reply notification for someone following the thread
+   */
+  async createThreadReplyNotification(senderId, recipientId, messageId, threadRootId, groupName) {
+    try {
+      const sender = await User.findById(senderId).select('firstName lastName');
+
+      return await this.createNotification({
+        recipient: recipientId,
+        type: 'threadReply',
+        title: 'New Thread Reply',
+        content: `${sender.firstName} ${sender.lastName} replied in a thread${groupName ? ` in ${groupName}` : ''}`,
+        reference: {
+          type: 'message',
+          id: messageId
+        },
+        sender: senderId,
+        metadata: { chatType: 'group', threadRootId }
+      });
+    } catch (error) {
+      console.error('Error creating thread reply notification:', error);
+      throw error;
+    }
+  }
+
   /**
    * Create like notification
    */
@@ -323,10 +348,16 @@ class NotificationService {
    * Check if notification should be sent based on user settings
    */
   shouldSendNotification(type, notificationSettings) {
+    // Emergency alerts are always delivered in-app
+    if (type === 'alert') {
+      return true;
+    }
+
     const typeMapping = {
       friendRequest: 'friendRequests',
       message: 'messages',
       privateMessage: 'messages',
+      threadReply: 'messages',
       like: 'push', // General push notifications
       comment: 'push',
       system: 'push',
@@ -0,0 +1,86 @@
+const User = require('../models/User');
+const MailService = require('./MailService');
+const { createActionToken, verifyActionToken } = require('../utils/actionTokens');
+
+const TOKEN_PURPOSE = 'password_reset';
+
+// How long a reset link stays valid
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60');
+
+/**
+ * Service for the forgot/reset password flow
+ *
+ * Reset tokens are single-use action tokens (see utils/actionTokens);
+ * requesting a new link invalidates the previous one.
+ */
+class PasswordResetService {
+  /**
+   * Create a reset token for a user and email them the reset link
+   * Does nothing for unknown or deactivated accounts so callers can always
+   * return the same response.
+   * @param {string} email - Email address of the account
+   * @returns {Promise<boolean>} Whether an email was sent
+   */
+  static async requestReset(email) {
+    const user = await User.findOne({ email });
+    if (!user || !user.isActive) {
+      return false;
+    }
+
+    const { token, tokenHash, expiresAt } = createActionToken(user._id, TOKEN_PURPOSE, RESET_TOKEN_TTL_MINUTES);
+
+    user.passwordReset = {
+      tokenHash,
+      expiresAt,
+      requestedAt: new Date()
+    };
+    await user.save();
+
+    await MailService.sendPasswordResetEmail(user, token, RESET_TOKEN_TTL_MINUTES);
+    return true;
+  }
+
+  /**
+   * Set a new password using a reset token
+   * Revokes all tokens issued before the reset.
+   * @param {string} token - Reset token from the email link
+   * @param {string} newPassword - The new password
+   * @returns {Promise<Object>} The updated user
+   */
+  static async resetPassword(token, newPassword) {
+    const verified = verifyActionToken(token, TOKEN_PURPOSE);
+    if (!verified) {
+      throw new Error('Invalid or expired reset token');
+    }
+
+    // Clear the token atomically so it can only be redeemed once
+    const user = await User.findOneAndUpdate(
+      {
+        _id: verified.userId,
+        isActive: true,
+        'passwordReset.tokenHash': verified.tokenHash,
+        'passwordReset.expiresAt': { $gt: new Date() }
+      },
+      { $unset: { passwordReset: '' } },
+      { new: true }
+    );
+
+    if (!user) {
+      throw new Error('Invalid or expired reset token');
+    }
+
+    user.password = newPassword;
+    user.passwordChangedAt = new Date();
+    await user.save();
+
+    MailService.sendPasswordChangedEmail(user).catch(error => {
+      console.error('Error sending password changed email:', error);
+    });
+
+    return user;
+  }
+}
+
+PasswordResetService.RESET_TOKEN_TTL_MINUTES = RESET_TOKEN_TTL_MINUTES;
+
+module.exports = PasswordResetService;
@@ -0,0 +1,317 @@
+/**
+ * PollingChangeManager.js
+ * Stand-in for ChangeStreamManager when MongoDB can't provide change streams
+ * (a standalone server). Polls collections by updatedAt and hands listeners
+ * change events shaped like the ones change streams produce.
+ */
+const os = require('os');
+const mongoose = require('mongoose');
+const { dbService } = require('../config/database');
+const EventEmitter = require('events');
+const RealTimeCheckpoint = require('../models/RealTimeCheckpoint');
+
+// Collections polled by default; their models all keep createdAt/updatedAt
+const POLLED_COLLECTIONS = ['messages', 'reports', 'notices', 'chatgroups', 'privatechats'];
+
+class PollingChangeManager extends EventEmitter {
+  /**
+   * Create a new PollingChangeManager instance
+   * @param {Object} options - Configuration options
+   * @param {Array<string>} options.collections - Collections to follow
+   * @param {number} options.intervalMs - Time between polls in milliseconds
+   * @param {number} options.batchSize - Most changes read per collection per poll
+   * @param {number} options.settleMs - How old a change must be before it is read
+   * @param {string} options.consumer - Name the checkpoints are stored under
+   */
+  constructor(options = {}) {
+    super();
+    this.collections = options.collections || POLLED_COLLECTIONS;
+    this.intervalMs = options.intervalMs || 2000;
+    this.batchSize = options.batchSize || 200;
+    // A write can be stamped a moment before another that commits first;
+    // only reading changes this old keeps the slower one from being skipped
+    this.settleMs = options.settleMs !== undefined ? options.settleMs : 500;
+    this.consumer = options.consumer || os.hostname();
+    this.checkpoints = new Map();
+    this.lastPolledAt = new Map();
+    this.pollErrors = new Map();
+    this.listeners = new Map();
+    this.isConnected = false;
+    this.isPolling = false;
+    this.timer = null;
+  }
+
+  /**
+   * Load the checkpoints and start polling
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    try {
+      // Ensure database is connected
+      if (!mongoose.connection || mongoose.connection.readyState !== 1) {
+        await dbService.connect();
+      }
+
+      for (const collectionName of this.collections) {
+        await mongoose.connection.db.collection(collectionName).createIndex(
+          { updatedAt: 1, _id: 1 },
+          { background: true }
+        );
+        await this.loadCheckpoint(collectionName);
+      }
+
+      this.isConnected = true;
+      this.timer = setInterval(() => this.poll(), this.intervalMs);
+
+      console.log(`Change polling initialized for collections: ${this.collections.join(', ')}`);
+      this.emit('initialized', { collections: this.collections });
+    } catch (error) {
+      console.error('Failed to initialize change polling:', error);
+      this.emit('error', { reason: 'initialization_failed', error });
+      throw error;
+    }
+  }
+
+  /**
+   * Load where polling left off for a collection, starting from now the
+   * first time so old documents aren't replayed
+   * @param {string} collectionName - Name of the collection
+   * @returns {Promise<void>}
+   * @private
+   */
+  async loadCheckpoint(collectionName) {
+    const saved = await RealTimeCheckpoint.findOne({
+      consumer: this.consumer,
+      collectionName
+    }).lean();
+
+    if (saved) {
+      this.checkpoints.set(collectionName, { lastUpdatedAt: saved.lastUpdatedAt, lastId: saved.lastId });
+      return;
+    }
+
+    const checkpoint = { lastUpdatedAt: new Date(Date.now() - this.settleMs), lastId: null };
+    this.checkpoints.set(collectionName, checkpoint);
+    await this.saveCheckpoint(collectionName, checkpoint);
+  }
+
+  /**
+   * Persist a collection's checkpoint
+   * @param {string} collectionName - Name of the collection
+   * @param {Object} checkpoint - { lastUpdatedAt, lastId }
+   * @returns {Promise<void>}
+   * @private
+   */
+  async saveCheckpoint(collectionName, checkpoint) {
+    await RealTimeCheckpoint.updateOne(
+      { consumer: this.consumer, collectionName },
+      { $set: checkpoint },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Read new changes from every collection. Skipped if the previous poll
+   * is still running.
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    if (this.isPolling) {
+      return;
+    }
+
+    this.isPolling = true;
+    try {
+      for (const collectionName of this.collections) {
+        await this.pollCollection(collectionName);
+      }
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Read changes to a collection made since its checkpoint
+   * @param {string} collectionName - Name of the collection
+   * @returns {Promise<number>} Number of changes read
+   * @private
+   */
+  async pollCollection(collectionName) {
+    try {
+      const { lastUpdatedAt, lastId } = this.checkpoints.get(collectionName);
+
+      // Changes are read in (updatedAt, _id) order, so the checkpoint marks
+      // exactly where the last poll stopped, even among equal timestamps
+      const after = lastId
+        ? { $or: [{ updatedAt: { $gt: lastUpdatedAt } }, { updatedAt: lastUpdatedAt, _id: { $gt: lastId } }] }
+        : { updatedAt: { $gte: lastUpdatedAt } };
+
+      const documents = await mongoose.connection.db.collection(collectionName)
+        .find({ $and: [after, { updatedAt: { $lte: new Date(Date.now() - this.settleMs) } }] })
+        .sort({ updatedAt: 1, _id: 1 })
+        .limit(this.batchSize)
+        .toArray();
+
+      for (const document of documents) {
+        this.handleChange(collectionName, this.toChange(document));
+      }
+
+      if (documents.length > 0) {
+        const last = documents[documents.length - 1];
+        const checkpoint = { lastUpdatedAt: last.updatedAt, lastId: last._id };
+        this.checkpoints.set(collectionName, checkpoint);
+        await this.saveCheckpoint(collectionName, checkpoint);
+      }
+
+      this.lastPolledAt.set(collectionName, new Date());
+      this.pollErrors.set(collectionName, 0);
+      return documents.length;
+    } catch (error) {
+      console.error(`Change polling error for ${collectionName}:`, error);
+      this.pollErrors.set(collectionName, (this.pollErrors.get(collectionName) || 0) + 1);
+      this.emit('error', { reason: 'poll_failed', collection: collectionName, error });
+      return 0;
+    }
+  }
+
+  /**
+   * Describe a changed document the way a change stream would
+   *
+   * Mongoose stamps createdAt and updatedAt with the same time on create,
+   * so a document whose timestamps still match is new. Polling can't tell
+   * which fields an update touched, so updatedFields holds the whole document.
+   * @param {Object} document - Changed document
+   * @returns {Object} Change event
+   * @private
+   */
+  toChange(document) {
+    const isNew = document.createdAt && document.updatedAt &&
+      document.createdAt.getTime() === document.updatedAt.getTime();
+
+    if (isNew) {
+      return {
+        operationType: 'insert',
+        documentKey: { _id: document._id },
+        fullDocument: document
+      };
+    }
+
+    const { _id, ...updatedFields } = document;
+    return {
+      operationType: 'update',
+      documentKey: { _id },
+      fullDocument: document,
+      updateDescription: { updatedFields, removedFields: [] }
+    };
+  }
+
+  /**
+   * Handle a change read from a collection
+   * @param {string} collectionName - Name of the collection
+   * @param {Object} change - Change event data
+   * @private
+   */
+  handleChange(collectionName, change) {
+    try {
+      // Emit the change event
+      this.emit('change', { collection: collectionName, change });
+
+      // Emit collection-specific event
+      this.emit(`${collectionName}_change`, change);
+
+      // Call registered listeners for this collection
+      if (this.listeners.has(collectionName)) {
+        for (const listener of this.listeners.get(collectionName)) {
+          try {
+            listener(change);
+          } catch (listenerError) {
+            console.error(`Error in change listener for ${collectionName}:`, listenerError);
+          }
+        }
+      }
+    } catch (error) {
+      console.error(`Error handling change for ${collectionName}:`, error);
+      this.emit('error', { reason: 'handle_change_failed', collection: collectionName, error });
+    }
+  }
+
+  /**
+   * Add a listener for a specific collection's changes
+   * @param {string} collectionName - Name of the collection
+   * @param {Function} listener - Callback function for changes
+   */
+  addListener(collectionName, listener) {
+    if (!this.listeners.has(collectionName)) {
+      this.listeners.set(collectionName, new Set());
+    }
+    this.listeners.get(collectionName).add(listener);
+  }
+
+  /**
+   * Remove a listener for a specific collection's changes
+   * @param {string} collectionName - Name of the collection
+   * @param {Function} listener - Callback function to remove
+   */
+  removeListener(collectionName, listener) {
+    if (this.listeners.has(collectionName)) {
+      this.listeners.get(collectionName).delete(listener);
+    }
+  }
+
+  /**
+   * Stop polling and clean up. Checkpoints stay saved for the next start.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.isConnected = false;
+
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    this.listeners.clear();
+
+    console.log('Change polling stopped');
+    this.emit('closed');
+  }
+
+  /**
+   * Get status information in the same shape as ChangeStreamManager
+   * @returns {Object} Status information
+   */
+  getStatus() {
+    const status = {
+      isConnected: this.isConnected,
+      collections: {},
+      activeStreams: 0,
+      totalListeners: 0
+    };
+
+    for (const collectionName of this.collections) {
+      const isActive = Boolean(this.timer);
+      const listenerCount = this.listeners.has(collectionName) ? this.listeners.get(collectionName).size : 0;
+      const checkpoint = this.checkpoints.get(collectionName);
+
+      status.collections[collectionName] = {
+        active: isActive,
+        listeners: listenerCount,
+        lastPolledAt: this.lastPolledAt.get(collectionName) || null,
+        checkpoint: checkpoint ? checkpoint.lastUpdatedAt : null,
+        pollErrors: this.pollErrors.get(collectionName) || 0
+      };
+
+      if (isActive) {
+        status.activeStreams++;
+      }
+
+      status.totalListeners += listenerCount;
+    }
+
+    return status;
+  }
+}
+
+PollingChangeManager.POLLED_COLLECTIONS = POLLED_COLLECTIONS;
+
+module.exports = PollingChangeManager;
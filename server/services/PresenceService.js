@@ -0,0 +1,407 @@
+const User = require('../models/User');
+const SocketStateService = require('./SocketStateService');
+const PrivacyService = require('./PrivacyService');
+const BlockingService = require('./BlockingService');
+
+// Statuses users can pick for themselves; 'auto' follows their devices
+const PREFERENCES = ['auto', 'away', 'dnd'];
+
+// A device counts as away once its user hasn't touched it for this long
+const IDLE_AFTER_MS = 5 * 60 * 1000;
+
+// Most users one presence query or subscription can cover
+const MAX_BATCH_SIZE = 200;
+
+/**
+ * Create an error the routes can turn straight into a response
+ * @param {number} statusCode - HTTP status to respond with
+ * @param {string} message - Error message
+ * @returns {Error} Error flagged with isCustomError
+ */
+const presenceError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.isCustomError = true;
+  return error;
+};
+
+// Room of the sockets following a user's presence
+const presenceRoom = (userId) => `presence_${userId}`;
+
+/**
+ * Service for user presence: online, away, do not disturb or offline
+ *
+ * Every open socket is a SocketConnection (see SocketStateService) whose
+ * client sends heartbeats saying whether the device is in use. A user's
+ * status combines all of their connections with the status they picked:
+ * dnd or away if they chose it, online if any device is in use, away if
+ * all are idle, and offline with no connections left. The combined status
+ * is stored on the user, and changes go to the sockets subscribed to them.
+ * Who can subscribe, or look up presence, follows the user's
+ * settings.privacy.lastSeenVisibility and blocks.
+ *
+ * The sweeper catches what socket events miss: users left online after
+ * their connections expired with a crashed instance, and the rare race
+ * between instances writing opposite statuses.
+ */
+class PresenceService {
+  /**
+   * Create a new PresenceService instance
+   * @param {Object} io - Socket.io server instance
+   * @param {Object} config - Configuration options
+   */
+  constructor(io, config = {}) {
+    this.io = io;
+    this.config = {
+      sweepIntervalMs: config.sweepIntervalMs || 30000 // 30 seconds by default
+    };
+    this.interval = null;
+    this.isSweeping = false;
+  }
+
+  /**
+   * Start the stale presence sweeper
+   * @returns {PresenceService} this instance for chaining
+   */
+  start() {
+    if (this.interval) {
+      return this;
+    }
+
+    this.interval = setInterval(() => this.sweep(), this.config.sweepIntervalMs);
+
+    console.log(`Presence sweeper started (interval: ${this.config.sweepIntervalMs}ms)`);
+    return this;
+  }
+
+  /**
+   * Stop the stale presence sweeper
+   * @returns {PresenceService} this instance for chaining
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+
+    console.log('Presence sweeper stopped');
+    return this;
+  }
+
+  /**
+   * Correct stale presence, skipping the run if the previous one is still going
+   * @returns {Promise<number>} Number of users whose presence was rechecked
+   */
+  async sweep() {
+    if (this.isSweeping) {
+      return 0;
+    }
+
+    this.isSweeping = true;
+    try {
+      return await PresenceService.reconcile(this.io);
+    } catch (error) {
+      console.error('Presence sweep error:', error);
+      return 0;
+    } finally {
+      this.isSweeping = false;
+    }
+  }
+
+  /**
+   * Recheck users marked online without an open connection, and users with
+   * an open connection marked offline
+   * @param {Object} io - Socket.io server instance
+   * @returns {Promise<number>} Number of users rechecked
+   */
+  static async reconcile(io) {
+    const connectedUserIds = await SocketStateService.getConnectedUserIds();
+
+    const [stale, missed] = await Promise.all([
+      User.find({ isOnline: true, _id: { $nin: connectedUserIds } }).select('_id').lean(),
+      User.find({ isOnline: { $ne: true }, _id: { $in: connectedUserIds } }).select('_id').lean()
+    ]);
+
+    const users = [...stale, ...missed];
+    for (const user of users) {
+      await PresenceService.refresh(io, user._id);
+    }
+
+    return users.length;
+  }
+
+  /**
+   * Combine a user's connections with the status they picked
+   * @param {Array} connections - Open connections, each with a status
+   * @param {string} preference - PREFERENCES value
+   * @returns {string} online, away, dnd or offline
+   */
+  static aggregateStatus(connections, preference) {
+    if (connections.length === 0) {
+      return 'offline';
+    }
+    if (preference === 'dnd' || preference === 'away') {
+      return preference;
+    }
+    return connections.some(connection => connection.status === 'online') ? 'online' : 'away';
+  }
+
+  /**
+   * Work out a device's status from a client heartbeat
+   * @param {Object} heartbeat - { idle, lastActivity }
+   * @returns {string} 'online' or 'away'
+   */
+  static connectionStatus({ idle, lastActivity } = {}) {
+    if (idle === true) {
+      return 'away';
+    }
+
+    const lastActiveAt = lastActivity ? new Date(lastActivity).getTime() : NaN;
+    if (!Number.isNaN(lastActiveAt) && Date.now() - lastActiveAt > IDLE_AFTER_MS) {
+      return 'away';
+    }
+
+    return 'online';
+  }
+
+  /**
+   * A user's presence as shown to someone allowed to see it
+   * @param {Object} user - User with isOnline, lastSeen and presence
+   * @returns {Object} { userId, status, isOnline, lastSeen }
+   */
+  static formatPresence(user) {
+    const status = user.presence?.status || 'offline';
+
+    return {
+      userId: user._id.toString(),
+      status,
+      isOnline: status !== 'offline',
+      lastSeen: status === 'offline' ? user.lastSeen || null : null
+    };
+  }
+
+  /**
+   * Presence for a user the viewer isn't allowed to see
+   * @param {string} userId - ID of the user
+   * @returns {Object} { userId, status: null, isOnline: null, lastSeen: null }
+   */
+  static hiddenPresence(userId) {
+    return { userId: userId.toString(), status: null, isOnline: null, lastSeen: null };
+  }
+
+  /**
+   * Recompute a user's status and tell their subscribers if it changed
+   * @param {Object} io - Socket.io server instance
+   * @param {string} userId - ID of the user
+   * @returns {Promise<Object|null>} New presence, or null if unchanged
+   */
+  static async refresh(io, userId) {
+    const [connections, current] = await Promise.all([
+      SocketStateService.getConnections(userId),
+      User.findById(userId).select('presence.preference').lean()
+    ]);
+    if (!current) {
+      return null;
+    }
+
+    const status = PresenceService.aggregateStatus(connections, current.presence?.preference);
+    const update = { 'presence.status': status, isOnline: status !== 'offline' };
+    if (status === 'offline') {
+      update.lastSeen = new Date();
+    }
+
+    // Conditional, so when several instances see the same change only one
+    // of them writes and broadcasts it
+    const user = await User.findOneAndUpdate(
+      { _id: userId, 'presence.status': { $ne: status } },
+      { $set: update },
+      { new: true }
+    ).select('firstName lastName isOnline lastSeen presence').lean();
+
+    if (!user) {
+      return null;
+    }
+
+    const presence = PresenceService.formatPresence(user);
+    if (io) {
+      io.to(presenceRoom(userId)).emit('presence_updated', {
+        ...presence,
+        userName: `${user.firstName} ${user.lastName}`
+      });
+    }
+    return presence;
+  }
+
+  /**
+   * Record a presence heartbeat from one of a user's sockets
+   * @param {Object} io - Socket.io server instance
+   * @param {string} userId - ID of the user
+   * @param {string} socketId - Socket the heartbeat came from
+   * @param {Object} heartbeat - { idle, lastActivity } from the client
+   * @returns {Promise<void>}
+   */
+  static async recordHeartbeat(io, userId, socketId, heartbeat) {
+    const status = PresenceService.connectionStatus(heartbeat);
+    const changed = await SocketStateService.touchConnection(userId, socketId, status);
+
+    if (changed) {
+      await PresenceService.refresh(io, userId);
+    }
+  }
+
+  /**
+   * Set the status a user picked for themselves
+   * @param {Object} io - Socket.io server instance
+   * @param {string} userId - ID of the user
+   * @param {string} preference - PREFERENCES value
+   * @returns {Promise<Object>} { preference, status }
+   */
+  static async setPreference(io, userId, preference) {
+    if (!PREFERENCES.includes(preference)) {
+      throw presenceError(400, `Presence status must be one of: ${PREFERENCES.join(', ')}`);
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { $set: { 'presence.preference': preference } },
+      { new: true }
+    ).select('_id').lean();
+    if (!user) {
+      throw presenceError(404, 'User not found');
+    }
+
+    await PresenceService.refresh(io, userId);
+
+    const updated = await User.findById(userId).select('presence').lean();
+    return {
+      preference: updated.presence.preference,
+      status: updated.presence.status
+    };
+  }
+
+  /**
+   * Look up the presence of several users, as a viewer may see it
+   * @param {string} viewerId - ID of the viewing user
+   * @param {Array<string>} userIds - IDs of the users to look up
+   * @returns {Promise<Object>} Presence keyed by user ID; hidden users have null fields
+   */
+  static async getPresence(viewerId, userIds) {
+    const ids = [...new Set(userIds.map(id => id.toString()))];
+    if (ids.length > MAX_BATCH_SIZE) {
+      throw presenceError(400, `Presence can be looked up for at most ${MAX_BATCH_SIZE} users at a time`);
+    }
+
+    const [viewer, targets, excludedIds] = await Promise.all([
+      PrivacyService.getPolicyUser(viewerId),
+      User.find({ _id: { $in: ids }, isActive: true })
+        .select(`${PrivacyService.POLICY_FIELDS} isOnline lastSeen presence`)
+        .lean(),
+      BlockingService.getExcludedUserIds(viewerId)
+    ]);
+    const excluded = new Set(excludedIds.map(id => id.toString()));
+
+    const presence = {};
+    for (const id of ids) {
+      presence[id] = PresenceService.hiddenPresence(id);
+    }
+
+    for (const target of targets) {
+      const id = target._id.toString();
+      if (viewer && !excluded.has(id) && PrivacyService.canSeePresence(viewer, target)) {
+        presence[id] = PresenceService.formatPresence(target);
+      }
+    }
+
+    return presence;
+  }
+
+  /**
+   * Follow the presence of several users from a socket. Only users the
+   * socket's user may see are followed.
+   * @param {Object} socket - Subscribing socket
+   * @param {Array<string>} userIds - IDs of the users to follow
+   * @returns {Promise<Object>} Current presence keyed by user ID
+   */
+  static async subscribe(socket, userIds) {
+    const presence = await PresenceService.getPresence(socket.user.id, userIds);
+
+    for (const [userId, entry] of Object.entries(presence)) {
+      if (entry.status !== null) {
+        socket.join(presenceRoom(userId));
+      }
+    }
+
+    return presence;
+  }
+
+  /**
+   * Stop following the presence of several users from a socket
+   * @param {Object} socket - Subscribed socket
+   * @param {Array<string>} userIds - IDs of the users to stop following
+   */
+  static unsubscribe(socket, userIds) {
+    userIds.forEach(userId => socket.leave(presenceRoom(userId)));
+  }
+
+  /**
+   * Drop every subscriber of a user, e.g. after they narrow who can see
+   * their presence. Clients subscribe again, through the privacy check.
+   * @param {Object} io - Socket.io server instance
+   * @param {string} userId - ID of the user
+   */
+  static resetSubscribers(io, userId) {
+    if (io) {
+      io.in(presenceRoom(userId)).socketsLeave(presenceRoom(userId));
+    }
+  }
+
+  /**
+   * Drop every subscription a user's sockets hold to other users' presence
+   * @param {Object} io - Socket.io server instance
+   * @param {string} userId - ID of the user
+   */
+  static async resetSubscriptions(io, userId) {
+    if (!io) {
+      return;
+    }
+
+    const sockets = await io.in(`user_${userId}`).fetchSockets();
+    for (const socket of sockets) {
+      [...socket.rooms]
+        .filter(room => room.startsWith(presenceRoom('')) && room !== presenceRoom(userId))
+        .forEach(room => socket.leave(room));
+    }
+  }
+
+  /**
+   * Drop presence subscriptions both to and from a user, e.g. after they move
+   * neighbourhood and their neighbours change. Clients subscribe again,
+   * through the privacy check.
+   * @param {Object} io - Socket.io server instance
+   * @param {string} userId - ID of the user
+   */
+  static resetRelationships(io, userId) {
+    PresenceService.resetSubscribers(io, userId);
+    PresenceService.resetSubscriptions(io, userId).catch(error => {
+      console.error('Presence subscription reset error:', error);
+    });
+  }
+
+  /**
+   * Stop two users following each other's presence, e.g. after a block
+   * @param {Object} io - Socket.io server instance
+   * @param {string} userId - ID of the first user
+   * @param {string} otherUserId - ID of the second user
+   */
+  static unsubscribeEachOther(io, userId, otherUserId) {
+    if (io) {
+      io.in(`user_${userId}`).socketsLeave(presenceRoom(otherUserId));
+      io.in(`user_${otherUserId}`).socketsLeave(presenceRoom(userId));
+    }
+  }
+}
+
+PresenceService.PREFERENCES = PREFERENCES;
+PresenceService.MAX_BATCH_SIZE = MAX_BATCH_SIZE;
+
+module.exports = PresenceService;
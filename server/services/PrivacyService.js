@@ -0,0 +1,281 @@
+const User = require('../models/User');
+const Message = require('../models/Message');
+
+// How a user relates to someone looking at them or contacting them
+const RELATIONSHIPS = {
+  SELF: 'self',
+  FRIEND: 'friend',
+  NEIGHBOUR: 'neighbour',
+  PUBLIC: 'public'
+};
+
+// Who each settings.privacy.profileVisibility value shows the profile to
+const PROFILE_AUDIENCES = {
+  public: [RELATIONSHIPS.PUBLIC, RELATIONSHIPS.NEIGHBOUR, RELATIONSHIPS.FRIEND],
+  neighbours: [RELATIONSHIPS.NEIGHBOUR, RELATIONSHIPS.FRIEND],
+  friends: [RELATIONSHIPS.FRIEND],
+  private: []
+};
+
+// Who each settings.privacy.messagePermissions value accepts new chats from
+const MESSAGE_AUDIENCES = {
+  everyone: [RELATIONSHIPS.PUBLIC, RELATIONSHIPS.NEIGHBOUR, RELATIONSHIPS.FRIEND],
+  neighbours: [RELATIONSHIPS.NEIGHBOUR, RELATIONSHIPS.FRIEND],
+  friends: [RELATIONSHIPS.FRIEND],
+  none: []
+};
+
+// Who each settings.privacy.lastSeenVisibility value shows presence to
+const LAST_SEEN_AUDIENCES = MESSAGE_AUDIENCES;
+
+// Schema defaults, for users saved before settings.privacy existed
+const DEFAULT_PROFILE_VISIBILITY = 'neighbours';
+const DEFAULT_MESSAGE_PERMISSIONS = 'friends';
+const DEFAULT_LAST_SEEN_VISIBILITY = 'neighbours';
+
+// Site staff can see every profile to moderate, but still need permission to message
+const STAFF_ROLES = ['admin', 'moderator'];
+
+// Fields the policy needs from each user
+const POLICY_FIELDS = 'role neighbourhoodId friends settings.privacy';
+
+// Contact details are only shown to these viewers
+const CONTACT_AUDIENCE = [RELATIONSHIPS.SELF, RELATIONSHIPS.NEIGHBOUR, RELATIONSHIPS.FRIEND];
+
+const sameId = (a, b) => Boolean(a && b) && a.toString() === b.toString();
+
+/**
+ * Service deciding what users' privacy settings allow
+ *
+ * settings.privacy.profileVisibility decides who can view a user's profile
+ * and find them in search; settings.privacy.messagePermissions decides who
+ * can start a private chat with them; settings.privacy.lastSeenVisibility
+ * decides who sees whether they are online and when they were last seen.
+ * All three are checked against how the other user relates to them: a
+ * friend, a neighbour (same neighbourhood), or any other signed-in user. Friends count as neighbours too. Blocks are enforced
+ * separately by BlockingService and always win.
+ */
+class PrivacyService {
+  /**
+   * Load a user with the fields the policy needs
+   * @param {string} userId - ID of the user
+   * @returns {Promise<Object|null>} Lean user document
+   */
+  static async getPolicyUser(userId) {
+    if (!userId) {
+      return null;
+    }
+    return User.findById(userId).select(POLICY_FIELDS).lean();
+  }
+
+  /**
+   * Work out how a target user relates to a viewer
+   * @param {Object} viewer - User looking or getting in touch
+   * @param {Object} target - User being looked at or contacted
+   * @returns {string} RELATIONSHIPS value
+   */
+  static getRelationship(viewer, target) {
+    if (!viewer) {
+      return RELATIONSHIPS.PUBLIC;
+    }
+    if (sameId(viewer._id, target._id)) {
+      return RELATIONSHIPS.SELF;
+    }
+    if ((viewer.friends || []).some(friendId => sameId(friendId, target._id))) {
+      return RELATIONSHIPS.FRIEND;
+    }
+    if (sameId(viewer.neighbourhoodId, target.neighbourhoodId)) {
+      return RELATIONSHIPS.NEIGHBOUR;
+    }
+    return RELATIONSHIPS.PUBLIC;
+  }
+
+  /**
+   * Check whether a profile visibility setting shows the profile to a relationship
+   * @param {string} visibility - profileVisibility value
+   * @param {string} relationship - RELATIONSHIPS value
+   * @returns {boolean} True if visible
+   */
+  static isVisibleTo(visibility, relationship) {
+    if (relationship === RELATIONSHIPS.SELF) {
+      return true;
+    }
+    const audience = PROFILE_AUDIENCES[visibility || DEFAULT_PROFILE_VISIBILITY] || [];
+    return audience.includes(relationship);
+  }
+
+  /**
+   * Check whether a message permissions setting accepts new chats from a relationship
+   * @param {string} permissions - messagePermissions value
+   * @param {string} relationship - RELATIONSHIPS value
+   * @returns {boolean} True if allowed
+   */
+  static acceptsMessagesFrom(permissions, relationship) {
+    const audience = MESSAGE_AUDIENCES[permissions || DEFAULT_MESSAGE_PERMISSIONS] || [];
+    return audience.includes(relationship);
+  }
+
+  /**
+   * Check whether a last seen visibility setting shows presence to a relationship
+   * @param {string} visibility - lastSeenVisibility value
+   * @param {string} relationship - RELATIONSHIPS value
+   * @returns {boolean} True if presence is shown
+   */
+  static showsLastSeenTo(visibility, relationship) {
+    if (relationship === RELATIONSHIPS.SELF) {
+      return true;
+    }
+    const audience = LAST_SEEN_AUDIENCES[visibility || DEFAULT_LAST_SEEN_VISIBILITY] || [];
+    return audience.includes(relationship);
+  }
+
+  /**
+   * Check whether a viewer can see a user's online status and last seen time.
+   * Unlike profiles, staff get no exception: presence isn't needed to moderate.
+   * @param {Object} viewer - Viewing user, with POLICY_FIELDS
+   * @param {Object} target - User being looked at, with POLICY_FIELDS
+   * @returns {boolean} True if the viewer can see the user's presence
+   */
+  static canSeePresence(viewer, target) {
+    return PrivacyService.showsLastSeenTo(
+      target.settings?.privacy?.lastSeenVisibility,
+      PrivacyService.getRelationship(viewer, target)
+    );
+  }
+
+  /**
+   * Check whether a viewer can see a user's profile or find them in search
+   * @param {Object} viewer - Viewing user, with POLICY_FIELDS
+   * @param {Object} target - Profile owner, with POLICY_FIELDS
+   * @returns {boolean} True if the viewer can see the profile
+   */
+  static canViewProfile(viewer, target) {
+    if (STAFF_ROLES.includes(viewer?.role)) {
+      return true;
+    }
+    return PrivacyService.isVisibleTo(
+      target.settings?.privacy?.profileVisibility,
+      PrivacyService.getRelationship(viewer, target)
+    );
+  }
+
+  /**
+   * Check whether a user can start a private chat with another
+   * @param {Object} sender - User starting the chat, with POLICY_FIELDS
+   * @param {Object} recipient - User being messaged, with POLICY_FIELDS
+   * @returns {boolean} True if the recipient accepts messages from the sender
+   */
+  static canMessage(sender, recipient) {
+    return PrivacyService.acceptsMessagesFrom(
+      recipient.settings?.privacy?.messagePermissions,
+      PrivacyService.getRelationship(sender, recipient)
+    );
+  }
+
+  /**
+   * Check whether a user can send a message in an existing private chat
+   *
+   * Message permissions guard conversations the recipient hasn't joined yet.
+   * Once they have started the chat or replied in it, they have accepted it.
+   * Chats started before chats recorded who started them count as joined.
+   * @param {string} senderId - ID of the sending user
+   * @param {string} recipientId - ID of the other participant
+   * @param {Object} privateChat - PrivateChat document
+   * @returns {Promise<boolean>} True if the message can be sent
+   */
+  static async canMessageInChat(senderId, recipientId, privateChat) {
+    if (!privateChat.startedBy || sameId(privateChat.startedBy, recipientId)) {
+      return true;
+    }
+
+    const recipientHasReplied = await Message.exists({
+      chatId: privateChat._id,
+      chatType: 'private',
+      senderId: recipientId
+    });
+    if (recipientHasReplied) {
+      return true;
+    }
+
+    const [sender, recipient] = await Promise.all([
+      PrivacyService.getPolicyUser(senderId),
+      PrivacyService.getPolicyUser(recipientId)
+    ]);
+    return Boolean(sender && recipient) && PrivacyService.canMessage(sender, recipient);
+  }
+
+  /**
+   * Query filter for the users whose profiles a viewer can see, for search
+   * and member lists
+   * @param {Object|null} viewer - Viewing user, with POLICY_FIELDS
+   * @returns {Object} MongoDB filter
+   */
+  static visibleToFilter(viewer) {
+    if (STAFF_ROLES.includes(viewer?.role)) {
+      return {};
+    }
+
+    const visibility = 'settings.privacy.profileVisibility';
+    // null also matches users saved before the setting existed
+    const neighbourVisible = ['public', 'neighbours', null];
+
+    const conditions = [{ [visibility]: 'public' }];
+    if (viewer?.neighbourhoodId) {
+      conditions.push({ [visibility]: { $in: neighbourVisible }, neighbourhoodId: viewer.neighbourhoodId });
+    }
+    if (viewer?.friends?.length) {
+      conditions.push({ [visibility]: { $ne: 'private' }, _id: { $in: viewer.friends } });
+    }
+
+    return { $or: conditions };
+  }
+
+  /**
+   * A profile as shown to a viewer with the given relationship
+   * @param {Object} user - Profile owner
+   * @param {string} relationship - RELATIONSHIPS value
+   * @returns {Object} Profile
+   */
+  static formatProfile(user, relationship) {
+    const profile = {
+      id: user._id,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      profileImageUrl: user.profileImageUrl || null,
+      bio: user.bio || '',
+      role: user.role,
+      joinedAt: user.createdAt
+    };
+
+    if (CONTACT_AUDIENCE.includes(relationship)) {
+      profile.email = user.email;
+      profile.phone = user.phone;
+      profile.address = user.address;
+    }
+
+    return profile;
+  }
+
+  /**
+   * What another user would see of a user's own profile
+   * @param {Object} user - The user previewing their profile
+   * @param {string} relationship - RELATIONSHIPS value to preview as (not SELF)
+   * @returns {Object} { as, canView, canMessage, profile }
+   */
+  static previewProfile(user, relationship) {
+    const canView = PrivacyService.isVisibleTo(user.settings?.privacy?.profileVisibility, relationship);
+
+    return {
+      as: relationship,
+      canView,
+      canMessage: PrivacyService.acceptsMessagesFrom(user.settings?.privacy?.messagePermissions, relationship),
+      canSeeLastSeen: PrivacyService.showsLastSeenTo(user.settings?.privacy?.lastSeenVisibility, relationship),
+      profile: canView ? PrivacyService.formatProfile(user, relationship) : null
+    };
+  }
+}
+
+PrivacyService.RELATIONSHIPS = RELATIONSHIPS;
+PrivacyService.POLICY_FIELDS = POLICY_FIELDS;
+
+module.exports = PrivacyService;
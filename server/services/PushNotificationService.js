@@ -73,8 +73,8 @@ class PushNotificationService {
     };
 
     const options = {
-      TTL: 24 * 60 * 60, // 24 hours
-      urgency: 'normal',
+      TTL: payload.ttl || 24 * 60 * 60, // 24 hours by default
+      urgency: payload.urgency || 'normal',
       headers: {}
     };
 
@@ -186,6 +186,33 @@ class PushNotificationService {
           ]
         };
 
+      case 'alert':
+        return {
+          ...basePayload,
+          tag: `alert-${notification.reference?.id}`,
+          requireInteraction: true,
+          urgency: 'high',
+          // Don't deliver alerts after they have expired
+          ttl: notification.metadata?.expiresAt
+            ? Math.max(60, Math.floor((new Date(notification.metadata.expiresAt) - Date.now()) / 1000))
+            : undefined,
+          vibrate: [500, 200, 500, 200, 500],
+          actions: notification.metadata?.requiresAcknowledgement
+            ? [
+              { action: 'acknowledge', title: 'Acknowledge' },
+              { action: 'view', title: 'View Alert' }
+            ]
+            : [
+              { action: 'view', title: 'View Alert' },
+              { action: 'dismiss', title: 'Dismiss' }
+            ],
+          data: {
+            ...basePayload.data,
+            alertId: notification.reference?.id,
+            severity: notification.metadata?.severity
+          }
+        };
+
       default:
         return basePayload;
     }
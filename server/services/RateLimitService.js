@@ -0,0 +1,343 @@
+const mongoose = require('mongoose');
+const RateLimitPolicy = require('../models/RateLimitPolicy');
+const AuditService = require('./AuditService');
+const MemoryStore = require('./rateLimit/MemoryStore');
+const MongoStore = require('./rateLimit/MongoStore');
+const RedisStore = require('./rateLimit/RedisStore');
+const { DEFAULT_POLICIES, getDefaultPolicy } = require('../config/rateLimits');
+
+// Overrides are re-read this often, so an edit made on one server reaches the others
+const POLICY_CACHE_MS = parseInt(process.env.RATE_LIMIT_POLICY_CACHE_MS || '30000');
+
+/**
+ * Create the counter store selected by RATE_LIMIT_STORE (memory, mongo or redis)
+ * @returns {Object} Store with increment, get, reset and list methods
+ */
+const createStore = () => {
+  const store = process.env.RATE_LIMIT_STORE ||
+    (process.env.NODE_ENV === 'production' ? 'mongo' : 'memory');
+
+  switch (store) {
+    case 'memory':
+      return new MemoryStore();
+    case 'mongo':
+      return new MongoStore();
+    case 'redis':
+      return new RedisStore({ url: process.env.REDIS_URL });
+    default:
+      throw new Error(`Unknown rate limit store: ${store}`);
+  }
+};
+
+/**
+ * Create an error the routes can turn straight into a response
+ * @param {number} statusCode - HTTP status to respond with
+ * @param {string} message - Error message
+ * @returns {Error} Error flagged with isCustomError
+ */
+const rateLimitError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.isCustomError = true;
+  return error;
+};
+
+const pickSettings = ({ windowMs, max, keyBy, enabled }) => ({ windowMs, max, keyBy, enabled });
+
+/**
+ * Service for rate limiting HTTP routes and socket events
+ *
+ * Each named policy (see config/rateLimits.js) counts hits per IP address
+ * or per user in a fixed window. Counters live in a pluggable store so
+ * several server processes can share them, and admins can change a
+ * policy at runtime without a restart.
+ */
+class RateLimitService {
+  constructor() {
+    try {
+      this.store = createStore();
+    } catch (error) {
+      console.warn(`Rate limit store not available (${error.message}). Falling back to memory.`);
+      this.store = new MemoryStore();
+    }
+
+    this.overrides = new Map();
+    this.overridesLoadedAt = 0;
+  }
+
+  /**
+   * Replace the counter store, e.g. with a fresh MemoryStore in tests
+   * @param {Object} store - Store with increment, get, reset and list methods
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Rate limiting is on unless RATE_LIMIT_ENABLED=false, and off in tests
+   * unless turned on explicitly
+   * @returns {boolean} Whether limits are enforced
+   */
+  isEnabled() {
+    if (process.env.RATE_LIMIT_ENABLED) {
+      return process.env.RATE_LIMIT_ENABLED === 'true';
+    }
+    return process.env.NODE_ENV !== 'test';
+  }
+
+  /**
+   * Refresh the cached admin overrides once they are older than the cache period
+   * @param {boolean} force - Reload even if the cache is fresh
+   */
+  async loadOverrides(force = false) {
+    if (!force && Date.now() - this.overridesLoadedAt < POLICY_CACHE_MS) {
+      return;
+    }
+
+    // Without a database connection the defaults apply
+    if (mongoose.connection.readyState !== 1) {
+      return;
+    }
+
+    const overrides = await RateLimitPolicy.find().lean();
+    this.overrides = new Map(overrides.map(override => [override.name, override]));
+    this.overridesLoadedAt = Date.now();
+  }
+
+  /**
+   * Get a policy with any admin override applied
+   * @param {string} name - Policy name
+   * @returns {Promise<Object|null>} Policy, or null if there is no such policy
+   */
+  async getPolicy(name) {
+    const defaults = getDefaultPolicy(name);
+    if (!defaults) {
+      return null;
+    }
+
+    try {
+      await this.loadOverrides();
+    } catch (error) {
+      console.error('Rate limit policy load error:', error);
+    }
+
+    const override = this.overrides.get(name);
+    if (!override) {
+      return { ...defaults, overridden: false };
+    }
+
+    return {
+      ...defaults,
+      ...pickSettings(override),
+      overridden: true,
+      updatedAt: override.updatedAt
+    };
+  }
+
+  /**
+   * Get every policy with admin overrides applied
+   * @returns {Promise<Array>} Policies
+   */
+  async getPolicies() {
+    await this.loadOverrides(true);
+    return Promise.all(Object.keys(DEFAULT_POLICIES).map(name => this.getPolicy(name)));
+  }
+
+  /**
+   * Build the counter key for a caller under a policy
+   * @param {Object} policy - Policy
+   * @param {Object} identity - { userId, ip }
+   * @returns {string|null} Counter key, or null if the caller can't be identified
+   */
+  getKey(policy, { userId, ip } = {}) {
+    const userKey = userId ? `user:${userId}` : null;
+    const ipKey = ip ? `ip:${ip}` : null;
+
+    const identity = {
+      ip: ipKey,
+      user: userKey,
+      user_or_ip: userKey || ipKey
+    }[policy.keyBy];
+
+    return identity ? `${policy.name}:${identity}` : null;
+  }
+
+  /**
+   * Count a hit against a policy
+   * Store failures let the request through rather than taking the API down.
+   * @param {string} name - Policy name
+   * @param {Object} identity - { userId, ip }
+   * @returns {Promise<Object|null>} { allowed, limit, remaining, resetAt, retryAfter },
+   *   or null when the policy doesn't apply
+   */
+  async consume(name, identity) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+
+    try {
+      const policy = await this.getPolicy(name);
+      if (!policy || !policy.enabled) {
+        return null;
+      }
+
+      const key = this.getKey(policy, identity);
+      if (!key) {
+        return null;
+      }
+
+      const { count, resetAt } = await this.store.increment(key, policy.windowMs);
+
+      return {
+        allowed: count <= policy.max,
+        limit: policy.max,
+        remaining: Math.max(0, policy.max - count),
+        resetAt,
+        retryAfter: Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000))
+      };
+    } catch (error) {
+      console.error('Rate limit error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get a caller's current usage of every policy
+   * @param {Object} identity - { userId, ip }
+   * @returns {Promise<Array>} [{ name, limit, used, remaining, resetAt }]
+   */
+  async getUsage(identity) {
+    const policies = await this.getPolicies();
+
+    return Promise.all(policies.map(async (policy) => {
+      const key = this.getKey(policy, identity);
+      const counter = key ? await this.store.get(key) : null;
+      const used = counter ? counter.count : 0;
+
+      return {
+        name: policy.name,
+        enabled: policy.enabled,
+        limit: policy.max,
+        windowMs: policy.windowMs,
+        used,
+        remaining: Math.max(0, policy.max - used),
+        resetAt: counter ? counter.resetAt : null
+      };
+    }));
+  }
+
+  /**
+   * Get policies and the busiest counters for the admin view
+   * @param {number} limit - Maximum counters to list
+   * @returns {Promise<Object>} { enabled, store, policies, topKeys }
+   */
+  async getStats(limit = 10) {
+    const [policies, topKeys] = await Promise.all([
+      this.getPolicies(),
+      this.store.list(limit)
+    ]);
+
+    return {
+      enabled: this.isEnabled(),
+      store: this.store.name,
+      policies,
+      topKeys
+    };
+  }
+
+  /**
+   * Change a policy at runtime
+   * @param {string} name - Policy name
+   * @param {Object} changes - Any of { windowMs, max, keyBy, enabled }
+   * @param {Object} admin - { userId } of the admin making the change
+   * @param {Object} context - { ipAddress, userAgent }
+   * @returns {Promise<Object>} The updated policy
+   */
+  async updatePolicy(name, changes, admin, { ipAddress, userAgent } = {}) {
+    const current = await this.getPolicy(name);
+    if (!current) {
+      throw rateLimitError(404, 'Rate limit policy not found');
+    }
+
+    const settings = pickSettings({ ...current, ...changes });
+    const override = await RateLimitPolicy.findOneAndUpdate(
+      { name },
+      { $set: { ...settings, updatedBy: admin.userId } },
+      { upsert: true, new: true, runValidators: true }
+    ).lean();
+
+    this.overrides.set(name, override);
+
+    await AuditService.logAction({
+      adminId: admin.userId,
+      action: 'system_config',
+      targetType: 'system',
+      targetId: override._id,
+      details: {
+        rateLimitPolicy: name,
+        previous: pickSettings(current),
+        updated: settings
+      },
+      ipAddress,
+      userAgent
+    });
+
+    return this.getPolicy(name);
+  }
+
+  /**
+   * Drop an admin override so the policy goes back to its defaults
+   * @param {string} name - Policy name
+   * @param {Object} admin - { userId } of the admin making the change
+   * @param {Object} context - { ipAddress, userAgent }
+   * @returns {Promise<Object>} The default policy
+   */
+  async resetPolicy(name, admin, { ipAddress, userAgent } = {}) {
+    if (!getDefaultPolicy(name)) {
+      throw rateLimitError(404, 'Rate limit policy not found');
+    }
+
+    const removed = await RateLimitPolicy.findOneAndDelete({ name }).lean();
+    this.overrides.delete(name);
+
+    if (removed) {
+      await AuditService.logAction({
+        adminId: admin.userId,
+        action: 'system_config',
+        targetType: 'system',
+        targetId: removed._id,
+        details: {
+          rateLimitPolicy: name,
+          previous: pickSettings(removed),
+          updated: 'defaults'
+        },
+        ipAddress,
+        userAgent
+      });
+    }
+
+    return this.getPolicy(name);
+  }
+
+  /**
+   * Clear a caller's counter for a policy, e.g. to let a blocked user back in
+   * @param {string} name - Policy name
+   * @param {Object} identity - { userId, ip }
+   */
+  async clearCounter(name, identity) {
+    const policy = await this.getPolicy(name);
+    if (!policy) {
+      throw rateLimitError(404, 'Rate limit policy not found');
+    }
+
+    const key = this.getKey(policy, identity);
+    if (!key) {
+      throw rateLimitError(400, `This policy is counted by ${policy.keyBy === 'ip' ? 'IP address' : 'user'}`);
+    }
+
+    await this.store.reset(key);
+  }
+}
+
+module.exports = new RateLimitService();
+module.exports.RateLimitService = RateLimitService;
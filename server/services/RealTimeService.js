@@ -1,10 +1,25 @@
 /**
  * RealTimeService.js
  * Service for integrating MongoDB change streams with Socket.IO for real-time updates.
+ * Falls back to polling when MongoDB is a standalone server without change streams.
  */
 const ChangeStreamManager = require('./ChangeStreamManager');
+const PollingChangeManager = require('./PollingChangeManager');
+const { redactReport, redactReportUpdates } = require('../utils/reportRedaction');
 const mongoose = require('mongoose');
 
+// Where changes come from. Change streams need a replica set or sharded
+// cluster; polling works against any MongoDB.
+// Case history (with moderators' notes) and internal comments are
+// moderator-only, so they are never broadcast to a neighbourhood room
+const REPORT_CASE_FIELDS = ['statusHistory', 'internalComments'];
+
+const MODES = {
+  AUTO: 'auto',
+  CHANGE_STREAMS: 'change_streams',
+  POLLING: 'polling'
+};
+
 class RealTimeService {
   /**
    * Create a new RealTimeService instance
@@ -13,8 +28,13 @@ class RealTimeService {
    */
   constructor(io, options = {}) {
     this.io = io;
+    // Every server instance watches the change streams itself, so each one
+    // only emits to its own sockets. Going through a shared adapter would
+    // deliver every change once per instance.
+    this.emitter = io.local || io;
     this.options = {
       collections: ['messages', 'reports', 'notices', 'chatgroups', 'privatechats'],
+      mode: MODES.AUTO,
       ...options
     };
     
@@ -25,6 +45,10 @@ class RealTimeService {
       maxDelayMs: options.maxDelayMs || 60000
     });
     
+    // The manager changes are read from, chosen in initialize()
+    this.changeSource = this.changeStreamManager;
+    this.mode = null;
+    
     this.initialized = false;
   }
 
@@ -38,8 +62,19 @@ class RealTimeService {
     }
     
     try {
-      // Initialize change stream manager
-      await this.changeStreamManager.initialize();
+      this.mode = await this._detectMode();
+      
+      if (this.mode === MODES.POLLING) {
+        this.changeSource = new PollingChangeManager({
+          collections: this.options.collections,
+          intervalMs: this.options.pollIntervalMs,
+          consumer: this.options.checkpointId
+        });
+      } else {
+        this.changeSource = this.changeStreamManager;
+      }
+      
+      await this.changeSource.initialize();
       
       // Set up event listeners for each collection
       this._setupMessageListeners();
@@ -49,28 +84,55 @@ class RealTimeService {
       this._setupPrivateChatListeners();
       
       // Set up error handling
-      this.changeStreamManager.on('error', (error) => {
+      this.changeSource.on('error', (error) => {
         console.error('Change stream error:', error);
       });
       
-      this.changeStreamManager.on('reconnecting', (data) => {
+      this.changeSource.on('reconnecting', (data) => {
         console.log(`Reconnecting to ${data.collection} change stream (attempt ${data.attempt})`);
       });
       
       this.initialized = true;
-      console.log('Real-time service initialized successfully');
+      console.log(`Real-time service initialized successfully (mode: ${this.mode})`);
     } catch (error) {
       console.error('Failed to initialize real-time service:', error);
       throw error;
     }
   }
 
+  /**
+   * Decide where changes come from. An explicit mode option wins; otherwise
+   * change streams are used when MongoDB is a replica set or sharded cluster.
+   * @returns {Promise<string>} One of MODES
+   * @private
+   */
+  async _detectMode() {
+    if (this.options.mode === MODES.CHANGE_STREAMS || this.options.mode === MODES.POLLING) {
+      return this.options.mode;
+    }
+    
+    try {
+      const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+      
+      // Replica set members report setName; mongos routers report isdbgrid
+      if (hello.setName || hello.msg === 'isdbgrid') {
+        return MODES.CHANGE_STREAMS;
+      }
+      
+      console.warn('MongoDB is a standalone server without change streams; polling for changes instead');
+      return MODES.POLLING;
+    } catch (error) {
+      console.error('Could not detect MongoDB topology, using change streams:', error);
+      return MODES.CHANGE_STREAMS;
+    }
+  }
+
   /**
    * Set up listeners for message changes
    * @private
    */
   _setupMessageListeners() {
-    this.changeStreamManager.addListener('messages', (change) => {
+    this.changeSource.addListener('messages', (change) => {
       try {
         const { operationType, fullDocument, documentKey, updateDescription } = change;
         
@@ -80,7 +142,7 @@ class RealTimeService {
             
             if (message.chatType === 'group') {
               // Emit to all users in the group chat
-              this.io.to(`group_${message.chatId}`).emit('new_message_sync', {
+              this.emitter.to(`group_${message.chatId}`).emit('new_message_sync', {
                 type: 'new',
                 message
               });
@@ -105,7 +167,7 @@ class RealTimeService {
               if (!message) return;
               
               if (message.chatType === 'group') {
-                this.io.to(`group_${message.chatId}`).emit('message_updated_sync', {
+                this.emitter.to(`group_${message.chatId}`).emit('message_updated_sync', {
                   type: 'update',
                   messageId,
                   updates: updatedFields,
@@ -142,7 +204,7 @@ class RealTimeService {
    * @private
    */
   _setupReportListeners() {
-    this.changeStreamManager.addListener('reports', (change) => {
+    this.changeSource.addListener('reports', (change) => {
       try {
         const { operationType, fullDocument, documentKey, updateDescription } = change;
         
@@ -150,10 +212,11 @@ class RealTimeService {
           case 'insert': {
             const report = fullDocument;
             
-            // Emit to the neighbourhood room
-            this.io.to(`neighbourhood_${report.neighbourhoodId}`).emit('report_sync', {
+            // Emit to the neighbourhood room. The room is shared, so anonymous
+            // reporters are hidden from everyone, the reporter included.
+            this.emitter.to(`neighbourhood_${report.neighbourhoodId}`).emit('report_sync', {
               type: 'new',
-              report
+              report: this._publicReport(report)
             });
             break;
           }
@@ -166,11 +229,11 @@ class RealTimeService {
             this._getReportById(reportId).then(report => {
               if (!report) return;
               
-              this.io.to(`neighbourhood_${report.neighbourhoodId}`).emit('report_sync', {
+              this.emitter.to(`neighbourhood_${report.neighbourhoodId}`).emit('report_sync', {
                 type: 'update',
                 reportId,
-                updates: updatedFields,
-                report
+                updates: this._publicReportUpdates(updatedFields, report),
+                report: this._publicReport(report)
               });
             });
             break;
@@ -188,12 +251,40 @@ class RealTimeService {
     });
   }
 
+  /**
+   * A report as it may be broadcast to its neighbourhood room
+   * @param {Object} report - Report document or change stream document
+   * @returns {Object} Plain report without its reporter if anonymous, or its case fields
+   * @private
+   */
+  _publicReport(report) {
+    const plain = redactReport(report);
+    REPORT_CASE_FIELDS.forEach(field => {
+      delete plain[field];
+    });
+    return plain;
+  }
+
+  /**
+   * A report update's changed fields as they may be broadcast
+   * @param {Object} updatedFields - Changed fields keyed by dotted path
+   * @param {Object} report - The updated report
+   * @returns {Object} Changed fields without the reporter if anonymous, or case fields
+   * @private
+   */
+  _publicReportUpdates(updatedFields, report) {
+    const redacted = redactReportUpdates(updatedFields, report) || {};
+    return Object.fromEntries(Object.entries(redacted).filter(([field]) => (
+      !REPORT_CASE_FIELDS.some(caseField => field === caseField || field.startsWith(`${caseField}.`))
+    )));
+  }
+
   /**
    * Set up listeners for notice changes
    * @private
    */
   _setupNoticeListeners() {
-    this.changeStreamManager.addListener('notices', (change) => {
+    this.changeSource.addListener('notices', (change) => {
       try {
         const { operationType, fullDocument, documentKey, updateDescription } = change;
         
@@ -202,7 +293,7 @@ class RealTimeService {
             const notice = fullDocument;
             
             // Emit to the neighbourhood room
-            this.io.to(`neighbourhood_${notice.neighbourhoodId}`).emit('notice_sync', {
+            this.emitter.to(`neighbourhood_${notice.neighbourhoodId}`).emit('notice_sync', {
               type: 'new',
               notice
             });
@@ -217,7 +308,7 @@ class RealTimeService {
             this._getNoticeById(noticeId).then(notice => {
               if (!notice) return;
               
-              this.io.to(`neighbourhood_${notice.neighbourhoodId}`).emit('notice_sync', {
+              this.emitter.to(`neighbourhood_${notice.neighbourhoodId}`).emit('notice_sync', {
                 type: 'update',
                 noticeId,
                 updates: updatedFields,
@@ -244,7 +335,7 @@ class RealTimeService {
    * @private
    */
   _setupChatGroupListeners() {
-    this.changeStreamManager.addListener('chatgroups', (change) => {
+    this.changeSource.addListener('chatgroups', (change) => {
       try {
         const { operationType, fullDocument, documentKey, updateDescription } = change;
         
@@ -255,7 +346,7 @@ class RealTimeService {
             // Notify all members of the new group
             if (chatGroup.members && Array.isArray(chatGroup.members)) {
               chatGroup.members.forEach(member => {
-                this.io.to(`user_${member.userId}`).emit('chat_group_sync', {
+                this.emitter.to(`user_${member.userId}`).emit('chat_group_sync', {
                   type: 'new',
                   chatGroup
                 });
@@ -275,7 +366,7 @@ class RealTimeService {
               // Notify all members of the update
               if (chatGroup.members && Array.isArray(chatGroup.members)) {
                 chatGroup.members.forEach(member => {
-                  this.io.to(`user_${member.userId}`).emit('chat_group_sync', {
+                  this.emitter.to(`user_${member.userId}`).emit('chat_group_sync', {
                     type: 'update',
                     chatGroupId,
                     updates: updatedFields,
@@ -288,7 +379,7 @@ class RealTimeService {
               if (updatedFields.members) {
                 // Complex logic would be needed here to determine who joined/left
                 // This is a simplified approach
-                this.io.to(`group_${chatGroupId}`).emit('chat_group_members_sync', {
+                this.emitter.to(`group_${chatGroupId}`).emit('chat_group_members_sync', {
                   type: 'members_updated',
                   chatGroupId,
                   members: chatGroup.members
@@ -309,7 +400,7 @@ class RealTimeService {
    * @private
    */
   _setupPrivateChatListeners() {
-    this.changeStreamManager.addListener('privatechats', (change) => {
+    this.changeSource.addListener('privatechats', (change) => {
       try {
         const { operationType, fullDocument, documentKey, updateDescription } = change;
         
@@ -320,7 +411,7 @@ class RealTimeService {
             // Notify both participants
             if (privateChat.participants && Array.isArray(privateChat.participants)) {
               privateChat.participants.forEach(participantId => {
-                this.io.to(`user_${participantId}`).emit('private_chat_sync', {
+                this.emitter.to(`user_${participantId}`).emit('private_chat_sync', {
                   type: 'new',
                   privateChat
                 });
@@ -340,7 +431,7 @@ class RealTimeService {
               // Notify both participants of the update
               if (privateChat.participants && Array.isArray(privateChat.participants)) {
                 privateChat.participants.forEach(participantId => {
-                  this.io.to(`user_${participantId}`).emit('private_chat_sync', {
+                  this.emitter.to(`user_${participantId}`).emit('private_chat_sync', {
                     type: 'update',
                     privateChatId,
                     updates: updatedFields,
@@ -456,7 +547,7 @@ class RealTimeService {
       
       // Emit to each participant
       privateChat.participants.forEach(participantId => {
-        this.io.to(`user_${participantId}`).emit(event, data);
+        this.emitter.to(`user_${participantId}`).emit(event, data);
       });
     } catch (error) {
       console.error('Error emitting to private chat participants:', error);
@@ -470,7 +561,8 @@ class RealTimeService {
   getStatus() {
     return {
       initialized: this.initialized,
-      changeStreams: this.changeStreamManager.getStatus()
+      mode: this.mode,
+      changeStreams: this.changeSource.getStatus()
     };
   }
 
@@ -484,7 +576,7 @@ class RealTimeService {
     }
     
     try {
-      await this.changeStreamManager.close();
+      await this.changeSource.close();
       this.initialized = false;
       console.log('Real-time service closed');
     } catch (error) {
@@ -494,4 +586,6 @@ class RealTimeService {
   }
 }
 
+RealTimeService.MODES = MODES;
+
 module.exports = RealTimeService;
\ No newline at end of file
@@ -0,0 +1,592 @@
+const Report = require('../models/Report');
+const Neighbourhood = require('../models/Neighbourhood');
+const User = require('../models/User');
+const AuditService = require('./AuditService');
+const NotificationService = require('./NotificationService');
+const MembershipService = require('./MembershipService');
+const { getDueBy } = require('../config/reportSla');
+const { redactReport, canUnmaskReporter } = require('../utils/reportRedaction');
+
+// Statuses a case is still being worked in; only these can go overdue
+const ACTIVE_STATUSES = ['open', 'in-progress'];
+const CLOSED_STATUSES = ['resolved', 'closed'];
+
+/**
+ * Create an error the routes can turn straight into a response
+ * @param {number} statusCode - HTTP status to respond with
+ * @param {string} message - Error message
+ * @returns {Error} Error flagged with isCustomError
+ */
+const caseError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.isCustomError = true;
+  return error;
+};
+
+const USER_FIELDS = 'firstName lastName email profileImageUrl';
+
+/**
+ * Service for the moderator case workflow on reports
+ *
+ * Moderators of a report's neighbourhood (and admins) can assign the report,
+ * move it through its statuses with a note, and leave internal comments that
+ * residents never see. Every status change, assignment and escalation is
+ * appended to Report.statusHistory. Each report has a due-by date set from
+ * its priority (see config/reportSla); the sweeper escalates reports that are
+ * still open past that date by notifying the assignee and the neighbourhood's
+ * moderators.
+ */
+class ReportCaseService {
+  /**
+   * Create a new ReportCaseService instance for the escalation sweeper
+   * @param {Object} config - Configuration options
+   */
+  constructor(config = {}) {
+    this.config = {
+      sweepIntervalMs: config.sweepIntervalMs || 5 * 60 * 1000, // 5 minutes by default
+      batchSize: config.batchSize || 100
+    };
+    this.interval = null;
+    this.isSweeping = false;
+  }
+
+  /**
+   * Start the overdue report sweeper
+   * @returns {ReportCaseService} this instance for chaining
+   */
+  start() {
+    if (this.interval) {
+      return this;
+    }
+
+    this.interval = setInterval(() => this.sweep(), this.config.sweepIntervalMs);
+
+    console.log(`Report SLA sweeper started (interval: ${this.config.sweepIntervalMs}ms)`);
+    return this;
+  }
+
+  /**
+   * Stop the overdue report sweeper
+   * @returns {ReportCaseService} this instance for chaining
+   */
+  stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+
+    console.log('Report SLA sweeper stopped');
+    return this;
+  }
+
+  /**
+   * Escalate overdue reports, skipping the run if the previous one is still going
+   * @returns {Promise<number>} Number of escalated reports
+   */
+  async sweep() {
+    if (this.isSweeping) {
+      return 0;
+    }
+
+    this.isSweeping = true;
+    try {
+      return await ReportCaseService.escalateOverdue(new Date(), this.config.batchSize);
+    } catch (error) {
+      console.error('Report SLA sweep error:', error);
+      return 0;
+    } finally {
+      this.isSweeping = false;
+    }
+  }
+
+  /**
+   * Check whether a report is past its due-by date while still being worked
+   * @param {Object} report - Report document
+   * @param {Date} now - Current time
+   * @returns {boolean} Whether the report is overdue
+   */
+  static isOverdue(report, now = new Date()) {
+    return ACTIVE_STATUSES.includes(report.status) &&
+      Boolean(report.sla && report.sla.dueBy) &&
+      report.sla.dueBy <= now;
+  }
+
+  /**
+   * Format a user reference, whether populated or not
+   * @param {Object} user - User document or ObjectId
+   * @returns {Object|null} { id, firstName, lastName } or { id }
+   */
+  static formatUser(user) {
+    if (!user) return null;
+    if (!user.firstName) return { id: user };
+
+    return {
+      id: user._id,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      email: user.email,
+      profileImageUrl: user.profileImageUrl
+    };
+  }
+
+  /**
+   * Format a report's case details for moderators
+   * @param {Object} report - Report document with statusHistory and internalComments selected
+   * @returns {Object} Formatted case
+   */
+  static formatCase(report) {
+    return {
+      id: report._id,
+      title: report.title,
+      category: report.category,
+      priority: report.priority,
+      status: report.status,
+      isAnonymous: Boolean(report.isAnonymous),
+      assignedTo: ReportCaseService.formatUser(report.assignedTo),
+      assignedBy: ReportCaseService.formatUser(report.assignedBy),
+      assignedAt: report.assignedAt,
+      resolvedAt: report.resolvedAt,
+      sla: {
+        dueBy: report.sla ? report.sla.dueBy : undefined,
+        escalatedAt: report.sla ? report.sla.escalatedAt : undefined,
+        escalationCount: report.sla ? report.sla.escalationCount || 0 : 0,
+        overdue: ReportCaseService.isOverdue(report)
+      },
+      statusHistory: (report.statusHistory || []).map(entry => ({
+        id: entry._id,
+        event: entry.event,
+        fromStatus: entry.fromStatus,
+        toStatus: entry.toStatus,
+        assignedTo: ReportCaseService.formatUser(entry.assignedTo),
+        note: entry.note,
+        changedBy: ReportCaseService.formatUser(entry.changedBy),
+        changedAt: entry.changedAt
+      })),
+      internalComments: (report.internalComments || []).map(ReportCaseService.formatInternalComment),
+      createdAt: report.createdAt,
+      updatedAt: report.updatedAt
+    };
+  }
+
+  /**
+   * Format an internal comment
+   * @param {Object} comment - Internal comment subdocument
+   * @returns {Object} Formatted comment
+   */
+  static formatInternalComment(comment) {
+    return {
+      id: comment._id,
+      user: ReportCaseService.formatUser(comment.userId),
+      content: comment.content,
+      createdAt: comment.createdAt
+    };
+  }
+
+  /**
+   * Load a report for someone who moderates its neighbourhood
+   * Uses the same rules as join request reviews: admins anywhere, moderators
+   * in their own neighbourhood and anyone in Neighbourhood.moderators.
+   * @param {string} reportId - ID of the report
+   * @param {string} userId - ID of the moderator
+   * @returns {Promise<Object>} { report, neighbourhood, moderator }
+   */
+  static async loadForModerator(reportId, userId) {
+    const report = await Report.findOne({ _id: reportId, reportStatus: { $ne: 'removed' } });
+    if (!report) {
+      throw caseError(404, 'Report not found');
+    }
+
+    const [neighbourhood, moderator] = await Promise.all([
+      Neighbourhood.findById(report.neighbourhoodId),
+      User.findById(userId)
+    ]);
+
+    const isAdmin = Boolean(moderator && moderator.role === 'admin');
+    if (!isAdmin && !MembershipService.canReview(moderator, neighbourhood)) {
+      throw caseError(403, 'Only moderators of this neighbourhood can manage this report');
+    }
+
+    return { report, neighbourhood, moderator };
+  }
+
+  /**
+   * Send a report notification without failing the request that triggered it
+   * @param {string[]} recipientIds - Users to notify
+   * @param {Object} report - Report document
+   * @param {Object} notification - { title, content, sender, metadata }
+   */
+  static notify(recipientIds, report, { title, content, sender, metadata = {} }) {
+    const recipients = [...new Set(recipientIds.filter(Boolean).map(id => id.toString()))]
+      .filter(id => !sender || id !== sender.toString());
+
+    recipients.forEach(recipient => {
+      NotificationService.createNotification({
+        recipient,
+        type: 'report',
+        title,
+        content,
+        reference: { type: 'report', id: report._id },
+        sender,
+        metadata: { reportId: report._id, ...metadata }
+      }).catch(error => {
+        console.error('Error sending report case notification:', error);
+      });
+    });
+  }
+
+  /**
+   * Move a report to a new status
+   * @param {string} reportId - ID of the report
+   * @param {string} userId - ID of the moderator
+   * @param {string} status - New status
+   * @param {string} note - Optional note recorded in the history
+   * @param {Object} meta - { ipAddress, userAgent } for the audit log
+   * @returns {Promise<Object>} The updated report
+   */
+  static async changeStatus(reportId, userId, status, note, meta = {}) {
+    const { report, moderator } = await ReportCaseService.loadForModerator(reportId, userId);
+
+    if (report.status === status) {
+      throw caseError(409, `Report is already ${status}`);
+    }
+
+    const now = new Date();
+    const set = { status };
+    const unset = {};
+
+    if (CLOSED_STATUSES.includes(status)) {
+      set.resolvedAt = now;
+    } else if (CLOSED_STATUSES.includes(report.status)) {
+      // A reopened report gets a fresh SLA
+      unset.resolvedAt = '';
+      unset['sla.escalatedAt'] = '';
+      set['sla.dueBy'] = getDueBy(report.priority, now);
+    }
+
+    // Guard on the current status so concurrent changes can't be lost
+    const updated = await Report.findOneAndUpdate(
+      { _id: report._id, status: report.status },
+      {
+        $set: set,
+        ...(Object.keys(unset).length > 0 && { $unset: unset }),
+        $push: {
+          statusHistory: {
+            event: 'status_change',
+            fromStatus: report.status,
+            toStatus: status,
+            note,
+            changedBy: moderator._id,
+            changedAt: now
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw caseError(409, 'This report was updated by someone else. Refresh and try again.');
+    }
+
+    await AuditService.logAction({
+      adminId: moderator._id,
+      action: 'report_status_change',
+      targetType: 'report',
+      targetId: updated._id,
+      details: { fromStatus: report.status, toStatus: status, note },
+      ipAddress: meta.ipAddress,
+      userAgent: meta.userAgent
+    });
+
+    // The note is internal and stays in the case history; the reporter only hears the new status
+    ReportCaseService.notify([updated.reporterId], updated, {
+      title: 'Report status updated',
+      content: `"${updated.title}" is now ${status}`,
+      sender: moderator._id,
+      metadata: { status }
+    });
+    const assigneeIsReporter = Boolean(updated.assignedTo) && updated.assignedTo.equals(updated.reporterId);
+    ReportCaseService.notify([assigneeIsReporter ? null : updated.assignedTo], updated, {
+      title: 'Report status updated',
+      content: `"${updated.title}" is now ${status}${note ? `: ${note}` : ''}`,
+      sender: moderator._id,
+      metadata: { status }
+    });
+
+    return updated;
+  }
+
+  /**
+   * Assign a report to a moderator, or unassign it
+   * @param {string} reportId - ID of the report
+   * @param {string} userId - ID of the moderator making the change
+   * @param {string|null} assigneeId - ID of the new assignee, or null to unassign
+   * @param {string} note - Optional note recorded in the history
+   * @param {Object} meta - { ipAddress, userAgent } for the audit log
+   * @returns {Promise<Object>} The updated report
+   */
+  static async assign(reportId, userId, assigneeId, note, meta = {}) {
+    const { report, neighbourhood, moderator } = await ReportCaseService.loadForModerator(reportId, userId);
+
+    let assignee = null;
+    if (assigneeId) {
+      assignee = await User.findById(assigneeId);
+      const canWorkCase = assignee && assignee.isActive &&
+        (assignee.role === 'admin' || MembershipService.canReview(assignee, neighbourhood));
+      if (!canWorkCase) {
+        throw caseError(400, 'Reports can only be assigned to moderators of this neighbourhood');
+      }
+    }
+
+    const previousAssignee = report.assignedTo;
+    if (previousAssignee && assignee && previousAssignee.equals(assignee._id)) {
+      throw caseError(409, 'Report is already assigned to this moderator');
+    }
+    if (!previousAssignee && !assignee) {
+      throw caseError(409, 'Report is not assigned');
+    }
+
+    const now = new Date();
+    const update = assignee
+      ? { $set: { assignedTo: assignee._id, assignedBy: moderator._id, assignedAt: now } }
+      : { $unset: { assignedTo: '', assignedBy: '', assignedAt: '' } };
+
+    const updated = await Report.findOneAndUpdate(
+      { _id: report._id, assignedTo: previousAssignee || null },
+      {
+        ...update,
+        $push: {
+          statusHistory: {
+            event: 'assignment',
+            assignedTo: assignee ? assignee._id : undefined,
+            note,
+            changedBy: moderator._id,
+            changedAt: now
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw caseError(409, 'This report was updated by someone else. Refresh and try again.');
+    }
+
+    await AuditService.logAction({
+      adminId: moderator._id,
+      action: 'report_assign',
+      targetType: 'report',
+      targetId: updated._id,
+      details: {
+        fromUserId: previousAssignee,
+        toUserId: assignee ? assignee._id : null,
+        note
+      },
+      ipAddress: meta.ipAddress,
+      userAgent: meta.userAgent
+    });
+
+    if (assignee) {
+      ReportCaseService.notify([assignee._id], updated, {
+        title: 'Report assigned to you',
+        content: `${moderator.firstName} ${moderator.lastName} assigned you "${updated.title}"`,
+        sender: moderator._id,
+        metadata: { dueBy: updated.sla ? updated.sla.dueBy : undefined }
+      });
+    }
+
+    if (previousAssignee) {
+      ReportCaseService.notify([previousAssignee], updated, {
+        title: 'Report reassigned',
+        content: `"${updated.title}" is no longer assigned to you`,
+        sender: moderator._id
+      });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Add a moderator-only comment to a report
+   * @param {string} reportId - ID of the report
+   * @param {string} userId - ID of the moderator
+   * @param {string} content - Comment text
+   * @returns {Promise<Object>} The formatted comment
+   */
+  static async addInternalComment(reportId, userId, content) {
+    const { report, moderator } = await ReportCaseService.loadForModerator(reportId, userId);
+
+    const updated = await Report.findByIdAndUpdate(
+      report._id,
+      { $push: { internalComments: { userId: moderator._id, content, createdAt: new Date() } } },
+      { new: true, projection: { internalComments: { $slice: -1 } } }
+    ).populate('internalComments.userId', USER_FIELDS);
+
+    return ReportCaseService.formatInternalComment(updated.internalComments[0]);
+  }
+
+  /**
+   * Get a report's case details, including its history and internal comments
+   * @param {string} reportId - ID of the report
+   * @param {string} userId - ID of the moderator
+   * @returns {Promise<Object>} Formatted case
+   */
+  static async getCase(reportId, userId) {
+    await ReportCaseService.loadForModerator(reportId, userId);
+
+    const report = await Report.findById(reportId)
+      .select('+statusHistory +internalComments')
+      .populate('assignedTo', USER_FIELDS)
+      .populate('assignedBy', USER_FIELDS)
+      .populate('statusHistory.changedBy', USER_FIELDS)
+      .populate('statusHistory.assignedTo', USER_FIELDS)
+      .populate('internalComments.userId', USER_FIELDS);
+
+    return ReportCaseService.formatCase(redactReport(report, userId));
+  }
+
+  /**
+   * Reveal who filed an anonymous report, recording who asked and why
+   * @param {string} reportId - ID of the report
+   * @param {string} userId - ID of the moderator asking
+   * @param {string} reason - Why the reporter is needed, kept in the audit log
+   * @param {Object} meta - { ipAddress, userAgent } for the audit log
+   * @returns {Promise<Object|null>} The reporter, or null if their account is gone
+   */
+  static async unmaskReporter(reportId, userId, reason, meta = {}) {
+    const { report, moderator } = await ReportCaseService.loadForModerator(reportId, userId);
+
+    if (!canUnmaskReporter(moderator)) {
+      throw caseError(403, 'You do not have permission to unmask reporters');
+    }
+    if (!report.isAnonymous) {
+      throw caseError(400, 'This report is not anonymous');
+    }
+
+    const reporter = await User.findById(report.reporterId).select(`${USER_FIELDS} phone`).lean();
+
+    await AuditService.logAction({
+      adminId: moderator._id,
+      action: 'report_reporter_unmask',
+      targetType: 'report',
+      targetId: report._id,
+      details: { reporterId: report.reporterId, reason },
+      ipAddress: meta.ipAddress,
+      userAgent: meta.userAgent
+    });
+
+    return reporter && { ...ReportCaseService.formatUser(reporter), phone: reporter.phone };
+  }
+
+  /**
+   * Get the reports assigned to a moderator, soonest due first
+   * @param {string} userId - ID of the moderator
+   * @param {Object} options - { status ('active', 'all' or a status), overdue, page, limit }
+   * @returns {Promise<Object>} Paginated reports
+   */
+  static async getAssignedQueue(userId, { status = 'active', overdue = false, page = 1, limit = 20 } = {}) {
+    const query = { assignedTo: userId, reportStatus: { $ne: 'removed' } };
+
+    if (status === 'active') {
+      query.status = { $in: ACTIVE_STATUSES };
+    } else if (status !== 'all') {
+      query.status = status;
+    }
+
+    if (overdue) {
+      query.status = { $in: ACTIVE_STATUSES };
+      query['sla.dueBy'] = { $lte: new Date() };
+    }
+
+    const [reports, total] = await Promise.all([
+      Report.find(query)
+        .select('title category priority status neighbourhoodId assignedAt sla resolvedAt createdAt updatedAt')
+        .sort({ 'sla.dueBy': 1, createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Report.countDocuments(query)
+    ]);
+
+    const now = new Date();
+
+    return {
+      reports: reports.map(report => ({
+        id: report._id,
+        title: report.title,
+        category: report.category,
+        priority: report.priority,
+        status: report.status,
+        neighbourhoodId: report.neighbourhoodId,
+        assignedAt: report.assignedAt,
+        dueBy: report.sla ? report.sla.dueBy : undefined,
+        escalatedAt: report.sla ? report.sla.escalatedAt : undefined,
+        overdue: ReportCaseService.isOverdue(report, now),
+        resolvedAt: report.resolvedAt,
+        createdAt: report.createdAt
+      })),
+      total,
+      page,
+      limit,
+      totalPages: Math.ceil(total / limit)
+    };
+  }
+
+  /**
+   * Escalate reports that are still open past their due-by date
+   * Each report is escalated once per SLA; reopening a report starts a new one.
+   * @param {Date} now - Current time
+   * @param {number} batchSize - Maximum number of reports to escalate in one run
+   * @returns {Promise<number>} Number of escalated reports
+   */
+  static async escalateOverdue(now = new Date(), batchSize = 100) {
+    const overdue = await Report.find({
+      status: { $in: ACTIVE_STATUSES },
+      reportStatus: 'active',
+      'sla.dueBy': { $lte: now },
+      'sla.escalatedAt': { $exists: false }
+    })
+      .sort({ 'sla.dueBy': 1 })
+      .limit(batchSize)
+      .select('_id');
+
+    let escalatedCount = 0;
+    for (const { _id } of overdue) {
+      // Claim the report so concurrent sweepers don't escalate it twice
+      const report = await Report.findOneAndUpdate(
+        { _id, 'sla.escalatedAt': { $exists: false } },
+        {
+          $set: { 'sla.escalatedAt': now },
+          $inc: { 'sla.escalationCount': 1 },
+          $push: {
+            statusHistory: {
+              event: 'escalation',
+              note: 'SLA overdue',
+              changedAt: now
+            }
+          }
+        },
+        { new: true }
+      );
+
+      if (!report) continue;
+      escalatedCount++;
+
+      try {
+        const neighbourhood = await Neighbourhood.findById(report.neighbourhoodId);
+        const moderatorIds = neighbourhood ? await MembershipService.getReviewerIds(neighbourhood) : [];
+
+        ReportCaseService.notify([report.assignedTo, ...moderatorIds], report, {
+          title: 'Report overdue',
+          content: `"${report.title}" (${report.priority} priority) is past its due date and is still ${report.status}`,
+          metadata: { dueBy: report.sla.dueBy, escalation: true }
+        });
+      } catch (error) {
+        console.error('Error notifying about overdue report:', error);
+      }
+    }
+
+    return escalatedCount;
+  }
+}
+
+module.exports = ReportCaseService;
@@ -12,7 +12,10 @@ const Report = require('../models/Report');
 const ChatGroup = require('../models/ChatGroup');
 const PrivateChat = require('../models/PrivateChat');
 const Message = require('../models/Message');
+const BlockingService = require('./BlockingService');
+const PrivacyService = require('./PrivacyService');
 const { executeQuery } = require('../utils/dbOperationWrapper');
+const { reporterExpression } = require('../utils/reportRedaction');
 
 class SearchService {
   /**
@@ -84,6 +87,12 @@ class SearchService {
 
     // Prepare search query
     const searchQuery = this._prepareSearchQuery(query);
+
+    // Users on either side of a block never see each other in search
+    const excludedUserIds = userId ? await BlockingService.getExcludedUserIds(userId) : [];
+
+    // Nor do users whose profile visibility hides them from the searcher
+    const viewer = await PrivacyService.getPolicyUser(userId);
     
     // Build search pipeline using regex only (no text index required)
     const pipeline = [
@@ -91,7 +100,7 @@ class SearchService {
       {
         $match: {
           neighbourhoodId,
-          _id: { $ne: userId }, // Exclude current user
+          _id: { $ne: userId, $nin: excludedUserIds }, // Exclude current user and blocked users
           isActive: true,
           status: 'active'
         }
@@ -106,6 +115,8 @@ class SearchService {
           ]
         }
       },
+      // Then leave out profiles hidden from the searcher
+      { $match: PrivacyService.visibleToFilter(viewer) },
       // Add relevance score based on field matches
       {
         $addFields: {
@@ -274,6 +285,7 @@ class SearchService {
    */
   async searchReports(query, options = {}) {
     const { 
+      userId,
       neighbourhoodId, 
       limit = 10,
       sortBy = 'score'
@@ -351,11 +363,12 @@ class SearchService {
           createdAt: 1,
           location: 1,
           media: { $slice: ['$media', 1] }, // Include only first media item
-          reporter: {
+          // Anonymous reports only show their reporter to the reporter
+          reporter: reporterExpression({
             _id: '$reporter._id',
             firstName: '$reporter.firstName',
             lastName: '$reporter.lastName'
-          },
+          }, userId),
           isAnonymous: 1,
           commentCount: { $size: { $ifNull: ['$comments', []] } },
           likeCount: { $size: { $ifNull: ['$likes', []] } },
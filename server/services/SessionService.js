@@ -0,0 +1,293 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+// Access tokens are short-lived; sessions are kept alive by rotating refresh tokens
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30');
+
+// How many rotated-out token hashes each session remembers for reuse detection
+const MAX_PREVIOUS_TOKEN_HASHES = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create an error the routes can turn straight into a response
+ * @param {number} statusCode - HTTP status to respond with
+ * @param {string} message - Error message
+ * @returns {Error} Error flagged with isCustomError
+ */
+const sessionError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.isCustomError = true;
+  return error;
+};
+
+/**
+ * Hash a refresh token for storage and lookup
+ * @param {string} token - Refresh token
+ * @returns {string} SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Create a new opaque refresh token
+ * @returns {Object} { token, tokenHash }
+ */
+const createRefreshToken = () => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  return { token, tokenHash: hashToken(token) };
+};
+
+/**
+ * Service for signed-in sessions
+ *
+ * Signing in creates a Session for the device and returns a short-lived
+ * access token (a JWT carrying the session ID as `sid`) plus an opaque
+ * refresh token. Each refresh swaps the refresh token for a new one. If a
+ * refresh token that was already swapped is presented again, someone else
+ * has a copy of it, so the session is revoked and both copies stop working.
+ */
+class SessionService {
+  /**
+   * Describe a device from its user agent, e.g. "Chrome on Windows"
+   * @param {string} userAgent - User-Agent header
+   * @returns {string} Device description
+   */
+  static describeDevice(userAgent = '') {
+    const browsers = [
+      ['Edge', /Edg\//],
+      ['Opera', /OPR\//],
+      ['Samsung Internet', /SamsungBrowser\//],
+      ['Chrome', /Chrome\//],
+      ['Firefox', /Firefox\//],
+      ['Safari', /Safari\//]
+    ];
+    const systems = [
+      ['iOS', /iPhone|iPad|iPod/],
+      ['Android', /Android/],
+      ['Windows', /Windows/],
+      ['macOS', /Mac OS X|Macintosh/],
+      ['Linux', /Linux/]
+    ];
+
+    const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+    const system = systems.find(([, pattern]) => pattern.test(userAgent));
+
+    if (!browser && !system) return 'Unknown device';
+    if (!browser) return system[0];
+    if (!system) return browser[0];
+    return `${browser[0]} on ${system[0]}`;
+  }
+
+  /**
+   * Sign an access token for a session
+   * @param {Object} user - User document
+   * @param {Object} session - Session document
+   * @returns {string} Access token
+   */
+  static signAccessToken(user, session) {
+    return jwt.sign(
+      {
+        userId: user._id,
+        email: user.email,
+        sid: session._id.toString(),
+        ...(session.twoFactorVerified && { mfa: true })
+      },
+      process.env.JWT_SECRET || 'fallback_secret',
+      { expiresIn: ACCESS_TOKEN_TTL }
+    );
+  }
+
+  /**
+   * Start a session for a user who just signed in
+   * @param {Object} user - User document
+   * @param {Object} client - { userAgent, ipAddress }
+   * @param {Object} options - { twoFactorVerified }
+   * @returns {Promise<Object>} { accessToken, refreshToken, session }
+   */
+  static async createSession(user, { userAgent, ipAddress } = {}, { twoFactorVerified = false } = {}) {
+    const { token, tokenHash } = createRefreshToken();
+
+    const session = await Session.create({
+      userId: user._id,
+      tokenHash,
+      userAgent: userAgent ? userAgent.slice(0, 500) : undefined,
+      deviceName: SessionService.describeDevice(userAgent),
+      ipAddress,
+      twoFactorVerified,
+      expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS)
+    });
+
+    return {
+      accessToken: SessionService.signAccessToken(user, session),
+      refreshToken: token,
+      session
+    };
+  }
+
+  /**
+   * Swap a refresh token for a new access token and refresh token
+   * @param {string} refreshToken - Current refresh token
+   * @param {Object} client - { userAgent, ipAddress }
+   * @returns {Promise<Object>} { accessToken, refreshToken, session }
+   */
+  static async refresh(refreshToken, { userAgent, ipAddress } = {}) {
+    const tokenHash = hashToken(refreshToken);
+    const now = new Date();
+    const next = createRefreshToken();
+
+    // Rotate atomically so the same token can't be swapped twice
+    const session = await Session.findOneAndUpdate(
+      { tokenHash, revokedAt: { $exists: false }, expiresAt: { $gt: now } },
+      {
+        $set: {
+          tokenHash: next.tokenHash,
+          lastUsedAt: now,
+          ...(ipAddress && { ipAddress }),
+          ...(userAgent && { userAgent: userAgent.slice(0, 500) }),
+          // Sliding expiry: a session lasts as long as it keeps being used
+          expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * DAY_MS)
+        },
+        $push: { previousTokenHashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_TOKEN_HASHES } }
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      const reused = await Session.findOneAndUpdate(
+        { previousTokenHashes: tokenHash, revokedAt: { $exists: false } },
+        { $set: { revokedAt: now, revokedReason: 'reuse_detected' } },
+        { new: true }
+      );
+
+      if (reused) {
+        console.warn(`Refresh token reuse detected for session ${reused._id}; session revoked`);
+      }
+
+      throw sessionError(401, 'Invalid refresh token');
+    }
+
+    const user = await User.findById(session.userId).select('email isActive');
+    if (!user || !user.isActive) {
+      await SessionService.revokeSession(session._id, session.userId, 'revoked');
+      throw sessionError(401, 'Invalid refresh token');
+    }
+
+    return {
+      accessToken: SessionService.signAccessToken(user, session),
+      refreshToken: next.token,
+      session
+    };
+  }
+
+  /**
+   * Record that a session has passed a second factor, e.g. right after the
+   * user enrols in two-factor authentication
+   * @param {string} sessionId - ID of the session
+   * @param {Object} user - User document
+   * @returns {Promise<string|null>} A new access token carrying the claim
+   */
+  static async markTwoFactorVerified(sessionId, user) {
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, userId: user._id, revokedAt: { $exists: false } },
+      { $set: { twoFactorVerified: true } },
+      { new: true }
+    );
+
+    return session ? SessionService.signAccessToken(user, session) : null;
+  }
+
+  /**
+   * Check that the session behind an access token hasn't been revoked
+   * @param {string} sessionId - The token's sid claim
+   * @returns {Promise<boolean>} Whether the session is still active
+   */
+  static async isSessionActive(sessionId) {
+    const session = await Session.findById(sessionId).select('revokedAt expiresAt');
+    return Boolean(session && session.isActive());
+  }
+
+  /**
+   * End the session a refresh token belongs to
+   * @param {string} refreshToken - The session's current refresh token
+   * @returns {Promise<Object|null>} The revoked session, if there was one
+   */
+  static async revokeByRefreshToken(refreshToken) {
+    return Session.findOneAndUpdate(
+      { tokenHash: hashToken(refreshToken), revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date(), revokedReason: 'logout' } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Revoke one of a user's sessions
+   * @param {string} sessionId - ID of the session
+   * @param {string} userId - ID of the user who owns it
+   * @param {string} reason - Revocation reason
+   * @returns {Promise<Object>} The revoked session
+   */
+  static async revokeSession(sessionId, userId, reason = 'revoked') {
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, userId, revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date(), revokedReason: reason } },
+      { new: true }
+    );
+
+    if (!session) {
+      throw sessionError(404, 'Session not found');
+    }
+
+    return session;
+  }
+
+  /**
+   * Revoke all of a user's sessions
+   * @param {string} userId - ID of the user
+   * @param {string} reason - Revocation reason
+   * @param {string} exceptSessionId - Optional session to keep signed in
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  static async revokeAllSessions(userId, reason = 'logout_all', exceptSessionId = null) {
+    const result = await Session.updateMany(
+      {
+        userId,
+        revokedAt: { $exists: false },
+        ...(exceptSessionId && { _id: { $ne: exceptSessionId } })
+      },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+
+    return result.modifiedCount;
+  }
+
+  /**
+   * List a user's active sessions, most recently used first
+   * @param {string} userId - ID of the user
+   * @param {string} currentSessionId - Session of the request, flagged as current
+   * @returns {Promise<Object[]>} Formatted sessions
+   */
+  static async listSessions(userId, currentSessionId) {
+    const sessions = await Session.find({
+      userId,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    return sessions.map(session => ({
+      id: session._id,
+      deviceName: session.deviceName,
+      userAgent: session.userAgent,
+      ipAddress: session.ipAddress,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: Boolean(currentSessionId && session._id.equals(currentSessionId))
+    }));
+  }
+}
+
+module.exports = SessionService;
@@ -0,0 +1,256 @@
+const os = require('os');
+const crypto = require('crypto');
+const SocketConnection = require('../models/SocketConnection');
+const TypingIndicator = require('../models/TypingIndicator');
+
+// Identifies this server process among the instances sharing the database
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+// How long a socket counts as open without its instance refreshing it
+const CONNECTION_TTL_MS = 90 * 1000;
+
+// How long a typing indicator lasts without another typing_start
+const TYPING_TTL_MS = 3000;
+
+/**
+ * Service for socket state that has to be shared between server instances
+ *
+ * With more than one instance behind the load balancer, a user's sockets
+ * can be spread across processes, so presence and typing indicators live
+ * in MongoDB rather than in process memory. Each open socket has a
+ * SocketConnection document; the instance holding it refreshes it on a
+ * heartbeat while the socket is still connected, so the sockets of a crashed
+ * instance, or ones whose disconnect was missed, expire on their own. A user
+ * goes offline when their last socket on any instance closes (see
+ * PresenceService).
+ */
+class SocketStateService {
+  /**
+   * Create a new SocketStateService instance
+   * @param {Object} config - Configuration options
+   * @param {Object} [config.io] - Socket.IO server; without it every socket of this instance is refreshed
+   */
+  constructor(config = {}) {
+    this.io = config.io || null;
+    this.config = {
+      heartbeatIntervalMs: config.heartbeatIntervalMs || 30000 // well inside CONNECTION_TTL_MS
+    };
+    this.interval = null;
+  }
+
+  /**
+   * Start refreshing this instance's sockets
+   * @returns {SocketStateService} this instance for chaining
+   */
+  start() {
+    if (this.interval) {
+      return this;
+    }
+
+    this.interval = setInterval(() => this.heartbeat(), this.config.heartbeatIntervalMs);
+
+    console.log(`Socket state heartbeat started (instance: ${INSTANCE_ID})`);
+    return this;
+  }
+
+  /**
+   * Stop the heartbeat and drop this instance's sockets
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.interval) {
+      clearInterval(this.interval);
+      this.interval = null;
+    }
+
+    await SocketConnection.deleteMany({ instanceId: INSTANCE_ID });
+    console.log('Socket state heartbeat stopped');
+  }
+
+  /**
+   * Keep this instance's connected sockets from expiring, and drop the ones
+   * it no longer holds
+   * @returns {Promise<number>} Number of sockets refreshed
+   */
+  async heartbeat() {
+    try {
+      const query = { instanceId: INSTANCE_ID };
+
+      if (this.io) {
+        const connectedSocketIds = [...this.io.of('/').sockets.keys()];
+        query.socketId = { $in: connectedSocketIds };
+
+        await SocketConnection.deleteMany({
+          instanceId: INSTANCE_ID,
+          socketId: { $nin: connectedSocketIds }
+        });
+      }
+
+      const { modifiedCount } = await SocketConnection.updateMany(
+        query,
+        { $set: { expiresAt: new Date(Date.now() + CONNECTION_TTL_MS) } }
+      );
+      return modifiedCount;
+    } catch (error) {
+      console.error('Socket state heartbeat error:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Record a newly connected socket
+   * @param {string} userId - ID of the socket's user
+   * @param {string} socketId - Socket ID
+   * @returns {Promise<boolean>} True if the user had no other open sockets
+   */
+  static async addConnection(userId, socketId) {
+    const now = new Date();
+
+    await SocketConnection.updateOne(
+      { socketId },
+      {
+        $set: {
+          userId,
+          instanceId: INSTANCE_ID,
+          status: 'online',
+          lastHeartbeatAt: now,
+          expiresAt: new Date(now.getTime() + CONNECTION_TTL_MS)
+        },
+        $setOnInsert: { connectedAt: now }
+      },
+      { upsert: true }
+    );
+
+    const otherSockets = await SocketConnection.countDocuments({
+      userId,
+      socketId: { $ne: socketId },
+      expiresAt: { $gt: now }
+    });
+    return otherSockets === 0;
+  }
+
+  /**
+   * Record a presence heartbeat from a socket's client
+   * @param {string} userId - ID of the socket's user
+   * @param {string} socketId - Socket ID
+   * @param {string} status - 'online' if the device is in use, 'away' if idle
+   * @returns {Promise<boolean>} True if the socket's status changed
+   */
+  static async touchConnection(userId, socketId, status) {
+    const now = new Date();
+
+    // Upserts in case the heartbeat raced the instance sweeping the socket away
+    const previous = await SocketConnection.findOneAndUpdate(
+      { socketId },
+      {
+        $set: {
+          userId,
+          instanceId: INSTANCE_ID,
+          status,
+          lastHeartbeatAt: now,
+          expiresAt: new Date(now.getTime() + CONNECTION_TTL_MS)
+        },
+        $setOnInsert: { connectedAt: now }
+      },
+      { upsert: true, new: false }
+    ).lean();
+
+    return !previous || previous.status !== status;
+  }
+
+  /**
+   * Get a user's open sockets on every instance
+   * @param {string} userId - ID of the user
+   * @returns {Promise<Array>} [{ socketId, status, lastHeartbeatAt }]
+   */
+  static async getConnections(userId) {
+    return SocketConnection.find({ userId, expiresAt: { $gt: new Date() } })
+      .select('socketId status lastHeartbeatAt')
+      .lean();
+  }
+
+  /**
+   * Get the users with an open socket on any instance
+   * @returns {Promise<Array>} User IDs
+   */
+  static async getConnectedUserIds() {
+    return SocketConnection.distinct('userId', { expiresAt: { $gt: new Date() } });
+  }
+
+  /**
+   * Forget a closed socket
+   * @param {string} userId - ID of the socket's user
+   * @param {string} socketId - Socket ID
+   * @returns {Promise<boolean>} True if that was the user's last open socket
+   */
+  static async removeConnection(userId, socketId) {
+    await SocketConnection.deleteOne({ socketId });
+    return !(await SocketStateService.isOnline(userId));
+  }
+
+  /**
+   * Check whether a user has an open socket on any instance
+   * @param {string} userId - ID of the user
+   * @returns {Promise<boolean>} True if online
+   */
+  static async isOnline(userId) {
+    const connection = await SocketConnection.exists({ userId, expiresAt: { $gt: new Date() } });
+    return Boolean(connection);
+  }
+
+  /**
+   * Mark a user as typing in a chat, or keep them typing
+   * @param {Object} params - { chatId, chatType, userId, userName }
+   * @returns {Promise<void>}
+   */
+  static async startTyping({ chatId, chatType, userId, userName }) {
+    await TypingIndicator.updateOne(
+      { chatId, userId },
+      { $set: { chatType, userName, expiresAt: new Date(Date.now() + TYPING_TTL_MS) } },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Stop a user typing in a chat
+   * @param {string} chatId - ID of the chat
+   * @param {string} userId - ID of the user
+   * @returns {Promise<void>}
+   */
+  static async stopTyping(chatId, userId) {
+    await TypingIndicator.deleteOne({ chatId, userId });
+  }
+
+  /**
+   * Stop a user typing everywhere, e.g. when they disconnect
+   * @param {string} userId - ID of the user
+   * @returns {Promise<void>}
+   */
+  static async stopAllTyping(userId) {
+    await TypingIndicator.deleteMany({ userId });
+  }
+
+  /**
+   * Get who is typing in a chat right now
+   * @param {string} chatId - ID of the chat
+   * @param {string} [excludeUserId] - User to leave out, usually the one asking
+   * @returns {Promise<Array>} [{ userId, userName }]
+   */
+  static async getTypingUsers(chatId, excludeUserId) {
+    const query = { chatId, expiresAt: { $gt: new Date() } };
+    if (excludeUserId) {
+      query.userId = { $ne: excludeUserId };
+    }
+
+    const indicators = await TypingIndicator.find(query).select('userId userName').lean();
+    return indicators.map(indicator => ({
+      userId: indicator.userId,
+      userName: indicator.userName
+    }));
+  }
+}
+
+SocketStateService.INSTANCE_ID = INSTANCE_ID;
+SocketStateService.TYPING_TTL_MS = TYPING_TTL_MS;
+
+module.exports = SocketStateService;
@@ -3,6 +3,7 @@ const Notice = require('../models/Notice');
 const Report = require('../models/Report');
 const Message = require('../models/Message');
 const ChatGroup = require('../models/ChatGroup');
+const { redactReport } = require('../utils/reportRedaction');
 
 class StatsService {
   /**
@@ -263,7 +264,7 @@ class StatsService {
         activeChatsCount,
         recentItems: {
           notices: recentNotices,
-          reports: recentReports
+          reports: recentReports.map(report => redactReport(report, userId))
         }
       };
     } catch (error) {
@@ -0,0 +1,202 @@
+const Message = require('../models/Message');
+const MessageSyncService = require('./MessageSyncService');
+
+/**
+ * Create an error the routes can turn straight into a response
+ * @param {number} statusCode - HTTP status to respond with
+ * @param {string} message - Error message
+ * @param {string} [code] - Machine-readable error code
+ * @returns {Error} Error flagged with isCustomError
+ */
+const threadError = (statusCode, message, code) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.isCustomError = true;
+  if (code) {
+    error.code = code;
+  }
+  return error;
+};
+
+// Replies that still count towards a thread's summary
+const countedReplies = (rootId) => ({
+  threadRootId: rootId,
+  moderationStatus: 'active',
+  isDeleted: { $ne: true }
+});
+
+/**
+ * Service for threaded replies in group chats
+ *
+ * A reply joins the thread of the message it replies to, or of that message's
+ * own thread root, so every thread is one level deep however the replies
+ * quote each other. The root keeps the thread's summary (reply count and
+ * last reply) and the members following it. Replying follows a thread, and
+ * the root's sender follows it from the first reply; followers are the only
+ * members notified of new replies.
+ */
+class ThreadService {
+  /**
+   * Find the root of the thread a reply to this message belongs to
+   * @param {string} chatId - Group ID
+   * @param {string} messageId - ID of the message being replied to, or any message in the thread
+   * @returns {Promise<Object>} The root message
+   */
+  static async findThreadRoot(chatId, messageId) {
+    const message = await Message.findOne({
+      _id: messageId,
+      chatId,
+      chatType: 'group',
+      moderationStatus: 'active'
+    });
+
+    if (!message) {
+      throw threadError(404, 'Message not found', 'MESSAGE_NOT_FOUND');
+    }
+
+    return ThreadService.getRoot(message);
+  }
+
+  /**
+   * Get the root of the thread a message is in, or the message itself if it
+   * isn't a reply in a thread
+   * @param {Object} message - Message document
+   * @returns {Promise<Object>} The root message
+   */
+  static async getRoot(message) {
+    if (!message.threadRootId) {
+      return message;
+    }
+
+    const root = await Message.findOne({ _id: message.threadRootId, chatId: message.chatId });
+    if (!root) {
+      throw threadError(404, 'Thread not found', 'THREAD_NOT_FOUND');
+    }
+    return root;
+  }
+
+  /**
+   * Update a thread's summary and followers for a new reply
+   * @param {Object} root - Thread root message
+   * @param {Object} reply - The saved reply
+   * @returns {Promise<Object>} The updated root
+   */
+  static async recordReply(root, reply) {
+    const newFollowers = root.thread?.replyCount ? [reply.senderId] : [root.senderId, reply.senderId];
+
+    return Message.findOneAndUpdate(
+      { _id: root._id },
+      {
+        $inc: { 'thread.replyCount': 1 },
+        $max: { 'thread.lastReplyAt': reply.createdAt },
+        $set: {
+          'thread.lastReplyBy': reply.senderId,
+          'thread.lastReplySenderName': reply.senderName
+        },
+        $addToSet: { 'thread.followers': { $each: newFollowers } }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Recount a thread's replies after one was deleted or removed
+   * @param {string} rootId - Thread root message ID
+   * @returns {Promise<Object|null>} The updated root
+   */
+  static async refreshSummary(rootId) {
+    const [replyCount, lastReply] = await Promise.all([
+      Message.countDocuments(countedReplies(rootId)),
+      Message.findOne(countedReplies(rootId)).sort({ createdAt: -1, _id: -1 })
+    ]);
+
+    const update = lastReply
+      ? {
+        $set: {
+          'thread.replyCount': replyCount,
+          'thread.lastReplyAt': lastReply.createdAt,
+          'thread.lastReplyBy': lastReply.senderId,
+          'thread.lastReplySenderName': lastReply.senderName
+        }
+      }
+      : {
+        $set: { 'thread.replyCount': 0 },
+        $unset: {
+          'thread.lastReplyAt': '',
+          'thread.lastReplyBy': '',
+          'thread.lastReplySenderName': ''
+        }
+      };
+
+    return Message.findOneAndUpdate({ _id: rootId }, update, { new: true });
+  }
+
+  /**
+   * Get a page of a thread's replies, oldest first
+   * @param {Object} root - Thread root message
+   * @param {string} viewerId - ID of the user viewing the thread
+   * @param {Object} [options] - { cursor, limit, populate } as for MessageSyncService.getHistoryPage
+   * @returns {Promise<Object>} { replies, pageInfo }
+   */
+  static async getReplies(root, viewerId, { cursor, limit = 50, populate = [] } = {}) {
+    const page = await MessageSyncService.getHistoryPage(
+      {
+        threadRootId: root._id,
+        moderationStatus: 'active',
+        deletedFor: { $ne: viewerId }
+      },
+      { cursor, direction: 'newer', limit, populate }
+    );
+
+    return { replies: page.messages, pageInfo: page.pageInfo };
+  }
+
+  /**
+   * Follow or stop following a thread
+   * @param {Object} root - Thread root message
+   * @param {string} userId - ID of the member
+   * @param {boolean} follow - Whether to follow
+   * @returns {Promise<Object>} The updated root
+   */
+  static async setFollowing(root, userId, follow) {
+    return Message.findOneAndUpdate(
+      { _id: root._id },
+      follow
+        ? { $addToSet: { 'thread.followers': userId } }
+        : { $pull: { 'thread.followers': userId } },
+      // Following is personal; it shouldn't show up as a change to the message in other members' syncs
+      { new: true, timestamps: false }
+    );
+  }
+
+  /**
+   * IDs of the members to notify of a reply
+   * @param {Object} root - Thread root message
+   * @param {string} senderId - ID of the reply's sender, who isn't notified
+   * @param {Array} memberIds - IDs of the group's current members
+   * @returns {Array<string>} Follower IDs
+   */
+  static getFollowerIdsToNotify(root, senderId, memberIds) {
+    const members = new Set(memberIds.map(id => id.toString()));
+
+    return (root.thread?.followers || [])
+      .map(id => id.toString())
+      .filter(id => id !== senderId.toString() && members.has(id));
+  }
+
+  /**
+   * A thread's summary as sent to clients
+   * @param {Object} root - Thread root message
+   * @returns {Object} { replyCount, lastReplyAt, lastReplyBy, lastReplySenderName }
+   */
+  static formatSummary(root) {
+    return {
+      replyCount: root.thread?.replyCount || 0,
+      lastReplyAt: root.thread?.lastReplyAt || null,
+      lastReplyBy: root.thread?.lastReplyBy || null,
+      lastReplySenderName: root.thread?.lastReplySenderName || null
+    };
+  }
+}
+
+module.exports = ThreadService;
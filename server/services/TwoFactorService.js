@@ -0,0 +1,359 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const User = require('../models/User');
+const AuditService = require('./AuditService');
+const SessionService = require('./SessionService');
+const LoginSecurityService = require('./LoginSecurityService');
+const { createActionToken, verifyActionToken } = require('../utils/actionTokens');
+const { generateSecret, verifyCode, buildOtpAuthUrl } = require('../utils/totp');
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'neibrly';
+const CHALLENGE_PURPOSE = 'two_factor_login';
+const CHALLENGE_TTL_MINUTES = 5;
+const MAX_CHALLENGE_ATTEMPTS = 5;
+const BACKUP_CODE_COUNT = 10;
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep';
+
+/**
+ * Create an error the routes can turn straight into a response
+ * @param {number} statusCode - HTTP status to respond with
+ * @param {string} message - Error message
+ * @returns {Error} Error flagged with isCustomError
+ */
+const twoFactorError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.isCustomError = true;
+  return error;
+};
+
+/**
+ * Hash a backup code, ignoring case and the separating dash
+ * @param {string} code - Backup code
+ * @returns {string} SHA-256 hex digest
+ */
+const hashBackupCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).toLowerCase().replace(/[^a-z0-9]/g, ''))
+  .digest('hex');
+
+/**
+ * Create a fresh set of backup codes
+ * @returns {Object} { codes, hashes } - plain codes to show once, hashes to store
+ */
+const createBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map(code => ({ codeHash: hashBackupCode(code) }))
+  };
+};
+
+/**
+ * Service for TOTP two-factor authentication
+ *
+ * Enrolment stores a pending secret until the user proves their
+ * authenticator works, then hands out single-use backup codes. Signing in
+ * with a second factor is a two-step login: the password step returns a
+ * short-lived challenge token that is swapped, together with a code, for a
+ * session. Admins and moderators are required to use it.
+ */
+class TwoFactorService {
+  /**
+   * Get a user's two-factor status
+   * @param {string} userId - ID of the user
+   * @returns {Promise<Object>} { enabled, enabledAt, required, backupCodesRemaining }
+   */
+  static async getStatus(userId) {
+    const user = await User.findById(userId).select('role twoFactor.enabled twoFactor.enabledAt +twoFactor.backupCodes');
+    if (!user) {
+      throw twoFactorError(404, 'User not found');
+    }
+
+    const backupCodes = user.twoFactor?.backupCodes || [];
+    return {
+      enabled: Boolean(user.twoFactor?.enabled),
+      enabledAt: user.twoFactor?.enabledAt,
+      required: user.requiresTwoFactor(),
+      backupCodesRemaining: backupCodes.filter(code => !code.usedAt).length
+    };
+  }
+
+  /**
+   * Start enrolment by generating a secret for the user's authenticator app
+   * @param {string} userId - ID of the user
+   * @returns {Promise<Object>} { secret, otpauthUrl, qrCode } - qrCode is a PNG data URL
+   */
+  static async beginEnrolment(userId) {
+    const user = await User.findById(userId).select('email twoFactor.enabled');
+    if (!user) {
+      throw twoFactorError(404, 'User not found');
+    }
+    if (user.twoFactor?.enabled) {
+      throw twoFactorError(409, 'Two-factor authentication is already enabled');
+    }
+
+    const secret = generateSecret();
+    await User.updateOne({ _id: userId }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+    const otpauthUrl = buildOtpAuthUrl(secret, user.email, ISSUER);
+    return {
+      secret,
+      otpauthUrl,
+      qrCode: await QRCode.toDataURL(otpauthUrl)
+    };
+  }
+
+  /**
+   * Finish enrolment once the user enters a code from their authenticator
+   * @param {string} userId - ID of the user
+   * @param {string} code - Code from the authenticator app
+   * @returns {Promise<Object>} { backupCodes } - shown to the user once
+   */
+  static async confirmEnrolment(userId, code) {
+    const user = await User.findById(userId).select('twoFactor.enabled +twoFactor.pendingSecret');
+    if (!user) {
+      throw twoFactorError(404, 'User not found');
+    }
+    if (user.twoFactor?.enabled) {
+      throw twoFactorError(409, 'Two-factor authentication is already enabled');
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      throw twoFactorError(400, 'Start two-factor setup first');
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      throw twoFactorError(400, 'Invalid verification code');
+    }
+
+    const { codes, hashes } = createBackupCodes();
+    await User.updateOne({ _id: userId }, {
+      $set: {
+        'twoFactor.enabled': true,
+        'twoFactor.secret': user.twoFactor.pendingSecret,
+        'twoFactor.enabledAt': new Date(),
+        'twoFactor.lastUsedStep': step,
+        'twoFactor.backupCodes': hashes
+      },
+      $unset: { 'twoFactor.pendingSecret': '' }
+    });
+
+    return { backupCodes: codes };
+  }
+
+  /**
+   * Use up an authenticator or backup code
+   * Each TOTP time step and each backup code only works once.
+   * @param {Object} user - User document loaded with the two-factor secrets
+   * @param {string} code - Code the user entered
+   * @returns {Promise<string|null>} 'totp', 'backup_code' or null if the code is wrong
+   */
+  static async consumeCode(user, code) {
+    const normalized = String(code || '').trim();
+
+    if (/^\d{6}$/.test(normalized.replace(/\s/g, ''))) {
+      const step = verifyCode(user.twoFactor.secret, normalized);
+      if (step === null) {
+        return null;
+      }
+
+      const result = await User.updateOne(
+        {
+          _id: user._id,
+          $or: [
+            { 'twoFactor.lastUsedStep': { $exists: false } },
+            { 'twoFactor.lastUsedStep': { $lt: step } }
+          ]
+        },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+      return result.modifiedCount === 1 ? 'totp' : null;
+    }
+
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        'twoFactor.backupCodes': {
+          $elemMatch: { codeHash: hashBackupCode(normalized), usedAt: { $exists: false } }
+        }
+      },
+      { $set: { 'twoFactor.backupCodes.$.usedAt': new Date() } }
+    );
+    return result.modifiedCount === 1 ? 'backup_code' : null;
+  }
+
+  /**
+   * Load a user with two-factor enabled and check a code against them
+   * @param {string} userId - ID of the user
+   * @param {string} code - Code the user entered
+   * @returns {Promise<Object>} The user
+   */
+  static async requireValidCode(userId, code) {
+    const user = await User.findById(userId).select(`role twoFactor.enabled ${SECRET_FIELDS}`);
+    if (!user) {
+      throw twoFactorError(404, 'User not found');
+    }
+    if (!user.twoFactor?.enabled) {
+      throw twoFactorError(400, 'Two-factor authentication is not enabled');
+    }
+    if (!(await TwoFactorService.consumeCode(user, code))) {
+      throw twoFactorError(400, 'Invalid verification code');
+    }
+    return user;
+  }
+
+  /**
+   * Turn two-factor authentication off
+   * Admins and moderators can't; they have to ask another admin for a reset.
+   * @param {string} userId - ID of the user
+   * @param {string} code - Current authenticator or backup code
+   */
+  static async disable(userId, code) {
+    const user = await TwoFactorService.requireValidCode(userId, code);
+    if (user.requiresTwoFactor()) {
+      throw twoFactorError(403, 'Two-factor authentication is required for your role');
+    }
+
+    await User.updateOne({ _id: userId }, { $unset: { twoFactor: '' } });
+  }
+
+  /**
+   * Replace the user's backup codes with a new set
+   * @param {string} userId - ID of the user
+   * @param {string} code - Current authenticator or backup code
+   * @returns {Promise<Object>} { backupCodes }
+   */
+  static async regenerateBackupCodes(userId, code) {
+    await TwoFactorService.requireValidCode(userId, code);
+
+    const { codes, hashes } = createBackupCodes();
+    await User.updateOne({ _id: userId }, { $set: { 'twoFactor.backupCodes': hashes } });
+
+    return { backupCodes: codes };
+  }
+
+  /**
+   * Issue the challenge token for the second login step
+   * A new challenge replaces any earlier one but keeps its attempt count
+   * while it is still live, so signing in again doesn't buy more guesses.
+   * @param {Object} user - User who passed the password step
+   * @returns {Promise<string>} Challenge token
+   */
+  static async createLoginChallenge(user) {
+    const { token, tokenHash, expiresAt } = createActionToken(user._id, CHALLENGE_PURPOSE, CHALLENGE_TTL_MINUTES);
+
+    await User.updateOne({ _id: user._id }, [{
+      $set: {
+        'twoFactor.challenge': {
+          tokenHash,
+          expiresAt,
+          attempts: {
+            $cond: [
+              { $gt: ['$twoFactor.challenge.expiresAt', new Date()] },
+              { $ifNull: ['$twoFactor.challenge.attempts', 0] },
+              0
+            ]
+          }
+        }
+      }
+    }]);
+
+    return token;
+  }
+
+  /**
+   * Complete the second login step
+   * Wrong codes count towards the account lockout like wrong passwords.
+   * @param {string} challengeToken - Token from the password step
+   * @param {string} code - Authenticator or backup code
+   * @param {Object} clientInfo - { ipAddress, userAgent } of the sign-in
+   * @returns {Promise<Object>} { user, method } - method is 'totp' or 'backup_code'
+   */
+  static async completeLoginChallenge(challengeToken, code, clientInfo = {}) {
+    const verified = verifyActionToken(challengeToken, CHALLENGE_PURPOSE);
+    const expired = twoFactorError(401, 'Your sign-in has expired. Please sign in again.');
+    if (!verified) {
+      throw expired;
+    }
+
+    const account = await User.findById(verified.userId).select('email');
+    if (!account) {
+      throw expired;
+    }
+    const attempt = { email: account.email, user: account, ...clientInfo };
+    await LoginSecurityService.assertNotLocked(attempt);
+
+    // Count the attempt up front so parallel guesses can't get around the limit
+    const user = await User.findOneAndUpdate(
+      {
+        _id: verified.userId,
+        'twoFactor.enabled': true,
+        'twoFactor.challenge.tokenHash': verified.tokenHash,
+        'twoFactor.challenge.expiresAt': { $gt: new Date() },
+        'twoFactor.challenge.attempts': { $lt: MAX_CHALLENGE_ATTEMPTS }
+      },
+      { $inc: { 'twoFactor.challenge.attempts': 1 } },
+      { new: true }
+    ).select(`email role isActive firstName lastName ${SECRET_FIELDS}`);
+
+    if (!user || !user.isActive) {
+      throw expired;
+    }
+
+    const method = await TwoFactorService.consumeCode(user, code);
+    if (!method) {
+      await LoginSecurityService.recordFailure({ ...attempt, reason: 'invalid_two_factor_code' });
+      throw twoFactorError(401, 'Invalid verification code');
+    }
+
+    await User.updateOne({ _id: user._id }, { $unset: { 'twoFactor.challenge': '' } });
+
+    // Hand back the full profile rather than the secrets loaded for the check
+    return { user: await User.findById(user._id), method };
+  }
+
+  /**
+   * Reset a user's two-factor authentication, e.g. after they lose their phone
+   * The user is signed out everywhere and has to enrol again.
+   * @param {string} targetUserId - ID of the user to reset
+   * @param {Object} admin - { userId } of the admin doing it
+   * @param {Object} context - { reason, ipAddress, userAgent }
+   */
+  static async resetForUser(targetUserId, admin, { reason, ipAddress, userAgent } = {}) {
+    if (targetUserId.toString() === admin.userId.toString()) {
+      throw twoFactorError(400, 'Cannot reset your own two-factor authentication');
+    }
+
+    const user = await User.findById(targetUserId).select('twoFactor.enabled');
+    if (!user) {
+      throw twoFactorError(404, 'User not found');
+    }
+    if (!user.twoFactor?.enabled) {
+      throw twoFactorError(400, 'Two-factor authentication is not enabled for this user');
+    }
+
+    await User.updateOne({ _id: targetUserId }, { $unset: { twoFactor: '' } });
+    const sessionsRevoked = await SessionService.revokeAllSessions(targetUserId, 'two_factor_reset');
+
+    await AuditService.logAction({
+      adminId: admin.userId,
+      action: 'user_2fa_reset',
+      targetType: 'user',
+      targetId: targetUserId,
+      details: {
+        reason: reason || 'No reason provided',
+        sessionsRevoked
+      },
+      ipAddress,
+      userAgent
+    });
+  }
+}
+
+module.exports = TwoFactorService;
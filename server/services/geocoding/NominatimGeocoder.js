@@ -0,0 +1,46 @@
+/**
+ * Geocoder backed by an OpenStreetMap Nominatim server
+ */
+class NominatimGeocoder {
+  /**
+   * @param {Object} config - Configuration options
+   * @param {string} config.url - Nominatim base URL
+   * @param {string} config.userAgent - User-Agent sent with requests (required by the usage policy)
+   * @param {number} config.timeoutMs - Request timeout
+   */
+  constructor(config = {}) {
+    this.name = 'nominatim';
+    this.url = (config.url || 'https://nominatim.openstreetmap.org').replace(/\/+$/, '');
+    this.userAgent = config.userAgent || 'neighbourhood-watch-app';
+    this.timeoutMs = config.timeoutMs || 5000;
+  }
+
+  /**
+   * Look up the coordinates of an address
+   * @param {string} address - Address to geocode
+   * @returns {Promise<Object|null>} { latitude, longitude } or null if not found
+   */
+  async geocode(address) {
+    const params = new URLSearchParams({ q: address, format: 'json', limit: '1' });
+    const response = await fetch(`${this.url}/search?${params}`, {
+      headers: { 'User-Agent': this.userAgent, Accept: 'application/json' },
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Geocoding request failed with status ${response.status}`);
+    }
+
+    const results = await response.json();
+    if (!Array.isArray(results) || results.length === 0) {
+      return null;
+    }
+
+    return {
+      latitude: parseFloat(results[0].lat),
+      longitude: parseFloat(results[0].lon)
+    };
+  }
+}
+
+module.exports = NominatimGeocoder;
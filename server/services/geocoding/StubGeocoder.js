@@ -0,0 +1,35 @@
+/**
+ * Offline geocoder for development and tests
+ * Resolves "lat, lng" strings and a fixed table of known addresses, so
+ * neighbourhood suggestions work without calling an external service.
+ */
+class StubGeocoder {
+  /**
+   * @param {Object} config - Configuration options
+   * @param {Object} config.places - Map of address to { latitude, longitude }
+   */
+  constructor(config = {}) {
+    this.name = 'stub';
+    this.places = new Map(
+      Object.entries(config.places || {}).map(([address, coords]) => [normalizeAddress(address), coords])
+    );
+  }
+
+  /**
+   * Look up the coordinates of an address
+   * @param {string} address - Address to geocode
+   * @returns {Promise<Object|null>} { latitude, longitude } or null if unknown
+   */
+  async geocode(address) {
+    const match = String(address).match(/^\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*$/);
+    if (match) {
+      return { latitude: parseFloat(match[1]), longitude: parseFloat(match[2]) };
+    }
+
+    return this.places.get(normalizeAddress(address)) || null;
+  }
+}
+
+const normalizeAddress = (address) => String(address).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+module.exports = StubGeocoder;
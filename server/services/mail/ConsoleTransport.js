@@ -0,0 +1,28 @@
+/**
+ * Mail transport that prints messages to the console
+ * Used by default in development so reset links can be copied from the logs.
+ */
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  /**
+   * Print a message
+   * @param {Object} message - { from, to, subject, text, html }
+   * @returns {Promise<Object>} Send result
+   */
+  async send(message) {
+    console.log('=== OUTGOING EMAIL ===');
+    console.log(`From: ${message.from}`);
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log('');
+    console.log(message.text);
+    console.log('======================');
+
+    return { transport: this.name, accepted: [message.to] };
+  }
+}
+
+module.exports = ConsoleTransport;
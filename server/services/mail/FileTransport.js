@@ -0,0 +1,39 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Mail transport that writes each message to a JSON file
+ * Useful for local testing and automated tests that need to read the email.
+ */
+class FileTransport {
+  /**
+   * @param {Object} config - Configuration options
+   * @param {string} config.directory - Directory the messages are written to
+   */
+  constructor(config = {}) {
+    this.name = 'file';
+    this.directory = config.directory || path.join(process.cwd(), 'tmp', 'mail');
+  }
+
+  /**
+   * Write a message to disk
+   * @param {Object} message - { from, to, subject, text, html }
+   * @returns {Promise<Object>} Send result including the file path
+   */
+  async send(message) {
+    await fs.mkdir(this.directory, { recursive: true });
+
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const filePath = path.join(this.directory, `${id}.json`);
+
+    await fs.writeFile(filePath, JSON.stringify({
+      ...message,
+      sentAt: new Date().toISOString()
+    }, null, 2));
+
+    return { transport: this.name, accepted: [message.to], messageId: id, path: filePath };
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,42 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Mail transport that delivers messages over SMTP
+ */
+class SmtpTransport {
+  /**
+   * @param {Object} config - Configuration options
+   * @param {string} config.host - SMTP host
+   * @param {number} config.port - SMTP port
+   * @param {boolean} config.secure - Use TLS from the start (port 465)
+   * @param {string} config.user - SMTP username
+   * @param {string} config.pass - SMTP password
+   */
+  constructor(config = {}) {
+    this.name = 'smtp';
+
+    if (!config.host) {
+      throw new Error('SMTP host is not configured');
+    }
+
+    this.transporter = nodemailer.createTransport({
+      host: config.host,
+      port: config.port || 587,
+      secure: Boolean(config.secure),
+      auth: config.user ? { user: config.user, pass: config.pass } : undefined
+    });
+  }
+
+  /**
+   * Deliver a message
+   * @param {Object} message - { from, to, subject, text, html }
+   * @returns {Promise<Object>} Send result
+   */
+  async send(message) {
+    const info = await this.transporter.sendMail(message);
+
+    return { transport: this.name, accepted: info.accepted, messageId: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
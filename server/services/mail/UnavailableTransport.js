@@ -0,0 +1,26 @@
+/**
+ * Mail transport standing in when no real transport could be set up in
+ * production. Sending fails instead of printing the message, which would
+ * put reset and verification links in the logs.
+ */
+class UnavailableTransport {
+  /**
+   * @param {Error} reason - Why the real transport couldn't be set up
+   */
+  constructor(reason) {
+    this.name = 'unavailable';
+    this.reason = reason;
+  }
+
+  /**
+   * Refuse to send a message, logging who it was for but not its content
+   * @param {Object} message - { from, to, subject, text, html }
+   * @returns {Promise<Object>} Never resolves; always rejects
+   */
+  async send(message) {
+    console.error(`Email "${message.subject}" to ${message.to} not sent: ${this.reason.message}`);
+    throw new Error(`Mail transport not configured: ${this.reason.message}`);
+  }
+}
+
+module.exports = UnavailableTransport;
@@ -0,0 +1,89 @@
+/**
+ * Rate limit store that keeps counters in process memory
+ * Fine for a single server and for development; counters are lost on
+ * restart and aren't shared between processes.
+ */
+class MemoryStore {
+  /**
+   * @param {Object} config - Configuration options
+   * @param {number} config.cleanupIntervalMs - How often to drop finished windows
+   */
+  constructor(config = {}) {
+    this.name = 'memory';
+    this.counters = new Map();
+
+    this.cleanupTimer = setInterval(() => this.cleanup(), config.cleanupIntervalMs || 60 * 1000);
+    this.cleanupTimer.unref?.();
+  }
+
+  /**
+   * Count a hit, starting a new window if the last one has ended
+   * @param {string} key - Counter key
+   * @param {number} windowMs - Window length
+   * @returns {Promise<Object>} { count, resetAt }
+   */
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let counter = this.counters.get(key);
+
+    if (!counter || counter.resetAt.getTime() <= now) {
+      counter = { count: 0, resetAt: new Date(now + windowMs) };
+      this.counters.set(key, counter);
+    }
+
+    counter.count++;
+    return { count: counter.count, resetAt: counter.resetAt };
+  }
+
+  /**
+   * Get a counter without counting a hit
+   * @param {string} key - Counter key
+   * @returns {Promise<Object|null>} { count, resetAt } or null if there's no current window
+   */
+  async get(key) {
+    const counter = this.counters.get(key);
+    if (!counter || counter.resetAt.getTime() <= Date.now()) {
+      return null;
+    }
+
+    return { count: counter.count, resetAt: counter.resetAt };
+  }
+
+  /**
+   * Clear a counter
+   * @param {string} key - Counter key
+   */
+  async reset(key) {
+    this.counters.delete(key);
+  }
+
+  /**
+   * List the busiest current counters
+   * @param {number} limit - Maximum counters to return
+   * @returns {Promise<Array>} [{ key, count, resetAt }]
+   */
+  async list(limit = 10) {
+    const now = Date.now();
+
+    return Array.from(this.counters.entries())
+      .filter(([, counter]) => counter.resetAt.getTime() > now)
+      .map(([key, counter]) => ({ key, count: counter.count, resetAt: counter.resetAt }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, limit);
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, counter] of this.counters) {
+      if (counter.resetAt.getTime() <= now) {
+        this.counters.delete(key);
+      }
+    }
+  }
+
+  async close() {
+    clearInterval(this.cleanupTimer);
+  }
+}
+
+module.exports = MemoryStore;
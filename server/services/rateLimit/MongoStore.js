@@ -0,0 +1,84 @@
+const RateLimitCounter = require('../../models/RateLimitCounter');
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+/**
+ * Rate limit store that keeps counters in MongoDB
+ * Counters are shared between server processes and survive restarts.
+ */
+class MongoStore {
+  constructor() {
+    this.name = 'mongo';
+  }
+
+  /**
+   * Count a hit, starting a new window if the last one has ended
+   * @param {string} key - Counter key
+   * @param {number} windowMs - Window length
+   * @param {boolean} retried - Whether this is a retry after a creation race
+   * @returns {Promise<Object>} { count, resetAt }
+   */
+  async increment(key, windowMs, retried = false) {
+    const now = new Date();
+    const windowOpen = { $gt: ['$resetAt', now] };
+
+    try {
+      // One atomic update either bumps the open window or starts a new one
+      const counter = await RateLimitCounter.findOneAndUpdate(
+        { key },
+        [{
+          $set: {
+            count: { $cond: [windowOpen, { $add: ['$count', 1] }, 1] },
+            resetAt: { $cond: [windowOpen, '$resetAt', new Date(now.getTime() + windowMs)] }
+          }
+        }],
+        { upsert: true, new: true }
+      );
+
+      return { count: counter.count, resetAt: counter.resetAt };
+    } catch (error) {
+      // Two first hits raced to create the counter; the loser just counts again
+      if (error.code === DUPLICATE_KEY_ERROR && !retried) {
+        return this.increment(key, windowMs, true);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get a counter without counting a hit
+   * @param {string} key - Counter key
+   * @returns {Promise<Object|null>} { count, resetAt } or null if there's no current window
+   */
+  async get(key) {
+    const counter = await RateLimitCounter.findOne({ key, resetAt: { $gt: new Date() } });
+
+    return counter ? { count: counter.count, resetAt: counter.resetAt } : null;
+  }
+
+  /**
+   * Clear a counter
+   * @param {string} key - Counter key
+   */
+  async reset(key) {
+    await RateLimitCounter.deleteOne({ key });
+  }
+
+  /**
+   * List the busiest current counters
+   * @param {number} limit - Maximum counters to return
+   * @returns {Promise<Array>} [{ key, count, resetAt }]
+   */
+  async list(limit = 10) {
+    const counters = await RateLimitCounter.find({ resetAt: { $gt: new Date() } })
+      .sort({ count: -1 })
+      .limit(limit)
+      .lean();
+
+    return counters.map(({ key, count, resetAt }) => ({ key, count, resetAt }));
+  }
+
+  async close() {}
+}
+
+module.exports = MongoStore;
@@ -0,0 +1,125 @@
+// Bump the counter and start its expiry on the first hit of a window
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return { count, redis.call('PTTL', KEYS[1]) }
+`;
+
+const MemoryStore = require('./MemoryStore');
+
+/**
+ * Rate limit store that keeps counters in Redis
+ * Needs the optional `redis` package; counters expire on their own. If
+ * Redis can't be reached at startup, counters are kept in memory instead.
+ */
+class RedisStore {
+  /**
+   * @param {Object} config - Configuration options
+   * @param {string} config.url - Redis connection URL
+   * @param {string} config.prefix - Prefix for counter keys
+   */
+  constructor(config = {}) {
+    this.name = 'redis';
+
+    if (!config.url) {
+      throw new Error('Redis URL is not configured');
+    }
+
+    // Only required when Redis is actually selected
+    const { createClient } = require('redis');
+
+    this.prefix = config.prefix || 'ratelimit:';
+    this.client = createClient({ url: config.url });
+    this.client.on('error', (error) => {
+      console.error('Rate limit Redis error:', error.message);
+    });
+    this.fallback = null;
+    this.ready = this.client.connect().catch((error) => {
+      console.error(`Rate limit Redis unavailable (${error.message}). Falling back to memory.`);
+      this.fallback = new MemoryStore();
+      this.client.disconnect().catch(() => {});
+    });
+  }
+
+  /**
+   * Count a hit, starting a new window if the last one has ended
+   * @param {string} key - Counter key
+   * @param {number} windowMs - Window length
+   * @returns {Promise<Object>} { count, resetAt }
+   */
+  async increment(key, windowMs) {
+    await this.ready;
+    if (this.fallback) {
+      return this.fallback.increment(key, windowMs);
+    }
+
+    const [count, ttl] = await this.client.eval(INCREMENT_SCRIPT, {
+      keys: [this.prefix + key],
+      arguments: [String(windowMs)]
+    });
+
+    return { count, resetAt: new Date(Date.now() + Math.max(ttl, 0)) };
+  }
+
+  /**
+   * Get a counter without counting a hit
+   * @param {string} key - Counter key
+   * @returns {Promise<Object|null>} { count, resetAt } or null if there's no current window
+   */
+  async get(key) {
+    await this.ready;
+    if (this.fallback) {
+      return this.fallback.get(key);
+    }
+
+    const [count, ttl] = await Promise.all([
+      this.client.get(this.prefix + key),
+      this.client.pTTL(this.prefix + key)
+    ]);
+
+    if (count === null || ttl <= 0) {
+      return null;
+    }
+
+    return { count: parseInt(count), resetAt: new Date(Date.now() + ttl) };
+  }
+
+  /**
+   * Clear a counter
+   * @param {string} key - Counter key
+   */
+  async reset(key) {
+    await this.ready;
+    if (this.fallback) {
+      return this.fallback.reset(key);
+    }
+
+    await this.client.del(this.prefix + key);
+  }
+
+  /**
+   * Listing counters would mean scanning the keyspace, so Redis doesn't
+   * report the busiest keys
+   * @param {number} limit - Most counters to return
+   * @returns {Promise<Array>} Empty, unless counting in memory
+   */
+  async list(limit) {
+    await this.ready;
+    if (this.fallback) {
+      return this.fallback.list(limit);
+    }
+    return [];
+  }
+
+  async close() {
+    await this.ready;
+    if (this.fallback) {
+      return this.fallback.close();
+    }
+    await this.client.quit();
+  }
+}
+
+module.exports = RedisStore;
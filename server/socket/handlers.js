@@ -4,10 +4,29 @@ const User = require('../models/User');
 const PrivateChat = require('../models/PrivateChat');
 const Message = require('../models/Message');
 const ChatGroup = require('../models/ChatGroup');
+const Report = require('../models/Report');
 const NotificationService = require('../services/NotificationService');
-
-// Enhanced typing indicator management
-const typingUsers = new Map(); // chatId -> Set of userIds
+const BlockingService = require('../services/BlockingService');
+const PrivacyService = require('../services/PrivacyService');
+const AlertService = require('../services/AlertService');
+const SessionService = require('../services/SessionService');
+const SocketStateService = require('../services/SocketStateService');
+const PresenceService = require('../services/PresenceService');
+const RateLimitService = require('../services/RateLimitService');
+const {
+  ENCRYPTED_PLACEHOLDER,
+  buildEncryptionEnvelope,
+  formatEncryptionEnvelope
+} = require('../utils/encryptionEnvelope');
+const {
+  isValidClientMessageId,
+  findByClientMessageId,
+  saveMessageOnce
+} = require('../utils/clientMessageId');
+const { redactReport } = require('../utils/reportRedaction');
+
+// Timers that end typing indicators on their own. They stay with the process
+// holding the socket; who is typing is shared through SocketStateService.
 const typingTimeouts = new Map(); // userId_chatId -> timeoutId
 
 const authenticateSocket = async (socket, next) => {
@@ -24,18 +43,29 @@ const authenticateSocket = async (socket, next) => {
     const user = await User.findOne({ 
       _id: decoded.userId,
       status: 'active'
-    }).select('_id email role neighbourhoodId firstName lastName');
+    }).select('_id email role neighbourhoodId firstName lastName passwordChangedAt emailVerified');
 
     if (!user) {
       return next(new Error('User not found'));
     }
 
+    if (user.changedPasswordAfter(decoded.iat)) {
+      return next(new Error('Authentication error'));
+    }
+
+    if (decoded.sid && !(await SessionService.isSessionActive(decoded.sid))) {
+      return next(new Error('Authentication error'));
+    }
+
     socket.user = {
       id: user._id,
       email: user.email,
       role: user.role,
       neighbourhoodId: user.neighbourhoodId,
-      name: `${user.firstName} ${user.lastName}`
+      name: `${user.firstName} ${user.lastName}`,
+      emailVerified: user.isEmailVerified(),
+      sessionId: decoded.sid,
+      twoFactorVerified: Boolean(decoded.mfa)
     };
 
     next();
@@ -44,6 +74,63 @@ const authenticateSocket = async (socket, next) => {
   }
 };
 
+// Check whether the socket's user has verified their email. Unverified users
+// are re-checked on each attempt so verifying mid-session takes effect.
+const hasVerifiedEmail = async (socket) => {
+  if (socket.user.emailVerified) return true;
+
+  const user = await User.findById(socket.user.id).select('emailVerified');
+  socket.user.emailVerified = Boolean(user && user.isEmailVerified());
+  return socket.user.emailVerified;
+};
+
+const emitEmailNotVerified = (socket) => {
+  socket.emit('error', {
+    message: 'Please verify your email address before posting.',
+    code: 'EMAIL_NOT_VERIFIED'
+  });
+};
+
+// Users whose neighbourhood join request is pending are read-only. Only the
+// approved state is cached, so approval takes effect without reconnecting.
+const isApprovedMember = async (socket) => {
+  if (socket.user.approvedMember) return true;
+
+  const user = await User.findById(socket.user.id).select('membershipStatus');
+  socket.user.approvedMember = Boolean(user && user.isApprovedMember());
+  return socket.user.approvedMember;
+};
+
+const emitMembershipPending = (socket) => {
+  socket.emit('error', {
+    message: 'Your request to join this neighbourhood is awaiting approval. You have read-only access until then.',
+    code: 'MEMBERSHIP_PENDING'
+  });
+};
+
+// Count a socket event against a rate limit policy, keyed by user like the
+// matching HTTP routes so both transports share one allowance
+const isRateLimited = async (socket, policyName) => {
+  const result = await RateLimitService.consume(policyName, {
+    userId: socket.user.id,
+    ip: socket.handshake.address
+  });
+
+  if (result && !result.allowed) {
+    socket.rateLimitRetryAfter = result.retryAfter;
+    return true;
+  }
+  return false;
+};
+
+const emitRateLimited = (socket) => {
+  socket.emit('error', {
+    message: 'You are sending messages too quickly. Please wait a moment and try again.',
+    code: 'RATE_LIMITED',
+    retryAfter: socket.rateLimitRetryAfter
+  });
+};
+
 const setupSocketHandlers = (io) => {
   // Authentication middleware
   io.use(authenticateSocket);
@@ -61,10 +148,46 @@ const setupSocketHandlers = (io) => {
     socket.join(`user_${socket.user.id}`);
     console.log(`User joined private room: user_${socket.user.id}`);
 
+    // Join the session's room so signing the session out can disconnect it
+    if (socket.user.sessionId) {
+      socket.join(`session_${socket.user.sessionId}`);
+    }
+
+    // Count the socket towards the user's presence on every instance
+    socket.connectionRecorded = SocketStateService.addConnection(socket.user.id, socket.id)
+      .catch(error => {
+        console.error('Error recording socket connection:', error);
+      });
+    socket.connectionRecorded
+      .then(() => PresenceService.refresh(io, socket.user.id))
+      .catch(error => {
+        console.error('Error updating presence on connect:', error);
+      });
+
     // Handle private chat messages
     socket.on('send_private_message', async (data) => {
       try {
-        const { chatId, content, emojis = [], replyToId, media = [] } = data;
+        if (!(await hasVerifiedEmail(socket))) {
+          emitEmailNotVerified(socket);
+          return;
+        }
+
+        if (!(await isApprovedMember(socket))) {
+          emitMembershipPending(socket);
+          return;
+        }
+
+        if (await isRateLimited(socket, 'message_send')) {
+          emitRateLimited(socket);
+          return;
+        }
+
+        const { chatId, content, emojis = [], replyToId, media = [], encryption, clientMessageId } = data;
+
+        if (clientMessageId !== undefined && !isValidClientMessageId(clientMessageId)) {
+          socket.emit('error', { message: 'Invalid client message ID' });
+          return;
+        }
         
         // Verify user is participant in this chat
         const privateChat = await PrivateChat.findOne({
@@ -78,24 +201,61 @@ const setupSocketHandlers = (io) => {
           return;
         }
 
-        // Create message
-        const message = new Message({
+        // Blocked users cannot message each other
+        const recipientId = privateChat.participants.find(
+          p => p.toString() !== socket.user.id.toString()
+        );
+        if (await BlockingService.isBlockedEitherWay(socket.user.id, recipientId)) {
+          socket.emit('error', { message: 'Cannot send messages to this user' });
+          return;
+        }
+
+        if (!(await PrivacyService.canMessageInChat(socket.user.id, recipientId, privateChat))) {
+          socket.emit('error', {
+            message: 'This user is not accepting messages from you',
+            code: 'MESSAGES_NOT_ALLOWED'
+          });
+          return;
+        }
+
+        // A retried send is confirmed to the sender again but not delivered twice
+        const existingMessage = await findByClientMessageId(socket.user.id, chatId, clientMessageId);
+        if (existingMessage) {
+          await existingMessage.populate('senderId', 'firstName lastName profileImageUrl');
+          socket.emit('private_message_sent', { message: existingMessage, chatId, clientMessageId });
+          return;
+        }
+
+        // Create message; encrypted messages are stored without readable content
+        const { message, replayed } = await saveMessageOnce(new Message({
           chatId: chatId,
           chatType: 'private',
           senderId: socket.user.id,
-          content: content,
+          senderName: socket.user.name,
+          content: encryption ? '' : content,
           emojis: emojis,
           media: media,
           replyToId: replyToId || null,
-          status: 'sent'
-        });
+          status: 'sent',
+          ...(clientMessageId && { clientMessageId }),
+          ...(encryption && {
+            encryption: buildEncryptionEnvelope(encryption, {
+              senderId: socket.user.id,
+              participantIds: privateChat.participants
+            })
+          })
+        }));
 
-        await message.save();
         await message.populate('senderId', 'firstName lastName profileImageUrl');
 
+        if (replayed) {
+          socket.emit('private_message_sent', { message, chatId, clientMessageId });
+          return;
+        }
+
         // Update private chat's last message
         privateChat.lastMessage = {
-          content: content,
+          content: encryption ? ENCRYPTED_PLACEHOLDER : content,
           sender: socket.user.id,
           timestamp: message.createdAt,
           messageType: media.length > 0 ? media[0].type : 'text'
@@ -132,10 +292,16 @@ const setupSocketHandlers = (io) => {
         // Emit back to sender for confirmation
         socket.emit('private_message_sent', {
           message,
-          chatId
+          chatId,
+          clientMessageId
         });
 
       } catch (error) {
+        if (error.isCustomError) {
+          socket.emit('error', { message: error.message });
+          return;
+        }
+
         console.error('Send private message error:', error);
         socket.emit('error', { message: 'Failed to send private message' });
       }
@@ -203,6 +369,11 @@ const setupSocketHandlers = (io) => {
     // Handle typing indicators for private chats
     socket.on('private_typing_start', async (chatId) => {
       try {
+        // Extra typing indicators are dropped quietly
+        if (await isRateLimited(socket, 'typing')) {
+          return;
+        }
+
         // Verify user is participant in this chat
         const privateChat = await PrivateChat.findOne({
           _id: chatId,
@@ -220,6 +391,11 @@ const setupSocketHandlers = (io) => {
           p => p.toString() !== socket.user.id.toString()
         );
 
+        // Typing indicators are not relayed between blocked users
+        if (await BlockingService.isBlockedEitherWay(socket.user.id, otherParticipantId)) {
+          return;
+        }
+
         // Emit typing indicator to the other participant
         socket.to(`user_${otherParticipantId}`).emit('private_user_typing', {
           userId: socket.user.id,
@@ -251,6 +427,11 @@ const setupSocketHandlers = (io) => {
           p => p.toString() !== socket.user.id.toString()
         );
 
+        // Typing indicators are not relayed between blocked users
+        if (await BlockingService.isBlockedEitherWay(socket.user.id, otherParticipantId)) {
+          return;
+        }
+
         // Emit typing stopped to the other participant
         socket.to(`user_${otherParticipantId}`).emit('private_user_stopped_typing', {
           userId: socket.user.id,
@@ -265,36 +446,65 @@ const setupSocketHandlers = (io) => {
     // Handle chat messages for group chats
     socket.on('send_message', async (data) => {
       try {
-        const { groupId, content, messageType = 'text', replyToId } = data;
+        if (!(await hasVerifiedEmail(socket))) {
+          emitEmailNotVerified(socket);
+          return;
+        }
 
-        // Create message using Mongoose
-        const message = new Message({
-          chatId: groupId,
-          chatType: 'group',
-          senderId: socket.user.id,
-          content: content,
-          messageType: messageType,
-          replyToId: replyToId || null,
-          status: 'sent'
-        });
+        if (!(await isApprovedMember(socket))) {
+          emitMembershipPending(socket);
+          return;
+        }
 
-        await message.save();
+        if (await isRateLimited(socket, 'message_send')) {
+          emitRateLimited(socket);
+          return;
+        }
+
+        const { groupId, content, messageType = 'text', replyToId, clientMessageId } = data;
+
+        if (clientMessageId !== undefined && !isValidClientMessageId(clientMessageId)) {
+          socket.emit('error', { message: 'Invalid client message ID' });
+          return;
+        }
+
+        // A retried send (or the echo of a message already posted over HTTP)
+        // is confirmed to the sender again but not broadcast twice
+        const existingMessage = await findByClientMessageId(socket.user.id, groupId, clientMessageId);
+
+        // Create message using Mongoose
+        const { message, replayed } = existingMessage
+          ? { message: existingMessage, replayed: true }
+          : await saveMessageOnce(new Message({
+            chatId: groupId,
+            chatType: 'group',
+            senderId: socket.user.id,
+            senderName: socket.user.name,
+            content: content,
+            messageType: messageType,
+            replyToId: replyToId || null,
+            status: 'sent',
+            ...(clientMessageId && { clientMessageId })
+          }));
         
         const messageData = {
           _id: message._id,
+          clientMessageId: message.clientMessageId || null,
           chatId: groupId,
           chatType: 'group',
           senderId: socket.user.id,
           senderName: socket.user.name,
-          content,
-          messageType,
+          content: message.content,
+          messageType: message.messageType,
           replyToId,
           createdAt: message.createdAt,
           status: 'sent'
         };
 
         // Broadcast to group members
-        socket.to(`group_${groupId}`).emit('new_message', messageData);
+        if (!replayed) {
+          socket.to(`group_${groupId}`).emit('new_message', messageData);
+        }
         socket.emit('message_sent', messageData);
 
       } catch (error) {
@@ -330,13 +540,37 @@ const setupSocketHandlers = (io) => {
       socket.emit('left_group', { groupId });
     });
 
-    // Handle new report notifications
-    socket.on('new_report', (reportData) => {
-      if (socket.user.neighbourhoodId) {
-        socket.to(`neighbourhood_${socket.user.neighbourhoodId}`).emit('report_created', {
-          ...reportData,
-          reporterName: reportData.anonymous ? 'Anonymous' : socket.user.name
+    // Handle new report notifications. Only the report ID is taken from the
+    // client; the event is built from the saved report so anonymous reports
+    // never carry their reporter.
+    socket.on('new_report', async (reportData) => {
+      try {
+        const reportId = reportData && (reportData.reportId || reportData._id);
+        if (!mongoose.Types.ObjectId.isValid(reportId)) {
+          socket.emit('error', { message: 'Invalid report' });
+          return;
+        }
+
+        const report = await Report.findOne({
+          _id: reportId,
+          reporterId: socket.user.id,
+          reportStatus: 'active'
+        })
+          .select('title description category priority status location neighbourhoodId reporterId isAnonymous createdAt')
+          .lean();
+
+        if (!report) {
+          socket.emit('error', { message: 'Report not found' });
+          return;
+        }
+
+        socket.to(`neighbourhood_${report.neighbourhoodId}`).emit('report_created', {
+          ...redactReport(report),
+          reporterName: report.isAnonymous ? 'Anonymous' : socket.user.name
         });
+      } catch (error) {
+        console.error('New report error:', error);
+        socket.emit('error', { message: 'Failed to share report' });
       }
     });
 
@@ -351,7 +585,12 @@ const setupSocketHandlers = (io) => {
     });
 
     // Handle typing indicators for group chats
-    socket.on('typing_start', (groupId) => {
+    socket.on('typing_start', async (groupId) => {
+      // Extra typing indicators are dropped quietly
+      if (await isRateLimited(socket, 'typing')) {
+        return;
+      }
+
       socket.to(`group_${groupId}`).emit('user_typing', {
         userId: socket.user.id,
         userName: socket.user.name,
@@ -369,6 +608,16 @@ const setupSocketHandlers = (io) => {
     // Handle message reactions
     socket.on('react_to_message', async (data) => {
       try {
+        if (!(await hasVerifiedEmail(socket))) {
+          emitEmailNotVerified(socket);
+          return;
+        }
+
+        if (!(await isApprovedMember(socket))) {
+          emitMembershipPending(socket);
+          return;
+        }
+
         const { messageId, reactionType } = data;
 
         // Find the message
@@ -474,32 +723,43 @@ const setupSocketHandlers = (io) => {
       }
     });
 
-    // Handle emergency alerts (admin/moderator only)
-    socket.on('emergency_alert', async (alertData) => {
+    // Handle emergency alerts (admin/moderator only). Alerts are persisted
+    // and delivered through AlertService so offline users see them too.
+    socket.on('emergency_alert', async (alertData = {}) => {
       try {
         if (!['admin', 'moderator'].includes(socket.user.role)) {
           socket.emit('error', { message: 'Insufficient permissions' });
           return;
         }
 
-        if (socket.user.neighbourhoodId) {
-          // Broadcast emergency alert to entire neighbourhood
-          io.to(`neighbourhood_${socket.user.neighbourhoodId}`).emit('emergency_alert', {
-            ...alertData,
-            issuedBy: socket.user.name,
-            timestamp: new Date().toISOString()
-          });
-
-          // Log the emergency alert using Mongoose
-          const AuditLog = require('../models/AuditLog');
-          await AuditLog.create({
-            userId: socket.user.id,
-            action: 'emergency_alert',
-            resourceType: 'notification',
-            details: alertData
+        if (!socket.user.twoFactorVerified) {
+          socket.emit('error', {
+            message: 'Two-factor authentication is required to send emergency alerts',
+            code: 'TWO_FACTOR_REQUIRED'
           });
+          return;
         }
+
+        const alert = await AlertService.issueAlert(socket.user.id, {
+          title: alertData.title,
+          message: alertData.message,
+          severity: alertData.severity,
+          area: alertData.area,
+          expiresInMinutes: alertData.expiresInMinutes,
+          requiresAcknowledgement: alertData.requiresAcknowledgement
+        }, {
+          io,
+          ipAddress: socket.handshake.address,
+          userAgent: socket.handshake.headers['user-agent']
+        });
+
+        socket.emit('emergency_alert_sent', AlertService.formatAlert(alert));
       } catch (error) {
+        if (error.isCustomError || error.name === 'ValidationError') {
+          socket.emit('error', { message: error.message, ...(error.errors && { errors: error.errors }) });
+          return;
+        }
+
         console.error('Emergency alert error:', error);
         socket.emit('error', { message: 'Failed to send emergency alert' });
       }
@@ -510,6 +770,21 @@ const setupSocketHandlers = (io) => {
     // Enhanced message sending with new features
     socket.on('send_enhanced_message', async (data) => {
       try {
+        if (!(await hasVerifiedEmail(socket))) {
+          emitEmailNotVerified(socket);
+          return;
+        }
+
+        if (!(await isApprovedMember(socket))) {
+          emitMembershipPending(socket);
+          return;
+        }
+
+        if (await isRateLimited(socket, 'message_send')) {
+          emitRateLimited(socket);
+          return;
+        }
+
         const { 
           chatId, 
           chatType,
@@ -523,6 +798,7 @@ const setupSocketHandlers = (io) => {
         // Verify user has access to this chat
         let hasAccess = false;
         let senderName = socket.user.name;
+        let privateChatParticipants = [];
         
         if (chatType === 'group') {
           const group = await ChatGroup.findOne({
@@ -538,6 +814,26 @@ const setupSocketHandlers = (io) => {
             isActive: true
           });
           hasAccess = !!privateChat;
+          privateChatParticipants = privateChat ? privateChat.participants : [];
+
+          // Blocked users cannot message each other
+          if (privateChat) {
+            const recipientId = privateChat.participants.find(
+              p => p.toString() !== socket.user.id.toString()
+            );
+            if (await BlockingService.isBlockedEitherWay(socket.user.id, recipientId)) {
+              socket.emit('error', { message: 'Cannot send messages to this user' });
+              return;
+            }
+
+            if (!(await PrivacyService.canMessageInChat(socket.user.id, recipientId, privateChat))) {
+              socket.emit('error', {
+                message: 'This user is not accepting messages from you',
+                code: 'MESSAGES_NOT_ALLOWED'
+              });
+              return;
+            }
+          }
         }
 
         if (!hasAccess) {
@@ -545,6 +841,12 @@ const setupSocketHandlers = (io) => {
           return;
         }
 
+        // Group chats aren't end-to-end encrypted
+        if (encryption && chatType !== 'private') {
+          socket.emit('error', { message: 'Encryption is only available in private chats' });
+          return;
+        }
+
         // Create enhanced message
         const messageData = {
           chatId,
@@ -566,15 +868,13 @@ const setupSocketHandlers = (io) => {
           messageData.replyTo = replyTo;
         }
 
-        // Add encryption if provided
+        // The server stores encrypted messages without being able to read them
         if (encryption) {
-          messageData.encryption = {
-            isEncrypted: true,
-            encryptionVersion: encryption.version || 'v1',
-            keyId: encryption.keyId,
-            iv: encryption.iv,
-            authTag: encryption.authTag
-          };
+          messageData.content = '';
+          messageData.encryption = buildEncryptionEnvelope(encryption, {
+            senderId: socket.user.id,
+            participantIds: privateChatParticipants
+          });
         }
 
         const message = new Message(messageData);
@@ -586,7 +886,7 @@ const setupSocketHandlers = (io) => {
             { _id: chatId },
             {
               lastMessage: {
-                content: content || `[${messageType}]`,
+                content: encryption ? ENCRYPTED_PLACEHOLDER : (content || `[${messageType}]`),
                 sender: socket.user.id,
                 timestamp: message.createdAt,
                 messageType
@@ -623,7 +923,7 @@ const setupSocketHandlers = (io) => {
           reactions: message.reactions,
           status: message.status,
           timestamp: message.createdAt,
-          encryption: message.encryption
+          encryption: formatEncryptionEnvelope(message.encryption)
         };
 
         // Broadcast message
@@ -662,6 +962,11 @@ const setupSocketHandlers = (io) => {
         }
 
       } catch (error) {
+        if (error.isCustomError) {
+          socket.emit('error', { message: error.message });
+          return;
+        }
+
         console.error('Send enhanced message error:', error);
         socket.emit('error', { message: 'Failed to send message' });
       }
@@ -670,6 +975,16 @@ const setupSocketHandlers = (io) => {
     // Enhanced reaction handling
     socket.on('add_reaction', async (data) => {
       try {
+        if (!(await hasVerifiedEmail(socket))) {
+          emitEmailNotVerified(socket);
+          return;
+        }
+
+        if (!(await isApprovedMember(socket))) {
+          emitMembershipPending(socket);
+          return;
+        }
+
         const { messageId, reactionType } = data;
 
         const message = await Message.findById(messageId);
@@ -824,6 +1139,11 @@ const setupSocketHandlers = (io) => {
               p => p.toString() !== socket.user.id.toString()
             );
             targetRoom = `user_${otherParticipantId}`;
+
+            // Typing indicators are not relayed between blocked users
+            if (await BlockingService.isBlockedEitherWay(socket.user.id, otherParticipantId)) {
+              return;
+            }
           }
         }
 
@@ -832,11 +1152,12 @@ const setupSocketHandlers = (io) => {
           return;
         }
 
-        // Add user to typing users for this chat
-        if (!typingUsers.has(chatId)) {
-          typingUsers.set(chatId, new Set());
-        }
-        typingUsers.get(chatId).add(socket.user.id);
+        await SocketStateService.startTyping({
+          chatId,
+          chatType,
+          userId: socket.user.id,
+          userName: socket.user.name
+        });
 
         // Clear existing timeout for this user in this chat
         const timeoutKey = `${socket.user.id}_${chatId}`;
@@ -846,13 +1167,10 @@ const setupSocketHandlers = (io) => {
 
         // Set new timeout to automatically stop typing after 3 seconds
         const timeout = setTimeout(() => {
-          if (typingUsers.has(chatId)) {
-            typingUsers.get(chatId).delete(socket.user.id);
-            if (typingUsers.get(chatId).size === 0) {
-              typingUsers.delete(chatId);
-            }
-          }
           typingTimeouts.delete(timeoutKey);
+          SocketStateService.stopTyping(chatId, socket.user.id).catch(error => {
+            console.error('Error clearing typing indicator:', error);
+          });
           
           // Emit typing stopped
           socket.to(targetRoom).emit('user_stopped_typing', {
@@ -861,7 +1179,7 @@ const setupSocketHandlers = (io) => {
             chatId,
             chatType
           });
-        }, 3000);
+        }, SocketStateService.TYPING_TTL_MS);
 
         typingTimeouts.set(timeoutKey, timeout);
 
@@ -884,12 +1202,7 @@ const setupSocketHandlers = (io) => {
         const { chatId, chatType } = data;
 
         // Clear typing state
-        if (typingUsers.has(chatId)) {
-          typingUsers.get(chatId).delete(socket.user.id);
-          if (typingUsers.get(chatId).size === 0) {
-            typingUsers.delete(chatId);
-          }
-        }
+        await SocketStateService.stopTyping(chatId, socket.user.id);
 
         // Clear timeout
         const timeoutKey = `${socket.user.id}_${chatId}`;
@@ -981,42 +1294,62 @@ const setupSocketHandlers = (io) => {
       }
     });
 
-    // Presence updates
-    socket.on('update_presence', async (status) => {
+    // The status the user picked: auto, away or dnd. Older clients send
+    // 'online' for auto.
+    socket.on('update_presence', async (data) => {
       try {
-        await User.updateOne(
-          { _id: socket.user.id },
-          { 
-            isOnline: status === 'online',
-            lastSeen: status === 'offline' ? new Date() : undefined
-          }
-        );
+        const status = typeof data === 'string' ? data : data?.status;
+        const preference = status === 'online' ? 'auto' : status;
 
-        // Broadcast presence update to all private chats
-        const privateChats = await PrivateChat.find({
-          participants: socket.user.id,
-          isActive: true
-        });
-
-        privateChats.forEach(chat => {
-          const otherParticipantId = chat.participants.find(
-            p => p.toString() !== socket.user.id.toString()
-          );
-          
-          socket.to(`user_${otherParticipantId}`).emit('presence_updated', {
-            userId: socket.user.id,
-            userName: socket.user.name,
-            status,
-            lastSeen: status === 'offline' ? new Date() : null
-          });
-        });
+        const presence = await PresenceService.setPreference(io, socket.user.id, preference);
 
+        // Every device of the user shows the status they picked
+        io.to(`user_${socket.user.id}`).emit('presence_preference_updated', presence);
       } catch (error) {
+        if (error.isCustomError) {
+          socket.emit('error', { message: error.message });
+          return;
+        }
         console.error('Update presence error:', error);
         socket.emit('error', { message: 'Failed to update presence' });
       }
     });
 
+    // Clients send a heartbeat while open, saying whether the device is idle
+    socket.on('presence_heartbeat', async (data) => {
+      try {
+        await PresenceService.recordHeartbeat(io, socket.user.id, socket.id, data || {});
+      } catch (error) {
+        console.error('Presence heartbeat error:', error);
+      }
+    });
+
+    // Follow the presence of users on screen, e.g. a group's members
+    socket.on('presence_subscribe', async (data) => {
+      try {
+        const userIds = Array.isArray(data?.userIds) ? data.userIds : [];
+        if (userIds.some(userId => !mongoose.Types.ObjectId.isValid(userId))) {
+          socket.emit('error', { message: 'Invalid user ID' });
+          return;
+        }
+
+        const presence = await PresenceService.subscribe(socket, userIds);
+        socket.emit('presence_snapshot', { presence });
+      } catch (error) {
+        if (error.isCustomError) {
+          socket.emit('error', { message: error.message });
+          return;
+        }
+        console.error('Presence subscribe error:', error);
+        socket.emit('error', { message: 'Failed to subscribe to presence' });
+      }
+    });
+
+    socket.on('presence_unsubscribe', (data) => {
+      const userIds = Array.isArray(data?.userIds) ? data.userIds : [];
+      PresenceService.unsubscribe(socket, userIds);
+    });
+
     // Join chat room (unified for both group and private)
     socket.on('join_chat', async (data) => {
       try {
@@ -1045,7 +1378,9 @@ const setupSocketHandlers = (io) => {
 
         if (hasAccess) {
           socket.join(roomName);
-          socket.emit('joined_chat', { chatId, chatType, roomName });
+          // Includes anyone already typing, whichever instance they are on
+          const typingUsers = await SocketStateService.getTypingUsers(chatId, socket.user.id);
+          socket.emit('joined_chat', { chatId, chatType, roomName, typingUsers });
         } else {
           socket.emit('error', { message: 'Not authorized to join this chat' });
         }
@@ -1075,45 +1410,14 @@ const setupSocketHandlers = (io) => {
         }
       }
       
-      // Remove from typing users
-      for (const [chatId, users] of typingUsers.entries()) {
-        if (users.has(socket.user.id)) {
-          users.delete(socket.user.id);
-          if (users.size === 0) {
-            typingUsers.delete(chatId);
-          }
-        }
-      }
-      
-      // Update user presence to offline
+      // Update user presence, which stays online while other tabs or devices
+      // are connected to this instance or another
       try {
-        await User.updateOne(
-          { _id: socket.user.id },
-          { 
-            isOnline: false,
-            lastSeen: new Date()
-          }
-        );
-
-        // Broadcast offline status to private chat participants
-        const privateChats = await PrivateChat.find({
-          participants: socket.user.id,
-          isActive: true
-        });
-
-        privateChats.forEach(chat => {
-          const otherParticipantId = chat.participants.find(
-            p => p.toString() !== socket.user.id.toString()
-          );
-          
-          socket.to(`user_${otherParticipantId}`).emit('presence_updated', {
-            userId: socket.user.id,
-            userName: socket.user.name,
-            status: 'offline',
-            lastSeen: new Date()
-          });
-        });
+        await SocketStateService.stopAllTyping(socket.user.id);
 
+        await socket.connectionRecorded;
+        await SocketStateService.removeConnection(socket.user.id, socket.id);
+        await PresenceService.refresh(io, socket.user.id);
       } catch (error) {
         console.error('Error updating user presence on disconnect:', error);
       }
@@ -49,7 +49,7 @@ describe('Admin Routes', () => {
     };
 
     // Mock JWT verification
-    jwt.verify.mockImplementation(() => ({ userId: 'admin123' }));
+    jwt.verify.mockImplementation(() => ({ userId: 'admin123', mfa: true }));
 
     // Mock User.findById for auth middleware
     User.findById.mockImplementation((id) => {
@@ -0,0 +1,278 @@
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const alertRoutes = require('../routes/alerts');
+const { setupSocketHandlers } = require('../socket/handlers');
+const NotificationService = require('../services/NotificationService');
+const Alert = require('../models/Alert');
+const User = require('../models/User');
+const Neighbourhood = require('../models/Neighbourhood');
+const AuditLog = require('../models/AuditLog');
+
+let mongoServer;
+let app;
+let currentUser;
+let emitted;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+  await Neighbourhood.syncIndexes();
+
+  app = express();
+  app.use(express.json());
+
+  // Record socket emits instead of sending them
+  app.set('io', {
+    to: room => ({
+      emit: (event, data) => emitted.push({ room, event, data })
+    })
+  });
+
+  // Mock auth middleware
+  app.use((req, res, next) => {
+    req.user = { userId: currentUser._id, role: currentUser.role, twoFactorVerified: true };
+    next();
+  });
+
+  app.use('/api/alerts', alertRoutes);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await Alert.deleteMany({});
+  await User.deleteMany({});
+  await Neighbourhood.deleteMany({});
+  await AuditLog.deleteMany({});
+  emitted = [];
+  vi.spyOn(NotificationService, 'createNotification').mockResolvedValue({});
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('Emergency Alerts', () => {
+  let elmStreet, oakAvenue, moderator, residents, oakResident;
+
+  const createNeighbourhood = (name, latitude, longitude) => Neighbourhood.create({
+    name,
+    location: { type: 'Point', coordinates: [longitude, latitude] },
+    radiusMeters: 500,
+    createdBy: new mongoose.Types.ObjectId()
+  });
+
+  const createUser = (email, role, neighbourhoodId) => User.create({
+    email,
+    password: 'password123',
+    firstName: email.split('@')[0],
+    lastName: 'User',
+    role,
+    neighbourhoodId
+  });
+
+  const issueAlert = (fields = {}) => request(app)
+    .post('/api/alerts')
+    .send({
+      title: 'Gas leak',
+      message: 'Avoid Elm Street until further notice',
+      severity: 'emergency',
+      ...fields
+    });
+
+  beforeEach(async () => {
+    elmStreet = await createNeighbourhood('Elm Street', 40.0, -75.0);
+    oakAvenue = await createNeighbourhood('Oak Avenue', 40.01, -75.0);
+
+    moderator = await createUser('moderator@example.com', 'moderator', elmStreet._id);
+    residents = await Promise.all([
+      createUser('alice@example.com', 'user', elmStreet._id),
+      createUser('bob@example.com', 'user', elmStreet._id)
+    ]);
+    oakResident = await createUser('carol@example.com', 'user', oakAvenue._id);
+
+    currentUser = moderator;
+  });
+
+  test('should persist the alert and notify everyone in the neighbourhood', async () => {
+    const response = await issueAlert();
+
+    expect(response.status).toBe(201);
+    expect(response.body.alert.recipientCount).toBe(2);
+    expect(response.body.alert.requiresAcknowledgement).toBe(true);
+
+    expect(emitted).toEqual([
+      expect.objectContaining({ room: `neighbourhood_${elmStreet._id}`, event: 'emergency_alert' })
+    ]);
+
+    await vi.waitFor(() => {
+      expect(NotificationService.createNotification).toHaveBeenCalledTimes(2);
+    });
+    expect(NotificationService.createNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'alert', reference: { type: 'alert', id: expect.anything() } })
+    );
+    expect(await AuditLog.countDocuments({ action: 'alert_issue' })).toBe(1);
+  });
+
+  test('should show active alerts to recipients who were offline', async () => {
+    await issueAlert();
+
+    currentUser = residents[0];
+    const response = await request(app).get('/api/alerts');
+
+    expect(response.status).toBe(200);
+    expect(response.body.alerts).toHaveLength(1);
+    expect(response.body.alerts[0].acknowledged).toBe(false);
+
+    currentUser = oakResident;
+    const otherResponse = await request(app).get('/api/alerts');
+    expect(otherResponse.body.alerts).toHaveLength(0);
+  });
+
+  test('should only reach neighbourhoods the moderator looks after in a radius alert', async () => {
+    const response = await issueAlert({
+      area: { type: 'radius', latitude: 40.005, longitude: -75.0, radiusMeters: 1000 }
+    });
+
+    expect(response.status).toBe(201);
+    expect(response.body.alert.neighbourhoodIds).toEqual([elmStreet._id.toString()]);
+
+    oakAvenue.moderators.push(moderator._id);
+    await oakAvenue.save();
+
+    const wider = await issueAlert({
+      area: { type: 'radius', latitude: 40.005, longitude: -75.0, radiusMeters: 1000 }
+    });
+    expect(wider.body.alert.recipientCount).toBe(3);
+  });
+
+  test('should not let residents issue alerts', async () => {
+    currentUser = residents[0];
+    const response = await issueAlert();
+
+    expect(response.status).toBe(403);
+  });
+
+  test('should reject alerts with invalid details', async () => {
+    const responses = await Promise.all([
+      issueAlert({ title: '   ' }),
+      issueAlert({ message: 'x'.repeat(1001) }),
+      issueAlert({ severity: 'apocalyptic' }),
+      issueAlert({ area: { type: 'everywhere' } }),
+      issueAlert({ area: { type: 'radius', latitude: 91, longitude: -75, radiusMeters: 1000 } }),
+      issueAlert({ expiresInMinutes: 1 })
+    ]);
+
+    expect(responses.map(response => response.status)).toEqual([400, 400, 400, 400, 400, 400]);
+    expect(responses[4].body.errors).toEqual([expect.objectContaining({ path: 'area.latitude' })]);
+    expect(await Alert.countDocuments()).toBe(0);
+  });
+
+  test('should apply the same checks to alerts sent over the socket', async () => {
+    // Drive the handler through a stand-in socket for the moderator
+    const handlers = {};
+    const socket = {
+      id: 'socket-1',
+      user: { id: moderator._id.toString(), role: 'moderator', name: 'Moderator', twoFactorVerified: true },
+      handshake: { address: '127.0.0.1', headers: {} },
+      join: vi.fn(),
+      emit: vi.fn(),
+      on: (event, handler) => { handlers[event] = handler; }
+    };
+    const io = {
+      use: vi.fn(),
+      on: (event, onConnection) => onConnection(socket),
+      to: vi.fn().mockReturnValue({ emit: vi.fn() })
+    };
+    setupSocketHandlers(io);
+
+    await handlers.emergency_alert({
+      title: 'Gas leak',
+      message: 'x'.repeat(1001),
+      area: { type: 'radius', latitude: 40, longitude: -200, radiusMeters: 1000 }
+    });
+
+    expect(socket.emit).toHaveBeenCalledWith('error', expect.objectContaining({
+      errors: [
+        expect.objectContaining({ path: 'message' }),
+        expect.objectContaining({ path: 'area.longitude' })
+      ]
+    }));
+    expect(await Alert.countDocuments()).toBe(0);
+  });
+
+  test('should record acknowledgements once and update the issuer live', async () => {
+    const { body } = await issueAlert();
+    const alertId = body.alert.id;
+
+    currentUser = residents[0];
+    await request(app).post(`/api/alerts/${alertId}/acknowledge`).expect(200);
+    await request(app).post(`/api/alerts/${alertId}/acknowledge`).expect(200);
+
+    const acknowledgedEvents = emitted.filter(e => e.event === 'alert_acknowledged');
+    expect(acknowledgedEvents).toHaveLength(1);
+    expect(acknowledgedEvents[0].room).toBe(`user_${moderator._id}`);
+
+    currentUser = moderator;
+    const dashboard = await request(app).get(`/api/alerts/${alertId}/acknowledgements`);
+
+    expect(dashboard.status).toBe(200);
+    expect(dashboard.body.alert.acknowledgedCount).toBe(1);
+    expect(dashboard.body.acknowledged.map(u => u.id)).toEqual([residents[0]._id.toString()]);
+    expect(dashboard.body.pending.map(u => u.id)).toEqual([residents[1]._id.toString()]);
+  });
+
+  test('should not let people outside the alert acknowledge it', async () => {
+    const { body } = await issueAlert();
+
+    currentUser = oakResident;
+    const response = await request(app).post(`/api/alerts/${body.alert.id}/acknowledge`);
+
+    expect(response.status).toBe(404);
+  });
+
+  test('should cancel an alert and take it off recipients\' screens', async () => {
+    const { body } = await issueAlert();
+
+    const response = await request(app)
+      .post(`/api/alerts/${body.alert.id}/cancel`)
+      .send({ reason: 'Leak fixed' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.alert.status).toBe('cancelled');
+    expect(emitted.some(e => e.event === 'emergency_alert_cancelled')).toBe(true);
+
+    currentUser = residents[0];
+    const active = await request(app).get('/api/alerts');
+    expect(active.body.alerts).toHaveLength(0);
+
+    const all = await request(app).get('/api/alerts').query({ all: true });
+    expect(all.body.alerts[0].status).toBe('cancelled');
+  });
+
+  test('should reject invalid alert IDs', async () => {
+    const responses = await Promise.all([
+      request(app).get('/api/alerts/not-an-id'),
+      request(app).post('/api/alerts/not-an-id/acknowledge'),
+      request(app).post('/api/alerts/not-an-id/cancel').send({}),
+      request(app).get('/api/alerts/not-an-id/acknowledgements')
+    ]);
+
+    expect(responses.map(response => response.status)).toEqual([400, 400, 400, 400]);
+  });
+
+  test('should leave expired alerts out of the active list', async () => {
+    const { body } = await issueAlert();
+    await Alert.updateOne({ _id: body.alert.id }, { $set: { expiresAt: new Date(Date.now() - 1000) } });
+
+    currentUser = residents[0];
+    const response = await request(app).get('/api/alerts');
+
+    expect(response.body.alerts).toHaveLength(0);
+  });
+});
@@ -0,0 +1,199 @@
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const chatsRoutes = require('../routes/chats');
+const AutoDeleteService = require('../services/AutoDeleteService');
+const Message = require('../models/Message');
+const PrivateChat = require('../models/PrivateChat');
+const User = require('../models/User');
+
+let mongoServer;
+let app;
+let io;
+let currentUserId;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  app = express();
+  app.use(express.json());
+
+  // Mock auth middleware
+  app.use((req, res, next) => {
+    req.user = { userId: currentUserId, role: 'user' };
+    next();
+  });
+
+  const emit = vi.fn();
+  io = { to: vi.fn().mockReturnValue({ emit }), emit };
+  app.set('io', io);
+
+  app.use('/api/chats', chatsRoutes);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await Message.deleteMany({});
+  await PrivateChat.deleteMany({});
+  await User.deleteMany({});
+  vi.clearAllMocks();
+});
+
+describe('Disappearing Messages', () => {
+  let user1, user2, privateChat;
+
+  const sendMessage = (content) => Message.create({
+    chatId: privateChat._id,
+    chatType: 'private',
+    senderId: user1._id,
+    senderName: 'User One',
+    content
+  });
+
+  beforeEach(async () => {
+    user1 = await User.create({
+      email: 'user1@example.com',
+      password: 'password123',
+      firstName: 'User',
+      lastName: 'One'
+    });
+
+    user2 = await User.create({
+      email: 'user2@example.com',
+      password: 'password123',
+      firstName: 'User',
+      lastName: 'Two'
+    });
+
+    privateChat = await PrivateChat.create({
+      participants: [user1._id, user2._id]
+    });
+
+    currentUserId = user1._id.toString();
+  });
+
+  test('should return disabled settings by default', async () => {
+    const response = await request(app).get(`/api/chats/${privateChat._id}/auto-delete`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.settings.enabled).toBe(false);
+  });
+
+  test('should enable the timer and post a system message', async () => {
+    const response = await request(app)
+      .put(`/api/chats/${privateChat._id}/auto-delete`)
+      .send({ settings: { enabled: true, period: 24 } });
+
+    expect(response.status).toBe(200);
+    expect(response.body.settings).toMatchObject({ enabled: true, period: 24 });
+
+    const systemMessage = await Message.findOne({ chatId: privateChat._id, messageType: 'system' });
+    expect(systemMessage.content).toContain('turned on disappearing messages');
+    expect(systemMessage.autoDelete.expiresAt).toBeUndefined();
+
+    expect(io.to).toHaveBeenCalledWith(`user_${user2._id}`);
+  });
+
+  test('should reject unsupported periods', async () => {
+    const response = await request(app)
+      .put(`/api/chats/${privateChat._id}/auto-delete`)
+      .send({ settings: { enabled: true, period: 5 } });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('should stamp new messages with an expiry', async () => {
+    await request(app)
+      .put(`/api/chats/${privateChat._id}/auto-delete`)
+      .send({ settings: { enabled: true, period: 1 } });
+
+    const message = await sendMessage('This will disappear');
+    const expectedExpiry = Date.now() + 60 * 60 * 1000;
+
+    expect(message.autoDelete.enabled).toBe(true);
+    expect(Math.abs(message.autoDelete.expiresAt.getTime() - expectedExpiry)).toBeLessThan(5000);
+  });
+
+  test('should apply the timer to existing messages when requested', async () => {
+    const message = await sendMessage('Old message');
+
+    await request(app)
+      .put(`/api/chats/${privateChat._id}/auto-delete`)
+      .send({ settings: { enabled: true, period: 24, applyToExisting: true } });
+
+    const updated = await Message.findById(message._id);
+    expect(updated.autoDelete.expiresAt.getTime())
+      .toBe(message.createdAt.getTime() + 24 * 60 * 60 * 1000);
+  });
+
+  test('should delete expired messages and notify participants', async () => {
+    const message = await sendMessage('Expired');
+    await Message.updateOne(
+      { _id: message._id },
+      { $set: { 'autoDelete.enabled': true, 'autoDelete.expiresAt': new Date(Date.now() - 1000) } }
+    );
+    await sendMessage('Not expired');
+
+    const response = await request(app).post(`/api/chats/${privateChat._id}/cleanup-expired`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.deletedCount).toBe(1);
+    expect(await Message.countDocuments({ chatId: privateChat._id })).toBe(1);
+    expect(io.emit).toHaveBeenCalledWith('messages_auto_deleted', expect.objectContaining({
+      chatId: privateChat._id.toString(),
+      messageIds: [message._id.toString()]
+    }));
+  });
+
+  test('should sweep expired messages across chats', async () => {
+    const message = await sendMessage('Expired');
+    await Message.updateOne(
+      { _id: message._id },
+      { $set: { 'autoDelete.enabled': true, 'autoDelete.expiresAt': new Date(Date.now() - 1000) } }
+    );
+
+    const service = new AutoDeleteService(io);
+    const deletedCount = await service.sweep();
+
+    expect(deletedCount).toBe(1);
+  });
+
+  test('should not leave expired messages in the chat list preview', async () => {
+    await sendMessage('Still here');
+    const expired = await sendMessage('Disappearing');
+    await Message.updateOne(
+      { _id: expired._id },
+      { $set: { 'autoDelete.enabled': true, 'autoDelete.expiresAt': new Date(Date.now() - 1000) } }
+    );
+    await PrivateChat.updateOne(
+      { _id: privateChat._id },
+      { lastMessage: { content: 'Disappearing', sender: user1._id, timestamp: expired.createdAt } }
+    );
+
+    await AutoDeleteService.deleteExpiredMessages(io);
+
+    const chat = await PrivateChat.findById(privateChat._id);
+    expect(chat.lastMessage.content).toBe('Still here');
+  });
+
+  test('should keep pending messages when the timer is turned off', async () => {
+    await request(app)
+      .put(`/api/chats/${privateChat._id}/auto-delete`)
+      .send({ settings: { enabled: true, period: 1 } });
+
+    const message = await sendMessage('Pending');
+
+    await request(app)
+      .put(`/api/chats/${privateChat._id}/auto-delete`)
+      .send({ settings: { enabled: false } });
+
+    const updated = await Message.findById(message._id);
+    expect(updated.autoDelete.expiresAt).toBeUndefined();
+  });
+});
@@ -0,0 +1,190 @@
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const userRoutes = require('../routes/users');
+const privateChatRoutes = require('../routes/privateChat');
+const friendRoutes = require('../routes/friends');
+const User = require('../models/User');
+const PrivateChat = require('../models/PrivateChat');
+const FriendRequest = require('../models/FriendRequest');
+
+let mongoServer;
+let app;
+let currentUserId;
+let currentRole;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  app = express();
+  app.use(express.json());
+
+  // Mock auth middleware
+  app.use((req, res, next) => {
+    req.user = { userId: currentUserId, role: currentRole };
+    next();
+  });
+
+  app.set('io', {
+    to: vi.fn().mockReturnValue({ emit: vi.fn() })
+  });
+
+  app.use('/api/users', userRoutes);
+  app.use('/api/private-chat', privateChatRoutes);
+  app.use('/api/friends', friendRoutes);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await PrivateChat.deleteMany({});
+  await FriendRequest.deleteMany({});
+});
+
+describe('User Blocking', () => {
+  let user1, user2, neighbourhoodId;
+
+  beforeEach(async () => {
+    neighbourhoodId = new mongoose.Types.ObjectId();
+
+    user1 = await User.create({
+      email: 'user1@example.com',
+      password: 'password123',
+      firstName: 'User',
+      lastName: 'One',
+      neighbourhoodId
+    });
+
+    user2 = await User.create({
+      email: 'user2@example.com',
+      password: 'password123',
+      firstName: 'User',
+      lastName: 'Two',
+      neighbourhoodId
+    });
+
+    currentUserId = user1._id.toString();
+    currentRole = 'user';
+  });
+
+  test('should block and list blocked users', async () => {
+    const blockResponse = await request(app)
+      .post(`/api/users/${user1._id}/block`)
+      .send({ blockedUserId: user2._id.toString(), reason: 'Spam' });
+
+    expect(blockResponse.status).toBe(201);
+
+    const listResponse = await request(app).get(`/api/users/${user1._id}/blocked`);
+
+    expect(listResponse.status).toBe(200);
+    expect(listResponse.body.blockedUserIds).toEqual([user2._id.toString()]);
+    expect(listResponse.body.blockedUsers[0].reason).toBe('Spam');
+  });
+
+  test('should not allow managing another user\'s block list', async () => {
+    const response = await request(app)
+      .post(`/api/users/${user2._id}/block`)
+      .send({ blockedUserId: user1._id.toString() });
+
+    expect(response.status).toBe(403);
+  });
+
+  test('should reject invalid user IDs on block list routes', async () => {
+    currentRole = 'admin';
+
+    const responses = await Promise.all([
+      request(app).get('/api/users/not-an-id/blocked'),
+      request(app).post('/api/users/not-an-id/block').send({ blockedUserId: user2._id.toString() }),
+      request(app).post('/api/users/not-an-id/unblock').send({ blockedUserId: user2._id.toString() })
+    ]);
+
+    expect(responses.map(response => response.status)).toEqual([400, 400, 400]);
+  });
+
+  test('should remove friendship when blocking', async () => {
+    await User.findByIdAndUpdate(user1._id, { friends: [user2._id] });
+    await User.findByIdAndUpdate(user2._id, { friends: [user1._id] });
+
+    await request(app)
+      .post(`/api/users/${user1._id}/block`)
+      .send({ blockedUserId: user2._id.toString() });
+
+    const updatedUser2 = await User.findById(user2._id);
+    expect(updatedUser2.friends).toHaveLength(0);
+  });
+
+  test('should unblock a user', async () => {
+    await request(app)
+      .post(`/api/users/${user1._id}/block`)
+      .send({ blockedUserId: user2._id.toString() });
+
+    const response = await request(app)
+      .post(`/api/users/${user1._id}/unblock`)
+      .send({ blockedUserId: user2._id.toString() });
+
+    expect(response.status).toBe(200);
+
+    const updatedUser1 = await User.findById(user1._id);
+    expect(updatedUser1.blockedUsers).toHaveLength(0);
+  });
+
+  test('should prevent a blocked user from starting a private chat', async () => {
+    await User.findByIdAndUpdate(user1._id, {
+      blockedUsers: [{ userId: user2._id }]
+    });
+
+    // The blocked user tries to reach the blocker
+    currentUserId = user2._id.toString();
+
+    const response = await request(app)
+      .post('/api/private-chat/create')
+      .send({ participantId: user1._id.toString() });
+
+    expect(response.status).toBe(403);
+  });
+
+  test('should prevent sending messages in an existing chat after a block', async () => {
+    const privateChat = await PrivateChat.create({
+      participants: [user1._id, user2._id]
+    });
+
+    await User.findByIdAndUpdate(user2._id, {
+      blockedUsers: [{ userId: user1._id }]
+    });
+
+    const response = await request(app)
+      .post(`/api/private-chat/${privateChat._id}/messages`)
+      .send({ content: 'Hello' });
+
+    expect(response.status).toBe(403);
+  });
+
+  test('should prevent friend requests between blocked users', async () => {
+    await User.findByIdAndUpdate(user2._id, {
+      blockedUsers: [{ userId: user1._id }]
+    });
+
+    const response = await request(app)
+      .post('/api/friends/request')
+      .send({ userId: user2._id.toString() });
+
+    expect(response.status).toBe(403);
+  });
+
+  test('should hide blocked users from the neighbours list', async () => {
+    await User.findByIdAndUpdate(user1._id, {
+      blockedUsers: [{ userId: user2._id }]
+    });
+
+    const response = await request(app).get('/api/users/neighbours');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toHaveLength(0);
+  });
+});
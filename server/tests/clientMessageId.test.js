@@ -0,0 +1,207 @@
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const chatRoutes = require('../routes/chat');
+const privateChatRoutes = require('../routes/privateChat');
+const User = require('../models/User');
+const ChatGroup = require('../models/ChatGroup');
+const PrivateChat = require('../models/PrivateChat');
+const Message = require('../models/Message');
+const { saveMessageOnce } = require('../utils/clientMessageId');
+
+let mongoServer;
+let app;
+let currentUserId;
+let alice;
+let bob;
+const emit = vi.fn();
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+  // The unique index is what catches concurrent retries
+  await Message.syncIndexes();
+
+  app = express();
+  app.use(express.json());
+
+  // Mock auth middleware
+  app.use((req, res, next) => {
+    req.user = { userId: currentUserId, role: 'user' };
+    next();
+  });
+
+  app.set('io', {
+    to: vi.fn().mockReturnValue({ emit })
+  });
+
+  app.use('/api/chat', chatRoutes);
+  app.use('/api/private-chat', privateChatRoutes);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await ChatGroup.deleteMany({});
+  await PrivateChat.deleteMany({});
+  await Message.deleteMany({});
+  emit.mockClear();
+
+  alice = await User.create({
+    email: 'alice@example.com',
+    password: 'password123',
+    firstName: 'Alice',
+    lastName: 'Smith'
+  });
+  bob = await User.create({
+    email: 'bob@example.com',
+    password: 'password123',
+    firstName: 'Bob',
+    lastName: 'Jones'
+  });
+  currentUserId = alice._id.toString();
+});
+
+describe('Group messages with a client message ID', () => {
+  let group;
+
+  beforeEach(async () => {
+    group = await ChatGroup.create({
+      name: 'Street Watch',
+      neighbourhoodId: new mongoose.Types.ObjectId(),
+      createdBy: alice._id,
+      members: [
+        { userId: alice._id, role: 'admin' },
+        { userId: bob._id, role: 'member' }
+      ]
+    });
+  });
+
+  const send = (clientMessageId, content = 'Gate left open on Elm Street') => request(app)
+    .post(`/api/chat/groups/${group._id}/messages`)
+    .send({ content, clientMessageId });
+
+  test('should return the existing message when a send is retried', async () => {
+    const first = await send('temp_1718000000000_abc123def');
+    expect(first.status).toBe(201);
+    expect(first.body.clientMessageId).toBe('temp_1718000000000_abc123def');
+    emit.mockClear();
+
+    const retry = await send('temp_1718000000000_abc123def');
+    expect(retry.status).toBe(200);
+    expect(retry.body.id).toBe(first.body.id);
+    expect(retry.body.clientMessageId).toBe('temp_1718000000000_abc123def');
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(emit).not.toHaveBeenCalled();
+    expect(await Message.countDocuments({ chatId: group._id })).toBe(1);
+  });
+
+  test('should create one message when the same send arrives twice at once', async () => {
+    const [first, second] = await Promise.all([
+      send('5c0b9c1e-8a4e-4f0e-a7a1-3e1b9f2d6c10'),
+      send('5c0b9c1e-8a4e-4f0e-a7a1-3e1b9f2d6c10')
+    ]);
+
+    expect([first.status, second.status].sort()).toEqual([200, 201]);
+    expect(first.body.id).toBe(second.body.id);
+    expect(await Message.countDocuments({ chatId: group._id })).toBe(1);
+  });
+
+  test('should keep messages with different client message IDs apart', async () => {
+    await send('temp_1718000000000_first01', 'First');
+    await send('temp_1718000000000_second1', 'Second');
+    await send(undefined, 'No client ID');
+    await send(undefined, 'No client ID');
+
+    expect(await Message.countDocuments({ chatId: group._id })).toBe(4);
+  });
+
+  test('should reject a malformed client message ID', async () => {
+    const response = await send('bad id!');
+
+    expect(response.status).toBe(400);
+    expect(await Message.countDocuments()).toBe(0);
+  });
+});
+
+describe('Private messages with a client message ID', () => {
+  let privateChat;
+
+  beforeEach(async () => {
+    privateChat = await PrivateChat.create({ participants: [alice._id, bob._id] });
+  });
+
+  test('should return the existing message when a send is retried', async () => {
+    const send = () => request(app)
+      .post(`/api/private-chat/${privateChat._id}/messages`)
+      .send({ content: 'Are you home?', clientMessageId: 'temp_1718000000000_pm0001' });
+
+    const first = await send();
+    expect(first.status).toBe(201);
+    emit.mockClear();
+
+    const retry = await send();
+    expect(retry.status).toBe(200);
+    expect(retry.body.id).toBe(first.body.id);
+    expect(retry.body.clientMessageId).toBe('temp_1718000000000_pm0001');
+    expect(emit).not.toHaveBeenCalled();
+    expect(await Message.countDocuments({ chatId: privateChat._id })).toBe(1);
+  });
+
+  test('should match client message IDs per sender', async () => {
+    const clientMessageId = 'temp_1718000000000_shared';
+
+    await request(app)
+      .post(`/api/private-chat/${privateChat._id}/messages`)
+      .send({ content: 'From Alice', clientMessageId });
+
+    currentUserId = bob._id.toString();
+    const response = await request(app)
+      .post(`/api/private-chat/${privateChat._id}/messages`)
+      .send({ content: 'From Bob', clientMessageId });
+
+    expect(response.status).toBe(201);
+    expect(response.body.content).toBe('From Bob');
+    expect(await Message.countDocuments({ chatId: privateChat._id })).toBe(2);
+  });
+
+  test('should return the existing message from the enhanced endpoint', async () => {
+    const send = () => request(app)
+      .post(`/api/private-chat/${privateChat._id}/messages/enhanced`)
+      .send({ content: 'Parcel left by the door', clientMessageId: 'temp_1718000000000_enh001' });
+
+    const first = await send();
+    const retry = await send();
+
+    expect(first.status).toBe(201);
+    expect(retry.status).toBe(200);
+    expect(retry.body.id).toBe(first.body.id);
+    expect(await Message.countDocuments({ chatId: privateChat._id })).toBe(1);
+  });
+});
+
+describe('saveMessageOnce', () => {
+  test('should fall back to the message saved first under the same client message ID', async () => {
+    const chatId = new mongoose.Types.ObjectId();
+    const build = () => new Message({
+      chatId,
+      chatType: 'group',
+      senderId: alice._id,
+      senderName: 'Alice Smith',
+      content: 'Hello',
+      clientMessageId: 'temp_1718000000000_save01'
+    });
+
+    const first = await saveMessageOnce(build());
+    const second = await saveMessageOnce(build());
+
+    expect(first.replayed).toBe(false);
+    expect(second.replayed).toBe(true);
+    expect(second.message._id.toString()).toBe(first.message._id.toString());
+  });
+});
@@ -0,0 +1,167 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const authRoutes = require('../routes/auth');
+const { authenticateToken } = require('../middleware/auth');
+const { requireVerifiedEmail } = require('../middleware/adminAuth');
+const MailService = require('../services/MailService');
+const User = require('../models/User');
+
+let mongoServer;
+let app;
+let sentMail;
+
+// Collects outgoing mail instead of sending it
+const memoryTransport = {
+  send: async (message) => {
+    sentMail.push(message);
+    return { accepted: [message.to] };
+  }
+};
+
+const getVerificationToken = () => {
+  const email = sentMail.find(mail => mail.subject === 'Verify your email address');
+  return decodeURIComponent(email.text.match(/token=([^\s]+)/)[1]);
+};
+
+const signIn = (user) => jwt.sign(
+  { userId: user._id, email: user.email },
+  process.env.JWT_SECRET || 'fallback_secret'
+);
+
+// Registration sends the email in the background
+const waitForMail = async () => {
+  for (let i = 0; i < 20 && sentMail.length === 0; i++) {
+    await new Promise(resolve => setTimeout(resolve, 25));
+  }
+};
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  MailService.setTransport(memoryTransport);
+
+  app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  app.post('/api/posts', authenticateToken, requireVerifiedEmail, (req, res) => res.status(201).json({ ok: true }));
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  sentMail = [];
+});
+
+describe('Email Verification', () => {
+  const registration = {
+    email: 'new@example.com',
+    password: 'password123',
+    firstName: 'New',
+    lastName: 'User',
+    acceptedTerms: { termsOfService: true, privacyPolicy: true }
+  };
+
+  test('should register users as unverified and send a verification email', async () => {
+    const response = await request(app).post('/api/auth/register').send(registration);
+    await waitForMail();
+
+    expect(response.status).toBe(201);
+    expect(response.body.user.emailVerified).toBe(false);
+    expect(sentMail[0].to).toBe('new@example.com');
+  });
+
+  test('should block unverified users from posting', async () => {
+    await request(app).post('/api/auth/register').send(registration);
+    const user = await User.findOne({ email: 'new@example.com' });
+
+    const response = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${signIn(user)}`);
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('EMAIL_NOT_VERIFIED');
+  });
+
+  test('should verify the email with the emailed token', async () => {
+    await request(app).post('/api/auth/register').send(registration);
+    await waitForMail();
+
+    const response = await request(app)
+      .post('/api/auth/verify-email')
+      .send({ token: getVerificationToken() });
+
+    expect(response.status).toBe(200);
+
+    const user = await User.findOne({ email: 'new@example.com' });
+    expect(user.emailVerified).toBe(true);
+
+    const postResponse = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${signIn(user)}`);
+    expect(postResponse.status).toBe(201);
+  });
+
+  test('should reject a verification token that was already used', async () => {
+    await request(app).post('/api/auth/register').send(registration);
+    await waitForMail();
+    const token = getVerificationToken();
+
+    await request(app).post('/api/auth/verify-email').send({ token });
+    const response = await request(app).post('/api/auth/verify-email').send({ token });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('should throttle resending the verification email', async () => {
+    await request(app).post('/api/auth/register').send(registration);
+    await waitForMail();
+    const user = await User.findOne({ email: 'new@example.com' });
+
+    const response = await request(app)
+      .post('/api/auth/resend-verification')
+      .set('Authorization', `Bearer ${signIn(user)}`);
+
+    expect(response.status).toBe(429);
+    expect(response.body.retryAfter).toBeGreaterThan(0);
+  });
+
+  test('should resend once the cooldown has passed', async () => {
+    await request(app).post('/api/auth/register').send(registration);
+    await waitForMail();
+    await User.updateOne(
+      { email: 'new@example.com' },
+      { $set: { 'emailVerification.lastSentAt': new Date(Date.now() - 5 * 60 * 1000) } }
+    );
+    const user = await User.findOne({ email: 'new@example.com' });
+
+    const response = await request(app)
+      .post('/api/auth/resend-verification')
+      .set('Authorization', `Bearer ${signIn(user)}`);
+
+    expect(response.status).toBe(200);
+    expect(sentMail).toHaveLength(2);
+  });
+
+  test('should treat accounts created before verification existed as verified', async () => {
+    const legacyUser = await User.create({
+      email: 'legacy@example.com',
+      password: 'password123',
+      firstName: 'Legacy',
+      lastName: 'User'
+    });
+
+    const response = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${signIn(legacyUser)}`);
+
+    expect(response.status).toBe(201);
+  });
+});
@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const userRoutes = require('../routes/users');
+const privateChatRoutes = require('../routes/privateChat');
+const User = require('../models/User');
+const PrivateChat = require('../models/PrivateChat');
+const Message = require('../models/Message');
+
+let mongoServer;
+let app;
+let currentUserId;
+const emit = vi.fn();
+
+const createPublicKey = (modulusLength = 2048) => crypto
+  .generateKeyPairSync('rsa', { modulusLength })
+  .publicKey.export({ type: 'spki', format: 'der' })
+  .toString('base64');
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  app = express();
+  app.use(express.json());
+
+  // Mock auth middleware
+  app.use((req, res, next) => {
+    req.user = { userId: currentUserId, role: 'user' };
+    next();
+  });
+
+  app.set('io', {
+    to: vi.fn().mockReturnValue({ emit })
+  });
+
+  app.use('/api/users', userRoutes);
+  app.use('/api/private-chat', privateChatRoutes);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await PrivateChat.deleteMany({});
+  await Message.deleteMany({});
+  emit.mockClear();
+});
+
+describe('Encryption key directory', () => {
+  let alice, bob, privateChat;
+
+  beforeEach(async () => {
+    const neighbourhoodId = new mongoose.Types.ObjectId();
+
+    alice = await User.create({
+      email: 'alice@example.com',
+      password: 'password123',
+      firstName: 'Alice',
+      lastName: 'Smith',
+      neighbourhoodId
+    });
+
+    bob = await User.create({
+      email: 'bob@example.com',
+      password: 'password123',
+      firstName: 'Bob',
+      lastName: 'Jones',
+      neighbourhoodId
+    });
+
+    privateChat = await PrivateChat.create({ participants: [alice._id, bob._id] });
+    currentUserId = alice._id.toString();
+  });
+
+  test('should register a device key and tell chat partners', async () => {
+    const publicKey = createPublicKey();
+
+    const response = await request(app)
+      .put('/api/users/me/keys/laptop-0001')
+      .send({ publicKey, deviceName: 'Laptop' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.key).toMatchObject({ deviceId: 'laptop-0001', deviceName: 'Laptop' });
+    expect(response.body.key.fingerprint).toMatch(/^[0-9a-f]{64}$/);
+    expect(emit).toHaveBeenCalledWith('encryption_keys_changed', expect.objectContaining({
+      userId: alice._id.toString(),
+      deviceId: 'laptop-0001',
+      action: 'added'
+    }));
+
+    // Registering the same key again only refreshes it
+    emit.mockClear();
+    const again = await request(app)
+      .put('/api/users/me/keys/laptop-0001')
+      .send({ publicKey });
+
+    expect(again.status).toBe(200);
+    expect(again.body.changed).toBe(false);
+    expect(emit).not.toHaveBeenCalled();
+  });
+
+  test('should flag a changed key for an existing device', async () => {
+    await request(app).put('/api/users/me/keys/laptop-0001').send({ publicKey: createPublicKey() });
+    emit.mockClear();
+
+    const response = await request(app)
+      .put('/api/users/me/keys/laptop-0001')
+      .send({ publicKey: createPublicKey() });
+
+    expect(response.status).toBe(200);
+    expect(response.body.changed).toBe(true);
+    expect(emit).toHaveBeenCalledWith('encryption_keys_changed', expect.objectContaining({ action: 'changed' }));
+
+    const user = await User.findById(alice._id);
+    expect(user.encryptionKeys).toHaveLength(1);
+  });
+
+  test('should reject keys that are not RSA-2048 or stronger', async () => {
+    const weak = await request(app)
+      .put('/api/users/me/keys/laptop-0001')
+      .send({ publicKey: createPublicKey(1024) });
+    expect(weak.status).toBe(400);
+
+    const garbage = await request(app)
+      .put('/api/users/me/keys/laptop-0001')
+      .send({ publicKey: Buffer.from('not a key').toString('base64') });
+    expect(garbage.status).toBe(400);
+  });
+
+  test('should not expose keys in the user JSON', async () => {
+    await request(app).put('/api/users/me/keys/laptop-0001').send({ publicKey: createPublicKey() });
+
+    const user = await User.findById(alice._id);
+    expect(user.toJSON().encryptionKeys).toBeUndefined();
+  });
+
+  test('should remove a device key', async () => {
+    await request(app).put('/api/users/me/keys/laptop-0001').send({ publicKey: createPublicKey() });
+
+    const response = await request(app).delete('/api/users/me/keys/laptop-0001');
+    expect(response.status).toBe(200);
+
+    const list = await request(app).get('/api/users/me/keys');
+    expect(list.body.keys).toEqual([]);
+
+    expect((await request(app).delete('/api/users/me/keys/laptop-0001')).status).toBe(404);
+  });
+
+  test('should only give chat keys to participants', async () => {
+    currentUserId = bob._id.toString();
+    await request(app).put('/api/users/me/keys/phone-00001').send({ publicKey: createPublicKey() });
+
+    currentUserId = alice._id.toString();
+    const response = await request(app).get(`/api/private-chat/${privateChat._id}/keys`);
+
+    expect(response.status).toBe(200);
+    const bobEntry = response.body.participants.find(p => p.userId === bob._id.toString());
+    expect(bobEntry.keys).toEqual([expect.objectContaining({ deviceId: 'phone-00001' })]);
+
+    const outsider = await User.create({
+      email: 'eve@example.com',
+      password: 'password123',
+      firstName: 'Eve',
+      lastName: 'Outsider'
+    });
+    currentUserId = outsider._id.toString();
+    expect((await request(app).get(`/api/private-chat/${privateChat._id}/keys`)).status).toBe(404);
+  });
+});
+
+describe('Encrypted private messages', () => {
+  let alice, bob, privateChat;
+
+  const envelope = (keys) => ({
+    ciphertext: crypto.randomBytes(48).toString('base64'),
+    iv: crypto.randomBytes(12).toString('base64'),
+    senderDeviceId: 'laptop-0001',
+    keys
+  });
+
+  beforeEach(async () => {
+    alice = await User.create({
+      email: 'alice@example.com',
+      password: 'password123',
+      firstName: 'Alice',
+      lastName: 'Smith'
+    });
+    bob = await User.create({
+      email: 'bob@example.com',
+      password: 'password123',
+      firstName: 'Bob',
+      lastName: 'Jones'
+    });
+    privateChat = await PrivateChat.create({ participants: [alice._id, bob._id] });
+    currentUserId = alice._id.toString();
+  });
+
+  test('should store the envelope without any readable content', async () => {
+    const encryption = envelope([
+      { userId: bob._id.toString(), deviceId: 'phone-00001', encryptedKey: crypto.randomBytes(256).toString('base64') },
+      { userId: alice._id.toString(), deviceId: 'laptop-0001', encryptedKey: crypto.randomBytes(256).toString('base64') }
+    ]);
+
+    const response = await request(app)
+      .post(`/api/private-chat/${privateChat._id}/messages`)
+      .send({ encryption });
+
+    expect(response.status).toBe(201);
+    expect(response.body.encryption).toMatchObject({ isEncrypted: true, ciphertext: encryption.ciphertext });
+
+    const stored = await Message.findById(response.body.id);
+    expect(stored.content).toBe('');
+    expect(stored.encryption.ciphertext).toBe(encryption.ciphertext);
+
+    const chat = await PrivateChat.findById(privateChat._id);
+    expect(chat.lastMessage.content).toBe('[Encrypted message]');
+
+    // Each participant only gets the keys wrapped for their own devices
+    currentUserId = bob._id.toString();
+    const messages = await request(app).get(`/api/private-chat/${privateChat._id}/messages`);
+    expect(messages.body[0].encryption.keys).toEqual([
+      expect.objectContaining({ userId: bob._id.toString(), deviceId: 'phone-00001' })
+    ]);
+  });
+
+  test('should reject envelopes that leave out the recipient or address outsiders', async () => {
+    const missingRecipient = await request(app)
+      .post(`/api/private-chat/${privateChat._id}/messages/enhanced`)
+      .send({
+        encryption: envelope([
+          { userId: alice._id.toString(), deviceId: 'laptop-0001', encryptedKey: 'a2V5' }
+        ])
+      });
+    expect(missingRecipient.status).toBe(400);
+
+    const outsider = await request(app)
+      .post(`/api/private-chat/${privateChat._id}/messages/enhanced`)
+      .send({
+        encryption: envelope([
+          { userId: bob._id.toString(), deviceId: 'phone-00001', encryptedKey: 'a2V5' },
+          { userId: new mongoose.Types.ObjectId().toString(), deviceId: 'other-0001', encryptedKey: 'a2V5' }
+        ])
+      });
+    expect(outsider.status).toBe(400);
+
+    expect(await Message.countDocuments()).toBe(0);
+  });
+});
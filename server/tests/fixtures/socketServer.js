@@ -0,0 +1,40 @@
+/**
+ * A bare Socket.IO server for the multi-instance tests
+ *
+ * Run as a child process with MONGO_URI, JWT_SECRET and SOCKET_ADAPTER set.
+ * It listens on a free port and sends { port } to its parent once ready.
+ */
+const { createServer } = require('http');
+const { Server } = require('socket.io');
+const mongoose = require('mongoose');
+const { attachSocketAdapter } = require('../../config/socketAdapter');
+const { setupSocketHandlers } = require('../../socket/handlers');
+const SocketStateService = require('../../services/SocketStateService');
+
+const start = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const server = createServer();
+  const io = new Server(server);
+  const adapter = await attachSocketAdapter(io);
+  setupSocketHandlers(io);
+  const socketState = new SocketStateService({ io }).start();
+
+  const shutdown = async () => {
+    io.close();
+    await socketState.stop();
+    await adapter.close();
+    await mongoose.disconnect();
+    process.exit(0);
+  };
+  process.on('SIGTERM', shutdown);
+
+  server.listen(0, '127.0.0.1', () => {
+    process.send({ port: server.address().port });
+  });
+};
+
+start().catch(error => {
+  console.error('Socket test server failed to start:', error);
+  process.exit(1);
+});
@@ -0,0 +1,81 @@
+/**
+ * Tests for the geospatial query helpers
+ */
+const { parseBbox, buildGeoFilter, clusterReports, getBounds } = require('../utils/geoQuery');
+
+const makeReport = (id, lng, lat, fields = {}) => ({
+  _id: id,
+  title: `Report ${id}`,
+  category: 'security',
+  priority: 'medium',
+  status: 'open',
+  createdAt: new Date('2024-01-01'),
+  location: { coordinates: { type: 'Point', coordinates: [lng, lat] } },
+  ...fields
+});
+
+describe('Geo Query Helpers', () => {
+  describe('parseBbox', () => {
+    it('should parse a valid bounding box', () => {
+      expect(parseBbox('-75.1,39.9,-74.9,40.1')).toEqual([-75.1, 39.9, -74.9, 40.1]);
+    });
+
+    it('should reject malformed or inverted bounding boxes', () => {
+      expect(parseBbox('1,2,3')).toBeNull();
+      expect(parseBbox('a,b,c,d')).toBeNull();
+      expect(parseBbox('10,10,5,5')).toBeNull();
+      expect(parseBbox('-200,0,10,10')).toBeNull();
+    });
+  });
+
+  describe('buildGeoFilter', () => {
+    it('should return an empty filter without geo options', () => {
+      expect(buildGeoFilter({})).toEqual({});
+    });
+
+    it('should combine bounding box and near-point filters', () => {
+      const filter = buildGeoFilter({ bbox: [-76, 39, -74, 41], lat: 40, lng: -75, radius: 500 });
+
+      expect(filter.$and).toHaveLength(3);
+      expect(filter.$and[0]['location.coordinates'].$geoWithin.$geometry.type).toBe('Polygon');
+      expect(filter.$and[1]['location.coordinates'].$geoWithin.$centerSphere[0]).toEqual([-75, 40]);
+      expect(filter.$and[2]).toEqual({ 'location.coordinates.coordinates': { $ne: [0, 0] } });
+    });
+  });
+
+  describe('clusterReports', () => {
+    const reports = [
+      makeReport('a', -75.0, 40.0, { priority: 'low' }),
+      makeReport('b', -75.0001, 40.0001, { priority: 'urgent', category: 'traffic' }),
+      makeReport('c', -74.0, 41.0)
+    ];
+
+    it('should cluster nearby reports at low zoom levels', () => {
+      const features = clusterReports(reports, 12);
+      const cluster = features.find(feature => feature.properties.cluster);
+
+      expect(features).toHaveLength(2);
+      expect(cluster.properties.pointCount).toBe(2);
+      expect(cluster.properties.categories).toEqual({ security: 1, traffic: 1 });
+      expect(cluster.properties.highestPriority).toBe('urgent');
+    });
+
+    it('should show every report individually when zoomed in', () => {
+      const features = clusterReports(reports, 18);
+
+      expect(features).toHaveLength(3);
+      expect(features.every(feature => !feature.properties.cluster)).toBe(true);
+      expect(features[0].properties.id).toBe('a');
+    });
+  });
+
+  describe('getBounds', () => {
+    it('should return the bounding box of the reports', () => {
+      expect(getBounds([makeReport('a', -75, 40), makeReport('b', -74, 41)])).toEqual([-75, 40, -74, 41]);
+    });
+
+    it('should return null when there are no reports', () => {
+      expect(getBounds([])).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,218 @@
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const privateChatRoutes = require('../routes/privateChat');
+const { idempotency } = require('../middleware/idempotency');
+const User = require('../models/User');
+const PrivateChat = require('../models/PrivateChat');
+const Message = require('../models/Message');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+let mongoServer;
+let app;
+let currentUserId;
+const emit = vi.fn();
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  app = express();
+  app.use(express.json());
+
+  // Mock auth middleware
+  app.use((req, res, next) => {
+    req.user = { userId: currentUserId, role: 'user' };
+    next();
+  });
+
+  app.set('io', {
+    to: vi.fn().mockReturnValue({ emit })
+  });
+
+  app.use('/api/private-chat', privateChatRoutes);
+
+  // Routes for exercising the middleware on its own
+  app.post('/test/echo', idempotency, (req, res) => {
+    res.status(201).json({ value: req.body.value, at: Date.now() });
+  });
+  app.post('/test/other', idempotency, (req, res) => res.json({ ok: true }));
+  app.post('/test/fail', idempotency, (req, res) => res.status(500).json({ message: 'Server error' }));
+  app.post('/test/slow', idempotency, async (req, res) => {
+    await new Promise(resolve => setTimeout(resolve, 200));
+    res.status(201).json({ value: req.body.value });
+  });
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await PrivateChat.deleteMany({});
+  await Message.deleteMany({});
+  await IdempotencyKey.deleteMany({});
+  emit.mockClear();
+  currentUserId = new mongoose.Types.ObjectId().toString();
+});
+
+// The outcome is saved just after the response goes out
+const waitForOutcome = async (key) => {
+  for (let i = 0; i < 50; i++) {
+    const record = await IdempotencyKey.findOne({ key });
+    if (!record || record.status === 'completed') return record;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  return IdempotencyKey.findOne({ key });
+};
+
+describe('Idempotency middleware', () => {
+  test('should pass requests without a key straight through', async () => {
+    const first = await request(app).post('/test/echo').send({ value: 1 });
+    const second = await request(app).post('/test/echo').send({ value: 2 });
+
+    expect(first.body.value).toBe(1);
+    expect(second.body.value).toBe(2);
+    expect(await IdempotencyKey.countDocuments()).toBe(0);
+  });
+
+  test('should replay the stored response for a repeated key', async () => {
+    const first = await request(app)
+      .post('/test/echo')
+      .set('Idempotency-Key', 'outbox-key-0001')
+      .send({ value: 1 });
+    await waitForOutcome('outbox-key-0001');
+
+    const replay = await request(app)
+      .post('/test/echo')
+      .set('Idempotency-Key', 'outbox-key-0001')
+      .send({ value: 2 });
+
+    expect(replay.status).toBe(201);
+    expect(replay.headers['idempotent-replayed']).toBe('true');
+    expect(replay.body).toEqual(first.body);
+  });
+
+  test('should keep keys separate per user', async () => {
+    await request(app).post('/test/echo').set('Idempotency-Key', 'outbox-key-0001').send({ value: 1 });
+    await waitForOutcome('outbox-key-0001');
+
+    currentUserId = new mongoose.Types.ObjectId().toString();
+    const other = await request(app)
+      .post('/test/echo')
+      .set('Idempotency-Key', 'outbox-key-0001')
+      .send({ value: 2 });
+
+    expect(other.headers['idempotent-replayed']).toBeUndefined();
+    expect(other.body.value).toBe(2);
+  });
+
+  test('should reject a key reused for a different request', async () => {
+    await request(app).post('/test/echo').set('Idempotency-Key', 'outbox-key-0001').send({ value: 1 });
+    await waitForOutcome('outbox-key-0001');
+
+    const response = await request(app).post('/test/other').set('Idempotency-Key', 'outbox-key-0001');
+    expect(response.status).toBe(422);
+    expect(response.body.code).toBe('IDEMPOTENCY_KEY_REUSED');
+  });
+
+  test('should ask the client to wait while the first request is running', async () => {
+    await IdempotencyKey.create({
+      userId: currentUserId,
+      key: 'outbox-key-0001',
+      method: 'POST',
+      path: '/test/echo',
+      expiresAt: new Date(Date.now() + 60000)
+    });
+
+    const response = await request(app).post('/test/echo').set('Idempotency-Key', 'outbox-key-0001');
+    expect(response.status).toBe(409);
+    expect(response.body.code).toBe('IDEMPOTENCY_IN_PROGRESS');
+    expect(response.headers['retry-after']).toBe('1');
+  });
+
+  test('should take over a key whose first request never finished', async () => {
+    await IdempotencyKey.create({
+      userId: currentUserId,
+      key: 'outbox-key-0001',
+      method: 'POST',
+      path: '/test/echo',
+      lockedAt: new Date(Date.now() - 5 * 60 * 1000),
+      expiresAt: new Date(Date.now() + 60000)
+    });
+
+    const response = await request(app)
+      .post('/test/echo')
+      .set('Idempotency-Key', 'outbox-key-0001')
+      .send({ value: 3 });
+    expect(response.status).toBe(201);
+    expect(response.body.value).toBe(3);
+  });
+
+  test('should forget the key after a server error so it can be retried', async () => {
+    const response = await request(app).post('/test/fail').set('Idempotency-Key', 'outbox-key-0001');
+    expect(response.status).toBe(500);
+
+    expect(await waitForOutcome('outbox-key-0001')).toBeNull();
+  });
+
+  test('should keep the outcome of a request the client gave up on', async () => {
+    await expect(
+      request(app).post('/test/slow').set('Idempotency-Key', 'outbox-key-0001').send({ value: 1 }).timeout(50)
+    ).rejects.toThrow();
+
+    const retry = await request(app).post('/test/slow').set('Idempotency-Key', 'outbox-key-0001').send({ value: 2 });
+    expect(retry.status).toBe(409);
+
+    const record = await waitForOutcome('outbox-key-0001');
+    expect(record.status).toBe('completed');
+
+    const replay = await request(app).post('/test/slow').set('Idempotency-Key', 'outbox-key-0001').send({ value: 2 });
+    expect(replay.headers['idempotent-replayed']).toBe('true');
+    expect(replay.body.value).toBe(1);
+  });
+
+  test('should reject malformed keys', async () => {
+    const response = await request(app).post('/test/echo').set('Idempotency-Key', 'short');
+    expect(response.status).toBe(400);
+  });
+});
+
+describe('Idempotent private messages', () => {
+  test('should only create the message once when a queued send is replayed', async () => {
+    const alice = await User.create({
+      email: 'alice@example.com',
+      password: 'password123',
+      firstName: 'Alice',
+      lastName: 'Smith'
+    });
+    const bob = await User.create({
+      email: 'bob@example.com',
+      password: 'password123',
+      firstName: 'Bob',
+      lastName: 'Jones'
+    });
+    const privateChat = await PrivateChat.create({ participants: [alice._id, bob._id] });
+    currentUserId = alice._id.toString();
+
+    const send = () => request(app)
+      .post(`/api/private-chat/${privateChat._id}/messages`)
+      .set('Idempotency-Key', 'b6f1a9e2-4c1d-4f57-9a43-0d2f0c9e8a11')
+      .send({ content: 'Sent from the outbox' });
+
+    const first = await send();
+    expect(first.status).toBe(201);
+    await waitForOutcome('b6f1a9e2-4c1d-4f57-9a43-0d2f0c9e8a11');
+    emit.mockClear();
+
+    const replay = await send();
+    expect(replay.status).toBe(201);
+    expect(replay.body.id).toBe(first.body.id);
+    expect(replay.headers['idempotent-replayed']).toBe('true');
+    expect(emit).not.toHaveBeenCalled();
+    expect(await Message.countDocuments({ chatId: privateChat._id })).toBe(1);
+  });
+});
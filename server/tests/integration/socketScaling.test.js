@@ -0,0 +1,184 @@
+/**
+ * Integration tests for running more than one Socket.IO server
+ *
+ * Boots two server processes (tests/fixtures/socketServer.js) against one
+ * MongoDB replica set with the mongo adapter, and checks that room
+ * broadcasts, typing indicators and presence work across them.
+ */
+const path = require('path');
+const { fork } = require('child_process');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { io: connectClient } = require('socket.io-client');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const User = require('../../models/User');
+const ChatGroup = require('../../models/ChatGroup');
+const PrivateChat = require('../../models/PrivateChat');
+const SocketConnection = require('../../models/SocketConnection');
+
+const JWT_SECRET = 'socket-scaling-test-secret';
+const SERVER_SCRIPT = path.join(__dirname, '..', 'fixtures', 'socketServer.js');
+
+let replSet;
+let servers = [];
+let clients = [];
+let alice, bob, carol, group;
+
+/**
+ * Start a server process and wait until it is listening
+ * @param {string} mongoUri - Database the server connects to
+ * @returns {Promise<Object>} { child, url }
+ */
+const startServer = (mongoUri) => new Promise((resolve, reject) => {
+  const child = fork(SERVER_SCRIPT, [], {
+    env: { ...process.env, MONGO_URI: mongoUri, JWT_SECRET, SOCKET_ADAPTER: 'mongo' },
+    silent: true
+  });
+
+  child.once('message', ({ port }) => resolve({ child, url: `http://127.0.0.1:${port}` }));
+  child.once('exit', code => reject(new Error(`Socket server exited with code ${code}`)));
+});
+
+/**
+ * Connect a user to one of the servers
+ * @param {Object} server - Server from startServer
+ * @param {Object} user - User document
+ * @returns {Promise<Object>} Connected client socket
+ */
+const connect = (server, user) => new Promise((resolve, reject) => {
+  const client = connectClient(server.url, {
+    auth: { token: jwt.sign({ userId: user._id.toString() }, JWT_SECRET) },
+    transports: ['websocket'],
+    forceNew: true,
+    reconnection: false
+  });
+  clients.push(client);
+
+  client.once('connect', () => resolve(client));
+  client.once('connect_error', reject);
+});
+
+/**
+ * Wait for the next event of a kind on a client
+ * @param {Object} client - Client socket
+ * @param {string} event - Event name
+ * @returns {Promise<*>} Event data
+ */
+const nextEvent = (client, event) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), 5000);
+  client.once(event, (data) => {
+    clearTimeout(timer);
+    resolve(data);
+  });
+});
+
+const joinGroup = async (client) => {
+  const joined = nextEvent(client, 'joined_chat');
+  client.emit('join_chat', { chatId: group._id.toString(), chatType: 'group' });
+  return joined;
+};
+
+const waitFor = async (check) => {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    if (await check()) return;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error('Condition not met in time');
+};
+
+beforeAll(async () => {
+  replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+  const mongoUri = replSet.getUri();
+  await mongoose.connect(mongoUri);
+
+  // Neighbours, so they can see each other's presence
+  const neighbourhoodId = new mongoose.Types.ObjectId();
+  const createUser = (email, firstName) => User.create({
+    email,
+    password: 'password123',
+    firstName,
+    lastName: 'Tester',
+    neighbourhoodId
+  });
+  alice = await createUser('alice@example.com', 'Alice');
+  bob = await createUser('bob@example.com', 'Bob');
+  carol = await createUser('carol@example.com', 'Carol');
+
+  group = await ChatGroup.create({
+    name: 'Street Watch',
+    neighbourhoodId: new mongoose.Types.ObjectId(),
+    createdBy: alice._id,
+    members: [alice, bob, carol].map(user => ({ userId: user._id, role: 'member' }))
+  });
+  await PrivateChat.create({ participants: [alice._id, bob._id] });
+
+  servers = await Promise.all([startServer(mongoUri), startServer(mongoUri)]);
+}, 60000);
+
+afterAll(async () => {
+  servers.forEach(({ child }) => child.kill());
+  await mongoose.disconnect();
+  await replSet.stop();
+});
+
+afterEach(async () => {
+  clients.forEach(client => client.disconnect());
+  clients = [];
+  await waitFor(async () => (await SocketConnection.countDocuments({})) === 0);
+});
+
+describe('Socket.IO across two server instances', () => {
+  test('should deliver room broadcasts to sockets on the other instance', async () => {
+    const aliceClient = await connect(servers[0], alice);
+    const bobClient = await connect(servers[1], bob);
+    await joinGroup(aliceClient);
+    await joinGroup(bobClient);
+
+    const typing = nextEvent(bobClient, 'user_typing');
+    aliceClient.emit('typing_start', { chatId: group._id.toString(), chatType: 'group' });
+
+    expect((await typing).userId).toBe(alice._id.toString());
+  });
+
+  test('should show who is typing to members joining on another instance', async () => {
+    const aliceClient = await connect(servers[0], alice);
+    const bobClient = await connect(servers[1], bob);
+    await joinGroup(aliceClient);
+    await joinGroup(bobClient);
+
+    const typing = nextEvent(bobClient, 'user_typing');
+    aliceClient.emit('typing_start', { chatId: group._id.toString(), chatType: 'group' });
+    await typing;
+
+    const carolClient = await connect(servers[1], carol);
+    const joined = await joinGroup(carolClient);
+
+    expect(joined.typingUsers.map(user => user.userName)).toEqual(['Alice Tester']);
+  });
+
+  test('should keep a user online until their last socket on any instance closes', async () => {
+    const bobClient = await connect(servers[0], bob);
+    const aliceFirst = await connect(servers[0], alice);
+    const aliceSecond = await connect(servers[1], alice);
+    await waitFor(async () => (await SocketConnection.countDocuments({ userId: alice._id })) === 2);
+    await waitFor(async () => (await User.findById(alice._id)).presence.status === 'online');
+
+    const snapshot = nextEvent(bobClient, 'presence_snapshot');
+    bobClient.emit('presence_subscribe', { userIds: [alice._id.toString()] });
+    expect((await snapshot).presence[alice._id.toString()].status).toBe('online');
+
+    const presenceEvents = [];
+    bobClient.on('presence_updated', data => presenceEvents.push(data));
+
+    aliceFirst.disconnect();
+    await waitFor(async () => (await SocketConnection.countDocuments({ userId: alice._id })) === 1);
+    await new Promise(resolve => setTimeout(resolve, 300));
+    expect(presenceEvents).toHaveLength(0);
+
+    const offline = nextEvent(bobClient, 'presence_updated');
+    aliceSecond.disconnect();
+
+    expect((await offline).status).toBe('offline');
+    expect((await offline).userId).toBe(alice._id.toString());
+  });
+});
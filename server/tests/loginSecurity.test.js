@@ -0,0 +1,200 @@
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const authRoutes = require('../routes/auth');
+const adminRoutes = require('../routes/admin');
+const LoginSecurityService = require('../services/LoginSecurityService');
+const NotificationService = require('../services/NotificationService');
+const LoginAttempt = require('../models/LoginAttempt');
+const LoginThrottle = require('../models/LoginThrottle');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+let mongoServer;
+let app;
+
+const CHROME = 'Mozilla/5.0 (Windows NT 10.0) Chrome/120.0 Safari/537.36';
+const FIREFOX = 'Mozilla/5.0 (X11; Linux x86_64; rv:121.0) Gecko/20100101 Firefox/121.0';
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+  await Promise.all([Session.syncIndexes(), LoginThrottle.syncIndexes()]);
+
+  app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  app.use('/api/admin', adminRoutes);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Session.deleteMany({});
+  await LoginAttempt.deleteMany({});
+  await LoginThrottle.deleteMany({});
+  await User.create({
+    email: 'user@example.com',
+    password: 'password123',
+    firstName: 'Test',
+    lastName: 'User'
+  });
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('Login security', () => {
+  const login = (password = 'password123', userAgent = CHROME) => request(app)
+    .post('/api/auth/login')
+    .set('User-Agent', userAgent)
+    .send({ email: 'user@example.com', password });
+
+  const failTimes = async (count) => {
+    for (let attempt = 0; attempt < count; attempt++) {
+      await login('wrong-password');
+    }
+  };
+
+  test('should lock the account after repeated failures', async () => {
+    await failTimes(5);
+
+    const response = await login();
+
+    expect(response.status).toBe(429);
+    expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+    expect(response.body.message).toMatch(/Too many failed sign-in attempts/);
+
+    const lockedAttempt = await LoginAttempt.findOne({ failureReason: 'account_locked' });
+    expect(lockedAttempt).not.toBeNull();
+  });
+
+  test('should double the lockout each time it is hit again', async () => {
+    await failTimes(5);
+    const first = await LoginThrottle.findOne({ key: 'account:user@example.com' });
+
+    // Let the first lockout run out
+    await LoginThrottle.updateOne({ _id: first._id }, { $set: { lockedUntil: new Date(Date.now() - 1000) } });
+    await failTimes(5);
+
+    const second = await LoginThrottle.findOne({ key: 'account:user@example.com' });
+    const minutesLeft = (second.lockedUntil - Date.now()) / 60000;
+
+    expect(second.lockCount).toBe(2);
+    expect(minutesLeft).toBeGreaterThan(1);
+    expect(minutesLeft).toBeLessThanOrEqual(2);
+  });
+
+  test('should still count a failure when another request created the throttle first', async () => {
+    const race = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    const findOneAndUpdate = LoginThrottle.findOneAndUpdate.bind(LoginThrottle);
+    vi.spyOn(LoginThrottle, 'findOneAndUpdate')
+      .mockImplementationOnce(() => Promise.reject(race))
+      .mockImplementation(findOneAndUpdate);
+
+    const response = await login('wrong-password');
+
+    expect(response.status).toBe(401);
+    const throttle = await LoginThrottle.findOne({ key: 'account:user@example.com' });
+    expect(throttle.failedAttempts).toBe(1);
+  });
+
+  test('should reset the failure count after a successful sign-in', async () => {
+    await failTimes(4);
+    expect((await login()).status).toBe(200);
+
+    await failTimes(4);
+    expect((await login()).status).toBe(200);
+  });
+
+  test('should keep a login history with IP and user agent', async () => {
+    await login('wrong-password');
+    await login();
+
+    const history = await LoginAttempt.find({ email: 'user@example.com' }).sort({ createdAt: 1 });
+
+    expect(history).toHaveLength(2);
+    expect(history[0]).toMatchObject({ success: false, failureReason: 'invalid_credentials', userAgent: CHROME });
+    expect(history[1].success).toBe(true);
+    expect(history[1].ipAddress).toEqual(expect.any(String));
+  });
+
+  test('should record attempts against unknown accounts', async () => {
+    await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'nobody@example.com', password: 'password123' });
+
+    const attempt = await LoginAttempt.findOne({ email: 'nobody@example.com' });
+    expect(attempt.userId).toBeUndefined();
+    expect(attempt.success).toBe(false);
+  });
+
+  test('should notify the user about a sign-in from a new device', async () => {
+    const notify = vi.spyOn(NotificationService, 'createSystemNotification').mockResolvedValue({});
+
+    await login();
+    expect(notify).not.toHaveBeenCalled();
+
+    await login('password123', CHROME);
+    expect(notify).not.toHaveBeenCalled();
+
+    await login('password123', FIREFOX);
+    expect(notify).toHaveBeenCalledTimes(1);
+
+    const [userId, title, , metadata] = notify.mock.calls[0];
+    const user = await User.findOne({ email: 'user@example.com' });
+    expect(userId.toString()).toBe(user._id.toString());
+    expect(title).toBe('New sign-in to your account');
+    expect(metadata).toMatchObject({ kind: 'new_device_login', deviceName: 'Firefox on Linux' });
+
+    const attempt = await LoginAttempt.findById(metadata.loginAttemptId);
+    expect(attempt).toMatchObject({ newDevice: true, suspicious: true });
+  });
+
+  test('should flag an IP trying many different accounts', async () => {
+    for (let index = 0; index < 5; index++) {
+      await LoginSecurityService.recordFailure({
+        email: `target${index}@example.com`,
+        ipAddress: '203.0.113.7',
+        userAgent: CHROME
+      });
+    }
+
+    const activity = await LoginSecurityService.getSuspiciousActivity();
+
+    expect(activity.total).toBe(1);
+    expect(activity.items[0].suspiciousReasons).toContain('many_accounts_from_ip');
+    expect(activity.summary.topFailingIps[0]).toMatchObject({
+      ipAddress: '203.0.113.7',
+      failures: 5,
+      accountCount: 5
+    });
+  });
+
+  test('should list active lockouts for admins', async () => {
+    await failTimes(5);
+
+    const activity = await LoginSecurityService.getSuspiciousActivity();
+
+    expect(activity.summary.activeLocks).toEqual([
+      expect.objectContaining({ type: 'account', value: 'user@example.com', lockCount: 1 })
+    ]);
+    expect(activity.items.some(item => item.suspiciousReasons.includes('lockout'))).toBe(true);
+  });
+
+  test('should keep the login activity view admin-only', async () => {
+    const { body: { token } } = await login();
+
+    const response = await request(app)
+      .get('/api/admin/security/logins')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,267 @@
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const neighbourhoodRoutes = require('../routes/neighbourhoods');
+const reportRoutes = require('../routes/reports');
+const noticeRoutes = require('../routes/notices');
+const { requireApprovedMember } = require('../middleware/adminAuth');
+const NotificationService = require('../services/NotificationService');
+const MembershipRequest = require('../models/MembershipRequest');
+const Neighbourhood = require('../models/Neighbourhood');
+const AuditLog = require('../models/AuditLog');
+const User = require('../models/User');
+
+let mongoServer;
+let app;
+let currentUser;
+let twoFactorVerified;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  app = express();
+  app.use(express.json());
+
+  // Mock auth middleware
+  app.use((req, res, next) => {
+    req.user = { userId: currentUser._id, role: currentUser.role, twoFactorVerified };
+    next();
+  });
+
+  app.use('/api/neighbourhoods', neighbourhoodRoutes);
+  app.use('/api/reports', reportRoutes);
+  app.use('/api/notices', noticeRoutes);
+  app.post('/api/posts', requireApprovedMember, (req, res) => res.status(201).json({ ok: true }));
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await MembershipRequest.deleteMany({});
+  await Neighbourhood.deleteMany({});
+  await AuditLog.deleteMany({});
+  await User.deleteMany({});
+  twoFactorVerified = true;
+  vi.spyOn(NotificationService, 'createSystemNotification').mockResolvedValue(null);
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('Neighbourhood Join Requests', () => {
+  let neighbourhood, moderator, applicant, outsider;
+
+  const createUser = (email, fields = {}) => User.create({
+    email,
+    password: 'password123',
+    firstName: 'Test',
+    lastName: 'User',
+    ...fields
+  });
+
+  const requestToJoin = (body = {}) => {
+    currentUser = applicant;
+    return request(app)
+      .post(`/api/neighbourhoods/${neighbourhood._id}/join-requests`)
+      .send({ message: 'I live on Elm Street', ...body });
+  };
+
+  beforeEach(async () => {
+    const admin = await createUser('admin@example.com', { role: 'admin' });
+    neighbourhood = await Neighbourhood.create({ name: 'Elm Street', createdBy: admin._id });
+
+    moderator = await createUser('moderator@example.com', {
+      role: 'moderator',
+      neighbourhoodId: neighbourhood._id
+    });
+    applicant = await createUser('applicant@example.com');
+    outsider = await createUser('outsider@example.com', {
+      role: 'moderator',
+      neighbourhoodId: new mongoose.Types.ObjectId()
+    });
+  });
+
+  test('should give pending users read-only access', async () => {
+    const response = await requestToJoin();
+
+    expect(response.status).toBe(201);
+    expect(response.body.request.status).toBe('pending');
+
+    const user = await User.findById(applicant._id);
+    expect(user.neighbourhoodId.toString()).toBe(neighbourhood._id.toString());
+    expect(user.membershipStatus).toBe('pending');
+
+    const postResponse = await request(app).post('/api/posts');
+    expect(postResponse.status).toBe(403);
+    expect(postResponse.body.code).toBe('MEMBERSHIP_PENDING');
+  });
+
+  test('should keep pending users from commenting and liking', async () => {
+    await requestToJoin();
+    const postId = new mongoose.Types.ObjectId();
+
+    const responses = await Promise.all([
+      request(app).post(`/api/reports/${postId}/comments`).send({ content: 'Same here' }),
+      request(app).post(`/api/reports/${postId}/like`),
+      request(app).post(`/api/notices/${postId}/comments`).send({ content: 'Thanks' }),
+      request(app).post(`/api/notices/${postId}/like`)
+    ]);
+
+    responses.forEach(response => {
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('MEMBERSHIP_PENDING');
+    });
+  });
+
+  test('should only allow one pending request per user', async () => {
+    await requestToJoin();
+    const response = await requestToJoin();
+
+    expect(response.status).toBe(409);
+  });
+
+  test('should let neighbourhood moderators list pending requests', async () => {
+    await requestToJoin();
+
+    currentUser = moderator;
+    const response = await request(app)
+      .get(`/api/neighbourhoods/${neighbourhood._id}/join-requests`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.total).toBe(1);
+    expect(response.body.requests[0].user.email).toBe('applicant@example.com');
+  });
+
+  test('should require a two-factor session to review requests', async () => {
+    const joinResponse = await requestToJoin();
+
+    currentUser = moderator;
+    twoFactorVerified = false;
+    const list = await request(app).get(`/api/neighbourhoods/${neighbourhood._id}/join-requests`);
+    const approve = await request(app)
+      .post(`/api/neighbourhoods/join-requests/${joinResponse.body.request.id}/approve`);
+
+    expect(list.status).toBe(403);
+    expect(list.body.code).toBe('TWO_FACTOR_SETUP_REQUIRED');
+    expect(approve.status).toBe(403);
+    expect((await MembershipRequest.findById(joinResponse.body.request.id)).status).toBe('pending');
+  });
+
+  test('should not let moderators of other neighbourhoods review requests', async () => {
+    const joinResponse = await requestToJoin();
+
+    currentUser = outsider;
+    const response = await request(app)
+      .post(`/api/neighbourhoods/join-requests/${joinResponse.body.request.id}/approve`);
+
+    expect(response.status).toBe(403);
+  });
+
+  test('should approve a request and record it in the audit log', async () => {
+    const joinResponse = await requestToJoin();
+
+    currentUser = moderator;
+    const response = await request(app)
+      .post(`/api/neighbourhoods/join-requests/${joinResponse.body.request.id}/approve`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.request.status).toBe('approved');
+
+    const user = await User.findById(applicant._id);
+    expect(user.membershipStatus).toBe('approved');
+
+    const auditLog = await AuditLog.findOne({ action: 'membership_approve' });
+    expect(auditLog.adminId.toString()).toBe(moderator._id.toString());
+    expect(NotificationService.createSystemNotification).toHaveBeenCalledWith(
+      applicant._id,
+      'Join request approved',
+      expect.any(String),
+      expect.any(Object)
+    );
+
+    currentUser = user;
+    const postResponse = await request(app).post('/api/posts');
+    expect(postResponse.status).toBe(201);
+  });
+
+  test('should require a reason to reject a request', async () => {
+    const joinResponse = await requestToJoin();
+
+    currentUser = moderator;
+    const response = await request(app)
+      .post(`/api/neighbourhoods/join-requests/${joinResponse.body.request.id}/reject`)
+      .send({});
+
+    expect(response.status).toBe(400);
+  });
+
+  test('should reject a request and remove the pending assignment', async () => {
+    const joinResponse = await requestToJoin();
+
+    currentUser = moderator;
+    const response = await request(app)
+      .post(`/api/neighbourhoods/join-requests/${joinResponse.body.request.id}/reject`)
+      .send({ reason: 'Address is outside the neighbourhood' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.request.reviewReason).toBe('Address is outside the neighbourhood');
+
+    const user = await User.findById(applicant._id);
+    expect(user.neighbourhoodId).toBeUndefined();
+    expect(user.membershipStatus).toBeUndefined();
+
+    const auditLog = await AuditLog.findOne({ action: 'membership_reject' });
+    expect(auditLog.details.reason).toBe('Address is outside the neighbourhood');
+  });
+
+  test('should not review a request twice', async () => {
+    const joinResponse = await requestToJoin();
+    const requestId = joinResponse.body.request.id;
+
+    currentUser = moderator;
+    await request(app).post(`/api/neighbourhoods/join-requests/${requestId}/approve`);
+    const response = await request(app)
+      .post(`/api/neighbourhoods/join-requests/${requestId}/reject`)
+      .send({ reason: 'Changed my mind' });
+
+    expect(response.status).toBe(409);
+  });
+
+  test('should keep an existing membership while a move is pending', async () => {
+    const otherNeighbourhood = await Neighbourhood.create({ name: 'Oak Avenue', createdBy: moderator._id });
+    applicant.neighbourhoodId = otherNeighbourhood._id;
+    await applicant.save();
+
+    await requestToJoin();
+
+    const user = await User.findById(applicant._id);
+    expect(user.neighbourhoodId.toString()).toBe(otherNeighbourhood._id.toString());
+    expect(user.isApprovedMember()).toBe(true);
+  });
+
+  test('should let users cancel their pending request', async () => {
+    const joinResponse = await requestToJoin();
+
+    const response = await request(app)
+      .delete(`/api/neighbourhoods/join-requests/${joinResponse.body.request.id}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.request.status).toBe('cancelled');
+
+    const user = await User.findById(applicant._id);
+    expect(user.membershipStatus).toBeUndefined();
+  });
+
+  test('should treat members assigned before join requests existed as approved', async () => {
+    currentUser = moderator;
+    const response = await request(app).post('/api/posts');
+
+    expect(response.status).toBe(201);
+  });
+});
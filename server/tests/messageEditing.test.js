@@ -0,0 +1,280 @@
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const messageRoutes = require('../routes/messages');
+const privateChatRoutes = require('../routes/privateChat');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const ChatGroup = require('../models/ChatGroup');
+const PrivateChat = require('../models/PrivateChat');
+const AuditLog = require('../models/AuditLog');
+const MessageEditService = require('../services/MessageEditService');
+
+let mongoServer;
+let app;
+let currentUser;
+const emit = vi.fn();
+const to = vi.fn().mockReturnValue({ emit });
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  app = express();
+  app.use(express.json());
+
+  // Mock auth middleware
+  app.use((req, res, next) => {
+    req.user = currentUser;
+    next();
+  });
+
+  app.set('io', { to });
+
+  app.use('/api/messages', messageRoutes);
+  app.use('/api/private-chat', privateChatRoutes);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await Message.deleteMany({});
+  await ChatGroup.deleteMany({});
+  await PrivateChat.deleteMany({});
+  await AuditLog.deleteMany({});
+  emit.mockClear();
+  to.mockClear();
+});
+
+const as = (userId, role = 'user') => {
+  currentUser = { userId: userId.toString(), role };
+};
+
+describe('Group message editing and deletion', () => {
+  let adminId, moderatorId, senderId, otherId, group, message;
+
+  beforeEach(async () => {
+    adminId = new mongoose.Types.ObjectId();
+    moderatorId = new mongoose.Types.ObjectId();
+    senderId = new mongoose.Types.ObjectId();
+    otherId = new mongoose.Types.ObjectId();
+
+    group = await ChatGroup.create({
+      name: 'Street Watch',
+      neighbourhoodId: new mongoose.Types.ObjectId(),
+      createdBy: adminId,
+      members: [
+        { userId: adminId, role: 'admin' },
+        { userId: moderatorId, role: 'moderator' },
+        { userId: senderId, role: 'member' },
+        { userId: otherId, role: 'member' }
+      ]
+    });
+
+    message = await Message.create({
+      chatId: group._id,
+      chatType: 'group',
+      senderId,
+      senderName: 'Sam Sender',
+      content: 'Van parked on Elm Stret'
+    });
+  });
+
+  test('should edit a message and keep the replaced content', async () => {
+    as(senderId);
+
+    const response = await request(app)
+      .patch(`/api/messages/${message._id}`)
+      .send({ content: 'Van parked on Elm Street' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.content).toBe('Van parked on Elm Street');
+    expect(response.body.isEdited).toBe(true);
+    expect(to).toHaveBeenCalledWith(`group_${group._id}`);
+    expect(emit).toHaveBeenCalledWith('message_edited', expect.objectContaining({
+      content: 'Van parked on Elm Street',
+      isEdited: true
+    }));
+
+    const history = await request(app).get(`/api/messages/${message._id}/history`);
+    expect(history.status).toBe(200);
+    expect(history.body.revisions.map(r => r.content)).toEqual(['Van parked on Elm Stret']);
+  });
+
+  test('should update quoted copies in replies', async () => {
+    const reply = await Message.create({
+      chatId: group._id,
+      chatType: 'group',
+      senderId: otherId,
+      senderName: 'Olive Other',
+      content: 'Seen it',
+      replyTo: { messageId: message._id, content: message.content, senderName: 'Sam Sender' }
+    });
+    as(senderId);
+
+    await request(app)
+      .patch(`/api/messages/${message._id}`)
+      .send({ content: 'Van parked on Elm Street' });
+
+    expect((await Message.findById(reply._id)).replyTo.content).toBe('Van parked on Elm Street');
+  });
+
+  test('should not let anyone else edit the message', async () => {
+    as(adminId);
+
+    const response = await request(app)
+      .patch(`/api/messages/${message._id}`)
+      .send({ content: 'Changed' });
+
+    expect(response.status).toBe(403);
+  });
+
+  test('should refuse edits after the edit window', async () => {
+    const windowMs = MessageEditService.EDIT_WINDOW_MINUTES * 60 * 1000;
+    await Message.collection.updateOne(
+      { _id: message._id },
+      { $set: { createdAt: new Date(Date.now() - windowMs - 1000) } }
+    );
+    as(senderId);
+
+    const response = await request(app)
+      .patch(`/api/messages/${message._id}`)
+      .send({ content: 'Too late' });
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('EDIT_WINDOW_EXPIRED');
+  });
+
+  test('should hide a message for one member only', async () => {
+    as(otherId);
+
+    const response = await request(app).delete(`/api/messages/${message._id}?scope=me`);
+
+    expect(response.status).toBe(200);
+    expect(to).toHaveBeenCalledWith(`user_${otherId}`);
+    expect(to).not.toHaveBeenCalledWith(`group_${group._id}`);
+
+    const stored = await Message.findById(message._id);
+    expect(stored.isDeleted).toBe(false);
+    expect(stored.deletedFor.map(id => id.toString())).toEqual([otherId.toString()]);
+  });
+
+  test('should delete for everyone and clear the content and history', async () => {
+    await Message.updateOne({ _id: message._id }, { $push: { editHistory: { content: 'Earlier' } } });
+    as(senderId);
+
+    const response = await request(app).delete(`/api/messages/${message._id}?scope=everyone`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.isDeleted).toBe(true);
+    expect(emit).toHaveBeenCalledWith('message_deleted', expect.objectContaining({
+      scope: 'everyone',
+      deletedFor: [],
+      byModerator: false
+    }));
+
+    const stored = await Message.findById(message._id);
+    expect(stored.isDeleted).toBe(true);
+    expect(stored.content).toBe('');
+    expect(stored.editHistory).toHaveLength(0);
+  });
+
+  test('should let group moderators delete other members\' messages and audit it', async () => {
+    as(moderatorId);
+
+    const response = await request(app).delete(`/api/messages/${message._id}?scope=everyone`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.byModerator).toBe(true);
+
+    const log = await AuditLog.findOne({ targetId: message._id });
+    expect(log.action).toBe('content_delete');
+    expect(log.adminId.toString()).toBe(moderatorId.toString());
+  });
+
+  test('should not let ordinary members delete other members\' messages for everyone', async () => {
+    as(otherId);
+
+    const response = await request(app).delete(`/api/messages/${message._id}?scope=everyone`);
+
+    expect(response.status).toBe(403);
+    expect((await Message.findById(message._id)).isDeleted).toBe(false);
+  });
+});
+
+describe('Private message deletion', () => {
+  let alice, bob, privateChat;
+
+  const send = async (content, minutesAgo) => {
+    const message = await Message.create({
+      chatId: privateChat._id,
+      chatType: 'private',
+      senderId: alice._id,
+      senderName: 'Alice Smith',
+      content
+    });
+    await Message.collection.updateOne(
+      { _id: message._id },
+      { $set: { createdAt: new Date(Date.now() - minutesAgo * 60 * 1000) } }
+    );
+    return message;
+  };
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    alice = await User.create({
+      email: 'alice@example.com',
+      password: 'password123',
+      firstName: 'Alice',
+      lastName: 'Smith'
+    });
+    bob = await User.create({
+      email: 'bob@example.com',
+      password: 'password123',
+      firstName: 'Bob',
+      lastName: 'Jones'
+    });
+    privateChat = await PrivateChat.create({ participants: [alice._id, bob._id] });
+  });
+
+  test('should move lastMessage back when the latest message is deleted for everyone', async () => {
+    await send('Are you home?', 2);
+    const latest = await send('Parcel at the door', 1);
+    await PrivateChat.updateOne(
+      { _id: privateChat._id },
+      { lastMessage: { content: 'Parcel at the door', sender: alice._id, timestamp: new Date() } }
+    );
+    as(alice._id);
+
+    const response = await request(app).delete(`/api/messages/${latest._id}?scope=everyone`);
+
+    expect(response.status).toBe(200);
+    expect((await PrivateChat.findById(privateChat._id)).lastMessage.content).toBe('Are you home?');
+  });
+
+  test('should not let the other participant delete for everyone', async () => {
+    const message = await send('Are you home?', 1);
+    as(bob._id);
+
+    const response = await request(app).delete(`/api/messages/${message._id}?scope=everyone`);
+
+    expect(response.status).toBe(403);
+  });
+
+  test('should leave messages deleted for me out of that user\'s history', async () => {
+    const message = await send('Are you home?', 1);
+    as(bob._id);
+    await request(app).delete(`/api/messages/${message._id}?scope=me`);
+
+    const bobsView = await request(app).get(`/api/private-chat/${privateChat._id}/messages`);
+    expect(bobsView.body).toEqual([]);
+
+    as(alice._id);
+    const alicesView = await request(app).get(`/api/private-chat/${privateChat._id}/messages`);
+    expect(alicesView.body).toHaveLength(1);
+  });
+});
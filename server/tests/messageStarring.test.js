@@ -0,0 +1,160 @@
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const messageRoutes = require('../routes/messages');
+const chatsRoutes = require('../routes/chats');
+const Message = require('../models/Message');
+const ChatGroup = require('../models/ChatGroup');
+
+let mongoServer;
+let app;
+let currentUserId;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  app = express();
+  app.use(express.json());
+
+  // Mock auth middleware
+  app.use((req, res, next) => {
+    req.user = { userId: currentUserId, role: 'user' };
+    next();
+  });
+
+  app.set('io', {
+    to: vi.fn().mockReturnValue({ emit: vi.fn() })
+  });
+
+  app.use('/api/messages', messageRoutes);
+  app.use('/api/chats', chatsRoutes);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await Message.deleteMany({});
+  await ChatGroup.deleteMany({});
+});
+
+describe('Message Starring and Pinning', () => {
+  let adminId, memberId, group, message;
+
+  beforeEach(async () => {
+    adminId = new mongoose.Types.ObjectId();
+    memberId = new mongoose.Types.ObjectId();
+
+    group = await ChatGroup.create({
+      name: 'Street Watch',
+      neighbourhoodId: new mongoose.Types.ObjectId(),
+      createdBy: adminId,
+      members: [
+        { userId: adminId, role: 'admin' },
+        { userId: memberId, role: 'member' }
+      ]
+    });
+
+    message = await Message.create({
+      chatId: group._id,
+      chatType: 'group',
+      senderId: adminId,
+      senderName: 'Admin User',
+      content: 'Meeting on Friday'
+    });
+
+    currentUserId = memberId.toString();
+  });
+
+  test('should star a message and list it as starred', async () => {
+    const starResponse = await request(app).post(`/api/messages/${message._id}/star`);
+    expect(starResponse.status).toBe(200);
+
+    const listResponse = await request(app).get(`/api/chats/${group._id}/starred`);
+
+    expect(listResponse.status).toBe(200);
+    expect(listResponse.body.total).toBe(1);
+    expect(listResponse.body.messages[0].id).toBe(message._id.toString());
+    expect(listResponse.body.messages[0].isStarred).toBe(true);
+  });
+
+  test('should keep stars private to each user', async () => {
+    await request(app).post(`/api/messages/${message._id}/star`);
+
+    currentUserId = adminId.toString();
+    const response = await request(app).get(`/api/chats/${group._id}/starred`);
+
+    expect(response.body.total).toBe(0);
+  });
+
+  test('should unstar a message', async () => {
+    await request(app).post(`/api/messages/${message._id}/star`);
+    const response = await request(app).delete(`/api/messages/${message._id}/star`);
+
+    expect(response.status).toBe(200);
+
+    const updated = await Message.findById(message._id);
+    expect(updated.starredBy).toHaveLength(0);
+    expect(updated.isStarred).toBe(false);
+  });
+
+  test('should clear all starred messages in a chat', async () => {
+    await request(app).post(`/api/messages/${message._id}/star`);
+
+    const response = await request(app).delete(`/api/chats/${group._id}/starred`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.clearedCount).toBe(1);
+  });
+
+  test('should not allow regular members to pin messages', async () => {
+    const response = await request(app).post(`/api/messages/${message._id}/pin`);
+
+    expect(response.status).toBe(403);
+  });
+
+  test('should allow group admins to pin and unpin messages', async () => {
+    currentUserId = adminId.toString();
+
+    const pinResponse = await request(app).post(`/api/messages/${message._id}/pin`);
+    expect(pinResponse.status).toBe(200);
+
+    const listResponse = await request(app).get(`/api/chats/${group._id}/pinned`);
+    expect(listResponse.body.messages[0].isPinned).toBe(true);
+
+    const unpinResponse = await request(app).delete(`/api/messages/${message._id}/pin`);
+    expect(unpinResponse.status).toBe(200);
+  });
+
+  test('should enforce the pinned message limit', async () => {
+    currentUserId = adminId.toString();
+
+    const pinned = Array.from({ length: messageRoutes.MAX_PINNED_MESSAGES }, (_, i) => ({
+      chatId: group._id,
+      chatType: 'group',
+      senderId: adminId,
+      senderName: 'Admin User',
+      content: `Pinned ${i}`,
+      isPinned: true,
+      pinnedAt: new Date()
+    }));
+    await Message.insertMany(pinned);
+
+    const response = await request(app).post(`/api/messages/${message._id}/pin`);
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('PIN_LIMIT_REACHED');
+  });
+
+  test('should reject users outside the chat', async () => {
+    currentUserId = new mongoose.Types.ObjectId().toString();
+
+    const response = await request(app).post(`/api/messages/${message._id}/star`);
+
+    expect(response.status).toBe(403);
+  });
+});
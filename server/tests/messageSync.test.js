@@ -0,0 +1,278 @@
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const chatRoutes = require('../routes/chat');
+const privateChatRoutes = require('../routes/privateChat');
+const User = require('../models/User');
+const ChatGroup = require('../models/ChatGroup');
+const PrivateChat = require('../models/PrivateChat');
+const Message = require('../models/Message');
+const MessageTombstone = require('../models/MessageTombstone');
+const MessageSyncService = require('../services/MessageSyncService');
+const AutoDeleteService = require('../services/AutoDeleteService');
+
+const { CURSOR_KINDS } = MessageSyncService;
+
+let mongoServer;
+let app;
+let currentUserId;
+let alice;
+let bob;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  app = express();
+  app.use(express.json());
+
+  // Mock auth middleware
+  app.use((req, res, next) => {
+    req.user = { userId: currentUserId, role: 'user' };
+    next();
+  });
+
+  app.set('io', {
+    to: vi.fn().mockReturnValue({ emit: vi.fn() })
+  });
+
+  app.use('/api/chat', chatRoutes);
+  app.use('/api/private-chat', privateChatRoutes);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  vi.useRealTimers();
+  await User.deleteMany({});
+  await ChatGroup.deleteMany({});
+  await PrivateChat.deleteMany({});
+  await Message.deleteMany({});
+  await MessageTombstone.deleteMany({});
+
+  alice = await User.create({
+    email: 'alice@example.com',
+    password: 'password123',
+    firstName: 'Alice',
+    lastName: 'Smith'
+  });
+  bob = await User.create({
+    email: 'bob@example.com',
+    password: 'password123',
+    firstName: 'Bob',
+    lastName: 'Jones'
+  });
+  currentUserId = alice._id.toString();
+});
+
+// Messages a minute apart, the oldest first
+const createMessages = (chat, chatType, count) => Message.insertMany(
+  Array.from({ length: count }, (_, i) => {
+    const at = new Date(Date.UTC(2024, 0, 1, 12, i));
+    return {
+      chatId: chat._id,
+      chatType,
+      senderId: alice._id,
+      senderName: 'Alice Smith',
+      content: `Message ${i + 1}`,
+      createdAt: at,
+      updatedAt: at
+    };
+  })
+);
+
+describe('MessageSyncService cursors', () => {
+  test('should round-trip a cursor', () => {
+    const id = new mongoose.Types.ObjectId().toString();
+    const cursor = MessageSyncService.encodeCursor(CURSOR_KINDS.PAGE, new Date(1700000000000), id);
+
+    expect(MessageSyncService.decodeCursor(cursor, CURSOR_KINDS.PAGE)).toEqual({ time: 1700000000000, id });
+  });
+
+  test('should reject malformed cursors and cursors of the wrong kind', () => {
+    const syncCursor = MessageSyncService.getSyncCursor();
+
+    expect(() => MessageSyncService.decodeCursor(syncCursor, CURSOR_KINDS.PAGE)).toThrow('Invalid cursor');
+    expect(() => MessageSyncService.decodeCursor('not-a-cursor', CURSOR_KINDS.SYNC)).toThrow('Invalid cursor');
+    expect(() => MessageSyncService.decodeCursor('x'.repeat(300), CURSOR_KINDS.SYNC)).toThrow('Invalid cursor');
+  });
+});
+
+describe('Group message history with cursors', () => {
+  let group;
+
+  beforeEach(async () => {
+    group = await ChatGroup.create({
+      name: 'Street Watch',
+      neighbourhoodId: new mongoose.Types.ObjectId(),
+      createdBy: alice._id,
+      members: [
+        { userId: alice._id, role: 'admin' },
+        { userId: bob._id, role: 'member' }
+      ]
+    });
+    await createMessages(group, 'group', 5);
+  });
+
+  const getPage = (params) => request(app)
+    .get(`/api/chat/groups/${group._id}/messages`)
+    .query(params);
+
+  test('should page backwards without skipping or repeating messages', async () => {
+    const first = await getPage({ limit: 2, direction: 'older' });
+    expect(first.status).toBe(200);
+    expect(first.body.messages.map(m => m.content)).toEqual(['Message 4', 'Message 5']);
+    expect(first.body.pageInfo.hasOlder).toBe(true);
+    expect(first.body.syncCursor).toEqual(expect.any(String));
+
+    // A new message must not shift the next page
+    await Message.create({
+      chatId: group._id,
+      chatType: 'group',
+      senderId: bob._id,
+      senderName: 'Bob Jones',
+      content: 'Late arrival'
+    });
+
+    const second = await getPage({ limit: 2, cursor: first.body.pageInfo.olderCursor });
+    expect(second.body.messages.map(m => m.content)).toEqual(['Message 2', 'Message 3']);
+
+    const third = await getPage({ limit: 2, cursor: second.body.pageInfo.olderCursor });
+    expect(third.body.messages.map(m => m.content)).toEqual(['Message 1']);
+    expect(third.body.pageInfo.hasOlder).toBe(false);
+  });
+
+  test('should page forwards from a cursor', async () => {
+    const older = await getPage({ limit: 2, direction: 'older' });
+    const oldest = await getPage({ limit: 2, cursor: older.body.pageInfo.olderCursor });
+
+    const newer = await getPage({ limit: 10, direction: 'newer', cursor: oldest.body.pageInfo.newerCursor });
+    expect(newer.body.messages.map(m => m.content)).toEqual(['Message 4', 'Message 5']);
+    expect(newer.body.pageInfo.hasNewer).toBe(false);
+  });
+
+  test('should keep returning a plain list without cursor parameters', async () => {
+    const response = await getPage({ limit: 2 });
+
+    expect(Array.isArray(response.body)).toBe(true);
+    expect(response.body).toHaveLength(2);
+  });
+
+  test('should reject a tampered cursor', async () => {
+    const response = await getPage({ cursor: 'eyJrIjoicCJ9' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.code).toBe('INVALID_CURSOR');
+  });
+
+  test('should return edits, reactions, moderation and deletions since a sync cursor', async () => {
+    const page = await getPage({ direction: 'older' });
+    const [first, second, third, fourth] = await Message.find({ chatId: group._id }).sort({ createdAt: 1 });
+
+    // Changes made after the cursor was taken; sync cursors trail the clock
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(Date.now() + 5000);
+
+    await Message.updateOne({ _id: first._id }, { content: 'Edited', isEdited: true });
+    await Message.updateOne({ _id: second._id }, {
+      $push: { reactions: { type: 'like', users: [bob._id], count: 1 } }
+    });
+    await Message.updateOne({ _id: third._id }, { moderationStatus: 'removed' });
+    await MessageSyncService.recordDeletions([fourth], 'expired');
+    await Message.deleteOne({ _id: fourth._id });
+    vi.setSystemTime(Date.now() + 5000);
+
+    const response = await request(app)
+      .get(`/api/chat/groups/${group._id}/messages/changes`)
+      .query({ since: page.body.syncCursor });
+
+    expect(response.status).toBe(200);
+    expect(response.body.messages.map(m => m.content).sort()).toEqual(['Edited', 'Message 2']);
+    expect(response.body.deletedIds.sort()).toEqual([third._id.toString(), fourth._id.toString()].sort());
+    expect(response.body.hasMore).toBe(false);
+
+    // Nothing new since the returned cursor
+    const next = await request(app)
+      .get(`/api/chat/groups/${group._id}/messages/changes`)
+      .query({ since: response.body.syncCursor });
+    expect(next.body.messages).toEqual([]);
+    expect(next.body.deletedIds).toEqual([]);
+  });
+
+  test('should continue a long change list from the returned cursor', async () => {
+    const since = MessageSyncService.encodeCursor(CURSOR_KINDS.SYNC, Date.UTC(2023, 11, 31));
+
+    const first = await request(app)
+      .get(`/api/chat/groups/${group._id}/messages/changes`)
+      .query({ since, limit: 3 });
+    expect(first.body.messages).toHaveLength(3);
+    expect(first.body.hasMore).toBe(true);
+
+    const rest = await request(app)
+      .get(`/api/chat/groups/${group._id}/messages/changes`)
+      .query({ since: first.body.syncCursor, limit: 3 });
+    expect(rest.body.messages.map(m => m.content)).toEqual(['Message 4', 'Message 5']);
+    expect(rest.body.hasMore).toBe(false);
+  });
+
+  test('should reject an expired sync cursor', async () => {
+    const since = MessageSyncService.encodeCursor(
+      CURSOR_KINDS.SYNC,
+      Date.now() - MessageSyncService.SYNC_RETENTION_MS - 1000
+    );
+
+    const response = await request(app)
+      .get(`/api/chat/groups/${group._id}/messages/changes`)
+      .query({ since });
+
+    expect(response.status).toBe(410);
+    expect(response.body.code).toBe('SYNC_CURSOR_EXPIRED');
+  });
+
+  test('should not return changes to non-members', async () => {
+    currentUserId = new mongoose.Types.ObjectId().toString();
+
+    const response = await request(app)
+      .get(`/api/chat/groups/${group._id}/messages/changes`)
+      .query({ since: MessageSyncService.getSyncCursor() });
+
+    expect(response.status).toBe(403);
+  });
+});
+
+describe('Private chat history with cursors', () => {
+  let privateChat;
+
+  beforeEach(async () => {
+    privateChat = await PrivateChat.create({ participants: [alice._id, bob._id] });
+    await createMessages(privateChat, 'private', 3);
+  });
+
+  test('should return a page envelope and report expired messages as deleted', async () => {
+    const page = await request(app)
+      .get(`/api/private-chat/${privateChat._id}/messages`)
+      .query({ direction: 'older', limit: 2 });
+
+    expect(page.status).toBe(200);
+    expect(page.body.messages.map(m => m.content)).toEqual(['Message 2', 'Message 3']);
+    expect(page.body.pageInfo.hasOlder).toBe(true);
+
+    const oldest = await Message.findOne({ chatId: privateChat._id, content: 'Message 1' });
+    await Message.updateOne({ _id: oldest._id }, { 'autoDelete.expiresAt': new Date(Date.now() - 1000) });
+
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(Date.now() + 5000);
+    await AutoDeleteService.deleteExpiredMessages(null, privateChat._id);
+
+    const changes = await request(app)
+      .get(`/api/private-chat/${privateChat._id}/messages/changes`)
+      .query({ since: page.body.syncCursor });
+
+    expect(changes.status).toBe(200);
+    expect(changes.body.deletedIds).toEqual([oldest._id.toString()]);
+  });
+});
@@ -0,0 +1,210 @@
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const chatRoutes = require('../routes/chat');
+const messageRoutes = require('../routes/messages');
+const User = require('../models/User');
+const ChatGroup = require('../models/ChatGroup');
+const Message = require('../models/Message');
+const Notification = require('../models/Notification');
+
+let mongoServer;
+let app;
+let currentUserId;
+let alice;
+let bob;
+let carol;
+let group;
+const emit = vi.fn();
+const to = vi.fn().mockReturnValue({ emit });
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  app = express();
+  app.use(express.json());
+
+  // Mock auth middleware
+  app.use((req, res, next) => {
+    req.user = { userId: currentUserId, role: 'user' };
+    next();
+  });
+
+  app.set('io', { to });
+
+  app.use('/api/chat', chatRoutes);
+  app.use('/api/messages', messageRoutes);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await ChatGroup.deleteMany({});
+  await Message.deleteMany({});
+  await Notification.deleteMany({});
+  emit.mockClear();
+  to.mockClear();
+
+  alice = await User.create({
+    email: 'alice@example.com',
+    password: 'password123',
+    firstName: 'Alice',
+    lastName: 'Smith'
+  });
+  bob = await User.create({
+    email: 'bob@example.com',
+    password: 'password123',
+    firstName: 'Bob',
+    lastName: 'Jones'
+  });
+  carol = await User.create({
+    email: 'carol@example.com',
+    password: 'password123',
+    firstName: 'Carol',
+    lastName: 'White'
+  });
+
+  group = await ChatGroup.create({
+    name: 'Street Watch',
+    neighbourhoodId: new mongoose.Types.ObjectId(),
+    createdBy: alice._id,
+    members: [
+      { userId: alice._id, role: 'admin' },
+      { userId: bob._id, role: 'member' },
+      { userId: carol._id, role: 'member' }
+    ]
+  });
+});
+
+const as = (user) => {
+  currentUserId = user._id.toString();
+};
+
+const send = (user, content, extra = {}) => {
+  as(user);
+  return request(app)
+    .post(`/api/chat/groups/${group._id}/messages`)
+    .send({ content, ...extra });
+};
+
+describe('Group message threads', () => {
+  let root;
+
+  beforeEach(async () => {
+    const response = await send(alice, 'Car alarm going off on Elm Street');
+    root = response.body;
+  });
+
+  test('should keep the reply count and last reply on the root', async () => {
+    await send(bob, 'I can hear it too', { replyToId: root.id });
+    await send(carol, 'Owner is on the way', { replyToId: root.id });
+
+    const stored = await Message.findById(root.id);
+    expect(stored.thread.replyCount).toBe(2);
+    expect(stored.thread.lastReplySenderName).toBe('Carol White');
+    expect(stored.thread.lastReplyBy.toString()).toBe(carol._id.toString());
+    expect(emit).toHaveBeenCalledWith('thread_updated', expect.objectContaining({
+      thread: expect.objectContaining({ replyCount: 2 })
+    }));
+  });
+
+  test('should add replies to replies to the root\'s thread', async () => {
+    const reply = await send(bob, 'I can hear it too', { replyToId: root.id });
+    const nested = await send(carol, 'Me as well', { replyToId: reply.body.id });
+
+    expect(nested.status).toBe(201);
+    expect((await Message.findById(nested.body.id)).threadRootId.toString()).toBe(root.id);
+    expect((await Message.findById(root.id)).thread.replyCount).toBe(2);
+  });
+
+  test('should return the root and its replies oldest first', async () => {
+    await send(bob, 'I can hear it too', { replyToId: root.id });
+    await send(carol, 'Owner is on the way', { replyToId: root.id, threadOnly: true });
+
+    as(alice);
+    const response = await request(app).get(`/api/chat/groups/${group._id}/messages/${root.id}/thread`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.root.id).toBe(root.id);
+    expect(response.body.root.thread.replyCount).toBe(2);
+    expect(response.body.root.thread.isFollowing).toBe(true);
+    expect(response.body.replies.map(r => r.content)).toEqual(['I can hear it too', 'Owner is on the way']);
+  });
+
+  test('should keep thread-only replies out of the main conversation', async () => {
+    await send(bob, 'Owner is on the way', { replyToId: root.id, threadOnly: true });
+
+    expect(emit).not.toHaveBeenCalledWith('new_message', expect.objectContaining({
+      content: 'Owner is on the way'
+    }));
+
+    const history = await request(app)
+      .get(`/api/chat/groups/${group._id}/messages`)
+      .query({ direction: 'older' });
+    expect(history.body.messages.map(m => m.content)).toEqual(['Car alarm going off on Elm Street']);
+  });
+
+  test('should only notify the thread\'s followers of replies', async () => {
+    await send(bob, 'I can hear it too', { replyToId: root.id });
+    await Notification.deleteMany({});
+
+    await send(alice, 'Thanks, calling the owner', { replyToId: root.id });
+
+    const notifications = await Notification.find({ type: 'threadReply' });
+    expect(notifications.map(n => n.recipient.toString())).toEqual([bob._id.toString()]);
+  });
+
+  test('should stop notifying members who unfollow', async () => {
+    await send(bob, 'I can hear it too', { replyToId: root.id });
+
+    as(bob);
+    const unfollow = await request(app)
+      .delete(`/api/chat/groups/${group._id}/messages/${root.id}/thread/follow`);
+    expect(unfollow.status).toBe(200);
+    expect(unfollow.body.isFollowing).toBe(false);
+
+    as(carol);
+    const follow = await request(app)
+      .put(`/api/chat/groups/${group._id}/messages/${root.id}/thread/follow`);
+    expect(follow.body.isFollowing).toBe(true);
+
+    await Notification.deleteMany({});
+    await send(alice, 'Owner has switched it off', { replyToId: root.id });
+
+    const notifications = await Notification.find({ type: 'threadReply' });
+    expect(notifications.map(n => n.recipient.toString())).toEqual([carol._id.toString()]);
+  });
+
+  test('should recount the thread when a reply is deleted for everyone', async () => {
+    await send(bob, 'I can hear it too', { replyToId: root.id });
+    const latest = await send(carol, 'Wrong street, sorry', { replyToId: root.id });
+
+    as(carol);
+    const response = await request(app).delete(`/api/messages/${latest.body.id}?scope=everyone`);
+    expect(response.status).toBe(200);
+
+    const stored = await Message.findById(root.id);
+    expect(stored.thread.replyCount).toBe(1);
+    expect(stored.thread.lastReplySenderName).toBe('Bob Jones');
+  });
+
+  test('should not show threads to non-members', async () => {
+    const outsider = await User.create({
+      email: 'dave@example.com',
+      password: 'password123',
+      firstName: 'Dave',
+      lastName: 'Brown'
+    });
+    as(outsider);
+
+    const response = await request(app).get(`/api/chat/groups/${group._id}/messages/${root.id}/thread`);
+
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,127 @@
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const suggestionRoutes = require('../routes/neighbourhoodSuggestions');
+const authRoutes = require('../routes/auth');
+const GeocodingService = require('../services/GeocodingService');
+const StubGeocoder = require('../services/geocoding/StubGeocoder');
+const EmailVerificationService = require('../services/EmailVerificationService');
+const Neighbourhood = require('../models/Neighbourhood');
+const MembershipRequest = require('../models/MembershipRequest');
+const User = require('../models/User');
+
+let mongoServer;
+let app;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+  await Neighbourhood.syncIndexes();
+
+  GeocodingService.setGeocoder(new StubGeocoder({
+    places: {
+      '12 Elm Street, Springfield': { latitude: 40.0005, longitude: -75.0005 }
+    }
+  }));
+
+  app = express();
+  app.use(express.json());
+  app.use('/api/neighbourhoods/suggestions', suggestionRoutes);
+  app.use('/api/auth', authRoutes);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await Neighbourhood.deleteMany({});
+  await MembershipRequest.deleteMany({});
+  await User.deleteMany({});
+});
+
+describe('Neighbourhood Suggestions', () => {
+  let elmStreet, oakAvenue;
+
+  const createNeighbourhood = (name, latitude, longitude, fields = {}) => Neighbourhood.create({
+    name,
+    location: { type: 'Point', coordinates: [longitude, latitude] },
+    createdBy: new mongoose.Types.ObjectId(),
+    ...fields
+  });
+
+  beforeEach(async () => {
+    // About 70m and 770m from the test point respectively
+    elmStreet = await createNeighbourhood('Elm Street', 40.0, -75.0, { radiusMeters: 500 });
+    oakAvenue = await createNeighbourhood('Oak Avenue', 40.006, -75.006, { radiusMeters: 2000 });
+    // Close by, but its radius doesn't reach the test point
+    await createNeighbourhood('Pine Close', 40.004, -75.004, { radiusMeters: 100 });
+    await createNeighbourhood('Closed Court', 40.0005, -75.0005, { isActive: false });
+  });
+
+  test('should return neighbourhoods containing the coordinates, nearest first', async () => {
+    const response = await request(app)
+      .get('/api/neighbourhoods/suggestions')
+      .query({ lat: 40.0005, lng: -75.0005 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.source).toBe('coordinates');
+    expect(response.body.neighbourhoods.map(n => n.name)).toEqual(['Elm Street', 'Oak Avenue']);
+    expect(response.body.neighbourhoods[0].distanceMeters).toBeLessThan(
+      response.body.neighbourhoods[1].distanceMeters
+    );
+  });
+
+  test('should geocode an address', async () => {
+    const response = await request(app)
+      .get('/api/neighbourhoods/suggestions')
+      .query({ address: '12 elm street springfield' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.source).toBe('address');
+    expect(response.body.neighbourhoods[0].id).toBe(elmStreet._id.toString());
+  });
+
+  test('should return 404 for an address the geocoder cannot find', async () => {
+    const response = await request(app)
+      .get('/api/neighbourhoods/suggestions')
+      .query({ address: 'Nowhere Lane' });
+
+    expect(response.status).toBe(404);
+  });
+
+  test('should require coordinates or an address', async () => {
+    const response = await request(app)
+      .get('/api/neighbourhoods/suggestions')
+      .query({ lat: 40.0 });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('should create a pending join request for a neighbourhood picked at registration', async () => {
+    vi.spyOn(EmailVerificationService, 'sendVerification').mockResolvedValue({ sent: true });
+
+    const response = await request(app)
+      .post('/api/auth/register')
+      .send({
+        email: 'new@example.com',
+        password: 'password123',
+        firstName: 'New',
+        lastName: 'Neighbour',
+        address: '12 Elm Street, Springfield',
+        neighbourhoodId: oakAvenue._id.toString(),
+        acceptedTerms: { termsOfService: true, privacyPolicy: true }
+      });
+
+    expect(response.status).toBe(201);
+    expect(response.body.user.membershipStatus).toBe('pending');
+
+    const joinRequest = await MembershipRequest.findOne({ neighbourhoodId: oakAvenue._id });
+    expect(joinRequest.status).toBe('pending');
+    expect(joinRequest.address).toBe('12 Elm Street, Springfield');
+
+    vi.restoreAllMocks();
+  });
+});
@@ -0,0 +1,177 @@
+const request = require('supertest');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const authRoutes = require('../routes/auth');
+const { authenticateToken } = require('../middleware/auth');
+const MailService = require('../services/MailService');
+const PasswordResetService = require('../services/PasswordResetService');
+const SessionService = require('../services/SessionService');
+const User = require('../models/User');
+
+let mongoServer;
+let app;
+let sentMail;
+
+// Collects outgoing mail instead of sending it
+const memoryTransport = {
+  send: async (message) => {
+    sentMail.push(message);
+    return { accepted: [message.to] };
+  }
+};
+
+const getResetToken = () => {
+  const resetEmail = sentMail.find(mail => mail.subject === 'Reset your password');
+  return decodeURIComponent(resetEmail.text.match(/token=([^\s]+)/)[1]);
+};
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  MailService.setTransport(memoryTransport);
+
+  app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  app.get('/api/protected', authenticateToken, (req, res) => res.json({ ok: true }));
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  sentMail = [];
+});
+
+describe('Password Reset', () => {
+  let user;
+
+  beforeEach(async () => {
+    user = await User.create({
+      email: 'user@example.com',
+      password: 'oldpassword',
+      firstName: 'Test',
+      lastName: 'User'
+    });
+  });
+
+  test('should email a reset link for a known account', async () => {
+    await PasswordResetService.requestReset('user@example.com');
+
+    expect(sentMail).toHaveLength(1);
+    expect(sentMail[0].to).toBe('user@example.com');
+    expect(sentMail[0].text).toContain('/reset-password?token=');
+  });
+
+  test('should respond the same way for unknown accounts', async () => {
+    const response = await request(app)
+      .post('/api/auth/forgot-password')
+      .send({ email: 'nobody@example.com' });
+
+    expect(response.status).toBe(200);
+    expect(sentMail).toHaveLength(0);
+  });
+
+  test('should reset the password with a valid token', async () => {
+    await PasswordResetService.requestReset('user@example.com');
+
+    const response = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token: getResetToken(), password: 'newpassword' });
+
+    expect(response.status).toBe(200);
+
+    const updated = await User.findById(user._id);
+    expect(await updated.comparePassword('newpassword')).toBe(true);
+    expect(updated.passwordReset?.tokenHash).toBeUndefined();
+  });
+
+  test('should only accept a reset token once', async () => {
+    await PasswordResetService.requestReset('user@example.com');
+    const token = getResetToken();
+
+    await request(app).post('/api/auth/reset-password').send({ token, password: 'newpassword' });
+    const response = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token, password: 'anotherpassword' });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('should invalidate older links when a new one is requested', async () => {
+    await PasswordResetService.requestReset('user@example.com');
+    const firstToken = getResetToken();
+    sentMail = [];
+    await PasswordResetService.requestReset('user@example.com');
+
+    const response = await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token: firstToken, password: 'newpassword' });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('should not accept reset tokens as access tokens', async () => {
+    await PasswordResetService.requestReset('user@example.com');
+
+    const response = await request(app)
+      .get('/api/protected')
+      .set('Authorization', `Bearer ${getResetToken()}`);
+
+    expect(response.status).toBe(401);
+  });
+
+  test('should revoke tokens issued before the reset', async () => {
+    const oldToken = jwt.sign(
+      { userId: user._id, email: user.email, iat: Math.floor(Date.now() / 1000) - 60 },
+      process.env.JWT_SECRET || 'fallback_secret'
+    );
+    const { refreshToken } = await SessionService.createSession(user);
+
+    await PasswordResetService.requestReset('user@example.com');
+    await request(app)
+      .post('/api/auth/reset-password')
+      .send({ token: getResetToken(), password: 'newpassword' });
+
+    const protectedResponse = await request(app)
+      .get('/api/protected')
+      .set('Authorization', `Bearer ${oldToken}`);
+    expect(protectedResponse.status).toBe(401);
+
+    const refreshResponse = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken });
+    expect(refreshResponse.status).toBe(401);
+  });
+});
+
+describe('MailService in production without SMTP', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+    vi.restoreAllMocks();
+  });
+
+  test('should refuse to send instead of logging the reset link', async () => {
+    process.env.NODE_ENV = 'production';
+    delete process.env.MAIL_TRANSPORT;
+    delete process.env.SMTP_HOST;
+    const log = vi.spyOn(console, 'log');
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const mail = new MailService.MailService();
+
+    await expect(mail.sendPasswordResetEmail({ email: 'user@example.com', firstName: 'Test' }, 'secret-token', 30))
+      .rejects.toThrow(/not configured/);
+    const logged = [...log.mock.calls, ...error.mock.calls].flat().join('\n');
+    expect(logged).toContain('user@example.com');
+    expect(logged).not.toContain('secret-token');
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Tests for the polling fallback used when MongoDB has no change streams.
+ * MongoMemoryServer runs a standalone server, like a plain local install.
+ */
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const PollingChangeManager = require('../services/PollingChangeManager');
+const RealTimeService = require('../services/RealTimeService');
+const RealTimeCheckpoint = require('../models/RealTimeCheckpoint');
+
+let mongoServer;
+let manager;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await mongoose.connection.db.collection('messages').deleteMany({});
+  await mongoose.connection.db.collection('chatgroups').deleteMany({});
+  await RealTimeCheckpoint.deleteMany({});
+});
+
+afterEach(async () => {
+  if (manager) {
+    await manager.close();
+    manager = null;
+  }
+});
+
+const insertMessage = async (content) => {
+  const now = new Date();
+  const { insertedId } = await mongoose.connection.db.collection('messages').insertOne({
+    chatId: new mongoose.Types.ObjectId(),
+    chatType: 'group',
+    content,
+    createdAt: now,
+    updatedAt: now
+  });
+  return insertedId;
+};
+
+const startManager = async (options = {}) => {
+  manager = new PollingChangeManager({
+    collections: ['messages', 'chatgroups'],
+    intervalMs: 60000,
+    settleMs: 0,
+    consumer: 'test-server',
+    ...options
+  });
+  await manager.initialize();
+  return manager;
+};
+
+describe('PollingChangeManager', () => {
+  test('should report new documents as inserts', async () => {
+    await startManager();
+    const listener = vi.fn();
+    manager.addListener('messages', listener);
+
+    const messageId = await insertMessage('Hello');
+    await manager.poll();
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    const change = listener.mock.calls[0][0];
+    expect(change.operationType).toBe('insert');
+    expect(change.fullDocument._id.toString()).toBe(messageId.toString());
+  });
+
+  test('should report changed documents as updates', async () => {
+    const messageId = await insertMessage('Hello');
+    await startManager();
+    const listener = vi.fn();
+    manager.addListener('messages', listener);
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await mongoose.connection.db.collection('messages').updateOne(
+      { _id: messageId },
+      { $set: { content: 'Hello again', updatedAt: new Date() } }
+    );
+    await manager.poll();
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    const change = listener.mock.calls[0][0];
+    expect(change.operationType).toBe('update');
+    expect(change.documentKey._id.toString()).toBe(messageId.toString());
+    expect(change.updateDescription.updatedFields.content).toBe('Hello again');
+  });
+
+  test('should carry on from the saved checkpoint after a restart', async () => {
+    await startManager();
+    await insertMessage('Before restart');
+    await manager.poll();
+    await manager.close();
+
+    await insertMessage('While stopped');
+    await startManager();
+    const listener = vi.fn();
+    manager.addListener('messages', listener);
+    await manager.poll();
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][0].fullDocument.content).toBe('While stopped');
+  });
+
+  test('should read changes sharing a timestamp across polls without repeats', async () => {
+    await startManager({ batchSize: 2 });
+    const listener = vi.fn();
+    manager.addListener('messages', listener);
+
+    const now = new Date();
+    await mongoose.connection.db.collection('messages').insertMany(
+      [1, 2, 3].map(n => ({ content: `Message ${n}`, createdAt: now, updatedAt: now }))
+    );
+    await manager.poll();
+    await manager.poll();
+    await manager.poll();
+
+    expect(listener.mock.calls.map(([change]) => change.fullDocument.content))
+      .toEqual(['Message 1', 'Message 2', 'Message 3']);
+  });
+
+  test('should report chat group updates', async () => {
+    const createdAt = new Date(Date.now() - 60000);
+    const { insertedId } = await mongoose.connection.db.collection('chatgroups').insertOne({
+      name: 'Street watch',
+      members: [],
+      createdAt,
+      updatedAt: createdAt
+    });
+    await startManager();
+    const listener = vi.fn();
+    manager.addListener('chatgroups', listener);
+
+    await mongoose.connection.db.collection('chatgroups').updateOne(
+      { _id: insertedId },
+      { $set: { name: 'Street watch (night)', updatedAt: new Date() } }
+    );
+    await manager.poll();
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    const change = listener.mock.calls[0][0];
+    expect(change.operationType).toBe('update');
+    expect(change.updateDescription.updatedFields.name).toBe('Street watch (night)');
+  });
+
+  test('should poll every real-time collection by default', async () => {
+    await startManager({ collections: undefined });
+
+    const status = manager.getStatus();
+
+    expect(status.activeStreams).toBe(PollingChangeManager.POLLED_COLLECTIONS.length);
+    expect(status.collections.chatgroups.active).toBe(true);
+    expect(status.collections.privatechats.active).toBe(true);
+  });
+});
+
+describe('RealTimeService on a standalone MongoDB', () => {
+  let realTimeService;
+
+  afterEach(async () => {
+    await realTimeService.close();
+  });
+
+  test('should switch to polling and emit the usual sync events', async () => {
+    const emit = vi.fn();
+    const io = { to: vi.fn().mockReturnValue({ emit }) };
+    realTimeService = new RealTimeService(io, { pollIntervalMs: 60000, checkpointId: 'test-server' });
+    await realTimeService.initialize();
+
+    expect(realTimeService.getStatus().mode).toBe('polling');
+
+    realTimeService.changeSource.settleMs = 0;
+    await insertMessage('Hello');
+    await realTimeService.changeSource.poll();
+
+    expect(io.to).toHaveBeenCalledWith(expect.stringMatching(/^group_/));
+    expect(emit).toHaveBeenCalledWith('new_message_sync', expect.objectContaining({ type: 'new' }));
+  });
+});
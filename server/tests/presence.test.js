@@ -0,0 +1,235 @@
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const userRoutes = require('../routes/users');
+const settingsRoutes = require('../routes/settings');
+const privateChatRoutes = require('../routes/privateChat');
+const friendRoutes = require('../routes/friends');
+const PresenceService = require('../services/PresenceService');
+const SocketStateService = require('../services/SocketStateService');
+const SocketConnection = require('../models/SocketConnection');
+const PrivateChat = require('../models/PrivateChat');
+const User = require('../models/User');
+
+let mongoServer;
+let app;
+let io;
+let emit;
+let currentUser;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  app = express();
+  app.use(express.json());
+
+  // Mock auth middleware
+  app.use((req, res, next) => {
+    req.user = { userId: currentUser._id.toString(), role: currentUser.role };
+    next();
+  });
+
+  app.use('/api/users', userRoutes);
+  app.use('/api/settings', settingsRoutes);
+  app.use('/api/private-chat', privateChatRoutes);
+  app.use('/api/friends', friendRoutes);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await SocketConnection.deleteMany({});
+  await PrivateChat.deleteMany({});
+
+  emit = vi.fn();
+  io = {
+    to: vi.fn().mockReturnValue({ emit }),
+    in: vi.fn().mockReturnValue({ socketsLeave: vi.fn(), fetchSockets: vi.fn().mockResolvedValue([]) })
+  };
+  app.set('io', io);
+});
+
+describe('Presence', () => {
+  const neighbourhoodId = new mongoose.Types.ObjectId();
+  let alice, bob, stranger;
+
+  const createUser = (email, extra = {}) => User.create({
+    email,
+    password: 'password123',
+    firstName: email.split('@')[0],
+    lastName: 'User',
+    neighbourhoodId,
+    ...extra
+  });
+
+  beforeEach(async () => {
+    alice = await createUser('alice@example.com');
+    bob = await createUser('bob@example.com');
+    stranger = await createUser('stranger@example.com', { neighbourhoodId: new mongoose.Types.ObjectId() });
+    currentUser = bob;
+  });
+
+  const presenceOf = async (user) => (await User.findById(user._id).lean()).presence.status;
+
+  test('should combine connections with the status the user picked', () => {
+    const idle = { status: 'away' };
+    const active = { status: 'online' };
+
+    expect(PresenceService.aggregateStatus([], 'auto')).toBe('offline');
+    expect(PresenceService.aggregateStatus([idle, active], 'auto')).toBe('online');
+    expect(PresenceService.aggregateStatus([idle, idle], 'auto')).toBe('away');
+    expect(PresenceService.aggregateStatus([active], 'dnd')).toBe('dnd');
+    expect(PresenceService.aggregateStatus([], 'dnd')).toBe('offline');
+  });
+
+  test('should stay online until the last device disconnects', async () => {
+    await SocketStateService.addConnection(alice._id, 'phone');
+    await SocketStateService.addConnection(alice._id, 'laptop');
+    await PresenceService.refresh(io, alice._id);
+    expect(await presenceOf(alice)).toBe('online');
+
+    await SocketStateService.removeConnection(alice._id, 'phone');
+    expect(await PresenceService.refresh(io, alice._id)).toBeNull();
+
+    emit.mockClear();
+    await SocketStateService.removeConnection(alice._id, 'laptop');
+    await PresenceService.refresh(io, alice._id);
+
+    const user = await User.findById(alice._id).lean();
+    expect(user.presence.status).toBe('offline');
+    expect(user.isOnline).toBe(false);
+    expect(user.lastSeen).toBeInstanceOf(Date);
+    expect(io.to).toHaveBeenCalledWith(`presence_${alice._id}`);
+    expect(emit).toHaveBeenCalledWith('presence_updated', expect.objectContaining({ status: 'offline' }));
+  });
+
+  test('should show away when every device is idle, and respect do not disturb', async () => {
+    await SocketStateService.addConnection(alice._id, 'phone');
+    await SocketStateService.addConnection(alice._id, 'laptop');
+    await PresenceService.refresh(io, alice._id);
+
+    await PresenceService.recordHeartbeat(io, alice._id, 'phone', { idle: true });
+    expect(await presenceOf(alice)).toBe('online');
+
+    const longAgo = new Date(Date.now() - 10 * 60 * 1000);
+    await PresenceService.recordHeartbeat(io, alice._id, 'laptop', { lastActivity: longAgo });
+    expect(await presenceOf(alice)).toBe('away');
+
+    const result = await PresenceService.setPreference(io, alice._id, 'dnd');
+    expect(result).toEqual({ preference: 'dnd', status: 'dnd' });
+
+    await expect(PresenceService.setPreference(io, alice._id, 'busy')).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  test('should sweep users whose connections expired offline', async () => {
+    await SocketStateService.addConnection(alice._id, 'phone');
+    await PresenceService.refresh(io, alice._id);
+
+    // The instance holding the socket crashed, so nobody refreshed it
+    await SocketConnection.updateOne({ socketId: 'phone' }, { expiresAt: new Date(Date.now() - 1000) });
+
+    expect(await PresenceService.reconcile(io)).toBe(1);
+    expect(await presenceOf(alice)).toBe('offline');
+  });
+
+  test('should look up presence in a batch as the privacy settings allow', async () => {
+    await SocketStateService.addConnection(alice._id, 'phone');
+    await PresenceService.refresh(io, alice._id);
+
+    const response = await request(app)
+      .get('/api/users/presence')
+      .query({ ids: `${alice._id},${stranger._id}` });
+
+    expect(response.status).toBe(200);
+    expect(response.body.presence[alice._id]).toMatchObject({ status: 'online', isOnline: true });
+    // Last seen is shown to neighbours by default, and the stranger isn't one
+    expect(response.body.presence[stranger._id].status).toBeNull();
+  });
+
+  test('should hide presence when the user has turned it off or blocked the viewer', async () => {
+    await User.updateOne({ _id: alice._id }, { 'settings.privacy.lastSeenVisibility': 'none' });
+    let response = await request(app).get('/api/users/presence').query({ ids: `${alice._id}` });
+    expect(response.body.presence[alice._id].status).toBeNull();
+
+    await User.updateOne({ _id: alice._id }, {
+      'settings.privacy.lastSeenVisibility': 'everyone',
+      blockedUsers: [{ userId: bob._id }]
+    });
+    response = await request(app).get('/api/users/presence').query({ ids: `${alice._id}` });
+    expect(response.body.presence[alice._id].status).toBeNull();
+  });
+
+  test('should follow the last seen setting in private chats', async () => {
+    const chat = await PrivateChat.create({ participants: [alice._id, bob._id] });
+    await SocketStateService.addConnection(alice._id, 'phone');
+    await PresenceService.refresh(io, alice._id);
+    // Only presence.status counts, not the older isOnline flag
+    await User.updateOne({ _id: alice._id }, { isOnline: false });
+
+    let list = await request(app).get('/api/private-chat/unified');
+    expect(list.body.chats[0]).toMatchObject({ status: 'online', isOnline: true });
+
+    await User.updateOne({ _id: alice._id }, { 'settings.privacy.lastSeenVisibility': 'none' });
+
+    list = await request(app).get('/api/private-chat/unified');
+    expect(list.body.chats[0]).toMatchObject({ status: null, isOnline: null, lastSeen: null });
+
+    const info = await request(app).get(`/api/private-chat/${chat._id}/settings`);
+    expect(info.status).toBe(200);
+    expect(info.body.otherParticipant).toMatchObject({ status: null, isOnline: null, lastSeen: null });
+  });
+
+  test('should reject invalid presence lookups', async () => {
+    const missing = await request(app).get('/api/users/presence');
+    expect(missing.status).toBe(400);
+
+    const invalid = await request(app).get('/api/users/presence').query({ ids: 'not-an-id' });
+    expect(invalid.status).toBe(400);
+  });
+
+  test('should drop subscribers when the last seen setting changes', async () => {
+    currentUser = alice;
+
+    const invalid = await request(app).put('/api/settings/privacy').send({ lastSeenVisibility: 'sometimes' });
+    expect(invalid.status).toBe(400);
+
+    const response = await request(app).put('/api/settings/privacy').send({ lastSeenVisibility: 'friends' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.privacy.lastSeenVisibility).toBe('friends');
+    expect(io.in).toHaveBeenCalledWith(`presence_${alice._id}`);
+  });
+
+  test('should stop friends following each other\'s presence when they unfriend', async () => {
+    await User.updateOne({ _id: alice._id }, { $set: { friends: [bob._id] } });
+    await User.updateOne({ _id: bob._id }, { $set: { friends: [alice._id] } });
+    currentUser = alice;
+
+    const response = await request(app).delete(`/api/friends/${bob._id}`);
+
+    expect(response.status).toBe(200);
+    expect(io.in).toHaveBeenCalledWith(`user_${alice._id}`);
+    expect(io.in).toHaveBeenCalledWith(`user_${bob._id}`);
+  });
+
+  test('should drop a user\'s presence subscriptions both ways when their neighbours change', async () => {
+    const socket = {
+      rooms: new Set(['socket-1', `user_${alice._id}`, `presence_${alice._id}`, `presence_${bob._id}`]),
+      leave: vi.fn()
+    };
+    const socketsLeave = vi.fn();
+    io.in.mockReturnValue({ socketsLeave, fetchSockets: vi.fn().mockResolvedValue([socket]) });
+
+    PresenceService.resetRelationships(io, alice._id);
+
+    expect(socketsLeave).toHaveBeenCalledWith(`presence_${alice._id}`);
+    await vi.waitFor(() => expect(socket.leave).toHaveBeenCalledWith(`presence_${bob._id}`));
+    expect(socket.leave).toHaveBeenCalledTimes(1);
+  });
+});
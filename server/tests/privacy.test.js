@@ -0,0 +1,272 @@
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const userRoutes = require('../routes/users');
+const privateChatRoutes = require('../routes/privateChat');
+const friendRoutes = require('../routes/friends');
+const User = require('../models/User');
+const PrivateChat = require('../models/PrivateChat');
+const Message = require('../models/Message');
+const PrivacyService = require('../services/PrivacyService');
+const { setupSocketHandlers } = require('../socket/handlers');
+
+let mongoServer;
+let app;
+let currentUser;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  app = express();
+  app.use(express.json());
+
+  // Mock auth middleware
+  app.use((req, res, next) => {
+    req.user = currentUser;
+    next();
+  });
+
+  app.set('io', {
+    to: vi.fn().mockReturnValue({ emit: vi.fn() })
+  });
+
+  app.use('/api/users', userRoutes);
+  app.use('/api/private-chat', privateChatRoutes);
+  app.use('/api/friends', friendRoutes);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+const as = (user, role = 'user') => {
+  currentUser = { userId: user._id.toString(), role };
+};
+
+describe('Privacy settings', () => {
+  let neighbourhoodId, viewer, neighbour, friend, outsider;
+
+  const createUser = (email, firstName, extra = {}) => User.create({
+    email,
+    password: 'password123',
+    firstName,
+    lastName: 'Tester',
+    phone: '0821234567',
+    neighbourhoodId,
+    ...extra
+  });
+
+  const setPrivacy = (user, privacy) => User.updateOne(
+    { _id: user._id },
+    { $set: Object.fromEntries(Object.entries(privacy).map(([key, value]) => [`settings.privacy.${key}`, value])) }
+  );
+
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await PrivateChat.deleteMany({});
+    await Message.deleteMany({});
+
+    neighbourhoodId = new mongoose.Types.ObjectId();
+    viewer = await createUser('viewer@example.com', 'Vera');
+    neighbour = await createUser('neighbour@example.com', 'Nina');
+    friend = await createUser('friend@example.com', 'Fred', { friends: [viewer._id] });
+    outsider = await createUser('outsider@example.com', 'Oscar', { neighbourhoodId: new mongoose.Types.ObjectId() });
+    await User.updateOne({ _id: viewer._id }, { $push: { friends: friend._id } });
+
+    as(viewer);
+  });
+
+  describe('profiles', () => {
+    test('should show neighbours a profile with the default visibility', async () => {
+      const response = await request(app).get(`/api/users/${neighbour._id}/profile`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.relationship).toBe('neighbour');
+      expect(response.body.phone).toBe('0821234567');
+      expect(response.body).not.toHaveProperty('password');
+    });
+
+    test('should hide neighbours-only profiles from other neighbourhoods', async () => {
+      as(outsider);
+
+      const response = await request(app).get(`/api/users/${neighbour._id}/profile`);
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('PROFILE_PRIVATE');
+    });
+
+    test('should show public profiles to anyone, without contact details', async () => {
+      await setPrivacy(neighbour, { profileVisibility: 'public' });
+      as(outsider);
+
+      const response = await request(app).get(`/api/users/${neighbour._id}/profile`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.firstName).toBe('Nina');
+      expect(response.body).not.toHaveProperty('phone');
+    });
+
+    test('should only show friends-only profiles to friends', async () => {
+      await setPrivacy(friend, { profileVisibility: 'friends' });
+      await setPrivacy(neighbour, { profileVisibility: 'friends' });
+
+      expect((await request(app).get(`/api/users/${friend._id}/profile`)).status).toBe(200);
+      expect((await request(app).get(`/api/users/${neighbour._id}/profile`)).status).toBe(403);
+    });
+
+    test('should let site moderators see private profiles', async () => {
+      await setPrivacy(neighbour, { profileVisibility: 'private' });
+      as(outsider, 'moderator');
+      await User.updateOne({ _id: outsider._id }, { role: 'moderator' });
+
+      const response = await request(app).get(`/api/users/${neighbour._id}/profile`);
+
+      expect(response.status).toBe(200);
+    });
+
+    test('should preview a profile as other users would see it', async () => {
+      await setPrivacy(viewer, { profileVisibility: 'neighbours', messagePermissions: 'friends' });
+
+      const asPublic = await request(app).get('/api/users/me/profile-preview?as=public');
+      expect(asPublic.body).toEqual({ as: 'public', canView: false, canMessage: false, profile: null });
+
+      const asNeighbour = await request(app).get('/api/users/me/profile-preview?as=neighbour');
+      expect(asNeighbour.body.canView).toBe(true);
+      expect(asNeighbour.body.canMessage).toBe(false);
+      expect(asNeighbour.body.profile.phone).toBe('0821234567');
+
+      const invalid = await request(app).get('/api/users/me/profile-preview?as=self');
+      expect(invalid.status).toBe(400);
+    });
+  });
+
+  describe('search and member lists', () => {
+    test('should leave hidden profiles out of the neighbours list', async () => {
+      await setPrivacy(neighbour, { profileVisibility: 'private' });
+      await setPrivacy(friend, { profileVisibility: 'friends' });
+
+      const response = await request(app).get('/api/users/neighbours');
+
+      expect(response.status).toBe(200);
+      expect(response.body.map(user => user.firstName)).toEqual(['Fred']);
+    });
+
+    test('should leave hidden profiles out of friend search', async () => {
+      await setPrivacy(neighbour, { profileVisibility: 'friends' });
+
+      const response = await request(app).get('/api/friends/search?q=Tester');
+
+      expect(response.status).toBe(200);
+      expect(response.body.map(user => user.firstName)).toEqual(['Fred']);
+    });
+  });
+
+  describe('private chats', () => {
+    test('should only let friends start chats by default', async () => {
+      const withNeighbour = await request(app)
+        .post('/api/private-chat/create')
+        .send({ participantId: neighbour._id.toString() });
+      expect(withNeighbour.status).toBe(403);
+      expect(withNeighbour.body.code).toBe('MESSAGES_NOT_ALLOWED');
+
+      const withFriend = await request(app)
+        .post('/api/private-chat/create')
+        .send({ participantId: friend._id.toString() });
+      expect(withFriend.status).toBe(201);
+    });
+
+    test('should let anyone start a chat when messages are open to everyone', async () => {
+      await setPrivacy(neighbour, { messagePermissions: 'everyone' });
+      as(outsider);
+
+      const response = await request(app)
+        .post('/api/private-chat/create')
+        .send({ participantId: neighbour._id.toString() });
+
+      expect(response.status).toBe(201);
+      expect((await PrivateChat.findById(response.body._id)).startedBy.toString()).toBe(outsider._id.toString());
+    });
+
+    test('should refuse messages once the recipient closes messages before replying', async () => {
+      await setPrivacy(neighbour, { messagePermissions: 'neighbours' });
+      const created = await request(app)
+        .post('/api/private-chat/create')
+        .send({ participantId: neighbour._id.toString() });
+      await setPrivacy(neighbour, { messagePermissions: 'none' });
+
+      const response = await request(app)
+        .post(`/api/private-chat/${created.body._id}/messages`)
+        .send({ content: 'Is that your dog in the road?' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('MESSAGES_NOT_ALLOWED');
+    });
+
+    test('should keep a conversation open once the recipient has replied', async () => {
+      const privateChat = await PrivateChat.create({
+        participants: [viewer._id, neighbour._id],
+        startedBy: viewer._id
+      });
+      await Message.create({
+        chatId: privateChat._id,
+        chatType: 'private',
+        senderId: neighbour._id,
+        senderName: 'Nina Tester',
+        content: 'Hi Vera'
+      });
+
+      const response = await request(app)
+        .post(`/api/private-chat/${privateChat._id}/messages`)
+        .send({ content: 'Hi Nina' });
+
+      expect(response.status).toBe(201);
+    });
+
+    test('should refuse enhanced socket messages the recipient does not accept', async () => {
+      await setPrivacy(neighbour, { messagePermissions: 'none' });
+      const privateChat = await PrivateChat.create({
+        participants: [viewer._id, neighbour._id],
+        startedBy: viewer._id
+      });
+
+      // Drive the handler through a stand-in socket for the viewer
+      const handlers = {};
+      const socket = {
+        id: 'socket-1',
+        user: { id: viewer._id.toString(), name: 'Vera Tester', emailVerified: true, approvedMember: true },
+        handshake: { address: '127.0.0.1' },
+        join: vi.fn(),
+        emit: vi.fn(),
+        on: (event, handler) => { handlers[event] = handler; }
+      };
+      const io = {
+        use: vi.fn(),
+        on: (event, onConnection) => onConnection(socket),
+        to: vi.fn().mockReturnValue({ emit: vi.fn() })
+      };
+      setupSocketHandlers(io);
+
+      await handlers.send_enhanced_message({
+        chatId: privateChat._id.toString(),
+        chatType: 'private',
+        content: 'Is that your dog in the road?'
+      });
+
+      expect(socket.emit).toHaveBeenCalledWith('error', expect.objectContaining({ code: 'MESSAGES_NOT_ALLOWED' }));
+      expect(await Message.countDocuments({ chatId: privateChat._id })).toBe(0);
+    });
+
+    test('should let the recipient of a chat reply whatever the starter\'s settings', async () => {
+      await setPrivacy(viewer, { messagePermissions: 'none' });
+      const privateChat = await PrivateChat.create({
+        participants: [viewer._id, neighbour._id],
+        startedBy: viewer._id
+      });
+
+      expect(await PrivacyService.canMessageInChat(neighbour._id, viewer._id, privateChat)).toBe(true);
+    });
+  });
+});
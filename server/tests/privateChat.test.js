@@ -97,7 +97,8 @@ describe('Private Chat API', () => {
       lastName: 'User3',
       password: 'password123',
       status: 'active',
-      neighbourhoodId: '507f1f77bcf86cd799439020'
+      neighbourhoodId: '507f1f77bcf86cd799439020',
+      settings: { privacy: { messagePermissions: 'neighbours' } }
     });
     await user3.save();
 
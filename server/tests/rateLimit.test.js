@@ -0,0 +1,146 @@
+const request = require('supertest');
+const express = require('express');
+const RateLimitService = require('../services/RateLimitService');
+const MemoryStore = require('../services/rateLimit/MemoryStore');
+const { rateLimit } = require('../middleware/rateLimit');
+const suggestionRoutes = require('../routes/neighbourhoodSuggestions');
+const authRoutes = require('../routes/auth');
+const { getDefaultPolicy } = require('../config/rateLimits');
+
+let store;
+
+beforeAll(() => {
+  process.env.RATE_LIMIT_ENABLED = 'true';
+});
+
+afterAll(() => {
+  delete process.env.RATE_LIMIT_ENABLED;
+});
+
+beforeEach(() => {
+  store = new MemoryStore();
+  RateLimitService.setStore(store);
+});
+
+afterEach(async () => {
+  await store.close();
+  vi.useRealTimers();
+});
+
+describe('MemoryStore', () => {
+  test('should count hits within a window and start again after it', async () => {
+    vi.useFakeTimers();
+
+    expect((await store.increment('key', 1000)).count).toBe(1);
+    expect((await store.increment('key', 1000)).count).toBe(2);
+
+    vi.advanceTimersByTime(1001);
+
+    expect(await store.get('key')).toBeNull();
+    expect((await store.increment('key', 1000)).count).toBe(1);
+  });
+
+  test('should list the busiest counters first', async () => {
+    await store.increment('quiet', 1000);
+    await store.increment('busy', 1000);
+    await store.increment('busy', 1000);
+
+    const counters = await store.list(1);
+
+    expect(counters).toEqual([expect.objectContaining({ key: 'busy', count: 2 })]);
+  });
+});
+
+describe('RateLimitService', () => {
+  test('should key per-user policies by user and fall back to IP', async () => {
+    const policy = await RateLimitService.getPolicy('search');
+
+    expect(RateLimitService.getKey(policy, { userId: 'u1', ip: '10.0.0.1' })).toBe('search:user:u1');
+    expect(RateLimitService.getKey(policy, { ip: '10.0.0.1' })).toBe('search:ip:10.0.0.1');
+  });
+
+  test('should allow up to the policy maximum', async () => {
+    const { max } = getDefaultPolicy('register');
+
+    for (let attempt = 0; attempt < max; attempt++) {
+      expect((await RateLimitService.consume('register', { ip: '10.0.0.1' })).allowed).toBe(true);
+    }
+
+    const blocked = await RateLimitService.consume('register', { ip: '10.0.0.1' });
+    expect(blocked).toMatchObject({ allowed: false, remaining: 0 });
+    expect(blocked.retryAfter).toBeGreaterThan(0);
+
+    // Other callers have their own allowance
+    expect((await RateLimitService.consume('register', { ip: '10.0.0.2' })).allowed).toBe(true);
+  });
+
+  test('should let requests through when the store fails', async () => {
+    vi.spyOn(store, 'increment').mockRejectedValue(new Error('store down'));
+
+    expect(await RateLimitService.consume('search', { userId: 'u1' })).toBeNull();
+  });
+
+  test('should not limit anything when disabled', async () => {
+    process.env.RATE_LIMIT_ENABLED = 'false';
+    try {
+      expect(await RateLimitService.consume('search', { userId: 'u1' })).toBeNull();
+    } finally {
+      process.env.RATE_LIMIT_ENABLED = 'true';
+    }
+  });
+});
+
+describe('rateLimit middleware', () => {
+  const createApp = () => {
+    const app = express();
+    app.post('/register', rateLimit('register'), (req, res) => res.json({ ok: true }));
+    return app;
+  };
+
+  test('should send rate limit headers and a 429 once the limit is reached', async () => {
+    const app = createApp();
+    const { max } = getDefaultPolicy('register');
+
+    const first = await request(app).post('/register');
+    expect(first.status).toBe(200);
+    expect(first.headers['ratelimit-limit']).toBe(String(max));
+    expect(first.headers['ratelimit-remaining']).toBe(String(max - 1));
+
+    for (let attempt = 1; attempt < max; attempt++) {
+      await request(app).post('/register');
+    }
+
+    const blocked = await request(app).post('/register');
+    expect(blocked.status).toBe(429);
+    expect(blocked.body.code).toBe('RATE_LIMITED');
+    expect(Number(blocked.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  test('should limit the public neighbourhood suggestions lookup by IP', async () => {
+    const app = express();
+    app.use('/suggestions', suggestionRoutes);
+    const { max } = getDefaultPolicy('neighbourhood_suggestions');
+
+    // Invalid lookups still count, and stop before the database or geocoder
+    for (let attempt = 0; attempt < max; attempt++) {
+      expect((await request(app).get('/suggestions')).status).toBe(400);
+    }
+
+    const blocked = await request(app).get('/suggestions').query({ address: '12 Elm Street' });
+    expect(blocked.status).toBe(429);
+  });
+
+  test('should limit two-factor sign-in codes by IP', async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/auth', authRoutes);
+    const { max } = getDefaultPolicy('login_2fa');
+
+    for (let attempt = 0; attempt < max; attempt++) {
+      expect((await request(app).post('/auth/login/2fa').send({})).status).toBe(400);
+    }
+
+    const blocked = await request(app).post('/auth/login/2fa').send({ challengeToken: 'token', code: '123456' });
+    expect(blocked.status).toBe(429);
+  });
+});
@@ -0,0 +1,149 @@
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const authRoutes = require('../routes/auth');
+const rateLimitRoutes = require('../routes/rate-limit-status');
+const RateLimitService = require('../services/RateLimitService');
+const MongoStore = require('../services/rateLimit/MongoStore');
+const { rateLimit } = require('../middleware/rateLimit');
+const RateLimitCounter = require('../models/RateLimitCounter');
+const RateLimitPolicy = require('../models/RateLimitPolicy');
+const AuditLog = require('../models/AuditLog');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { generateCode } = require('../utils/totp');
+
+let mongoServer;
+let app;
+let adminToken;
+
+beforeAll(async () => {
+  process.env.RATE_LIMIT_ENABLED = 'true';
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+  await Promise.all([Session.syncIndexes(), RateLimitCounter.syncIndexes(), RateLimitPolicy.syncIndexes()]);
+
+  RateLimitService.setStore(new MongoStore());
+
+  app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  app.use('/api/rate-limit', rateLimitRoutes);
+  app.get('/api/search', rateLimit('search'), (req, res) => res.json({ ok: true }));
+});
+
+afterAll(async () => {
+  delete process.env.RATE_LIMIT_ENABLED;
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Session.deleteMany({});
+  await AuditLog.deleteMany({});
+  await RateLimitCounter.deleteMany({});
+  await RateLimitPolicy.deleteMany({});
+  await RateLimitService.loadOverrides(true);
+
+  // Admin routes need a session that has passed two-factor authentication
+  await User.create({
+    email: 'admin@example.com',
+    password: 'password123',
+    firstName: 'Admin',
+    lastName: 'User',
+    role: 'admin'
+  });
+  const { body: { token } } = await request(app)
+    .post('/api/auth/login')
+    .send({ email: 'admin@example.com', password: 'password123' });
+  const setup = await request(app)
+    .post('/api/auth/2fa/setup')
+    .set('Authorization', `Bearer ${token}`);
+  const confirm = await request(app)
+    .post('/api/auth/2fa/verify')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ code: generateCode(setup.body.secret) });
+  adminToken = confirm.body.token;
+  await RateLimitCounter.deleteMany({});
+});
+
+describe('MongoStore', () => {
+  test('should share one counter per key and start a new window once it ends', async () => {
+    const store = new MongoStore();
+
+    const results = await Promise.all([
+      store.increment('shared', 60000),
+      store.increment('shared', 60000),
+      store.increment('shared', 60000)
+    ]);
+    expect(results.map(result => result.count).sort()).toEqual([1, 2, 3]);
+
+    await RateLimitCounter.updateOne({ key: 'shared' }, { $set: { resetAt: new Date(Date.now() - 1000) } });
+
+    expect(await store.get('shared')).toBeNull();
+    expect((await store.increment('shared', 60000)).count).toBe(1);
+  });
+});
+
+describe('Rate limit policies', () => {
+  const updatePolicy = (name, changes) => request(app)
+    .put(`/api/rate-limit/policies/${name}`)
+    .set('Authorization', `Bearer ${adminToken}`)
+    .send(changes);
+
+  test('should apply a changed policy straight away and audit it', async () => {
+    const response = await updatePolicy('search', { max: 2 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.policy).toMatchObject({ name: 'search', max: 2, overridden: true });
+
+    expect((await request(app).get('/api/search')).status).toBe(200);
+    expect((await request(app).get('/api/search')).status).toBe(200);
+    expect((await request(app).get('/api/search')).status).toBe(429);
+
+    const log = await AuditLog.findOne({ action: 'system_config' });
+    expect(log.details).toMatchObject({ rateLimitPolicy: 'search', updated: expect.objectContaining({ max: 2 }) });
+  });
+
+  test('should stop limiting a disabled policy', async () => {
+    await updatePolicy('search', { max: 1, enabled: false });
+
+    expect((await request(app).get('/api/search')).status).toBe(200);
+    expect((await request(app).get('/api/search')).status).toBe(200);
+  });
+
+  test('should go back to the defaults', async () => {
+    await updatePolicy('search', { max: 1 });
+
+    const response = await request(app)
+      .delete('/api/rate-limit/policies/search')
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.policy.overridden).toBe(false);
+    expect(await RateLimitPolicy.countDocuments()).toBe(0);
+  });
+
+  test('should reject unknown policies and invalid settings', async () => {
+    expect((await updatePolicy('nonexistent', { max: 5 })).status).toBe(404);
+    expect((await updatePolicy('search', { max: 0 })).status).toBe(400);
+    expect((await updatePolicy('search', { keyBy: 'session' })).status).toBe(400);
+  });
+
+  test('should clear a caller\'s counter', async () => {
+    await updatePolicy('search', { max: 1, keyBy: 'ip' });
+    await request(app).get('/api/search');
+    expect((await request(app).get('/api/search')).status).toBe(429);
+
+    const counter = await RateLimitCounter.findOne({ key: /^search:ip:/ });
+    const cleared = await request(app)
+      .post('/api/rate-limit/policies/search/clear')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ ip: counter.key.replace('search:ip:', '') });
+
+    expect(cleared.status).toBe(200);
+    expect((await request(app).get('/api/search')).status).toBe(200);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Tests for the report_sync payloads RealTimeService broadcasts to
+ * neighbourhood rooms. These come from change streams or the polling
+ * fallback and must not reveal who filed an anonymous report or the
+ * moderator-only case history.
+ */
+const mongoose = require('mongoose');
+const RealTimeService = require('../services/RealTimeService');
+
+const neighbourhoodId = new mongoose.Types.ObjectId();
+const reporterId = new mongoose.Types.ObjectId();
+const moderatorId = new mongoose.Types.ObjectId();
+
+const buildReport = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  neighbourhoodId,
+  reporterId,
+  title: 'Broken street light',
+  isAnonymous: true,
+  statusHistory: [
+    { status: 'open', changedBy: reporterId, changedAt: new Date() },
+    { status: 'in-progress', changedBy: moderatorId, changedAt: new Date() }
+  ],
+  ...overrides
+});
+
+describe('RealTimeService report_sync', () => {
+  let service;
+  let emit;
+  let reportListener;
+
+  beforeEach(() => {
+    emit = vi.fn();
+    const io = { to: vi.fn().mockReturnValue({ emit }) };
+    service = new RealTimeService(io, { mode: 'polling' });
+
+    // Capture the listener instead of reading from a real change source
+    service.changeSource = {
+      addListener: vi.fn((collection, listener) => {
+        reportListener = listener;
+      })
+    };
+    service._setupReportListeners();
+  });
+
+  test('hides the reporter of a new anonymous report', () => {
+    reportListener({ operationType: 'insert', fullDocument: buildReport() });
+
+    const payload = emit.mock.calls[0][1];
+    expect(emit).toHaveBeenCalledWith('report_sync', expect.objectContaining({ type: 'new' }));
+    expect(payload.report.reporterId).toBeNull();
+    expect(payload.report.title).toBe('Broken street light');
+  });
+
+  test('leaves the moderator-only case history out', () => {
+    reportListener({
+      operationType: 'insert',
+      fullDocument: buildReport({ isAnonymous: false, internalComments: [{ content: 'Repeat caller' }] })
+    });
+
+    const payload = emit.mock.calls[0][1];
+    expect(payload.report).not.toHaveProperty('statusHistory');
+    expect(payload.report).not.toHaveProperty('internalComments');
+  });
+
+  test('keeps the reporter of a new named report', () => {
+    reportListener({ operationType: 'insert', fullDocument: buildReport({ isAnonymous: false }) });
+
+    const payload = emit.mock.calls[0][1];
+    expect(payload.report.reporterId).toEqual(reporterId);
+  });
+
+  test('hides the reporter and case history in updates to an anonymous report', async () => {
+    const report = buildReport();
+    service._getReportById = vi.fn().mockResolvedValue(report);
+
+    reportListener({
+      operationType: 'update',
+      documentKey: { _id: report._id },
+      updateDescription: {
+        updatedFields: {
+          title: 'Broken street lights',
+          reporterId,
+          'statusHistory.2': { status: 'resolved', note: 'Neighbour at number 4 complained', changedBy: moderatorId },
+          'internalComments.0': { content: 'Repeat caller' }
+        }
+      }
+    });
+    await vi.waitFor(() => expect(emit).toHaveBeenCalled());
+
+    const payload = emit.mock.calls[0][1];
+    expect(payload.type).toBe('update');
+    expect(payload.report.reporterId).toBeNull();
+    expect(payload.updates.title).toBe('Broken street lights');
+    expect(Object.keys(payload.updates)).toEqual(['title']);
+    expect(payload.report).not.toHaveProperty('statusHistory');
+  });
+});
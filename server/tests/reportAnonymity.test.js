@@ -0,0 +1,194 @@
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const reportRoutes = require('../routes/reports');
+const SearchService = require('../services/SearchService');
+const Report = require('../models/Report');
+const User = require('../models/User');
+const Neighbourhood = require('../models/Neighbourhood');
+const AuditLog = require('../models/AuditLog');
+
+let mongoServer;
+let app;
+let currentUser;
+let twoFactorVerified;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  app = express();
+  app.use(express.json());
+
+  // Mock auth middleware
+  app.use((req, res, next) => {
+    req.user = { userId: currentUser._id.toString(), role: currentUser.role, twoFactorVerified };
+    next();
+  });
+
+  app.use('/api/reports', reportRoutes);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await Report.deleteMany({});
+  await User.deleteMany({});
+  await Neighbourhood.deleteMany({});
+  await AuditLog.deleteMany({});
+  twoFactorVerified = true;
+});
+
+describe('Anonymous reports', () => {
+  let neighbourhood, reporter, neighbour, moderator, report;
+
+  const createUser = (email, role, extra = {}) => User.create({
+    email,
+    password: 'password123',
+    firstName: email.split('@')[0],
+    lastName: 'User',
+    phone: '0821234567',
+    role,
+    neighbourhoodId: neighbourhood._id,
+    ...extra
+  });
+
+  beforeEach(async () => {
+    neighbourhood = await Neighbourhood.create({
+      name: 'Elm Street',
+      location: { type: 'Point', coordinates: [-75.0, 40.0] },
+      createdBy: new mongoose.Types.ObjectId()
+    });
+
+    reporter = await createUser('reporter@example.com', 'user');
+    neighbour = await createUser('neighbour@example.com', 'user');
+    moderator = await createUser('moderator@example.com', 'moderator');
+
+    report = await Report.create({
+      title: 'Suspicious van',
+      description: 'Parked outside number 12 all night',
+      category: 'security',
+      neighbourhoodId: neighbourhood._id,
+      reporterId: reporter._id,
+      isAnonymous: true
+    });
+
+    currentUser = neighbour;
+  });
+
+  test('should hide the reporter from neighbours in the report list', async () => {
+    const response = await request(app).get('/api/reports');
+
+    expect(response.status).toBe(200);
+    expect(response.body[0].isAnonymous).toBe(true);
+    expect(response.body[0].reporterId).toBeNull();
+  });
+
+  test('should still show reporters their own anonymous reports', async () => {
+    currentUser = reporter;
+
+    const response = await request(app).get(`/api/reports/${report._id}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.reporterId.firstName).toBe('reporter');
+  });
+
+  test('should hide the reporter of a single report and in search results', async () => {
+    const response = await request(app).get(`/api/reports/${report._id}`);
+    expect(response.body.reporterId).toBeNull();
+
+    const results = await new SearchService().searchReports('van', {
+      userId: neighbour._id.toString(),
+      neighbourhoodId: neighbourhood._id
+    });
+    expect(results).toHaveLength(1);
+    expect(results[0].reporter).toBeNull();
+  });
+
+  test('should hide the reporter from the moderator case history', async () => {
+    currentUser = moderator;
+
+    const response = await request(app).get(`/api/reports/${report._id}/case`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.isAnonymous).toBe(true);
+    expect(response.body.statusHistory[0].event).toBe('created');
+    expect(response.body.statusHistory[0].changedBy).toBeNull();
+  });
+
+  test('should not let moderators without the permission unmask reporters', async () => {
+    currentUser = moderator;
+
+    const response = await request(app)
+      .post(`/api/reports/${report._id}/reporter/unmask`)
+      .send({ reason: 'Police have asked for a witness statement' });
+
+    expect(response.status).toBe(403);
+    expect(await AuditLog.countDocuments({ action: 'report_reporter_unmask' })).toBe(0);
+  });
+
+  test('should unmask the reporter for permitted moderators and audit it', async () => {
+    await User.updateOne({ _id: moderator._id }, { permissions: ['unmask_reporters'] });
+    currentUser = moderator;
+
+    const response = await request(app)
+      .post(`/api/reports/${report._id}/reporter/unmask`)
+      .send({ reason: 'Police have asked for a witness statement' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.reporter.email).toBe('reporter@example.com');
+
+    const log = await AuditLog.findOne({ action: 'report_reporter_unmask' });
+    expect(log.adminId.toString()).toBe(moderator._id.toString());
+    expect(log.targetId.toString()).toBe(report._id.toString());
+    expect(log.details.reason).toBe('Police have asked for a witness statement');
+  });
+
+  test('should require a reason and an anonymous report to unmask', async () => {
+    await User.updateOne({ _id: moderator._id }, { permissions: ['unmask_reporters'] });
+    currentUser = moderator;
+
+    const noReason = await request(app)
+      .post(`/api/reports/${report._id}/reporter/unmask`)
+      .send({ reason: 'why' });
+    expect(noReason.status).toBe(400);
+
+    await Report.updateOne({ _id: report._id }, { isAnonymous: false });
+    const named = await request(app)
+      .post(`/api/reports/${report._id}/reporter/unmask`)
+      .send({ reason: 'Police have asked for a witness statement' });
+    expect(named.status).toBe(400);
+
+    const badId = await request(app)
+      .post('/api/reports/not-an-id/reporter/unmask')
+      .send({ reason: 'Police have asked for a witness statement' });
+    expect(badId.status).toBe(400);
+  });
+
+  test('should need a two-factor session to unmask', async () => {
+    await User.updateOne({ _id: moderator._id }, { permissions: ['unmask_reporters'] });
+    currentUser = moderator;
+    twoFactorVerified = false;
+
+    const response = await request(app)
+      .post(`/api/reports/${report._id}/reporter/unmask`)
+      .send({ reason: 'Police have asked for a witness statement' });
+
+    expect(response.status).toBe(403);
+    expect(await AuditLog.countDocuments({ action: 'report_reporter_unmask' })).toBe(0);
+  });
+
+  test('should ignore the permission for non-staff users', async () => {
+    await User.updateOne({ _id: neighbour._id }, { permissions: ['unmask_reporters'] });
+
+    const response = await request(app)
+      .post(`/api/reports/${report._id}/reporter/unmask`)
+      .send({ reason: 'Police have asked for a witness statement' });
+
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,273 @@
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const reportRoutes = require('../routes/reports');
+const ReportCaseService = require('../services/ReportCaseService');
+const NotificationService = require('../services/NotificationService');
+const Report = require('../models/Report');
+const User = require('../models/User');
+const Neighbourhood = require('../models/Neighbourhood');
+const AuditLog = require('../models/AuditLog');
+
+let mongoServer;
+let app;
+let currentUser;
+let twoFactorVerified;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  app = express();
+  app.use(express.json());
+
+  // Mock auth middleware
+  app.use((req, res, next) => {
+    req.user = { userId: currentUser._id, role: currentUser.role, twoFactorVerified };
+    next();
+  });
+
+  app.use('/api/reports', reportRoutes);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await Report.deleteMany({});
+  await User.deleteMany({});
+  await Neighbourhood.deleteMany({});
+  await AuditLog.deleteMany({});
+  twoFactorVerified = true;
+  vi.spyOn(NotificationService, 'createNotification').mockResolvedValue(null);
+});
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('Report Case Workflow', () => {
+  let neighbourhood, resident, moderator, otherModerator, outsider, report;
+
+  const createUser = (email, role, neighbourhoodId) => User.create({
+    email,
+    password: 'password123',
+    firstName: email.split('@')[0],
+    lastName: 'User',
+    role,
+    neighbourhoodId
+  });
+
+  beforeEach(async () => {
+    neighbourhood = await Neighbourhood.create({
+      name: 'Elm Street',
+      location: { type: 'Point', coordinates: [-75.0, 40.0] },
+      createdBy: new mongoose.Types.ObjectId()
+    });
+
+    resident = await createUser('resident@example.com', 'user', neighbourhood._id);
+    moderator = await createUser('moderator@example.com', 'moderator', neighbourhood._id);
+    otherModerator = await createUser('second@example.com', 'moderator', neighbourhood._id);
+    outsider = await createUser('outsider@example.com', 'moderator', new mongoose.Types.ObjectId());
+
+    report = await Report.create({
+      title: 'Broken streetlight',
+      description: 'The light on the corner is out',
+      category: 'maintenance',
+      priority: 'high',
+      neighbourhoodId: neighbourhood._id,
+      reporterId: resident._id
+    });
+
+    currentUser = moderator;
+  });
+
+  test('should set a due-by date from the priority and start the history', async () => {
+    const stored = await Report.findById(report._id).select('+statusHistory');
+    const hours = (stored.sla.dueBy - stored.createdAt) / (60 * 60 * 1000);
+
+    expect(hours).toBe(24);
+    expect(stored.statusHistory).toHaveLength(1);
+    expect(stored.statusHistory[0].event).toBe('created');
+  });
+
+  test('should record status changes with notes in the history', async () => {
+    await request(app)
+      .patch(`/api/reports/${report._id}/status`)
+      .send({ status: 'in-progress', note: 'Called the council' })
+      .expect(200);
+
+    const response = await request(app)
+      .patch(`/api/reports/${report._id}/status`)
+      .send({ status: 'resolved', note: 'Light replaced' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.resolvedAt).toBeTruthy();
+
+    const caseResponse = await request(app).get(`/api/reports/${report._id}/case`);
+    const changes = caseResponse.body.statusHistory.filter(entry => entry.event === 'status_change');
+    expect(changes.map(entry => [entry.fromStatus, entry.toStatus, entry.note])).toEqual([
+      ['open', 'in-progress', 'Called the council'],
+      ['in-progress', 'resolved', 'Light replaced']
+    ]);
+    expect(await AuditLog.countDocuments({ action: 'report_status_change' })).toBe(2);
+
+    // The reporter hears about the new status but not the internal note
+    const reporterNotifications = NotificationService.createNotification.mock.calls
+      .map(([notification]) => notification)
+      .filter(notification => notification.recipient === resident._id.toString());
+    expect(reporterNotifications).toHaveLength(2);
+    reporterNotifications.forEach(notification => {
+      expect(notification.content).not.toMatch(/council|replaced/i);
+    });
+  });
+
+  test('should assign and reassign reports to neighbourhood moderators', async () => {
+    await request(app)
+      .put(`/api/reports/${report._id}/assignment`)
+      .send({ assigneeId: moderator._id.toString() })
+      .expect(200);
+
+    const response = await request(app)
+      .put(`/api/reports/${report._id}/assignment`)
+      .send({ assigneeId: otherModerator._id.toString(), note: 'Covering while away' });
+
+    expect(response.status).toBe(200);
+
+    const stored = await Report.findById(report._id).select('+statusHistory');
+    expect(stored.assignedTo.toString()).toBe(otherModerator._id.toString());
+    expect(stored.statusHistory.filter(entry => entry.event === 'assignment')).toHaveLength(2);
+    expect(NotificationService.createNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ recipient: otherModerator._id.toString(), type: 'report' })
+    );
+  });
+
+  test('should reassign through the status route when the status is unchanged', async () => {
+    const response = await request(app)
+      .patch(`/api/reports/${report._id}/status`)
+      .send({ status: 'open', assignedTo: otherModerator._id.toString() });
+
+    expect(response.status).toBe(200);
+    expect(response.body.status).toBe('open');
+
+    const stored = await Report.findById(report._id);
+    expect(stored.assignedTo.toString()).toBe(otherModerator._id.toString());
+    expect(await AuditLog.countDocuments({ action: 'report_status_change' })).toBe(0);
+  });
+
+  test('should reject invalid report IDs', async () => {
+    const responses = await Promise.all([
+      request(app).patch('/api/reports/not-an-id/status').send({ status: 'closed' }),
+      request(app).put('/api/reports/not-an-id/assignment').send({ assigneeId: null }),
+      request(app).get('/api/reports/not-an-id/case'),
+      request(app).post('/api/reports/not-an-id/internal-comments').send({ content: 'Checked' })
+    ]);
+
+    expect(responses.map(response => response.status)).toEqual([400, 400, 400, 400]);
+  });
+
+  test('should need a two-factor session to remove someone else\'s report', async () => {
+    currentUser = await createUser('admin@example.com', 'admin', neighbourhood._id);
+    twoFactorVerified = false;
+
+    const refused = await request(app).delete(`/api/reports/${report._id}`);
+    expect(refused.status).toBe(403);
+    expect(refused.body.code).toBe('TWO_FACTOR_SETUP_REQUIRED');
+    expect((await Report.findById(report._id)).reportStatus).not.toBe('removed');
+
+    twoFactorVerified = true;
+    const removed = await request(app).delete(`/api/reports/${report._id}`);
+    expect(removed.status).toBe(200);
+  });
+
+  test('should let reporters remove their own report without two-factor', async () => {
+    currentUser = resident;
+    twoFactorVerified = false;
+
+    const response = await request(app).delete(`/api/reports/${report._id}`);
+    expect(response.status).toBe(200);
+  });
+
+  test('should not assign reports to users who cannot moderate the neighbourhood', async () => {
+    const response = await request(app)
+      .put(`/api/reports/${report._id}/assignment`)
+      .send({ assigneeId: resident._id.toString() });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('should not let moderators of other neighbourhoods manage the report', async () => {
+    currentUser = outsider;
+
+    const response = await request(app)
+      .patch(`/api/reports/${report._id}/status`)
+      .send({ status: 'closed' });
+
+    expect(response.status).toBe(403);
+  });
+
+  test('should keep internal comments out of the public report', async () => {
+    const commentResponse = await request(app)
+      .post(`/api/reports/${report._id}/internal-comments`)
+      .send({ content: 'Reporter has filed three of these this week' });
+
+    expect(commentResponse.status).toBe(201);
+    expect(commentResponse.body.comment.user.firstName).toBe('moderator');
+
+    currentUser = resident;
+    const publicResponse = await request(app).get(`/api/reports/${report._id}`);
+
+    expect(publicResponse.status).toBe(200);
+    expect(publicResponse.body.internalComments).toBeUndefined();
+    expect(publicResponse.body.statusHistory).toBeUndefined();
+
+    const caseResponse = await request(app).get(`/api/reports/${report._id}/case`);
+    expect(caseResponse.status).toBe(403);
+  });
+
+  test('should list the moderator\'s assigned reports, soonest due first', async () => {
+    const urgent = await Report.create({
+      title: 'Gate left open',
+      description: 'The park gate is open',
+      category: 'security',
+      priority: 'urgent',
+      neighbourhoodId: neighbourhood._id,
+      reporterId: resident._id
+    });
+
+    await ReportCaseService.assign(report._id, moderator._id, moderator._id);
+    await ReportCaseService.assign(urgent._id, moderator._id, moderator._id);
+
+    const response = await request(app).get('/api/reports/assigned/me');
+
+    expect(response.status).toBe(200);
+    expect(response.body.total).toBe(2);
+    expect(response.body.reports.map(r => r.title)).toEqual(['Gate left open', 'Broken streetlight']);
+  });
+
+  test('should escalate overdue reports once and notify moderators', async () => {
+    await ReportCaseService.assign(report._id, moderator._id, otherModerator._id);
+    NotificationService.createNotification.mockClear();
+
+    const later = new Date(Date.now() + 25 * 60 * 60 * 1000);
+    expect(await ReportCaseService.escalateOverdue(later)).toBe(1);
+    expect(await ReportCaseService.escalateOverdue(later)).toBe(0);
+
+    const stored = await Report.findById(report._id).select('+statusHistory');
+    expect(stored.sla.escalationCount).toBe(1);
+    expect(stored.statusHistory.some(entry => entry.event === 'escalation')).toBe(true);
+
+    const recipients = NotificationService.createNotification.mock.calls.map(([data]) => data.recipient);
+    expect(recipients.sort()).toEqual([moderator._id.toString(), otherModerator._id.toString()].sort());
+  });
+
+  test('should not escalate reports that are already resolved', async () => {
+    await ReportCaseService.changeStatus(report._id, moderator._id, 'resolved');
+
+    const later = new Date(Date.now() + 25 * 60 * 60 * 1000);
+    expect(await ReportCaseService.escalateOverdue(later)).toBe(0);
+  });
+});
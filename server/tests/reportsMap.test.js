@@ -0,0 +1,130 @@
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const reportRoutes = require('../routes/reports');
+const Report = require('../models/Report');
+const User = require('../models/User');
+
+let mongoServer;
+let app;
+let currentUserId;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+  await Report.syncIndexes();
+
+  app = express();
+  app.use(express.json());
+
+  // Mock auth middleware
+  app.use((req, res, next) => {
+    req.user = { userId: currentUserId, role: 'user' };
+    next();
+  });
+
+  app.use('/api/reports', reportRoutes);
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await Report.deleteMany({});
+  await User.deleteMany({});
+});
+
+describe('Report Geo Queries', () => {
+  let neighbourhoodId;
+
+  const createReport = (title, lng, lat, fields = {}) => Report.create({
+    title,
+    description: 'Something happened',
+    category: 'security',
+    neighbourhoodId,
+    reporterId: currentUserId,
+    location: {
+      address: 'Somewhere',
+      coordinates: { type: 'Point', coordinates: [lng, lat] }
+    },
+    ...fields
+  });
+
+  beforeEach(async () => {
+    neighbourhoodId = new mongoose.Types.ObjectId();
+    const user = await User.create({
+      email: 'resident@example.com',
+      password: 'password123',
+      firstName: 'Resident',
+      lastName: 'User',
+      neighbourhoodId
+    });
+    currentUserId = user._id;
+
+    await createReport('Broken gate', -75.0, 40.0);
+    await createReport('Speeding cars', -75.0001, 40.0001, { category: 'traffic', priority: 'urgent' });
+    await createReport('Loud party', -74.9, 40.1, { category: 'noise' });
+    // Reports without a position are left off the map
+    await Report.create({
+      title: 'No location',
+      description: 'Somewhere nearby',
+      category: 'other',
+      neighbourhoodId,
+      reporterId: currentUserId
+    });
+  });
+
+  test('should filter reports by bounding box', async () => {
+    const response = await request(app)
+      .get('/api/reports')
+      .query({ bbox: '-75.01,39.99,-74.99,40.01' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.map(r => r.title).sort()).toEqual(['Broken gate', 'Speeding cars']);
+  });
+
+  test('should filter reports near a point', async () => {
+    const response = await request(app)
+      .get('/api/reports')
+      .query({ lat: 40.1, lng: -74.9, radius: 500 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.map(r => r.title)).toEqual(['Loud party']);
+  });
+
+  test('should reject an invalid bounding box', async () => {
+    const response = await request(app)
+      .get('/api/reports')
+      .query({ bbox: '1,2,3' });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('should return clustered GeoJSON for the map', async () => {
+    const response = await request(app)
+      .get('/api/reports/map')
+      .query({ zoom: 12 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.type).toBe('FeatureCollection');
+    expect(response.body.total).toBe(3);
+
+    const cluster = response.body.features.find(f => f.properties.cluster);
+    expect(cluster.properties.pointCount).toBe(2);
+    expect(cluster.properties.highestPriority).toBe('urgent');
+  });
+
+  test('should limit the map to a time window', async () => {
+    await Report.collection.updateOne({ title: 'Loud party' }, { $set: { createdAt: new Date('2020-01-01') } });
+
+    const response = await request(app)
+      .get('/api/reports/map')
+      .query({ zoom: 18, since: '2021-01-01T00:00:00.000Z' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.features.map(f => f.properties.title).sort()).toEqual(['Broken gate', 'Speeding cars']);
+  });
+});
@@ -13,6 +13,8 @@ const Report = require('../models/Report');
 const ChatGroup = require('../models/ChatGroup');
 const PrivateChat = require('../models/PrivateChat');
 const Message = require('../models/Message');
+const BlockingService = require('../services/BlockingService');
+const PrivacyService = require('../services/PrivacyService');
 
 // Mock the database wrapper
 vi.mock('../utils/dbOperationWrapper', () => ({
@@ -38,6 +40,8 @@ describe('SearchService', () => {
     PrivateChat.aggregate = vi.fn().mockResolvedValue([]);
     PrivateChat.find = vi.fn().mockResolvedValue([]);
     Message.aggregate = vi.fn().mockResolvedValue([]);
+    BlockingService.getExcludedUserIds = vi.fn().mockResolvedValue([]);
+    PrivacyService.getPolicyUser = vi.fn().mockResolvedValue(null);
   });
 
   afterEach(() => {
@@ -79,6 +83,40 @@ describe('SearchService', () => {
       expect(projectStage.$project).toHaveProperty('firstName');
       expect(projectStage.$project).toHaveProperty('lastName');
     });
+
+    it('should exclude users on either side of a block', async () => {
+      const blockedUserId = new mongoose.Types.ObjectId();
+      BlockingService.getExcludedUserIds.mockResolvedValue([blockedUserId]);
+
+      await searchService.searchUsers('john', { userId: mockUserId, neighbourhoodId: mockNeighbourhoodId });
+
+      expect(BlockingService.getExcludedUserIds).toHaveBeenCalledWith(mockUserId);
+      const pipeline = User.aggregate.mock.calls[0][0];
+      const matchStage = pipeline.find(stage => stage.$match && stage.$match.neighbourhoodId);
+      expect(matchStage.$match._id.$nin).toEqual([blockedUserId]);
+    });
+
+    it('should leave out users whose profile visibility hides them from the searcher', async () => {
+      const friendId = new mongoose.Types.ObjectId();
+      PrivacyService.getPolicyUser.mockResolvedValue({
+        _id: mockUserId,
+        role: 'user',
+        neighbourhoodId: mockNeighbourhoodId,
+        friends: [friendId]
+      });
+
+      await searchService.searchUsers('john', { userId: mockUserId, neighbourhoodId: mockNeighbourhoodId });
+
+      const pipeline = User.aggregate.mock.calls[0][0];
+      const visibilityStage = pipeline.find(stage =>
+        stage.$match?.$or?.some(condition => 'settings.privacy.profileVisibility' in condition)
+      );
+      expect(visibilityStage.$match.$or).toEqual([
+        { 'settings.privacy.profileVisibility': 'public' },
+        { 'settings.privacy.profileVisibility': { $in: ['public', 'neighbours', null] }, neighbourhoodId: mockNeighbourhoodId },
+        { 'settings.privacy.profileVisibility': { $ne: 'private' }, _id: { $in: [friendId] } }
+      ]);
+    });
   });
 
   describe('searchNotices', () => {
@@ -0,0 +1,171 @@
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const authRoutes = require('../routes/auth');
+const { authenticateToken } = require('../middleware/auth');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+let mongoServer;
+let app;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+  await Session.syncIndexes();
+
+  app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  app.get('/api/protected', authenticateToken, (req, res) => res.json({ sessionId: req.user.sessionId }));
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Session.deleteMany({});
+  await User.create({
+    email: 'user@example.com',
+    password: 'password123',
+    firstName: 'Test',
+    lastName: 'User'
+  });
+});
+
+describe('Sessions', () => {
+  const login = (userAgent = 'Mozilla/5.0 (Windows NT 10.0) Chrome/120.0 Safari/537.36') => request(app)
+    .post('/api/auth/login')
+    .set('User-Agent', userAgent)
+    .send({ email: 'user@example.com', password: 'password123' });
+
+  const refresh = refreshToken => request(app)
+    .post('/api/auth/refresh')
+    .send({ refreshToken });
+
+  const getProtected = token => request(app)
+    .get('/api/protected')
+    .set('Authorization', `Bearer ${token}`);
+
+  test('should issue an access token tied to a session and an opaque refresh token', async () => {
+    const response = await login();
+
+    expect(response.status).toBe(200);
+    expect(response.body.refreshToken).toEqual(expect.any(String));
+    expect(response.body.refreshToken.split('.')).toHaveLength(1);
+
+    const session = await Session.findOne().select('+tokenHash');
+    expect(session.tokenHash).not.toBe(response.body.refreshToken);
+    expect(session.deviceName).toBe('Chrome on Windows');
+
+    const protectedResponse = await getProtected(response.body.token);
+    expect(protectedResponse.body.sessionId).toBe(session._id.toString());
+  });
+
+  test('should rotate the refresh token on every refresh', async () => {
+    const { body } = await login();
+
+    const first = await refresh(body.refreshToken);
+    expect(first.status).toBe(200);
+    expect(first.body.refreshToken).not.toBe(body.refreshToken);
+
+    const second = await refresh(first.body.refreshToken);
+    expect(second.status).toBe(200);
+    expect((await getProtected(second.body.token)).status).toBe(200);
+  });
+
+  test('should revoke the session when a rotated-out refresh token is reused', async () => {
+    const { body } = await login();
+    const rotated = await refresh(body.refreshToken);
+
+    const reuse = await refresh(body.refreshToken);
+    expect(reuse.status).toBe(401);
+
+    const session = await Session.findOne();
+    expect(session.revokedReason).toBe('reuse_detected');
+
+    // The legitimate holder's newer tokens stop working too
+    expect((await refresh(rotated.body.refreshToken)).status).toBe(401);
+    expect((await getProtected(rotated.body.token)).status).toBe(401);
+  });
+
+  test('should reject unknown refresh tokens', async () => {
+    const response = await refresh('not-a-real-token');
+
+    expect(response.status).toBe(401);
+    expect(response.body.message).toBe('Invalid refresh token');
+  });
+
+  test('should revoke the session on logout', async () => {
+    const { body } = await login();
+
+    await request(app).post('/api/auth/logout').send({ refreshToken: body.refreshToken }).expect(200);
+
+    expect((await getProtected(body.token)).status).toBe(401);
+    expect((await refresh(body.refreshToken)).status).toBe(401);
+  });
+
+  test('should list sessions and revoke one of them', async () => {
+    const laptop = await login();
+    const phone = await login('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) Safari/604.1');
+
+    const list = await request(app)
+      .get('/api/auth/sessions')
+      .set('Authorization', `Bearer ${laptop.body.token}`);
+
+    expect(list.status).toBe(200);
+    expect(list.body.sessions).toHaveLength(2);
+    const current = list.body.sessions.find(session => session.current);
+    const other = list.body.sessions.find(session => !session.current);
+    expect(current.deviceName).toBe('Chrome on Windows');
+    expect(other.deviceName).toBe('Safari on iOS');
+
+    await request(app)
+      .delete(`/api/auth/sessions/${other.id}`)
+      .set('Authorization', `Bearer ${laptop.body.token}`)
+      .expect(200);
+
+    expect((await getProtected(phone.body.token)).status).toBe(401);
+    expect((await getProtected(laptop.body.token)).status).toBe(200);
+  });
+
+  test('should not revoke another user\'s session', async () => {
+    const { body } = await login();
+    const session = await Session.findOne();
+
+    await User.create({
+      email: 'other@example.com',
+      password: 'password123',
+      firstName: 'Other',
+      lastName: 'User'
+    });
+    const other = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'other@example.com', password: 'password123' });
+
+    const response = await request(app)
+      .delete(`/api/auth/sessions/${session._id}`)
+      .set('Authorization', `Bearer ${other.body.token}`);
+
+    expect(response.status).toBe(404);
+    expect((await getProtected(body.token)).status).toBe(200);
+  });
+
+  test('should log out everywhere', async () => {
+    const laptop = await login();
+    const phone = await login();
+
+    const response = await request(app)
+      .post('/api/auth/logout-all')
+      .set('Authorization', `Bearer ${laptop.body.token}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.sessionsRevoked).toBe(2);
+    expect((await getProtected(laptop.body.token)).status).toBe(401);
+    expect((await refresh(phone.body.refreshToken)).status).toBe(401);
+  });
+});
@@ -0,0 +1,58 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpAuthUrl
+} = require('../utils/totp');
+
+// RFC 6238 appendix B uses this ASCII secret for its SHA-1 test vectors
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP utilities', () => {
+  test('should round-trip base32', () => {
+    const bytes = Buffer.from('neighbourhood watch');
+    expect(base32Decode(base32Encode(bytes)).equals(bytes)).toBe(true);
+    expect(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq')).toEqual(Buffer.from('12345678901234567890'));
+  });
+
+  test('should generate 160-bit secrets', () => {
+    const secret = generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(generateSecret()).not.toBe(secret);
+  });
+
+  test('should match the RFC 6238 test vectors', () => {
+    // The RFC lists 8-digit codes; authenticators use the last 6
+    expect(generateCode(RFC_SECRET, Math.floor(59 / 30))).toBe('287082');
+    expect(generateCode(RFC_SECRET, Math.floor(1111111109 / 30))).toBe('081804');
+    expect(generateCode(RFC_SECRET, Math.floor(1234567890 / 30))).toBe('005924');
+  });
+
+  test('should accept codes from the neighbouring time steps only', () => {
+    const now = 1111111109 * 1000;
+    const step = Math.floor(1111111109 / 30);
+
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step), { now })).toBe(step);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { now })).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { now })).toBe(step + 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), { now })).toBeNull();
+  });
+
+  test('should reject malformed codes', () => {
+    expect(verifyCode(RFC_SECRET, '12345')).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef')).toBeNull();
+    expect(verifyCode(RFC_SECRET, undefined)).toBeNull();
+  });
+
+  test('should build an otpauth URL authenticator apps understand', () => {
+    const url = new URL(buildOtpAuthUrl(RFC_SECRET, 'admin@example.com', 'neibrly'));
+
+    expect(url.protocol).toBe('otpauth:');
+    expect(url.host).toBe('totp');
+    expect(decodeURIComponent(url.pathname)).toBe('/neibrly:admin@example.com');
+    expect(url.searchParams.get('secret')).toBe(RFC_SECRET);
+    expect(url.searchParams.get('issuer')).toBe('neibrly');
+  });
+});
@@ -0,0 +1,266 @@
+const request = require('supertest');
+const express = require('express');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const authRoutes = require('../routes/auth');
+const adminRoutes = require('../routes/admin');
+const userRoutes = require('../routes/users');
+const { authenticateToken } = require('../middleware/auth');
+const { requireModerator } = require('../middleware/adminAuth');
+const { generateCode, getTimeStep } = require('../utils/totp');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const LoginAttempt = require('../models/LoginAttempt');
+const LoginThrottle = require('../models/LoginThrottle');
+
+let mongoServer;
+let app;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+  await Session.syncIndexes();
+
+  app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  app.use('/api/admin', adminRoutes);
+  app.use('/api/users', authenticateToken, userRoutes);
+  app.get('/api/moderation-tools', authenticateToken, requireModerator, (req, res) => res.json({ ok: true }));
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  await User.deleteMany({});
+  await Session.deleteMany({});
+  await AuditLog.deleteMany({});
+  await LoginAttempt.deleteMany({});
+  await LoginThrottle.deleteMany({});
+});
+
+describe('Two-factor authentication', () => {
+  const createUser = (email, role) => User.create({
+    email,
+    password: 'password123',
+    firstName: email.split('@')[0],
+    lastName: 'User',
+    role
+  });
+
+  const login = email => request(app)
+    .post('/api/auth/login')
+    .send({ email, password: 'password123' });
+
+  // Enrol a user and return their secret, backup codes and verified token
+  const enrol = async (email) => {
+    const { body: { token } } = await login(email);
+    const setup = await request(app)
+      .post('/api/auth/2fa/setup')
+      .set('Authorization', `Bearer ${token}`);
+
+    const confirm = await request(app)
+      .post('/api/auth/2fa/verify')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: generateCode(setup.body.secret) });
+
+    return { secret: setup.body.secret, backupCodes: confirm.body.backupCodes, token: confirm.body.token };
+  };
+
+  // A code for the next time step, so it isn't rejected as a replay of the enrolment code
+  const nextCode = secret => generateCode(secret, getTimeStep() + 1);
+
+  test('should enrol with a QR code and hand out backup codes once', async () => {
+    await createUser('moderator@example.com', 'moderator');
+    const { body: { token } } = await login('moderator@example.com');
+
+    const setup = await request(app)
+      .post('/api/auth/2fa/setup')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(setup.status).toBe(200);
+    expect(setup.body.qrCode).toMatch(/^data:image\/png;base64,/);
+    expect(setup.body.otpauthUrl).toContain(setup.body.secret);
+
+    const wrong = await request(app)
+      .post('/api/auth/2fa/verify')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: '000000' });
+    expect(wrong.status).toBe(400);
+
+    const confirm = await request(app)
+      .post('/api/auth/2fa/verify')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: generateCode(setup.body.secret) });
+
+    expect(confirm.status).toBe(200);
+    expect(confirm.body.backupCodes).toHaveLength(10);
+
+    const status = await request(app)
+      .get('/api/auth/2fa')
+      .set('Authorization', `Bearer ${token}`);
+    expect(status.body).toMatchObject({ enabled: true, required: true, backupCodesRemaining: 10 });
+
+    const user = await User.findOne({ email: 'moderator@example.com' }).select('+twoFactor.backupCodes');
+    expect(user.twoFactor.backupCodes[0].codeHash).not.toBe(confirm.body.backupCodes[0]);
+    expect(JSON.stringify(user.toJSON())).not.toContain('codeHash');
+  });
+
+  test('should ask for a second step at login and accept an authenticator code', async () => {
+    await createUser('moderator@example.com', 'moderator');
+    const { secret } = await enrol('moderator@example.com');
+
+    const firstStep = await login('moderator@example.com');
+    expect(firstStep.status).toBe(200);
+    expect(firstStep.body.requiresTwoFactor).toBe(true);
+    expect(firstStep.body.token).toBeUndefined();
+
+    const secondStep = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: firstStep.body.challengeToken, code: nextCode(secret) });
+
+    expect(secondStep.status).toBe(200);
+    expect(secondStep.body.refreshToken).toEqual(expect.any(String));
+    expect(secondStep.body.user.email).toBe('moderator@example.com');
+
+    const tools = await request(app)
+      .get('/api/moderation-tools')
+      .set('Authorization', `Bearer ${secondStep.body.token}`);
+    expect(tools.status).toBe(200);
+  });
+
+  test('should accept each backup code once', async () => {
+    await createUser('moderator@example.com', 'moderator');
+    const { backupCodes } = await enrol('moderator@example.com');
+
+    const first = await login('moderator@example.com');
+    const used = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: first.body.challengeToken, code: backupCodes[0].toUpperCase() });
+    expect(used.status).toBe(200);
+
+    const second = await login('moderator@example.com');
+    const reused = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken: second.body.challengeToken, code: backupCodes[0] });
+    expect(reused.status).toBe(401);
+  });
+
+  test('should lock the challenge after too many wrong codes', async () => {
+    await createUser('moderator@example.com', 'moderator');
+    const { secret } = await enrol('moderator@example.com');
+    const { body: { challengeToken } } = await login('moderator@example.com');
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      await request(app).post('/api/auth/login/2fa').send({ challengeToken, code: '000000' });
+    }
+
+    const response = await request(app)
+      .post('/api/auth/login/2fa')
+      .send({ challengeToken, code: nextCode(secret) });
+
+    // Wrong codes count towards the account lockout too
+    expect(response.status).toBe(429);
+    expect(response.headers['retry-after']).toBeDefined();
+
+    const failures = await LoginAttempt.countDocuments({ failureReason: 'invalid_two_factor_code' });
+    expect(failures).toBe(5);
+  });
+
+  test('should carry wrong code attempts over to a new challenge', async () => {
+    await createUser('moderator@example.com', 'moderator');
+    await enrol('moderator@example.com');
+    const first = await login('moderator@example.com');
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await request(app).post('/api/auth/login/2fa').send({ challengeToken: first.body.challengeToken, code: '000000' });
+    }
+
+    const second = await login('moderator@example.com');
+    expect(second.body.challengeToken).not.toBe(first.body.challengeToken);
+
+    const user = await User.findOne({ email: 'moderator@example.com' });
+    expect(user.twoFactor.challenge.attempts).toBe(3);
+  });
+
+  test('should keep moderators without two-factor out of moderation tools', async () => {
+    await createUser('moderator@example.com', 'moderator');
+    const { body: { token } } = await login('moderator@example.com');
+
+    const response = await request(app)
+      .get('/api/moderation-tools')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('TWO_FACTOR_SETUP_REQUIRED');
+  });
+
+  test('should keep admins who skipped two-factor at login from changing roles', async () => {
+    const user = await createUser('user@example.com', 'user');
+    await createUser('admin@example.com', 'admin');
+    const { body: { token } } = await login('admin@example.com');
+
+    const response = await request(app)
+      .patch(`/api/users/${user._id}/role`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ role: 'moderator' });
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('TWO_FACTOR_SETUP_REQUIRED');
+    expect((await User.findById(user._id)).role).toBe('user');
+  });
+
+  test('should count the enrolling device as verified', async () => {
+    await createUser('moderator@example.com', 'moderator');
+    const { token } = await enrol('moderator@example.com');
+
+    const response = await request(app)
+      .get('/api/moderation-tools')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(response.status).toBe(200);
+  });
+
+  test('should not let moderators turn two-factor off', async () => {
+    await createUser('moderator@example.com', 'moderator');
+    const { secret, token } = await enrol('moderator@example.com');
+
+    const response = await request(app)
+      .post('/api/auth/2fa/disable')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ code: nextCode(secret) });
+
+    expect(response.status).toBe(403);
+  });
+
+  test('should let an admin reset a user\'s two-factor and audit it', async () => {
+    const moderator = await createUser('moderator@example.com', 'moderator');
+    await createUser('admin@example.com', 'admin');
+    await enrol('moderator@example.com');
+    const { token: adminToken } = await enrol('admin@example.com');
+
+    const response = await request(app)
+      .post(`/api/admin/users/${moderator._id}/2fa/reset`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ reason: 'Lost phone' });
+
+    expect(response.status).toBe(200);
+
+    const updated = await User.findById(moderator._id);
+    expect(updated.twoFactor?.enabled).not.toBe(true);
+    expect(await Session.countDocuments({ userId: moderator._id, revokedAt: { $exists: false } })).toBe(0);
+
+    const log = await AuditLog.findOne({ action: 'user_2fa_reset' });
+    expect(log.targetId.toString()).toBe(moderator._id.toString());
+    expect(log.details.reason).toBe('Lost phone');
+
+    // Signing in now only needs the password again
+    const relogin = await login('moderator@example.com');
+    expect(relogin.body.requiresTwoFactor).toBeUndefined();
+    expect(relogin.body.token).toEqual(expect.any(String));
+  });
+});
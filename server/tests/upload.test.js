@@ -283,7 +283,7 @@ describe('File Upload Routes', () => {
 });
 
 describe('Upload Utility Functions', () => {
-  const { getFileType, formatFileInfo } = require('../middleware/upload');
+  const { getFileType, formatFileInfo, formatPrivateFileInfo, resolvePrivateFile } = require('../middleware/upload');
 
   test('should correctly identify file types', () => {
     expect(getFileType('image/jpeg')).toBe('image');
@@ -307,4 +307,20 @@ describe('Upload Utility Functions', () => {
     expect(fileInfo.size).toBe(1024);
     expect(fileInfo.url).toContain('/uploads/');
   });
-});
\ No newline at end of file
+
+  test('should keep private files out of the public uploads root', () => {
+    const mockFile = {
+      originalname: 'bill.pdf',
+      mimetype: 'application/pdf',
+      size: 2048,
+      path: path.join('private_uploads', 'verification', 'bill-123.pdf')
+    };
+
+    const fileInfo = formatPrivateFileInfo(mockFile);
+
+    expect(fileInfo.url).toBeUndefined();
+    expect(fileInfo.path).toBe('verification/bill-123.pdf');
+    expect(resolvePrivateFile(fileInfo.path)).toBe(path.resolve('private_uploads', 'verification', 'bill-123.pdf'));
+    expect(() => resolvePrivateFile('../uploads/profiles/x.png')).toThrow();
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Action token utilities
+ *
+ * Action tokens are short-lived JWTs emailed to users for one-off actions
+ * like resetting a password or verifying an email address. Each purpose is
+ * signed with its own key derived from the app secret, so an action token can
+ * never be accepted as an access token (or for a different action). Only a
+ * hash of the token's ID is stored on the user, which makes tokens single-use
+ * and lets a newer token invalidate older ones.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const getSigningKey = (purpose) => `${process.env.JWT_SECRET || 'fallback_secret'}:${purpose}`;
+
+/**
+ * Hash a token ID for storage
+ * @param {string} tokenId - Token ID (the JWT's jti)
+ * @returns {string} SHA-256 hex digest
+ */
+const hashTokenId = (tokenId) => crypto.createHash('sha256').update(tokenId).digest('hex');
+
+/**
+ * Create an action token
+ * @param {string} userId - ID of the user the token is for
+ * @param {string} purpose - What the token can be used for, e.g. 'password_reset'
+ * @param {number} ttlMinutes - How long the token is valid
+ * @returns {Object} { token, tokenHash, expiresAt }
+ */
+const createActionToken = (userId, purpose, ttlMinutes) => {
+  const tokenId = crypto.randomBytes(32).toString('hex');
+  const token = jwt.sign(
+    { userId, purpose, jti: tokenId },
+    getSigningKey(purpose),
+    { expiresIn: `${ttlMinutes}m` }
+  );
+
+  return {
+    token,
+    tokenHash: hashTokenId(tokenId),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+  };
+};
+
+/**
+ * Verify an action token's signature, expiry and purpose
+ * The caller still has to check the returned hash against the stored one.
+ * @param {string} token - Token to verify
+ * @param {string} purpose - Expected purpose
+ * @returns {Object|null} { userId, tokenHash } or null if the token is invalid
+ */
+const verifyActionToken = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(token, getSigningKey(purpose));
+
+    if (decoded.purpose !== purpose || !decoded.jti) {
+      return null;
+    }
+
+    return { userId: decoded.userId, tokenHash: hashTokenId(decoded.jti) };
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  createActionToken,
+  verifyActionToken,
+  hashTokenId
+};
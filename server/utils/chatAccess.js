@@ -0,0 +1,106 @@
+/**
+ * Chat access utilities
+ *
+ * Resolves a chat ID to either a group or a private chat the user belongs to,
+ * so routes that work on "any chat" don't have to repeat the membership
+ * checks for both chat types.
+ */
+
+const mongoose = require('mongoose');
+const ChatGroup = require('../models/ChatGroup');
+const PrivateChat = require('../models/PrivateChat');
+
+/**
+ * Find a chat the user has access to
+ * @param {string} chatId - Group or private chat ID
+ * @param {string} userId - ID of the user
+ * @param {string} [chatType] - Restrict lookup to 'group' or 'private'
+ * @returns {Promise<Object|null>} { chatType, chat, role } or null if not found / not a member
+ */
+const findChatForUser = async (chatId, userId, chatType) => {
+  if (!mongoose.Types.ObjectId.isValid(chatId)) {
+    return null;
+  }
+
+  if (!chatType || chatType === 'group') {
+    const group = await ChatGroup.findOne({
+      _id: chatId,
+      'members.userId': userId,
+      isActive: true
+    });
+
+    if (group) {
+      const member = group.members.find(m => m.userId.toString() === userId.toString());
+      return { chatType: 'group', chat: group, role: member?.role || 'member' };
+    }
+  }
+
+  if (!chatType || chatType === 'private') {
+    const privateChat = await PrivateChat.findOne({
+      _id: chatId,
+      participants: userId,
+      isActive: true
+    });
+
+    if (privateChat) {
+      return { chatType: 'private', chat: privateChat, role: 'member' };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check whether a user can manage a chat (pin messages, change chat settings)
+ * Group chats require a group admin/moderator or a site admin/moderator;
+ * either participant can manage a private chat.
+ * @param {Object} access - Result of findChatForUser
+ * @param {string} userRole - The user's site-wide role
+ * @returns {boolean} True if the user can manage the chat
+ */
+const canManageChat = (access, userRole) => {
+  if (!access) return false;
+  if (access.chatType === 'private') return true;
+  if (['admin', 'moderator'].includes(userRole)) return true;
+  return ['admin', 'moderator'].includes(access.role);
+};
+
+/**
+ * Get the user IDs that should receive events for a chat
+ * @param {Object} access - Result of findChatForUser
+ * @returns {Array<string>} User IDs
+ */
+const getChatMemberIds = (access) => {
+  if (access.chatType === 'group') {
+    return access.chat.members.map(m => m.userId.toString());
+  }
+  return access.chat.participants.map(p => p.toString());
+};
+
+/**
+ * Emit a socket event to everyone in a chat
+ * Group chats use the group room; private chats go to each participant's user room.
+ * @param {Object} io - Socket.io server instance
+ * @param {Object} access - Result of findChatForUser
+ * @param {string} event - Event name
+ * @param {Object} payload - Event payload
+ */
+const emitToChat = (io, access, event, payload) => {
+  if (!io || !access) return;
+
+  if (access.chatType === 'group') {
+    io.to(`group_${access.chat._id}`).emit(event, payload);
+    return;
+  }
+
+  access.chat.participants.forEach(participantId => {
+    io.to(`user_${participantId}`).emit(event, payload);
+  });
+};
+
+module.exports = {
+  findChatForUser,
+  canManageChat,
+  getChatMemberIds,
+  emitToChat
+};
@@ -0,0 +1,68 @@
+/**
+ * Client message ID utilities
+ *
+ * Clients tag each message they send with an ID of their own, unique per
+ * sender and chat. A retried send (HTTP retry, outbox replay, or the socket
+ * echo of a message already posted over HTTP) carries the same ID, so it is
+ * answered with the message the first attempt created instead of a duplicate.
+ */
+
+const Message = require('../models/Message');
+
+// Temp IDs, UUIDs and similar; the same characters Idempotency-Key accepts
+const CLIENT_MESSAGE_ID_PATTERN = /^[A-Za-z0-9_.:-]{8,128}$/;
+
+/**
+ * Check a client message ID's format
+ * @param {*} value - Value sent by the client
+ * @returns {boolean} True if the value can be used as a client message ID
+ */
+const isValidClientMessageId = (value) => {
+  return typeof value === 'string' && CLIENT_MESSAGE_ID_PATTERN.test(value);
+};
+
+/**
+ * Find the message a sender already created under a client message ID
+ * @param {string} senderId - ID of the sender
+ * @param {string} chatId - Group or private chat ID
+ * @param {string} [clientMessageId] - Client message ID; no lookup is made without one
+ * @returns {Promise<Object|null>} Message document or null
+ */
+const findByClientMessageId = async (senderId, chatId, clientMessageId) => {
+  if (!clientMessageId) {
+    return null;
+  }
+
+  return Message.findOne({ senderId, chatId, clientMessageId });
+};
+
+/**
+ * Save a new message, falling back to the one a concurrent send with the
+ * same client message ID saved first
+ * @param {Object} message - Unsaved message document
+ * @returns {Promise<Object>} { message, replayed } - replayed is true when the existing message is returned
+ */
+const saveMessageOnce = async (message) => {
+  try {
+    await message.save();
+    return { message, replayed: false };
+  } catch (error) {
+    const isDuplicate = error.code === 11000 && Boolean(error.keyPattern?.clientMessageId);
+    if (!isDuplicate) {
+      throw error;
+    }
+
+    const existing = await findByClientMessageId(message.senderId, message.chatId, message.clientMessageId);
+    if (!existing) {
+      throw error;
+    }
+    return { message: existing, replayed: true };
+  }
+};
+
+module.exports = {
+  CLIENT_MESSAGE_ID_PATTERN,
+  isValidClientMessageId,
+  findByClientMessageId,
+  saveMessageOnce
+};
@@ -0,0 +1,132 @@
+/**
+ * End-to-end encryption envelope helpers
+ *
+ * Encrypted private messages carry an AES-GCM ciphertext plus the message key
+ * wrapped with each participant device's RSA public key. The server checks the
+ * envelope is well formed and addressed to the chat's participants, then
+ * stores it untouched.
+ */
+
+const ENCRYPTED_PLACEHOLDER = '[Encrypted message]';
+const ENVELOPE_VERSION = 'v1';
+
+// Sized for 1000 characters of UTF-8 text plus the GCM tag, base64 encoded
+const MAX_CIPHERTEXT_LENGTH = 8192;
+// Big enough for a key wrapped with RSA-4096
+const MAX_WRAPPED_KEY_LENGTH = 1024;
+const MAX_KEYS = 40;
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+/**
+ * Create an error the routes can turn straight into a response
+ * @param {string} message - Error message
+ * @returns {Error} Error flagged with isCustomError
+ */
+const envelopeError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.isCustomError = true;
+  return error;
+};
+
+const isBase64 = (value, maxLength) => typeof value === 'string'
+  && value.length > 0
+  && value.length <= maxLength
+  && BASE64_PATTERN.test(value);
+
+/**
+ * Validate an encryption envelope from a client and shape it for storage
+ * @param {Object} encryption - Envelope: { ciphertext, iv, senderDeviceId, keys: [{ userId, deviceId, encryptedKey }] }
+ * @param {Object} options - { senderId, participantIds }
+ * @returns {Object} Value for Message.encryption
+ */
+const buildEncryptionEnvelope = (encryption, { senderId, participantIds }) => {
+  if (!encryption || typeof encryption !== 'object') {
+    throw envelopeError('Invalid encryption envelope');
+  }
+
+  const { ciphertext, iv, senderDeviceId, keys } = encryption;
+
+  if (!isBase64(ciphertext, MAX_CIPHERTEXT_LENGTH)) {
+    throw envelopeError('Encrypted content is missing or too long');
+  }
+  // AES-GCM uses a 96-bit IV
+  if (!isBase64(iv, 24) || Buffer.from(iv, 'base64').length !== 12) {
+    throw envelopeError('Invalid initialization vector');
+  }
+  if (typeof senderDeviceId !== 'string' || !senderDeviceId || senderDeviceId.length > 100) {
+    throw envelopeError('Sender device is required');
+  }
+  if (!Array.isArray(keys) || keys.length === 0 || keys.length > MAX_KEYS) {
+    throw envelopeError('Encrypted messages need a key for each recipient device');
+  }
+
+  const participants = participantIds.map(id => id.toString());
+  const addressed = new Set();
+
+  const wrappedKeys = keys.map((key) => {
+    const userId = key?.userId?.toString();
+    if (!userId || !participants.includes(userId)) {
+      throw envelopeError('Message keys can only be addressed to chat participants');
+    }
+    if (typeof key.deviceId !== 'string' || !key.deviceId || key.deviceId.length > 100) {
+      throw envelopeError('Each message key needs a device');
+    }
+    if (!isBase64(key.encryptedKey, MAX_WRAPPED_KEY_LENGTH)) {
+      throw envelopeError('Invalid message key');
+    }
+
+    addressed.add(userId);
+    return { userId, deviceId: key.deviceId, encryptedKey: key.encryptedKey };
+  });
+
+  const unaddressed = participants.filter(id => id !== senderId.toString() && !addressed.has(id));
+  if (unaddressed.length > 0) {
+    throw envelopeError('Encrypted messages need a key for each recipient device');
+  }
+
+  return {
+    isEncrypted: true,
+    encryptionVersion: ENVELOPE_VERSION,
+    ciphertext,
+    iv,
+    senderDeviceId,
+    keys: wrappedKeys
+  };
+};
+
+/**
+ * Format a stored envelope for a response, keeping only the viewer's keys
+ * @param {Object} encryption - Message.encryption
+ * @param {string} [viewerId] - User the response is for; all keys when omitted
+ * @returns {Object|null} Envelope, or null for plain messages
+ */
+const formatEncryptionEnvelope = (encryption, viewerId) => {
+  if (!encryption?.isEncrypted) {
+    return null;
+  }
+
+  const keys = (encryption.keys || [])
+    .filter(key => !viewerId || key.userId?.toString() === viewerId.toString())
+    .map(key => ({
+      userId: key.userId,
+      deviceId: key.deviceId,
+      encryptedKey: key.encryptedKey
+    }));
+
+  return {
+    isEncrypted: true,
+    encryptionVersion: encryption.encryptionVersion || ENVELOPE_VERSION,
+    ciphertext: encryption.ciphertext || null,
+    iv: encryption.iv || null,
+    senderDeviceId: encryption.senderDeviceId || null,
+    keys
+  };
+};
+
+module.exports = {
+  ENCRYPTED_PLACEHOLDER,
+  buildEncryptionEnvelope,
+  formatEncryptionEnvelope
+};
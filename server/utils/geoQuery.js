@@ -0,0 +1,187 @@
+/**
+ * Geospatial query helpers
+ *
+ * Reports store their position as a GeoJSON Point in
+ * location.coordinates ([longitude, latitude]) with a 2dsphere index.
+ * Reports created without a position default to [0, 0], so those are
+ * always excluded from geo queries.
+ */
+
+const EARTH_RADIUS_METERS = 6378100;
+
+// Largest search radius accepted for near-point queries
+const MAX_NEAR_RADIUS_METERS = 50000;
+
+// Grid cells are sized so markers closer than this many pixels are clustered
+const CLUSTER_RADIUS_PX = 60;
+const TILE_SIZE_PX = 256;
+
+// At and beyond this zoom level every report is shown individually
+const MAX_CLUSTER_ZOOM = 17;
+
+const PRIORITY_RANK = { low: 1, medium: 2, high: 3, urgent: 4 };
+
+/**
+ * Parse a "minLng,minLat,maxLng,maxLat" bounding box
+ * @param {string} value - Bounding box string
+ * @returns {number[]|null} [minLng, minLat, maxLng, maxLat] or null if invalid
+ */
+const parseBbox = (value) => {
+  if (typeof value !== 'string') return null;
+
+  const parts = value.split(',').map(part => parseFloat(part));
+  if (parts.length !== 4 || parts.some(Number.isNaN)) return null;
+
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (minLng < -180 || maxLng > 180 || minLat < -90 || maxLat > 90) return null;
+  if (minLng >= maxLng || minLat >= maxLat) return null;
+
+  return parts;
+};
+
+/**
+ * Build a filter on a GeoJSON point field from bounding box and/or near-point options
+ * @param {Object} options - { bbox, lat, lng, radius }
+ * @param {string} field - Path of the GeoJSON point field
+ * @returns {Object} Mongo filter (empty if no geo options were given)
+ */
+const buildGeoFilter = ({ bbox, lat, lng, radius } = {}, field = 'location.coordinates') => {
+  const conditions = [];
+
+  if (bbox) {
+    const [minLng, minLat, maxLng, maxLat] = bbox;
+    conditions.push({
+      [field]: {
+        $geoWithin: {
+          $geometry: {
+            type: 'Polygon',
+            coordinates: [[
+              [minLng, minLat],
+              [maxLng, minLat],
+              [maxLng, maxLat],
+              [minLng, maxLat],
+              [minLng, minLat]
+            ]]
+          }
+        }
+      }
+    });
+  }
+
+  if (lat !== undefined && lng !== undefined) {
+    // $geoWithin (unlike $near) keeps the caller's sort order
+    conditions.push({
+      [field]: {
+        $geoWithin: { $centerSphere: [[lng, lat], radius / EARTH_RADIUS_METERS] }
+      }
+    });
+  }
+
+  if (conditions.length === 0) {
+    return {};
+  }
+
+  conditions.push({ [`${field}.coordinates`]: { $ne: [0, 0] } });
+  return { $and: conditions };
+};
+
+/**
+ * Cluster report points into GeoJSON features for a map at a given zoom level
+ * Points are bucketed into a grid whose cell size shrinks as the zoom grows.
+ * Single points become report features; buckets with several points become
+ * cluster features with per-category and per-priority counts.
+ * @param {Object[]} reports - Reports with _id, title, category, priority, status, createdAt and location
+ * @param {number} zoom - Map zoom level (0-20)
+ * @returns {Object[]} GeoJSON features
+ */
+const clusterReports = (reports, zoom) => {
+  const cellSize = zoom >= MAX_CLUSTER_ZOOM
+    ? 0
+    : (CLUSTER_RADIUS_PX * 360) / (TILE_SIZE_PX * Math.pow(2, zoom));
+
+  const cells = new Map();
+  reports.forEach(report => {
+    const [lng, lat] = report.location.coordinates.coordinates;
+    const key = cellSize
+      ? `${Math.floor(lng / cellSize)}:${Math.floor(lat / cellSize)}`
+      : report._id.toString();
+
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(report);
+  });
+
+  return [...cells.values()].map(cell => {
+    if (cell.length === 1) {
+      const report = cell[0];
+      return {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: report.location.coordinates.coordinates },
+        properties: {
+          cluster: false,
+          id: report._id,
+          title: report.title,
+          category: report.category,
+          priority: report.priority || 'medium',
+          status: report.status || 'open',
+          createdAt: report.createdAt
+        }
+      };
+    }
+
+    const categories = {};
+    const priorities = {};
+    let sumLng = 0;
+    let sumLat = 0;
+
+    cell.forEach(report => {
+      const [lng, lat] = report.location.coordinates.coordinates;
+      const priority = report.priority || 'medium';
+      sumLng += lng;
+      sumLat += lat;
+      categories[report.category] = (categories[report.category] || 0) + 1;
+      priorities[priority] = (priorities[priority] || 0) + 1;
+    });
+
+    const highestPriority = Object.keys(priorities)
+      .sort((a, b) => PRIORITY_RANK[b] - PRIORITY_RANK[a])[0];
+
+    return {
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [sumLng / cell.length, sumLat / cell.length] },
+      properties: {
+        cluster: true,
+        pointCount: cell.length,
+        categories,
+        priorities,
+        highestPriority
+      }
+    };
+  });
+};
+
+/**
+ * Work out the bounding box of a set of report points
+ * @param {Object[]} reports - Reports with location.coordinates
+ * @returns {number[]|null} [minLng, minLat, maxLng, maxLat] or null if there are none
+ */
+const getBounds = (reports) => {
+  if (reports.length === 0) return null;
+
+  return reports.reduce((bounds, report) => {
+    const [lng, lat] = report.location.coordinates.coordinates;
+    return [
+      Math.min(bounds[0], lng),
+      Math.min(bounds[1], lat),
+      Math.max(bounds[2], lng),
+      Math.max(bounds[3], lat)
+    ];
+  }, [180, 90, -180, -90]);
+};
+
+module.exports = {
+  MAX_NEAR_RADIUS_METERS,
+  parseBbox,
+  buildGeoFilter,
+  clusterReports,
+  getBounds
+};
@@ -0,0 +1,153 @@
+/**
+ * Message formatting utilities
+ *
+ * Shared by the chat routes so group, private and message-level endpoints
+ * return messages in the same shape.
+ */
+
+const { formatEncryptionEnvelope } = require('./encryptionEnvelope');
+
+/**
+ * Format a message document with consistent field mapping for API responses
+ * and socket broadcasts
+ * @param {Object} msg - Message document (optionally populated)
+ * @param {string} [viewerId] - ID of the user the response is for; used for per-user fields like isStarred
+ * @returns {Object} Formatted message
+ */
+const formatMessageResponse = (msg, viewerId) => {
+  // Ensure proper attachment field mapping - use attachments from schema, not media
+  const attachments = msg.attachments || [];
+  
+  // Standardize attachment format for consistent frontend consumption
+  const formattedAttachments = attachments.map(attachment => ({
+    id: attachment.id || attachment._id,
+    type: attachment.type,
+    url: attachment.url || null,
+    filename: attachment.filename || null,
+    size: attachment.size || null,
+    thumbnail: attachment.thumbnail || null,
+    metadata: attachment.metadata || {}
+  }));
+  
+  // Handle sender information with proper null safety
+  const senderId = msg.senderId?._id || msg.senderId;
+  const senderFirstName = msg.senderId?.firstName || '';
+  const senderLastName = msg.senderId?.lastName || '';
+  const senderName = (senderFirstName || senderLastName) 
+    ? `${senderFirstName} ${senderLastName}`.trim() 
+    : (msg.senderName || 'Unknown');
+  const senderAvatar = msg.senderId?.profileImageUrl || null;
+  
+  // Handle replyTo with proper null handling and field mapping
+  let replyToFormatted = null;
+  if (msg.replyTo && (msg.replyTo.messageId || msg.replyTo.content)) {
+    replyToFormatted = {
+      id: msg.replyTo.messageId?._id || msg.replyTo.messageId || null,
+      content: msg.replyTo.messageId?.content || msg.replyTo.content || '',
+      senderId: msg.replyTo.messageId?.senderId || null,
+      senderName: msg.replyTo.senderName || 'Unknown',
+      type: msg.replyTo.type || 'text'
+    };
+  }
+  
+  // Handle reactions with proper null handling and consistent format
+  const formattedReactions = (msg.reactions || []).map(reaction => ({
+    type: reaction.type,
+    count: Math.max(0, reaction.count || 0), // Ensure non-negative count
+    users: reaction.users || [],
+    createdAt: reaction.createdAt || null
+  }));
+  
+  // Handle forwardedFrom with comprehensive null handling
+  let forwardedFromFormatted = null;
+  if (msg.isForwarded && msg.forwardedFrom) {
+    forwardedFromFormatted = {
+      messageId: msg.forwardedFrom.messageId || null,
+      originalSenderId: msg.forwardedFrom.originalSenderId || null,
+      originalSenderName: msg.forwardedFrom.originalSenderName || 'Unknown',
+      originalChatId: msg.forwardedFrom.originalChatId || null,
+      originalChatName: msg.forwardedFrom.originalChatName || 'Unknown Chat',
+      forwardedBy: msg.forwardedFrom.forwardedBy || null,
+      forwardedByName: msg.forwardedFrom.forwardedByName || 'Unknown',
+      forwardedAt: msg.forwardedFrom.forwardedAt || null
+    };
+  }
+  
+  // Create standardized response with consistent field mapping
+  return {
+    // Core message fields
+    id: msg._id,
+    clientMessageId: msg.clientMessageId || null, // Lets the sender match its optimistic copy
+    content: msg.content || '', // Ensure string for content
+    type: msg.messageType || 'text', // Primary field - use messageType from schema
+    messageType: msg.messageType || 'text', // Legacy support - maintain backward compatibility
+    
+    // Attachment fields - both legacy and standard for backward compatibility
+    media: formattedAttachments, // Legacy support - map attachments to media
+    attachments: formattedAttachments, // Standard field - consistent with schema
+    
+    // Sender information with proper null handling
+    senderId: senderId,
+    senderName: senderName,
+    senderAvatar: senderAvatar, // Proper null handling with optional chaining
+    
+    // Reply information with comprehensive null handling
+    replyTo: replyToFormatted,
+    
+    // Thread information; followers are only exposed as the viewer's own isFollowing
+    threadRootId: msg.threadRootId || null,
+    threadOnly: Boolean(msg.threadOnly),
+    thread: {
+      replyCount: msg.thread?.replyCount || 0,
+      lastReplyAt: msg.thread?.lastReplyAt || null,
+      lastReplyBy: msg.thread?.lastReplyBy || null,
+      lastReplySenderName: msg.thread?.lastReplySenderName || null,
+      isFollowing: viewerId
+        ? (msg.thread?.followers || []).some(id => id.toString() === viewerId.toString())
+        : false
+    },
+    
+    // Reactions with proper formatting
+    reactions: formattedReactions,
+    
+    // Boolean fields with explicit conversion
+    isEdited: Boolean(msg.isEdited),
+    editedAt: msg.editedAt || null,
+    isForwarded: Boolean(msg.isForwarded),
+    isDeleted: Boolean(msg.isDeleted),
+    isStarred: viewerId
+      ? (msg.starredBy || []).some(s => s.userId?.toString() === viewerId.toString())
+      : Boolean(msg.isStarred),
+    isPinned: Boolean(msg.isPinned),
+    pinnedAt: msg.pinnedAt || null,
+    pinnedBy: msg.pinnedBy || null,
+    
+    // Forwarding information with null handling
+    forwardedFrom: forwardedFromFormatted,
+    
+    // Status and moderation
+    status: msg.status || 'sent', // Default to 'sent' if no status
+    moderationStatus: msg.moderationStatus || 'active',
+    
+    // Timestamps - both standard and legacy for frontend compatibility
+    createdAt: msg.createdAt,
+    updatedAt: msg.updatedAt,
+    timestamp: msg.createdAt, // Frontend compatibility field
+    
+    // Additional metadata fields
+    deliveredTo: msg.deliveredTo || [],
+    readBy: msg.readBy || [],
+    
+    // Enhanced fields for future functionality
+    encryption: formatEncryptionEnvelope(msg.encryption, viewerId),
+    
+    autoDelete: msg.autoDelete ? {
+      enabled: Boolean(msg.autoDelete.enabled),
+      expiresAt: msg.autoDelete.expiresAt || null
+    } : null
+  };
+};
+
+module.exports = {
+  formatMessageResponse
+};
@@ -0,0 +1,155 @@
+/**
+ * Anonymous report redaction
+ *
+ * An anonymous report still records its reporter, so the reporter can manage
+ * it and be told about status changes, but nobody else sees who it was:
+ * every response that includes a report runs it through these helpers first.
+ * Staff holding the unmask_reporters permission can look the reporter up
+ * through ReportCaseService.unmaskReporter, which writes to the audit log.
+ */
+
+const mongoose = require('mongoose');
+
+const UNMASK_REPORTERS_PERMISSION = 'unmask_reporters';
+
+// Only staff can hold the permission; it is ignored for anyone else
+const UNMASK_ROLES = ['admin', 'moderator'];
+
+const sameId = (a, b) => Boolean(a && b) && a.toString() === b.toString();
+
+/**
+ * The ID behind a reference that may or may not be populated
+ * @param {*} ref - ObjectId, ID string or populated document
+ * @returns {*} The ID
+ */
+const idOf = (ref) => (ref && ref._id ? ref._id : ref);
+
+/**
+ * Check whether a report's reporter must be hidden from a viewer
+ * @param {Object} report - Report document or plain object
+ * @param {string} viewerId - ID of the viewing user
+ * @returns {boolean} True if the report is anonymous and not the viewer's own
+ */
+const isMaskedFor = (report, viewerId) => {
+  return Boolean(report.isAnonymous) && !sameId(idOf(report.reporterId), viewerId);
+};
+
+/**
+ * A report as a viewer may see it
+ *
+ * Anonymous reports lose their reporterId (and the reporter of search
+ * results), and the reporter disappears from the status history entries
+ * they made by filing the report. Reporters still see their own reports
+ * in full.
+ * @param {Object} report - Report document or plain object
+ * @param {string} [viewerId] - ID of the viewing user; without one the reporter is always hidden
+ * @returns {Object} Plain report object
+ */
+const redactReport = (report, viewerId) => {
+  const plain = typeof report.toObject === 'function' ? report.toObject() : { ...report };
+
+  if (!isMaskedFor(plain, viewerId)) {
+    return plain;
+  }
+
+  const reporterId = idOf(plain.reporterId);
+  plain.reporterId = null;
+  if ('reporter' in plain) {
+    plain.reporter = null;
+  }
+  if (Array.isArray(plain.statusHistory)) {
+    plain.statusHistory = redactStatusHistory(plain.statusHistory, reporterId);
+  }
+
+  return plain;
+};
+
+/**
+ * Remove the reporter from the status history entries they made
+ * @param {Array} statusHistory - Report.statusHistory entries
+ * @param {*} reporterId - ID of the reporter to hide
+ * @returns {Array} Plain history entries
+ */
+const redactStatusHistory = (statusHistory, reporterId) => {
+  return statusHistory.map(entry => {
+    const plain = typeof entry.toObject === 'function' ? entry.toObject() : { ...entry };
+    if (sameId(idOf(plain.changedBy), reporterId)) {
+      plain.changedBy = null;
+    }
+    return plain;
+  });
+};
+
+/**
+ * Changed fields of a report update as a viewer may see them
+ *
+ * Change stream and polling updates carry the raw changed fields, which can
+ * include the reporter or status history entries they made.
+ * @param {Object} updatedFields - Changed fields keyed by dotted path
+ * @param {Object} report - The updated report
+ * @param {string} [viewerId] - ID of the viewing user; without one the reporter is always hidden
+ * @returns {Object} Plain changed fields
+ */
+const redactReportUpdates = (updatedFields, report, viewerId) => {
+  if (!updatedFields || !isMaskedFor(report, viewerId)) {
+    return updatedFields;
+  }
+
+  const reporterId = idOf(report.reporterId);
+  const redacted = {};
+
+  Object.entries(updatedFields).forEach(([field, value]) => {
+    if (field === 'reporterId' || field.startsWith('reporterId.')) {
+      return;
+    }
+
+    if (field === 'statusHistory') {
+      redacted[field] = redactStatusHistory(value, reporterId);
+    } else if (/^statusHistory\.\d+$/.test(field)) {
+      redacted[field] = redactStatusHistory([value], reporterId)[0];
+    } else if (/^statusHistory\.\d+\.changedBy$/.test(field)) {
+      redacted[field] = sameId(value, reporterId) ? null : value;
+    } else {
+      redacted[field] = value;
+    }
+  });
+
+  return redacted;
+};
+
+/**
+ * Aggregation expression for a reporter field that is null on anonymous
+ * reports, except for the viewer's own
+ * @param {*} expression - Expression for the reporter value
+ * @param {string} viewerId - ID of the viewing user
+ * @returns {Object} $cond expression
+ */
+const reporterExpression = (expression, viewerId) => {
+  const conditions = [{ $eq: ['$isAnonymous', true] }];
+  if (mongoose.Types.ObjectId.isValid(viewerId)) {
+    conditions.push({ $ne: ['$reporterId', new mongoose.Types.ObjectId(viewerId)] });
+  }
+
+  return { $cond: [{ $and: conditions }, null, expression] };
+};
+
+/**
+ * Check whether a user may unmask the reporters of anonymous reports
+ * @param {Object} user - User with role and permissions
+ * @returns {boolean} True if the user holds the permission
+ */
+const canUnmaskReporter = (user) => {
+  return Boolean(user)
+    && UNMASK_ROLES.includes(user.role)
+    && (user.permissions || []).includes(UNMASK_REPORTERS_PERMISSION);
+};
+
+module.exports = {
+  UNMASK_REPORTERS_PERMISSION,
+  isMaskedFor,
+  redactReport,
+  redactStatusHistory,
+  redactReportUpdates,
+  reporterExpression,
+  canUnmaskReporter
+};